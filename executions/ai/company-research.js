@@ -1,103 +1,74 @@
 /**
  * AI-Powered Company Research Module
  *
- * Uses OpenAI ChatGPT to generate comprehensive company research summaries
- * from basic company data for agency prospecting and sales intelligence.
+ * Uses an LLM (OpenAI by default; provider and model are set per task in
+ * llm-client.js config) to generate structured company research from basic
+ * company data for agency prospecting and sales intelligence.
+ *
+ * Research is a JSON object validated against RESEARCH_SCHEMA: a summary and
+ * target market, plus services, pain points, growth signals, decision-maker
+ * hints, news hooks and personalization angles, each item with a confidence
+ * between 0 and 1. A response that fails validation gets one repair request
+ * listing the errors. The plain-text summary is derived from the object
+ * (researchToText), so callers that want a string still get one.
+ *
+ * Grounded mode (the sources option) puts ranked snippets of text our scrapers
+ * captured (website pages, Google Maps reviews, LinkedIn; see research-sources.js)
+ * into the prompt and has every claim cite the snippet ids it came from. Claims
+ * citing nothing are kept but flagged (supported: false) and capped at
+ * UNSUPPORTED_CONFIDENCE, so email generation doesn't state them as fact.
+ *
+ * Research is cached on disk by company domain (see research-cache.js), so
+ * repeated contacts at one company and campaign reruns reuse the first result.
  *
  * @module company-research
  */
 
-const OpenAI = require('openai');
-
-// OpenAI client (lazy initialization)
-let openai = null;
-
-/**
- * Get or initialize OpenAI client
- * @returns {OpenAI} OpenAI client instance
- * @throws {Error} If API key is not set
- */
-function getOpenAIClient() {
-  if (!openai) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error(
-        'OPENAI_API_KEY environment variable is required. ' +
-        'Set it before calling generateCompanyResearch().'
-      );
-    }
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-  }
-  return openai;
-}
-
-// Rate limiting configuration
-const RATE_LIMIT = {
-  maxRequestsPerMinute: 10,
-  requestTimestamps: [],
+const { complete } = require('./llm-client');
+const { getSharedResearchCache } = require('./research-cache');
+const { prepareResearchSources, formatSnippetsForPrompt } = require('./research-sources');
+
+// System prompt for the research task
+const RESEARCH_SYSTEM_PROMPT = 'You are a business research analyst specializing in company intelligence for B2B sales prospecting. Provide accurate, concise, and actionable company research as JSON. Never invent facts; lower the confidence of anything you are inferring.';
+
+// List fields of the research object: each item is { text, confidence }
+const RESEARCH_LIST_FIELDS = {
+  servicesOffered: { label: 'Services', description: 'Services or products the company offers', minItems: 1 },
+  painPoints: { label: 'Likely pain points', description: 'Challenges they likely face that a B2B vendor could help with', minItems: 1 },
+  growthSignals: { label: 'Growth signals', description: 'Signs of growth or change: hiring, new locations, new services, expansion', minItems: 0 },
+  decisionMakerHints: { label: 'Decision makers', description: 'Who likely makes buying decisions and what they care about', minItems: 0 },
+  newsHooks: { label: 'News hooks', description: 'Recent news, events or announcements usable as an opener (empty if you know of none)', minItems: 0 },
+  personalizationAngles: { label: 'Personalization angles', description: 'Specific angles for personalizing outreach to this company', minItems: 1 },
 };
 
-// Retry configuration
-const RETRY_CONFIG = {
-  maxAttempts: 3,
-  baseDelay: 1000, // 1 second
-  maxDelay: 8000, // 8 seconds
+// Research object schema (validated by validateResearch)
+const RESEARCH_SCHEMA = {
+  summary: { type: 'string', minLength: 40, description: 'What the company does, 1-3 sentences' },
+  targetMarket: { type: 'string', minLength: 3, description: 'Who their customers are' },
+  ...Object.fromEntries(Object.entries(RESEARCH_LIST_FIELDS).map(([field, spec]) => [
+    field,
+    { type: 'items', minItems: spec.minItems, maxItems: 6, description: spec.description },
+  ])),
 };
 
-/**
- * Sleep utility for retry delays
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+// Highest confidence a claim without a cited source can have
+const UNSUPPORTED_CONFIDENCE = 0.3;
 
-/**
- * Calculate exponential backoff delay
- * @param {number} attempt - Current attempt number (0-indexed)
- * @returns {number} Delay in milliseconds
- */
-function getBackoffDelay(attempt) {
-  const delay = RETRY_CONFIG.baseDelay * Math.pow(2, attempt);
-  return Math.min(delay, RETRY_CONFIG.maxDelay);
-}
+// Responses that are refusals or errors rather than research
+const ERROR_PATTERNS = [
+  /^error:/i,
+  /^i cannot/i,
+  /^i'm unable/i,
+  /^sorry/i,
+];
 
 /**
- * Check and enforce rate limiting
- * @returns {Promise<void>}
- */
-async function enforceRateLimit() {
-  const now = Date.now();
-  const oneMinuteAgo = now - 60000;
-
-  // Remove timestamps older than 1 minute
-  RATE_LIMIT.requestTimestamps = RATE_LIMIT.requestTimestamps.filter(
-    timestamp => timestamp > oneMinuteAgo
-  );
-
-  // If at rate limit, wait until oldest request expires
-  if (RATE_LIMIT.requestTimestamps.length >= RATE_LIMIT.maxRequestsPerMinute) {
-    const oldestTimestamp = RATE_LIMIT.requestTimestamps[0];
-    const waitTime = oldestTimestamp + 60000 - now;
-
-    if (waitTime > 0) {
-      console.log(`[Rate Limit] Waiting ${Math.ceil(waitTime / 1000)}s before next request...`);
-      await sleep(waitTime);
-    }
-  }
-
-  // Record this request
-  RATE_LIMIT.requestTimestamps.push(Date.now());
-}
-
-/**
- * Construct ChatGPT prompt for company research
+ * Construct LLM prompt for company research
  * @param {Object} companyData - Company information
+ * @param {Object[]|null} [snippets=null] - Source snippets for grounded research (null for ungrounded)
  * @returns {string} Formatted prompt
  */
-function buildResearchPrompt(companyData) {
+function buildResearchPrompt(companyData, snippets = null) {
   const {
     companyName,
     website,
@@ -107,7 +78,29 @@ function buildResearchPrompt(companyData) {
     linkedIn,
   } = companyData;
 
-  return `Generate a concise company research summary for prospecting purposes.
+  const grounded = Array.isArray(snippets);
+  const itemShape = grounded
+    ? '{ "text": "...", "confidence": 0.0-1.0, "sources": ["W1"] }'
+    : '{ "text": "...", "confidence": 0.0-1.0 }';
+  const listFields = Object.entries(RESEARCH_LIST_FIELDS)
+    .map(([field, spec]) => `  "${field}": [${itemShape}]  // ${spec.description}`)
+    .join(',\n');
+
+  const sourceSection = grounded
+    ? `\nSources:\n${snippets.length > 0 ? formatSnippetsForPrompt(snippets) : '(none found)'}\n`
+    : '';
+  const citationFields = grounded
+    ? '\n  "summarySources": ["W1"],\n  "targetMarketSources": ["W1"],'
+    : '';
+  const rules = grounded
+    ? `- Base every claim on the sources above and list the ids of the sources that support it in "sources"
+- A claim no source supports gets "sources": [] and a confidence of ${UNSUPPORTED_CONFIDENCE} or lower
+- confidence: 0.9+ for facts stated in a source, 0.5-0.8 for strong inferences from a source
+- Only cite ids from the list above; leave growthSignals, decisionMakerHints and newsHooks empty unless a source supports them`
+    : `- confidence: 0.9+ for facts stated in the company information, 0.5-0.8 for strong inferences, below 0.5 for guesses
+- Leave growthSignals, decisionMakerHints and newsHooks empty rather than inventing them`;
+
+  return `Research this company for B2B sales prospecting.
 
 Company Information:
 - Name: ${companyName}
@@ -116,14 +109,31 @@ Company Information:
 ${location ? `- Location: ${location}` : ''}
 ${employeeCount ? `- Employee Count: ${employeeCount}` : ''}
 ${linkedIn ? `- LinkedIn: ${linkedIn}` : ''}
+${sourceSection}
+Return a JSON object with this exact structure:
+{
+  "summary": "What the company does, 1-3 sentences",
+  "targetMarket": "Who their customers are",${citationFields}
+${listFields}
+}
+
+Rules:
+- Up to 6 items per list, each item one short sentence
+${rules}
 
-Please provide a 150-250 word summary that includes:
-1. What the company does (1-2 sentences)
-2. Target market and customers
-3. Key differentiators or main services
-4. Relevant pain points or challenges they likely face (for prospecting context)
+Important: Return ONLY valid JSON, no additional text or markdown formatting.`;
+}
+
+/**
+ * Build the follow-up prompt asking the LLM to fix a response that failed validation
+ * @param {string[]} errors - Schema validation errors
+ * @returns {string} Repair prompt
+ */
+function buildRepairPrompt(errors) {
+  return `Your JSON did not match the required structure:
+${errors.map(error => `- ${error}`).join('\n')}
 
-Format the response as a professional research summary suitable for sales intelligence.`;
+Return the corrected JSON object only, with every field from the original structure.`;
 }
 
 /**
@@ -153,117 +163,293 @@ function validateCompanyData(companyData) {
 }
 
 /**
- * Validate OpenAI API response
- * @param {string} content - Response content to validate
- * @returns {boolean} True if valid
+ * Parse an LLM response as JSON (tolerates a markdown code fence)
+ * @param {string} content - Response content
+ * @returns {Object} Parsed object
+ * @throws {Error} If the content isn't a JSON object
  */
-function isValidResponse(content) {
-  if (!content || typeof content !== 'string') {
-    return false;
+function parseResearchJson(content) {
+  const json = (content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Failed to parse JSON research: ${error.message}`);
   }
 
-  const trimmedContent = content.trim();
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Research response must be a JSON object');
+  }
+  return parsed;
+}
 
-  // Check minimum length (150 words ≈ 750 characters)
-  if (trimmedContent.length < 100) {
-    return false;
+/**
+ * Validate a research object against RESEARCH_SCHEMA
+ * @param {Object} research - Research object
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.sourceIds] - Snippet ids of a grounded request: every item must cite some of
+ *   these (or none), as must summarySources and targetMarketSources
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+function validateResearch(research, options = {}) {
+  const { sourceIds = null } = options;
+
+  if (!research || typeof research !== 'object' || Array.isArray(research)) {
+    return ['research must be an object'];
   }
 
-  // Check if response looks like an error message
-  const errorPatterns = [
-    /^error:/i,
-    /^i cannot/i,
-    /^i'm unable/i,
-    /^sorry/i,
-  ];
-
-  for (const pattern of errorPatterns) {
-    if (pattern.test(trimmedContent)) {
-      return false;
+  const errors = [];
+  const checkSources = (label, ids) => {
+    if (!Array.isArray(ids)) {
+      errors.push(`${label} must be an array of source ids (empty if no source supports it)`);
+      return;
+    }
+    const unknown = ids.filter(id => !sourceIds.includes(id));
+    if (unknown.length > 0) {
+      errors.push(`${label} cites unknown sources: ${unknown.join(', ')}`);
     }
+  };
+
+  if (sourceIds) {
+    checkSources('summarySources', research.summarySources);
+    checkSources('targetMarketSources', research.targetMarketSources);
   }
 
-  return true;
+  for (const [field, spec] of Object.entries(RESEARCH_SCHEMA)) {
+    const value = research[field];
+
+    if (spec.type === 'string') {
+      if (typeof value !== 'string' || value.trim().length < spec.minLength) {
+        errors.push(`${field} must be a string of at least ${spec.minLength} characters`);
+      } else if (ERROR_PATTERNS.some(pattern => pattern.test(value.trim()))) {
+        errors.push(`${field} looks like an error message, not research`);
+      }
+      continue;
+    }
+
+    if (!Array.isArray(value)) {
+      errors.push(`${field} must be an array of { text, confidence } items`);
+      continue;
+    }
+    if (value.length < spec.minItems || value.length > spec.maxItems) {
+      errors.push(`${field} must have ${spec.minItems}-${spec.maxItems} items (got ${value.length})`);
+    }
+    value.forEach((item, index) => {
+      if (!item || typeof item.text !== 'string' || !item.text.trim()) {
+        errors.push(`${field}[${index}].text must be a non-empty string`);
+      }
+      if (!item || typeof item.confidence !== 'number' || item.confidence < 0 || item.confidence > 1) {
+        errors.push(`${field}[${index}].confidence must be a number from 0 to 1`);
+      }
+      if (sourceIds && item) {
+        checkSources(`${field}[${index}].sources`, item.sources);
+      }
+    });
+  }
+
+  return errors;
 }
 
 /**
- * Generate fallback summary when API fails
- * @param {Object} companyData - Company information
- * @returns {string} Basic summary
+ * Keep only schema fields (and citations), trim text and sort list items by confidence
+ * @param {Object} research - Valid research object
+ * @param {boolean} [fallback=false] - Research came from the template fallback, not the LLM
+ * @returns {Object} Normalized research
  */
-function generateFallbackSummary(companyData) {
-  const { companyName, website, industry, location } = companyData;
+function normalizeResearch(research, fallback = false) {
+  const withSources = (value, sources) => (Array.isArray(sources) ? { ...value, sources } : value);
+
+  const normalized = {
+    summary: research.summary.trim(),
+    targetMarket: research.targetMarket.trim(),
+  };
+  if (Array.isArray(research.summarySources)) normalized.summarySources = research.summarySources;
+  if (Array.isArray(research.targetMarketSources)) normalized.targetMarketSources = research.targetMarketSources;
+
+  for (const field of Object.keys(RESEARCH_LIST_FIELDS)) {
+    normalized[field] = research[field]
+      .map(item => withSources({ text: item.text.trim(), confidence: Math.round(item.confidence * 100) / 100 }, item.sources))
+      .sort((a, b) => b.confidence - a.confidence);
+  }
 
-  return `${companyName} is a ${industry || 'company'} ${location ? `based in ${location}` : 'organization'} (${website}). ` +
-    `As a ${industry || 'business'} entity, they likely serve clients in their sector with specialized services and solutions. ` +
-    `Further research recommended to understand their specific offerings, target market, and competitive positioning. ` +
-    `Key prospecting areas may include digital transformation, operational efficiency, and industry-specific challenges.`;
+  normalized.fallback = fallback;
+  return normalized;
 }
 
 /**
- * Call OpenAI API with retry logic
- * @param {string} prompt - Research prompt
- * @param {number} attempt - Current attempt number (0-indexed)
- * @returns {Promise<string>} Research summary
+ * Attach evidence to grounded research: keep only citations of known snippets,
+ * flag and cap claims without one, and include the cited snippets
+ * @param {Object} research - Normalized research
+ * @param {Object[]} snippets - Snippets the prompt offered
+ * @returns {Object} Research with grounded: true, sources ({ id: snippet }) and unsupportedClaims
  */
-async function callOpenAI(prompt, attempt = 0) {
-  try {
-    // Get OpenAI client (lazy initialization)
-    const client = getOpenAIClient();
-
-    // Enforce rate limiting before API call
-    await enforceRateLimit();
-
-    const startTime = Date.now();
-    console.log(`[OpenAI API] Attempt ${attempt + 1}/${RETRY_CONFIG.maxAttempts}...`);
-
-    const completion = await client.chat.completions.create({
-      model: 'gpt-4-turbo-preview', // Use GPT-4 for better research quality
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a business research analyst specializing in company intelligence for B2B sales prospecting. Provide accurate, concise, and actionable company summaries.',
-        },
-        {
-          role: 'user',
-          content: prompt,
-        },
-      ],
-      temperature: 0.7,
-      max_tokens: 500,
-    });
-
-    const duration = Date.now() - startTime;
-    const content = completion.choices[0]?.message?.content;
+function groundResearch(research, snippets) {
+  const snippetsById = Object.fromEntries(snippets.map(snippet => [snippet.id, snippet]));
+  const cited = new Set();
+  const cite = ids => {
+    const known = [...new Set(ids || [])].filter(id => snippetsById[id]);
+    known.forEach(id => cited.add(id));
+    return known;
+  };
+
+  const grounded = {
+    ...research,
+    summarySources: cite(research.summarySources),
+    targetMarketSources: cite(research.targetMarketSources),
+  };
+  let unsupportedClaims = (grounded.summarySources.length > 0 ? 0 : 1) + (grounded.targetMarketSources.length > 0 ? 0 : 1);
+
+  for (const field of Object.keys(RESEARCH_LIST_FIELDS)) {
+    grounded[field] = research[field]
+      .map(item => {
+        const sources = cite(item.sources);
+        const supported = sources.length > 0;
+        if (!supported) unsupportedClaims += 1;
+        return {
+          text: item.text,
+          confidence: supported ? item.confidence : Math.min(item.confidence, UNSUPPORTED_CONFIDENCE),
+          sources,
+          supported,
+        };
+      })
+      .sort((a, b) => b.confidence - a.confidence);
+  }
 
-    // Log API usage for cost tracking
-    console.log(`[OpenAI API] Success in ${duration}ms | Tokens: ${completion.usage.total_tokens} | Model: ${completion.model}`);
+  grounded.grounded = true;
+  grounded.sources = Object.fromEntries([...cited].sort().map(id => {
+    const { type, url, label, text } = snippetsById[id];
+    return [id, { type, url, label, text }];
+  }));
+  grounded.unsupportedClaims = unsupportedClaims;
+  return grounded;
+}
 
-    // Validate response
-    if (!isValidResponse(content)) {
-      throw new Error('Invalid or empty response from OpenAI API');
-    }
+/**
+ * Derive the plain-text research summary from a research object
+ *
+ * Grounded research gets its citations inline ([W1]), "(unverified)" on claims
+ * without a source, and a closing list of the cited sources.
+ *
+ * @param {Object} research - Research object
+ * @param {Object} [options] - Options
+ * @param {number} [options.minConfidence=0] - Leave out list items below this confidence
+ * @returns {string} Text summary
+ *
+ * @example
+ * researchToText(research, { minConfidence: 0.5 });
+ */
+function researchToText(research, options = {}) {
+  const { minConfidence = 0 } = options;
+
+  const cite = (text, sources) => {
+    const plain = text.replace(/\.$/, '');
+    if (!research.grounded) return plain;
+    return sources && sources.length > 0 ? `${plain} [${sources.join(', ')}]` : `${plain} (unverified)`;
+  };
+
+  const lines = Object.entries(RESEARCH_LIST_FIELDS)
+    .map(([field, spec]) => {
+      const items = (research[field] || []).filter(item => item.confidence >= minConfidence);
+      return items.length > 0 ? `${spec.label}: ${items.map(item => cite(item.text, item.sources)).join('; ')}.` : null;
+    })
+    .filter(Boolean);
+
+  const sources = Object.entries(research.sources || {})
+    .map(([id, source]) => `[${id}] ${[source.type, source.label, source.url].filter(Boolean).join(', ')}`);
+
+  return [
+    research.grounded ? `${cite(research.summary, research.summarySources)}.` : research.summary,
+    `Target market: ${cite(research.targetMarket, research.targetMarketSources)}.`,
+    ...lines,
+    ...(sources.length > 0 ? [`Sources:\n${sources.join('\n')}`] : []),
+  ].join('\n\n');
+}
 
-    return content.trim();
+/**
+ * Generate fallback research when the LLM fails (same schema, low confidence)
+ * @param {Object} companyData - Company information
+ * @returns {Object} Research object
+ */
+function generateFallbackResearch(companyData) {
+  const { companyName, website, industry, location } = companyData;
 
-  } catch (error) {
-    console.error(`[OpenAI API] Error on attempt ${attempt + 1}:`, error.message);
-
-    // Check if we should retry
-    if (attempt < RETRY_CONFIG.maxAttempts - 1) {
-      const delay = getBackoffDelay(attempt);
-      console.log(`[Retry] Waiting ${delay}ms before retry...`);
-      await sleep(delay);
-      return callOpenAI(prompt, attempt + 1);
-    }
+  return normalizeResearch({
+    summary: `${companyName} is a ${industry || 'company'} ${location ? `based in ${location}` : 'organization'} (${website}). ` +
+      `Further research recommended to understand their specific offerings, target market, and competitive positioning.`,
+    targetMarket: `Clients in the ${industry || 'company\'s'} sector${location ? ` around ${location}` : ''}`,
+    servicesOffered: [{ text: `Specialized ${industry || 'business'} services and solutions`, confidence: 0.3 }],
+    painPoints: [
+      { text: 'Generating a steady flow of qualified leads', confidence: 0.3 },
+      { text: 'Digital transformation and operational efficiency', confidence: 0.2 },
+      { text: `${industry || 'Industry'}-specific competitive pressure`, confidence: 0.2 },
+    ],
+    growthSignals: [],
+    decisionMakerHints: [{ text: 'Owner or managing partner, typical for smaller firms', confidence: 0.2 }],
+    newsHooks: [],
+    personalizationAngles: [
+      { text: `Their ${industry || 'market'} focus${location ? ` in ${location}` : ''}`, confidence: 0.3 },
+    ],
+  }, true);
+}
 
-    // All retries exhausted
-    throw error;
+/**
+ * Call the LLM for structured research, with one repair request if the
+ * response fails schema validation (retry, backoff and rate limits handled by llm-client)
+ * @param {string} prompt - Research prompt
+ * @param {Object} [context] - Cost ledger context ({ campaignId, clientId, leadId })
+ * @param {string[]|null} [sourceIds=null] - Snippet ids citations must come from (grounded research)
+ * @returns {Promise<Object>} { value: normalized research object, provider, model }
+ * @throws {Error} If the repaired response still fails validation
+ */
+async function callLLM(prompt, context = {}, sourceIds = null) {
+  const request = {
+    task: 'company-research',
+    system: RESEARCH_SYSTEM_PROMPT,
+    json: true, // Enforce JSON response
+    context,
+  };
+
+  const first = await complete({ ...request, prompt, parse: parseResearchJson });
+  const errors = validateResearch(first.value, { sourceIds });
+  if (errors.length === 0) {
+    return { ...first, value: normalizeResearch(first.value) };
   }
+
+  console.log(`[Company Research] Response failed schema validation (${errors.length} errors), requesting a repair...`);
+  return complete({
+    ...request,
+    messages: [
+      { role: 'user', content: prompt },
+      { role: 'assistant', content: first.content },
+      { role: 'user', content: buildRepairPrompt(errors) },
+    ],
+    parse: content => {
+      const repaired = parseResearchJson(content);
+      const repairErrors = validateResearch(repaired, { sourceIds });
+      if (repairErrors.length > 0) {
+        throw new Error(`Research failed schema validation: ${repairErrors.join('; ')}`);
+      }
+      return normalizeResearch(repaired);
+    },
+  });
+}
+
+/**
+ * Resolve the cache option: default to the shared cache, false disables caching
+ * @param {ResearchCache|boolean} [cache] - Cache option
+ * @returns {ResearchCache|null} Cache to use
+ */
+function resolveCache(cache) {
+  if (cache === false) return null;
+  return cache && cache !== true ? cache : getSharedResearchCache();
 }
 
+// Output formats for generateCompanyResearch
+const RESEARCH_FORMATS = ['text', 'structured'];
+
 /**
- * Generate AI-powered company research summary
+ * Generate AI-powered company research
  *
  * @param {Object} companyData - Company information object
  * @param {string} companyData.companyName - Name of the company
@@ -272,10 +458,21 @@ async function callOpenAI(prompt, attempt = 0) {
  * @param {string} [companyData.location] - Company location
  * @param {number} [companyData.employeeCount] - Number of employees
  * @param {string} [companyData.linkedIn] - LinkedIn profile URL
+ * @param {Object} [options] - Options
+ * @param {string} [options.format='text'] - 'text' for the derived summary string, 'structured' for the research object
+ * @param {Object} [options.sources] - Grounded research: captured text to cite ({ website, reviews, linkedin };
+ *   see research-sources.js and collectResearchSources)
+ * @param {boolean} [options.forceRefresh=false] - Skip the cache lookup and overwrite the cached research
+ * @param {ResearchCache|boolean} [options.cache] - Cache to use (default: shared disk cache; false disables)
+ * @param {Object} [options.context] - Cost ledger context ({ campaignId, clientId, leadId }); cache hits cost nothing
  *
- * @returns {Promise<string>} Research summary (150-250 words)
+ * @returns {Promise<string|Object>} Text summary, or the research object ({ summary, targetMarket,
+ *   servicesOffered, painPoints, growthSignals, decisionMakerHints, newsHooks, personalizationAngles, fallback });
+ *   grounded research adds item sources and supported flags, summarySources, targetMarketSources,
+ *   grounded: true, sources ({ W1: { type, url, label, text } }) and unsupportedClaims
  *
- * @throws {Error} If required fields are missing or API fails after retries
+ * @throws {Error} If the campaign or client AI budget is used up (code 'LLM_BUDGET_EXCEEDED');
+ *   other failures return fallback research (fallback: true)
  *
  * @example
  * const research = await generateCompanyResearch({
@@ -285,35 +482,113 @@ async function callOpenAI(prompt, attempt = 0) {
  *   location: "Austin, TX",
  *   employeeCount: 25
  * });
+ *
+ * const research = await generateCompanyResearch(companyData, { format: 'structured' });
+ * research.personalizationAngles[0]; // { text: '...', confidence: 0.8 }
+ *
+ * const grounded = await generateCompanyResearch(companyData, {
+ *   format: 'structured',
+ *   sources: { website: crawlResult, reviews: business.reviews, linkedin: linkedinCompany }
+ * });
+ * grounded.servicesOffered[0]; // { text: '...', confidence: 0.9, sources: ['W1'], supported: true }
  */
-async function generateCompanyResearch(companyData) {
+async function generateCompanyResearch(companyData, options = {}) {
+  const { format = 'text', forceRefresh = false, context = {}, sources = null } = options;
+  const grounded = Boolean(sources);
+
+  if (!RESEARCH_FORMATS.includes(format)) {
+    throw new Error(`Unknown research format '${format}'. Use one of: ${RESEARCH_FORMATS.join(', ')}`);
+  }
+  const output = research => (format === 'structured' ? research : researchToText(research));
+
   try {
     // Validate input
     validateCompanyData(companyData);
 
+    const cache = resolveCache(options.cache);
+    const cached = cache && !forceRefresh ? cache.get(companyData) : null;
+    // Cached research from memory doesn't answer a request for grounded research
+    if (cached && (!grounded || cached.research.grounded)) {
+      console.log(`\n[Company Research] ✓ Using cached research for: ${companyData.companyName} (${cached.key})\n`);
+      return output(cached.research);
+    }
+
     console.log(`\n[Company Research] Starting research for: ${companyData.companyName}`);
 
-    // Build prompt
-    const prompt = buildResearchPrompt(companyData);
+    // Rank the captured text into citable snippets
+    const snippets = grounded ? prepareResearchSources(sources, companyData) : null;
+    if (grounded) {
+      console.log(`[Company Research] Grounding on ${snippets.length} source snippets`);
+    }
 
-    // Call OpenAI with retry logic
-    const research = await callOpenAI(prompt);
+    // Build prompt
+    const prompt = buildResearchPrompt(companyData, snippets);
+
+    // Call the LLM with retry logic
+    const { value, provider, model } = await callLLM(prompt, context, grounded ? snippets.map(snippet => snippet.id) : null);
+    const research = grounded ? groundResearch(value, snippets) : value;
+
+    // Only real research is cached; fallbacks below are retried next time
+    if (cache) {
+      try {
+        cache.set(companyData, research, { provider, model });
+      } catch (error) {
+        console.error(`[Company Research] Could not cache research:`, error.message);
+      }
+    }
 
     console.log(`[Company Research] ✓ Research completed successfully\n`);
-    return research;
+    return output(research);
 
   } catch (error) {
+    // Budget stops are hard stops, not a reason to fall back
+    if (error.code === 'LLM_BUDGET_EXCEEDED') {
+      console.error(`[Company Research] ✗ ${error.message}`);
+      throw error;
+    }
+
     console.error(`[Company Research] ✗ Failed after all retries:`, error.message);
 
-    // Return fallback summary instead of throwing error
-    console.log(`[Company Research] Using fallback summary...`);
-    const fallback = generateFallbackSummary(companyData);
+    // Return fallback research instead of throwing error
+    console.log(`[Company Research] Using fallback research...`);
+    const fallback = grounded ? groundResearch(generateFallbackResearch(companyData), []) : generateFallbackResearch(companyData);
 
-    return fallback;
+    return output(fallback);
   }
 }
 
-// Export the main function
+/**
+ * Drop a company's cached research so the next call regenerates it
+ *
+ * @param {Object|string} company - Company data, website URL, domain or company name
+ * @param {Object} [options] - Options
+ * @param {ResearchCache} [options.cache] - Cache to use (default: shared disk cache)
+ * @returns {boolean} True if an entry was removed
+ *
+ * @example
+ * invalidateCompanyResearch('https://abcinsurance.com');
+ */
+function invalidateCompanyResearch(company, options = {}) {
+  return resolveCache(options.cache || true).invalidate(company);
+}
+
+/**
+ * Research cache statistics for this process
+ *
+ * @param {Object} [options] - Options
+ * @param {ResearchCache} [options.cache] - Cache to use (default: shared disk cache)
+ * @returns {Object} { hits, misses, writes, invalidations, hitRate, entries, filePath, ttlHours }
+ */
+function getResearchCacheStats(options = {}) {
+  return resolveCache(options.cache || true).getStats();
+}
+
 module.exports = {
   generateCompanyResearch,
+  invalidateCompanyResearch,
+  getResearchCacheStats,
+  validateResearch,
+  researchToText,
+  RESEARCH_SCHEMA,
+  UNSUPPORTED_CONFIDENCE,
 };
@@ -0,0 +1,533 @@
+/**
+ * LLM Cost Ledger
+ *
+ * Records every LLM call made through llm-client (research, email generation,
+ * reply classification, ...) with its model, prompt and completion tokens, the
+ * cost computed from a price table, and the campaign, client and lead it was
+ * for. Budgets per campaign or client warn as spend approaches the limit and
+ * stop further calls once it is reached.
+ *
+ * Entries are appended to a JSON Lines file, so spend accumulates across runs:
+ * LLM_LEDGER_PATH (default: .cache/llm-ledger.jsonl in the working directory).
+ * Running per-campaign and per-client totals are kept next to it
+ * (llm-ledger.totals.json) with the file offset they cover, so opening the
+ * ledger only reads entries appended since; reports read the full file.
+ *
+ * @module cost-ledger
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// USD per million tokens. Dated or suffixed model names match the longest
+// prefix ("gpt-4o-mini-2024-07-18" -> "gpt-4o-mini").
+const MODEL_PRICES = {
+  'gpt-4-turbo-preview': { input: 10, output: 30 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+};
+
+// Providers that run locally or offline and cost nothing per token
+const FREE_PROVIDERS = ['ollama', 'mock'];
+
+// Budget scopes and the context field that identifies each
+const BUDGET_SCOPES = {
+  campaign: 'campaignId',
+  client: 'clientId',
+};
+
+const DEFAULT_LEDGER_PATH = path.join('.cache', 'llm-ledger.jsonl');
+const DEFAULT_WARN_AT = 0.8;
+
+// Process-wide ledger used by llm-client (lazy initialization)
+let sharedLedger = null;
+
+/**
+ * Price for a model: exact name, else the longest matching prefix
+ * @param {string} model - Model name
+ * @param {Object} [prices] - Price table (default: MODEL_PRICES)
+ * @returns {Object|null} { input, output } in USD per million tokens, or null if unknown
+ */
+function getModelPrice(model, prices = MODEL_PRICES) {
+  if (!model) return null;
+  if (prices[model]) return prices[model];
+
+  const prefix = Object.keys(prices)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? prices[prefix] : null;
+}
+
+/**
+ * Cost of one call in USD
+ *
+ * @param {Object} call - { provider, model, inputTokens, outputTokens }
+ * @param {Object} [prices] - Price table (default: MODEL_PRICES)
+ * @returns {number|null} Cost, or null if the model has no price
+ */
+function calculateCost(call, prices = MODEL_PRICES) {
+  if (FREE_PROVIDERS.includes(call.provider)) return 0;
+
+  const price = getModelPrice(call.model, prices);
+  if (!price) return null;
+
+  const cost = ((call.inputTokens || 0) * price.input + (call.outputTokens || 0) * price.output) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Round a dollar amount for reports
+ * @param {number} amount - Amount in USD
+ * @returns {number} Amount rounded to 4 decimals
+ */
+function roundCost(amount) {
+  return Math.round(amount * 10000) / 10000;
+}
+
+/**
+ * Append-only ledger of LLM calls with per-campaign and per-client budgets
+ */
+class CostLedger {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string|null} [options.filePath] - JSON Lines file (default: LLM_LEDGER_PATH or .cache/llm-ledger.jsonl; null = memory only)
+   * @param {Object} [options.prices] - Extra or overriding model prices ({ model: { input, output } }, USD per million tokens)
+   * @param {Object} [options.fallbackPrice] - Price for models missing from the table ({ input, output }); without it,
+   *   calls to unpriced models are refused while a budget applies
+   * @param {Object} [options.budgets] - Budgets ({ campaign: { id: limit | { limit, warnAt } }, client: { ... } })
+   * @param {Function} [options.onBudgetWarning] - Called with the budget status when spend first crosses warnAt
+   */
+  constructor(options = {}) {
+    const {
+      filePath = process.env.LLM_LEDGER_PATH || DEFAULT_LEDGER_PATH,
+      prices = {},
+      fallbackPrice = null,
+      budgets = {},
+      onBudgetWarning = null,
+    } = options;
+
+    this.filePath = filePath;
+    this.totalsPath = filePath ? `${filePath.replace(/\.jsonl$/, '')}.totals.json` : null;
+    this.prices = { ...MODEL_PRICES, ...prices };
+    this.fallbackPrice = fallbackPrice;
+    this.onBudgetWarning = onBudgetWarning;
+    this.budgets = new Map();
+    this.spend = new Map(); // Running totals per "scope:id"
+    this.offset = 0; // Bytes of the ledger file counted in this.spend
+    this.entries = []; // Memory-only ledgers keep their entries here
+    this.unpricedProviders = new Set(); // Providers whose default model answered without a price
+
+    this.loadTotals();
+    this.sync();
+
+    for (const [scope, limits] of Object.entries(budgets)) {
+      for (const [id, budget] of Object.entries(limits)) {
+        const { limit, warnAt } = typeof budget === 'number' ? { limit: budget } : budget;
+        this.setBudget(scope, id, limit, { warnAt });
+      }
+    }
+  }
+
+  /**
+   * Read every entry from disk, for reports (malformed lines are skipped)
+   * @returns {Object[]} Entries
+   */
+  readEntries() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return [];
+    return this.parseLines(fs.readFileSync(this.filePath, 'utf8'));
+  }
+
+  /**
+   * Parse JSON Lines text (malformed lines are skipped)
+   * @param {string} text - Ledger file content
+   * @returns {Object[]} Entries
+   */
+  parseLines(text) {
+    const entries = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        console.error(`[Cost Ledger] Skipping malformed line in ${this.filePath}`);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Load the saved running totals (ignored if missing, unreadable or ahead of the ledger file)
+   */
+  loadTotals() {
+    if (!this.totalsPath || !fs.existsSync(this.totalsPath) || !fs.existsSync(this.filePath)) return;
+
+    try {
+      const totals = JSON.parse(fs.readFileSync(this.totalsPath, 'utf8'));
+      if (!(totals.offset <= fs.statSync(this.filePath).size)) return;
+      this.spend = new Map(Object.entries(totals.spend || {}));
+      this.offset = totals.offset;
+    } catch (error) {
+      console.error(`[Cost Ledger] Ignoring unreadable totals in ${this.totalsPath}; recounting from the ledger`);
+    }
+  }
+
+  /**
+   * Count entries appended to the ledger file since the last sync (by any process) and save the totals
+   */
+  sync() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+    const size = fs.statSync(this.filePath).size;
+    if (size < this.offset) {
+      // Ledger replaced or truncated: recount from the start
+      this.spend = new Map();
+      this.offset = 0;
+    }
+    if (size === this.offset) return;
+
+    const buffer = Buffer.alloc(size - this.offset);
+    const fd = fs.openSync(this.filePath, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, this.offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // Stop at the last complete line (another process may be mid-append)
+    const end = buffer.lastIndexOf(0x0a) + 1;
+    if (end === 0) return;
+
+    for (const entry of this.parseLines(buffer.toString('utf8', 0, end))) {
+      this.addToTotals(entry);
+    }
+    this.offset += end;
+    this.saveTotals();
+  }
+
+  /**
+   * Write the running totals next to the ledger file
+   */
+  saveTotals() {
+    const tempPath = `${this.totalsPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({
+      offset: this.offset,
+      spend: Object.fromEntries(this.spend),
+      updatedAt: new Date().toISOString(),
+    }));
+    fs.renameSync(tempPath, this.totalsPath);
+  }
+
+  /**
+   * Add an entry's cost to the running totals
+   * @param {Object} entry - Ledger entry
+   */
+  addToTotals(entry) {
+    for (const [scope, field] of Object.entries(BUDGET_SCOPES)) {
+      if (entry[field]) {
+        const key = `${scope}:${entry[field]}`;
+        this.spend.set(key, (this.spend.get(key) || 0) + (entry.cost || 0));
+      }
+    }
+  }
+
+  /**
+   * Record one LLM call
+   *
+   * @param {Object} call - Call details
+   * @param {string} call.task - Task name ('company-research', 'email-generation', ...)
+   * @param {string} call.provider - Provider name
+   * @param {string} call.model - Model that answered
+   * @param {Object} call.usage - { inputTokens, outputTokens, totalTokens }
+   * @param {Object} [call.context] - { campaignId, clientId, leadId }
+   * @param {number} [call.durationMs] - Request duration
+   * @param {boolean} [call.rejected=false] - Response was rejected by validation (tokens still billed)
+   * @returns {Object} Ledger entry (cost comes from fallbackPrice, with estimatedCost: true, for models missing
+   *   from the price table, or is null without one)
+   */
+  record(call) {
+    const { task, provider, model, usage = {}, context = {}, durationMs = null, rejected = false } = call;
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      task: task || 'default',
+      provider,
+      model,
+      inputTokens: usage.inputTokens || 0,
+      outputTokens: usage.outputTokens || 0,
+      totalTokens: usage.totalTokens || (usage.inputTokens || 0) + (usage.outputTokens || 0),
+      cost: null,
+      campaignId: context.campaignId || null,
+      clientId: context.clientId || null,
+      leadId: context.leadId || null,
+      durationMs,
+      rejected,
+    };
+    entry.cost = calculateCost(entry, this.prices);
+
+    if (entry.cost === null && this.fallbackPrice) {
+      entry.cost = calculateCost({ ...entry, model: 'fallback' }, { fallback: this.fallbackPrice });
+      entry.estimatedCost = true;
+    } else if (entry.cost === null) {
+      this.unpricedProviders.add(provider);
+      console.warn(`[Cost Ledger] No price for model ${model}; add it to the ledger's prices to track its cost`);
+    }
+
+    this.sync();
+    const before = this.getBudgetStatuses(context);
+    if (this.filePath) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+      this.sync();
+    } else {
+      this.entries.push(entry);
+      this.addToTotals(entry);
+    }
+
+    // Warn once, when spend crosses the warning threshold
+    for (const status of this.getBudgetStatuses(context)) {
+      const previous = before.find(item => item.scope === status.scope && item.id === status.id);
+      if (status.status !== 'ok' && previous.status === 'ok') {
+        console.warn(`[Cost Ledger] ⚠️  ${status.scope} ${status.id} has used $${status.spent.toFixed(2)} of its $${status.limit.toFixed(2)} AI budget (${Math.round(status.used * 100)}%)`);
+        if (this.onBudgetWarning) this.onBudgetWarning(status);
+      }
+    }
+
+    return entry;
+  }
+
+  // ==========================================================================
+  // BUDGETS
+  // ==========================================================================
+
+  /**
+   * Set a spending limit for a campaign or client
+   *
+   * @param {string} scope - 'campaign' or 'client'
+   * @param {string} id - Campaign or client ID (matches context.campaignId / context.clientId)
+   * @param {number} limit - Limit in USD
+   * @param {Object} [options] - Options
+   * @param {number} [options.warnAt=0.8] - Fraction of the limit that triggers a warning
+   * @throws {Error} If the scope or limit is invalid
+   */
+  setBudget(scope, id, limit, options = {}) {
+    const { warnAt = DEFAULT_WARN_AT } = options;
+
+    if (!BUDGET_SCOPES[scope]) {
+      throw new Error(`Unknown budget scope '${scope}'. Use one of: ${Object.keys(BUDGET_SCOPES).join(', ')}`);
+    }
+    if (typeof limit !== 'number' || !(limit >= 0)) {
+      throw new Error(`Budget limit for ${scope} ${id} must be a non-negative number of USD`);
+    }
+
+    this.budgets.set(`${scope}:${id}`, { scope, id: String(id), limit, warnAt });
+  }
+
+  /**
+   * Remove a budget
+   * @param {string} scope - 'campaign' or 'client'
+   * @param {string} id - Campaign or client ID
+   * @returns {boolean} True if a budget was removed
+   */
+  removeBudget(scope, id) {
+    return this.budgets.delete(`${scope}:${id}`);
+  }
+
+  /**
+   * Spend against a budget
+   *
+   * @param {string} scope - 'campaign' or 'client'
+   * @param {string} id - Campaign or client ID
+   * @returns {Object|null} { scope, id, limit, warnAt, spent, remaining, used, status: 'ok'|'warning'|'exceeded' }, or null without a budget
+   */
+  getBudgetStatus(scope, id) {
+    const budget = this.budgets.get(`${scope}:${id}`);
+    if (!budget) return null;
+
+    const spent = roundCost(this.spend.get(`${scope}:${id}`) || 0);
+    const used = budget.limit > 0 ? spent / budget.limit : 1;
+
+    let status = 'ok';
+    if (spent >= budget.limit) {
+      status = 'exceeded';
+    } else if (used >= budget.warnAt) {
+      status = 'warning';
+    }
+
+    return {
+      ...budget,
+      spent,
+      remaining: roundCost(Math.max(budget.limit - spent, 0)),
+      used: Math.round(used * 1000) / 1000,
+      status,
+    };
+  }
+
+  /**
+   * Budget statuses that apply to a call context
+   * @param {Object} [context] - { campaignId, clientId }
+   * @returns {Object[]} Budget statuses
+   */
+  getBudgetStatuses(context = {}) {
+    return Object.entries(BUDGET_SCOPES)
+      .filter(([, field]) => context[field])
+      .map(([scope, field]) => this.getBudgetStatus(scope, context[field]))
+      .filter(Boolean);
+  }
+
+  /**
+   * Stop a call whose campaign or client budget is used up, or whose model
+   * has no price (and no fallbackPrice) while a budget applies
+   *
+   * @param {Object} [context] - { campaignId, clientId }
+   * @param {Object} [call] - { provider, model } about to be called (model null = the provider's default)
+   * @returns {Object[]} Budget statuses that apply
+   * @throws {Error} code 'LLM_BUDGET_EXCEEDED' (not retryable) if any budget is exceeded or can't count the call
+   */
+  assertWithinBudget(context = {}, call = {}) {
+    this.sync();
+    const statuses = this.getBudgetStatuses(context);
+    const exceeded = statuses.find(status => status.status === 'exceeded');
+
+    if (exceeded) {
+      throw budgetError(
+        `AI budget exceeded for ${exceeded.scope} ${exceeded.id}: $${exceeded.spent.toFixed(2)} spent of $${exceeded.limit.toFixed(2)}. ` +
+        'Raise the budget with setBudget() to continue.',
+        exceeded
+      );
+    }
+
+    // With no model named, the provider's default is unpriced if it already answered without a price
+    const unpriced = call.model
+      ? calculateCost(call, this.prices) === null
+      : this.unpricedProviders.has(call.provider);
+    if (statuses.length > 0 && call.provider && !this.fallbackPrice && unpriced) {
+      throw budgetError(
+        `No price for model ${call.model || `(${call.provider} default)`}, so its calls can't count toward the AI budget for ${statuses[0].scope} ${statuses[0].id}. ` +
+        'Add it to the ledger\'s prices or set a fallbackPrice.',
+        statuses[0]
+      );
+    }
+
+    return statuses;
+  }
+
+  // ==========================================================================
+  // REPORTING
+  // ==========================================================================
+
+  /**
+   * Entries matching a filter
+   *
+   * @param {Object} [filter] - { startDate, endDate, campaignId, clientId, leadId, task }
+   * @returns {Object[]} Matching entries
+   */
+  getEntries(filter = {}) {
+    const start = filter.startDate ? new Date(filter.startDate).getTime() : -Infinity;
+    const end = filter.endDate ? new Date(filter.endDate).getTime() : Infinity;
+
+    const entries = this.filePath ? this.readEntries() : this.entries;
+    return entries.filter(entry => {
+      const time = new Date(entry.timestamp).getTime();
+      return time >= start && time <= end &&
+        ['campaignId', 'clientId', 'leadId', 'task'].every(field => !filter[field] || entry[field] === filter[field]);
+    });
+  }
+
+  /**
+   * Totals for a filter, broken down by task, model, campaign and client
+   *
+   * @param {Object} [filter] - { startDate, endDate, campaignId, clientId, leadId, task }
+   * @returns {Object} { calls, inputTokens, outputTokens, totalTokens, cost, unpricedCalls, estimatedCalls, byTask, byModel, byCampaign, byClient, budgets }
+   */
+  summarize(filter = {}) {
+    const summary = {
+      calls: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      totalTokens: 0,
+      cost: 0,
+      unpricedCalls: 0,
+      estimatedCalls: 0,
+      byTask: {},
+      byModel: {},
+      byCampaign: {},
+      byClient: {},
+    };
+
+    const addTo = (group, key, entry) => {
+      if (!key) return;
+      const totals = group[key] || (group[key] = { calls: 0, totalTokens: 0, cost: 0 });
+      totals.calls++;
+      totals.totalTokens += entry.totalTokens;
+      totals.cost = roundCost(totals.cost + (entry.cost || 0));
+    };
+
+    for (const entry of this.getEntries(filter)) {
+      summary.calls++;
+      summary.inputTokens += entry.inputTokens;
+      summary.outputTokens += entry.outputTokens;
+      summary.totalTokens += entry.totalTokens;
+      summary.cost += entry.cost || 0;
+      if (entry.cost === null) summary.unpricedCalls++;
+      if (entry.estimatedCost) summary.estimatedCalls++;
+
+      addTo(summary.byTask, entry.task, entry);
+      addTo(summary.byModel, entry.model, entry);
+      addTo(summary.byCampaign, entry.campaignId, entry);
+      addTo(summary.byClient, entry.clientId, entry);
+    }
+
+    summary.cost = roundCost(summary.cost);
+    summary.budgets = [...this.budgets.values()].map(budget => this.getBudgetStatus(budget.scope, budget.id));
+    return summary;
+  }
+}
+
+/**
+ * Hard-stop error for a budget (not retryable)
+ * @param {string} message - Error message
+ * @param {Object} budget - Budget status
+ * @returns {Error} Error with code 'LLM_BUDGET_EXCEEDED'
+ */
+function budgetError(message, budget) {
+  const error = new Error(message);
+  error.code = 'LLM_BUDGET_EXCEEDED';
+  error.retryable = false;
+  error.budget = budget;
+  return error;
+}
+
+/**
+ * The process-wide ledger used by llm-client
+ * @returns {CostLedger} Shared ledger
+ */
+function getSharedCostLedger() {
+  if (!sharedLedger) {
+    sharedLedger = new CostLedger();
+  }
+  return sharedLedger;
+}
+
+/**
+ * Replace the shared ledger (e.g. a different file, prices or budgets); null resets to the default
+ * @param {CostLedger|null} ledger - Ledger to share
+ */
+function setSharedCostLedger(ledger) {
+  sharedLedger = ledger;
+}
+
+module.exports = {
+  CostLedger,
+  getSharedCostLedger,
+  setSharedCostLedger,
+  calculateCost,
+  getModelPrice,
+  MODEL_PRICES,
+};
@@ -0,0 +1,566 @@
+/**
+ * Email Approach Library
+ *
+ * Outreach email approaches as data instead of code. An approach is a name and
+ * version, prompt instructions (a template with {{firstName}}-style
+ * placeholders), a tone, length limits, validation rules and a fallback
+ * template for when the LLM fails. generateOutreachEmails writes one email per
+ * approach and stores the approach definition, with its version, on each email.
+ *
+ * Built-in approaches: problem-solution, social-proof and question (the
+ * original three, and the default set) plus compliance-safe, which makes no
+ * claims about pricing, savings, coverage or results (used by the insurance
+ * vertical).
+ *
+ * Follow-up approaches (follow-up-bump, follow-up-value-add, follow-up-breakup)
+ * write the later steps of a sequence (generateOutreachSequence); their
+ * templates can also use {{openerSubject}}.
+ *
+ * Approaches are picked per contact: an explicit list, else the client's list
+ * (clientApproaches, by clientId), else the vertical's (verticalApproaches
+ * option, then emailApproaches on the vertical definition), else
+ * DEFAULT_APPROACHES. Register a variant with extends to change a built-in for
+ * one client without touching this file.
+ *
+ * @module email-approaches
+ */
+
+const fs = require('fs');
+const { findVertical } = require('../verticals');
+
+const APPROACH_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+// Used when a contact has no client or vertical approaches
+const DEFAULT_APPROACHES = ['problem-solution', 'social-proof', 'question'];
+
+// Validation limits derived from length when an approach doesn't set them:
+// word count within 20% of the target range, subject up to 10 characters over
+const WORD_TOLERANCE = 0.2;
+const SUBJECT_TOLERANCE = 10;
+const MIN_SUBJECT_CHARS = 5;
+
+// Template placeholders (contact fields plus researchSnippet in fallbacks)
+const TEMPLATE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// ============================================================================
+// BUILT-IN APPROACHES
+// ============================================================================
+
+const STANDARD_TONE = 'Professional but conversational, helpful not salesy';
+const STANDARD_LENGTH = { minWords: 100, maxWords: 150, subjectMaxChars: 60 };
+
+const PROBLEM_SOLUTION_APPROACH = {
+  name: 'problem-solution',
+  version: 1,
+  description: 'Name a likely challenge and present the offer as the answer',
+  tone: STANDARD_TONE,
+  length: STANDARD_LENGTH,
+  instructions: `Use a problem/solution approach:
+- Start by identifying a specific challenge their company likely faces
+- Reference insights from the company research
+- Present your solution as the answer to that problem
+- Be direct and value-focused`,
+  fallback: {
+    subject: 'Quick idea for {{companyName}}',
+    body: `Hi {{firstName}},
+
+I was researching {{companyName}} and noticed {{researchSnippet}}.
+
+Many companies in your space struggle with scaling their client acquisition efficiently. We've helped similar agencies streamline their prospecting process and increase qualified leads by 40%.
+
+Would you be open to a quick 15-minute call to explore if this could work for {{companyName}}?
+
+Best regards`,
+  },
+};
+
+const SOCIAL_PROOF_APPROACH = {
+  name: 'social-proof',
+  version: 1,
+  description: 'Lead with results for similar clients',
+  tone: STANDARD_TONE,
+  length: STANDARD_LENGTH,
+  instructions: `Use a social proof/case study approach:
+- Open with a brief success story or statistic from similar clients
+- Make it relevant to their industry or situation
+- Show credibility through specific results
+- Connect the dots to how they could benefit`,
+  fallback: {
+    subject: 'How we helped 3 agencies like {{companyName}}',
+    body: `Hi {{firstName}},
+
+We recently helped three agencies similar to {{companyName}} increase their pipeline by 40% through automated prospecting.
+
+I noticed {{researchSnippet}}, which suggests you might benefit from a similar approach.
+
+Would you be interested in a brief call to see if this could work for your team?
+
+Best regards`,
+  },
+};
+
+const QUESTION_APPROACH = {
+  name: 'question',
+  version: 1,
+  description: 'Open with a question that invites a reply',
+  tone: STANDARD_TONE,
+  length: STANDARD_LENGTH,
+  instructions: `Use a question/curiosity approach:
+- Start with a thought-provoking question about their business
+- Reference something specific from the company research
+- Create curiosity about your solution
+- Make them want to reply to learn more`,
+  fallback: {
+    subject: "Question about {{companyName}}'s growth strategy",
+    body: `Hi {{firstName}},
+
+I was researching {{companyName}} and had a quick question about your client acquisition strategy.
+
+{{researchSnippet}}—this made me curious about how you're currently handling prospecting at scale.
+
+Would you have 15 minutes for a quick conversation? I'd love to share what's working for similar agencies.
+
+Best regards`,
+  },
+};
+
+const COMPLIANCE_SAFE_APPROACH = {
+  name: 'compliance-safe',
+  version: 1,
+  description: 'For regulated industries: no claims about pricing, savings, coverage or results',
+  tone: 'Professional, measured and factual; no hype or urgency',
+  length: { minWords: 80, maxWords: 130, subjectMaxChars: 60 },
+  instructions: `Use a compliance-safe, consultative approach:
+- Open with a factual observation about their business from the company research
+- Make no claims about pricing, savings, coverage, returns or guaranteed outcomes
+- Do not cite statistics, percentages, client results or testimonials
+- Offer a conversation, not a promise`,
+  validation: {
+    bannedPhrases: ['guarantee', '%', 'risk-free', 'no risk', 'save you', 'savings of', 'lowest rate', 'cheapest', 'best coverage', 'fully covered'],
+  },
+  fallback: {
+    subject: 'A question for {{companyName}}',
+    body: `Hi {{firstName}},
+
+I came across {{companyName}} and noticed {{researchSnippet}}.
+
+We work with firms in your space on how they find and follow up with new prospects, so the team spends its time on conversations rather than lists and research.
+
+I don't know yet whether that is relevant for {{companyName}}, which is why I'm asking rather than pitching.
+
+Would you be open to a short call to compare notes on how you bring in new business today? If the timing isn't right, no problem at all.
+
+Best regards`,
+  },
+};
+
+// Follow-up steps for generateOutreachSequence; bumps reply in the opener's
+// thread, so follow-up subjects allow room for "Re: "
+const FOLLOW_UP_TONE = 'Friendly, brief and low-pressure; sounds like a person following up, not a template';
+
+const FOLLOW_UP_BUMP_APPROACH = {
+  name: 'follow-up-bump',
+  version: 1,
+  description: 'Short nudge on the opener\'s thread',
+  tone: FOLLOW_UP_TONE,
+  length: { minWords: 25, maxWords: 60, subjectMaxChars: 70 },
+  instructions: `Write a short bump on the same thread:
+- Use "Re: " and the opener's subject as the subject line
+- Refer back to the earlier email in one line, without restating its pitch
+- Add one small new reason to reply (a question, a detail from the research)
+- End with a simple yes/no question`,
+  fallback: {
+    subject: 'Re: {{openerSubject}}',
+    body: `Hi {{firstName}},
+
+Bringing my note from earlier this week back to the top of your inbox in case it got buried.
+
+Would a short call about how {{companyName}} brings in new clients be worth 15 minutes this week or next?
+
+Best regards`,
+  },
+};
+
+const FOLLOW_UP_VALUE_ADD_APPROACH = {
+  name: 'follow-up-value-add',
+  version: 1,
+  description: 'Give something useful that the earlier emails did not',
+  tone: FOLLOW_UP_TONE,
+  length: { minWords: 50, maxWords: 90, subjectMaxChars: 70 },
+  instructions: `Write a value-add follow-up:
+- Share one new, concrete piece of value tied to the company research: an insight, a relevant example or a resource
+- Use something the earlier emails did not mention
+- Mention the earlier email briefly so the thread makes sense
+- Offer the value without asking for much in return; a soft call-to-action is enough`,
+  fallback: {
+    subject: 'Re: {{openerSubject}}',
+    body: `Hi {{firstName}},
+
+One more thought since my first email. Firms like {{companyName}} usually get more from a steady outreach routine than from any single campaign: a short list of well-researched prospects each week, written to personally and followed up on.
+
+If it's useful, I'm happy to share the checklist we use so you can compare it with what you do today.
+
+Best regards`,
+  },
+};
+
+const FOLLOW_UP_BREAKUP_APPROACH = {
+  name: 'follow-up-breakup',
+  version: 1,
+  description: 'Politely close the loop',
+  tone: FOLLOW_UP_TONE,
+  length: { minWords: 30, maxWords: 70, subjectMaxChars: 70 },
+  instructions: `Write a polite breakup email, the last in the sequence:
+- Say plainly that this is your last note on the topic
+- Briefly remind them what the earlier emails offered, in different words
+- Make it easy to say "not now" or to point you to the right person
+- No guilt, pressure or sarcasm`,
+  fallback: {
+    subject: 'Closing the loop, {{firstName}}',
+    body: `Hi {{firstName}},
+
+I haven't heard back, so I'll assume the timing isn't right and close the loop on my side.
+
+If finding new clients does become a priority for {{companyName}} later on, just reply to this email and I'll pick things up from there.
+
+Best regards`,
+  },
+};
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+// Registered definitions (as given, before extends is applied)
+const approaches = new Map();
+
+/**
+ * Validate an email approach definition
+ *
+ * @param {Object} approach - Approach definition
+ * @returns {Object} { isValid, errors }
+ */
+function validateEmailApproach(approach) {
+  const errors = [];
+
+  if (!approach || typeof approach !== 'object') {
+    return { isValid: false, errors: ['Email approach must be an object'] };
+  }
+
+  if (!approach.name || typeof approach.name !== 'string') {
+    errors.push('name is required and must be a string');
+  } else if (!APPROACH_NAME_PATTERN.test(approach.name)) {
+    errors.push('name may only contain letters, numbers, - and _');
+  }
+
+  if (approach.version !== undefined && (!Number.isInteger(approach.version) || approach.version < 1)) {
+    errors.push('version must be a positive integer');
+  }
+
+  if (approach.extends && typeof approach.extends !== 'string') {
+    errors.push('extends must be the name of a registered approach');
+  }
+
+  // A base approach supplies whatever an extending one leaves out (checked after extends is applied)
+  if (!approach.extends) {
+    checkComplete(approach, errors);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors,
+  };
+}
+
+/**
+ * Check the fields a complete (resolved) approach needs
+ */
+function checkComplete(approach, errors) {
+  for (const field of ['instructions', 'tone']) {
+    if (typeof approach[field] !== 'string' || !approach[field].trim()) {
+      errors.push(`${field} is required and must be a string`);
+    }
+  }
+
+  const length = approach.length || {};
+  if (!Number.isInteger(length.minWords) || !Number.isInteger(length.maxWords) || length.minWords > length.maxWords) {
+    errors.push('length.minWords and length.maxWords are required (integers, min <= max)');
+  }
+  if (length.subjectMaxChars !== undefined && !Number.isInteger(length.subjectMaxChars)) {
+    errors.push('length.subjectMaxChars must be an integer');
+  }
+
+  const validation = approach.validation || {};
+  for (const key of ['minWords', 'maxWords', 'subjectMinChars', 'subjectMaxChars']) {
+    if (validation[key] !== undefined && !Number.isInteger(validation[key])) {
+      errors.push(`validation.${key} must be an integer`);
+    }
+  }
+  for (const key of ['bannedPhrases', 'requiredPhrases']) {
+    if (validation[key] !== undefined &&
+        (!Array.isArray(validation[key]) || validation[key].some(phrase => typeof phrase !== 'string' || !phrase))) {
+      errors.push(`validation.${key} must be an array of strings`);
+    }
+  }
+
+  const fallback = approach.fallback || {};
+  if (typeof fallback.subject !== 'string' || typeof fallback.body !== 'string') {
+    errors.push('fallback must have string subject and body templates');
+  }
+}
+
+/**
+ * Register an email approach
+ *
+ * @param {Object} approach - Approach definition
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.replace=false] - Overwrite an existing approach
+ * @returns {Object} Resolved approach
+ * @throws {Error} If the approach is invalid or already registered
+ */
+function registerEmailApproach(approach, options = {}) {
+  const { replace = false } = options;
+
+  const validation = validateEmailApproach(approach);
+  if (!validation.isValid) {
+    const label = approach && approach.name ? approach.name : 'unnamed';
+    throw new Error(`Email approach '${label}' is invalid:\n  - ${validation.errors.join('\n  - ')}`);
+  }
+
+  if (approaches.has(approach.name) && !replace) {
+    throw new Error(`Email approach '${approach.name}' is already registered. Pass { replace: true } to overwrite it.`);
+  }
+
+  const resolved = resolveDefinition(approach, [approach.name]); // Throws before registering a broken approach
+  approaches.set(approach.name, approach);
+
+  return resolved;
+}
+
+/**
+ * Load an email approach from a JSON file
+ *
+ * @param {string} filePath - Path to the approach JSON
+ * @returns {Object} Resolved approach
+ */
+function loadEmailApproach(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Email approach file not found: ${filePath}`);
+  }
+
+  const approach = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return resolveEmailApproach(approach);
+}
+
+/**
+ * Resolve an approach reference
+ *
+ * @param {string|Object} approach - Registered name, path to a .json file, or an approach object
+ * @returns {Object} Resolved approach { name, version, description, extends, instructions, tone,
+ *   length, validation, fallback, resolved: true }
+ * @throws {Error} If the approach is unknown or invalid
+ */
+function resolveEmailApproach(approach) {
+  if (typeof approach === 'string') {
+    if (approach.endsWith('.json')) return loadEmailApproach(approach);
+
+    const definition = approaches.get(approach);
+    if (!definition) {
+      throw new Error(`Unknown email approach: ${approach}. Registered approaches: ${listEmailApproaches().join(', ')}`);
+    }
+    return resolveDefinition(definition, [approach]);
+  }
+
+  if (approach && approach.resolved) return approach;
+
+  const validation = validateEmailApproach(approach);
+  if (!validation.isValid) {
+    const label = approach && approach.name ? approach.name : 'unnamed';
+    throw new Error(`Email approach '${label}' is invalid:\n  - ${validation.errors.join('\n  - ')}`);
+  }
+
+  return resolveDefinition(approach, [approach.name]);
+}
+
+/**
+ * List registered approach names
+ *
+ * @returns {string[]} Approach names
+ */
+function listEmailApproaches() {
+  return Array.from(approaches.keys());
+}
+
+/**
+ * Pick the approaches to write for a contact
+ *
+ * @param {Object} contact - Contact (contact.vertical selects vertical approaches)
+ * @param {Object} [options] - Options
+ * @param {Array<string|Object>} [options.approaches] - Approaches for this call (wins over client and vertical)
+ * @param {number} [options.count] - Use only the first count approaches of the list
+ * @param {string} [options.clientId] - Client the email is for
+ * @param {Object} [options.clientApproaches] - Client id -> approaches, e.g. { acme: ['acme-compliance', 'question'] }
+ * @param {Object} [options.verticalApproaches] - Vertical -> approaches overrides, e.g. { insurance: ['question'] }
+ * @returns {Object[]} Resolved approaches
+ * @throws {Error} If an approach is unknown or invalid, listed twice, or count is out of range
+ */
+function getApproachesForContact(contact, options = {}) {
+  const { approaches: explicit = null, count = null, clientId = null, clientApproaches = {}, verticalApproaches = {} } = options;
+
+  let chosen = explicit;
+  if (!chosen && clientId && clientApproaches[clientId]) {
+    chosen = clientApproaches[clientId];
+  }
+  if (!chosen) {
+    const vertical = findVertical(contact.vertical);
+    const verticalKey = vertical ? vertical.key : contact.vertical;
+    chosen = (verticalKey && verticalApproaches[verticalKey]) || (vertical && vertical.emailApproaches) || DEFAULT_APPROACHES;
+  }
+
+  const resolved = [].concat(chosen).map(resolveEmailApproach);
+  const names = resolved.map(approach => approach.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Email approach '${duplicate}' is listed more than once`);
+  }
+
+  if (count !== null && count !== undefined) {
+    if (!Number.isInteger(count) || count < 1 || count > resolved.length) {
+      throw new Error(`Email count must be an integer from 1 to ${resolved.length} (approaches: ${names.join(', ')})`);
+    }
+    return resolved.slice(0, count);
+  }
+
+  if (resolved.length === 0) {
+    throw new Error('At least one email approach is required');
+  }
+  return resolved;
+}
+
+// ============================================================================
+// TEMPLATES & VALIDATION
+// ============================================================================
+
+/**
+ * Fill {{placeholders}} in an approach template (unknown placeholders become empty)
+ *
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string} Rendered text
+ */
+function renderApproachTemplate(template, values) {
+  return template.replace(TEMPLATE_PATTERN, (match, key) => (values[key] === undefined || values[key] === null ? '' : String(values[key])));
+}
+
+/**
+ * Check an email against an approach's validation rules
+ *
+ * @param {Object} email - { subject, body }
+ * @param {Object} approach - Resolved approach
+ * @returns {string[]} Problems (empty if the email passes)
+ */
+function checkEmailAgainstApproach(email, approach) {
+  const { validation } = approach;
+  const errors = [];
+
+  if (email.subject.length < validation.subjectMinChars || email.subject.length > validation.subjectMaxChars) {
+    errors.push(`subject has ${email.subject.length} characters (allowed ${validation.subjectMinChars}-${validation.subjectMaxChars})`);
+  }
+
+  const wordCount = email.body.trim().split(/\s+/).length;
+  if (wordCount < validation.minWords || wordCount > validation.maxWords) {
+    errors.push(`body has ${wordCount} words (expected ${approach.length.minWords}-${approach.length.maxWords})`);
+  }
+
+  const text = `${email.subject}\n${email.body}`.toLowerCase();
+  for (const phrase of validation.bannedPhrases) {
+    if (text.includes(phrase.toLowerCase())) errors.push(`uses banned phrase "${phrase}"`);
+  }
+  for (const phrase of validation.requiredPhrases) {
+    if (!text.includes(phrase.toLowerCase())) errors.push(`missing required phrase "${phrase}"`);
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Apply extends: fields override the base's, length, validation and fallback merge key by key
+ */
+function mergeDefinition(definition, chain) {
+  if (!definition.extends) return definition;
+
+  if (chain.includes(definition.extends)) {
+    throw new Error(`Email approach '${definition.name}' has a circular extends: ${chain.concat(definition.extends).join(' -> ')}`);
+  }
+  const parent = approaches.get(definition.extends);
+  if (!parent) {
+    throw new Error(`Email approach '${definition.name}' extends unknown approach '${definition.extends}'`);
+  }
+
+  const base = mergeDefinition(parent, chain.concat(definition.extends));
+  return {
+    ...base,
+    ...definition,
+    length: { ...base.length, ...definition.length },
+    validation: { ...base.validation, ...definition.validation },
+    fallback: { ...base.fallback, ...definition.fallback },
+  };
+}
+
+/**
+ * Apply extends, check the merged approach and fill validation limits not set explicitly
+ */
+function resolveDefinition(definition, chain) {
+  const merged = mergeDefinition(definition, chain);
+
+  const errors = [];
+  checkComplete(merged, errors);
+  if (errors.length > 0) {
+    throw new Error(`Email approach '${definition.name}' is invalid:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const length = { subjectMaxChars: 60, ...merged.length };
+
+  return {
+    name: definition.name,
+    version: definition.version || 1, // Each definition has its own version, extends or not
+    description: merged.description || null,
+    extends: definition.extends || null,
+    instructions: merged.instructions,
+    tone: merged.tone,
+    length,
+    validation: {
+      minWords: Math.floor(length.minWords * (1 - WORD_TOLERANCE)),
+      maxWords: Math.ceil(length.maxWords * (1 + WORD_TOLERANCE)),
+      subjectMinChars: MIN_SUBJECT_CHARS,
+      subjectMaxChars: length.subjectMaxChars + SUBJECT_TOLERANCE,
+      bannedPhrases: [],
+      requiredPhrases: [],
+      ...merged.validation,
+    },
+    fallback: { subject: merged.fallback.subject, body: merged.fallback.body },
+    resolved: true,
+  };
+}
+
+// Built-in approaches
+[
+  PROBLEM_SOLUTION_APPROACH, SOCIAL_PROOF_APPROACH, QUESTION_APPROACH, COMPLIANCE_SAFE_APPROACH,
+  FOLLOW_UP_BUMP_APPROACH, FOLLOW_UP_VALUE_ADD_APPROACH, FOLLOW_UP_BREAKUP_APPROACH,
+].forEach(approach => registerEmailApproach(approach));
+
+module.exports = {
+  registerEmailApproach,
+  loadEmailApproach,
+  resolveEmailApproach,
+  validateEmailApproach,
+  listEmailApproaches,
+  getApproachesForContact,
+  renderApproachTemplate,
+  checkEmailAgainstApproach,
+  DEFAULT_APPROACHES,
+};
@@ -1,127 +1,115 @@
 /**
  * AI-Powered Email Generation Module
  *
- * Uses OpenAI ChatGPT to generate 3 personalized outreach email variants
+ * Uses an LLM (OpenAI by default; provider and model are set per task in
+ * llm-client.js config) to generate personalized outreach email variants
  * per contact using company research and contact data. Each email uses a
- * different approach to maximize response rates.
+ * different approach from the approach library (email-approaches.js): three
+ * by default, or any subset, count or custom approaches per call, client or
+ * vertical. Every email carries the approach definition and version it was
+ * written with.
+ *
+ * Sequence mode (generateOutreachSequence) writes a 3-5 step sequence: the
+ * opener, then bumps, a value-add and a breakup from the follow-up approaches.
+ * Each follow-up sees the earlier emails and must not repeat the opener's
+ * hook; delays follow getEmailSequence's schedule, every step must pass
+ * validateEmail (email-templates.js), and prepareSequenceUpload turns
+ * sequences into an Instantly or Smartlead campaign sequence plus per-lead
+ * variables.
  *
  * @module email-generation
  */
 
-const OpenAI = require('openai');
-
-// OpenAI client (lazy initialization)
-let openai = null;
-
-/**
- * Get or initialize OpenAI client
- * @returns {OpenAI} OpenAI client instance
- * @throws {Error} If API key is not set
- */
-function getOpenAIClient() {
-  if (!openai) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error(
-        'OPENAI_API_KEY environment variable is required. ' +
-        'Set it before calling generateOutreachEmails().'
-      );
-    }
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-  }
-  return openai;
-}
-
-// Rate limiting configuration
-const RATE_LIMIT = {
-  maxRequestsPerMinute: 10,
-  requestTimestamps: [],
+const { complete } = require('./llm-client');
+const { validateResearch } = require('./company-research');
+const {
+  getApproachesForContact,
+  resolveEmailApproach,
+  renderApproachTemplate,
+  checkEmailAgainstApproach,
+} = require('./email-approaches');
+const { validateEmail, SPAM_WORDS, SEQUENCE_DELAYS } = require('../utils/email-templates');
+
+// System prompts for the email and sequence tasks
+const EMAIL_SYSTEM_PROMPT = 'You are an expert B2B sales copywriter specializing in personalized cold email outreach. Write compelling, research-backed emails that get replies. Always return valid JSON format with subject and body fields.';
+const SEQUENCE_SYSTEM_PROMPT = 'You are an expert B2B sales copywriter writing follow-up emails in a cold outreach sequence. Each email builds on the earlier ones in the thread without repeating them. Always return valid JSON format with subject and body fields.';
+
+// Sequence layouts by step count: [role, delay in days after the opener], on
+// getEmailSequence's schedule; five steps add a second bump (email3_bump)
+const SEQUENCE_PLANS = {
+  3: [['opener', SEQUENCE_DELAYS.email1], ['value-add', SEQUENCE_DELAYS.email2], ['breakup', SEQUENCE_DELAYS.email3]],
+  4: [['opener', SEQUENCE_DELAYS.email1], ['bump', SEQUENCE_DELAYS.email2], ['value-add', SEQUENCE_DELAYS.email3], ['breakup', SEQUENCE_DELAYS.email4_nurture]],
+  5: [['opener', SEQUENCE_DELAYS.email1], ['bump', SEQUENCE_DELAYS.email2], ['value-add', SEQUENCE_DELAYS.email3], ['bump', SEQUENCE_DELAYS.email3_bump], ['breakup', SEQUENCE_DELAYS.email4_nurture]],
 };
 
-// Retry configuration
-const RETRY_CONFIG = {
-  maxAttempts: 3,
-  baseDelay: 1000, // 1 second
-  maxDelay: 8000, // 8 seconds
+// Follow-up approach per step role (options.stepApproaches overrides)
+const FOLLOW_UP_APPROACHES = {
+  bump: 'follow-up-bump',
+  'value-add': 'follow-up-value-add',
+  breakup: 'follow-up-breakup',
 };
 
-/**
- * Sleep utility for retry delays
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+// Hooks shorter than this are too generic to check for repeats
+const MIN_HOOK_CHARS = 20;
 
 /**
- * Calculate exponential backoff delay
- * @param {number} attempt - Current attempt number (0-indexed)
- * @returns {number} Delay in milliseconds
- */
-function getBackoffDelay(attempt) {
-  const delay = RETRY_CONFIG.baseDelay * Math.pow(2, attempt);
-  return Math.min(delay, RETRY_CONFIG.maxDelay);
-}
-
-/**
- * Check and enforce rate limiting
- * @returns {Promise<void>}
+ * Render company research for the email prompt
+ *
+ * Structured research (company-research.js, format: 'structured') is laid out
+ * field by field with confidences, so the model can lean on solid facts and
+ * avoid asserting guesses; a text summary is passed through as-is. Claims in
+ * grounded research that no source supports are moved to an "Unverified"
+ * section the model is told not to state as fact.
+ *
+ * @param {string|Object} companyResearch - Research summary or research object
+ * @returns {string} Research section of the prompt
  */
-async function enforceRateLimit() {
-  const now = Date.now();
-  const oneMinuteAgo = now - 60000;
-
-  // Remove timestamps older than 1 minute
-  RATE_LIMIT.requestTimestamps = RATE_LIMIT.requestTimestamps.filter(
-    timestamp => timestamp > oneMinuteAgo
-  );
-
-  // If at rate limit, wait until oldest request expires
-  if (RATE_LIMIT.requestTimestamps.length >= RATE_LIMIT.maxRequestsPerMinute) {
-    const oldestTimestamp = RATE_LIMIT.requestTimestamps[0];
-    const waitTime = oldestTimestamp + 60000 - now;
-
-    if (waitTime > 0) {
-      console.log(`[Rate Limit] Waiting ${Math.ceil(waitTime / 1000)}s before next request...`);
-      await sleep(waitTime);
-    }
+function formatResearchForPrompt(companyResearch) {
+  if (typeof companyResearch === 'string') {
+    return companyResearch;
   }
 
-  // Record this request
-  RATE_LIMIT.requestTimestamps.push(Date.now());
+  const grounded = companyResearch.grounded === true;
+  const isUnverified = sources => grounded && !(sources && sources.length > 0);
+  const unverified = [];
+
+  const sections = [
+    ['Services offered', companyResearch.servicesOffered],
+    ['Likely pain points', companyResearch.painPoints],
+    ['Growth signals', companyResearch.growthSignals],
+    ['Decision-maker hints', companyResearch.decisionMakerHints],
+    ['Recent news hooks', companyResearch.newsHooks],
+    ['Personalization angles', companyResearch.personalizationAngles],
+  ]
+    .map(([label, items]) => {
+      unverified.push(...items.filter(item => isUnverified(item.sources)).map(item => `- ${label}: ${item.text}`));
+      return [label, items.filter(item => !isUnverified(item.sources))];
+    })
+    .filter(([, items]) => items.length > 0)
+    .map(([label, items]) => `${label}:\n${items.map(item => `- ${item.text} (confidence ${item.confidence})`).join('\n')}`);
+
+  return [
+    `Summary${isUnverified(companyResearch.summarySources) ? ' (unverified)' : ''}: ${companyResearch.summary}`,
+    `Target market${isUnverified(companyResearch.targetMarketSources) ? ' (unverified)' : ''}: ${companyResearch.targetMarket}`,
+    ...sections,
+    ...(unverified.length > 0
+      ? [`Unverified (no source supports these; do not state them as fact):\n${unverified.join('\n')}`]
+      : []),
+    'Only state items with confidence 0.7 or higher as fact; treat lower-confidence items as hypotheses to ask about.',
+  ].join('\n\n');
 }
 
 /**
- * Build ChatGPT prompt for a specific email variant
+ * Build LLM prompt for a specific email variant
  * @param {Object} contact - Contact information
- * @param {string} companyResearch - Company research summary
- * @param {string} approach - Email approach type
+ * @param {string|Object} companyResearch - Company research summary or structured research
+ * @param {Object} approach - Resolved email approach
  * @returns {string} Formatted prompt
  */
 function buildEmailPrompt(contact, companyResearch, approach) {
   const { firstName, lastName, jobTitle, companyName, industry, location } = contact;
-
-  const approachInstructions = {
-    'problem-solution': `Use a problem/solution approach:
-- Start by identifying a specific challenge their company likely faces
-- Reference insights from the company research
-- Present your solution as the answer to that problem
-- Be direct and value-focused`,
-
-    'social-proof': `Use a social proof/case study approach:
-- Open with a brief success story or statistic from similar clients
-- Make it relevant to their industry or situation
-- Show credibility through specific results
-- Connect the dots to how they could benefit`,
-
-    'question': `Use a question/curiosity approach:
-- Start with a thought-provoking question about their business
-- Reference something specific from the company research
-- Create curiosity about your solution
-- Make them want to reply to learn more`
-  };
+  const { length } = approach;
+  const words = `${length.minWords}-${length.maxWords} words`;
 
   return `Generate a personalized outreach email for the following prospect:
 
@@ -133,25 +121,37 @@ Contact Information:
 - Location: ${location}
 
 Company Research:
-${companyResearch}
+${formatResearchForPrompt(companyResearch)}
 
 Email Requirements:
-- Length: 100-150 words (body only, excluding subject line)
-- Tone: Professional but conversational, helpful not salesy
-- ${approachInstructions[approach]}
+- Length: ${words} (body only, excluding subject line)
+- Tone: ${approach.tone}
+- ${renderApproachTemplate(approach.instructions, contact)}
 - Include a specific call-to-action (15-minute call, quick question, etc.)
 - Reference specific details from the company research to show you did homework
-- Address ${firstName} by first name
+- Address ${firstName} by first name${formatPhraseRules(approach.validation)}
 
 Format your response as JSON with this exact structure:
 {
-  "subject": "Your subject line here (under 60 characters)",
-  "body": "Your email body here (100-150 words)"
+  "subject": "Your subject line here (under ${length.subjectMaxChars} characters)",
+  "body": "Your email body here (${words})"
 }
 
 Important: Return ONLY valid JSON, no additional text or markdown formatting.`;
 }
 
+/**
+ * Prompt lines for an approach's banned and required phrases
+ * @param {Object} validation - Resolved approach validation rules
+ * @returns {string} Lines (each starting with a newline), or '' if there are none
+ */
+function formatPhraseRules(validation) {
+  return [
+    ...(validation.bannedPhrases.length > 0 ? [`- Never use: ${validation.bannedPhrases.map(phrase => `"${phrase}"`).join(', ')}`] : []),
+    ...(validation.requiredPhrases.length > 0 ? [`- Include word for word: ${validation.requiredPhrases.map(phrase => `"${phrase}"`).join(', ')}`] : []),
+  ].map(rule => `\n${rule}`).join('');
+}
+
 /**
  * Validate contact data input
  * @param {Object} contact - Contact information to validate
@@ -172,12 +172,20 @@ function validateContactData(contact) {
 
 /**
  * Validate company research input
- * @param {string} companyResearch - Company research summary
+ * @param {string|Object} companyResearch - Company research summary or structured research
  * @throws {Error} If research is missing or invalid
  */
 function validateCompanyResearch(companyResearch) {
+  if (companyResearch && typeof companyResearch === 'object') {
+    const errors = validateResearch(companyResearch);
+    if (errors.length > 0) {
+      throw new Error(`Company research does not match the research schema: ${errors.join('; ')}`);
+    }
+    return;
+  }
+
   if (!companyResearch || typeof companyResearch !== 'string') {
-    throw new Error('Company research must be a valid string');
+    throw new Error('Company research must be a valid string or research object');
   }
 
   if (companyResearch.trim().length < 50) {
@@ -186,12 +194,13 @@ function validateCompanyResearch(companyResearch) {
 }
 
 /**
- * Validate email response from OpenAI
+ * Validate email response from the LLM
  * @param {Object} email - Email object to validate
- * @param {string} approach - Expected approach type
+ * @param {Object} approach - Resolved email approach (length limits and validation rules)
+ * @param {Function[]} [checks] - Extra checks, each (email) => problems
  * @returns {boolean} True if valid
  */
-function isValidEmail(email, approach) {
+function isValidEmail(email, approach, checks = []) {
   if (!email || typeof email !== 'object') {
     return false;
   }
@@ -205,15 +214,13 @@ function isValidEmail(email, approach) {
     return false;
   }
 
-  // Check subject line length (should be under 60 characters)
-  if (email.subject.length < 5 || email.subject.length > 70) {
-    return false;
-  }
-
-  // Check body word count (100-150 words)
-  const wordCount = email.body.trim().split(/\s+/).length;
-  if (wordCount < 80 || wordCount > 180) {
-    console.log(`[Validation] Email body has ${wordCount} words (expected 100-150)`);
+  // Subject and body length, banned and required phrases, then any extra checks
+  const problems = [
+    ...checkEmailAgainstApproach(email, approach),
+    ...checks.flatMap(check => check(email)),
+  ];
+  if (problems.length > 0) {
+    console.log(`[Validation] ${approach.name} email ${problems.join('; ')}`);
     return false;
   }
 
@@ -235,145 +242,138 @@ function isValidEmail(email, approach) {
 }
 
 /**
- * Generate fallback email template when API fails
- * @param {Object} contact - Contact information
- * @param {string} companyResearch - Company research summary
- * @param {string} approach - Email approach type
- * @returns {Object} Email object with subject and body
+ * First sentence (up to 100 characters) of a supported research claim, without citation markers
+ *
+ * Grounded research only contributes claims with a source: the summary, then
+ * personalization angles, then services offered. Text research (researchToText)
+ * is used only if its opening sentence isn't marked "(unverified)".
+ *
+ * @param {string|Object} companyResearch - Company research summary or structured research
+ * @returns {string|null} Snippet, or null if no supported claim is available
  */
-function generateFallbackEmail(contact, companyResearch, approach) {
-  const { firstName, companyName } = contact;
-
-  // Extract a snippet from research (first 100 characters)
-  const researchSnippet = companyResearch.substring(0, 100).split('.')[0];
-
-  const templates = {
-    'problem-solution': {
-      subject: `Quick idea for ${companyName}`,
-      body: `Hi ${firstName},
-
-I was researching ${companyName} and noticed ${researchSnippet}.
-
-Many companies in your space struggle with scaling their client acquisition efficiently. We've helped similar agencies streamline their prospecting process and increase qualified leads by 40%.
-
-Would you be open to a quick 15-minute call to explore if this could work for ${companyName}?
-
-Best regards`
-    },
-    'social-proof': {
-      subject: `How we helped 3 agencies like ${companyName}`,
-      body: `Hi ${firstName},
-
-We recently helped three agencies similar to ${companyName} increase their pipeline by 40% through automated prospecting.
-
-I noticed ${researchSnippet}, which suggests you might benefit from a similar approach.
-
-Would you be interested in a brief call to see if this could work for your team?
-
-Best regards`
-    },
-    'question': {
-      subject: `Question about ${companyName}'s growth strategy`,
-      body: `Hi ${firstName},
-
-I was researching ${companyName} and had a quick question about your client acquisition strategy.
+function buildResearchSnippet(companyResearch) {
+  const isSupported = sources => !companyResearch.grounded || (sources && sources.length > 0);
+  let claim;
+
+  if (typeof companyResearch === 'string') {
+    claim = companyResearch;
+  } else if (isSupported(companyResearch.summarySources)) {
+    claim = companyResearch.summary;
+  } else {
+    const item = [...(companyResearch.personalizationAngles || []), ...(companyResearch.servicesOffered || [])]
+      .find(entry => entry.supported !== false && isSupported(entry.sources));
+    claim = item && item.text;
+  }
 
-${researchSnippet}—this made me curious about how you're currently handling prospecting at scale.
+  const sentence = (claim || '').split(/\.(?:\s|$)/)[0];
+  if (/\(unverified\)/i.test(sentence)) return null;
 
-Would you have 15 minutes for a quick conversation? I'd love to share what's working for similar agencies.
+  const snippet = sentence.replace(/\s*\[[A-Z]+\d+(?:,\s*[A-Z]+\d+)*\]/g, '').substring(0, 100).trim();
+  return snippet || null;
+}
 
-Best regards`
-    }
+/**
+ * Generate fallback email template when API fails
+ * @param {Object} contact - Contact information
+ * @param {string|Object} companyResearch - Company research summary or structured research
+ * @param {Object} approach - Resolved email approach
+ * @param {Object} [extraValues] - More template values (e.g. openerSubject for follow-ups)
+ * @returns {Object} Email object with subject and body
+ */
+function generateFallbackEmail(contact, companyResearch, approach, extraValues = {}) {
+  const researchSnippet = buildResearchSnippet(companyResearch) ||
+    `${contact.companyName ? `${contact.companyName}'s` : 'your team\'s'} work with its clients`;
+
+  const values = { ...contact, researchSnippet, ...extraValues };
+  return {
+    subject: renderApproachTemplate(approach.fallback.subject, values),
+    body: renderApproachTemplate(approach.fallback.body, values),
   };
+}
 
-  return templates[approach];
+/**
+ * Fields recording which approach (and version) wrote an email
+ * @param {Object} approach - Resolved email approach
+ * @returns {Object} { approach, approachVersion, approachDefinition }
+ */
+function describeApproach(approach) {
+  const { resolved, ...definition } = approach;
+  return {
+    approach: approach.name,
+    approachVersion: approach.version,
+    approachDefinition: JSON.parse(JSON.stringify(definition)), // Snapshot, unaffected by later re-registration
+  };
 }
 
 /**
- * Call OpenAI API to generate a single email variant
+ * Call the LLM to generate a single email variant
+ * (retry, backoff and rate limits handled by llm-client)
  * @param {string} prompt - Email generation prompt
- * @param {string} approach - Email approach type
+ * @param {Object} approach - Resolved email approach
  * @param {Object} contact - Contact data (for fallback)
- * @param {string} companyResearch - Company research (for fallback)
- * @param {number} attempt - Current attempt number (0-indexed)
- * @returns {Promise<Object>} Email object with subject and body
+ * @param {string|Object} companyResearch - Company research (for fallback)
+ * @param {Object} [context] - Cost ledger context ({ campaignId, clientId, leadId })
+ * @param {Object} [options] - Options
+ * @param {string} [options.task='email-generation'] - LLM task ('email-sequence' for follow-ups)
+ * @param {Function[]} [options.checks] - Extra checks the email must pass (see isValidEmail)
+ * @param {Object} [options.fallbackValues] - More fallback template values
+ * @returns {Promise<Object>} Email object with subject, body, fallback and the approach fields (see describeApproach)
+ * @throws {Error} If the AI budget is used up (code 'LLM_BUDGET_EXCEEDED')
  */
-async function callOpenAIForEmail(prompt, approach, contact, companyResearch, attempt = 0) {
+async function callLLMForEmail(prompt, approach, contact, companyResearch, context = {}, options = {}) {
+  const { task = 'email-generation', checks = [], fallbackValues = {} } = options;
+
   try {
-    // Get OpenAI client (lazy initialization)
-    const client = getOpenAIClient();
-
-    // Enforce rate limiting before API call
-    await enforceRateLimit();
-
-    const startTime = Date.now();
-    console.log(`[OpenAI API] Generating ${approach} email - Attempt ${attempt + 1}/${RETRY_CONFIG.maxAttempts}...`);
-
-    const completion = await client.chat.completions.create({
-      model: 'gpt-4-turbo-preview', // Use GPT-4 for better personalization
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an expert B2B sales copywriter specializing in personalized cold email outreach. Write compelling, research-backed emails that get replies. Always return valid JSON format with subject and body fields.',
-        },
-        {
-          role: 'user',
-          content: prompt,
-        },
-      ],
-      temperature: 0.8, // Higher temperature for more creative variations
-      max_tokens: 400,
-      response_format: { type: 'json_object' }, // Enforce JSON response
+    console.log(`[Email Generation] Generating ${approach.name} email (v${approach.version})...`);
+
+    const { value: emailData } = await complete({
+      task,
+      system: task === 'email-sequence' ? SEQUENCE_SYSTEM_PROMPT : EMAIL_SYSTEM_PROMPT,
+      prompt,
+      json: true, // Enforce JSON response
+      context,
+      parse: content => {
+        let parsed;
+        try {
+          parsed = JSON.parse(content);
+        } catch (parseError) {
+          throw new Error(`Failed to parse JSON response: ${parseError.message}`);
+        }
+
+        // Validate email structure
+        if (!isValidEmail(parsed, approach, checks)) {
+          throw new Error('Invalid email structure or content from LLM');
+        }
+        return parsed;
+      },
     });
 
-    const duration = Date.now() - startTime;
-    const content = completion.choices[0]?.message?.content;
-
-    // Log API usage for cost tracking
-    console.log(`[OpenAI API] Success in ${duration}ms | Tokens: ${completion.usage.total_tokens} | Model: ${completion.model}`);
-
-    // Parse JSON response
-    let emailData;
-    try {
-      emailData = JSON.parse(content);
-    } catch (parseError) {
-      throw new Error(`Failed to parse JSON response: ${parseError.message}`);
-    }
-
-    // Validate email structure
-    if (!isValidEmail(emailData, approach)) {
-      throw new Error('Invalid email structure or content from OpenAI API');
-    }
-
     return {
       subject: emailData.subject.trim(),
       body: emailData.body.trim(),
-      approach: approach,
+      fallback: false,
+      ...describeApproach(approach),
     };
 
   } catch (error) {
-    console.error(`[OpenAI API] Error on attempt ${attempt + 1}:`, error.message);
-
-    // Check if we should retry
-    if (attempt < RETRY_CONFIG.maxAttempts - 1) {
-      const delay = getBackoffDelay(attempt);
-      console.log(`[Retry] Waiting ${delay}ms before retry...`);
-      await sleep(delay);
-      return callOpenAIForEmail(prompt, approach, contact, companyResearch, attempt + 1);
+    // Budget stops are hard stops, not a reason to fall back
+    if (error.code === 'LLM_BUDGET_EXCEEDED') {
+      throw error;
     }
 
     // All retries exhausted - use fallback
-    console.log(`[Fallback] Using template-based email for ${approach} approach`);
-    const fallbackEmail = generateFallbackEmail(contact, companyResearch, approach);
+    console.log(`[Fallback] Using template-based email for ${approach.name} approach`);
+    const fallbackEmail = generateFallbackEmail(contact, companyResearch, approach, fallbackValues);
     return {
       ...fallbackEmail,
-      approach: approach,
+      fallback: true,
+      ...describeApproach(approach),
     };
   }
 }
 
 /**
- * Generate 3 personalized outreach email variants
+ * Generate personalized outreach email variants, one per approach
  *
  * @param {Object} contact - Contact information object
  * @param {string} contact.firstName - Contact's first name
@@ -382,11 +382,21 @@ async function callOpenAIForEmail(prompt, approach, contact, companyResearch, at
  * @param {string} contact.companyName - Contact's company name
  * @param {string} [contact.industry] - Contact's industry
  * @param {string} [contact.location] - Contact's location
- * @param {string} companyResearch - Company research summary from company-research.js
+ * @param {string} [contact.vertical] - Vertical (selects the vertical's approaches, e.g. compliance-safe for insurance)
+ * @param {string|Object} companyResearch - Research from company-research.js: the text summary, or the
+ *   research object from format: 'structured' (used field by field, with confidences)
+ * @param {Object} [options] - Options
+ * @param {Object} [options.context] - Cost ledger context ({ campaignId, clientId, leadId }); leadId defaults to contact.id or contact.email
+ * @param {Array<string|Object>} [options.approaches] - Approach names, .json paths or definitions (default: client, vertical, then
+ *   problem-solution, social-proof, question)
+ * @param {number} [options.count] - Write only the first count approaches
+ * @param {Object} [options.clientApproaches] - Client id -> approaches, picked by context.clientId
+ * @param {Object} [options.verticalApproaches] - Vertical -> approaches, overriding the vertical definition's
  *
- * @returns {Promise<Object>} Object containing 3 email variants and metadata
+ * @returns {Promise<Object>} Object containing one email per approach ({ subject, body, fallback, approach,
+ *   approachVersion, approachDefinition }) and metadata
  *
- * @throws {Error} If required fields are missing or validation fails
+ * @throws {Error} If required fields are missing, validation fails, an approach is unknown, or the AI budget is used up
  *
  * @example
  * const result = await generateOutreachEmails(
@@ -403,8 +413,11 @@ async function callOpenAIForEmail(prompt, approach, contact, companyResearch, at
  *
  * console.log(result.emails[0].subject);
  * console.log(result.emails[0].body);
+ *
+ * // Two variants, the second from a client-specific approach
+ * await generateOutreachEmails(contact, research, { approaches: ['question', 'acme-compliance'] });
  */
-async function generateOutreachEmails(contact, companyResearch) {
+async function generateOutreachEmails(contact, companyResearch, options = {}) {
   try {
     // Validate inputs
     validateContactData(contact);
@@ -412,32 +425,36 @@ async function generateOutreachEmails(contact, companyResearch) {
 
     console.log(`\n[Email Generation] Starting email generation for: ${contact.firstName} ${contact.lastName}`);
 
-    // Define the 3 email approaches
-    const approaches = ['problem-solution', 'social-proof', 'question'];
+    const context = { leadId: contact.id || contact.email || null, ...(options.context || {}) };
 
-    // Generate prompts for all 3 approaches
+    // Pick the approaches: explicit, client, vertical or default
+    const approaches = getApproachesForContact(contact, {
+      approaches: options.approaches,
+      count: options.count,
+      clientId: context.clientId,
+      clientApproaches: options.clientApproaches,
+      verticalApproaches: options.verticalApproaches,
+    });
+
+    // Generate prompts for every approach
     const prompts = approaches.map(approach => ({
       approach,
       prompt: buildEmailPrompt(contact, companyResearch, approach),
     }));
 
-    // Generate all 3 emails in parallel (but still respecting rate limits)
+    // Generate the emails one at a time (respecting rate limits)
     const emails = [];
     for (const { approach, prompt } of prompts) {
-      const email = await callOpenAIForEmail(
+      const email = await callLLMForEmail(
         prompt,
         approach,
         contact,
-        companyResearch
+        companyResearch,
+        context
       );
       emails.push(email);
     }
 
-    // Validate we have all 3 emails
-    if (emails.length !== 3) {
-      throw new Error(`Expected 3 emails but got ${emails.length}`);
-    }
-
     console.log(`[Email Generation] ✓ Successfully generated ${emails.length} email variants\n`);
 
     // Return structured result
@@ -447,7 +464,8 @@ async function generateOutreachEmails(contact, companyResearch) {
         contactName: `${contact.firstName} ${contact.lastName}`,
         companyName: contact.companyName,
         generatedAt: new Date().toISOString(),
-        approachesUsed: approaches,
+        approachesUsed: approaches.map(approach => approach.name),
+        approachVersions: Object.fromEntries(approaches.map(approach => [approach.name, approach.version])),
       },
     };
 
@@ -457,7 +475,291 @@ async function generateOutreachEmails(contact, companyResearch) {
   }
 }
 
-// Export the main function
+// ============================================================================
+// SEQUENCES
+// ============================================================================
+
+/**
+ * The opener's hook: its first sentence after the greeting
+ * @param {string} body - Opener body
+ * @returns {string} Hook sentence
+ */
+function extractHook(body) {
+  const text = body.replace(/\s+/g, ' ').replace(/^(hi|hello|hey|dear)\b[^,]{0,40},\s*/i, '').trim();
+  const match = text.match(/^[^.!?]+[.!?]*/);
+  return match ? match[0].trim() : text;
+}
+
+/**
+ * Lowercase letters and digits only, for repeat checks
+ */
+function normalizeForComparison(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Check a sequence step: template validation, and no repeat of the opener's hook
+ * @param {Object} email - { subject, body }
+ * @param {string|null} hook - Opener hook (null for the opener itself)
+ * @returns {string[]} Problems (empty if the step passes)
+ */
+function checkSequenceStep(email, hook = null) {
+  const problems = validateEmail(email).issues;
+
+  if (hook && hook.length >= MIN_HOOK_CHARS && normalizeForComparison(email.body).includes(normalizeForComparison(hook))) {
+    problems.push('repeats the opener\'s hook');
+  }
+
+  return problems;
+}
+
+/**
+ * Build the LLM prompt for one follow-up step
+ * @param {Object} contact - Contact information
+ * @param {string|Object} companyResearch - Company research summary or structured research
+ * @param {Object} approach - Resolved follow-up approach
+ * @param {Object} plan - { step, role, delay, total, earlier (steps so far), hook }
+ * @returns {string} Formatted prompt
+ */
+function buildSequenceStepPrompt(contact, companyResearch, approach, plan) {
+  const { firstName, lastName, jobTitle, companyName, industry, location } = contact;
+  const { step, role, delay, total, earlier, hook } = plan;
+  const { length } = approach;
+  const words = `${length.minWords}-${length.maxWords} words`;
+
+  const thread = earlier
+    .map(email => `Email ${email.step} (${email.role}, Day ${email.delay})\nSubject: ${email.subject}\n${email.body}`)
+    .join('\n\n');
+
+  return `Write email ${step} of ${total} in a cold outreach sequence to the following prospect.
+
+Contact Information:
+- Name: ${firstName} ${lastName}
+- Job Title: ${jobTitle}
+- Company: ${companyName}
+- Industry: ${industry}
+- Location: ${location}
+
+Company Research:
+${formatResearchForPrompt(companyResearch)}
+
+Earlier Emails in the Sequence:
+${thread}
+
+Email Requirements:
+- Step: ${role} (email ${step} of ${total}, Day ${delay})
+- Thread subject: ${earlier[0].subject}
+- Length: ${words} (body only, excluding subject line)
+- Tone: ${approach.tone}
+- ${renderApproachTemplate(approach.instructions, contact)}
+- Do not repeat the opener's hook ("${hook}") or restate its pitch; build on the earlier emails instead
+- Address ${firstName} by first name
+- Avoid spam trigger words: ${SPAM_WORDS.map(word => `"${word}"`).join(', ')}
+- No placeholders or merge tags (no [Your Name], no {{...}})${formatPhraseRules(approach.validation)}
+
+Format your response as JSON with this exact structure:
+{
+  "subject": "Your subject line here (under ${length.subjectMaxChars} characters)",
+  "body": "Your email body here (${words})"
+}
+
+Important: Return ONLY valid JSON, no additional text or markdown formatting.`;
+}
+
+/**
+ * Generate a multi-touch outreach sequence consistent with the opener
+ *
+ * The opener is the email passed in options.opener (e.g. the variant picked
+ * from generateOutreachEmails) or one written with the contact's first
+ * approach. Follow-ups are written one at a time, each seeing every earlier
+ * email; banned phrases of the opener's approach (e.g. compliance-safe) carry
+ * over to them. A step failing validateEmail, or repeating the opener's hook,
+ * is retried and then replaced by its approach's fallback.
+ *
+ * @param {Object} contact - Contact information (see generateOutreachEmails)
+ * @param {string|Object} companyResearch - Company research summary or structured research
+ * @param {Object} [options] - Options
+ * @param {number} [options.steps=4] - Sequence length: 3 (opener, value-add, breakup), 4 (adds a bump) or 5 (two bumps)
+ * @param {Object} [options.opener] - Opener email ({ subject, body }, approach fields optional) instead of writing one
+ * @param {string|Object} [options.approach] - Approach for the opener (default: the contact's first approach)
+ * @param {Object} [options.stepApproaches] - Role -> follow-up approach, e.g. { breakup: 'acme-breakup' }
+ * @param {Object} [options.context] - Cost ledger context ({ campaignId, clientId, leadId })
+ * @param {Object} [options.clientApproaches] - Client id -> approaches (opener selection, see generateOutreachEmails)
+ * @param {Object} [options.verticalApproaches] - Vertical -> approaches (opener selection)
+ *
+ * @returns {Promise<Object>} { steps: [{ step, role, delay, subject, body, fallback, approach, approachVersion,
+ *   approachDefinition, validation: { isValid, issues } }], metadata }; delay is days after the opener
+ *
+ * @throws {Error} If inputs are invalid, steps is not 3-5, the given opener fails template validation, or the AI budget is used up
+ *
+ * @example
+ * const { emails } = await generateOutreachEmails(contact, research);
+ * const sequence = await generateOutreachSequence(contact, research, { opener: emails[1], steps: 4 });
+ *
+ * sequence.steps.map(step => `${step.role} (Day ${step.delay})`);
+ * // ['opener (Day 0)', 'bump (Day 3)', 'value-add (Day 7)', 'breakup (Day 14)']
+ */
+async function generateOutreachSequence(contact, companyResearch, options = {}) {
+  try {
+    validateContactData(contact);
+    validateCompanyResearch(companyResearch);
+
+    const { steps: stepCount = 4, stepApproaches = {} } = options;
+    const plan = SEQUENCE_PLANS[stepCount];
+    if (!plan) {
+      throw new Error(`Sequence steps must be one of ${Object.keys(SEQUENCE_PLANS).join(', ')} (got ${stepCount})`);
+    }
+
+    console.log(`\n[Email Generation] Starting ${stepCount}-step sequence for: ${contact.firstName} ${contact.lastName}`);
+
+    const context = { leadId: contact.id || contact.email || null, ...(options.context || {}) };
+
+    // Step 1: the opener, given or written now
+    let opener;
+    if (options.opener) {
+      const problems = checkSequenceStep(options.opener);
+      if (problems.length > 0) {
+        throw new Error(`Opener fails template validation: ${problems.join('; ')}`);
+      }
+      opener = { ...options.opener };
+    } else {
+      const [approach] = getApproachesForContact(contact, {
+        approaches: options.approach ? [options.approach] : undefined,
+        count: 1,
+        clientId: context.clientId,
+        clientApproaches: options.clientApproaches,
+        verticalApproaches: options.verticalApproaches,
+      });
+      opener = await callLLMForEmail(
+        buildEmailPrompt(contact, companyResearch, approach),
+        approach,
+        contact,
+        companyResearch,
+        context,
+        { checks: [email => checkSequenceStep(email)] }
+      );
+    }
+
+    const hook = extractHook(opener.body);
+    const carriedBannedPhrases = (opener.approachDefinition && opener.approachDefinition.validation.bannedPhrases) || [];
+
+    const steps = [];
+    for (const [index, [role, delay]] of plan.entries()) {
+      let email = opener;
+
+      if (role !== 'opener') {
+        const base = resolveEmailApproach(stepApproaches[role] || FOLLOW_UP_APPROACHES[role]);
+        const approach = {
+          ...base,
+          validation: {
+            ...base.validation,
+            bannedPhrases: [...new Set([...base.validation.bannedPhrases, ...carriedBannedPhrases])],
+          },
+        };
+
+        const prompt = buildSequenceStepPrompt(contact, companyResearch, approach, {
+          step: index + 1,
+          role,
+          delay,
+          total: plan.length,
+          earlier: steps,
+          hook,
+        });
+        email = await callLLMForEmail(prompt, approach, contact, companyResearch, context, {
+          task: 'email-sequence',
+          checks: [candidate => checkSequenceStep(candidate, hook)],
+          fallbackValues: { openerSubject: opener.subject },
+        });
+      }
+
+      const issues = checkSequenceStep(email, role === 'opener' ? null : hook);
+      steps.push({
+        step: index + 1,
+        role,
+        delay,
+        ...email,
+        validation: { isValid: issues.length === 0, issues },
+      });
+    }
+
+    console.log(`[Email Generation] ✓ Successfully generated ${steps.length}-step sequence\n`);
+
+    return {
+      steps,
+      metadata: {
+        contactName: `${contact.firstName} ${contact.lastName}`,
+        companyName: contact.companyName,
+        generatedAt: new Date().toISOString(),
+        stepCount: steps.length,
+        hook,
+        approachesUsed: steps.map(step => step.approach || null),
+        allStepsValid: steps.every(step => step.validation.isValid),
+      },
+    };
+
+  } catch (error) {
+    console.error(`[Email Generation] ✗ Sequence failed:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Prepare generated sequences for an Instantly or Smartlead campaign
+ *
+ * A campaign sends every lead the same steps, so the campaign sequence is
+ * merge-tag shells ({{step1_subject}}, {{step1_body}}, ...) and each lead
+ * carries its own text in customVariables. Platform delays count from the
+ * previous step, so they are converted from days-after-the-opener.
+ *
+ * @param {Array<Object>} items - [{ lead, sequence }] with sequences from generateOutreachSequence
+ * @returns {Object} { steps: [{ step, delay, subject, body }] for setCampaignSequence, leads: leads with customVariables for uploadLeads }
+ * @throws {Error} If there are no sequences, their steps differ, or a step fails template validation
+ *
+ * @example
+ * const { steps, leads } = prepareSequenceUpload([{ lead, sequence }]);
+ * await instantly.setCampaignSequence(campaignId, steps);
+ * await instantly.uploadLeads(campaignId, leads);
+ */
+function prepareSequenceUpload(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('At least one lead sequence is required');
+  }
+
+  const layout = sequence => sequence.steps.map(step => `${step.role}@${step.delay}`).join(', ');
+  const firstLayout = layout(items[0].sequence);
+
+  const leads = items.map(({ lead, sequence }) => {
+    const label = lead.email || lead.Email || sequence.metadata.contactName;
+
+    if (layout(sequence) !== firstLayout) {
+      throw new Error(`Sequence for ${label} has steps ${layout(sequence)}; the campaign's steps are ${firstLayout}`);
+    }
+
+    const invalid = sequence.steps.find(step => !step.validation.isValid);
+    if (invalid) {
+      throw new Error(`Sequence for ${label} step ${invalid.step} fails template validation: ${invalid.validation.issues.join('; ')}`);
+    }
+
+    const customVariables = { ...(lead.customVariables || {}) };
+    for (const step of sequence.steps) {
+      customVariables[`step${step.step}_subject`] = step.subject;
+      customVariables[`step${step.step}_body`] = step.body;
+    }
+    return { ...lead, customVariables };
+  });
+
+  const steps = items[0].sequence.steps.map((step, index, all) => ({
+    step: step.step,
+    delay: index === 0 ? 0 : step.delay - all[index - 1].delay,
+    subject: `{{step${step.step}_subject}}`,
+    body: `{{step${step.step}_body}}`,
+  }));
+
+  return { steps, leads };
+}
+
 module.exports = {
   generateOutreachEmails,
+  generateOutreachSequence,
+  prepareSequenceUpload,
 };
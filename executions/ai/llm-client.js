@@ -0,0 +1,739 @@
+/**
+ * Provider-Agnostic LLM Client
+ *
+ * One chat-completion layer for the AI modules (company research, email
+ * generation, reply classification and drafting): pluggable providers, retry with exponential backoff, shared
+ * per-provider rate limits and model selection per task from config.
+ * Switching model or vendor is a config change, not a code change. Every
+ * response is recorded in the cost ledger (cost-ledger.js), and calls for a
+ * campaign or client whose budget is used up are refused.
+ *
+ * Built-in providers:
+ * - openai:    OpenAI API (OPENAI_API_KEY)
+ * - anthropic: Anthropic Messages API (ANTHROPIC_API_KEY)
+ * - ollama:    Any OpenAI-compatible server (Ollama, LM Studio, vLLM); baseURL from config or OLLAMA_BASE_URL
+ * - mock:      Deterministic offline responses for tests (no network)
+ *
+ * Config (all optional), merged in order: defaults, the JSON file at LLM_CONFIG,
+ * LLM_PROVIDER / LLM_MODEL, then configureLLM():
+ * {
+ *   "provider": "openai",
+ *   "model": "gpt-4-turbo-preview",
+ *   "tasks": {
+ *     "company-research": { "temperature": 0.7, "maxTokens": 1000 },
+ *     "email-generation": { "provider": "anthropic", "model": "claude-3-5-sonnet-latest" }
+ *   },
+ *   "providers": { "ollama": { "baseURL": "http://localhost:11434/v1" } },
+ *   "rateLimits": { "openai": 10 },
+ *   "retry": { "maxAttempts": 3, "baseDelay": 1000, "maxDelay": 8000 }
+ * }
+ *
+ * @module llm-client
+ */
+
+const fs = require('fs');
+const { getSharedCostLedger } = require('./cost-ledger');
+
+// Fallback model per provider when neither the task nor the config names one
+const DEFAULT_MODELS = {
+  openai: 'gpt-4-turbo-preview',
+  anthropic: 'claude-3-5-sonnet-latest',
+  ollama: 'llama3.1',
+  mock: 'mock-1',
+};
+
+// Default configuration
+const DEFAULT_CONFIG = {
+  provider: 'openai',
+  model: null, // null = the provider's default model
+  tasks: {
+    'company-research': { temperature: 0.7, maxTokens: 1000 }, // Structured JSON research
+    'email-generation': { temperature: 0.8, maxTokens: 400 },
+    'email-sequence': { temperature: 0.8, maxTokens: 300 }, // Follow-up steps (shorter than openers)
+    'reply-classification': { temperature: 0.2, maxTokens: 400 }, // Intent + entities JSON, kept near-deterministic
+    'reply-drafting': { temperature: 0.7, maxTokens: 800 }, // Up to two suggested replies
+  },
+  providers: {
+    openai: { apiKeyEnv: 'OPENAI_API_KEY' },
+    anthropic: { apiKeyEnv: 'ANTHROPIC_API_KEY', baseURL: 'https://api.anthropic.com/v1', apiVersion: '2023-06-01' },
+    ollama: { baseURL: 'http://localhost:11434/v1' },
+    mock: {},
+  },
+  rateLimits: {
+    default: 10, // Requests per minute, shared by every module using the provider
+    mock: 0, // 0 = unlimited
+  },
+  retry: {
+    maxAttempts: 3,
+    baseDelay: 1000, // 1 second
+    maxDelay: 8000, // 8 seconds
+  },
+};
+
+// HTTP statuses worth retrying (timeouts, conflicts, rate limits, server errors)
+const RETRYABLE_STATUSES = [408, 409, 429];
+
+// Active configuration (lazy: env and LLM_CONFIG are read on first use)
+let config = null;
+
+// Provider instances by name (lazy initialization) and rate-limit windows
+const providerInstances = new Map();
+const requestTimestamps = new Map();
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Merge config objects; tasks, providers, rateLimits and retry merge per key
+ * @param {Object} base - Base config
+ * @param {Object} override - Overrides
+ * @returns {Object} Merged config
+ */
+function mergeConfig(base, override = {}) {
+  const merged = { ...base, ...override };
+
+  for (const key of ['rateLimits', 'retry']) {
+    merged[key] = { ...base[key], ...(override[key] || {}) };
+  }
+
+  merged.tasks = { ...base.tasks };
+  for (const [task, settings] of Object.entries(override.tasks || {})) {
+    merged.tasks[task] = { ...(base.tasks[task] || {}), ...settings };
+  }
+
+  merged.providers = { ...base.providers };
+  for (const [name, settings] of Object.entries(override.providers || {})) {
+    merged.providers[name] = { ...(base.providers[name] || {}), ...settings };
+  }
+
+  return merged;
+}
+
+/**
+ * Load an LLM config file (JSON)
+ * @param {string} filePath - Path to the config file
+ * @returns {Object} Parsed config
+ * @throws {Error} If the file can't be read or parsed
+ */
+function loadLLMConfig(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load LLM config from ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the active configuration (defaults + LLM_CONFIG file + env + configureLLM)
+ * @returns {Object} Active config
+ */
+function getLLMConfig() {
+  if (!config) {
+    let initial = mergeConfig(DEFAULT_CONFIG, process.env.LLM_CONFIG ? loadLLMConfig(process.env.LLM_CONFIG) : {});
+    if (process.env.LLM_PROVIDER) {
+      initial = { ...initial, provider: process.env.LLM_PROVIDER };
+    }
+    if (process.env.LLM_MODEL) {
+      initial = { ...initial, model: process.env.LLM_MODEL };
+    }
+    config = initial;
+  }
+  return config;
+}
+
+/**
+ * Update the configuration
+ *
+ * @param {Object|string} overrides - Config object, or path to a JSON config file
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.replace=false] - Start from the defaults instead of the active config
+ * @returns {Object} New active config
+ *
+ * @example
+ * configureLLM({ tasks: { 'email-generation': { provider: 'anthropic' } } });
+ * configureLLM({ provider: 'mock' }); // Offline, deterministic
+ */
+function configureLLM(overrides, options = {}) {
+  const { replace = false } = options;
+  const loaded = typeof overrides === 'string' ? loadLLMConfig(overrides) : overrides;
+
+  config = mergeConfig(replace ? DEFAULT_CONFIG : getLLMConfig(), loaded);
+  providerInstances.clear(); // Provider settings may have changed
+  return config;
+}
+
+/**
+ * Reset to the defaults (re-reads env on next use) and clear rate-limit state
+ */
+function resetLLMClient() {
+  config = null;
+  providerInstances.clear();
+  requestTimestamps.clear();
+}
+
+/**
+ * Resolve provider, model and generation settings for a task
+ *
+ * @param {string} task - Task name (e.g. 'company-research')
+ * @param {Object} [overrides] - Per-request settings (provider, model, temperature, maxTokens)
+ * @returns {Object} { task, provider, model, temperature, maxTokens }
+ */
+function resolveTaskConfig(task, overrides = {}) {
+  const active = getLLMConfig();
+  const taskConfig = { ...(active.tasks[task] || {}), ...overrides };
+  const provider = taskConfig.provider || active.provider;
+
+  // A task's own model wins; the global model only applies to the global provider
+  const model = taskConfig.model ||
+    (provider === active.provider ? active.model : null) ||
+    DEFAULT_MODELS[provider] ||
+    null;
+
+  return {
+    task,
+    provider,
+    model,
+    temperature: taskConfig.temperature !== undefined ? taskConfig.temperature : 0.7,
+    maxTokens: taskConfig.maxTokens || 500,
+  };
+}
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+
+/**
+ * Provider factories: (settings) => { complete(request) }
+ *
+ * complete() receives { model, system, messages, temperature, maxTokens, json, task }
+ * and resolves to { content, model, usage: { inputTokens, outputTokens, totalTokens } }.
+ */
+const providerFactories = new Map();
+
+/**
+ * Read a provider's API key from its configured env var
+ * @param {string} name - Provider name
+ * @param {Object} settings - Provider settings
+ * @returns {string} API key
+ * @throws {Error} If the key is not set
+ */
+function requireApiKey(name, settings) {
+  const apiKey = settings.apiKey || process.env[settings.apiKeyEnv];
+  if (!apiKey) {
+    const error = new Error(
+      `${settings.apiKeyEnv} environment variable is required for the ${name} LLM provider. ` +
+      'Set it, or choose another provider with LLM_PROVIDER or configureLLM().'
+    );
+    error.retryable = false;
+    throw error;
+  }
+  return apiKey;
+}
+
+/**
+ * OpenAI and OpenAI-compatible servers (chat completions)
+ * @param {Object} settings - { apiKey | apiKeyEnv, baseURL }
+ * @param {string} name - Provider name (for messages)
+ * @returns {Object} Provider
+ */
+function createOpenAIProvider(settings, name = 'openai') {
+  const OpenAI = require('openai');
+  // Local servers usually take any key
+  const apiKey = (settings.apiKeyEnv || settings.apiKey) ? requireApiKey(name, settings) : 'not-needed';
+  const client = new OpenAI({ apiKey, ...(settings.baseURL ? { baseURL: settings.baseURL } : {}) });
+
+  return {
+    async complete({ model, system, messages, temperature, maxTokens, json }) {
+      const completion = await client.chat.completions.create({
+        model,
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          ...messages,
+        ],
+        temperature,
+        max_tokens: maxTokens,
+        ...(json ? { response_format: { type: 'json_object' } } : {}),
+      });
+
+      const usage = completion.usage || {};
+      return {
+        content: completion.choices[0]?.message?.content || '',
+        model: completion.model || model,
+        usage: {
+          inputTokens: usage.prompt_tokens || 0,
+          outputTokens: usage.completion_tokens || 0,
+          totalTokens: usage.total_tokens || 0,
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Anthropic Messages API (over fetch; no SDK needed)
+ * @param {Object} settings - { apiKey | apiKeyEnv, baseURL, apiVersion }
+ * @returns {Object} Provider
+ */
+function createAnthropicProvider(settings) {
+  const apiKey = requireApiKey('anthropic', settings);
+
+  return {
+    async complete({ model, system, messages, temperature, maxTokens, json }) {
+      const response = await fetch(`${settings.baseURL}/messages`, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': settings.apiVersion,
+        },
+        body: JSON.stringify({
+          model,
+          // No JSON mode in the Messages API: ask for it in the system prompt
+          system: json ? `${system || ''}\n\nRespond with a single valid JSON object and nothing else.`.trim() : system,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+        }),
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const error = new Error(`Anthropic API error ${response.status}: ${data.error?.message || response.statusText}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const usage = data.usage || {};
+      return {
+        content: (data.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+        model: data.model || model,
+        usage: {
+          inputTokens: usage.input_tokens || 0,
+          outputTokens: usage.output_tokens || 0,
+          totalTokens: (usage.input_tokens || 0) + (usage.output_tokens || 0),
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Deterministic offline provider for tests and dry runs
+ *
+ * Responses come from settings.responses[task] (a string, or a function of the
+ * request), else the built-in fixture for the task, else a generic reply. The
+ * same request always gets the same response.
+ *
+ * @param {Object} settings - { responses: { [task]: string | (request) => string } }
+ * @returns {Object} Provider (with a calls array recording every request)
+ */
+function createMockProvider(settings) {
+  const responses = { ...MOCK_RESPONSES, ...(settings.responses || {}) };
+  const calls = [];
+
+  return {
+    calls,
+    async complete(request) {
+      calls.push(request);
+
+      const fixture = responses[request.task];
+      const content = typeof fixture === 'function'
+        ? fixture(request)
+        : fixture || (request.json ? '{}' : `Mock response for ${request.task || 'request'}.`);
+      const prompt = [request.system || '', ...request.messages.map(message => message.content)].join('\n');
+      const inputTokens = Math.ceil(prompt.length / 4);
+      const outputTokens = Math.ceil(content.length / 4);
+
+      return {
+        content,
+        model: request.model,
+        usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens },
+      };
+    },
+  };
+}
+
+/**
+ * Read a "- Label: value" line from a prompt (mock fixtures)
+ */
+function promptField(request, label) {
+  const text = request.messages.map(message => message.content).join('\n');
+  const match = text.match(new RegExp(`^- ${label}: (.+)$`, 'm'));
+  return match ? match[1].trim() : null;
+}
+
+// Built-in mock fixtures, shaped to pass each module's response validation
+const MOCK_RESPONSES = {
+  'company-research': request => {
+    const company = promptField(request, 'Name') || 'The company';
+    const industry = promptField(request, 'Industry') || 'its industry';
+    const location = promptField(request, 'Location');
+    // Grounded prompts list snippets as "[W1] ..."; cite the first one and leave one claim unsupported
+    const grounded = /^Sources:$/m.test(request.messages[0].content);
+    const sourceIds = (request.messages[0].content.match(/^\[[A-Z]\d+\]/gm) || []).map(id => id.slice(1, -1));
+    const cite = ids => (grounded ? { sources: ids } : {});
+    const research = {
+      summary: `${company} operates in ${industry}, serving small and mid-sized business clients.`,
+      targetMarket: 'Owners and operators who value responsive service and local expertise',
+      servicesOffered: [{ text: `${industry} advisory and account management`, confidence: 0.8, ...cite(sourceIds.slice(0, 1)) }],
+      painPoints: [
+        { text: 'Generating a steady flow of qualified leads', confidence: 0.7, ...cite(sourceIds.slice(0, 1)) },
+        { text: 'Competing with larger national players on price', confidence: 0.6, ...cite([]) },
+      ],
+      growthSignals: [],
+      decisionMakerHints: [{ text: 'The owner or managing partner signs off on new vendors', confidence: 0.5, ...cite([]) }],
+      newsHooks: [],
+      personalizationAngles: [
+        { text: `Specialist knowledge and long-standing client relationships${location ? ` in ${location}` : ''}`, confidence: 0.6, ...cite(sourceIds.slice(0, 1)) },
+      ],
+    };
+    if (grounded) {
+      research.summarySources = sourceIds.slice(0, 1);
+      research.targetMarketSources = [];
+    }
+    return JSON.stringify(research);
+  },
+  'email-generation': request => {
+    const [firstName] = (promptField(request, 'Name') || 'there').split(' ');
+    const company = promptField(request, 'Company') || 'your company';
+    const sentences = [
+      `Hi ${firstName},`,
+      `I spent some time looking at ${company} and how you position your services to local business owners.`,
+      'Teams like yours usually grow on referrals, which works well until the referral pipeline slows down and the calendar gets uneven.',
+      'We help firms in your space add a predictable stream of qualified conversations without hiring another salesperson or buying lists.',
+      'One client with a similar team size added eleven booked meetings in their first month, mostly with owners who had never heard of them before.',
+      'The approach is simple: we research each prospect, write to them personally, and only hand over people who have said they want to talk.',
+      `I would be happy to share what that could look like for ${company} and which accounts we would start with.`,
+      'Would you be open to a fifteen minute call next week to see whether it is a fit?',
+      'Best regards',
+    ];
+    return JSON.stringify({ subject: `A quick idea for ${company}`.slice(0, 60), body: sentences.join('\n\n') });
+  },
+  'email-sequence': request => {
+    const [firstName] = (promptField(request, 'Name') || 'there').split(' ');
+    const company = promptField(request, 'Company') || 'your company';
+    const threadSubject = promptField(request, 'Thread subject') || `A quick idea for ${company}`;
+    const [role] = (promptField(request, 'Step') || 'bump').split(' ');
+    const steps = {
+      bump: {
+        subject: `Re: ${threadSubject}`,
+        sentences: [
+          `Hi ${firstName},`,
+          'Following up on my note from earlier this week in case it slipped past you.',
+          `Out of curiosity, how does ${company} decide which new accounts to go after each quarter?`,
+          'Worth a short conversation?',
+          'Best regards',
+        ],
+      },
+      'value-add': {
+        subject: `Re: ${threadSubject}`,
+        sentences: [
+          `Hi ${firstName},`,
+          'Since my first email I put together something that might be useful on its own.',
+          `Firms like ${company} tend to win most new clients from a short list of well-researched prospects each week, written to personally and followed up on twice.`,
+          'I wrote up the weekly checklist we use, including how we pick the list and what we say in each follow-up.',
+          'Happy to send it over if you would like to compare it with what your team does today.',
+          'Best regards',
+        ],
+      },
+      breakup: {
+        subject: `Closing the loop, ${firstName}`,
+        sentences: [
+          `Hi ${firstName},`,
+          'I have not heard back, so I will assume the timing is not right and stop following up.',
+          `If bringing in new clients becomes a priority for ${company} later, just reply here and I will pick things up.`,
+          'And if someone else on the team owns this, a quick pointer would be appreciated.',
+          'Best regards',
+        ],
+      },
+    };
+    const step = steps[role] || steps.bump;
+    return JSON.stringify({ subject: step.subject, body: step.sentences.join('\n\n') });
+  },
+  'reply-classification': () => JSON.stringify({
+    intent: 'interested',
+    confidence: 0.8,
+    entities: { returnDate: null, timingHint: null, followUpDate: null, referral: null, meetingTimes: [], questions: [] },
+    keyPoints: ['Open to hearing more'],
+    suggestedResponse: 'Reply the same day and propose a short call',
+    reasoning: 'Mock classification',
+  }),
+  'reply-drafting': request => {
+    const text = request.messages.map(message => message.content).join('\n');
+    const [firstName] = (promptField(request, 'Name') || 'there').split(' ');
+    const subject = promptField(request, 'Subject') || 'Re: our conversation';
+    const count = Number(promptField(request, 'Drafts')) || 1;
+    const slots = [...text.matchAll(/^- Slot: (.+) \| (\S+)$/gm)].slice(0, 2).map(match => ({ label: match[1], value: match[2] }));
+    const offer = slots.length > 0
+      ? `Would ${slots.map(slot => slot.label).join(' or ')} work for a 15-minute call?`
+      : 'Would a short call next week be useful?';
+    const drafts = [
+      `Thanks for getting back to me. ${offer}`,
+      `Great to hear from you. I will keep it short and focused on what matters to your team. ${offer}`,
+    ].map(line => ({ subject, body: `Hi ${firstName},\n\n${line}\n\nBest regards`, proposedTimes: slots.map(slot => slot.value) }));
+    return JSON.stringify({ drafts: drafts.slice(0, count) });
+  },
+};
+
+/**
+ * Register an LLM provider
+ *
+ * @param {string} name - Provider name used in config ('openai', 'my-gateway', ...)
+ * @param {Function} factory - (settings, name) => { complete(request) }
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.replace=false] - Overwrite an existing provider
+ * @throws {Error} If the name is taken (without replace) or the factory isn't a function
+ */
+function registerLLMProvider(name, factory, options = {}) {
+  const { replace = false } = options;
+
+  if (!name || typeof name !== 'string') {
+    throw new Error('LLM provider name must be a non-empty string');
+  }
+  if (typeof factory !== 'function') {
+    throw new Error(`LLM provider '${name}' needs a factory function`);
+  }
+  if (providerFactories.has(name) && !replace) {
+    throw new Error(`LLM provider '${name}' is already registered. Pass { replace: true } to overwrite it.`);
+  }
+
+  providerFactories.set(name, factory);
+  providerInstances.delete(name);
+}
+
+/**
+ * List registered provider names
+ * @returns {string[]} Provider names
+ */
+function listLLMProviders() {
+  return [...providerFactories.keys()];
+}
+
+/**
+ * Get (or create) the provider instance for a name
+ * @param {string} name - Provider name
+ * @returns {Object} Provider
+ * @throws {Error} If the provider is unknown
+ */
+function getProvider(name) {
+  if (!providerInstances.has(name)) {
+    const factory = providerFactories.get(name);
+    if (!factory) {
+      const error = new Error(`Unknown LLM provider '${name}'. Registered providers: ${listLLMProviders().join(', ')}`);
+      error.retryable = false;
+      throw error;
+    }
+    providerInstances.set(name, factory(getLLMConfig().providers[name] || {}, name));
+  }
+  return providerInstances.get(name);
+}
+
+/**
+ * Check whether a task's provider can be used without failing on setup
+ *
+ * True when the provider is registered and, if it reads its API key from an
+ * env var, that variable is set. Lets callers with an offline fallback skip
+ * the LLM instead of waiting for the call to fail.
+ *
+ * @param {string} [task] - Task name; omit for the global provider
+ * @returns {boolean} Whether the provider looks configured
+ */
+function isLLMConfigured(task) {
+  const { provider } = resolveTaskConfig(task);
+  if (!providerFactories.has(provider)) {
+    return false;
+  }
+
+  const settings = getLLMConfig().providers[provider] || {};
+  return Boolean(settings.apiKey || !settings.apiKeyEnv || process.env[settings.apiKeyEnv]);
+}
+
+registerLLMProvider('openai', settings => createOpenAIProvider(settings, 'openai'));
+registerLLMProvider('anthropic', createAnthropicProvider);
+registerLLMProvider('ollama', settings => createOpenAIProvider({
+  ...settings,
+  baseURL: process.env.OLLAMA_BASE_URL || settings.baseURL,
+}, 'ollama'));
+registerLLMProvider('mock', createMockProvider);
+
+// ============================================================================
+// RATE LIMITING & RETRY
+// ============================================================================
+
+/**
+ * Sleep utility for retry delays
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Calculate exponential backoff delay
+ * @param {number} attempt - Current attempt number (0-indexed)
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt) {
+  const { baseDelay, maxDelay } = getLLMConfig().retry;
+  return Math.min(baseDelay * Math.pow(2, attempt), maxDelay);
+}
+
+/**
+ * Check and enforce the provider's rate limit (sliding one-minute window)
+ * @param {string} provider - Provider name
+ * @returns {Promise<void>}
+ */
+async function enforceRateLimit(provider) {
+  const { rateLimits } = getLLMConfig();
+  const maxRequestsPerMinute = rateLimits[provider] !== undefined ? rateLimits[provider] : rateLimits.default;
+  if (!maxRequestsPerMinute) return;
+
+  const now = Date.now();
+  const timestamps = (requestTimestamps.get(provider) || []).filter(timestamp => timestamp > now - 60000);
+
+  // If at rate limit, wait until oldest request expires
+  if (timestamps.length >= maxRequestsPerMinute) {
+    const waitTime = timestamps[0] + 60000 - now;
+    if (waitTime > 0) {
+      console.log(`[Rate Limit] ${provider}: waiting ${Math.ceil(waitTime / 1000)}s before next request...`);
+      await sleep(waitTime);
+    }
+  }
+
+  timestamps.push(Date.now());
+  requestTimestamps.set(provider, timestamps);
+}
+
+/**
+ * Whether a failed attempt is worth retrying
+ * @param {Error} error - Error from the provider or the parse step
+ * @returns {boolean} True if retryable
+ */
+function isRetryable(error) {
+  if (error.retryable === false) return false;
+  if (!error.status) return true; // Network errors, invalid responses
+  return RETRYABLE_STATUSES.includes(error.status) || error.status >= 500;
+}
+
+// ============================================================================
+// COMPLETION
+// ============================================================================
+
+/**
+ * Run a chat completion for a task
+ *
+ * Provider, model, temperature and max tokens come from the task's config,
+ * overridable per request. Failed attempts (network errors, 429/5xx, and
+ * responses rejected by parse) are retried with exponential backoff; auth and
+ * request errors fail at once.
+ *
+ * @param {Object} request - Request
+ * @param {string} request.task - Task name for config lookup (e.g. 'company-research')
+ * @param {string} [request.system] - System prompt
+ * @param {string} [request.prompt] - User prompt (shorthand for one user message)
+ * @param {Array<Object>} [request.messages] - Chat messages ({ role, content })
+ * @param {boolean} [request.json=false] - Ask for a JSON object response
+ * @param {Function} [request.parse] - (content) => value; throw to reject the response and retry
+ * @param {string} [request.provider] - Override the task's provider
+ * @param {string} [request.model] - Override the task's model
+ * @param {number} [request.temperature] - Override the task's temperature
+ * @param {number} [request.maxTokens] - Override the task's max tokens
+ * @param {Object} [request.context] - What the call is for, for the cost ledger and budgets ({ campaignId, clientId, leadId })
+ *
+ * @returns {Promise<Object>} { content, value, provider, model, usage, cost, attempts, durationMs }
+ * @throws {Error} Last error once retries are exhausted, or code 'LLM_BUDGET_EXCEEDED' before any request
+ *
+ * @example
+ * const { value } = await complete({
+ *   task: 'email-generation',
+ *   system: 'You write cold emails.',
+ *   prompt: buildEmailPrompt(contact, research, approach),
+ *   json: true,
+ *   parse: content => JSON.parse(content),
+ * });
+ */
+async function complete(request) {
+  const { task = 'default', system = null, prompt = null, json = false, parse = null, context = {} } = request;
+  const messages = request.messages || [{ role: 'user', content: prompt }];
+  const settings = resolveTaskConfig(task, {
+    ...(request.provider ? { provider: request.provider } : {}),
+    ...(request.model ? { model: request.model } : {}),
+    ...(request.temperature !== undefined ? { temperature: request.temperature } : {}),
+    ...(request.maxTokens ? { maxTokens: request.maxTokens } : {}),
+  });
+  const { maxAttempts } = getLLMConfig().retry;
+  const ledger = getSharedCostLedger();
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      ledger.assertWithinBudget(context, { provider: settings.provider, model: settings.model });
+      const provider = getProvider(settings.provider);
+      await enforceRateLimit(settings.provider);
+
+      const startTime = Date.now();
+      console.log(`[LLM] ${task} via ${settings.provider}/${settings.model} - Attempt ${attempt + 1}/${maxAttempts}...`);
+
+      const response = await provider.complete({
+        task,
+        model: settings.model,
+        system,
+        messages,
+        temperature: settings.temperature,
+        maxTokens: settings.maxTokens,
+        json,
+      });
+      const durationMs = Date.now() - startTime;
+
+      // Record usage in the cost ledger (rejected responses are billed too)
+      const call = { task, provider: settings.provider, model: response.model, usage: response.usage, context, durationMs };
+      let value;
+      try {
+        value = parse ? parse(response.content) : response.content;
+      } catch (parseError) {
+        ledger.record({ ...call, rejected: true });
+        throw parseError;
+      }
+      const { cost } = ledger.record(call);
+
+      console.log(`[LLM] Success in ${durationMs}ms | Tokens: ${response.usage.totalTokens} | Cost: ${cost === null ? 'unpriced' : `$${cost.toFixed(4)}`} | Model: ${response.model}`);
+
+      return {
+        content: response.content,
+        value,
+        provider: settings.provider,
+        model: response.model,
+        usage: response.usage,
+        cost,
+        attempts: attempt + 1,
+        durationMs,
+      };
+
+    } catch (error) {
+      console.error(`[LLM] Error on attempt ${attempt + 1}:`, error.message);
+
+      if (attempt >= maxAttempts - 1 || !isRetryable(error)) {
+        throw error;
+      }
+
+      const delay = getBackoffDelay(attempt);
+      console.log(`[Retry] Waiting ${delay}ms before retry...`);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  complete,
+  configureLLM,
+  getLLMConfig,
+  loadLLMConfig,
+  resetLLMClient,
+  resolveTaskConfig,
+  registerLLMProvider,
+  listLLMProviders,
+  getProvider,
+  isLLMConfigured,
+  DEFAULT_MODELS,
+};
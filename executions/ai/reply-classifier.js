@@ -0,0 +1,660 @@
+/**
+ * Reply Intent Classifier
+ *
+ * Classifies replies to outreach emails into an intent taxonomy (interested,
+ * meeting-request, needs-info, referral, not-now, not-interested, unsubscribe,
+ * out-of-office, wrong-person, unclear) with a confidence and extracted
+ * entities: out-of-office return dates, "not now" timing hints with a
+ * follow-up date, referred colleagues, proposed meeting times and questions.
+ *
+ * classifyReply uses the LLM (task 'reply-classification' in llm-client.js)
+ * when its provider is configured and falls back to the rules classifier when
+ * it isn't, or when the call fails, so every reply still gets routed. An
+ * opt-out the rules recognise always wins, whatever the LLM says. The rules
+ * classifier (classifyReplyWithRules) is synchronous and is what the webhook
+ * mappers in lead-to-ghl-mapper.js use unless given a classification.
+ *
+ * Each result also carries the fields the reply-processing workflow routes on:
+ * sentiment (positive, neutral, negative, out-of-office), priority, keyPoints
+ * and suggestedResponse.
+ *
+ * @module reply-classifier
+ */
+
+const { complete, isLLMConfigured } = require('./llm-client');
+const { isOptOutRequest } = require('../utils/suppression-list');
+
+// Intent taxonomy: sentiment and priority for routing, description for the LLM prompt
+const REPLY_INTENTS = {
+  interested: {
+    sentiment: 'positive',
+    priority: 'high',
+    description: 'Wants to hear more or talk, without proposing a time',
+    suggestedResponse: 'Reply the same day and propose a short call',
+  },
+  'meeting-request': {
+    sentiment: 'positive',
+    priority: 'high',
+    description: 'Asks for a meeting or call, proposes times or asks for a booking link',
+    suggestedResponse: 'Send the booking link or confirm one of the proposed times',
+  },
+  'needs-info': {
+    sentiment: 'neutral',
+    priority: 'medium',
+    description: 'Asks questions or wants details, pricing or materials before deciding',
+    suggestedResponse: 'Answer the questions, then offer a short call',
+  },
+  referral: {
+    sentiment: 'neutral',
+    priority: 'medium',
+    description: 'Points to a colleague to contact instead (by name and/or email)',
+    suggestedResponse: 'Thank them and reach out to the referred colleague, mentioning who referred you',
+  },
+  'not-now': {
+    sentiment: 'neutral',
+    priority: 'low',
+    description: 'Not the right time, but open later (capture any timing hint)',
+    suggestedResponse: 'Stop the sequence and follow up at the time they gave',
+  },
+  'not-interested': {
+    sentiment: 'negative',
+    priority: 'low',
+    description: 'Declines, without asking to be removed',
+    suggestedResponse: 'Close the lead; no further outreach',
+  },
+  unsubscribe: {
+    sentiment: 'negative',
+    priority: 'low',
+    description: 'Asks to be removed or not contacted again',
+    suggestedResponse: 'Suppress the contact now; do not reply',
+  },
+  'out-of-office': {
+    sentiment: 'out-of-office',
+    priority: 'low',
+    description: 'Automatic away reply (capture the return date)',
+    suggestedResponse: 'Resume the sequence after the return date',
+  },
+  'wrong-person': {
+    sentiment: 'neutral',
+    priority: 'low',
+    description: 'Says they are not the right contact, without naming someone else',
+    suggestedResponse: 'Ask who handles this, or research the right contact',
+  },
+  unclear: {
+    sentiment: 'neutral',
+    priority: 'medium',
+    description: 'None of the above fits',
+    suggestedResponse: 'Manual review required',
+  },
+};
+
+// System prompt for the classification task
+const CLASSIFIER_SYSTEM_PROMPT = 'You classify replies to B2B cold outreach emails for a sales team. Be precise: pick the single intent that best decides the next action, and only extract entities the reply actually states. Always return valid JSON.';
+
+// Rules, checked in order; the first intent with a match wins
+const INTENT_RULES = [
+  {
+    intent: 'out-of-office',
+    confidence: 0.9,
+    patterns: [
+      /\bout of (?:the )?office\b/i,
+      /\b(?:automatic|auto)[- ]?reply\b/i,
+      /\b(?:on|currently on) (?:annual |parental |maternity |paternity )?(?:leave|vacation|holiday)\b/i,
+      /\baway from (?:the office|my desk|email)\b/i,
+      /\blimited access to (?:my )?email\b/i,
+    ],
+  },
+  {
+    intent: 'unsubscribe',
+    confidence: 0.95,
+    patterns: [], // Uses isOptOutRequest (suppression-list.js) so both agree on what an opt-out is
+  },
+  {
+    intent: 'wrong-person',
+    confidence: 0.8,
+    patterns: [
+      /\b(?:not|isn'?t) the (?:right|best|correct) (?:person|contact)\b/i,
+      /\bwrong (?:person|contact)\b/i,
+      /\bno longer (?:with|at|work(?:s|ing)? (?:at|for|here))\b/i,
+      /\b(?:has )?left the (?:company|firm|business)\b/i,
+      /\b(?:not|doesn'?t fall) (?:in )?my (?:area|department|responsibility|remit)\b/i,
+      /\bI(?:'m| am) not (?:the one|involved|responsible|in charge)\b/i,
+      /\bI don'?t (?:handle|manage|deal with|oversee) (?:this|that|these)\b/i,
+    ],
+  },
+  {
+    intent: 'meeting-request',
+    confidence: 0.85,
+    patterns: [
+      /\b(?:let'?s|can we|could we|happy to|glad to|would like to|I'?d like to|want to|we should) (?:set up|schedule|book|find|grab|hop on|jump on|have|arrange) (?:a |some )?(?:time|call|chat|meeting|demo|zoom|slot)\b/i,
+      /\bsend (?:me |over )?(?:a |an |your )?(?:calendar|calendly|booking|meeting) (?:link|invite)\b/i,
+      /\bsend (?:me |over )?(?:a |an )?(?:calendar |meeting )?invite\b/i,
+      /\b(?:are you|would you be) (?:free|available)\b/i,
+      /\bhow (?:about|does) (?:next )?(?:mon|tues|wednes|thurs|fri)day\b/i,
+      /\bwhat(?:'s| is| does) your (?:availability|calendar|schedule)\b/i,
+      /\b(?:I'?m|I am|we'?re|we are) (?:free|available) (?:on |at |this |next |tomorrow)/i,
+    ],
+  },
+  {
+    intent: 'not-now',
+    confidence: 0.8,
+    patterns: [
+      /\bnot (?:right )?now\b/i,
+      /\b(?:not a good|bad|busy) time\b/i,
+      /\btiming (?:isn'?t|is not) (?:right|great|good)\b/i,
+      /\b(?:circle|check|reach|come|get) back (?:to me |in touch )?(?:in|next|after|around|later)\b/i,
+      /\b(?:follow up|touch base|reconnect|revisit|try (?:me|again)) (?:with me )?(?:in|next|after|around|later)\b/i,
+      /\bmaybe (?:later|next|in|after)\b/i,
+      /\bbudget (?:is )?(?:frozen|locked|set|spent|allocated)\b/i,
+    ],
+  },
+  {
+    intent: 'not-interested',
+    confidence: 0.8,
+    patterns: [
+      /\bnot interested\b/i,
+      /\bno,? thanks?\b/i,
+      /\bno thank you\b/i,
+      /\bwe(?:'re| are) (?:all )?(?:set|good|covered|happy with)\b/i,
+      /\b(?:already|currently) (?:have|use|work with|using|working with)\b/i,
+      /\bnot (?:a (?:good )?fit|for us|something we need)\b/i,
+      /\b(?:we'?ll|I'?ll|going to) pass\b/i,
+      /\bno need\b/i,
+    ],
+  },
+  {
+    intent: 'needs-info',
+    confidence: 0.75,
+    patterns: [
+      /\b(?:send|share|forward) (?:me |us |over )?(?:some |more )?(?:info|information|details|pricing|a deck|case stud(?:y|ies)|a brochure|materials|examples)\b/i,
+      /\b(?:more|some) (?:info|information|details)\b/i,
+      /\bhow much\b/i,
+      /\bwhat (?:does|do|would) (?:it|this|that|you) cost\b/i,
+      /\b(?:pricing|price|cost|rates?)\b[^.!?]*\?/i,
+      /\bhow (?:does|do|would) (?:it|this|that|you)\b[^.!?]*\?/i,
+      /\bwhat (?:exactly )?(?:do you|does your|is your)\b[^.!?]*\?/i,
+    ],
+  },
+  {
+    intent: 'interested',
+    confidence: 0.75,
+    patterns: [
+      /\b(?:I'?m|I am|we'?re|we are|would be|could be|might be) (?:very |definitely |potentially )?interested\b/i,
+      /\bsounds (?:good|great|interesting|promising)\b/i,
+      /\btell me more\b/i,
+      /\b(?:I'?d|I would|we'?d|we would) (?:like|love) to (?:learn|hear|know) more\b/i,
+      /\b(?:open to|keen on|up for) (?:it|this|that|a (?:chat|call|conversation)|learning more)\b/i,
+      /\blet'?s (?:talk|chat|connect)\b/i,
+      /^\s*(?:yes|sure|absolutely|definitely)\b/i,
+    ],
+  },
+];
+
+// Someone named as the person to contact instead (the name is checked for capitals afterwards)
+const REFERRAL_PATTERN = /\b(?:reach out to|get in touch with|contact|speak (?:with|to)|talk to|connect with|email|loop(?:ing)? in|cc(?:'d|ed|ing)?|forward(?:ed|ing)? (?:this|your (?:email|note|message)) to|(?:right|best) person (?:is|would be|to (?:talk|speak) to is))\s+(?:my colleague\s+|our\s+|my\s+)?(?:((?:[a-z]+\s+){0,3}?(?:manager|director|head|lead|vp|owner|partner|founder|coordinator|officer|president|ceo|cfo|coo)\b),?\s+)?([a-z][a-z'-]+(?:\s+[a-z][a-z'-]+)?)/i;
+
+// Job title right after a referred name: "Sarah Chen, our Operations Director"
+const TRAILING_TITLE_PATTERN = /^\s*,?\s*(?:(?:who is|is|our|the|my|as)\s+)*((?:[A-Z][A-Za-z&]*\s+){0,3}(?:Manager|Director|Head|Lead|VP|Owner|Partner|Founder|Coordinator|Officer|President|CEO|CFO|COO|CTO|CMO)\b)/;
+
+// Intents a reply of another intent usually matches too, so they don't lower confidence
+const COMPATIBLE_INTENTS = {
+  referral: ['wrong-person', 'interested', 'needs-info'],
+  'meeting-request': ['interested', 'needs-info'],
+  'needs-info': ['interested'],
+};
+
+// Words that look like names after a referral phrase but aren't
+const NOT_NAMES = new Set(['me', 'us', 'him', 'her', 'them', 'the', 'our', 'my', 'your', 'their', 'this', 'that', 'who', 'someone', 'somebody', 'anyone', 'he', 'she', 'they', 'i', 'we', 'you', 'directly', 'instead', 'at', 'on', 'via', 'by']);
+
+const EMAIL_PATTERN = /\b[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}\b/gi;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, 'a couple of': 2, 'a couple': 2, 'a few': 3 };
+
+// Where an out-of-office reply says when they're back
+const RETURN_CUE = /\b(?:back|return(?:ing|s)?|in the office|until|till|through)\b/i;
+
+// Times proposed for a meeting: "Tuesday at 2pm", "next Thursday morning", "3:30 pm"
+const MEETING_TIME_PATTERN = /\b(?:(?:next |this )?(?:mon|tues|wednes|thurs|fri)day(?: (?:morning|afternoon|evening))?(?: (?:at|around|after|before) \d{1,2}(?::\d{2})?\s*(?:am|pm)?)?|tomorrow(?: (?:morning|afternoon))?(?: (?:at|around) \d{1,2}(?::\d{2})?\s*(?:am|pm)?)?|\d{1,2}(?::\d{2})?\s*(?:am|pm))\b/gi;
+
+// ============================================================================
+// CLASSIFICATION
+// ============================================================================
+
+/**
+ * Classify a reply, with the LLM when configured and the rules otherwise
+ *
+ * @param {string|Object} reply - Reply text, or { body, subject, fromName, email }
+ * @param {Object} [options] - Options
+ * @param {boolean|string} [options.llm='auto'] - true: always try the LLM, false: rules only,
+ *   'auto': the LLM when the task's provider is configured (see isLLMConfigured)
+ * @param {Object} [options.context] - Cost ledger context ({ campaignId, clientId, leadId })
+ * @param {Date} [options.now] - Reference date for relative dates ("next Monday")
+ * @returns {Promise<Object>} Classification: { intent, confidence, sentiment, priority, entities,
+ *   keyPoints, suggestedResponse, reasoning, method: 'llm' | 'rules', fallbackReason? }
+ *
+ * @example
+ * const result = await classifyReply({ body: "I'm out of the office until March 10", email: 'jane@abc.com' });
+ * // { intent: 'out-of-office', confidence: 0.9, entities: { returnDate: '2027-03-10', ... }, method: 'rules', ... }
+ */
+async function classifyReply(reply, options = {}) {
+  const { llm = 'auto', context = {}, now = new Date() } = options;
+  const normalized = normalizeReply(reply);
+  const rules = classifyReplyWithRules(normalized, { now });
+
+  if (llm === false || (llm === 'auto' && !isLLMConfigured('reply-classification'))) {
+    return rules;
+  }
+
+  try {
+    const { value } = await complete({
+      task: 'reply-classification',
+      system: CLASSIFIER_SYSTEM_PROMPT,
+      prompt: buildClassificationPrompt(normalized, now),
+      json: true,
+      context: { leadId: normalized.email || null, ...context },
+      parse: content => {
+        let parsed;
+        try {
+          parsed = JSON.parse(content);
+        } catch (parseError) {
+          throw new Error(`Failed to parse JSON response: ${parseError.message}`);
+        }
+
+        const errors = validateClassification(parsed);
+        if (errors.length > 0) {
+          throw new Error(`Classification does not match the schema: ${errors.join('; ')}`);
+        }
+        return parsed;
+      },
+    });
+
+    // Opt-outs are a compliance matter: the rules' reading wins
+    const intent = rules.intent === 'unsubscribe' ? 'unsubscribe' : value.intent;
+    const entities = { ...rules.entities };
+    for (const [key, entity] of Object.entries(value.entities || {})) {
+      const empty = entity === null || entity === undefined || (Array.isArray(entity) && entity.length === 0);
+      if (!empty && key in entities) entities[key] = entity;
+    }
+
+    return buildResult(intent, intent === value.intent ? value.confidence : rules.confidence, entities, {
+      keyPoints: value.keyPoints,
+      suggestedResponse: value.suggestedResponse,
+      reasoning: intent === value.intent ? value.reasoning : 'Opt-out wording detected by the rules classifier',
+      method: 'llm',
+    });
+
+  } catch (error) {
+    console.log(`[Reply Classifier] LLM classification failed, using rules: ${error.message}`);
+    return { ...rules, fallbackReason: error.message };
+  }
+}
+
+/**
+ * Classify a reply with keyword rules (no LLM)
+ *
+ * @param {string|Object} reply - Reply text, or { body, subject, fromName, email }
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now] - Reference date for relative dates
+ * @returns {Object} Classification (see classifyReply), method 'rules'
+ */
+function classifyReplyWithRules(reply, options = {}) {
+  const { now = new Date() } = options;
+  const normalized = normalizeReply(reply);
+  const text = normalized.body;
+  const entities = extractEntities(normalized, now);
+
+  // Auto-replies often only say so in the subject
+  const matches = INTENT_RULES.filter(rule => {
+    if (rule.intent === 'unsubscribe') return isOptOutRequest(text);
+    const searched = rule.intent === 'out-of-office' ? `${normalized.subject}\n${text}` : text;
+    return rule.patterns.some(pattern => pattern.test(searched));
+  });
+
+  // Naming someone to contact instead makes it a referral, unless it's an opt-out, auto-reply or booking
+  if (entities.referral && !['out-of-office', 'unsubscribe', 'meeting-request', 'not-now'].includes((matches[0] || {}).intent)) {
+    matches.unshift({ intent: 'referral', confidence: matches.length > 0 && matches[0].intent === 'wrong-person' ? 0.85 : 0.7 });
+  }
+
+  if (matches.length === 0 || !text) {
+    const questions = entities.questions.length > 0;
+    return buildResult(questions ? 'needs-info' : 'unclear', questions ? 0.5 : 0.3, entities, {
+      keyPoints: firstSentences(text),
+      reasoning: questions ? 'Asks questions, no other signal' : 'No rule matched',
+      method: 'rules',
+    });
+  }
+
+  const [best] = matches;
+
+  // Another intent matching too makes the call less certain
+  const compatible = COMPATIBLE_INTENTS[best.intent] || [];
+  const others = matches.slice(1).map(rule => rule.intent).filter(intent => intent !== best.intent && !compatible.includes(intent));
+  const ambiguous = others.length > 0 && best.intent !== 'unsubscribe';
+  const confidence = Math.round((ambiguous ? best.confidence - 0.15 : best.confidence) * 100) / 100;
+
+  return buildResult(best.intent, confidence, entities, {
+    keyPoints: firstSentences(text),
+    reasoning: `Matched ${best.intent} rules${ambiguous ? ` (also matched: ${others.join(', ')})` : ''}`,
+    method: 'rules',
+  });
+}
+
+/**
+ * Validate an LLM classification
+ *
+ * @param {Object} classification - Parsed LLM response
+ * @returns {string[]} Errors (empty if valid)
+ */
+function validateClassification(classification) {
+  const errors = [];
+
+  if (!classification || typeof classification !== 'object') {
+    return ['classification must be an object'];
+  }
+
+  if (!REPLY_INTENTS[classification.intent]) {
+    errors.push(`intent must be one of: ${Object.keys(REPLY_INTENTS).join(', ')}`);
+  }
+
+  if (typeof classification.confidence !== 'number' || classification.confidence < 0 || classification.confidence > 1) {
+    errors.push('confidence must be a number from 0 to 1');
+  }
+
+  const entities = classification.entities || {};
+  if (typeof entities !== 'object' || Array.isArray(entities)) {
+    errors.push('entities must be an object');
+    return errors;
+  }
+
+  for (const key of ['returnDate', 'followUpDate']) {
+    if (entities[key] !== undefined && entities[key] !== null && !/^\d{4}-\d{2}-\d{2}$/.test(entities[key])) {
+      errors.push(`entities.${key} must be YYYY-MM-DD or null`);
+    }
+  }
+  if (entities.timingHint !== undefined && entities.timingHint !== null && typeof entities.timingHint !== 'string') {
+    errors.push('entities.timingHint must be a string or null');
+  }
+  if (entities.referral !== undefined && entities.referral !== null &&
+      (typeof entities.referral !== 'object' || !(entities.referral.name || entities.referral.email))) {
+    errors.push('entities.referral must be null or have a name or email');
+  }
+  for (const key of ['meetingTimes', 'questions']) {
+    if (entities[key] !== undefined && (!Array.isArray(entities[key]) || entities[key].some(item => typeof item !== 'string'))) {
+      errors.push(`entities.${key} must be an array of strings`);
+    }
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// ENTITY EXTRACTION
+// ============================================================================
+
+/**
+ * Extract entities from a normalized reply
+ *
+ * @param {Object} reply - Normalized reply
+ * @param {Date} now - Reference date
+ * @returns {Object} { returnDate, timingHint, followUpDate, referral, meetingTimes, questions }
+ */
+function extractEntities(reply, now) {
+  const text = reply.body;
+  const timing = extractTiming(text, now);
+
+  return {
+    returnDate: extractReturnDate(`${reply.subject}\n${text}`, now),
+    timingHint: timing ? timing.hint : null,
+    followUpDate: timing ? timing.date : null,
+    referral: extractReferral(text, reply.email),
+    meetingTimes: unique((text.match(MEETING_TIME_PATTERN) || []).map(time => time.trim())),
+    questions: unique((text.match(/[^.!?\n]+\?/g) || []).map(question => question.trim())),
+  };
+}
+
+/**
+ * Return date from an out-of-office reply ("back on March 10", "until Monday")
+ */
+function extractReturnDate(text, now) {
+  const cue = text.match(RETURN_CUE);
+  if (cue) {
+    const date = parseDate(text.slice(cue.index, cue.index + 60), now);
+    if (date) return date;
+  }
+  return null;
+}
+
+/**
+ * "Not now" timing: the words they used and the date to follow up
+ */
+function extractTiming(text, now) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  // Next start of a quarter (0-3), this year or next
+  const quarterStart = quarter => utcDate(year + (quarter * 3 <= month ? 1 : 0), quarter * 3, 1);
+
+  const resolvers = [
+    [/\bnext quarter\b/i, () => utcDate(year, (Math.floor(month / 3) + 1) * 3, 1)],
+    // "after Q1" means once Q1 is over; "in Q1" means when it starts
+    [/\b(in |after |until |end of )?q([1-4])\b/i, match => quarterStart(/after|until|end/i.test(match[1] || '') ? Number(match[2]) % 4 : Number(match[2]) - 1)],
+    [/\bnext month\b/i, () => utcDate(year, month + 1, 1)],
+    [/\bnext year\b/i, () => utcDate(year + 1, 0, 1)],
+    [/\bend of (?:the )?(year|quarter|month)\b/i, match => ({
+      year: utcDate(year + 1, 0, 1),
+      quarter: utcDate(year, (Math.floor(month / 3) + 1) * 3, 1),
+      month: utcDate(year, month + 1, 1),
+    })[match[1].toLowerCase()]],
+    [/\bin (\d+|a|an|one|two|three|four|five|six|a couple(?: of)?|a few) (weeks?|months?)\b/i, match => {
+      const count = NUMBER_WORDS[match[1].toLowerCase()] || Number(match[1]);
+      return /week/i.test(match[2]) ? addDays(now, count * 7) : utcDate(year, month + count, now.getUTCDate());
+    }],
+    [/\bafter the holidays\b/i, () => utcDate(month === 0 && now.getUTCDate() < 7 ? year : year + 1, 0, 7)],
+    [new RegExp(`\\b(?:in|after|until|around|by|come) ${MONTH_PATTERN}\\b(?!\\s+\\d)`, 'i'), match => {
+      const target = monthIndex(match[1]);
+      return utcDate(target <= month ? year + 1 : year, target, 1);
+    }],
+    [/\bnext week\b/i, () => nextWeekday(now, 1)],
+  ];
+
+  for (const [pattern, resolve] of resolvers) {
+    const match = text.match(pattern);
+    if (match) {
+      return { hint: match[0].trim(), date: isoDate(resolve(match)) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Colleague to contact instead: { name, email, title }
+ */
+function extractReferral(text, senderEmail) {
+  const match = text.match(REFERRAL_PATTERN);
+  if (!match) return null;
+
+  // Keep leading capitalised words that aren't pronouns or articles
+  const nameWords = [];
+  for (const word of match[2].split(/\s+/)) {
+    if (!/^[A-Z]/.test(word) || NOT_NAMES.has(word.toLowerCase())) break;
+    nameWords.push(word);
+  }
+  const name = nameWords.length > 0 ? nameWords.join(' ') : null;
+
+  // Only emails after the referral phrase, so the sender's signature doesn't count
+  const sender = (senderEmail || '').toLowerCase();
+  const rest = text.slice(match.index);
+  const email = (rest.match(EMAIL_PATTERN) || []).find(address => address.toLowerCase() !== sender) || null;
+  if (!name && !email) return null;
+
+  const trailing = name ? text.slice(match.index + match[0].length).match(TRAILING_TITLE_PATTERN) : null;
+  const title = match[1] ? match[1].trim() : (trailing ? trailing[1].trim() : null);
+  return { name, email, title };
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Normalize a reply: strip HTML and the quoted original message
+ */
+function normalizeReply(reply) {
+  const raw = typeof reply === 'string' ? { body: reply } : (reply || {});
+  const body = String(raw.body || raw.replyBody || raw.text || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .split(/\n(?:On .{1,200}wrote:|-{2,}\s*Original Message\s*-{2,}|From: .+\nSent: )/i)[0]
+    .split('\n')
+    .filter(line => !/^\s*>/.test(line))
+    .join('\n')
+    .trim();
+
+  return {
+    body,
+    subject: String(raw.subject || raw.replySubject || ''),
+    fromName: raw.fromName || raw.leadName || '',
+    email: raw.email || raw.fromEmail || raw.leadEmail || '',
+  };
+}
+
+/**
+ * Build the LLM classification prompt
+ */
+function buildClassificationPrompt(reply, now) {
+  const intents = Object.entries(REPLY_INTENTS)
+    .map(([intent, definition]) => `- ${intent}: ${definition.description}`)
+    .join('\n');
+
+  return `Classify this reply to a cold outreach email.
+
+Today's date: ${isoDate(now)}
+
+Reply:
+- From: ${reply.fromName || 'Unknown'}${reply.email ? ` (${reply.email})` : ''}
+- Subject: ${reply.subject || '(none)'}
+
+Body:
+"""
+${reply.body}
+"""
+
+Intents:
+${intents}
+
+Rules:
+- Use "referral" when they name someone else to contact; "wrong-person" when they don't
+- Use "not-now" over "not-interested" when they leave the door open for later
+- Resolve relative dates ("next Monday", "after Q1") against today's date
+- Only fill entities the reply states; use null or [] otherwise
+
+Respond in JSON format:
+{
+  "intent": "${Object.keys(REPLY_INTENTS).join('|')}",
+  "confidence": 0.0,
+  "entities": {
+    "returnDate": "YYYY-MM-DD (out-of-office) or null",
+    "timingHint": "their words, e.g. \\"after Q1\\", or null",
+    "followUpDate": "YYYY-MM-DD to follow up (not-now) or null",
+    "referral": { "name": "Full Name or null", "email": "email or null", "title": "title or null" },
+    "meetingTimes": ["times they proposed"],
+    "questions": ["questions they asked"]
+  },
+  "keyPoints": ["point 1", "point 2"],
+  "suggestedResponse": "brief guidance",
+  "reasoning": "brief explanation"
+}`;
+}
+
+/**
+ * Assemble a classification result with the intent's routing fields
+ */
+function buildResult(intent, confidence, entities, extra) {
+  const definition = REPLY_INTENTS[intent];
+  return {
+    intent,
+    confidence,
+    sentiment: definition.sentiment,
+    priority: definition.priority,
+    entities,
+    keyPoints: Array.isArray(extra.keyPoints) ? extra.keyPoints : [],
+    suggestedResponse: extra.suggestedResponse || definition.suggestedResponse,
+    reasoning: extra.reasoning || '',
+    method: extra.method,
+  };
+}
+
+/**
+ * Parse the first date in a snippet: 2026-03-10, March 10(th)(, 2026), 10 March, 3/10, tomorrow, (next) Monday
+ */
+function parseDate(text, now) {
+  const year = now.getUTCFullYear();
+  const upcoming = (month, day, explicitYear) => {
+    if (explicitYear) return isoDate(utcDate(explicitYear < 100 ? 2000 + explicitYear : explicitYear, month, day));
+    const candidate = utcDate(year, month, day);
+    return isoDate(candidate < utcDate(year, now.getUTCMonth(), now.getUTCDate()) ? utcDate(year + 1, month, day) : candidate);
+  };
+
+  let match = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+  match = text.match(new RegExp(`\\b${MONTH_PATTERN}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`, 'i'));
+  if (match) return upcoming(monthIndex(match[1]), Number(match[2]), match[3] && Number(match[3]));
+
+  match = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}\\b(?:,?\\s+(\\d{4}))?`, 'i'));
+  if (match) return upcoming(monthIndex(match[2]), Number(match[1]), match[3] && Number(match[3]));
+
+  match = text.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/);
+  if (match) return upcoming(Number(match[1]) - 1, Number(match[2]), match[3] && Number(match[3]));
+
+  if (/\btomorrow\b/i.test(text)) return isoDate(addDays(now, 1));
+
+  match = text.match(/\b(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/i);
+  if (match) return isoDate(nextWeekday(now, WEEKDAYS.indexOf(match[1].toLowerCase())));
+
+  return null;
+}
+
+function monthIndex(name) {
+  return MONTHS.findIndex(month => month.startsWith(name.toLowerCase().slice(0, 3)));
+}
+
+function utcDate(year, month, day) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+function addDays(date, days) {
+  return utcDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + days);
+}
+
+/**
+ * Next occurrence of a weekday (0 = Sunday), after today
+ */
+function nextWeekday(now, weekday) {
+  const days = ((weekday - now.getUTCDay() + 7) % 7) || 7;
+  return addDays(now, days);
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function unique(items) {
+  return [...new Set(items)];
+}
+
+function firstSentences(text, count = 3) {
+  return (text.match(/[^.!?\n]+[.!?]?/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 3 && !/^(hi|hello|hey|dear|thanks|thank you|best|regards|cheers)\b[^a-z]*\w*[,!.]?$/i.test(sentence))
+    .slice(0, count);
+}
+
+module.exports = {
+  classifyReply,
+  classifyReplyWithRules,
+  validateClassification,
+  REPLY_INTENTS,
+};
@@ -0,0 +1,268 @@
+/**
+ * Reply Draft Store
+ *
+ * Disk-backed store for suggested replies (reply-drafting.js) waiting for a
+ * rep's approval. A draft record moves pending -> approved -> sent, or
+ * pending -> rejected; approving picks one of the record's drafts, optionally
+ * edited. Nothing here sends email: sendApprovedDraft in reply-drafting.js
+ * does, and only for approved records.
+ *
+ * Location: REPLY_DRAFTS_PATH (default: .cache/reply-drafts.json in the
+ * working directory).
+ *
+ * @module reply-draft-store
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STORE_PATH = path.join('.cache', 'reply-drafts.json');
+
+// Bumped when the stored record format changes; older files are discarded
+const STORE_VERSION = 1;
+
+// Record statuses
+const DRAFT_STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  SENT: 'sent',
+};
+
+// Process-wide store used by draftReplyResponses (lazy initialization)
+let sharedStore = null;
+
+/**
+ * Disk-backed store of reply draft records
+ */
+class ReplyDraftStore {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string|null} [options.filePath] - JSON file (default: REPLY_DRAFTS_PATH or .cache/reply-drafts.json; null = memory only)
+   */
+  constructor(options = {}) {
+    const { filePath = process.env.REPLY_DRAFTS_PATH || DEFAULT_STORE_PATH } = options;
+
+    this.filePath = filePath;
+    this.records = this.load();
+  }
+
+  /**
+   * Read records from disk (an unreadable file starts an empty store)
+   * @returns {Object} Records by ID
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return {};
+
+    try {
+      const state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return state.version === STORE_VERSION ? state.records || {} : {};
+    } catch (error) {
+      console.error(`[Reply Drafts] Could not read ${this.filePath}, starting empty:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Write the store to disk (no-op in memory)
+   */
+  save() {
+    if (!this.filePath) return;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ version: STORE_VERSION, records: this.records }, null, 2));
+    fs.renameSync(tempPath, this.filePath); // Atomic replace: readers never see a half-written file
+  }
+
+  /**
+   * Store a new record as pending and save
+   *
+   * @param {Object} record - Draft record (reply, classification, drafts, ...)
+   * @returns {Object} Stored record with id, status, createdAt and updatedAt
+   */
+  add(record) {
+    const now = new Date().toISOString();
+    const id = `draft_${Date.now().toString(36)}_${crypto.randomBytes(4).toString('hex')}`;
+
+    this.records[id] = {
+      ...record,
+      id,
+      status: DRAFT_STATUSES.PENDING,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.save();
+
+    return this.records[id];
+  }
+
+  /**
+   * Get a record by ID
+   * @param {string} id - Record ID
+   * @returns {Object|null} Record, or null if unknown
+   */
+  get(id) {
+    return this.records[id] || null;
+  }
+
+  /**
+   * List records, newest first
+   *
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.status] - Only records with this status
+   * @param {string} [filters.intent] - Only records for replies with this intent
+   * @returns {Object[]} Records
+   */
+  list(filters = {}) {
+    const { status = null, intent = null } = filters;
+
+    return Object.values(this.records)
+      .filter(record => !status || record.status === status)
+      .filter(record => !intent || (record.classification && record.classification.intent === intent))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Approve one of a pending record's drafts, optionally edited
+   *
+   * @param {string} id - Record ID
+   * @param {Object} [approval] - Approval
+   * @param {number} [approval.draftIndex=0] - Which draft to send
+   * @param {string} [approval.subject] - Edited subject
+   * @param {string} [approval.body] - Edited body
+   * @param {string} [approval.approvedBy] - Who approved it (a rep, or 'auto-send policy')
+   * @returns {Object} Updated record, with approvedDraft { subject, body, proposedTimes, draftIndex, edited }
+   * @throws {Error} If the record is unknown, not pending, or has no such draft
+   */
+  approve(id, approval = {}) {
+    const { draftIndex = 0, subject = null, body = null, approvedBy = null } = approval;
+    const record = this.requireStatus(id, DRAFT_STATUSES.PENDING, 'approve');
+
+    const draft = record.drafts[draftIndex];
+    if (!draft) {
+      throw new Error(`Reply draft ${id} has no draft ${draftIndex} (${record.drafts.length} available)`);
+    }
+
+    return this.update(id, {
+      status: DRAFT_STATUSES.APPROVED,
+      approvedDraft: {
+        draftIndex,
+        subject: subject || draft.subject,
+        body: body || draft.body,
+        proposedTimes: draft.proposedTimes || [],
+        edited: Boolean((subject && subject !== draft.subject) || (body && body !== draft.body)),
+      },
+      approvedBy,
+      approvedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Reject a pending record
+   *
+   * @param {string} id - Record ID
+   * @param {Object} [rejection] - { reason, rejectedBy }
+   * @returns {Object} Updated record
+   * @throws {Error} If the record is unknown or not pending
+   */
+  reject(id, rejection = {}) {
+    const { reason = null, rejectedBy = null } = rejection;
+    this.requireStatus(id, DRAFT_STATUSES.PENDING, 'reject');
+
+    return this.update(id, {
+      status: DRAFT_STATUSES.REJECTED,
+      rejectionReason: reason,
+      rejectedBy,
+      rejectedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Mark an approved record as sent
+   *
+   * @param {string} id - Record ID
+   * @param {Object} [result] - Send result (e.g. { messageId })
+   * @returns {Object} Updated record
+   * @throws {Error} If the record is unknown or not approved
+   */
+  markSent(id, result = {}) {
+    this.requireStatus(id, DRAFT_STATUSES.APPROVED, 'send');
+
+    return this.update(id, {
+      status: DRAFT_STATUSES.SENT,
+      sendResult: result,
+      sentAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Merge fields into a record and save
+   * @param {string} id - Record ID
+   * @param {Object} fields - Fields to set
+   * @returns {Object} Updated record
+   */
+  update(id, fields) {
+    if (!this.records[id]) {
+      throw new Error(`Unknown reply draft: ${id}`);
+    }
+
+    this.records[id] = { ...this.records[id], ...fields, updatedAt: new Date().toISOString() };
+    this.save();
+    return this.records[id];
+  }
+
+  /**
+   * Get a record, checking it has the status an action needs
+   */
+  requireStatus(id, status, action) {
+    const record = this.get(id);
+    if (!record) {
+      throw new Error(`Unknown reply draft: ${id}`);
+    }
+    if (record.status !== status) {
+      throw new Error(`Cannot ${action} reply draft ${id}: it is ${record.status}, not ${status}`);
+    }
+    return record;
+  }
+
+  /**
+   * Record counts by status
+   * @returns {Object} { total, pending, approved, rejected, sent, filePath }
+   */
+  getStats() {
+    const records = Object.values(this.records);
+    const stats = { total: records.length };
+    for (const status of Object.values(DRAFT_STATUSES)) {
+      stats[status] = records.filter(record => record.status === status).length;
+    }
+    return { ...stats, filePath: this.filePath };
+  }
+}
+
+/**
+ * The process-wide store used by draftReplyResponses
+ * @returns {ReplyDraftStore} Shared store
+ */
+function getSharedReplyDraftStore() {
+  if (!sharedStore) {
+    sharedStore = new ReplyDraftStore();
+  }
+  return sharedStore;
+}
+
+/**
+ * Replace the shared store (e.g. a different file); null resets to the default
+ * @param {ReplyDraftStore|null} store - Store to share
+ */
+function setSharedReplyDraftStore(store) {
+  sharedStore = store;
+}
+
+module.exports = {
+  ReplyDraftStore,
+  getSharedReplyDraftStore,
+  setSharedReplyDraftStore,
+  DRAFT_STATUSES,
+};
@@ -0,0 +1,722 @@
+/**
+ * Reply Drafting Assistant
+ *
+ * Drafts one or two suggested answers to a prospect's reply, for a rep to
+ * approve. Each draft is written from the reply's intent (reply-classifier.js),
+ * the earlier messages in the thread (replies from Instantly's
+ * getCampaignReplies or SmartLead's getLeadReplies), the GHL contact and its
+ * recent conversations, cached company research (research-cache.js; drafting
+ * never pays for new research) and open calendar slots (CalendarAPI
+ * getAvailability). Meeting-minded replies get concrete times, and a draft may
+ * only propose times that are open slots, in its proposedTimes and its text.
+ *
+ * Drafts are stored as pending records (reply-draft-store.js) and are never
+ * sent automatically: sendApprovedDraft sends an approved record through GHL.
+ * The one exception is an auto-send policy naming the reply's intent, e.g.
+ * { 'meeting-request': { minConfidence: 0.9 } }, which approves and sends the
+ * first draft when the classification is confident enough. Unsubscribes and
+ * out-of-office replies get no drafts.
+ *
+ * Uses the LLM (task 'reply-drafting' in llm-client.js) and falls back to
+ * per-intent templates when it isn't configured or its drafts fail the checks.
+ *
+ * @module reply-drafting
+ */
+
+const { complete, isLLMConfigured } = require('./llm-client');
+const { classifyReply } = require('./reply-classifier');
+const { researchToText } = require('./company-research');
+const { getSharedResearchCache } = require('./research-cache');
+const { getSharedReplyDraftStore, DRAFT_STATUSES } = require('./reply-draft-store');
+
+// System prompt for the drafting task
+const DRAFT_SYSTEM_PROMPT = 'You are a B2B sales rep answering a prospect who replied to your cold email. Write short, specific, human replies that move the conversation forward. Always return valid JSON with a drafts array of subject and body fields.';
+
+// Intents that get no drafts, and why
+const SKIPPED_INTENTS = {
+  unsubscribe: 'Opt-out: suppress the contact, do not reply',
+  'out-of-office': 'Auto-reply: the sequence resumes after the return date',
+};
+
+// Intents whose drafts propose meeting times
+const SLOT_INTENTS = ['interested', 'meeting-request', 'needs-info'];
+
+// What each intent's drafts should do (prompt guidance)
+const INTENT_GOALS = {
+  interested: 'Thank them briefly and offer two or three concrete times for a 15-minute call.',
+  'meeting-request': 'Confirm a time they proposed if it is an open slot; otherwise offer the closest open slots.',
+  'needs-info': 'Answer their questions directly from the research, then offer a short call at concrete times.',
+  referral: 'Thank them for the pointer and say you will reach out to the person they named, mentioning them.',
+  'not-now': 'Acknowledge the timing and say when you will check back, using their timing hint.',
+  'not-interested': 'Thank them, confirm you will not follow up, and leave the door open politely.',
+  'wrong-person': 'Apologize briefly and ask who handles this.',
+  unclear: 'Thank them and ask one short clarifying question.',
+};
+
+// Weekday and clock-time mentions in a draft body ("Thursday", "4pm", "10:30 a.m.", "14:00", "noon")
+const WEEKDAY_PATTERN = /\b(sunday|monday|tuesday|wednesday|thursday|friday|saturday)s?\b/gi;
+const TIME_PATTERN = /\b(\d{1,2})(?::([0-5]\d))?\s*([ap])\.?m\b\.?|\b(\d{1,2}):([0-5]\d)\b|\b(noon|midday)\b/gi;
+
+const DEFAULT_OPTIONS = {
+  count: 2,
+  maxSlots: 3,
+  slotDays: 7,
+  timezone: 'America/Chicago',
+  maxWords: 150,
+  minConfidence: 0.9, // Auto-send default when a policy entry doesn't set one
+};
+
+// ============================================================================
+// DRAFTING
+// ============================================================================
+
+/**
+ * Draft suggested replies and store them for approval
+ *
+ * @param {Object} reply - Reply from getCampaignReplies / getLeadReplies
+ *   ({ replyId, leadEmail, leadName, subject, body, timestamp, threadId }) or a mapped webhook ({ replyBody, replySubject, ... })
+ * @param {Object} [options] - Options
+ * @param {Object[]} [options.thread] - Replies from the same fetch; the ones in this reply's thread are used
+ * @param {GoHighLevelAPI} [options.ghl] - GHL client for the contact, its conversations and sending
+ * @param {string} [options.contactId] - GHL contact ID (default: searched by the reply's email)
+ * @param {CalendarAPI} [options.calendar] - Calendar for open slots
+ * @param {string|Object} [options.research] - Company research (default: cached research for options.company or the contact)
+ * @param {Object} [options.company] - { website, companyName } to look up cached research
+ * @param {Object} [options.classification] - classifyReply result (default: classified here)
+ * @param {Object} [options.sender] - { name } to sign drafts with
+ * @param {number} [options.count=2] - Drafts to write (1 or 2)
+ * @param {Object} [options.autoSend] - Per-intent auto-send policy: { intent: true | { minConfidence, allowFallback } }
+ * @param {ReplyDraftStore} [options.store] - Store (default: the shared store)
+ * @param {Object} [options.context] - Cost ledger context ({ campaignId, clientId })
+ * @param {Date} [options.now] - Reference date for slots and relative dates
+ * @returns {Promise<Object>} Stored record ({ id, status, drafts, classification, autoSend, ... }),
+ *   or { status: 'skipped', reason, classification } for intents that get no reply
+ *
+ * @example
+ * const { replies } = await instantly.getCampaignReplies(campaignId);
+ * const record = await draftReplyResponses(replies[0], { thread: replies, ghl, calendar, sender: { name: 'Sam' } });
+ * // record.status: 'pending', record.drafts: [{ subject, body, proposedTimes: ['2026-10-20T15:00:00.000Z', ...] }, ...]
+ */
+async function draftReplyResponses(reply, options = {}) {
+  const {
+    thread = [],
+    ghl = null,
+    calendar = null,
+    company = null,
+    sender = {},
+    count = DEFAULT_OPTIONS.count,
+    autoSend = {},
+    store = getSharedReplyDraftStore(),
+    context = {},
+    now = new Date(),
+  } = options;
+
+  if (![1, 2].includes(count)) {
+    throw new Error('Draft count must be 1 or 2');
+  }
+
+  const normalized = normalizeReply(reply);
+  if (!normalized.body) {
+    throw new Error('Reply body is required');
+  }
+
+  const classification = options.classification || await classifyReply(normalized, { context, now });
+  if (SKIPPED_INTENTS[classification.intent]) {
+    return { status: 'skipped', reason: SKIPPED_INTENTS[classification.intent], reply: normalized, classification };
+  }
+
+  const gathered = await gatherDraftContext(normalized, classification, {
+    thread, ghl, calendar, company, now,
+    contactId: options.contactId || null,
+    research: options.research || null,
+    maxSlots: options.maxSlots || DEFAULT_OPTIONS.maxSlots,
+    slotDays: options.slotDays || DEFAULT_OPTIONS.slotDays,
+    timezone: options.timezone || DEFAULT_OPTIONS.timezone,
+  });
+
+  const input = { reply: normalized, classification, sender, count, ...gathered };
+  let drafts;
+  let fallbackReason = null;
+
+  if (isLLMConfigured('reply-drafting')) {
+    try {
+      const { value } = await complete({
+        task: 'reply-drafting',
+        system: DRAFT_SYSTEM_PROMPT,
+        prompt: buildDraftPrompt(input),
+        json: true,
+        context: { leadId: normalized.leadEmail || null, ...context },
+        parse: content => parseDrafts(content, input),
+      });
+      drafts = value.map(draft => ({ ...draft, fallback: false }));
+    } catch (error) {
+      console.log(`[Reply Drafting] LLM drafting failed, using templates: ${error.message}`);
+      fallbackReason = error.message;
+    }
+  } else {
+    fallbackReason = 'No LLM configured for reply-drafting';
+  }
+
+  if (!drafts) {
+    drafts = generateFallbackDrafts(input);
+  }
+
+  const record = store.add({
+    reply: normalized,
+    contactId: gathered.contactId,
+    classification: {
+      intent: classification.intent,
+      confidence: classification.confidence,
+      sentiment: classification.sentiment,
+      entities: classification.entities,
+      method: classification.method,
+    },
+    drafts,
+    slots: gathered.slots,
+    contextUsed: {
+      threadMessages: gathered.threadMessages.length,
+      crmContact: Boolean(gathered.contact),
+      conversations: gathered.conversations.length,
+      research: Boolean(gathered.research),
+      slots: gathered.slots.length,
+    },
+    contextErrors: gathered.errors,
+    fallbackReason,
+  });
+
+  const decision = evaluateAutoSend(record, autoSend, { canSend: Boolean(ghl && record.contactId) });
+  store.update(record.id, { autoSend: decision });
+
+  if (!decision.allowed) {
+    return store.get(record.id);
+  }
+
+  console.log(`[Reply Drafting] Auto-sending draft for ${normalized.leadEmail} (${decision.reason})`);
+  store.approve(record.id, { draftIndex: 0, approvedBy: 'auto-send policy' });
+  return sendApprovedDraft(record.id, { ghl, store });
+}
+
+/**
+ * Send an approved draft through GHL and mark it sent
+ *
+ * @param {string} id - Draft record ID
+ * @param {Object} options - Options
+ * @param {GoHighLevelAPI} options.ghl - GHL client
+ * @param {ReplyDraftStore} [options.store] - Store (default: the shared store)
+ * @returns {Promise<Object>} Updated record (status 'sent', or still 'approved' with sendResult when GHL refused, e.g. suppressed)
+ * @throws {Error} If the record is unknown, not approved or has no contact
+ */
+async function sendApprovedDraft(id, options = {}) {
+  const { ghl = null, store = getSharedReplyDraftStore() } = options;
+
+  const record = store.requireStatus(id, DRAFT_STATUSES.APPROVED, 'send');
+  if (!ghl || !record.contactId) {
+    throw new Error(`Cannot send reply draft ${id}: a GHL client and contact are required`);
+  }
+
+  const result = await ghl.sendEmail(record.contactId, {
+    subject: record.approvedDraft.subject,
+    body: record.approvedDraft.body,
+  });
+
+  if (!result.success) {
+    console.log(`[Reply Drafting] Draft ${id} not sent: ${result.message}`);
+    return store.update(id, { sendResult: result });
+  }
+
+  return store.markSent(id, { messageId: result.messageId });
+}
+
+/**
+ * Decide whether a record's first draft may go out without a rep
+ *
+ * @param {Object} record - Draft record
+ * @param {Object} policy - Per-intent policy: { intent: true | { minConfidence, allowFallback } }
+ * @param {Object} [options] - { canSend }
+ * @returns {Object} { allowed, reason }
+ */
+function evaluateAutoSend(record, policy = {}, options = {}) {
+  const { canSend = true } = options;
+  const { intent, confidence } = record.classification;
+  const rule = policy[intent] === true ? {} : policy[intent];
+
+  if (!rule) {
+    return { allowed: false, reason: `No auto-send policy for ${intent}` };
+  }
+
+  const { minConfidence = DEFAULT_OPTIONS.minConfidence, allowFallback = false } = rule;
+  if (confidence < minConfidence) {
+    return { allowed: false, reason: `Confidence ${confidence} is below the policy minimum ${minConfidence}` };
+  }
+  if (record.drafts[0].fallback && !allowFallback) {
+    return { allowed: false, reason: 'First draft is a template fallback' };
+  }
+  if (!canSend) {
+    return { allowed: false, reason: 'No GHL client or contact to send from' };
+  }
+
+  return { allowed: true, reason: `Policy for ${intent} (confidence ${confidence} >= ${minConfidence})` };
+}
+
+// ============================================================================
+// CONTEXT
+// ============================================================================
+
+/**
+ * Collect thread, CRM, research and slots for a reply; a source that fails is
+ * left out and noted in errors, so drafting still goes ahead
+ */
+async function gatherDraftContext(reply, classification, options) {
+  const { thread, ghl, calendar, company, research, now, maxSlots, slotDays, timezone } = options;
+  const errors = [];
+  let { contactId } = options;
+
+  const threadMessages = thread
+    .filter(message => (reply.threadId ? message.threadId === reply.threadId : message.leadEmail === reply.leadEmail))
+    .filter(message => (reply.replyId ? message.replyId !== reply.replyId : message.body !== reply.body))
+    .sort((a, b) => String(a.timestamp || '').localeCompare(String(b.timestamp || '')));
+
+  let contact = null;
+  let conversations = [];
+  if (ghl) {
+    try {
+      if (!contactId && reply.leadEmail) {
+        const search = await ghl.searchContact(reply.leadEmail);
+        contactId = search && search.found ? search.contact.id : null;
+      }
+      if (contactId) {
+        contact = (await ghl.getContact(contactId)).contact || null;
+        conversations = (await ghl.getConversations(contactId, 10)).messages || [];
+      }
+    } catch (error) {
+      errors.push(`crm: ${error.message}`);
+    }
+  }
+
+  let companyResearch = research;
+  const lookup = company || (contact && (contact.website || contact.companyName)
+    ? { website: contact.website, companyName: contact.companyName }
+    : null);
+  if (!companyResearch && lookup) {
+    const entry = getSharedResearchCache().get(lookup);
+    companyResearch = entry ? entry.research : null;
+  }
+
+  let slots = [];
+  if (calendar && SLOT_INTENTS.includes(classification.intent)) {
+    try {
+      const available = await calendar.getAvailability({
+        startDate: isoDate(addDays(now, 1)),
+        endDate: isoDate(addDays(now, slotDays)),
+        timezone,
+      });
+      slots = pickSlots(available || [], classification.entities.meetingTimes || [], { maxSlots, timezone, now });
+    } catch (error) {
+      errors.push(`calendar: ${error.message}`);
+    }
+  }
+
+  return { contactId, contact, conversations, threadMessages, research: companyResearch, slots, errors };
+}
+
+/**
+ * Choose slots to offer: on the weekdays the prospect named first, then one
+ * per day so the choices are spread out
+ */
+function pickSlots(available, meetingTimes, options) {
+  const { maxSlots, timezone, now } = options;
+  const weekdayOf = dateTime => new Intl.DateTimeFormat('en-US', { timeZone: timezone, weekday: 'long' }).format(new Date(dateTime));
+  const dayOf = dateTime => new Intl.DateTimeFormat('en-CA', { timeZone: timezone }).format(new Date(dateTime));
+  const named = meetingTimes.join(' ').toLowerCase();
+
+  const open = available
+    .filter(slot => slot.available !== false && new Date(slot.dateTime) > now)
+    .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime));
+  const preferred = open.filter(slot => named.includes(weekdayOf(slot.dateTime).toLowerCase()));
+
+  const picked = [];
+  const days = new Set();
+  for (const slot of [...preferred, ...open]) {
+    if (picked.length >= maxSlots) break;
+    if (picked.includes(slot) || days.has(dayOf(slot.dateTime))) continue;
+    picked.push(slot);
+    days.add(dayOf(slot.dateTime));
+  }
+  // Fewer open days than slots wanted: fill with the earliest remaining
+  for (const slot of open) {
+    if (picked.length >= maxSlots) break;
+    if (!picked.includes(slot)) picked.push(slot);
+  }
+
+  return picked
+    .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime))
+    .map(slot => ({
+      dateTime: new Date(slot.dateTime).toISOString(),
+      label: formatSlot(slot.dateTime, slot.timezone || timezone),
+      duration: slot.duration || null,
+    }));
+}
+
+// ============================================================================
+// PROMPT & CHECKS
+// ============================================================================
+
+/**
+ * Build the drafting prompt
+ */
+function buildDraftPrompt(input) {
+  const { reply, classification, contact, threadMessages, conversations, research, slots, sender, count } = input;
+  const name = contact ? [contact.firstName, contact.lastName].filter(Boolean).join(' ') : reply.leadName;
+  const entities = describeEntities(classification.entities);
+
+  const sections = [
+    `Write ${count} alternative repl${count === 1 ? 'y' : 'ies'} to this prospect's email.`,
+    `Prospect:
+- Name: ${name || 'Unknown'}
+- Email: ${reply.leadEmail || 'Unknown'}
+- Company: ${(contact && contact.companyName) || 'Unknown'}
+- Subject: ${replySubject(reply)}
+- Intent: ${classification.intent} (confidence ${classification.confidence})
+- Drafts: ${count}`,
+    `Their reply:
+"""
+${reply.body}
+"""`,
+  ];
+
+  if (entities.length > 0) {
+    sections.push(`What the reply states:\n${entities.join('\n')}`);
+  }
+  if (threadMessages.length > 0) {
+    sections.push(`Earlier in the thread (oldest first):\n${threadMessages.map(message =>
+      `- ${message.timestamp ? `[${String(message.timestamp).slice(0, 10)}] ` : ''}${truncate(message.body, 300)}`).join('\n')}`);
+  }
+  if (conversations.length > 0) {
+    sections.push(`Recent CRM conversation:\n${conversations.slice(0, 5).map(message =>
+      `- [${message.direction || 'message'}${message.dateAdded ? `, ${String(message.dateAdded).slice(0, 10)}` : ''}] ${truncate(message.body || '', 200)}`).join('\n')}`);
+  }
+  if (contact && contact.tags && contact.tags.length > 0) {
+    sections.push(`CRM tags: ${contact.tags.join(', ')}`);
+  }
+  if (research) {
+    sections.push(`Company research:\n${typeof research === 'string' ? research : researchToText(research, { minConfidence: 0.7 })}`);
+  }
+  if (slots.length > 0) {
+    sections.push(`Open meeting slots (propose only these; put the value after "|" in proposedTimes):\n${slots.map(slot =>
+      `- Slot: ${slot.label} | ${slot.dateTime}`).join('\n')}`);
+  }
+
+  sections.push(`Rules:
+- Goal: ${INTENT_GOALS[classification.intent]}
+- Under ${DEFAULT_OPTIONS.maxWords} words each; plain text, no markdown
+- Make the drafts genuinely different (e.g. one direct, one warmer or shorter)
+- ${slots.length > 0 ? 'Write proposed times out in the body exactly as labelled above' : 'Do not propose specific meeting times'}
+- Never invent facts, prices or times; no placeholders like [Your Name] or {{firstName}}
+- Sign off as: ${sender.name || 'no name, just "Best regards"'}`);
+
+  sections.push(`Respond in JSON format:
+{
+  "drafts": [
+    { "subject": "${replySubject(reply)}", "body": "...", "proposedTimes": ["slot value"] }
+  ]
+}`);
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Parse and check the LLM's drafts (throws so llm-client retries)
+ */
+function parseDrafts(content, input) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (parseError) {
+    throw new Error(`Failed to parse JSON response: ${parseError.message}`);
+  }
+
+  if (!parsed || !Array.isArray(parsed.drafts) || parsed.drafts.length === 0) {
+    throw new Error('Response must have a non-empty drafts array');
+  }
+
+  const drafts = parsed.drafts.slice(0, input.count).map(draft => ({
+    subject: draft.subject,
+    body: draft.body,
+    proposedTimes: Array.isArray(draft.proposedTimes) ? draft.proposedTimes : [],
+  }));
+
+  const issues = drafts.flatMap((draft, index) => checkDraft(draft, input.slots).map(issue => `draft ${index + 1}: ${issue}`));
+  if (issues.length > 0) {
+    throw new Error(`Drafts failed checks: ${issues.join('; ')}`);
+  }
+
+  return drafts;
+}
+
+/**
+ * Check one draft: content present, no placeholders, length, only open slots
+ * proposed, in proposedTimes and in the body text
+ *
+ * @param {Object} draft - { subject, body, proposedTimes }
+ * @param {Object[]} [slots] - Offered slots ({ dateTime, label })
+ * @returns {string[]} Issues (empty if the draft is usable)
+ */
+function checkDraft(draft, slots = []) {
+  const issues = [];
+
+  if (!draft || typeof draft.subject !== 'string' || !draft.subject.trim() ||
+      typeof draft.body !== 'string' || !draft.body.trim()) {
+    return ['subject and body must be non-empty strings'];
+  }
+
+  const placeholders = draft.body.match(/\{\{[^}]+\}\}|\[(?:your|their|first|last|insert|name|calendar|link|date|time|company)[^\]]*\]/gi);
+  if (placeholders) {
+    issues.push(`placeholders left in: ${placeholders.join(', ')}`);
+  }
+
+  const wordCount = draft.body.split(/\s+/).filter(Boolean).length;
+  if (wordCount > DEFAULT_OPTIONS.maxWords) {
+    issues.push(`${wordCount} words (max ${DEFAULT_OPTIONS.maxWords})`);
+  }
+
+  const offered = new Set(slots.map(slot => slot.dateTime));
+  const invented = (draft.proposedTimes || []).filter(time => !offered.has(time));
+  if (invented.length > 0) {
+    issues.push(`proposes times that are not open slots: ${invented.join(', ')}`);
+  }
+
+  const unoffered = findUnofferedTimes(draft.body, slots);
+  if (unoffered.length > 0) {
+    issues.push(`body mentions times that are not open slots: ${unoffered.join(', ')}`);
+  }
+
+  return issues;
+}
+
+/**
+ * Weekdays and clock times a body mentions that don't match an offered slot label.
+ * Labels written out in full are fine; otherwise each weekday and time must be one
+ * a slot has, and a weekday followed by a time in the same sentence must be one slot.
+ *
+ * @param {string} body - Draft body
+ * @param {Object[]} slots - Offered slots ({ label })
+ * @returns {string[]} Unmatched mentions, as written
+ */
+function findUnofferedTimes(body, slots) {
+  const labels = slots.map(slot => slot.label).filter(Boolean);
+  const offered = labels.map(label => {
+    const mentions = findTimeMentions(label);
+    const weekday = mentions.find(mention => mention.weekday);
+    const time = mentions.find(mention => mention.times);
+    return { weekday: weekday && weekday.weekday, time: time && time.times[0] };
+  });
+
+  let text = body;
+  for (const label of labels) {
+    text = text.split(label).join(' ');
+  }
+
+  const unoffered = [];
+  const mentions = findTimeMentions(text);
+  mentions.forEach((mention, index) => {
+    const matches = mention.weekday
+      ? offered.some(slot => slot.weekday === mention.weekday)
+      : matchesTime(mention, offered);
+    if (!matches) {
+      unoffered.push(mention.text);
+      return;
+    }
+
+    // "Tuesday at 2pm": both offered, but must be the same slot
+    const next = mentions[index + 1];
+    if (mention.weekday && next && next.times && matchesTime(next, offered) &&
+        /^[^.?!\n]{0,30}$/.test(text.slice(mention.end, next.index)) &&
+        !offered.some(slot => slot.weekday === mention.weekday && next.times.includes(slot.time))) {
+      unoffered.push(text.slice(mention.index, next.end));
+    }
+  });
+
+  return unoffered;
+}
+
+/**
+ * Find weekday and clock-time mentions, in order
+ * @returns {Object[]} { text, index, end, weekday } or { text, index, end, times: ['14:00', ...] }
+ */
+function findTimeMentions(text) {
+  const mentions = [];
+
+  for (const match of text.matchAll(WEEKDAY_PATTERN)) {
+    mentions.push({ text: match[0], index: match.index, end: match.index + match[0].length, weekday: match[1].toLowerCase() });
+  }
+
+  for (const match of text.matchAll(TIME_PATTERN)) {
+    const [, hour12, minute12, meridiem, hour24, minute24, noon] = match;
+    let times;
+    if (noon) {
+      times = ['12:00'];
+    } else if (meridiem) {
+      const hour = Number(hour12) % 12 + (meridiem.toLowerCase() === 'p' ? 12 : 0);
+      times = [clockTime(hour, minute12)];
+    } else {
+      // No am/pm: "3:00" could be morning or afternoon, "15:00" only one
+      const hour = Number(hour24);
+      if (hour >= 1 && hour <= 12) {
+        times = [clockTime(hour % 12, minute24), clockTime(hour % 12 + 12, minute24)];
+      } else {
+        times = hour <= 23 ? [clockTime(hour, minute24)] : [];
+      }
+    }
+    if (times.length > 0) {
+      mentions.push({ text: match[0].trim(), index: match.index, end: match.index + match[0].length, times });
+    }
+  }
+
+  return mentions.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Whether a time mention is one of the offered slot times
+ */
+function matchesTime(mention, offered) {
+  return offered.some(slot => mention.times.includes(slot.time));
+}
+
+function clockTime(hour, minute) {
+  return `${hour}:${minute || '00'}`;
+}
+
+// ============================================================================
+// FALLBACK TEMPLATES
+// ============================================================================
+
+/**
+ * Per-intent template drafts for when the LLM is unavailable or its drafts fail
+ */
+function generateFallbackDrafts(input) {
+  const { reply, classification, contact, slots, sender, count } = input;
+  const firstName = (contact && contact.firstName) || (reply.leadName || '').split(' ')[0] || 'there';
+  const { entities } = classification;
+  const signOff = sender.name ? `Best regards,\n${sender.name}` : 'Best regards';
+  const times = slots.map(slot => `- ${slot.label}`).join('\n');
+  const proposedTimes = slots.map(slot => slot.dateTime);
+
+  const offerTimes = slots.length > 0
+    ? `Would one of these work for a 15-minute call?\n\n${times}\n\nIf none suit, send me a time that does and I will make it work.`
+    : 'What does your calendar look like over the next week for a 15-minute call?';
+  const referralName = entities.referral && (entities.referral.name || entities.referral.email);
+
+  const bodies = {
+    interested: [
+      `Thanks for getting back to me. ${offerTimes}`,
+      `Great to hear from you. The easiest next step is a short call to see whether this fits. ${offerTimes}`,
+    ],
+    'meeting-request': [
+      `Thanks, happy to set that up. ${offerTimes}`,
+      `Sounds good. ${offerTimes}`,
+    ],
+    'needs-info': [
+      `Good questions. They are easiest to answer properly on a short call, where I can show you how it would work for your team. ${offerTimes}`,
+      `Thanks for asking. I will send over a short overview, and if it is useful we can walk through the details together. ${offerTimes}`,
+    ],
+    referral: [
+      `Thanks for pointing me in the right direction. I will reach out to ${referralName || 'them'} directly and mention that you suggested it.`,
+      `Much appreciated. If you are happy to, a quick intro to ${referralName || 'the right person'} would help, but I am glad to reach out directly too.`,
+    ],
+    'not-now': [
+      `Understood, thanks for letting me know. I will check back ${entities.timingHint || 'in a few months'}, and if anything changes before then, just reply here.`,
+      `Thanks for the honest answer. I will leave it for now and reconnect ${entities.timingHint || 'later in the year'}.`,
+    ],
+    'not-interested': [
+      `Understood, thanks for taking the time to reply. I will not follow up further. If things change down the line, you know where to find me.`,
+      `Thanks for letting me know. I will close this out on my side.`,
+    ],
+    'wrong-person': [
+      `Thanks for letting me know, and apologies for the mix-up. Who would be the best person to speak with about this?`,
+      `Sorry to have bothered you. If you could point me to whoever looks after this, I would really appreciate it.`,
+    ],
+    unclear: [
+      `Thanks for getting back to me. Just so I point you to the right thing, is this something you are looking at now or later in the year?`,
+      `Thanks. Would a short call be useful, or would you prefer I send a brief overview by email?`,
+    ],
+  };
+
+  const usesTimes = SLOT_INTENTS.includes(classification.intent) && slots.length > 0;
+  return (bodies[classification.intent] || bodies.unclear).slice(0, count).map(body => ({
+    subject: replySubject(reply),
+    body: `Hi ${firstName},\n\n${body}\n\n${signOff}`,
+    proposedTimes: usesTimes ? proposedTimes : [],
+    fallback: true,
+  }));
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Normalize a fetched reply or a mapped webhook to one shape
+ */
+function normalizeReply(reply = {}) {
+  return {
+    replyId: reply.replyId || null,
+    leadEmail: reply.leadEmail || reply.email || null,
+    leadName: reply.leadName || reply.fromName || '',
+    subject: reply.subject || reply.replySubject || '',
+    body: String(reply.body || reply.replyBody || '').trim(),
+    timestamp: reply.timestamp || null,
+    threadId: reply.threadId || null,
+  };
+}
+
+function replySubject(reply) {
+  if (!reply.subject) return 'Re: our conversation';
+  return /^re:/i.test(reply.subject) ? reply.subject : `Re: ${reply.subject}`;
+}
+
+function describeEntities(entities = {}) {
+  const lines = [];
+  if (entities.meetingTimes && entities.meetingTimes.length > 0) lines.push(`- Times they proposed: ${entities.meetingTimes.join(', ')}`);
+  if (entities.questions && entities.questions.length > 0) lines.push(`- Questions: ${entities.questions.join(' ')}`);
+  if (entities.timingHint) lines.push(`- Timing: ${entities.timingHint}${entities.followUpDate ? ` (follow up ${entities.followUpDate})` : ''}`);
+  if (entities.referral) {
+    const { name, email, title } = entities.referral;
+    lines.push(`- Referred to: ${[name, title, email].filter(Boolean).join(', ')}`);
+  }
+  return lines;
+}
+
+/**
+ * "Tuesday, October 20 at 10:00 AM CDT"
+ */
+function formatSlot(dateTime, timezone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short',
+  }).format(new Date(dateTime));
+}
+
+function truncate(text, length) {
+  const clean = String(text).replace(/\s+/g, ' ').trim();
+  return clean.length > length ? `${clean.slice(0, length)}...` : clean;
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+module.exports = {
+  draftReplyResponses,
+  sendApprovedDraft,
+  evaluateAutoSend,
+  checkDraft,
+};
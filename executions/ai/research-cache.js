@@ -0,0 +1,231 @@
+/**
+ * Company Research Cache
+ *
+ * Disk-backed cache for AI company research, so five contacts at the same
+ * company, or a rerun campaign, pay for the research once. Entries are keyed by
+ * normalized domain ("abcinsurance.com"), falling back to normalized company
+ * name when there is no usable website (none, or a shared host like a Facebook
+ * page), and expire after a configurable TTL.
+ *
+ * Location and TTL: RESEARCH_CACHE_PATH (default: .cache/company-research.json
+ * in the working directory) and RESEARCH_CACHE_TTL_HOURS (default: 720 = 30 days).
+ *
+ * @module research-cache
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeDomain, normalizeCompanyName } = require('../utils/entity-resolution');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_TTL_HOURS = 720;
+const DEFAULT_CACHE_PATH = path.join('.cache', 'company-research.json');
+
+// Bumped when the stored research format changes; older files are discarded (2: structured research)
+const CACHE_VERSION = 2;
+
+// Process-wide cache used by generateCompanyResearch (lazy initialization)
+let sharedCache = null;
+
+/**
+ * Cache key for a company: "domain:<domain>" or "name:<normalized name>"
+ *
+ * @param {Object|string} company - Company data ({ website, companyName }), or a URL, domain or name
+ * @returns {string|null} Cache key, or null if there is nothing to key on
+ */
+function buildResearchCacheKey(company) {
+  if (!company) return null;
+
+  if (typeof company === 'string') {
+    if (/^(domain|name):/.test(company)) return company;
+    const looksLikeDomain = /^https?:\/\//i.test(company) || /^[^\s]+\.[a-z]{2,}$/i.test(company);
+    return buildResearchCacheKey(looksLikeDomain ? { website: company } : { companyName: company });
+  }
+
+  const domain = normalizeDomain(company.website || company.domain);
+  if (domain) return `domain:${domain}`;
+
+  const name = company.companyName ? normalizeCompanyName(company.companyName) : '';
+  return name ? `name:${name}` : null;
+}
+
+/**
+ * Disk-backed research cache with TTL and hit/miss statistics
+ */
+class ResearchCache {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string|null} [options.filePath] - JSON file (default: RESEARCH_CACHE_PATH or .cache/company-research.json; null = memory only)
+   * @param {number} [options.ttlHours] - Entry lifetime (default: RESEARCH_CACHE_TTL_HOURS or 720)
+   */
+  constructor(options = {}) {
+    const {
+      filePath = process.env.RESEARCH_CACHE_PATH || DEFAULT_CACHE_PATH,
+      ttlHours = Number(process.env.RESEARCH_CACHE_TTL_HOURS) || DEFAULT_TTL_HOURS,
+    } = options;
+
+    this.filePath = filePath;
+    this.ttlHours = ttlHours;
+    this.entries = this.load();
+    this.stats = { hits: 0, misses: 0, writes: 0, invalidations: 0 };
+  }
+
+  /**
+   * Read entries from disk (an unreadable file starts an empty cache)
+   * @returns {Object} Entries by key
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return {};
+
+    try {
+      const state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return state.version === CACHE_VERSION ? state.entries || {} : {};
+    } catch (error) {
+      console.error(`[Research Cache] Could not read ${this.filePath}, starting empty:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Drop expired entries and write the cache to disk (no-op in memory)
+   */
+  save() {
+    this.prune();
+    if (!this.filePath) return;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ version: CACHE_VERSION, entries: this.entries }, null, 2));
+    fs.renameSync(tempPath, this.filePath); // Atomic replace: readers never see a half-written file
+  }
+
+  /**
+   * Get cached research for a company (counts a hit or a miss)
+   *
+   * @param {Object|string} company - Company data, URL, domain or name
+   * @returns {Object|null} Entry { research, key, companyName, provider, model, createdAt, expiresAt }, or null
+   */
+  get(company) {
+    const key = buildResearchCacheKey(company);
+    const entry = key ? this.entries[key] : null;
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      this.stats.misses++;
+      return null;
+    }
+
+    this.stats.hits++;
+    return { key, ...entry };
+  }
+
+  /**
+   * Cache research for a company and save
+   *
+   * @param {Object} company - Company data ({ website, companyName })
+   * @param {Object} research - Research object
+   * @param {Object} [meta] - Extra fields to store (provider, model)
+   * @returns {Object|null} Stored entry, or null if the company has no key
+   */
+  set(company, research, meta = {}) {
+    const key = buildResearchCacheKey(company);
+    if (!key) return null;
+
+    const now = Date.now();
+    this.entries[key] = {
+      research,
+      companyName: company.companyName || null,
+      ...meta,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: now + this.ttlHours * HOUR_MS,
+    };
+    this.stats.writes++;
+    this.save();
+
+    return { key, ...this.entries[key] };
+  }
+
+  /**
+   * Remove a company's cached research
+   *
+   * @param {Object|string} company - Company data, URL, domain, name or cache key
+   * @returns {boolean} True if an entry was removed
+   */
+  invalidate(company) {
+    const key = buildResearchCacheKey(company);
+    if (!key || !this.entries[key]) return false;
+
+    delete this.entries[key];
+    this.stats.invalidations++;
+    this.save();
+    return true;
+  }
+
+  /**
+   * Remove every entry
+   * @returns {number} Number of entries removed
+   */
+  clear() {
+    const count = Object.keys(this.entries).length;
+    this.entries = {};
+    this.stats.invalidations += count;
+    this.save();
+    return count;
+  }
+
+  /**
+   * Drop expired entries
+   * @returns {number} Number of entries dropped
+   */
+  prune() {
+    const now = Date.now();
+    let dropped = 0;
+    for (const [key, entry] of Object.entries(this.entries)) {
+      if (entry.expiresAt <= now) {
+        delete this.entries[key];
+        dropped++;
+      }
+    }
+    return dropped;
+  }
+
+  /**
+   * Hit/miss statistics since the cache was opened
+   * @returns {Object} { hits, misses, writes, invalidations, hitRate, entries, filePath, ttlHours }
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : 0,
+      entries: Object.keys(this.entries).length,
+      filePath: this.filePath,
+      ttlHours: this.ttlHours,
+    };
+  }
+}
+
+/**
+ * The process-wide cache used by generateCompanyResearch
+ * @returns {ResearchCache} Shared cache
+ */
+function getSharedResearchCache() {
+  if (!sharedCache) {
+    sharedCache = new ResearchCache();
+  }
+  return sharedCache;
+}
+
+/**
+ * Replace the shared cache (e.g. a different file or TTL); null resets to the default
+ * @param {ResearchCache|null} cache - Cache to share
+ */
+function setSharedResearchCache(cache) {
+  sharedCache = cache;
+}
+
+module.exports = {
+  ResearchCache,
+  getSharedResearchCache,
+  setSharedResearchCache,
+  buildResearchCacheKey,
+};
@@ -0,0 +1,269 @@
+/**
+ * Research Source Snippets
+ *
+ * Turns text our scrapers already captured into numbered evidence snippets for
+ * grounded company research: website page text (website-crawler.js with
+ * captureText), Google Maps review snippets (google-maps-scraper.js) and the
+ * LinkedIn company description and recent posts (linkedin-company-scraper.js).
+ *
+ * Boilerplate sentences (cookie banners, footers) are dropped, the rest is split
+ * into chunks on sentence boundaries, scored by how much it says
+ * about services, customers, growth, people and problems, and the best chunks
+ * are kept within a character budget. Each snippet gets a stable id by source
+ * type (W1, R1, L1...) that the research prompt and the LLM's citations use.
+ *
+ * Ranking is a keyword heuristic, so the same inputs always give the same
+ * snippets (and the same prompt).
+ *
+ * @module research-sources
+ */
+
+// Id prefix per source type
+const SOURCE_TYPES = {
+  website: 'W',
+  review: 'R',
+  linkedin: 'L',
+};
+
+// Signals that a chunk says something useful for prospecting, with weights
+const SIGNAL_PATTERNS = [
+  { name: 'services', weight: 2, pattern: /\b(services?|offer(s|ing)?|provides?|speciali[sz](e|es|ing)|solutions?|products?|coverage|programs?|packages?)\b/gi },
+  { name: 'market', weight: 2, pattern: /\b(clients?|customers?|serv(e|es|ing)|businesses|families|homeowners|contractors|industries|patients|members)\b/gi },
+  { name: 'growth', weight: 2, pattern: /\b(hiring|careers?|join our team|new (office|location|service)|expan(d|ds|ding|sion)|grow(ing|th)|launch(ed|ing)?|opening|award(s|ed)?|recogni[sz]ed|anniversary|acquired)\b/gi },
+  { name: 'people', weight: 1, pattern: /\b(owner|founder|president|ceo|principal|partner|director|manager|team)\b/gi },
+  { name: 'problems', weight: 2, pattern: /\b(slow|wait(ed|ing)?|difficult|problem|issue|frustrat\w*|complain\w*|never (called|responded)|unresponsive|expensive|delay\w*)\b/gi },
+];
+
+// Navigation, legal and cookie text that says nothing about the company (sentences matching are dropped)
+const BOILERPLATE_PATTERN = /\b(cookies?|privacy policy|all rights reserved|terms of (use|service)|enable javascript|subscribe to our newsletter|skip to (main )?content)\b/i;
+
+// A sentence with its closing punctuation (or the trailing text)
+const SENTENCE_PATTERN = /[^.!?]+(?:[.!?]+|$)/g;
+
+const DEFAULTS = {
+  chunkChars: 500,
+  maxSnippets: 12,
+  maxChars: 6000,
+  maxPerType: 6,
+};
+
+// ============================================================================
+// COLLECTION
+// ============================================================================
+
+/**
+ * Pick research sources out of a scraped lead or company record
+ *
+ * @param {Object} record - Lead or company record
+ * @param {Object[]} [record.websitePages] - Crawled pages with text (mergeWebsiteData after a captureText crawl)
+ * @param {Object[]} [record.reviews] - Google Maps review snippets
+ * @param {string} [record.description] - LinkedIn company description (with linkedinUrl)
+ * @param {Object[]} [record.recentActivity] - LinkedIn company posts
+ * @returns {Object} { website, reviews, linkedin } for generateCompanyResearch's sources option
+ */
+function collectResearchSources(record = {}) {
+  const linkedin = record.linkedinUrl && (record.description || (record.recentActivity || []).length > 0)
+    ? { description: record.description, recentActivity: record.recentActivity, linkedinUrl: record.linkedinUrl }
+    : null;
+
+  return {
+    website: record.websitePages || null,
+    reviews: record.reviews || null,
+    linkedin,
+  };
+}
+
+/**
+ * Flatten the sources option into documents
+ *
+ * @param {Object} sources - Research sources
+ * @param {Object|Object[]|string} [sources.website] - crawlWebsite() result, pages ({ url, pageType, text }) or plain text
+ * @param {Array<Object|string>} [sources.reviews] - Reviews ({ text, rating, author }) or plain text
+ * @param {Object|string[]|string} [sources.linkedin] - LinkedIn company record ({ description, recentActivity, linkedinUrl }) or plain text
+ * @returns {Object[]} Documents: { type, url, label, text }
+ */
+function collectDocuments(sources = {}) {
+  const documents = [];
+  const add = (type, text, url = null, label = null) => {
+    if (typeof text === 'string' && text.trim()) {
+      documents.push({ type, url, label, text: text.replace(/\s+/g, ' ').trim() });
+    }
+  };
+
+  const website = sources.website;
+  const pages = typeof website === 'string'
+    ? [{ text: website }]
+    : (Array.isArray(website) ? website : (website && website.pagesCrawled) || []);
+  for (const page of pages) {
+    add('website', page.text, page.url || null, page.pageType ? `${page.pageType} page` : null);
+  }
+
+  for (const review of sources.reviews || []) {
+    if (typeof review === 'string') {
+      add('review', review, null, 'review');
+    } else if (review) {
+      add('review', review.text, null, review.rating ? `${review.rating}-star review` : 'review');
+    }
+  }
+
+  const linkedin = sources.linkedin;
+  if (typeof linkedin === 'string' || Array.isArray(linkedin)) {
+    [].concat(linkedin).forEach(text => add('linkedin', text));
+  } else if (linkedin) {
+    add('linkedin', linkedin.description, linkedin.linkedinUrl || null, 'company description');
+    for (const post of linkedin.recentActivity || []) {
+      add('linkedin', post.text, linkedin.linkedinUrl || null, post.timestamp ? `post, ${post.timestamp}` : 'post');
+    }
+  }
+
+  return documents;
+}
+
+// ============================================================================
+// CHUNKING & RANKING
+// ============================================================================
+
+/**
+ * Split text into chunks of up to maxChars, on sentence boundaries where possible
+ *
+ * @param {string} text - Text to split
+ * @param {number} [maxChars=500] - Maximum chunk length
+ * @returns {string[]} Chunks
+ */
+function chunkText(text, maxChars = DEFAULTS.chunkChars) {
+  const sentences = text.match(SENTENCE_PATTERN) || [];
+  const chunks = [];
+  let current = '';
+
+  for (let sentence of sentences.map(part => part.trim()).filter(Boolean)) {
+    // Sentences longer than a chunk are cut at a word boundary
+    while (sentence.length > maxChars) {
+      const cut = sentence.lastIndexOf(' ', maxChars) > 0 ? sentence.lastIndexOf(' ', maxChars) : maxChars;
+      if (current) chunks.push(current);
+      chunks.push(sentence.slice(0, cut).trim());
+      current = '';
+      sentence = sentence.slice(cut).trim();
+    }
+
+    if (current && current.length + sentence.length + 1 > maxChars) {
+      chunks.push(current);
+      current = sentence;
+    } else {
+      current = current ? `${current} ${sentence}` : sentence;
+    }
+  }
+
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Score a chunk for research value
+ *
+ * @param {string} text - Chunk text
+ * @param {string} type - Source type
+ * @param {Object} [companyData] - Company information (name mentions score higher)
+ * @returns {number} Score (higher is better)
+ */
+function scoreSnippet(text, type, companyData = {}) {
+  let score = 0;
+
+  for (const signal of SIGNAL_PATTERNS) {
+    const matches = (text.match(signal.pattern) || []).length;
+    // Each signal type counts, repeats of one signal count a little
+    if (matches > 0) score += signal.weight + Math.min(matches - 1, 3) * 0.25;
+  }
+
+  const nameWords = (companyData.companyName || '').toLowerCase().split(/\W+/).filter(word => word.length > 3);
+  if (nameWords.length > 0 && nameWords.some(word => text.toLowerCase().includes(word))) score += 1;
+
+  // Customers' own words and company posts are rarer than site copy
+  if (type === 'review' || type === 'linkedin') score += 1;
+  if (text.length < 60) score -= 2;
+
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Chunk, rank and number research sources
+ *
+ * Chunks are deduplicated, ranked by score, capped per source type so one long
+ * website can't crowd out reviews and LinkedIn, and kept within maxChars.
+ * Snippets come back in source order (website, reviews, LinkedIn) with ids.
+ *
+ * @param {Object} sources - Research sources (see collectDocuments)
+ * @param {Object} [companyData] - Company information
+ * @param {Object} [options] - Options
+ * @param {number} [options.chunkChars=500] - Maximum snippet length
+ * @param {number} [options.maxSnippets=12] - Maximum snippets kept
+ * @param {number} [options.maxChars=6000] - Total snippet text budget
+ * @param {number} [options.maxPerType=6] - Maximum snippets per source type
+ * @returns {Object[]} Snippets: { id, type, url, label, text, score }
+ *
+ * @example
+ * const snippets = prepareResearchSources({ website: crawl, reviews: business.reviews }, companyData);
+ * // [{ id: 'W1', type: 'website', url: 'https://abcinsurance.com/about', label: 'about page', text: '...', score: 5.5 }, ...]
+ */
+function prepareResearchSources(sources, companyData = {}, options = {}) {
+  const { chunkChars, maxSnippets, maxChars, maxPerType } = { ...DEFAULTS, ...options };
+  const typeOrder = Object.keys(SOURCE_TYPES);
+
+  const seen = new Set();
+  const candidates = [];
+  collectDocuments(sources || {}).forEach(document => {
+    // Drop cookie banners, footers and the like before chunking
+    const sentences = document.text.match(SENTENCE_PATTERN) || [];
+    const content = sentences.filter(sentence => !BOILERPLATE_PATTERN.test(sentence)).join(' ');
+
+    chunkText(content, chunkChars).forEach(text => {
+      const fingerprint = text.toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 120);
+      if (seen.has(fingerprint)) return;
+      seen.add(fingerprint);
+      candidates.push({ ...document, text, score: scoreSnippet(text, document.type, companyData), order: candidates.length });
+    });
+  });
+
+  const perType = {};
+  let count = 0;
+  let chars = 0;
+  const kept = candidates
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .filter(candidate => {
+      if (count >= maxSnippets || perType[candidate.type] >= maxPerType || chars + candidate.text.length > maxChars) {
+        return false;
+      }
+      perType[candidate.type] = (perType[candidate.type] || 0) + 1;
+      count += 1;
+      chars += candidate.text.length;
+      return true;
+    })
+    .sort((a, b) => typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type) || a.order - b.order);
+
+  const counters = {};
+  return kept.map(({ order, ...snippet }) => {
+    counters[snippet.type] = (counters[snippet.type] || 0) + 1;
+    return { id: `${SOURCE_TYPES[snippet.type]}${counters[snippet.type]}`, ...snippet };
+  });
+}
+
+/**
+ * Format snippets for a prompt, one per line: [W1] (website, about page, https://...) text
+ *
+ * @param {Object[]} snippets - Snippets from prepareResearchSources
+ * @returns {string} Prompt block
+ */
+function formatSnippetsForPrompt(snippets) {
+  return snippets
+    .map(snippet => `[${snippet.id}] (${[snippet.type, snippet.label, snippet.url].filter(Boolean).join(', ')}) ${snippet.text}`)
+    .join('\n');
+}
+
+module.exports = {
+  collectResearchSources,
+  prepareResearchSources,
+  formatSnippetsForPrompt,
+  chunkText,
+  scoreSnippet,
+  SOURCE_TYPES,
+};
@@ -2,17 +2,21 @@
  * GoHighLevel API Integration
  *
  * Wrapper for GoHighLevel CRM API.
- * Handles contact management, opportunity tracking, SMS communication, and webhooks.
+ * Handles contact management, opportunity tracking, SMS and email communication, and webhooks.
  *
  * @version 1.0.0
  * @requires axios
  * @requires dotenv
+ * @requires ../utils/suppression-list
+ * @requires ../utils/phone-numbers
  *
  * API Documentation: https://highlevel.stoplight.io/docs/integrations/
  */
 
 const axios = require('axios');
 require('dotenv').config();
+const { getSharedSuppressionList } = require('../utils/suppression-list');
+const { parsePhoneNumber, canReceiveSms } = require('../utils/phone-numbers');
 
 // Configuration
 const GHL_API_KEY = process.env.GHL_API_KEY;
@@ -38,6 +42,7 @@ class GoHighLevelAPI {
         this.apiKey = apiKey;
         this.locationId = locationId;
         this.baseURL = GHL_BASE_URL;
+        this.suppressionList = null; // Shared suppression list unless set (see setSuppressionList)
 
         // Rate limiting state
         this.requestQueue = [];
@@ -628,7 +633,7 @@ class GoHighLevelAPI {
     }
 
     // ========================================================================
-    // COMMUNICATION (SMS)
+    // COMMUNICATION (SMS & EMAIL)
     // ========================================================================
 
     /**
@@ -636,7 +641,8 @@ class GoHighLevelAPI {
      *
      * @param {string} contactId - Contact ID
      * @param {string} message - SMS message text
-     * @returns {Promise<Object>} Sent message object
+     * @returns {Promise<Object>} Sent message object ({ success: false, suppressed: true } if the contact is suppressed,
+     *   { success: false, smsCapable: false } if the number is a landline, toll-free or invalid)
      */
     async sendSMS(contactId, message) {
         try {
@@ -656,6 +662,37 @@ class GoHighLevelAPI {
                 throw new Error('Contact does not have a phone number');
             }
 
+            // Never text suppressed contacts
+            const suppressionList = this.suppressionList || await getSharedSuppressionList();
+            const { suppressed, match } = await suppressionList.checkSend(
+                { phone, email: contactResponse.contact.email },
+                { channel: 'ghl-sms', context: { contactId } }
+            );
+            if (suppressed) {
+                return {
+                    success: false,
+                    suppressed: true,
+                    contactId: contactId,
+                    rule: `${match.type}:${match.value}`,
+                    reason: match.reason,
+                    message: `SMS not sent: contact is suppressed (${match.reason})`
+                };
+            }
+
+            // Don't text landlines, toll-free numbers or invalid numbers
+            const phoneOptions = contactResponse.contact.country ? { defaultCountry: contactResponse.contact.country } : {};
+            if (!canReceiveSms(phone, phoneOptions)) {
+                const parsed = parsePhoneNumber(phone, phoneOptions);
+                const phoneType = parsed && parsed.isValid ? parsed.type : 'invalid';
+                return {
+                    success: false,
+                    smsCapable: false,
+                    contactId: contactId,
+                    phoneType: phoneType,
+                    message: `SMS not sent: ${phone} cannot receive text messages (${phoneType})`
+                };
+            }
+
             const payload = {
                 type: 'SMS',
                 contactId: contactId,
@@ -683,6 +720,86 @@ class GoHighLevelAPI {
         }
     }
 
+    /**
+     * Send an email to a contact from the GHL conversation inbox
+     *
+     * @param {string} contactId - Contact ID
+     * @param {Object} email - Email to send
+     * @param {string} email.subject - Subject line
+     * @param {string} email.body - Plain-text body (blank lines separate paragraphs)
+     * @param {string} email.replyToMessageId - GHL message ID to reply to, keeping the thread
+     * @returns {Promise<Object>} Sent message object ({ success: false, suppressed: true } if the contact is suppressed)
+     */
+    async sendEmail(contactId, email = {}) {
+        try {
+            const { subject, body, replyToMessageId = null } = email;
+
+            if (!contactId) {
+                throw new Error('Contact ID is required');
+            }
+
+            if (!subject || !body) {
+                throw new Error('Email subject and body are required');
+            }
+
+            // Get contact to retrieve email address
+            const contactResponse = await this.getContact(contactId);
+            const emailAddress = contactResponse.contact.email;
+
+            if (!emailAddress) {
+                throw new Error('Contact does not have an email address');
+            }
+
+            // Never email suppressed contacts
+            const suppressionList = this.suppressionList || await getSharedSuppressionList();
+            const { suppressed, match } = await suppressionList.checkSend(
+                { email: emailAddress, phone: contactResponse.contact.phone },
+                { channel: 'ghl-email', context: { contactId } }
+            );
+            if (suppressed) {
+                return {
+                    success: false,
+                    suppressed: true,
+                    contactId: contactId,
+                    rule: `${match.type}:${match.value}`,
+                    reason: match.reason,
+                    message: `Email not sent: contact is suppressed (${match.reason})`
+                };
+            }
+
+            const payload = {
+                type: 'Email',
+                contactId: contactId,
+                subject: subject,
+                message: body,
+                html: body.split(/\n\s*\n/).map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`).join('')
+            };
+
+            if (replyToMessageId) {
+                payload.replyMessageId = replyToMessageId;
+            }
+
+            console.log(`Sending email to contact: ${contactId}`);
+
+            const response = await this.rateLimitedRequest(() =>
+                this.client.post('/conversations/messages', payload)
+            );
+
+            console.log('Email sent successfully');
+
+            return {
+                success: true,
+                messageId: response.data.messageId,
+                contactId: contactId,
+                message: 'Email sent successfully'
+            };
+
+        } catch (error) {
+            console.error('Error sending email:', error.message);
+            throw error;
+        }
+    }
+
     /**
      * Get conversation history for a contact
      *
@@ -848,6 +965,15 @@ class GoHighLevelAPI {
     // HELPER METHODS
     // ========================================================================
 
+    /**
+     * Use a specific suppression list instead of the shared one
+     *
+     * @param {SuppressionList} suppressionList - List to check SMS sends against
+     */
+    setSuppressionList(suppressionList) {
+        this.suppressionList = suppressionList;
+    }
+
     /**
      * Rate-limited request wrapper
      * Ensures we don't exceed 100 requests per minute
@@ -940,6 +1066,13 @@ class GoHighLevelAPI {
     }
 }
 
+/**
+ * Escape text for an HTML email body
+ */
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
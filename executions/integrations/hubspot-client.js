@@ -13,6 +13,7 @@
  */
 
 const hubspot = require('@hubspot/api-client');
+const { researchToText } = require('../ai/company-research');
 
 /**
  * Rate limiter to respect HubSpot API limits (100 requests per 10 seconds)
@@ -308,14 +309,16 @@ class HubSpotClient {
     let content = `# AI-Generated Outreach - ${timestamp}\n\n`;
 
     if (companyResearch) {
-      content += `## Company Research\n\n${companyResearch}\n\n`;
+      const researchText = typeof companyResearch === 'string' ? companyResearch : researchToText(companyResearch);
+      content += `## Company Research\n\n${researchText}\n\n`;
     }
 
     if (emails && emails.length > 0) {
       content += `## Email Variants (${emails.length})\n\n`;
 
       emails.forEach((email, index) => {
-        content += `### Variant ${index + 1}: ${email.approach || 'Standard'}\n\n`;
+        const version = email.approachVersion ? ` (v${email.approachVersion})` : '';
+        content += `### Variant ${index + 1}: ${email.approach || 'Standard'}${version}\n\n`;
         content += `**Subject:** ${email.subject}\n\n`;
         content += `**Body:**\n${email.body}\n\n`;
         content += `---\n\n`;
@@ -353,7 +356,7 @@ class HubSpotClient {
    * @param {Object} prospectData - Complete prospect information
    * @param {Object} prospectData.contact - Contact information
    * @param {Array} prospectData.emails - Array of email variants
-   * @param {string} prospectData.companyResearch - Company research summary
+   * @param {string|Object} prospectData.companyResearch - Company research summary, or structured research from company-research.js
    * @param {Object} prospectData.options - Optional settings
    * @param {string} prospectData.options.sequenceId - HubSpot sequence ID (optional)
    * @param {string} prospectData.options.ownerId - HubSpot owner ID (optional)
@@ -2,21 +2,25 @@
  * Instantly.ai API Integration
  *
  * Wrapper for Instantly.ai cold email platform API.
- * Handles campaign creation, lead upload, statistics, and webhook processing.
+ * Handles campaign creation, sequences, lead upload, statistics, and webhook processing.
  *
  * @version 1.0.0
  * @requires axios
  * @requires dotenv
+ * @requires ../utils/suppression-list
  *
  * API Documentation: https://developer.instantly.ai/
  */
 
 const axios = require('axios');
 require('dotenv').config();
+const { getSharedSuppressionList } = require('../utils/suppression-list');
 
 // Configuration
 const INSTANTLY_API_KEY = process.env.INSTANTLY_API_KEY;
+const INSTANTLY_V2_API_KEY = process.env.INSTANTLY_V2_API_KEY; // API v2 keys are separate from v1 keys
 const INSTANTLY_BASE_URL = 'https://api.instantly.ai/api/v1';
+const INSTANTLY_V2_BASE_URL = 'https://api.instantly.ai/api/v2';
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000; // milliseconds
 
@@ -24,13 +28,18 @@ const RETRY_DELAY = 1000; // milliseconds
  * Instantly API Client Class
  */
 class InstantlyAPI {
-    constructor(apiKey = INSTANTLY_API_KEY) {
+    /**
+     * @param {string} apiKey - API v1 key
+     * @param {string} v2ApiKey - API v2 key, needed for setCampaignSequence (v1 has no sequence endpoint)
+     */
+    constructor(apiKey = INSTANTLY_API_KEY, v2ApiKey = INSTANTLY_V2_API_KEY) {
         if (!apiKey) {
             throw new Error('INSTANTLY_API_KEY is required. Set it in your .env file.');
         }
 
         this.apiKey = apiKey;
         this.baseURL = INSTANTLY_BASE_URL;
+        this.suppressionList = null; // Shared suppression list unless set (see setSuppressionList)
 
         // Configure axios instance
         this.client = axios.create({
@@ -47,6 +56,23 @@ class InstantlyAPI {
             response => response,
             error => this.handleError(error)
         );
+
+        // API v2 client (campaign sequences)
+        this.v2Client = null;
+        if (v2ApiKey) {
+            this.v2Client = axios.create({
+                baseURL: INSTANTLY_V2_BASE_URL,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${v2ApiKey}`
+                },
+                timeout: 30000
+            });
+            this.v2Client.interceptors.response.use(
+                response => response,
+                error => this.handleError(error)
+            );
+        }
     }
 
     /**
@@ -114,7 +140,7 @@ class InstantlyAPI {
      * Upload leads to a campaign
      *
      * @param {string} campaignId - Campaign ID
-     * @param {Array<Object>} leads - Array of lead objects
+     * @param {Array<Object>} leads - Array of lead objects (customVariables, if set, are sent as custom_variables)
      * @param {boolean} skipValidation - Skip email validation (default: false)
      * @returns {Promise<Object>} Upload result with success/failure counts
      */
@@ -128,11 +154,34 @@ class InstantlyAPI {
                 throw new Error('Leads array cannot be empty');
             }
 
-            console.log(`Uploading ${leads.length} leads to campaign ${campaignId}`);
+            // Never upload suppressed contacts (unsubscribed, bounced, opted out, current clients)
+            const suppressionList = this.suppressionList || await getSharedSuppressionList();
+            const { allowed, blocked } = suppressionList.filterLeads(leads, {
+                channel: 'instantly',
+                context: { campaignId }
+            });
+            if (blocked.length > 0) {
+                await suppressionList.persist();
+            }
+
+            if (allowed.length === 0) {
+                console.log(`All ${leads.length} leads are suppressed; nothing uploaded to campaign ${campaignId}`);
+                return {
+                    success: false,
+                    campaignId,
+                    totalLeads: leads.length,
+                    uploaded: 0,
+                    failed: 0,
+                    suppressed: blocked.length,
+                    batches: []
+                };
+            }
+
+            console.log(`Uploading ${allowed.length} leads to campaign ${campaignId} (${blocked.length} suppressed)`);
 
             // Instantly has a batch limit of 1000 leads per request
             const BATCH_SIZE = 1000;
-            const batches = this.chunkArray(leads, BATCH_SIZE);
+            const batches = this.chunkArray(allowed, BATCH_SIZE);
 
             let totalUploaded = 0;
             let totalFailed = 0;
@@ -145,7 +194,9 @@ class InstantlyAPI {
                 try {
                     const payload = {
                         campaign_id: campaignId,
-                        leads: batch,
+                        leads: batch.map(({ customVariables, ...lead }) => (
+                            customVariables ? { ...lead, custom_variables: customVariables } : lead
+                        )),
                         skip_validation: skipValidation
                     };
 
@@ -189,6 +240,7 @@ class InstantlyAPI {
                 totalLeads: leads.length,
                 uploaded: totalUploaded,
                 failed: totalFailed,
+                suppressed: blocked.length,
                 batches: results
             };
 
@@ -198,6 +250,56 @@ class InstantlyAPI {
         }
     }
 
+    /**
+     * Set a campaign's email sequence (API v2: PATCH /campaigns/{id}, needs the v2 key)
+     *
+     * @param {string} campaignId - Campaign ID
+     * @param {Array<Object>} steps - Steps in order: { subject, body, delay } (delay = days after the previous step;
+     *   prepareSequenceUpload in ai/email-generation.js builds these from generated sequences)
+     * @returns {Promise<Object>} Result with the number of steps set
+     * @throws {Error} If no API v2 key is configured
+     */
+    async setCampaignSequence(campaignId, steps) {
+        try {
+            if (!this.v2Client) {
+                throw new Error('INSTANTLY_V2_API_KEY is required to set campaign sequences. Set it in your .env file.');
+            }
+
+            if (!campaignId) {
+                throw new Error('Campaign ID is required');
+            }
+
+            if (!steps || steps.length === 0) {
+                throw new Error('Sequence steps cannot be empty');
+            }
+
+            // v2 step delays are the days to wait before the next step, not after the previous one
+            const payload = {
+                sequences: [{
+                    steps: steps.map((step, index) => ({
+                        type: 'email',
+                        delay: index + 1 < steps.length ? steps[index + 1].delay : 0,
+                        variants: [{ subject: step.subject, body: step.body }]
+                    }))
+                }]
+            };
+
+            console.log(`Setting ${steps.length}-step sequence on campaign ${campaignId}`);
+            const response = await this.v2Client.patch(`/campaigns/${campaignId}`, payload);
+
+            return {
+                success: true,
+                campaignId,
+                steps: steps.length,
+                data: response.data
+            };
+
+        } catch (error) {
+            console.error('Error setting campaign sequence:', error.message);
+            throw error;
+        }
+    }
+
     /**
      * Get campaign statistics
      *
@@ -481,6 +583,15 @@ class InstantlyAPI {
     // HELPER METHODS
     // ========================================================================
 
+    /**
+     * Use a specific suppression list instead of the shared one
+     *
+     * @param {SuppressionList} suppressionList - List to check uploads against
+     */
+    setSuppressionList(suppressionList) {
+        this.suppressionList = suppressionList;
+    }
+
     /**
      * Get default sending schedule (Mon-Fri, 8am-5pm)
      */
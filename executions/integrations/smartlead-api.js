@@ -2,17 +2,19 @@
  * SmartLead API Integration
  *
  * Wrapper for SmartLead cold email platform API.
- * Handles campaign creation, lead upload, statistics, and reply management.
+ * Handles campaign creation, sequences, lead upload, statistics, and reply management.
  *
  * @version 1.0.0
  * @requires axios
  * @requires dotenv
+ * @requires ../utils/suppression-list
  *
  * API Documentation: https://api.smartlead.ai/docs
  */
 
 const axios = require('axios');
 require('dotenv').config();
+const { getSharedSuppressionList } = require('../utils/suppression-list');
 
 // Configuration
 const SMARTLEAD_API_KEY = process.env.SMARTLEAD_API_KEY;
@@ -31,6 +33,7 @@ class SmartLeadAPI {
 
         this.apiKey = apiKey;
         this.baseURL = SMARTLEAD_BASE_URL;
+        this.suppressionList = null; // Shared suppression list unless set (see setSuppressionList)
 
         // Configure axios instance
         this.client = axios.create({
@@ -119,7 +122,7 @@ class SmartLeadAPI {
      * Upload leads to a campaign
      *
      * @param {string} campaignId - Campaign ID
-     * @param {Array<Object>} leads - Array of lead objects
+     * @param {Array<Object>} leads - Array of lead objects (customVariables, if set, are added to custom_fields)
      * @param {Object} options - Upload options
      * @returns {Promise<Object>} Upload result with success/failure counts
      */
@@ -139,11 +142,34 @@ class SmartLeadAPI {
                 skipValidation = false
             } = options;
 
-            console.log(`Uploading ${leads.length} leads to campaign ${campaignId}`);
+            // Never upload suppressed contacts (unsubscribed, bounced, opted out, current clients)
+            const suppressionList = this.suppressionList || await getSharedSuppressionList();
+            const { allowed, blocked } = suppressionList.filterLeads(leads, {
+                channel: 'smartlead',
+                context: { campaignId }
+            });
+            if (blocked.length > 0) {
+                await suppressionList.persist();
+            }
+
+            if (allowed.length === 0) {
+                console.log(`All ${leads.length} leads are suppressed; nothing uploaded to campaign ${campaignId}`);
+                return {
+                    success: false,
+                    campaignId,
+                    totalLeads: leads.length,
+                    uploaded: 0,
+                    failed: 0,
+                    suppressed: blocked.length,
+                    batches: []
+                };
+            }
+
+            console.log(`Uploading ${allowed.length} leads to campaign ${campaignId} (${blocked.length} suppressed)`);
 
             // SmartLead has a batch limit of 500 leads per request
             const BATCH_SIZE = 500;
-            const batches = this.chunkArray(leads, BATCH_SIZE);
+            const batches = this.chunkArray(allowed, BATCH_SIZE);
 
             let totalUploaded = 0;
             let totalFailed = 0;
@@ -168,7 +194,8 @@ class SmartLeadAPI {
                             job_title: lead['Job Title'] || lead.jobTitle || '',
                             company_size: lead['Company Size'] || lead.companySize || '',
                             lead_source: lead['Lead Source'] || lead.leadSource || '',
-                            quality_score: lead['Quality Score'] || lead.qualityScore || 0
+                            quality_score: lead['Quality Score'] || lead.qualityScore || 0,
+                            ...(lead.customVariables || {})
                         }
                     }));
 
@@ -225,6 +252,7 @@ class SmartLeadAPI {
                 totalLeads: leads.length,
                 uploaded: totalUploaded,
                 failed: totalFailed,
+                suppressed: blocked.length,
                 batches: results
             };
 
@@ -234,6 +262,49 @@ class SmartLeadAPI {
         }
     }
 
+    /**
+     * Set a campaign's email sequence
+     *
+     * @param {string} campaignId - Campaign ID
+     * @param {Array<Object>} steps - Steps in order: { subject, body, delay } (delay = days after the previous step;
+     *   prepareSequenceUpload in ai/email-generation.js builds these from generated sequences)
+     * @returns {Promise<Object>} Result with the number of steps set
+     */
+    async setCampaignSequence(campaignId, steps) {
+        try {
+            if (!campaignId) {
+                throw new Error('Campaign ID is required');
+            }
+
+            if (!steps || steps.length === 0) {
+                throw new Error('Sequence steps cannot be empty');
+            }
+
+            const payload = {
+                sequences: steps.map((step, index) => ({
+                    seq_number: index + 1,
+                    seq_delay_details: { delay_in_days: step.delay },
+                    subject: step.subject,
+                    email_body: step.body
+                }))
+            };
+
+            console.log(`Setting ${steps.length}-step sequence on campaign ${campaignId}`);
+            const response = await this.client.post(`/campaigns/${campaignId}/sequences`, payload);
+
+            return {
+                success: true,
+                campaignId,
+                steps: steps.length,
+                data: response.data
+            };
+
+        } catch (error) {
+            console.error('Error setting campaign sequence:', error.message);
+            throw error;
+        }
+    }
+
     /**
      * Get campaign statistics
      *
@@ -533,6 +604,15 @@ class SmartLeadAPI {
     // HELPER METHODS
     // ========================================================================
 
+    /**
+     * Use a specific suppression list instead of the shared one
+     *
+     * @param {SuppressionList} suppressionList - List to check uploads against
+     */
+    setSuppressionList(suppressionList) {
+        this.suppressionList = suppressionList;
+    }
+
     /**
      * Get default client ID (required for SmartLead API)
      * In production, this should be stored in environment variables
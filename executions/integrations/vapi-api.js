@@ -7,12 +7,16 @@
  * @version 1.0.0
  * @requires axios
  * @requires dotenv
+ * @requires ../utils/suppression-list
+ * @requires ../utils/phone-numbers
  *
  * API Documentation: https://docs.vapi.ai/api-reference
  */
 
 const axios = require('axios');
 require('dotenv').config();
+const { getSharedSuppressionList } = require('../utils/suppression-list');
+const { toE164 } = require('../utils/phone-numbers');
 
 // Configuration
 const VAPI_API_KEY = process.env.VAPI_API_KEY;
@@ -37,6 +41,7 @@ class VapiAPI {
         this.apiKey = apiKey;
         this.baseURL = VAPI_BASE_URL;
         this.phoneNumber = VAPI_PHONE_NUMBER;
+        this.suppressionList = null; // Shared suppression list unless set (see setSuppressionList)
 
         // Configure axios instance
         this.client = axios.create({
@@ -332,28 +337,46 @@ Be professional and time-conscious. Keep responses brief. Ask one question at a
      *
      * @param {Object} callData - Call configuration
      * @param {string} callData.assistantId - Assistant ID to use for call
-     * @param {string} callData.phoneNumber - Phone number to call (E.164 format)
+     * @param {string} callData.phoneNumber - Phone number to call (E.164, or national format of callData.country)
+     * @param {string} callData.country - Country for numbers without a country code (optional, default: US)
      * @param {string} callData.contactId - CRM contact ID (for context injection)
      * @param {Object} callData.context - Additional context to pass to assistant
-     * @returns {Promise<Object>} Call object
+     * @param {string} callData.email - Contact email (checked against the suppression list)
+     * @returns {Promise<Object>} Call object ({ success: false, suppressed: true } if the contact is suppressed)
      */
     async makeOutboundCall(callData) {
         try {
             const {
                 assistantId,
-                phoneNumber,
                 contactId = null,
                 context = {},
                 name = null
             } = callData;
 
-            if (!assistantId || !phoneNumber) {
+            if (!assistantId || !callData.phoneNumber) {
                 throw new Error('assistantId and phoneNumber are required');
             }
 
-            // Validate phone number format (E.164)
-            if (!phoneNumber.match(/^\+\d{10,15}$/)) {
-                throw new Error('Phone number must be in E.164 format (e.g., +13125551234)');
+            // Validate the number against its country's numbering plan; Vapi gets E.164
+            const phoneNumber = toE164(callData.phoneNumber, callData.country ? { defaultCountry: callData.country } : {});
+            if (!phoneNumber) {
+                throw new Error(`Invalid phone number: ${callData.phoneNumber}. Use E.164 format (e.g., +13125551234)`);
+            }
+
+            // Never call suppressed contacts
+            const suppressionList = this.suppressionList || await getSharedSuppressionList();
+            const { suppressed, match } = await suppressionList.checkSend(
+                { phone: phoneNumber, email: callData.email || context.email },
+                { channel: 'vapi-call', context: { contactId } }
+            );
+            if (suppressed) {
+                return {
+                    success: false,
+                    suppressed: true,
+                    rule: `${match.type}:${match.value}`,
+                    reason: match.reason,
+                    message: `Call not placed: contact is suppressed (${match.reason})`
+                };
             }
 
             const payload = {
@@ -767,6 +790,15 @@ Be professional and time-conscious. Keep responses brief. Ask one question at a
     // HELPER METHODS
     // ========================================================================
 
+    /**
+     * Use a specific suppression list instead of the shared one
+     *
+     * @param {SuppressionList} suppressionList - List to check outbound calls against
+     */
+    setSuppressionList(suppressionList) {
+        this.suppressionList = suppressionList;
+    }
+
     /**
      * Handle API errors with retry logic
      */
@@ -9,12 +9,16 @@
  * @version 2.0.0
  * @requires axios
  * @requires dotenv
+ * @requires ../utils/suppression-list
+ * @requires ../utils/phone-numbers
  *
  * This abstraction layer allows switching between platforms without changing application code.
  */
 
 const axios = require('axios');
 require('dotenv').config();
+const { getSharedSuppressionList } = require('../utils/suppression-list');
+const { toE164 } = require('../utils/phone-numbers');
 
 // Configuration
 const VOICE_PLATFORM = process.env.VOICE_PLATFORM || 'gohighlevel'; // Default to GHL
@@ -42,6 +46,7 @@ const REQUEST_TIMEOUT = 30000; // 30 seconds
 class VoiceAgentAPI {
     constructor(platform = VOICE_PLATFORM) {
         this.platform = platform.toLowerCase();
+        this.suppressionList = null; // Shared suppression list unless set (see setSuppressionList)
 
         console.log(`Initializing Voice Agent API with platform: ${this.platform}`);
 
@@ -161,17 +166,38 @@ class VoiceAgentAPI {
      *
      * @param {Object} callData - Call configuration
      * @param {string} callData.assistantId - Assistant ID to use
-     * @param {string} callData.phoneNumber - Phone number to call (E.164 format)
+     * @param {string} callData.phoneNumber - Phone number to call (E.164, or national format of callData.country)
+     * @param {string} callData.country - Country for numbers without a country code (optional, default: US)
      * @param {string} callData.contactId - CRM contact ID (optional)
      * @param {Object} callData.context - Additional context (optional)
-     * @returns {Promise<Object>} Call object
+     * @param {string} callData.email - Contact email, checked against the suppression list (optional)
+     * @returns {Promise<Object>} Call object ({ success: false, suppressed: true } if the contact is suppressed)
      */
     async makeOutboundCall(callData) {
         console.log(`Making outbound call via ${this.platform} to ${callData.phoneNumber}`);
 
-        // Validate phone number format
-        if (!callData.phoneNumber.match(/^\+\d{10,15}$/)) {
-            throw new Error('Phone number must be in E.164 format (e.g., +13125551234)');
+        // Validate the number against its country's numbering plan; platforms get E.164
+        const phoneNumber = toE164(callData.phoneNumber, callData.country ? { defaultCountry: callData.country } : {});
+        if (!phoneNumber) {
+            throw new Error(`Invalid phone number: ${callData.phoneNumber}. Use E.164 format (e.g., +13125551234)`);
+        }
+        callData = { ...callData, phoneNumber };
+
+        // Never call suppressed contacts, whatever the platform
+        const suppressionList = this.suppressionList || await getSharedSuppressionList();
+        const { suppressed, match } = await suppressionList.checkSend(
+            { phone: callData.phoneNumber, email: callData.email || callData.context?.email },
+            { channel: `${this.platform}-call`, context: { contactId: callData.contactId || null } }
+        );
+        if (suppressed) {
+            return {
+                success: false,
+                suppressed: true,
+                platform: this.platform,
+                rule: `${match.type}:${match.value}`,
+                reason: match.reason,
+                message: `Call not placed: contact is suppressed (${match.reason})`
+            };
         }
 
         switch (this.platform) {
@@ -891,6 +917,15 @@ class VoiceAgentAPI {
     // HELPER METHODS (Shared across platforms)
     // ========================================================================
 
+    /**
+     * Use a specific suppression list instead of the shared one
+     *
+     * @param {SuppressionList} suppressionList - List to check outbound calls against
+     */
+    setSuppressionList(suppressionList) {
+        this.suppressionList = suppressionList;
+    }
+
     /**
      * Build system prompt based on vertical
      */
@@ -0,0 +1,302 @@
+/**
+ * Geo-Grid Tiling Utility
+ *
+ * Splits a search area (center + radius) into a grid of sub-areas so the Google Maps
+ * scraper can run one search per tile and category instead of a single capped search.
+ * Also tracks per-tile yield so saturated parts of a market are visible.
+ *
+ * @version 1.0.0
+ * @requires none (standalone utility)
+ */
+
+const MILES_PER_LAT_DEGREE = 69.0;
+const MILES_PER_LNG_DEGREE_AT_EQUATOR = 69.172;
+const METERS_PER_MILE = 1609.34;
+const METERS_PER_PIXEL_AT_ZOOM_0 = 156543.03;
+const MIN_ZOOM = 10;
+const MAX_ZOOM = 18;
+
+// ============================================================================
+// GRID BUILDING
+// ============================================================================
+
+/**
+ * Build a grid of search tiles covering a circular area
+ *
+ * @param {Object} options - Grid options
+ * @param {number} options.latitude - Center latitude
+ * @param {number} options.longitude - Center longitude
+ * @param {number} options.radiusMiles - Radius of the search area in miles
+ * @param {number} options.tileSizeMiles - Width of each tile in miles (default: 5)
+ * @param {number} options.density - Tiles per tile-width; 2 = tiles overlap by half (default: 1)
+ * @param {number} options.maxTiles - Safety cap on tile count (default: 500)
+ * @param {number} options.viewportWidthPx - Browser viewport width used to pick zoom (default: 800)
+ * @returns {Array<Object>} Tiles with id, row, col, latitude, longitude, zoom
+ * @throws {Error} If options are invalid or the grid exceeds maxTiles
+ */
+function buildGeoGrid(options = {}) {
+    const {
+        latitude,
+        longitude,
+        radiusMiles,
+        tileSizeMiles = 5,
+        density = 1,
+        maxTiles = 500,
+        viewportWidthPx = 800
+    } = options;
+
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+        throw new Error('latitude and longitude are required to build a geo grid');
+    }
+
+    if (!Number.isFinite(radiusMiles) || radiusMiles <= 0) {
+        throw new Error('radiusMiles must be a positive number');
+    }
+
+    if (!Number.isFinite(tileSizeMiles) || tileSizeMiles <= 0) {
+        throw new Error('tileSizeMiles must be a positive number');
+    }
+
+    if (!Number.isFinite(density) || density < 1) {
+        throw new Error('density must be a number >= 1');
+    }
+
+    // Distance between tile centers
+    const stepMiles = tileSizeMiles / density;
+    const stepsFromCenter = Math.ceil(radiusMiles / stepMiles);
+    const zoom = zoomForTileSize(tileSizeMiles, latitude, viewportWidthPx);
+
+    const tiles = [];
+    for (let row = -stepsFromCenter; row <= stepsFromCenter; row++) {
+        for (let col = -stepsFromCenter; col <= stepsFromCenter; col++) {
+            const northMiles = row * stepMiles;
+            const eastMiles = col * stepMiles;
+
+            // Keep tiles whose area touches the search circle
+            const distance = Math.sqrt(northMiles * northMiles + eastMiles * eastMiles);
+            if (distance > radiusMiles + stepMiles / 2) continue;
+
+            const point = offsetCoordinates(latitude, longitude, northMiles, eastMiles);
+            tiles.push({
+                id: `r${row}c${col}`,
+                row,
+                col,
+                latitude: roundCoordinate(point.latitude),
+                longitude: roundCoordinate(point.longitude),
+                zoom,
+                distanceMiles: Math.round(distance * 10) / 10
+            });
+        }
+    }
+
+    if (tiles.length > maxTiles) {
+        throw new Error(
+            `Geo grid has ${tiles.length} tiles (max ${maxTiles}). ` +
+            'Increase tileSizeMiles, lower density, or raise maxTiles.'
+        );
+    }
+
+    return tiles;
+}
+
+/**
+ * Build Google Maps search URL scoped to a tile's viewport
+ *
+ * @param {string} category - Search category (e.g., 'insurance agency')
+ * @param {Object} tile - Tile from buildGeoGrid()
+ * @returns {string} Search URL
+ */
+function buildTileSearchUrl(category, tile) {
+    const encodedQuery = encodeURIComponent(category);
+    return `https://www.google.com/maps/search/${encodedQuery}/@${tile.latitude},${tile.longitude},${tile.zoom}z`;
+}
+
+/**
+ * Pick the Google Maps zoom level whose viewport is roughly one tile wide
+ *
+ * @param {number} tileSizeMiles - Tile width in miles
+ * @param {number} latitude - Latitude of the area (map scale varies with latitude)
+ * @param {number} viewportWidthPx - Browser viewport width in pixels
+ * @returns {number} Zoom level clamped to 10-18
+ */
+function zoomForTileSize(tileSizeMiles, latitude, viewportWidthPx = 800) {
+    const tileMeters = tileSizeMiles * METERS_PER_MILE;
+    const metersPerPixel = tileMeters / viewportWidthPx;
+    const zoom = Math.log2((METERS_PER_PIXEL_AT_ZOOM_0 * Math.cos(toRadians(latitude))) / metersPerPixel);
+
+    return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, Math.round(zoom)));
+}
+
+/**
+ * Parse "@lat,lng" coordinates from a Google Maps URL
+ *
+ * @param {string} url - Google Maps URL
+ * @returns {Object|null} { latitude, longitude } or null
+ */
+function parseCoordinatesFromUrl(url) {
+    const match = url && url.match(/@(-?\d+\.\d+),(-?\d+\.\d+)/);
+    if (!match) return null;
+
+    return {
+        latitude: parseFloat(match[1]),
+        longitude: parseFloat(match[2])
+    };
+}
+
+/**
+ * Extract a stable place key from a Google Maps place link
+ * Used to dedupe the same business found from several tiles.
+ *
+ * @param {string} link - Place link (relative or absolute)
+ * @returns {string|null} Place key (feature ID, place ID, or place path)
+ */
+function extractPlaceKey(link) {
+    if (!link) return null;
+
+    // Feature ID, e.g. !1s0x8644b5...:0x1b2c...
+    const featureMatch = link.match(/!1s(0x[0-9a-f]+:0x[0-9a-f]+)/i);
+    if (featureMatch) return featureMatch[1].toLowerCase();
+
+    // Place ID, e.g. !19sChIJ...
+    const placeIdMatch = link.match(/!19s(ChIJ[\w-]+)/);
+    if (placeIdMatch) return placeIdMatch[1];
+
+    // Fall back to the place path without coordinates or data params
+    const pathMatch = link.match(/\/maps\/place\/([^/@?]+)/);
+    return pathMatch ? decodeURIComponent(pathMatch[1]).toLowerCase() : null;
+}
+
+// ============================================================================
+// PER-TILE YIELD TRACKING
+// ============================================================================
+
+/**
+ * Create an empty yield report for a set of tiles
+ *
+ * @param {Array<Object>} tiles - Tiles from buildGeoGrid()
+ * @returns {Object} Report keyed by tile ID
+ */
+function createTileReport(tiles) {
+    const report = {};
+    for (const tile of tiles) {
+        report[tile.id] = {
+            tileId: tile.id,
+            latitude: tile.latitude,
+            longitude: tile.longitude,
+            searches: 0,
+            listingsFound: 0,
+            newPlaces: 0,
+            duplicatePlaces: 0,
+            businessesScraped: 0
+        };
+    }
+    return report;
+}
+
+/**
+ * Record a completed tile search
+ */
+function recordTileSearch(report, tileId) {
+    if (report[tileId]) report[tileId].searches++;
+}
+
+/**
+ * Record a listing found on a tile search page
+ *
+ * @param {Object} report - Tile report
+ * @param {string} tileId - Tile ID
+ * @param {boolean} isDuplicate - True if another tile already found this place
+ */
+function recordTileListing(report, tileId, isDuplicate) {
+    const entry = report[tileId];
+    if (!entry) return;
+
+    entry.listingsFound++;
+    if (isDuplicate) {
+        entry.duplicatePlaces++;
+    } else {
+        entry.newPlaces++;
+    }
+}
+
+/**
+ * Record a business that passed filters and was saved
+ */
+function recordTileScrape(report, tileId) {
+    if (report[tileId]) report[tileId].businessesScraped++;
+}
+
+/**
+ * Summarize tile yields with a saturation ratio per tile
+ * Saturation is the share of listings already found by other tiles (1.0 = nothing new).
+ *
+ * @param {Object} report - Tile report
+ * @returns {Object} Summary totals and tiles sorted by yield
+ */
+function summarizeTileReport(report) {
+    const tiles = Object.values(report).map(entry => ({
+        ...entry,
+        saturation: entry.listingsFound > 0
+            ? Math.round((entry.duplicatePlaces / entry.listingsFound) * 100) / 100
+            : null
+    }));
+
+    tiles.sort((a, b) => b.newPlaces - a.newPlaces);
+
+    const totals = tiles.reduce((sum, tile) => ({
+        listingsFound: sum.listingsFound + tile.listingsFound,
+        newPlaces: sum.newPlaces + tile.newPlaces,
+        duplicatePlaces: sum.duplicatePlaces + tile.duplicatePlaces,
+        businessesScraped: sum.businessesScraped + tile.businessesScraped
+    }), { listingsFound: 0, newPlaces: 0, duplicatePlaces: 0, businessesScraped: 0 });
+
+    return {
+        tileCount: tiles.length,
+        ...totals,
+        emptyTiles: tiles.filter(tile => tile.listingsFound === 0).length,
+        saturatedTiles: tiles.filter(tile => tile.saturation !== null && tile.saturation >= 0.8).length,
+        tiles,
+        generatedAt: new Date().toISOString()
+    };
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Move a coordinate by a north/east offset in miles
+ */
+function offsetCoordinates(latitude, longitude, northMiles, eastMiles) {
+    const milesPerLngDegree = MILES_PER_LNG_DEGREE_AT_EQUATOR * Math.cos(toRadians(latitude));
+
+    return {
+        latitude: latitude + northMiles / MILES_PER_LAT_DEGREE,
+        longitude: longitude + eastMiles / milesPerLngDegree
+    };
+}
+
+function toRadians(degrees) {
+    return (degrees * Math.PI) / 180;
+}
+
+function roundCoordinate(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    buildGeoGrid,
+    buildTileSearchUrl,
+    zoomForTileSize,
+    parseCoordinatesFromUrl,
+    extractPlaceKey,
+    createTileReport,
+    recordTileSearch,
+    recordTileListing,
+    recordTileScrape,
+    summarizeTileReport
+};
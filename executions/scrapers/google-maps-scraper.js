@@ -7,10 +7,26 @@
  * @version 1.0.0
  * @requires apify
  * @requires dotenv
+ * @requires ../verticals (vertical registry)
+ * @requires ./geo-grid
+ * @requires ./seen-entity-store
  */
 
 const Apify = require('apify');
 require('dotenv').config();
+const { getVertical } = require('../verticals');
+const {
+    buildGeoGrid,
+    buildTileSearchUrl,
+    parseCoordinatesFromUrl,
+    extractPlaceKey,
+    createTileReport,
+    recordTileSearch,
+    recordTileListing,
+    recordTileScrape,
+    summarizeTileReport
+} = require('./geo-grid');
+const { SeenEntityStore, buildEntityKey } = require('./seen-entity-store');
 
 /**
  * Main scraper function
@@ -22,10 +38,19 @@ Apify.main(async () => {
 
     // Destructure input parameters with defaults
     const {
-        vertical = 'insurance', // 'insurance', 'real_estate', 'recruitment'
+        vertical = 'insurance', // Any registered vertical key or alias (see executions/verticals)
         location = 'Austin, TX',
-        radius = 50, // miles
+        radius = 50, // miles (used by grid mode)
         maxBusinesses = 200,
+        searchMode = 'single', // 'single' (one search per category) or 'grid' (one per tile and category)
+        center = null, // { latitude, longitude } for grid mode - geocoded from location if omitted
+        tileSizeMiles = 5, // Grid mode: width of each tile
+        gridDensity = 1, // Grid mode: 2 = tiles overlap by half, 3 = by two thirds
+        maxTiles = 500, // Grid mode: safety cap on tile count
+        maxResultsPerTile = 120, // Grid mode: listings to load per tile search (Maps stops around 120)
+        incremental = false, // Skip recently seen places and emit only new/changed ones
+        seenStoreName = null, // Incremental mode: named store (default: seen-google-maps-<vertical>)
+        skipSeenWithinDays = 7, // Incremental mode: don't refetch places seen this recently (0 = refetch and diff all)
         minRating = 3.5,
         minReviews = 5,
         useProxy = true,
@@ -38,48 +63,96 @@ Apify.main(async () => {
     console.log(`Location: ${location}`);
     console.log(`Radius: ${radius} miles`);
     console.log(`Max businesses: ${maxBusinesses}`);
+    console.log(`Search mode: ${searchMode}`);
+    console.log(`Incremental: ${incremental}`);
 
-    // Define search categories based on vertical
-    const verticalCategories = {
-        insurance: [
-            'insurance agency',
-            'insurance broker',
-            'commercial insurance',
-            'business insurance agency'
-        ],
-        real_estate: [
-            'commercial real estate agency',
-            'commercial real estate broker',
-            'commercial property management',
-            'real estate investment company'
-        ],
-        recruitment: [
-            'recruiter',
-            'employment agency',
-            'staffing service',
-            'executive search firm',
-            'talent acquisition agency'
-        ]
-    };
-
-    const categories = verticalCategories[vertical] || [];
+    // Search categories come from the vertical registry (throws on unknown vertical)
+    const verticalDef = getVertical(vertical);
+    const categories = verticalDef.googleMapsCategories;
     console.log(`Searching categories: ${categories.join(', ')}`);
 
+    // Incremental mode: persistent seen-place store, and a named request queue so a
+    // crashed run resumes where it stopped (the queue is dropped after a clean finish)
+    const storeName = seenStoreName || `seen-google-maps-${verticalDef.key}`;
+    const seenStore = incremental
+        ? await SeenEntityStore.open(storeName, { skipSeenWithinDays })
+        : null;
+
     // Initialize request queue
-    const requestQueue = await Apify.openRequestQueue();
-
-    // Add search URLs to queue for each category
-    for (const category of categories) {
-        const searchUrl = buildGoogleMapsSearchUrl(category, location);
-        await requestQueue.addRequest({
-            url: searchUrl,
-            userData: {
-                label: 'SEARCH',
-                category,
-                vertical,
-                location
-            }
+    const requestQueue = incremental
+        ? await Apify.openRequestQueue(`${storeName}-queue`)
+        : await Apify.openRequestQueue();
+
+    // Grid mode state: per-tile yield report and places already seen across tiles
+    const gridContext = searchMode === 'grid'
+        ? { tileReport: null, seenPlaceKeys: new Set(), maxResultsPerTile }
+        : null;
+
+    /**
+     * Split the search area into tiles and queue one search per tile and category
+     */
+    const enqueueGridSearches = async (coordinates) => {
+        const tiles = buildGeoGrid({
+            latitude: coordinates.latitude,
+            longitude: coordinates.longitude,
+            radiusMiles: radius,
+            tileSizeMiles,
+            density: gridDensity,
+            maxTiles
         });
+
+        gridContext.tileReport = createTileReport(tiles);
+        console.log(`Geo grid: ${tiles.length} tiles x ${categories.length} categories = ${tiles.length * categories.length} searches`);
+
+        for (const tile of tiles) {
+            for (const category of categories) {
+                await requestQueue.addRequest({
+                    url: buildTileSearchUrl(category, tile),
+                    userData: {
+                        label: 'SEARCH',
+                        category,
+                        vertical: verticalDef.key,
+                        location,
+                        tileId: tile.id
+                    }
+                });
+            }
+        }
+    };
+
+    // Geocoded centers are cached in the seen store so reruns and resumes skip the lookup
+    const centerCacheKey = `center:${location.toLowerCase()}`;
+    const knownCenter = center || (seenStore && seenStore.getMeta(centerCacheKey));
+
+    if (searchMode === 'grid') {
+        if (knownCenter) {
+            await enqueueGridSearches(knownCenter);
+        } else {
+            // Let Maps resolve the location to coordinates first, then tile around it
+            await requestQueue.addRequest({
+                url: buildGoogleMapsPlaceUrl(location),
+                userData: {
+                    label: 'GEOCODE',
+                    location
+                }
+            });
+        }
+    } else if (searchMode === 'single') {
+        // Add search URLs to queue for each category
+        for (const category of categories) {
+            const searchUrl = buildGoogleMapsSearchUrl(category, location);
+            await requestQueue.addRequest({
+                url: searchUrl,
+                userData: {
+                    label: 'SEARCH',
+                    category,
+                    vertical: verticalDef.key,
+                    location
+                }
+            });
+        }
+    } else {
+        throw new Error(`Unknown searchMode: ${searchMode}. Must be 'single' or 'grid'`);
     }
 
     // Configure proxy settings
@@ -99,7 +172,9 @@ Apify.main(async () => {
         requestQueue,
         proxyConfiguration,
         maxRequestRetries: 3,
-        maxRequestsPerCrawl: maxBusinesses * 2, // Account for detail pages
+        maxRequestsPerCrawl: searchMode === 'grid'
+            ? maxTiles * categories.length + maxBusinesses * 2 + 1 // Tile searches + detail pages + geocode
+            : maxBusinesses * 2, // Account for detail pages
         requestHandlerTimeoutSecs: 120,
         maxConcurrency: 3,
         launchContext: {
@@ -115,18 +190,42 @@ Apify.main(async () => {
             console.log(`Processing: ${label} - ${request.url}`);
 
             switch (label) {
+                case 'GEOCODE':
+                    const coordinates = await handleGeocodePage(page, request);
+                    if (seenStore) seenStore.setMeta(centerCacheKey, coordinates);
+                    await enqueueGridSearches(coordinates);
+                    break;
+
                 case 'SEARCH':
-                    await handleSearchPage(page, request, requestQueue, maxBusinesses, totalScraped);
+                    await handleSearchPage(page, request, requestQueue, maxBusinesses, totalScraped, { gridContext, seenStore });
                     break;
 
                 case 'BUSINESS_DETAIL':
+                    if (totalScraped >= maxBusinesses) break;
+
                     const businessData = await handleBusinessDetail(page, request, minRating, minReviews);
                     if (businessData) {
-                        const businessId = businessData.placeId || businessData.name;
+                        const businessId = request.userData.placeKey || businessData.placeId || businessData.name;
                         if (!scrapedBusinessIds.has(businessId)) {
+                            // Incremental mode: classify against the last run, emit only new/changed
+                            if (seenStore) {
+                                const change = seenStore.record(buildEntityKey('place', businessId), 'place', businessData);
+                                scrapedBusinessIds.add(businessId);
+                                if (change.status === 'unchanged') {
+                                    console.log(`Unchanged since ${change.previouslySeenAt}: ${businessData.name}`);
+                                    break;
+                                }
+                                businessData.changeStatus = change.status;
+                                businessData.changes = change.changes;
+                                businessData.previouslySeenAt = change.previouslySeenAt;
+                            }
+
                             await Apify.pushData(businessData);
                             scrapedBusinessIds.add(businessId);
                             totalScraped++;
+                            if (gridContext && request.userData.tileId) {
+                                recordTileScrape(gridContext.tileReport, request.userData.tileId);
+                            }
                             console.log(`Scraped business ${totalScraped}/${maxBusinesses}: ${businessData.name}`);
                         }
                     }
@@ -161,6 +260,32 @@ Apify.main(async () => {
     console.log('Google Maps scraping completed!');
     console.log(`Total businesses scraped: ${totalScraped}`);
 
+    if (seenStore) {
+        await seenStore.persist();
+        await requestQueue.drop(); // Clean finish - next run starts fresh
+
+        const seenStats = seenStore.getStats();
+        await Apify.setValue('INCREMENTAL_STATS', seenStats);
+        console.log(`Incremental: ${seenStats.new} new, ${seenStats.changed} changed, ${seenStats.unchanged} unchanged, ${seenStats.skipped} skipped (${seenStats.knownEntities} known places)`);
+    }
+
+    // Report per-tile yield so saturated areas are visible
+    if (gridContext) {
+        if (!gridContext.tileReport) {
+            throw new Error(`Grid mode could not resolve coordinates for "${location}". Pass center: { latitude, longitude } in the input.`);
+        }
+
+        const tileSummary = summarizeTileReport(gridContext.tileReport);
+        await Apify.setValue('TILE_REPORT', tileSummary);
+
+        console.log(`Tiles searched: ${tileSummary.tileCount} (${tileSummary.emptyTiles} empty, ${tileSummary.saturatedTiles} saturated)`);
+        console.log(`Listings found: ${tileSummary.listingsFound} | New places: ${tileSummary.newPlaces} | Duplicates across tiles: ${tileSummary.duplicatePlaces}`);
+        for (const tile of tileSummary.tiles.slice(0, 10)) {
+            console.log(`  Tile ${tile.tileId}: ${tile.newPlaces} new, ${tile.duplicatePlaces} duplicate, ${tile.businessesScraped} scraped, saturation ${tile.saturation ?? 'n/a'}`);
+        }
+        console.log('Full per-tile report saved to key-value store: TILE_REPORT');
+    }
+
     // Generate summary statistics
     const dataset = await Apify.openDataset();
     const info = await dataset.getInfo();
@@ -176,17 +301,50 @@ function buildGoogleMapsSearchUrl(category, location) {
     return `https://www.google.com/maps/search/${encodedQuery}`;
 }
 
+/**
+ * Build Google Maps place URL used to resolve a location to coordinates
+ */
+function buildGoogleMapsPlaceUrl(location) {
+    return `https://www.google.com/maps/place/${encodeURIComponent(location)}`;
+}
+
+/**
+ * Handle geocode page (grid mode)
+ * Maps redirects a place URL to "@lat,lng,zoom" once it resolves the location
+ */
+async function handleGeocodePage(page, request) {
+    await page.waitForFunction(
+        () => /@-?\d+\.\d+,-?\d+\.\d+/.test(window.location.href),
+        { timeout: 30000 }
+    );
+
+    const coordinates = parseCoordinatesFromUrl(page.url());
+    if (!coordinates) {
+        throw new Error(`Could not resolve coordinates for location: ${request.userData.location}`);
+    }
+
+    console.log(`Resolved ${request.userData.location} to ${coordinates.latitude}, ${coordinates.longitude}`);
+    return coordinates;
+}
+
 /**
  * Handle Google Maps search results page
  * Extract business listing URLs
+ *
+ * In grid mode (options.gridContext) every listing is recorded against its tile, and
+ * places already found by another tile are counted as duplicates instead of queued.
+ * In incremental mode (options.seenStore) recently seen places are not queued at all.
  */
-async function handleSearchPage(page, request, requestQueue, maxBusinesses, currentCount) {
+async function handleSearchPage(page, request, requestQueue, maxBusinesses, currentCount, options = {}) {
+    const { gridContext = null, seenStore = null } = options;
+
     try {
         // Wait for results to load
         await page.waitForSelector('[role="feed"]', { timeout: 30000 });
 
         // Scroll to load more results
-        const scrollAttempts = Math.ceil(maxBusinesses / 20); // Google Maps loads ~20 at a time
+        const resultLimit = gridContext ? Math.min(maxBusinesses, gridContext.maxResultsPerTile) : maxBusinesses;
+        const scrollAttempts = Math.ceil(resultLimit / 20); // Google Maps loads ~20 at a time
         for (let i = 0; i < scrollAttempts && currentCount < maxBusinesses; i++) {
             await autoScroll(page);
             await page.waitForTimeout(2000);
@@ -209,15 +367,40 @@ async function handleSearchPage(page, request, requestQueue, maxBusinesses, curr
 
         console.log(`Found ${businessLinks.length} business links on search page`);
 
+        const { tileId } = request.userData;
+        const links = gridContext
+            ? businessLinks.slice(0, gridContext.maxResultsPerTile)
+            : businessLinks.slice(0, maxBusinesses - currentCount);
+
+        if (gridContext) {
+            recordTileSearch(gridContext.tileReport, tileId);
+        }
+
         // Add business detail pages to queue
-        for (const link of businessLinks.slice(0, maxBusinesses - currentCount)) {
+        for (const link of links) {
+            const placeKey = extractPlaceKey(link);
+
+            if (gridContext && placeKey) {
+                const isDuplicate = gridContext.seenPlaceKeys.has(placeKey);
+                recordTileListing(gridContext.tileReport, tileId, isDuplicate);
+                if (isDuplicate) continue;
+                gridContext.seenPlaceKeys.add(placeKey);
+            }
+
+            if (seenStore && seenStore.shouldSkip(buildEntityKey('place', placeKey))) {
+                continue;
+            }
+
             await requestQueue.addRequest({
                 url: `https://www.google.com${link}`,
+                uniqueKey: placeKey ? `place:${placeKey}` : undefined, // Dedupe by place, not by URL
                 userData: {
                     label: 'BUSINESS_DETAIL',
                     category: request.userData.category,
                     vertical: request.userData.vertical,
-                    location: request.userData.location
+                    location: request.userData.location,
+                    tileId,
+                    placeKey
                 }
             });
         }
@@ -268,7 +451,16 @@ async function handleBusinessDetail(page, request, minRating, minReviews) {
                     .map(img => img.src),
                 attributes: Array.from(document.querySelectorAll('div[class*="accessibility"] span'))
                     .map(span => span.textContent.trim())
-                    .filter(text => text.length > 0)
+                    .filter(text => text.length > 0),
+                // Review snippets visible on the overview, used as evidence for grounded AI research
+                reviews: Array.from(document.querySelectorAll('div.jftiEf'))
+                    .slice(0, 5)
+                    .map(review => ({
+                        author: review.querySelector('.d4r55')?.textContent.trim() || null,
+                        rating: parseFloat(review.querySelector('span.kvMYJc')?.getAttribute('aria-label')) || null,
+                        text: review.querySelector('.wiI7pd')?.textContent.trim() || ''
+                    }))
+                    .filter(review => review.text.length > 0)
             };
         });
 
@@ -318,10 +510,12 @@ async function handleBusinessDetail(page, request, minRating, minReviews) {
             longitude: longitude,
             images: businessData.images,
             attributes: businessData.attributes,
+            reviews: businessData.reviews,
             engagementScore: engagementScore,
             vertical: request.userData.vertical,
             searchCategory: request.userData.category,
             searchLocation: request.userData.location,
+            searchTile: request.userData.tileId || null,
             scrapeDate: new Date().toISOString(),
             googleMapsUrl: page.url()
         };
@@ -2,15 +2,19 @@
  * LinkedIn Company Scraper - Apify Actor
  *
  * Scrapes LinkedIn company pages and decision maker profiles for B2B lead generation.
- * Targets commercial insurance, commercial real estate, and recruitment verticals.
+ * Targets any vertical registered in executions/verticals.
  *
  * @version 1.0.0
  * @requires apify
  * @requires dotenv
+ * @requires ../verticals (vertical registry)
+ * @requires ./seen-entity-store
  */
 
 const Apify = require('apify');
 require('dotenv').config();
+const { getVertical } = require('../verticals');
+const { SeenEntityStore, buildEntityKey } = require('./seen-entity-store');
 
 /**
  * Main scraper function
@@ -22,56 +26,41 @@ Apify.main(async () => {
 
     // Destructure input parameters with defaults
     const {
-        vertical = 'insurance', // 'insurance', 'real_estate', 'recruitment'
+        vertical = 'insurance', // Any registered vertical key or alias (see executions/verticals)
         location = 'United States',
         companySize = '10-200',
         maxCompanies = 100,
         maxProfilesPerCompany = 5,
         searchQuery = '',
         useProxy = true,
-        proxyGroup = process.env.APIFY_DEFAULT_PROXY_GROUP || 'RESIDENTIAL'
+        proxyGroup = process.env.APIFY_DEFAULT_PROXY_GROUP || 'RESIDENTIAL',
+        incremental = false, // Skip recently seen companies/profiles and emit only new/changed ones
+        seenStoreName = null, // Incremental mode: named store (default: seen-linkedin-<vertical>)
+        skipSeenWithinDays = 7 // Incremental mode: don't refetch entities seen this recently (0 = refetch and diff all)
     } = input;
 
     console.log('Starting LinkedIn Company Scraper...');
     console.log(`Vertical: ${vertical}`);
     console.log(`Location: ${location}`);
     console.log(`Max companies: ${maxCompanies}`);
+    console.log(`Incremental: ${incremental}`);
 
-    // Configure search queries based on vertical
-    const verticalQueries = {
-        insurance: [
-            'insurance agency owner',
-            'insurance broker',
-            'commercial insurance agent',
-            'property casualty insurance'
-        ],
-        real_estate: [
-            'commercial real estate broker',
-            'CRE investment',
-            'commercial property management',
-            'commercial real estate firm'
-        ],
-        recruitment: [
-            'staffing agency owner',
-            'recruitment firm',
-            'executive search firm',
-            'talent acquisition agency'
-        ]
-    };
-
-    // Decision maker titles to target
-    const decisionMakerTitles = {
-        insurance: ['CEO', 'President', 'Agency Owner', 'Managing Partner', 'Principal Agent'],
-        real_estate: ['Principal', 'Managing Broker', 'Investment Director', 'CEO', 'Founder'],
-        recruitment: ['CEO', 'Founder', 'Director of Recruiting', 'Managing Director', 'President']
-    };
+    // Search queries and decision maker titles come from the vertical registry
+    const verticalDef = getVertical(vertical);
+    const queries = searchQuery ? [searchQuery] : verticalDef.linkedinQueries;
+    const targetTitles = verticalDef.decisionMakerTitles;
 
-    // Build search URL based on vertical and location
-    const queries = searchQuery ? [searchQuery] : verticalQueries[vertical] || [];
-    const targetTitles = decisionMakerTitles[vertical] || [];
+    // Incremental mode: persistent seen-entity store, and a named request queue so a
+    // crashed run resumes where it stopped (the queue is dropped after a clean finish)
+    const storeName = seenStoreName || `seen-linkedin-${verticalDef.key}`;
+    const seenStore = incremental
+        ? await SeenEntityStore.open(storeName, { skipSeenWithinDays })
+        : null;
 
     // Initialize request queue
-    const requestQueue = await Apify.openRequestQueue();
+    const requestQueue = incremental
+        ? await Apify.openRequestQueue(`${storeName}-queue`)
+        : await Apify.openRequestQueue();
 
     // Add company search URLs to queue
     for (const query of queries) {
@@ -81,7 +70,7 @@ Apify.main(async () => {
             userData: {
                 label: 'COMPANY_SEARCH',
                 query,
-                vertical
+                vertical: verticalDef.key
             }
         });
     }
@@ -111,15 +100,15 @@ Apify.main(async () => {
             // Handle different page types
             switch (label) {
                 case 'COMPANY_SEARCH':
-                    await handleCompanySearchPage($, request, requestQueue, maxCompanies);
+                    await handleCompanySearchPage($, request, requestQueue, maxCompanies, seenStore);
                     break;
 
                 case 'COMPANY_PAGE':
-                    await handleCompanyPage($, request, requestQueue, targetTitles, maxProfilesPerCompany);
+                    await handleCompanyPage($, request, requestQueue, targetTitles, maxProfilesPerCompany, seenStore);
                     break;
 
                 case 'PROFILE_PAGE':
-                    await handleProfilePage($, request);
+                    await handleProfilePage($, request, seenStore);
                     break;
 
                 default:
@@ -150,6 +139,15 @@ Apify.main(async () => {
 
     console.log('LinkedIn scraping completed!');
 
+    if (seenStore) {
+        await seenStore.persist();
+        await requestQueue.drop(); // Clean finish - next run starts fresh
+
+        const seenStats = seenStore.getStats();
+        await Apify.setValue('INCREMENTAL_STATS', seenStats);
+        console.log(`Incremental: ${seenStats.new} new, ${seenStats.changed} changed, ${seenStats.unchanged} unchanged, ${seenStats.skipped} skipped (${seenStats.knownEntities} known entities)`);
+    }
+
     // Generate summary statistics
     const dataset = await Apify.openDataset();
     const info = await dataset.getInfo();
@@ -169,9 +167,9 @@ function buildLinkedInSearchUrl(query, location, companySize) {
 
 /**
  * Handle company search results page
- * Extract company URLs and add to queue
+ * Extract company URLs and add to queue (skipping recently seen ones in incremental mode)
  */
-async function handleCompanySearchPage($, request, requestQueue, maxCompanies) {
+async function handleCompanySearchPage($, request, requestQueue, maxCompanies, seenStore = null) {
     const companyLinks = [];
 
     // Extract company links from search results
@@ -188,6 +186,8 @@ async function handleCompanySearchPage($, request, requestQueue, maxCompanies) {
 
     // Add company pages to queue
     for (const companyUrl of companyLinks) {
+        if (seenStore && seenStore.shouldSkip(buildEntityKey('company', companyUrl))) continue;
+
         await requestQueue.addRequest({
             url: companyUrl,
             userData: {
@@ -210,7 +210,7 @@ async function handleCompanySearchPage($, request, requestQueue, maxCompanies) {
  * Handle company profile page
  * Extract company data and find decision maker profiles
  */
-async function handleCompanyPage($, request, requestQueue, targetTitles, maxProfiles) {
+async function handleCompanyPage($, request, requestQueue, targetTitles, maxProfiles, seenStore = null) {
     const companyUrl = request.url;
 
     // Extract company information
@@ -256,6 +256,8 @@ async function handleCompanyPage($, request, requestQueue, targetTitles, maxProf
 
     // Add profile pages to queue
     for (const profileUrl of peopleLinks) {
+        if (seenStore && seenStore.shouldSkip(buildEntityKey('profile', profileUrl))) continue;
+
         await requestQueue.addRequest({
             url: profileUrl,
             userData: {
@@ -267,15 +269,17 @@ async function handleCompanyPage($, request, requestQueue, targetTitles, maxProf
         });
     }
 
-    // Save company data
-    await Apify.pushData(companyData);
+    // Save company data (incremental mode: only if new or changed)
+    if (markChanges(seenStore, 'company', companyUrl, companyData)) {
+        await Apify.pushData(companyData);
+    }
 }
 
 /**
  * Handle individual profile page
  * Extract decision maker information
  */
-async function handleProfilePage($, request) {
+async function handleProfilePage($, request, seenStore = null) {
     const profileUrl = request.url;
 
     // Extract profile information
@@ -296,8 +300,29 @@ async function handleProfilePage($, request) {
 
     console.log(`Scraped profile: ${profileData.fullName} - ${profileData.jobTitle}`);
 
-    // Save profile data
-    await Apify.pushData(profileData);
+    // Save profile data (incremental mode: only if new or changed)
+    if (markChanges(seenStore, 'profile', profileUrl, profileData)) {
+        await Apify.pushData(profileData);
+    }
+}
+
+/**
+ * Record an entity in the seen store and annotate it with what changed since the last run
+ * Returns false for unchanged entities, which are not re-emitted. Always true without a store.
+ */
+function markChanges(seenStore, type, url, data) {
+    if (!seenStore) return true;
+
+    const change = seenStore.record(buildEntityKey(type, url), type, data);
+    if (change.status === 'unchanged') {
+        console.log(`Unchanged since ${change.previouslySeenAt}: ${url}`);
+        return false;
+    }
+
+    data.changeStatus = change.status;
+    data.changes = change.changes;
+    data.previouslySeenAt = change.previouslySeenAt;
+    return true;
 }
 
 /**
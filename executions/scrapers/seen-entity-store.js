@@ -0,0 +1,299 @@
+/**
+ * Seen Entity Store
+ *
+ * Persistent record of every place ID and LinkedIn company/profile URL the scrapers
+ * have already worked, with a last-seen timestamp and a content hash. Lets weekly
+ * reruns skip recently seen entities and emit only new or changed records downstream,
+ * with a field-level diff for changed ones.
+ *
+ * State lives in a named Apify key-value store, so it survives across runs.
+ *
+ * @version 1.0.0
+ * @requires apify
+ * @requires crypto (Node.js built-in)
+ */
+
+const Apify = require('apify');
+const crypto = require('crypto');
+
+const STATE_KEY = 'STATE';
+const PERSIST_EVERY = 50; // Save after this many updates (plus on persistState and at the end)
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fields compared between runs, by entity type
+ */
+const TRACKED_FIELDS = {
+    place: ['name', 'category', 'rating', 'reviewCount', 'address', 'phone', 'website', 'hours', 'email'],
+    company: ['companyName', 'industry', 'companySize', 'employeeCount', 'location', 'website', 'description', 'followers'],
+    profile: ['fullName', 'jobTitle', 'location', 'companyName', 'email']
+};
+
+/**
+ * Seen Entity Store Class
+ */
+class SeenEntityStore {
+    /**
+     * Open (or create) a named store and load its state
+     *
+     * @param {string} storeName - Apify key-value store name (e.g., 'seen-google-maps-insurance')
+     * @param {Object} options - Store options
+     * @param {number} options.skipSeenWithinDays - Skip refetching entities seen this recently (default: 7, 0 = always refetch)
+     * @returns {Promise<SeenEntityStore>} Loaded store
+     */
+    static async open(storeName, options = {}) {
+        if (!storeName) {
+            throw new Error('storeName is required to open a seen entity store');
+        }
+
+        const kvStore = await Apify.openKeyValueStore(storeName);
+        const state = await kvStore.getValue(STATE_KEY);
+
+        const store = new SeenEntityStore(kvStore, state || {}, options);
+        console.log(`Seen entity store '${storeName}' loaded: ${store.size()} known entities`);
+
+        // Save on Apify's periodic persist event so a crash loses little
+        Apify.events.on('persistState', () => store.persist().catch(error => {
+            console.error(`Error persisting seen entity store: ${error.message}`);
+        }));
+
+        return store;
+    }
+
+    constructor(kvStore, state = {}, options = {}) {
+        const { skipSeenWithinDays = 7 } = options;
+
+        this.kvStore = kvStore;
+        this.entities = state.entities || {};
+        this.meta = state.meta || {};
+        this.skipSeenWithinDays = skipSeenWithinDays;
+        this.pendingUpdates = 0;
+        this.stats = { new: 0, changed: 0, unchanged: 0, skipped: 0 };
+    }
+
+    /**
+     * Number of known entities
+     */
+    size() {
+        return Object.keys(this.entities).length;
+    }
+
+    /**
+     * Get stored entry for an entity key
+     */
+    get(key) {
+        return this.entities[key] || null;
+    }
+
+    /**
+     * Check whether an entity was seen recently enough to skip refetching it.
+     * Counts the skip in the run stats when it returns true.
+     *
+     * @param {string} key - Entity key (see buildEntityKey)
+     * @returns {boolean} True if the entity should be skipped
+     */
+    shouldSkip(key) {
+        if (!key || this.skipSeenWithinDays <= 0) return false;
+
+        const entry = this.entities[key];
+        if (!entry) return false;
+
+        const ageMs = Date.now() - new Date(entry.lastSeen).getTime();
+        if (ageMs < this.skipSeenWithinDays * DAY_MS) {
+            this.stats.skipped++;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Record a freshly scraped entity and classify it against the stored version
+     *
+     * @param {string} key - Entity key
+     * @param {string} type - 'place', 'company', or 'profile'
+     * @param {Object} record - Scraped record
+     * @returns {Object} { status: 'new'|'changed'|'unchanged', changes, previouslySeenAt }
+     */
+    record(key, type, record) {
+        const fields = TRACKED_FIELDS[type];
+        if (!fields) {
+            throw new Error(`Unknown entity type: ${type}. Must be 'place', 'company', or 'profile'`);
+        }
+
+        const snapshot = pickFields(record, fields);
+        const contentHash = computeContentHash(snapshot);
+        const previous = this.entities[key];
+        const now = new Date().toISOString();
+
+        let status;
+        let changes = null;
+
+        if (!previous) {
+            status = 'new';
+        } else if (previous.contentHash === contentHash) {
+            status = 'unchanged';
+        } else {
+            status = 'changed';
+            changes = diffSnapshots(previous.snapshot, snapshot);
+        }
+
+        this.entities[key] = {
+            type,
+            firstSeen: previous ? previous.firstSeen : now,
+            lastSeen: now,
+            lastChanged: status === 'unchanged' ? previous.lastChanged : now,
+            contentHash,
+            snapshot
+        };
+
+        this.stats[status]++;
+        this.schedulePersist();
+
+        return {
+            status,
+            changes,
+            previouslySeenAt: previous ? previous.lastSeen : null
+        };
+    }
+
+    /**
+     * Read run-independent metadata (e.g., cached geocoded grid centers)
+     */
+    getMeta(key) {
+        return this.meta[key];
+    }
+
+    /**
+     * Write run-independent metadata
+     */
+    setMeta(key, value) {
+        this.meta[key] = value;
+        this.schedulePersist();
+    }
+
+    /**
+     * Save state to the key-value store
+     *
+     * @returns {Promise<void>}
+     */
+    async persist() {
+        this.pendingUpdates = 0;
+        await this.kvStore.setValue(STATE_KEY, {
+            entities: this.entities,
+            meta: this.meta,
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Get new/changed/unchanged/skipped counts for this run
+     */
+    getStats() {
+        return { ...this.stats, knownEntities: this.size() };
+    }
+
+    // ========================================================================
+    // HELPER METHODS
+    // ========================================================================
+
+    /**
+     * Persist every PERSIST_EVERY updates
+     */
+    schedulePersist() {
+        this.pendingUpdates++;
+        if (this.pendingUpdates >= PERSIST_EVERY) {
+            this.persist().catch(error => {
+                console.error(`Error persisting seen entity store: ${error.message}`);
+            });
+        }
+    }
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Build a stable entity key
+ *
+ * @param {string} type - 'place', 'company', or 'profile'
+ * @param {string} id - Place key or LinkedIn URL
+ * @returns {string|null} Entity key
+ */
+function buildEntityKey(type, id) {
+    if (!id) return null;
+    const normalized = type === 'place' ? String(id).toLowerCase() : normalizeEntityUrl(id);
+    return `${type}:${normalized}`;
+}
+
+/**
+ * Normalize a LinkedIn URL (drop protocol, www, query string and trailing slash)
+ */
+function normalizeEntityUrl(url) {
+    return String(url)
+        .trim()
+        .toLowerCase()
+        .replace(/^https?:\/\//, '')
+        .replace(/^www\./, '')
+        .split('?')[0]
+        .split('#')[0]
+        .replace(/\/+$/, '');
+}
+
+/**
+ * Hash a snapshot of tracked fields (key order independent)
+ */
+function computeContentHash(snapshot) {
+    const canonical = JSON.stringify(Object.keys(snapshot).sort().map(key => [key, snapshot[key]]));
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+/**
+ * Diff two snapshots field by field
+ * Numeric changes include a delta (e.g., rating 4.2 -> 4.5 = +0.3).
+ *
+ * @returns {Object} { field: { from, to, delta? } }
+ */
+function diffSnapshots(previous = {}, current = {}) {
+    const changes = {};
+    const fields = new Set([...Object.keys(previous), ...Object.keys(current)]);
+
+    for (const field of fields) {
+        const from = previous[field] ?? null;
+        const to = current[field] ?? null;
+        if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+        changes[field] = { from, to };
+        if (typeof from === 'number' && typeof to === 'number') {
+            changes[field].delta = Math.round((to - from) * 100) / 100;
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Pick tracked fields, normalizing strings so whitespace changes don't count
+ */
+function pickFields(record, fields) {
+    const snapshot = {};
+    for (const field of fields) {
+        const value = record[field];
+        snapshot[field] = typeof value === 'string' ? value.trim() : (value ?? null);
+    }
+    return snapshot;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    SeenEntityStore,
+    buildEntityKey,
+    normalizeEntityUrl,
+    computeContentHash,
+    diffSnapshots,
+    TRACKED_FIELDS
+};
@@ -0,0 +1,327 @@
+/**
+ * Email Pattern Learning Utility
+ *
+ * Learns each company's email format (first.last, flast, first, ...) from the real
+ * emails already in a dataset, and ranks inferred addresses for the other contacts at
+ * the same domain with a confidence value. Domains with no examples fall back to the
+ * patterns seen at other companies in the same vertical, then to general B2B base rates.
+ * Learned patterns persist between runs in a named Apify key-value store.
+ *
+ * @version 1.0.0
+ * @requires apify
+ */
+
+const Apify = require('apify');
+
+const STATE_KEY = 'PATTERNS';
+const MAX_EXAMPLES_PER_DOMAIN = 50;
+const DOMAIN_PRIOR_WEIGHT = 1; // Pseudo-count of the prior when scoring a domain's patterns
+const VERTICAL_PRIOR_WEIGHT = 5; // Pseudo-count of the base rates when scoring a vertical's patterns
+
+/**
+ * Supported patterns, with how common each is across B2B domains (sums to 1)
+ */
+const EMAIL_PATTERNS = {
+    'first.last': { build: (f, l) => `${f}.${l}`, baseRate: 0.35 },
+    'first': { build: (f) => f, baseRate: 0.2 },
+    'flast': { build: (f, l) => `${f[0]}${l}`, baseRate: 0.15 },
+    'firstlast': { build: (f, l) => `${f}${l}`, baseRate: 0.1 },
+    'f.last': { build: (f, l) => `${f[0]}.${l}`, baseRate: 0.06 },
+    'first_last': { build: (f, l) => `${f}_${l}`, baseRate: 0.03 },
+    'firstl': { build: (f, l) => `${f}${l[0]}`, baseRate: 0.03 },
+    'last': { build: (f, l) => l, baseRate: 0.03 },
+    'last.first': { build: (f, l) => `${l}.${f}`, baseRate: 0.02 },
+    'first-last': { build: (f, l) => `${f}-${l}`, baseRate: 0.02 },
+    'lastf': { build: (f, l) => `${l}${f[0]}`, baseRate: 0.01 }
+};
+
+// ============================================================================
+// PATTERN STORE
+// ============================================================================
+
+/**
+ * Email Pattern Store Class
+ * Keeps example emails per domain and derives pattern confidence from them.
+ */
+class EmailPatternStore {
+    /**
+     * Open (or create) a store persisted in a named Apify key-value store
+     *
+     * @param {string} storeName - Key-value store name (default: 'email-patterns')
+     * @returns {Promise<EmailPatternStore>} Loaded store
+     */
+    static async open(storeName = 'email-patterns') {
+        const kvStore = await Apify.openKeyValueStore(storeName);
+        const state = await kvStore.getValue(STATE_KEY);
+        return new EmailPatternStore(kvStore, state || {});
+    }
+
+    /**
+     * @param {Object|null} kvStore - Key-value store for persistence (null = in-memory only)
+     * @param {Object} state - Saved state { domains }
+     */
+    constructor(kvStore = null, state = {}) {
+        this.kvStore = kvStore;
+        this.domains = state.domains || {};
+    }
+
+    /**
+     * Learn from one known email
+     *
+     * @param {Object} example - Known address
+     * @param {string} example.email - Email address
+     * @param {string} example.firstName - Contact first name
+     * @param {string} example.lastName - Contact last name
+     * @param {string} example.vertical - Vertical of the company (used for cross-domain priors)
+     * @param {boolean} example.verified - Mailbox was verified over SMTP (counts double)
+     * @returns {Array<string>} Patterns the address matches (empty if none)
+     */
+    learn({ email, firstName, lastName, vertical = null, verified = false }) {
+        if (!email || !email.includes('@')) return [];
+
+        const [localPart, domain] = email.toLowerCase().split('@');
+        const patterns = detectPatterns(localPart, firstName, lastName);
+        if (patterns.length === 0) return [];
+
+        const entry = this.domains[domain] || { examples: {}, vertical: null };
+        entry.examples[email.toLowerCase()] = { patterns, weight: verified ? 1 : 0.5 };
+        entry.vertical = vertical || entry.vertical;
+        entry.updatedAt = new Date().toISOString();
+
+        // Keep the most recent examples only
+        const emails = Object.keys(entry.examples);
+        if (emails.length > MAX_EXAMPLES_PER_DOMAIN) {
+            delete entry.examples[emails[0]];
+        }
+
+        this.domains[domain] = entry;
+        return patterns;
+    }
+
+    /**
+     * Learn from every lead that holds a real personal email (or an inferred one SMTP confirmed)
+     *
+     * @param {Array<Object>} leads - Leads
+     * @returns {number} Number of emails learned from
+     */
+    learnFromLeads(leads) {
+        let learned = 0;
+
+        for (const lead of leads) {
+            if (!lead.email) continue;
+
+            const status = lead.emailVerification ? lead.emailVerification.status : null;
+            if (status === 'invalid' || status === 'catch-all') continue; // Catch-all accepts any guess
+            if (lead.emailInferred && status !== 'valid') continue; // Guesses count once a probe confirms them
+
+            const patterns = this.learn({
+                email: lead.email,
+                firstName: lead.firstName,
+                lastName: lead.lastName,
+                vertical: lead.vertical,
+                verified: status === 'valid'
+            });
+            if (patterns.length > 0) learned++;
+        }
+
+        return learned;
+    }
+
+    /**
+     * Pattern confidence for a domain (sums to 1 across patterns)
+     *
+     * @param {string} domain - Email domain
+     * @param {Object} options - Options
+     * @param {string} options.vertical - Vertical to borrow patterns from when the domain has few examples
+     * @returns {Object} { confidences: { pattern: 0-1 }, examples, source: 'domain'|'vertical'|'default' }
+     */
+    getPatternConfidence(domain, options = {}) {
+        const entry = domain ? this.domains[domain.toLowerCase()] : null;
+        const vertical = options.vertical || (entry && entry.vertical);
+
+        const prior = this.getVerticalPrior(vertical);
+        const domainCounts = entry ? countPatterns(entry.examples) : { counts: {}, total: 0 };
+
+        const confidences = {};
+        for (const pattern of Object.keys(EMAIL_PATTERNS)) {
+            confidences[pattern] = ((domainCounts.counts[pattern] || 0) + DOMAIN_PRIOR_WEIGHT * prior.rates[pattern]) /
+                (domainCounts.total + DOMAIN_PRIOR_WEIGHT);
+        }
+
+        return {
+            confidences,
+            examples: entry ? Object.keys(entry.examples).length : 0,
+            source: domainCounts.total > 0 ? 'domain' : prior.source
+        };
+    }
+
+    /**
+     * Save to the key-value store (no-op in memory)
+     *
+     * @returns {Promise<void>}
+     */
+    async persist() {
+        if (this.kvStore) {
+            await this.kvStore.setValue(STATE_KEY, { domains: this.domains, updatedAt: new Date().toISOString() });
+        }
+    }
+
+    // ========================================================================
+    // HELPER METHODS
+    // ========================================================================
+
+    /**
+     * Pattern rates across all domains in a vertical, smoothed toward base rates
+     */
+    getVerticalPrior(vertical) {
+        const counts = {};
+        let total = 0;
+
+        if (vertical) {
+            for (const entry of Object.values(this.domains)) {
+                if (entry.vertical !== vertical) continue;
+                const domainCounts = countPatterns(entry.examples);
+
+                // Each domain votes once, so one big firm doesn't dominate the vertical
+                if (domainCounts.total === 0) continue;
+                for (const [pattern, count] of Object.entries(domainCounts.counts)) {
+                    counts[pattern] = (counts[pattern] || 0) + count / domainCounts.total;
+                }
+                total++;
+            }
+        }
+
+        const rates = {};
+        for (const [pattern, { baseRate }] of Object.entries(EMAIL_PATTERNS)) {
+            rates[pattern] = ((counts[pattern] || 0) + VERTICAL_PRIOR_WEIGHT * baseRate) / (total + VERTICAL_PRIOR_WEIGHT);
+        }
+
+        return { rates, source: total > 0 ? 'vertical' : 'default' };
+    }
+}
+
+// ============================================================================
+// CANDIDATES
+// ============================================================================
+
+/**
+ * Rank inferred email candidates for a contact
+ *
+ * @param {string} firstName - First name
+ * @param {string} lastName - Last name
+ * @param {string} domain - Company email domain
+ * @param {Object} options - Options
+ * @param {EmailPatternStore} options.patternStore - Learned patterns (default: base rates only)
+ * @param {string} options.vertical - Lead vertical (for cross-domain priors)
+ * @param {number} options.limit - Maximum candidates (default: 5)
+ * @returns {Array<Object>} [{ email, pattern, confidence, source }] best first
+ */
+function rankEmailCandidates(firstName, lastName, domain, options = {}) {
+    const { patternStore = null, vertical = null, limit = 5 } = options;
+
+    const first = normalizeNamePart(firstName);
+    const last = normalizeNamePart(lastName);
+    if (!first || !last || !domain) return [];
+
+    const store = patternStore || new EmailPatternStore();
+    const { confidences, source } = store.getPatternConfidence(domain, { vertical });
+    const seen = new Set();
+
+    return Object.entries(EMAIL_PATTERNS)
+        .map(([pattern, { build }]) => ({
+            email: `${build(first, last)}@${domain.toLowerCase()}`,
+            pattern,
+            confidence: Math.round(confidences[pattern] * 100) / 100,
+            source
+        }))
+        .sort((a, b) => b.confidence - a.confidence)
+        .filter(candidate => {
+            if (seen.has(candidate.email)) return false;
+            seen.add(candidate.email);
+            return true;
+        })
+        .slice(0, limit);
+}
+
+/**
+ * Detect which patterns an email local part follows for a contact
+ *
+ * @param {string} localPart - Part before the @
+ * @param {string} firstName - First name
+ * @param {string} lastName - Last name
+ * @returns {Array<string>} Matching pattern names
+ */
+function detectPatterns(localPart, firstName, lastName) {
+    const first = normalizeNamePart(firstName);
+    const last = normalizeNamePart(lastName);
+    if (!first || !last || !localPart) return [];
+
+    const local = localPart.toLowerCase();
+    return Object.entries(EMAIL_PATTERNS)
+        .filter(([, { build }]) => build(first, last) === local)
+        .map(([pattern]) => pattern);
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Lowercase, strip accents and anything that isn't a letter ("De la Cruz" -> "delacruz")
+ */
+function normalizeNamePart(name) {
+    if (!name) return '';
+    return String(name)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z]/g, '');
+}
+
+/**
+ * Weighted pattern counts for a domain's examples
+ * An address that fits several patterns (e.g. "john" for first) splits its weight.
+ */
+function countPatterns(examples) {
+    const counts = {};
+    let total = 0;
+
+    for (const { patterns, weight } of Object.values(examples)) {
+        for (const pattern of patterns) {
+            counts[pattern] = (counts[pattern] || 0) + weight / patterns.length;
+        }
+        total += weight;
+    }
+
+    return { counts, total };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    EmailPatternStore,
+    rankEmailCandidates,
+    detectPatterns,
+    EMAIL_PATTERNS
+};
+
+// ============================================================================
+// USAGE EXAMPLES
+// ============================================================================
+
+/**
+ * Example: Learn from known emails, then infer for a new contact
+ *
+ * const { EmailPatternStore, rankEmailCandidates } = require('./email-patterns');
+ *
+ * const patternStore = await EmailPatternStore.open('email-patterns');
+ * patternStore.learn({ email: 'jsmith@acme.com', firstName: 'John', lastName: 'Smith', vertical: 'insurance', verified: true });
+ * patternStore.learn({ email: 'mjones@acme.com', firstName: 'Mary', lastName: 'Jones', vertical: 'insurance' });
+ *
+ * rankEmailCandidates('Jane', 'Doe', 'acme.com', { patternStore });
+ * // [{ email: 'jdoe@acme.com', pattern: 'flast', confidence: 0.72, source: 'domain' }, ...]
+ *
+ * await patternStore.persist();
+ */
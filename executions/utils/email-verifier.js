@@ -0,0 +1,510 @@
+/**
+ * Email Verifier Utility
+ *
+ * Mailbox-level verification for lead emails. Connects to the domain's MX host and
+ * runs an SMTP RCPT TO probe (no message is sent), then probes a random address on
+ * the same domain to detect catch-all servers. Results are classified as valid,
+ * invalid, catch-all or unknown and cached per address and per domain with a TTL,
+ * so reruns don't re-probe.
+ *
+ * @version 1.0.0
+ * @requires apify
+ * @requires net (Node.js built-in)
+ * @requires dns (Node.js built-in)
+ * @requires crypto (Node.js built-in)
+ */
+
+const Apify = require('apify');
+const net = require('net');
+const dns = require('dns').promises;
+const crypto = require('crypto');
+
+/**
+ * Verification statuses
+ */
+const VERIFICATION_STATUS = {
+    VALID: 'valid',
+    INVALID: 'invalid',
+    CATCH_ALL: 'catch-all',
+    UNKNOWN: 'unknown'
+};
+
+const CACHE_KEY = 'CACHE';
+const HOUR_MS = 60 * 60 * 1000;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// ============================================================================
+// VERIFICATION CACHE
+// ============================================================================
+
+/**
+ * Email Verification Cache Class
+ * Per-address results and per-domain facts (MX hosts, catch-all) with TTLs.
+ */
+class EmailVerificationCache {
+    /**
+     * Open (or create) a cache persisted in a named Apify key-value store
+     *
+     * @param {string} storeName - Key-value store name (default: 'email-verification-cache')
+     * @param {Object} options - TTL options (see constructor)
+     * @returns {Promise<EmailVerificationCache>} Loaded cache
+     */
+    static async open(storeName = 'email-verification-cache', options = {}) {
+        const kvStore = await Apify.openKeyValueStore(storeName);
+        const state = await kvStore.getValue(CACHE_KEY);
+        return new EmailVerificationCache(kvStore, state || {}, options);
+    }
+
+    /**
+     * @param {Object|null} kvStore - Key-value store for persistence (null = in-memory only)
+     * @param {Object} state - Saved state { addresses, domains }
+     * @param {Object} options - TTL options
+     * @param {number} options.addressTtlHours - Valid/invalid/catch-all results (default: 720 = 30 days)
+     * @param {number} options.unknownTtlHours - Unknown results, e.g. greylisting (default: 6)
+     * @param {number} options.domainTtlHours - MX hosts and catch-all status (default: 168 = 7 days)
+     */
+    constructor(kvStore = null, state = {}, options = {}) {
+        const {
+            addressTtlHours = 720,
+            unknownTtlHours = 6,
+            domainTtlHours = 168
+        } = options;
+
+        this.kvStore = kvStore;
+        this.addresses = state.addresses || {};
+        this.domains = state.domains || {};
+        this.addressTtlHours = addressTtlHours;
+        this.unknownTtlHours = unknownTtlHours;
+        this.domainTtlHours = domainTtlHours;
+        this.stats = { hits: 0, misses: 0 };
+    }
+
+    /**
+     * Get a cached address result (null if missing or expired)
+     */
+    getAddress(email) {
+        return this.readEntry(this.addresses, email.toLowerCase());
+    }
+
+    /**
+     * Cache an address result (unknown results expire sooner)
+     */
+    setAddress(email, result) {
+        const ttlHours = result.status === VERIFICATION_STATUS.UNKNOWN ? this.unknownTtlHours : this.addressTtlHours;
+        this.addresses[email.toLowerCase()] = { value: result, expiresAt: Date.now() + ttlHours * HOUR_MS };
+    }
+
+    /**
+     * Get cached domain facts (null if missing or expired)
+     */
+    getDomain(domain) {
+        return this.readEntry(this.domains, domain.toLowerCase());
+    }
+
+    /**
+     * Merge and cache domain facts
+     */
+    setDomain(domain, info) {
+        const key = domain.toLowerCase();
+        const existing = this.getDomain(key) || {};
+        this.domains[key] = { value: { ...existing, ...info }, expiresAt: Date.now() + this.domainTtlHours * HOUR_MS };
+    }
+
+    /**
+     * Drop expired entries and save to the key-value store (no-op in memory)
+     *
+     * @returns {Promise<void>}
+     */
+    async persist() {
+        const now = Date.now();
+        for (const entries of [this.addresses, this.domains]) {
+            for (const [key, entry] of Object.entries(entries)) {
+                if (entry.expiresAt <= now) delete entries[key];
+            }
+        }
+
+        if (this.kvStore) {
+            await this.kvStore.setValue(CACHE_KEY, { addresses: this.addresses, domains: this.domains });
+        }
+    }
+
+    // ========================================================================
+    // HELPER METHODS
+    // ========================================================================
+
+    readEntry(entries, key) {
+        const entry = entries[key];
+        if (!entry || entry.expiresAt <= Date.now()) {
+            this.stats.misses++;
+            return null;
+        }
+
+        this.stats.hits++;
+        return entry.value;
+    }
+}
+
+// ============================================================================
+// EMAIL VERIFIER
+// ============================================================================
+
+/**
+ * Email Verifier Class
+ */
+class EmailVerifier {
+    /**
+     * @param {Object} options - Verifier options
+     * @param {EmailVerificationCache} options.cache - Result cache (default: in-memory)
+     * @param {string} options.heloHost - Hostname sent in EHLO (should resolve to the probing IP)
+     * @param {string} options.fromAddress - Envelope sender for the probe
+     * @param {number} options.port - SMTP port (default: 25)
+     * @param {number} options.timeout - Socket timeout in ms (default: 10000)
+     * @param {Function} options.resolveMx - MX lookup override (domain -> [{ exchange, priority }])
+     */
+    constructor(options = {}) {
+        this.cache = options.cache || new EmailVerificationCache();
+        this.heloHost = options.heloHost || process.env.SMTP_VERIFY_HELO_HOST || 'localhost';
+        this.fromAddress = options.fromAddress || process.env.SMTP_VERIFY_FROM || `verify@${this.heloHost}`;
+        this.port = options.port || 25;
+        this.timeout = options.timeout || 10000;
+        this.resolveMx = options.resolveMx || (domain => dns.resolveMx(domain));
+        this.stats = { probes: 0 };
+    }
+
+    /**
+     * Verify a mailbox
+     *
+     * @param {string} email - Email address
+     * @returns {Promise<Object>} { email, status, reason, smtpCode, smtpMessage, mxHost, checkedAt, cached }
+     */
+    async verify(email) {
+        const address = String(email || '').trim().toLowerCase();
+
+        if (!EMAIL_REGEX.test(address)) {
+            return this.buildResult(address, VERIFICATION_STATUS.INVALID, 'invalid_syntax');
+        }
+
+        const cachedResult = this.cache.getAddress(address);
+        if (cachedResult) {
+            return { ...cachedResult, cached: true };
+        }
+
+        const domain = address.split('@')[1];
+        const result = await this.verifyUncached(address, domain);
+        this.cache.setAddress(address, result);
+        return result;
+    }
+
+    /**
+     * Verify several mailboxes one after another (probes to one host are not parallelized)
+     *
+     * @param {Array<string>} emails - Email addresses
+     * @returns {Promise<Map<string, Object>>} Results by lowercased email
+     */
+    async verifyMany(emails) {
+        const results = new Map();
+        for (const email of emails) {
+            const key = String(email || '').trim().toLowerCase();
+            if (!results.has(key)) {
+                results.set(key, await this.verify(key));
+            }
+        }
+        return results;
+    }
+
+    // ========================================================================
+    // HELPER METHODS
+    // ========================================================================
+
+    async verifyUncached(address, domain) {
+        // MX hosts (cached per domain)
+        let domainInfo = this.cache.getDomain(domain);
+        if (!domainInfo || !domainInfo.mxHosts) {
+            const mxHosts = await this.lookupMxHosts(domain);
+            this.cache.setDomain(domain, { mxHosts });
+            domainInfo = { ...(domainInfo || {}), mxHosts };
+        }
+
+        if (domainInfo.mxHosts.length === 0) {
+            return this.buildResult(address, VERIFICATION_STATUS.INVALID, 'no_mx_records');
+        }
+
+        // Known catch-all domains accept every RCPT, so probing proves nothing
+        if (domainInfo.catchAll === true) {
+            return this.buildResult(address, VERIFICATION_STATUS.CATCH_ALL, 'domain_accepts_all', {
+                mxHost: domainInfo.mxHosts[0]
+            });
+        }
+
+        const probeCatchAll = domainInfo.catchAll === undefined;
+        let lastError = null;
+
+        // Try MX hosts in priority order until one answers
+        for (const mxHost of domainInfo.mxHosts) {
+            try {
+                const probe = await this.probe(mxHost, address, probeCatchAll ? randomAddress(domain) : null);
+                const result = this.classify(address, mxHost, probe);
+
+                if (probe.catchAllResponse && isAccepted(probe.catchAllResponse.code)) {
+                    this.cache.setDomain(domain, { catchAll: true });
+                } else if (probe.catchAllResponse && isMailboxRejection(probe.catchAllResponse)) {
+                    this.cache.setDomain(domain, { catchAll: false });
+                }
+
+                return result;
+            } catch (error) {
+                lastError = error;
+            }
+        }
+
+        return this.buildResult(address, VERIFICATION_STATUS.UNKNOWN, 'connection_failed', {
+            smtpMessage: lastError ? lastError.message : null
+        });
+    }
+
+    /**
+     * Run one SMTP session: EHLO, MAIL FROM, RCPT TO (target, then random address), QUIT
+     */
+    async probe(mxHost, address, catchAllAddress) {
+        this.stats.probes++;
+        const session = await openSmtpSession(mxHost, this.port, this.timeout);
+
+        try {
+            const greeting = await session.read();
+            if (!isAccepted(greeting.code)) {
+                return { stage: 'greeting', response: greeting };
+            }
+
+            let hello = await session.command(`EHLO ${this.heloHost}`);
+            if (!isAccepted(hello.code)) {
+                hello = await session.command(`HELO ${this.heloHost}`);
+            }
+            if (!isAccepted(hello.code)) {
+                return { stage: 'helo', response: hello };
+            }
+
+            const mailFrom = await session.command(`MAIL FROM:<${this.fromAddress}>`);
+            if (!isAccepted(mailFrom.code)) {
+                return { stage: 'mail_from', response: mailFrom };
+            }
+
+            const rcpt = await session.command(`RCPT TO:<${address}>`);
+            let catchAllResponse = null;
+            if (catchAllAddress && isAccepted(rcpt.code)) {
+                catchAllResponse = await session.command(`RCPT TO:<${catchAllAddress}>`);
+            }
+
+            return { stage: 'rcpt', response: rcpt, catchAllResponse };
+        } finally {
+            await session.quit();
+        }
+    }
+
+    /**
+     * Classify a probe into a verification result
+     */
+    classify(address, mxHost, probe) {
+        const { stage, response, catchAllResponse } = probe;
+        const details = { mxHost, smtpCode: response.code, smtpMessage: response.message };
+
+        // Blocked before the recipient check (policy, blacklisted probe IP, ...)
+        if (stage !== 'rcpt') {
+            return this.buildResult(address, VERIFICATION_STATUS.UNKNOWN, `rejected_at_${stage}`, details);
+        }
+
+        if (isAccepted(response.code)) {
+            if (catchAllResponse && isAccepted(catchAllResponse.code)) {
+                return this.buildResult(address, VERIFICATION_STATUS.CATCH_ALL, 'domain_accepts_all', details);
+            }
+            return this.buildResult(address, VERIFICATION_STATUS.VALID, 'mailbox_exists', details);
+        }
+
+        if (isMailboxRejection(response)) {
+            return this.buildResult(address, VERIFICATION_STATUS.INVALID, 'mailbox_not_found', details);
+        }
+
+        // Other 5xx: policy or blocklist refusals aimed at the probing IP say nothing about the mailbox
+        if (isRejected(response.code)) {
+            return this.buildResult(address, VERIFICATION_STATUS.UNKNOWN, 'rejected_by_policy', details);
+        }
+
+        // 4xx: greylisting, rate limits, temporary failures
+        return this.buildResult(address, VERIFICATION_STATUS.UNKNOWN, 'temporary_failure', details);
+    }
+
+    async lookupMxHosts(domain) {
+        try {
+            const records = await this.resolveMx(domain);
+            return (records || [])
+                .sort((a, b) => a.priority - b.priority)
+                .map(record => record.exchange)
+                .filter(Boolean);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    buildResult(email, status, reason, details = {}) {
+        return {
+            email,
+            status,
+            reason,
+            smtpCode: details.smtpCode || null,
+            smtpMessage: details.smtpMessage || null,
+            mxHost: details.mxHost || null,
+            checkedAt: new Date().toISOString(),
+            cached: false
+        };
+    }
+}
+
+// ============================================================================
+// SMTP SESSION
+// ============================================================================
+
+/**
+ * Open a minimal SMTP client session
+ * read() resolves with the next complete (possibly multi-line) reply as { code, message }.
+ *
+ * @returns {Promise<Object>} { read, command, quit }
+ */
+function openSmtpSession(host, port, timeout) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port });
+        const replies = [];
+        const waiters = [];
+        let buffer = '';
+        let lines = [];
+        let failure = null;
+        let connected = false;
+
+        const fail = error => {
+            if (failure) return;
+            failure = error;
+            while (waiters.length > 0) waiters.shift().reject(error);
+            socket.destroy();
+            if (!connected) reject(error);
+        };
+
+        socket.setTimeout(timeout);
+        socket.on('timeout', () => fail(new Error(`SMTP timeout after ${timeout}ms (${host}:${port})`)));
+        socket.on('error', error => fail(error));
+        socket.on('close', () => fail(new Error(`SMTP connection closed (${host}:${port})`)));
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+
+            let newlineIndex;
+            while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+                buffer = buffer.slice(newlineIndex + 1);
+                lines.push(line);
+
+                // "250-..." continues a reply, "250 ..." ends it
+                if (/^\d{3}(?!-)/.test(line)) {
+                    const reply = {
+                        code: parseInt(line.slice(0, 3), 10),
+                        message: lines.map(part => part.slice(4)).join('\n')
+                    };
+                    lines = [];
+
+                    if (waiters.length > 0) {
+                        waiters.shift().resolve(reply);
+                    } else {
+                        replies.push(reply);
+                    }
+                }
+            }
+        });
+
+        const read = () => new Promise((resolveRead, rejectRead) => {
+            if (replies.length > 0) return resolveRead(replies.shift());
+            if (failure) return rejectRead(failure);
+            waiters.push({ resolve: resolveRead, reject: rejectRead });
+        });
+
+        const session = {
+            read,
+            command: line => {
+                socket.write(`${line}\r\n`);
+                return read();
+            },
+            quit: async () => {
+                if (!failure) {
+                    socket.write('QUIT\r\n');
+                    socket.end();
+                }
+                socket.destroy();
+            }
+        };
+
+        socket.once('connect', () => {
+            connected = true;
+            resolve(session);
+        });
+    });
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+function isAccepted(code) {
+    return code >= 200 && code < 300;
+}
+
+function isRejected(code) {
+    return code >= 500 && code < 600;
+}
+
+/**
+ * Whether a 5xx reply says the mailbox doesn't exist
+ * Enhanced status 5.1.x (bad destination address) decides when present;
+ * without one, only 550/551/553 count.
+ */
+function isMailboxRejection(response) {
+    if (!isRejected(response.code)) return false;
+
+    const enhanced = String(response.message || '').match(/^5\.(\d{1,3})\.\d{1,3}\b/);
+    if (enhanced) return enhanced[1] === '1';
+
+    return [550, 551, 553].includes(response.code);
+}
+
+/**
+ * Random local part that no real mailbox would use
+ */
+function randomAddress(domain) {
+    return `verify-${crypto.randomBytes(8).toString('hex')}@${domain}`;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    EmailVerifier,
+    EmailVerificationCache,
+    VERIFICATION_STATUS
+};
+
+// ============================================================================
+// USAGE EXAMPLES
+// ============================================================================
+
+/**
+ * Example: Verify addresses with a persistent cache
+ *
+ * const { EmailVerifier, EmailVerificationCache } = require('./email-verifier');
+ *
+ * const cache = await EmailVerificationCache.open('email-verification-cache');
+ * const verifier = new EmailVerifier({ cache, heloHost: 'mail.youragency.com' });
+ *
+ * const result = await verifier.verify('jane.doe@acmeinsurance.com');
+ * // { status: 'valid' | 'invalid' | 'catch-all' | 'unknown', reason: 'mailbox_exists', smtpCode: 250, ... }
+ *
+ * await cache.persist();
+ *
+ * Note: many networks block outbound port 25. Run probes from a host that allows it,
+ * with heloHost set to a name that resolves to that host, or most servers answer 'unknown'.
+ */
@@ -0,0 +1,694 @@
+/**
+ * Enrichment Pipeline Utility
+ *
+ * Streams leads through a chain of async stages (enrich -> suppress -> validate ->
+ * verify) with a concurrency limit per stage, so a lead moves on to validation as
+ * soon as it is enriched instead of waiting for the whole batch. Progress is emitted
+ * as events (stage, processed count, failures, ETA) for the CLI, the dashboard or Slack.
+ *
+ * Each lead's progress is checkpointed to a named Apify key-value store. A rerun with
+ * the same run ID picks every lead up after the last checkpointed stage it finished,
+ * so a crash at lead 4,000 of 5,000 doesn't redo the first 4,000. Stages marked
+ * checkpoint: false (suppression, validation) rerun for every resumed lead.
+ *
+ * @version 1.0.0
+ * @requires apify
+ * @requires events (Node.js built-in)
+ * @requires crypto (Node.js built-in)
+ */
+
+const Apify = require('apify');
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+const DEFAULT_CHECKPOINT_STORE = 'enrichment-checkpoints';
+const CHECKPOINT_EVERY = 100; // Save after this many lead updates (plus on persistState and at the end)
+const VOLATILE_LEAD_FIELDS = ['enrichmentDate', 'provenance']; // Differ between reruns (timestamps); left out of lead keys
+
+/**
+ * Default concurrency per stage (stages not listed run one lead at a time)
+ */
+const DEFAULT_STAGE_CONCURRENCY = {
+    enrich: 5, // DNS lookups and website crawls
+    suppress: 50,
+    validate: 50,
+    verify: 3 // SMTP probes; mail servers throttle parallel connections
+};
+
+// ============================================================================
+// CHECKPOINT STORE
+// ============================================================================
+
+/**
+ * Enrichment Checkpoint Class
+ * Last checkpointed stage and output per lead, for one run ID.
+ */
+class EnrichmentCheckpoint {
+    /**
+     * Open (or create) the checkpoint for a run
+     *
+     * @param {string} runId - Run ID (same inputs = same ID, see buildRunId)
+     * @param {string} storeName - Key-value store name (default: 'enrichment-checkpoints')
+     * @returns {Promise<EnrichmentCheckpoint>} Loaded checkpoint
+     */
+    static async open(runId, storeName = DEFAULT_CHECKPOINT_STORE) {
+        if (!runId) {
+            throw new Error('runId is required to open an enrichment checkpoint');
+        }
+
+        const kvStore = await Apify.openKeyValueStore(storeName);
+        const state = await kvStore.getValue(checkpointKey(runId));
+
+        const checkpoint = new EnrichmentCheckpoint(runId, kvStore, state || {});
+        if (checkpoint.size() > 0) {
+            console.log(`Resuming enrichment run ${runId}: ${checkpoint.size()} leads checkpointed`);
+        }
+
+        // Save on Apify's periodic persist event so a crash loses little (until close())
+        checkpoint.persistStateListener = () => checkpoint.persist().catch(error => {
+            console.error(`Error persisting enrichment checkpoint: ${error.message}`);
+        });
+        Apify.events.on('persistState', checkpoint.persistStateListener);
+
+        return checkpoint;
+    }
+
+    /**
+     * @param {string} runId - Run ID
+     * @param {Object|null} kvStore - Key-value store for persistence (null = in-memory only)
+     * @param {Object} state - Saved state { leads, startedAt }
+     * @param {Object} options - Options
+     * @param {number} options.persistEvery - Save after this many updates (default: 100)
+     */
+    constructor(runId, kvStore = null, state = {}, options = {}) {
+        const { persistEvery = CHECKPOINT_EVERY } = options;
+
+        this.runId = runId;
+        this.kvStore = kvStore;
+        this.leads = state.leads || {};
+        this.startedAt = state.startedAt || new Date().toISOString();
+        this.persistEvery = persistEvery;
+        this.pendingUpdates = 0;
+        this.saving = null;
+        this.queued = null;
+        this.persistStateListener = null;
+    }
+
+    /**
+     * Number of checkpointed leads
+     */
+    size() {
+        return Object.keys(this.leads).length;
+    }
+
+    /**
+     * Get a lead's checkpoint entry
+     *
+     * @param {string} key - Lead key (see buildLeadKey)
+     * @returns {Object|null} { stage, status: 'passed'|'dropped', lead?, reason?, details? }
+     */
+    get(key) {
+        return this.leads[key] || null;
+    }
+
+    /**
+     * Record the last stage a lead finished
+     *
+     * @param {string} key - Lead key
+     * @param {Object} entry - { stage, status, lead?, reason?, details? }
+     */
+    record(key, entry) {
+        this.leads[key] = { ...entry, updatedAt: new Date().toISOString() };
+
+        this.pendingUpdates++;
+        if (this.pendingUpdates >= this.persistEvery) {
+            this.persist().catch(error => {
+                console.error(`Error persisting enrichment checkpoint: ${error.message}`);
+            });
+        }
+    }
+
+    /**
+     * Save to the key-value store (no-op in memory)
+     * Calls made while a save is running share one follow-up save of the latest state.
+     *
+     * @returns {Promise<void>}
+     */
+    async persist() {
+        if (!this.kvStore) return;
+
+        if (this.queued) return this.queued;
+        if (this.saving) {
+            this.queued = this.saving.catch(() => {}).then(() => {
+                this.queued = null;
+                return this.persist();
+            });
+            return this.queued;
+        }
+
+        this.pendingUpdates = 0;
+        this.saving = this.kvStore.setValue(checkpointKey(this.runId), {
+            runId: this.runId,
+            leads: this.leads,
+            startedAt: this.startedAt,
+            updatedAt: new Date().toISOString()
+        });
+
+        try {
+            await this.saving;
+        } finally {
+            this.saving = null;
+        }
+    }
+
+    /**
+     * Stop saving on Apify's persistState event (call once the run is over)
+     */
+    close() {
+        if (this.persistStateListener) {
+            Apify.events.removeListener('persistState', this.persistStateListener);
+            this.persistStateListener = null;
+        }
+    }
+
+    /**
+     * Delete the checkpoint (call once the run's results are saved)
+     *
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.leads = {};
+        this.pendingUpdates = 0;
+        await Promise.all([this.saving, this.queued].map(save => save && save.catch(() => {})));
+        if (this.kvStore) {
+            await this.kvStore.setValue(checkpointKey(this.runId), null);
+        }
+    }
+}
+
+// ============================================================================
+// PIPELINE
+// ============================================================================
+
+/**
+ * Enrichment Pipeline Class
+ *
+ * Events:
+ * - 'start'          { runId, total, resumed, stages }
+ * - 'phase'          { phase, ...details } (batch steps outside the stages, e.g. merge, score)
+ * - 'progress'       { stage, processed, total, completed, dropped, failed, percent, elapsedSeconds, etaSeconds, stages }
+ * - 'lead:failed'    { stage, lead, error }
+ * - 'stage:complete' { stage, processed, dropped, failed, durationSeconds }
+ * - 'checkpoint'     { runId, leads }
+ * - 'complete'       Run summary (see getSummary)
+ */
+class EnrichmentPipeline extends EventEmitter {
+    /**
+     * @param {Object} options - Pipeline options
+     * @param {Object} options.concurrency - Stage name -> max leads in flight (merged over DEFAULT_STAGE_CONCURRENCY)
+     */
+    constructor(options = {}) {
+        super();
+        const { concurrency = {} } = options;
+
+        this.concurrency = { ...DEFAULT_STAGE_CONCURRENCY, ...concurrency };
+        this.running = false;
+        this.resetCounters([]);
+    }
+
+    /**
+     * Emit a batch step (merge, scoring, export, ...) so subscribers see the whole run
+     *
+     * @param {string} phase - Phase name
+     * @param {Object} details - Counts or other detail
+     */
+    phase(phase, details = {}) {
+        this.emit('phase', { phase, ...details });
+    }
+
+    /**
+     * Run leads through the stages
+     *
+     * A stage's run(lead) resolves to the lead for the next stage, or to dropLead(reason)
+     * to stop it there. A throw marks the lead failed at that stage; failed leads are not
+     * checkpointed past their last good stage, so a rerun retries them. An event listener
+     * that throws is reported in failed too (listener: true) and the run carries on.
+     *
+     * @param {Array<Object>} leads - Input leads
+     * @param {Array<Object>} stages - [{ name, run: async (lead) => lead | dropLead(...), checkpoint }]
+     *   checkpoint: false for cheap stages that should rerun on resume, even for leads
+     *   checkpointed past them (default: true)
+     * @param {Object} options - Run options
+     * @param {EnrichmentCheckpoint} options.checkpoint - Resume from and record to this checkpoint
+     * @returns {Promise<Object>} { leads, dropped: [{ lead, stage, reason, details }], failed: [{ lead, stage, error, listener? }], summary }
+     */
+    async run(leads, stages, options = {}) {
+        const { checkpoint = null } = options;
+
+        if (this.running) {
+            throw new Error('Enrichment pipeline is already running');
+        }
+        if (!Array.isArray(stages) || stages.length === 0) {
+            throw new Error('At least one pipeline stage is required');
+        }
+        stages.forEach((stage, index) => {
+            if (!stage || !stage.name || typeof stage.run !== 'function') {
+                throw new Error(`Pipeline stage ${index} needs a name and a run function`);
+            }
+        });
+
+        this.running = true;
+        this.resetCounters(stages);
+        this.runId = checkpoint ? checkpoint.runId : null;
+        this.total = leads.length;
+
+        const results = new Array(leads.length).fill(null);
+        const dropped = [];
+        const failed = [];
+
+        try {
+            await new Promise(resolve => {
+                const queues = stages.map(() => []);
+                const active = stages.map(() => 0);
+                let outstanding = 0;
+
+                const finish = () => {
+                    outstanding--;
+                    if (outstanding === 0) resolve();
+                };
+
+                // Next stage for a lead: before its checkpoint, only the stages that rerun on resume
+                const nextStage = (item, fromIndex) => {
+                    for (let index = fromIndex + 1; index < stages.length; index++) {
+                        if (index > item.resumedAt || stages[index].checkpoint === false) return index;
+                    }
+                    return -1;
+                };
+
+                const pump = stageIndex => {
+                    const stage = stages[stageIndex];
+                    const limit = Math.max(1, this.concurrency[stage.name] || 1);
+
+                    while (active[stageIndex] < limit && queues[stageIndex].length > 0) {
+                        const item = queues[stageIndex].shift();
+                        active[stageIndex]++;
+                        this.stageCounters[stage.name].inFlight++;
+
+                        this.runStage(stage, item.lead)
+                            .then(outcome => {
+                                active[stageIndex]--;
+                                this.stageCounters[stage.name].inFlight--;
+                                const nextIndex = outcome.lead ? nextStage(item, stageIndex) : -1;
+
+                                // Listeners run inside this callback: a throw must not stall the run
+                                try {
+                                    if (outcome.error) {
+                                        failed.push({ lead: item.lead, stage: stage.name, error: outcome.error.message });
+                                        this.counters.failed++;
+                                        this.emit('lead:failed', { stage: stage.name, lead: item.lead, error: outcome.error });
+                                    } else if (outcome.dropped) {
+                                        dropped.push({ lead: item.lead, stage: stage.name, reason: outcome.dropped.reason, details: outcome.dropped.details });
+                                        this.counters.dropped++;
+                                        if (checkpoint && stage.checkpoint !== false) {
+                                            checkpoint.record(item.key, {
+                                                stage: stage.name,
+                                                status: 'dropped',
+                                                reason: outcome.dropped.reason,
+                                                details: outcome.dropped.details
+                                            });
+                                        }
+                                    } else {
+                                        if (checkpoint && stage.checkpoint !== false) {
+                                            checkpoint.record(item.key, { stage: stage.name, status: 'passed', lead: outcome.lead });
+                                        }
+                                        if (nextIndex >= 0) {
+                                            queues[nextIndex].push({ ...item, lead: outcome.lead });
+                                            pump(nextIndex);
+                                        } else {
+                                            results[item.index] = outcome.lead;
+                                            this.counters.completed++;
+                                        }
+                                    }
+
+                                    this.emitProgress(stage.name);
+                                    for (let index = stageIndex; index < stages.length; index++) {
+                                        this.checkStageComplete(stages, index, queues, active);
+                                    }
+                                } catch (error) {
+                                    failed.push({ lead: item.lead, stage: stage.name, error: error.message, listener: true });
+                                } finally {
+                                    pump(stageIndex);
+                                    if (nextIndex < 0) finish();
+                                }
+                            });
+                    }
+                };
+
+                // Resume each lead after its last checkpointed stage (rerunning the uncheckpointed ones)
+                leads.forEach((lead, index) => {
+                    const key = buildLeadKey(lead);
+                    const saved = checkpoint ? checkpoint.get(key) : null;
+                    const savedIndex = saved ? stages.findIndex(stage => stage.name === saved.stage) : -1;
+
+                    if (savedIndex >= 0 && saved.status === 'dropped') {
+                        dropped.push({ lead, stage: saved.stage, reason: saved.reason, details: saved.details, resumed: true });
+                        this.counters.resumed++;
+                        this.resumedDone++;
+                        return;
+                    }
+                    if (savedIndex >= 0) this.counters.resumed++;
+
+                    const item = { index, key, resumedAt: savedIndex, lead: savedIndex >= 0 ? saved.lead : lead };
+                    const startIndex = nextStage(item, -1);
+                    if (startIndex < 0) {
+                        results[index] = saved.lead;
+                        this.resumedDone++;
+                        return;
+                    }
+
+                    outstanding++;
+                    queues[startIndex].push(item);
+                });
+
+                this.emit('start', {
+                    runId: this.runId,
+                    total: this.total,
+                    resumed: this.counters.resumed,
+                    stages: stages.map(stage => stage.name)
+                });
+
+                if (outstanding === 0) {
+                    resolve();
+                    return;
+                }
+                stages.forEach((stage, index) => pump(index));
+            });
+
+            // Stages that never received a lead (all resumed past them) still report
+            stages.forEach((stage, index) => this.checkStageComplete(stages, index, null, null, true));
+
+            if (checkpoint) {
+                await checkpoint.persist();
+                this.emit('checkpoint', { runId: checkpoint.runId, leads: checkpoint.size() });
+            }
+
+            const summary = this.getSummary();
+            this.emit('complete', summary);
+
+            return {
+                leads: results.filter(Boolean),
+                dropped,
+                failed,
+                summary
+            };
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Current counts for the run
+     *
+     * @returns {Object} { runId, total, completed, dropped, failed, resumed, elapsedSeconds, stages }
+     */
+    getSummary() {
+        return {
+            runId: this.runId,
+            total: this.total,
+            ...this.counters,
+            elapsedSeconds: roundSeconds(Date.now() - this.startTime),
+            stages: this.snapshotStages()
+        };
+    }
+
+    // ========================================================================
+    // HELPER METHODS
+    // ========================================================================
+
+    /**
+     * Run one stage for one lead, turning throws and drops into an outcome
+     */
+    async runStage(stage, lead) {
+        const counters = this.stageCounters[stage.name];
+        try {
+            const output = await stage.run(lead);
+            counters.processed++;
+
+            if (output instanceof DroppedLead) {
+                counters.dropped++;
+                return { dropped: output };
+            }
+            return { lead: output || lead };
+        } catch (error) {
+            counters.processed++;
+            counters.failed++;
+            return { error };
+        }
+    }
+
+    /**
+     * Emit a progress event
+     * ETA extrapolates from leads finished this run (resumed leads don't count toward the rate).
+     */
+    emitProgress(stageName) {
+        const elapsedMs = Date.now() - this.startTime;
+        const { completed, dropped, failed, resumed } = this.counters;
+        const finishedThisRun = completed + dropped + failed;
+        const processed = finishedThisRun + this.resumedDone;
+        const remaining = Math.max(0, this.total - processed);
+
+        this.emit('progress', {
+            stage: stageName,
+            processed,
+            total: this.total,
+            completed,
+            dropped,
+            failed,
+            resumed,
+            percent: this.total > 0 ? Math.round((processed / this.total) * 100) : 100,
+            elapsedSeconds: roundSeconds(elapsedMs),
+            etaSeconds: finishedThisRun > 0 ? roundSeconds((elapsedMs / finishedThisRun) * remaining) : null,
+            stages: this.snapshotStages()
+        });
+    }
+
+    /**
+     * Emit stage:complete once a stage has nothing queued, in flight or still upstream
+     */
+    checkStageComplete(stages, stageIndex, queues, active, force = false) {
+        const stage = stages[stageIndex];
+        const counters = this.stageCounters[stage.name];
+        if (counters.completedAt) return;
+
+        if (!force) {
+            const upstreamBusy = stages.slice(0, stageIndex + 1).some((_, index) =>
+                active[index] > 0 || queues[index].length > 0
+            );
+            if (upstreamBusy) return;
+        }
+
+        counters.completedAt = Date.now();
+        this.emit('stage:complete', {
+            stage: stage.name,
+            processed: counters.processed,
+            dropped: counters.dropped,
+            failed: counters.failed,
+            durationSeconds: roundSeconds(counters.completedAt - this.startTime)
+        });
+    }
+
+    /**
+     * Per-stage counts (without internal timestamps)
+     */
+    snapshotStages() {
+        const snapshot = {};
+        for (const [name, { completedAt, ...counts }] of Object.entries(this.stageCounters)) {
+            snapshot[name] = counts;
+        }
+        return snapshot;
+    }
+
+    /**
+     * Reset counters for a new run
+     */
+    resetCounters(stages) {
+        this.startTime = Date.now();
+        this.runId = null;
+        this.total = 0;
+        this.counters = { completed: 0, dropped: 0, failed: 0, resumed: 0 };
+        this.resumedDone = 0;
+        this.stageCounters = {};
+        for (const stage of stages) {
+            this.stageCounters[stage.name] = { processed: 0, dropped: 0, failed: 0, inFlight: 0, completedAt: null };
+        }
+    }
+}
+
+/**
+ * Marker for a lead a stage stopped (see dropLead)
+ */
+class DroppedLead {
+    constructor(reason, details) {
+        this.reason = reason;
+        this.details = details;
+    }
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Stop a lead at the current stage (return this from a stage's run function)
+ *
+ * @param {string} reason - Why the lead was dropped (e.g. 'suppressed', 'invalid')
+ * @param {Object} details - Extra detail kept with the drop (e.g. the suppression match)
+ * @returns {DroppedLead} Drop marker
+ */
+function dropLead(reason, details = null) {
+    return new DroppedLead(reason, details);
+}
+
+/**
+ * Build a stable key for a lead (same record on a rerun = same key)
+ *
+ * @param {Object} lead - Input lead
+ * @returns {string} Lead key
+ */
+function buildLeadKey(lead) {
+    const fields = Object.keys(lead)
+        .filter(field => !VOLATILE_LEAD_FIELDS.includes(field))
+        .sort()
+        .map(field => [field, lead[field]]);
+    return crypto.createHash('sha1').update(JSON.stringify(fields)).digest('hex');
+}
+
+/**
+ * Build a run ID from the inputs that determine a run's leads and stages
+ * Rerunning with the same inputs resumes the same checkpoint.
+ *
+ * @param {Object} inputs - Input values (dataset IDs, files, enrichment level, ...)
+ * @returns {string} Run ID
+ */
+function buildRunId(inputs) {
+    return crypto.createHash('sha1').update(JSON.stringify(inputs)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Log progress to the console at every `everyPercent` step
+ *
+ * @param {EnrichmentPipeline} pipeline - Pipeline to follow
+ * @param {Object} options - Logging options
+ * @param {number} options.everyPercent - Log each time this much more is done (default: 10)
+ * @param {Function} options.log - Output function (default: console.log)
+ * @returns {Function} Detach function
+ */
+function attachProgressLogger(pipeline, options = {}) {
+    const { everyPercent = 10, log = console.log } = options;
+    let lastLogged = -everyPercent;
+
+    const listeners = {
+        start: ({ runId, total, resumed, stages }) => {
+            lastLogged = -everyPercent;
+            log(`Enrichment pipeline started${runId ? ` (run ${runId})` : ''}: ${total} leads, ${resumed} resumed, stages: ${stages.join(' -> ')}`);
+        },
+        progress: event => {
+            if (event.processed === 0) return;
+            if (event.percent < lastLogged + everyPercent && event.processed < event.total) return;
+            lastLogged = event.percent;
+            const eta = event.etaSeconds === null ? '' : `, ETA ${formatDuration(event.etaSeconds)}`;
+            log(`[${event.percent}%] ${event.processed}/${event.total} leads (${event.dropped} dropped, ${event.failed} failed${eta})`);
+        },
+        'stage:complete': ({ stage, processed, dropped, failed, durationSeconds }) => {
+            log(`Stage ${stage} done: ${processed} processed, ${dropped} dropped, ${failed} failed (${formatDuration(durationSeconds)})`);
+        },
+        'lead:failed': ({ stage, lead, error }) => {
+            log(`Lead failed at ${stage}: ${lead.email || lead.companyName || lead.name || 'unknown'} (${error.message})`);
+        }
+    };
+
+    Object.entries(listeners).forEach(([event, listener]) => pipeline.on(event, listener));
+    return () => Object.entries(listeners).forEach(([event, listener]) => pipeline.off(event, listener));
+}
+
+/**
+ * Format seconds as "1h 5m", "4m 10s" or "12s"
+ */
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${total % 60}s`;
+    return `${total}s`;
+}
+
+/**
+ * Checkpoint record key for a run
+ */
+function checkpointKey(runId) {
+    return `RUN-${runId}`;
+}
+
+/**
+ * Milliseconds to seconds (one decimal)
+ */
+function roundSeconds(ms) {
+    return Math.round(ms / 100) / 10;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    EnrichmentPipeline,
+    EnrichmentCheckpoint,
+    DEFAULT_STAGE_CONCURRENCY,
+    dropLead,
+    buildLeadKey,
+    buildRunId,
+    attachProgressLogger
+};
+
+// ============================================================================
+// USAGE EXAMPLES
+// ============================================================================
+
+/**
+ * Example 1: Run enrichment with your own progress subscriber
+ *
+ * const { EnrichmentPipeline } = require('./enrichment-pipeline');
+ * const { enrichLeads } = require('./lead-enrichment');
+ *
+ * const pipeline = new EnrichmentPipeline({ concurrency: { enrich: 10, verify: 2 } });
+ * pipeline.on('progress', ({ stage, processed, total, failed, etaSeconds }) => {
+ *     dashboard.update({ stage, processed, total, failed, etaSeconds });
+ * });
+ *
+ * await enrichLeads({ linkedinDatasetId: 'abc123', enrichmentLevel: 'advanced', pipeline });
+ *
+ * Example 2: Post milestones to Slack
+ *
+ * const SlackNotifications = require('../integrations/slack-notifications');
+ * const slack = new SlackNotifications();
+ *
+ * pipeline.on('stage:complete', ({ stage, processed, dropped, failed }) => {
+ *     slack.sendWebhook(`Enrichment stage ${stage}: ${processed} processed, ${dropped} dropped, ${failed} failed`);
+ * });
+ *
+ * Example 3: Resume after a crash
+ *
+ * // Same inputs = same run ID, so the rerun skips work already checkpointed.
+ * // Pass runId explicitly to resume a run whose inputs changed, or resume: false to start over.
+ * await enrichLeads({ linkedinDatasetId: 'abc123', enrichmentLevel: 'advanced' });
+ *
+ * Example 4: Custom stages
+ *
+ * const { EnrichmentPipeline, dropLead } = require('./enrichment-pipeline');
+ *
+ * const result = await new EnrichmentPipeline({ concurrency: { lookup: 8 } }).run(leads, [
+ *     { name: 'lookup', run: async lead => ({ ...lead, revenue: await lookupRevenue(lead.domain) }) },
+ *     { name: 'filter', checkpoint: false, run: async lead => lead.revenue > 1e6 ? lead : dropLead('too_small') }
+ * ]);
+ */
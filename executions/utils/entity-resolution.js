@@ -0,0 +1,536 @@
+/**
+ * Entity Resolution Utility
+ *
+ * Weighted matcher that decides whether two lead records describe the same business.
+ * Compares normalized company name, domain, phone, street address and city, and
+ * returns a score with the signals that drove it, so merge decisions can be audited
+ * and false merges reviewed and undone.
+ *
+ * @version 1.0.0
+ * @requires crypto (Node.js built-in)
+ * @requires ./phone-numbers
+ */
+
+const crypto = require('crypto');
+const { toE164, DEFAULT_PHONE_COUNTRY } = require('./phone-numbers');
+
+/**
+ * Evidence weights per field (a full match on a field adds its weight)
+ */
+const DEFAULT_WEIGHTS = {
+    domain: 0.45,
+    phone: 0.35,
+    name: 0.35,
+    address: 0.25,
+    city: 0.15
+};
+
+/**
+ * Penalties when both records have a field and it disagrees
+ */
+const DEFAULT_PENALTIES = {
+    domain: 0.25,
+    phone: 0.05,
+    city: 0.3
+};
+
+const DEFAULT_MATCH_THRESHOLD = 0.5; // Merge at or above
+const DEFAULT_REVIEW_THRESHOLD = 0.35; // Record as a possible match at or above
+
+/**
+ * Legal suffixes stripped from company names
+ */
+const LEGAL_SUFFIXES = [
+    'llc', 'l l c', 'inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'ltd', 'limited',
+    'lp', 'llp', 'pllc', 'pc', 'pa', 'plc', 'gmbh', 'lc'
+];
+
+/**
+ * Descriptive words that say what a business does, not which business it is.
+ * Ignored when comparing names so "Insurance Agency" alone never matches another.
+ */
+const GENERIC_NAME_WORDS = [
+    'the', 'and', 'of', 'insurance', 'agency', 'agencies', 'group', 'services', 'service', 'solutions',
+    'partners', 'associates', 'real', 'estate', 'realty', 'properties', 'property', 'commercial',
+    'staffing', 'recruiting', 'recruitment', 'consulting', 'brokerage', 'brokers', 'broker',
+    'advisors', 'financial', 'management', 'holdings', 'enterprises', 'international', 'national'
+];
+
+/**
+ * Shared and social domains that say nothing about which business a record is
+ */
+const SHARED_DOMAINS = [
+    'gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'aol.com', 'icloud.com', 'msn.com',
+    'facebook.com', 'linkedin.com', 'instagram.com', 'twitter.com', 'x.com', 'yelp.com',
+    'google.com', 'business.site', 'sites.google.com'
+];
+
+const STREET_ABBREVIATIONS = {
+    street: 'st', avenue: 'ave', road: 'rd', boulevard: 'blvd', drive: 'dr', lane: 'ln',
+    court: 'ct', place: 'pl', parkway: 'pkwy', highway: 'hwy', suite: 'ste', north: 'n',
+    south: 's', east: 'e', west: 'w', freeway: 'fwy', circle: 'cir', terrace: 'ter'
+};
+
+// ============================================================================
+// MATCH SCORING
+// ============================================================================
+
+/**
+ * Score how likely two records describe the same business
+ *
+ * @param {Object} recordA - Lead record (LinkedIn, file import, ...)
+ * @param {Object} recordB - Lead record (Google Maps, ...)
+ * @param {Object} options - Scoring options
+ * @param {Object} options.weights - Field weights (merged over DEFAULT_WEIGHTS)
+ * @param {Object} options.penalties - Conflict penalties (merged over DEFAULT_PENALTIES)
+ * @returns {Object} { score, matchedOn, conflicts, signals }
+ */
+function scoreMatch(recordA, recordB, options = {}) {
+    const weights = { ...DEFAULT_WEIGHTS, ...(options.weights || {}) };
+    const penalties = { ...DEFAULT_PENALTIES, ...(options.penalties || {}) };
+
+    return scoreFields(extractMatchFields(recordA), extractMatchFields(recordB), weights, penalties);
+}
+
+/**
+ * Score two sets of extracted match fields (see scoreMatch)
+ */
+function scoreFields(a, b, weights, penalties) {
+    const signals = {
+        domain: compareExact(a.domain, b.domain),
+        phone: compareExact(a.phone, b.phone),
+        name: compareNames(a.nameTokens, b.nameTokens),
+        address: compareAddresses(a.street, b.street),
+        city: compareExact(a.city, b.city)
+    };
+
+    let score = 0;
+    const matchedOn = [];
+    const conflicts = [];
+
+    for (const [field, signal] of Object.entries(signals)) {
+        signal.values = [a.display[field], b.display[field]];
+
+        if (signal.similarity > 0) {
+            const contribution = (weights[field] || 0) * signal.similarity;
+            signal.contribution = round(contribution);
+            score += contribution;
+            matchedOn.push(field);
+        } else if (signal.comparable && penalties[field]) {
+            signal.contribution = -penalties[field];
+            score -= penalties[field];
+            conflicts.push(field);
+        } else {
+            signal.contribution = 0;
+        }
+    }
+
+    return {
+        score: round(Math.max(0, Math.min(1, score))),
+        matchedOn,
+        conflicts,
+        signals
+    };
+}
+
+/**
+ * Find the best-scoring candidate for a record and classify the decision
+ *
+ * Pass an index from indexCandidates when matching many records against the same
+ * candidates: their fields are then extracted once, and only candidates sharing the
+ * record's domain, phone or city (or without a city) are scored.
+ *
+ * @param {Object} record - Record to match
+ * @param {Array<Object>|Object} candidates - Candidate records, or an index from indexCandidates
+ * @param {Object} options - Scoring options plus thresholds
+ * @param {number} options.matchThreshold - Merge at or above this score (default: 0.5)
+ * @param {number} options.reviewThreshold - Record a possible match at or above this score (default: 0.35)
+ * @param {Set<string>|Array<string>} options.blockedMergeIds - Merge IDs rejected in review; never merged again
+ * @returns {Object|null} { candidate, index, mergeId, decision: 'merged'|'review'|'blocked', ...scoreMatch result } or null
+ */
+function findBestMatch(record, candidates, options = {}) {
+    const {
+        matchThreshold = DEFAULT_MATCH_THRESHOLD,
+        reviewThreshold = DEFAULT_REVIEW_THRESHOLD,
+        blockedMergeIds = []
+    } = options;
+
+    if (reviewThreshold > matchThreshold) {
+        throw new Error(`reviewThreshold (${reviewThreshold}) must not exceed matchThreshold (${matchThreshold})`);
+    }
+
+    const blocked = blockedMergeIds instanceof Set ? blockedMergeIds : new Set(blockedMergeIds);
+    const weights = { ...DEFAULT_WEIGHTS, ...(options.weights || {}) };
+    const penalties = { ...DEFAULT_PENALTIES, ...(options.penalties || {}) };
+    const candidateIndex = Array.isArray(candidates) ? indexCandidates(candidates) : candidates;
+    const fields = extractMatchFields(record);
+
+    let best = null;
+    for (const index of blockCandidates(candidateIndex, fields, weights, penalties, reviewThreshold)) {
+        const candidate = candidateIndex.candidates[index];
+        const result = scoreFields(fields, candidateIndex.fields[index], weights, penalties);
+        if (result.score < reviewThreshold) continue;
+
+        const mergeId = buildMergeId(record, candidate);
+        if (blocked.has(mergeId)) {
+            // Keep the blocked pair visible in the audit, but look for a different match
+            if (!best) best = { candidate, index, mergeId, decision: 'blocked', ...result };
+            continue;
+        }
+
+        if (!best || best.decision === 'blocked' || result.score > best.score) {
+            best = {
+                candidate,
+                index,
+                mergeId,
+                decision: result.score >= matchThreshold ? 'merged' : 'review',
+                ...result
+            };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Extract candidates' match fields once and bucket them by domain, phone and city
+ *
+ * @param {Array<Object>} candidates - Candidate records
+ * @returns {Object} { candidates, fields, byDomain, byPhone, byCity, withoutCity } for findBestMatch
+ */
+function indexCandidates(candidates) {
+    const candidateIndex = {
+        candidates,
+        fields: [],
+        byDomain: new Map(),
+        byPhone: new Map(),
+        byCity: new Map(),
+        withoutCity: []
+    };
+
+    candidates.forEach((candidate, index) => {
+        const fields = extractMatchFields(candidate);
+        candidateIndex.fields.push(fields);
+        addToBucket(candidateIndex.byDomain, fields.domain, index);
+        addToBucket(candidateIndex.byPhone, fields.phone, index);
+        if (fields.city) {
+            addToBucket(candidateIndex.byCity, fields.city, index);
+        } else {
+            candidateIndex.withoutCity.push(index);
+        }
+    });
+
+    return candidateIndex;
+}
+
+/**
+ * Candidate positions worth scoring for a record, in candidate order.
+ * A pair sharing no domain, phone or city scores at most the name and address
+ * weights, so when a city conflict takes that below the review threshold, only
+ * candidates sharing a key or lacking a city can match.
+ */
+function blockCandidates(candidateIndex, fields, weights, penalties, reviewThreshold) {
+    const cityConflictRulesOut = (weights.name || 0) + (weights.address || 0) - (penalties.city || 0) < reviewThreshold;
+    if (!fields.city || !cityConflictRulesOut) {
+        return candidateIndex.fields.map((_, index) => index);
+    }
+
+    const indexes = new Set([
+        ...(candidateIndex.byDomain.get(fields.domain) || []),
+        ...(candidateIndex.byPhone.get(fields.phone) || []),
+        ...(candidateIndex.byCity.get(fields.city) || []),
+        ...candidateIndex.withoutCity
+    ]);
+    return [...indexes].sort((a, b) => a - b);
+}
+
+function addToBucket(buckets, key, index) {
+    if (!key) return;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(index);
+}
+
+/**
+ * Build a stable ID for a pair of records (same pair -> same ID across runs)
+ *
+ * @returns {string} 16-character merge ID
+ */
+function buildMergeId(recordA, recordB) {
+    return crypto
+        .createHash('sha1')
+        .update(`${recordKey(recordA)}|${recordKey(recordB)}`)
+        .digest('hex')
+        .slice(0, 16);
+}
+
+/**
+ * Identify a record by its most stable field
+ */
+function recordKey(record) {
+    const key = record.linkedinProfile || record.linkedinUrl || record.googleMapsUrl || record.placeId ||
+        record.email || (record.importFile && `${record.importFile}#${record.importRow}`) ||
+        `${record.companyName || record.name || ''}|${record.phone || ''}|${record.website || ''}`;
+    return String(key).toLowerCase();
+}
+
+// ============================================================================
+// FIELD COMPARISON
+// ============================================================================
+
+function compareExact(valueA, valueB) {
+    if (!valueA || !valueB) return { comparable: false, similarity: 0 };
+    return { comparable: true, similarity: valueA === valueB ? 1 : 0 };
+}
+
+/**
+ * Compare distinctive name tokens (generic words and legal suffixes removed)
+ * Below 0.75 similarity the names count as different.
+ */
+function compareNames(tokensA, tokensB) {
+    if (tokensA.length === 0 || tokensB.length === 0) return { comparable: false, similarity: 0 };
+
+    const joinedA = tokensA.join('');
+    const joinedB = tokensB.join('');
+
+    const setB = new Set(tokensB);
+    const shared = tokensA.filter(token => setB.has(token)).length;
+    const tokenOverlap = shared / Math.max(tokensA.length, tokensB.length);
+    const characterSimilarity = 1 - levenshteinDistance(joinedA, joinedB) / Math.max(joinedA.length, joinedB.length);
+
+    const similarity = Math.max(tokenOverlap, characterSimilarity);
+    return { comparable: true, similarity: similarity >= 0.75 ? round(similarity) : 0 };
+}
+
+/**
+ * Compare street addresses: house number must agree, street name may differ slightly
+ */
+function compareAddresses(streetA, streetB) {
+    if (!streetA || !streetB) return { comparable: false, similarity: 0 };
+    if (streetA.number !== streetB.number) return { comparable: true, similarity: 0 };
+
+    const nameA = streetA.name;
+    const nameB = streetB.name;
+    if (!nameA || !nameB) return { comparable: true, similarity: 0.5 };
+
+    const similarity = 1 - levenshteinDistance(nameA, nameB) / Math.max(nameA.length, nameB.length);
+    return { comparable: true, similarity: similarity >= 0.8 ? round(similarity) : 0 };
+}
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+/**
+ * Extract normalized match fields from a lead record
+ */
+function extractMatchFields(record) {
+    const companyName = record.companyName || record.name || '';
+    const address = record.address || '';
+    const emailDomain = record.email && record.email.includes('@') ? record.email.split('@')[1] : null;
+    const websiteDomain = normalizeDomain(record.website) || normalizeDomain(record.domain);
+
+    const fields = {
+        domain: websiteDomain || normalizeDomain(emailDomain),
+        phone: normalizePhone(record.phone, record.country),
+        nameTokens: distinctiveNameTokens(companyName),
+        street: parseStreet(address),
+        city: extractCity(record.city || address || record.location) || extractCity(record.location)
+    };
+
+    fields.display = {
+        domain: fields.domain,
+        phone: fields.phone,
+        name: companyName || null,
+        address: address || null,
+        city: fields.city
+    };
+
+    return fields;
+}
+
+/**
+ * Normalize a company name: lowercase, no punctuation, no legal suffixes
+ * ('A.B.C. Insurance Agency, LLC' -> 'abc insurance agency')
+ *
+ * @param {string} name - Company name
+ * @returns {string} Normalized name
+ */
+function normalizeCompanyName(name) {
+    if (!name) return '';
+
+    let normalized = String(name)
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/\b([a-z])\.(?=[a-z]\.)/g, '$1') // A.B.C. -> abc.
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    // Strip trailing legal suffixes (repeat for "Co., Inc.")
+    let previous;
+    do {
+        previous = normalized;
+        for (const suffix of LEGAL_SUFFIXES) {
+            if (normalized.endsWith(` ${suffix}`)) {
+                normalized = normalized.slice(0, -suffix.length - 1).trim();
+            }
+        }
+    } while (normalized !== previous);
+
+    return normalized;
+}
+
+/**
+ * Name tokens that identify a business (generic descriptors removed)
+ */
+function distinctiveNameTokens(name) {
+    return normalizeCompanyName(name)
+        .split(' ')
+        .filter(token => token && !GENERIC_NAME_WORDS.includes(token));
+}
+
+/**
+ * Normalize a URL or bare domain; shared/social domains return null
+ */
+function normalizeDomain(value) {
+    if (!value) return null;
+
+    try {
+        const url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+        const domain = url.hostname.replace(/^www\./, '').toLowerCase();
+        return SHARED_DOMAINS.some(shared => domain === shared || domain.endsWith(`.${shared}`)) ? null : domain;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Normalize a phone number to E.164 (see phone-numbers.js)
+ * Numbers without a country code are read in the given country (US if unknown);
+ * invalid numbers give null so they never become match keys.
+ */
+function normalizePhone(phone, country = null) {
+    if (!phone) return null;
+    return toE164(phone, { defaultCountry: country || DEFAULT_PHONE_COUNTRY });
+}
+
+/**
+ * Parse house number and street name from the first address line
+ */
+function parseStreet(address) {
+    if (!address) return null;
+
+    const firstLine = String(address).split(',')[0].toLowerCase();
+    const match = firstLine.match(/^\s*(\d+[a-z]?)\s+(.+)$/);
+    if (!match) return null;
+
+    const name = match[2]
+        .replace(/[.#]/g, ' ')
+        .split(/\s+/)
+        .map(word => STREET_ABBREVIATIONS[word] || word)
+        .filter(Boolean)
+        .join(' ')
+        .replace(/\b(ste|unit|apt|floor|fl)\b.*$/, '') // Drop suite/unit
+        .trim();
+
+    return { number: match[1], name };
+}
+
+/**
+ * Extract the city from "City, ST" or "123 Main St, City, ST 78701"
+ */
+function extractCity(text) {
+    if (!text) return null;
+
+    const parts = String(text).split(',').map(part => part.trim()).filter(Boolean);
+    const stateIndex = parts.findIndex(part => /^[A-Z]{2}(\s+\d{5}(-\d{4})?)?$/.test(part));
+
+    let city = null;
+    if (stateIndex > 0) {
+        city = parts[stateIndex - 1];
+    } else if (parts.length > 0 && parts.length <= 3 && !/\d/.test(parts[0])) {
+        city = parts[0];
+    }
+
+    // LinkedIn style "Greater Austin Area" -> "austin"
+    return city
+        ? city.toLowerCase().replace(/^greater\s+/, '').replace(/\s+(metropolitan\s+|metro\s+)?area$/, '')
+        : null;
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Calculate Levenshtein distance between two strings
+ */
+function levenshteinDistance(str1, str2) {
+    const matrix = [];
+
+    for (let i = 0; i <= str2.length; i++) {
+        matrix[i] = [i];
+    }
+
+    for (let j = 0; j <= str1.length; j++) {
+        matrix[0][j] = j;
+    }
+
+    for (let i = 1; i <= str2.length; i++) {
+        for (let j = 1; j <= str1.length; j++) {
+            if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+                matrix[i][j] = matrix[i - 1][j - 1];
+            } else {
+                matrix[i][j] = Math.min(
+                    matrix[i - 1][j - 1] + 1,
+                    matrix[i][j - 1] + 1,
+                    matrix[i - 1][j] + 1
+                );
+            }
+        }
+    }
+
+    return matrix[str2.length][str1.length];
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    scoreMatch,
+    findBestMatch,
+    indexCandidates,
+    buildMergeId,
+    normalizeCompanyName,
+    normalizeDomain,
+    normalizePhone,
+    extractCity,
+    levenshteinDistance,
+    DEFAULT_WEIGHTS,
+    DEFAULT_PENALTIES,
+    DEFAULT_MATCH_THRESHOLD,
+    DEFAULT_REVIEW_THRESHOLD
+};
+
+// ============================================================================
+// USAGE EXAMPLES
+// ============================================================================
+
+/**
+ * Example: Score two records
+ *
+ * const { scoreMatch } = require('./entity-resolution');
+ *
+ * const result = scoreMatch(
+ *     { companyName: 'ABC Insurance Agency LLC', location: 'Austin, TX' },
+ *     { name: 'A.B.C. Insurance', address: '1200 Congress Ave, Austin, TX 78701', phone: '(512) 555-0100' }
+ * );
+ * // result.score     -> 0.5
+ * // result.matchedOn -> ['name', 'city']
+ * // result.signals   -> { name: { similarity: 1, contribution: 0.35, values: [...] }, ... }
+ */
@@ -0,0 +1,720 @@
+/**
+ * Export Profiles Utility
+ *
+ * Declarative export formats for enriched leads. A profile is a list of output columns,
+ * each filled from lead fields (with fallbacks), a constant, a template or a join of
+ * several values, optionally passed through named transforms, and an output format
+ * (CSV, NDJSON or JSON). Built-in profiles cover Instantly, SmartLead, HubSpot import,
+ * GoHighLevel bulk import, Lemlist and a plain CSV; teams add their own with
+ * registerExportProfile or a JSON file, without touching the enrichment code.
+ *
+ * @version 1.0.0
+ * @requires fs (Node.js built-in)
+ * @requires ./lead-scoring
+ * @requires ./provenance
+ * @requires ./lead-to-ghl-mapper
+ */
+
+const fs = require('fs');
+const { formatScoreBreakdown } = require('./lead-scoring');
+const { formatProvenance } = require('./provenance');
+const { standardizePhone, parseLocation } = require('./lead-to-ghl-mapper');
+
+/**
+ * Output formats
+ */
+const EXPORT_FORMATS = {
+    csv: { extension: 'csv', contentType: 'text/csv' },
+    ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson' },
+    json: { extension: 'json', contentType: 'application/json' }
+};
+
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i; // Used in key-value store keys
+const FIELD_SOURCES = ['from', 'value', 'template', 'join'];
+
+// ============================================================================
+// TRANSFORMS
+// ============================================================================
+
+/**
+ * Named value transforms: (value, lead) => value
+ */
+const transforms = new Map(Object.entries({
+    trim: value => typeof value === 'string' ? value.trim() : value,
+    lowercase: value => typeof value === 'string' ? value.toLowerCase() : value,
+    uppercase: value => typeof value === 'string' ? value.toUpperCase() : value,
+    number: value => isEmpty(value) || isNaN(Number(value)) ? null : Number(value),
+    phone_e164: (value, lead) => isEmpty(value) ? value : standardizePhone(String(value), lead.country || undefined),
+    date: value => isEmpty(value) ? value : String(value).slice(0, 10), // ISO timestamp -> YYYY-MM-DD
+    domain: value => isEmpty(value) ? value : extractDomain(String(value)),
+    city: value => parseLocation(value || null).city,
+    state: value => parseLocation(value || null).state,
+    list: value => Array.isArray(value) ? value.filter(item => !isEmpty(item)).join('; ') : value,
+    json: value => isEmpty(value) ? value : JSON.stringify(value),
+    score_reasons: value => Array.isArray(value) && value.length > 0 ? formatScoreBreakdown(value) : null, // qualityBreakdown
+    provenance: (value, lead) => formatProvenance(lead) || null
+}));
+
+/**
+ * Register a custom transform
+ *
+ * @param {string} name - Transform name used in profiles
+ * @param {Function} fn - (value, lead) => value
+ * @param {Object} options - { replace: true } to overwrite an existing transform
+ */
+function registerExportTransform(name, fn, options = {}) {
+    const { replace = false } = options;
+
+    if (typeof fn !== 'function') {
+        throw new Error(`Export transform '${name}' must be a function`);
+    }
+    if (transforms.has(name) && !replace) {
+        throw new Error(`Export transform '${name}' is already registered. Pass { replace: true } to overwrite it.`);
+    }
+
+    transforms.set(name, fn);
+}
+
+// ============================================================================
+// BUILT-IN PROFILES
+// ============================================================================
+
+/**
+ * Instantly.ai lead upload (same columns as the original formatForInstantly)
+ */
+const INSTANTLY_PROFILE = {
+    name: 'instantly',
+    description: 'Instantly.ai lead upload',
+    format: 'csv',
+    fields: [
+        { column: 'email', from: 'email' },
+        { column: 'firstName', from: 'firstName', default: '' },
+        { column: 'lastName', from: 'lastName', default: '' },
+        { column: 'companyName', from: ['companyName', 'name'], default: '' },
+        { column: 'customField1', from: 'jobTitle', default: '' },
+        { column: 'customField2', from: 'companySizeRange', default: '' },
+        { column: 'customField3', from: ['standardizedLocation', 'location'], default: '' },
+        { column: 'customField4', from: ['industry', 'vertical'], default: '' },
+        { column: 'customField5', from: 'phone', default: '' },
+        { column: 'customField6', from: 'website', default: '' },
+        { column: 'customField7', from: 'provenance', transform: 'provenance', default: '' }, // Where each field came from
+        { column: 'tags', join: [{ from: 'vertical' }, { from: 'leadSource' }, { template: 'score:{qualityScore}' }], separator: ',' }
+    ]
+};
+
+/**
+ * SmartLead lead upload (same columns as the original formatForSmartlead)
+ */
+const SMARTLEAD_PROFILE = {
+    name: 'smartlead',
+    description: 'SmartLead lead upload',
+    format: 'csv',
+    fields: [
+        { column: 'Email', from: 'email' },
+        { column: 'First Name', from: 'firstName', default: '' },
+        { column: 'Last Name', from: 'lastName', default: '' },
+        { column: 'Company', from: ['companyName', 'name'], default: '' },
+        { column: 'Industry', from: ['industry', 'vertical'], default: '' },
+        { column: 'Location', from: ['standardizedLocation', 'location'], default: '' },
+        { column: 'Phone', from: 'phone', default: '' },
+        { column: 'Website', from: 'website', default: '' },
+        { column: 'Job Title', from: 'jobTitle', default: '' },
+        { column: 'Company Size', from: 'companySizeRange', default: '' },
+        { column: 'Lead Source', from: 'leadSource' },
+        { column: 'Quality Score', from: 'qualityScore' },
+        { column: 'LinkedIn Profile', from: 'linkedinProfile', default: '' },
+        { column: 'Google Rating', from: 'googleRating', default: '' },
+        { column: 'Data Provenance', from: 'provenance', transform: 'provenance', default: '' }
+    ]
+};
+
+/**
+ * HubSpot contact import (column headers match HubSpot's default contact property labels;
+ * create Lead Source, Quality Score, Quality Score Reasons and Data Provenance as custom properties)
+ */
+const HUBSPOT_PROFILE = {
+    name: 'hubspot',
+    description: 'HubSpot contact import',
+    format: 'csv',
+    fields: [
+        { column: 'Email', from: 'email', transform: 'lowercase', required: true },
+        { column: 'First Name', from: 'firstName', default: '' },
+        { column: 'Last Name', from: 'lastName', default: '' },
+        { column: 'Job Title', from: 'jobTitle', default: '' },
+        { column: 'Company Name', from: ['companyName', 'name'], default: '' },
+        { column: 'Phone Number', from: 'phone', transform: 'phone_e164', default: '' },
+        { column: 'Website URL', from: 'website', default: '' },
+        { column: 'City', from: ['standardizedLocation', 'location', 'address'], transform: 'city', default: '' },
+        { column: 'State/Region', from: ['standardizedLocation', 'location', 'address'], transform: 'state', default: '' },
+        { column: 'Postal Code', from: 'postalCode', default: '' },
+        { column: 'Country/Region', from: 'country', default: '' },
+        { column: 'Industry', from: ['industry', 'vertical'], default: '' },
+        { column: 'Lifecycle Stage', value: 'lead' },
+        { column: 'Lead Status', value: 'NEW' },
+        { column: 'Lead Source', from: 'leadSource', default: '' },
+        { column: 'Quality Score', from: 'qualityScore', default: '' },
+        { column: 'Quality Score Reasons', from: 'qualityBreakdown', transform: 'score_reasons', default: '' },
+        { column: 'Data Provenance', from: 'provenance', transform: 'provenance', default: '' }
+    ]
+};
+
+/**
+ * GoHighLevel bulk contact import (custom field columns map to the contact custom fields
+ * in gohighlevel-sync.md)
+ */
+const GOHIGHLEVEL_PROFILE = {
+    name: 'gohighlevel',
+    description: 'GoHighLevel bulk contact import',
+    format: 'csv',
+    fields: [
+        { column: 'First Name', from: 'firstName', default: '' },
+        { column: 'Last Name', from: 'lastName', default: '' },
+        { column: 'Email', from: 'email', transform: 'lowercase', default: '' },
+        { column: 'Phone', from: 'phone', transform: 'phone_e164', default: '' },
+        { column: 'Company Name', from: ['companyName', 'name'], default: '' },
+        { column: 'Website', from: 'website', default: '' },
+        { column: 'Address', from: 'address', default: '' },
+        { column: 'City', from: ['standardizedLocation', 'location', 'address'], transform: 'city', default: '' },
+        { column: 'State', from: ['standardizedLocation', 'location', 'address'], transform: 'state', default: '' },
+        { column: 'Postal Code', from: 'postalCode', default: '' },
+        { column: 'Country', from: 'country', default: '' },
+        { column: 'Timezone', from: 'timezone', default: '' },
+        { column: 'Source', from: 'leadSource', default: 'Cold Email Campaign' },
+        { column: 'Tags', join: [{ from: 'vertical' }, { value: 'cold-outreach' }, { from: 'leadSource' }], separator: ',' },
+        { column: 'quality_score', from: 'qualityScore', default: 0 },
+        { column: 'quality_score_reasons', from: 'qualityBreakdown', transform: 'score_reasons', default: '' },
+        { column: 'vertical', from: ['vertical', 'industry'], default: '' },
+        { column: 'company_size', from: ['companySizeRange', 'companySize'], default: '' },
+        { column: 'job_title', from: 'jobTitle', default: '' },
+        { column: 'linkedin_profile', from: 'linkedinProfile', default: '' },
+        { column: 'data_provenance', from: 'provenance', transform: 'provenance', default: '' },
+        { column: 'enrichment_date', from: 'enrichmentDate', default: '' }
+    ]
+};
+
+/**
+ * Lemlist lead import (camelCase columns become {{variables}} in Lemlist templates)
+ */
+const LEMLIST_PROFILE = {
+    name: 'lemlist',
+    description: 'Lemlist lead import',
+    format: 'csv',
+    fields: [
+        { column: 'email', from: 'email', transform: 'lowercase', required: true },
+        { column: 'firstName', from: 'firstName', default: '' },
+        { column: 'lastName', from: 'lastName', default: '' },
+        { column: 'companyName', from: ['companyName', 'name'], default: '' },
+        { column: 'companyDomain', from: ['domain', 'website'], transform: 'domain', default: '' },
+        { column: 'jobTitle', from: 'jobTitle', default: '' },
+        { column: 'phone', from: 'phone', transform: 'phone_e164', default: '' },
+        { column: 'linkedinUrl', from: 'linkedinProfile', default: '' },
+        { column: 'location', from: ['standardizedLocation', 'location'], default: '' },
+        { column: 'timezone', from: 'timezone', default: '' }, // Lemlist sends in the lead's timezone when set
+        { column: 'vertical', from: ['vertical', 'industry'], default: '' },
+        { column: 'qualityScore', from: 'qualityScore', default: '' }
+    ]
+};
+
+/**
+ * Plain CSV of the main lead fields (spreadsheets, client reports)
+ */
+const CSV_PROFILE = {
+    name: 'csv',
+    description: 'Plain CSV of the main lead fields',
+    format: 'csv',
+    fields: [
+        { column: 'email', from: 'email', default: '' },
+        { column: 'first_name', from: 'firstName', default: '' },
+        { column: 'last_name', from: 'lastName', default: '' },
+        { column: 'job_title', from: 'jobTitle', default: '' },
+        { column: 'company', from: ['companyName', 'name'], default: '' },
+        { column: 'website', from: 'website', default: '' },
+        { column: 'phone', from: 'phone', default: '' },
+        { column: 'phone_type', from: 'phoneType', default: '' },
+        { column: 'location', from: ['standardizedLocation', 'location', 'address'], default: '' },
+        { column: 'city', from: 'city', default: '' },
+        { column: 'state', from: 'state', default: '' },
+        { column: 'postal_code', from: 'postalCode', default: '' },
+        { column: 'country', from: 'country', default: '' },
+        { column: 'latitude', from: 'latitude', default: '' },
+        { column: 'longitude', from: 'longitude', default: '' },
+        { column: 'timezone', from: 'timezone', default: '' },
+        { column: 'vertical', from: ['vertical', 'industry'], default: '' },
+        { column: 'lead_source', from: 'leadSource', default: '' },
+        { column: 'quality_score', from: 'qualityScore', default: '' },
+        { column: 'quality_score_reasons', from: 'qualityBreakdown', transform: 'score_reasons', default: '' },
+        { column: 'predicted_score', from: 'predictedScore', default: '' },
+        { column: 'email_verification', from: 'emailVerification.status', default: '' },
+        { column: 'enrichment_date', from: 'enrichmentDate', transform: 'date', default: '' },
+        { column: 'data_provenance', from: 'provenance', transform: 'provenance', default: '' }
+    ]
+};
+
+// ============================================================================
+// PROFILE REGISTRY
+// ============================================================================
+
+/**
+ * Registered profile definitions (as given, before extends is applied)
+ */
+const profiles = new Map();
+
+/**
+ * Validate an export profile definition
+ *
+ * @param {Object} profile - Profile definition
+ * @returns {Object} { isValid, errors }
+ */
+function validateExportProfile(profile) {
+    const errors = [];
+
+    if (!profile || typeof profile !== 'object') {
+        return { isValid: false, errors: ['Export profile must be an object'] };
+    }
+
+    if (!profile.name || typeof profile.name !== 'string') {
+        errors.push('name is required and must be a string');
+    } else if (!PROFILE_NAME_PATTERN.test(profile.name)) {
+        errors.push('name may only contain letters, numbers, - and _');
+    }
+
+    if (profile.extends && typeof profile.extends !== 'string') {
+        errors.push('extends must be the name of a registered profile');
+    }
+
+    if (profile.format !== undefined && !EXPORT_FORMATS[profile.format]) {
+        errors.push(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    } else if (profile.format === undefined && !profile.extends) {
+        errors.push('format is required (or set extends to build on another profile)');
+    }
+
+    if (!Array.isArray(profile.fields) && !profile.extends) {
+        errors.push('fields must be an array (or set extends to build on another profile)');
+    }
+
+    const columns = new Set();
+    (profile.fields || []).forEach((field, index) => {
+        const label = field && field.column ? field.column : `fields[${index}]`;
+
+        if (!field || !field.column || typeof field.column !== 'string') {
+            errors.push(`${label}: column is required`);
+            return;
+        }
+        if (columns.has(field.column)) errors.push(`${label}: duplicate column`);
+        columns.add(field.column);
+
+        // Overrides of a base profile's columns may be partial (checked after extends is applied)
+        if (field.enabled === false || profile.extends) return;
+
+        validateFieldSpec(field, label, errors);
+    });
+
+    return {
+        isValid: errors.length === 0,
+        errors: errors
+    };
+}
+
+/**
+ * Register an export profile
+ *
+ * @param {Object} profile - Profile definition
+ * @param {Object} options - { replace: true } to overwrite an existing profile
+ * @returns {Object} Resolved profile
+ * @throws {Error} If the profile is invalid or already registered
+ */
+function registerExportProfile(profile, options = {}) {
+    const { replace = false } = options;
+
+    const validation = validateExportProfile(profile);
+    if (!validation.isValid) {
+        const label = profile && profile.name ? profile.name : 'unnamed';
+        throw new Error(`Export profile '${label}' is invalid:\n  - ${validation.errors.join('\n  - ')}`);
+    }
+
+    if (profiles.has(profile.name) && !replace) {
+        throw new Error(`Export profile '${profile.name}' is already registered. Pass { replace: true } to overwrite it.`);
+    }
+
+    const resolved = resolveDefinition(profile, [profile.name]); // Throws before registering a broken profile
+    profiles.set(profile.name, profile);
+
+    return resolved;
+}
+
+/**
+ * Load an export profile from a JSON file
+ *
+ * @param {string} filePath - Path to the profile JSON
+ * @returns {Object} Resolved profile
+ */
+function loadExportProfile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Export profile file not found: ${filePath}`);
+    }
+
+    const profile = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return resolveExportProfile(profile);
+}
+
+/**
+ * Resolve a profile reference
+ *
+ * @param {string|Object} profile - Registered name, path to a .json file, or a profile object
+ * @returns {Object} Resolved profile { name, description, format, fields, resolved: true }
+ */
+function resolveExportProfile(profile) {
+    if (typeof profile === 'string') {
+        if (profile.endsWith('.json')) return loadExportProfile(profile);
+
+        const definition = profiles.get(profile);
+        if (!definition) {
+            throw new Error(`Unknown export profile: ${profile}. Registered profiles: ${listExportProfiles().join(', ')}`);
+        }
+        return resolveDefinition(definition, [profile]);
+    }
+
+    if (profile && profile.resolved) return profile;
+
+    const validation = validateExportProfile(profile);
+    if (!validation.isValid) {
+        const label = profile && profile.name ? profile.name : 'unnamed';
+        throw new Error(`Export profile '${label}' is invalid:\n  - ${validation.errors.join('\n  - ')}`);
+    }
+
+    return resolveDefinition(profile, [profile.name]);
+}
+
+/**
+ * List registered profile names
+ *
+ * @returns {Array<string>} Profile names
+ */
+function listExportProfiles() {
+    return Array.from(profiles.keys());
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Map leads to a profile's rows
+ * Leads missing a required column are skipped.
+ *
+ * @param {Array<Object>} leads - Enriched leads
+ * @param {string|Object} profile - Profile reference (see resolveExportProfile)
+ * @returns {Array<Object>} Rows keyed by column
+ */
+function formatLeads(leads, profile) {
+    return buildRows(leads, resolveExportProfile(profile)).rows;
+}
+
+/**
+ * Export leads with a profile
+ *
+ * @param {Array<Object>} leads - Enriched leads
+ * @param {string|Object} profile - Profile reference (see resolveExportProfile)
+ * @returns {Object} { profile, format, extension, contentType, rows, skipped: [{ lead, missing }], content }
+ */
+function exportLeads(leads, profile) {
+    const resolved = resolveExportProfile(profile);
+    const { rows, skipped } = buildRows(leads, resolved);
+    const { extension, contentType } = EXPORT_FORMATS[resolved.format];
+
+    return {
+        profile: resolved.name,
+        format: resolved.format,
+        extension,
+        contentType,
+        rows,
+        skipped,
+        content: serializeRows(rows, resolved.format, {
+            columns: resolved.fields.map(field => field.column),
+            delimiter: resolved.delimiter
+        })
+    };
+}
+
+/**
+ * Serialize rows
+ *
+ * @param {Array<Object>} rows - Rows keyed by column
+ * @param {string} format - 'csv', 'ndjson' or 'json'
+ * @param {Object} options - CSV options
+ * @param {Array<string>} options.columns - Column order (default: keys of the first row)
+ * @param {string} options.delimiter - Field delimiter (default: ',')
+ * @returns {string} File content
+ */
+function serializeRows(rows, format = 'csv', options = {}) {
+    if (format === 'json') return JSON.stringify(rows, null, 2);
+    if (format === 'ndjson') return rows.map(row => JSON.stringify(row)).join('\n');
+    if (format !== 'csv') {
+        throw new Error(`Unknown export format: ${format}. Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    const { columns = rows.length > 0 ? Object.keys(rows[0]) : [], delimiter = ',' } = options;
+    if (columns.length === 0) return '';
+
+    const lines = [columns.map(column => escapeCsvValue(column, delimiter)).join(delimiter)];
+    for (const row of rows) {
+        lines.push(columns.map(column => escapeCsvValue(row[column], delimiter)).join(delimiter));
+    }
+
+    return lines.join('\n');
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Apply extends and check the merged columns
+ */
+function resolveDefinition(definition, chain) {
+    let base = { fields: [], format: null, description: null };
+
+    if (definition.extends) {
+        if (chain.includes(definition.extends)) {
+            throw new Error(`Export profile '${definition.name}' has a circular extends: ${chain.concat(definition.extends).join(' -> ')}`);
+        }
+        const parent = profiles.get(definition.extends);
+        if (!parent) {
+            throw new Error(`Export profile '${definition.name}' extends unknown profile '${definition.extends}'`);
+        }
+        base = resolveDefinition(parent, chain.concat(definition.extends));
+    }
+
+    const fields = base.fields.slice();
+    for (const field of definition.fields || []) {
+        const index = fields.findIndex(existing => existing.column === field.column);
+
+        if (index === -1) {
+            if (field.enabled !== false) fields.push(field);
+        } else if (field.enabled === false) {
+            fields.splice(index, 1);
+        } else {
+            fields[index] = { ...fields[index], ...field }; // Override keeps the base column's position
+        }
+    }
+
+    const errors = [];
+    fields.forEach(field => validateFieldSpec(field, field.column, errors));
+    if (errors.length > 0) {
+        throw new Error(`Export profile '${definition.name}' is invalid:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return {
+        name: definition.name,
+        description: definition.description || base.description || null,
+        format: definition.format || base.format,
+        delimiter: definition.delimiter || base.delimiter || ',',
+        fields,
+        resolved: true
+    };
+}
+
+/**
+ * Check a column (or join part) spec: exactly one value source and known transforms
+ */
+function validateFieldSpec(field, label, errors) {
+    const sources = FIELD_SOURCES.filter(source => field[source] !== undefined);
+    if (sources.length !== 1) {
+        errors.push(`${label}: needs exactly one of ${FIELD_SOURCES.join(', ')}`);
+    }
+
+    if (field.from !== undefined && !(typeof field.from === 'string' || (Array.isArray(field.from) && field.from.length > 0))) {
+        errors.push(`${label}: from must be a field name or a list of fallback field names`);
+    }
+
+    if (field.join !== undefined) {
+        if (!Array.isArray(field.join) || field.join.length === 0) {
+            errors.push(`${label}: join must be a non-empty list of parts`);
+        } else {
+            field.join.forEach((part, index) => validateFieldSpec(part || {}, `${label}.join[${index}]`, errors));
+        }
+    }
+
+    for (const name of [].concat(field.transform || [])) {
+        if (!transforms.has(name)) {
+            errors.push(`${label}: unknown transform '${name}'`);
+        }
+    }
+}
+
+/**
+ * Build rows, skipping leads that miss a required column
+ */
+function buildRows(leads, profile) {
+    const rows = [];
+    const skipped = [];
+
+    for (const lead of leads) {
+        const row = {};
+        const missing = [];
+
+        for (const field of profile.fields) {
+            const value = resolveFieldValue(field, lead);
+            if (field.required && isEmpty(value)) missing.push(field.column);
+            row[field.column] = value;
+        }
+
+        if (missing.length > 0) {
+            skipped.push({ lead, missing });
+        } else {
+            rows.push(row);
+        }
+    }
+
+    return { rows, skipped };
+}
+
+/**
+ * Value of one column (or join part) for a lead
+ */
+function resolveFieldValue(field, lead) {
+    let value;
+
+    if (field.value !== undefined) {
+        value = field.value;
+    } else if (field.template !== undefined) {
+        value = renderTemplate(field.template, lead);
+    } else if (field.join !== undefined) {
+        value = field.join
+            .map(part => resolveFieldValue(part, lead))
+            .filter(part => !isEmpty(part))
+            .join(field.separator ?? ',');
+    } else {
+        const candidates = [].concat(field.from);
+        value = candidates.map(path => getPath(lead, path)).find(candidate => !isEmpty(candidate));
+    }
+
+    for (const name of [].concat(field.transform || [])) {
+        value = transforms.get(name)(value, lead);
+    }
+
+    return isEmpty(value) && field.default !== undefined ? field.default : value;
+}
+
+/**
+ * Fill {field} placeholders; an empty placeholder empties the whole template
+ */
+function renderTemplate(template, lead) {
+    let emptyPlaceholder = false;
+    const rendered = template.replace(/\{([^}]+)\}/g, (_, path) => {
+        const value = getPath(lead, path.trim());
+        if (isEmpty(value)) emptyPlaceholder = true;
+        return isEmpty(value) ? '' : String(value);
+    });
+
+    return emptyPlaceholder ? null : rendered;
+}
+
+/**
+ * Read a dotted path (e.g. 'emailVerification.status')
+ */
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+/**
+ * Quote CSV values containing the delimiter, quotes or line breaks
+ */
+function escapeCsvValue(value, delimiter) {
+    if (value === null || value === undefined) return '';
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (text.includes(delimiter) || text.includes('"') || /[\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Domain from a URL or email address
+ */
+function extractDomain(urlOrEmail) {
+    if (urlOrEmail.includes('@') && !urlOrEmail.includes('/')) {
+        return urlOrEmail.split('@')[1].toLowerCase();
+    }
+    return urlOrEmail
+        .toLowerCase()
+        .replace(/^https?:\/\//, '')
+        .replace(/^www\./, '')
+        .split(/[/?#]/)[0];
+}
+
+/**
+ * Empty values fall through to the next candidate or the default
+ */
+function isEmpty(value) {
+    return value === null || value === undefined || value === '';
+}
+
+// Built-in profiles
+[INSTANTLY_PROFILE, SMARTLEAD_PROFILE, HUBSPOT_PROFILE, GOHIGHLEVEL_PROFILE, LEMLIST_PROFILE, CSV_PROFILE]
+    .forEach(profile => registerExportProfile(profile));
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    exportLeads,
+    formatLeads,
+    serializeRows,
+    registerExportProfile,
+    registerExportTransform,
+    loadExportProfile,
+    resolveExportProfile,
+    validateExportProfile,
+    listExportProfiles,
+    EXPORT_FORMATS
+};
+
+// ============================================================================
+// USAGE EXAMPLES
+// ============================================================================
+
+/**
+ * Example 1: Export to several tools in one run
+ *
+ * const { enrichLeads } = require('./lead-enrichment');
+ *
+ * await enrichLeads({ linkedinDatasetId: 'abc123', exportFormat: ['instantly', 'hubspot', 'gohighlevel'] });
+ * // Key-value store: instantly_export.json + .csv, hubspot_export.json + .csv, gohighlevel_export.json + .csv
+ *
+ * Example 2: A client's own CRM layout as JSON config (no code changes)
+ *
+ * // profiles/acme-crm.json
+ * {
+ *     "name": "acme-crm",
+ *     "format": "ndjson",
+ *     "fields": [
+ *         { "column": "contact_email", "from": "email", "transform": "lowercase", "required": true },
+ *         { "column": "full_name", "template": "{firstName} {lastName}" },
+ *         { "column": "phone", "from": ["phone", "companyPhone"], "transform": "phone_e164" },
+ *         { "column": "segment", "value": "outbound-2026" },
+ *         { "column": "verified", "from": "emailVerification.status", "default": "unknown" }
+ *     ]
+ * }
+ *
+ * await enrichLeads({ files: ['./imports/acme.csv'], exportFormat: ['instantly', './profiles/acme-crm.json'] });
+ *
+ * Example 3: Extend a built-in profile and add a transform
+ *
+ * const { registerExportProfile, registerExportTransform, exportLeads } = require('./export-profiles');
+ *
+ * registerExportTransform('first_word', value => value ? String(value).split(' ')[0] : value);
+ * registerExportProfile({
+ *     name: 'hubspot-acme',
+ *     extends: 'hubspot',
+ *     fields: [
+ *         { column: 'Lead Status', value: 'OPEN' },          // Override keeps the column's position
+ *         { column: 'Data Provenance', enabled: false },      // Drop a column
+ *         { column: 'Account Owner', value: 'jane@agency.com' }
+ *     ]
+ * });
+ *
+ * const { content, skipped } = exportLeads(leads, 'hubspot-acme');
+ */
@@ -0,0 +1,358 @@
+/**
+ * Offline Gazetteer
+ *
+ * Bundled place data for geocoding leads without a network call: US states and
+ * Canadian provinces (centroid + IANA timezone), the main business cities of both
+ * countries, and North American (NANP) area codes. Coordinates are rounded to
+ * two decimals (~1 km), which is plenty for timezone and territory decisions.
+ *
+ * Cities inherit their region's timezone unless they list their own (regions split
+ * across timezones: El Paso, the Florida panhandle, East Tennessee, western Kentucky, ...).
+ *
+ * @version 1.0.0
+ * @requires none (data only)
+ */
+
+/**
+ * Regions: code -> [name, country, latitude, longitude, timezone]
+ */
+const REGIONS = {
+    // United States
+    AL: ['Alabama', 'US', 32.8, -86.8, 'America/Chicago'],
+    AK: ['Alaska', 'US', 64.2, -149.5, 'America/Anchorage'],
+    AZ: ['Arizona', 'US', 34.3, -111.7, 'America/Phoenix'],
+    AR: ['Arkansas', 'US', 34.9, -92.4, 'America/Chicago'],
+    CA: ['California', 'US', 37.2, -119.5, 'America/Los_Angeles'],
+    CO: ['Colorado', 'US', 39.0, -105.5, 'America/Denver'],
+    CT: ['Connecticut', 'US', 41.6, -72.7, 'America/New_York'],
+    DE: ['Delaware', 'US', 39.0, -75.5, 'America/New_York'],
+    DC: ['District of Columbia', 'US', 38.9, -77.0, 'America/New_York'],
+    FL: ['Florida', 'US', 28.6, -82.4, 'America/New_York'],
+    GA: ['Georgia', 'US', 32.7, -83.4, 'America/New_York'],
+    HI: ['Hawaii', 'US', 20.8, -156.3, 'Pacific/Honolulu'],
+    ID: ['Idaho', 'US', 44.4, -114.6, 'America/Boise'],
+    IL: ['Illinois', 'US', 40.0, -89.2, 'America/Chicago'],
+    IN: ['Indiana', 'US', 39.9, -86.3, 'America/Indiana/Indianapolis'],
+    IA: ['Iowa', 'US', 42.1, -93.5, 'America/Chicago'],
+    KS: ['Kansas', 'US', 38.5, -98.4, 'America/Chicago'],
+    KY: ['Kentucky', 'US', 37.5, -85.3, 'America/New_York'],
+    LA: ['Louisiana', 'US', 31.1, -92.0, 'America/Chicago'],
+    ME: ['Maine', 'US', 45.4, -69.2, 'America/New_York'],
+    MD: ['Maryland', 'US', 39.0, -76.8, 'America/New_York'],
+    MA: ['Massachusetts', 'US', 42.3, -71.8, 'America/New_York'],
+    MI: ['Michigan', 'US', 44.3, -85.4, 'America/Detroit'],
+    MN: ['Minnesota', 'US', 46.3, -94.3, 'America/Chicago'],
+    MS: ['Mississippi', 'US', 32.7, -89.7, 'America/Chicago'],
+    MO: ['Missouri', 'US', 38.4, -92.5, 'America/Chicago'],
+    MT: ['Montana', 'US', 47.0, -109.6, 'America/Denver'],
+    NE: ['Nebraska', 'US', 41.5, -99.8, 'America/Chicago'],
+    NV: ['Nevada', 'US', 39.3, -116.6, 'America/Los_Angeles'],
+    NH: ['New Hampshire', 'US', 43.7, -71.6, 'America/New_York'],
+    NJ: ['New Jersey', 'US', 40.2, -74.7, 'America/New_York'],
+    NM: ['New Mexico', 'US', 34.4, -106.1, 'America/Denver'],
+    NY: ['New York', 'US', 42.9, -75.5, 'America/New_York'],
+    NC: ['North Carolina', 'US', 35.6, -79.4, 'America/New_York'],
+    ND: ['North Dakota', 'US', 47.5, -100.5, 'America/Chicago'],
+    OH: ['Ohio', 'US', 40.3, -82.8, 'America/New_York'],
+    OK: ['Oklahoma', 'US', 35.6, -97.5, 'America/Chicago'],
+    OR: ['Oregon', 'US', 43.9, -120.6, 'America/Los_Angeles'],
+    PA: ['Pennsylvania', 'US', 40.9, -77.8, 'America/New_York'],
+    RI: ['Rhode Island', 'US', 41.7, -71.5, 'America/New_York'],
+    SC: ['South Carolina', 'US', 33.9, -80.9, 'America/New_York'],
+    SD: ['South Dakota', 'US', 44.4, -100.2, 'America/Chicago'],
+    TN: ['Tennessee', 'US', 35.9, -86.4, 'America/Chicago'],
+    TX: ['Texas', 'US', 31.5, -99.3, 'America/Chicago'],
+    UT: ['Utah', 'US', 39.3, -111.7, 'America/Denver'],
+    VT: ['Vermont', 'US', 44.1, -72.7, 'America/New_York'],
+    VA: ['Virginia', 'US', 37.5, -78.9, 'America/New_York'],
+    WA: ['Washington', 'US', 47.4, -120.5, 'America/Los_Angeles'],
+    WV: ['West Virginia', 'US', 38.6, -80.6, 'America/New_York'],
+    WI: ['Wisconsin', 'US', 44.6, -89.9, 'America/Chicago'],
+    WY: ['Wyoming', 'US', 43.0, -107.6, 'America/Denver'],
+    PR: ['Puerto Rico', 'US', 18.2, -66.5, 'America/Puerto_Rico'],
+
+    // Canada
+    AB: ['Alberta', 'CA', 55.0, -115.0, 'America/Edmonton'],
+    BC: ['British Columbia', 'CA', 53.7, -127.6, 'America/Vancouver'],
+    MB: ['Manitoba', 'CA', 53.8, -98.8, 'America/Winnipeg'],
+    NB: ['New Brunswick', 'CA', 46.5, -66.2, 'America/Moncton'],
+    NL: ['Newfoundland and Labrador', 'CA', 53.1, -57.7, 'America/St_Johns'],
+    NS: ['Nova Scotia', 'CA', 45.0, -63.0, 'America/Halifax'],
+    NT: ['Northwest Territories', 'CA', 64.8, -124.8, 'America/Yellowknife'],
+    NU: ['Nunavut', 'CA', 70.3, -83.1, 'America/Iqaluit'],
+    ON: ['Ontario', 'CA', 50.0, -85.3, 'America/Toronto'],
+    PE: ['Prince Edward Island', 'CA', 46.5, -63.4, 'America/Halifax'],
+    QC: ['Quebec', 'CA', 52.9, -73.5, 'America/Toronto'],
+    SK: ['Saskatchewan', 'CA', 52.9, -106.5, 'America/Regina'],
+    YT: ['Yukon', 'CA', 64.3, -135.0, 'America/Whitehorse']
+};
+
+/**
+ * Countries: code -> [name, aliases]
+ */
+const COUNTRIES = {
+    US: ['United States', ['us', 'usa', 'u.s.', 'u.s.a.', 'united states', 'united states of america', 'america']],
+    CA: ['Canada', ['canada', 'can']]
+};
+
+/**
+ * Cities: [name, region, latitude, longitude, timezone?]
+ */
+const CITIES = [
+    // Alabama
+    ['Birmingham', 'AL', 33.52, -86.80], ['Montgomery', 'AL', 32.37, -86.30],
+    ['Huntsville', 'AL', 34.73, -86.59], ['Mobile', 'AL', 30.69, -88.04],
+    // Alaska
+    ['Anchorage', 'AK', 61.22, -149.90], ['Fairbanks', 'AK', 64.84, -147.72], ['Juneau', 'AK', 58.30, -134.42, 'America/Juneau'],
+    // Arizona
+    ['Phoenix', 'AZ', 33.45, -112.07], ['Tucson', 'AZ', 32.22, -110.97], ['Mesa', 'AZ', 33.42, -111.83],
+    ['Scottsdale', 'AZ', 33.49, -111.93], ['Chandler', 'AZ', 33.31, -111.84], ['Tempe', 'AZ', 33.43, -111.94],
+    ['Glendale', 'AZ', 33.54, -112.19], ['Flagstaff', 'AZ', 35.20, -111.65],
+    // Arkansas
+    ['Little Rock', 'AR', 34.75, -92.29], ['Fayetteville', 'AR', 36.06, -94.16],
+    ['Fort Smith', 'AR', 35.39, -94.40], ['Bentonville', 'AR', 36.37, -94.21],
+    // California
+    ['Los Angeles', 'CA', 34.05, -118.24], ['San Diego', 'CA', 32.72, -117.16], ['San Jose', 'CA', 37.34, -121.89],
+    ['San Francisco', 'CA', 37.77, -122.42], ['Fresno', 'CA', 36.74, -119.79], ['Sacramento', 'CA', 38.58, -121.49],
+    ['Long Beach', 'CA', 33.77, -118.19], ['Oakland', 'CA', 37.80, -122.27], ['Bakersfield', 'CA', 35.37, -119.02],
+    ['Anaheim', 'CA', 33.84, -117.91], ['Irvine', 'CA', 33.68, -117.83], ['Santa Ana', 'CA', 33.75, -117.87],
+    ['Riverside', 'CA', 33.95, -117.40], ['San Bernardino', 'CA', 34.11, -117.29], ['Pasadena', 'CA', 34.15, -118.14],
+    ['Palo Alto', 'CA', 37.44, -122.14], ['Santa Monica', 'CA', 34.02, -118.49], ['Newport Beach', 'CA', 33.62, -117.93],
+    // Colorado
+    ['Denver', 'CO', 39.74, -104.99], ['Colorado Springs', 'CO', 38.83, -104.82], ['Aurora', 'CO', 39.73, -104.83],
+    ['Boulder', 'CO', 40.01, -105.27], ['Fort Collins', 'CO', 40.59, -105.08],
+    // Connecticut
+    ['Hartford', 'CT', 41.76, -72.68], ['New Haven', 'CT', 41.31, -72.92],
+    ['Stamford', 'CT', 41.05, -73.54], ['Bridgeport', 'CT', 41.19, -73.20],
+    // Delaware / DC
+    ['Wilmington', 'DE', 39.74, -75.55], ['Dover', 'DE', 39.16, -75.52],
+    ['Washington', 'DC', 38.91, -77.04],
+    // Florida
+    ['Jacksonville', 'FL', 30.33, -81.66], ['Miami', 'FL', 25.76, -80.19], ['Tampa', 'FL', 27.95, -82.46],
+    ['Orlando', 'FL', 28.54, -81.38], ['St. Petersburg', 'FL', 27.77, -82.64], ['Fort Lauderdale', 'FL', 26.12, -80.14],
+    ['Tallahassee', 'FL', 30.44, -84.28], ['Pensacola', 'FL', 30.42, -87.22, 'America/Chicago'],
+    ['Panama City', 'FL', 30.16, -85.66, 'America/Chicago'], ['Sarasota', 'FL', 27.34, -82.53],
+    ['Naples', 'FL', 26.14, -81.79], ['Boca Raton', 'FL', 26.37, -80.13], ['West Palm Beach', 'FL', 26.72, -80.05],
+    ['Fort Myers', 'FL', 26.64, -81.87], ['Gainesville', 'FL', 29.65, -82.32],
+    // Georgia
+    ['Atlanta', 'GA', 33.75, -84.39], ['Savannah', 'GA', 32.08, -81.09], ['Augusta', 'GA', 33.47, -81.97],
+    ['Columbus', 'GA', 32.46, -84.99], ['Macon', 'GA', 32.84, -83.63], ['Alpharetta', 'GA', 34.08, -84.29],
+    // Hawaii / Idaho
+    ['Honolulu', 'HI', 21.31, -157.86],
+    ['Boise', 'ID', 43.62, -116.20], ['Idaho Falls', 'ID', 43.49, -112.03],
+    ['Coeur d\'Alene', 'ID', 47.68, -116.78, 'America/Los_Angeles'],
+    // Illinois
+    ['Chicago', 'IL', 41.88, -87.63], ['Springfield', 'IL', 39.78, -89.65], ['Naperville', 'IL', 41.75, -88.15],
+    ['Peoria', 'IL', 40.69, -89.59], ['Rockford', 'IL', 42.27, -89.09], ['Schaumburg', 'IL', 42.03, -88.08],
+    // Indiana
+    ['Indianapolis', 'IN', 39.77, -86.16], ['Fort Wayne', 'IN', 41.08, -85.14], ['South Bend', 'IN', 41.68, -86.25],
+    ['Carmel', 'IN', 39.98, -86.12], ['Evansville', 'IN', 37.97, -87.57, 'America/Chicago'],
+    ['Gary', 'IN', 41.59, -87.35, 'America/Chicago'],
+    // Iowa / Kansas
+    ['Des Moines', 'IA', 41.59, -93.62], ['Cedar Rapids', 'IA', 41.98, -91.67], ['Davenport', 'IA', 41.52, -90.58],
+    ['Wichita', 'KS', 37.69, -97.34], ['Overland Park', 'KS', 38.98, -94.67], ['Kansas City', 'KS', 39.11, -94.63],
+    ['Topeka', 'KS', 39.05, -95.68],
+    // Kentucky
+    ['Louisville', 'KY', 38.25, -85.76, 'America/Kentucky/Louisville'], ['Lexington', 'KY', 38.04, -84.50],
+    ['Bowling Green', 'KY', 36.99, -86.44, 'America/Chicago'], ['Paducah', 'KY', 37.08, -88.60, 'America/Chicago'],
+    // Louisiana
+    ['New Orleans', 'LA', 29.95, -90.07], ['Baton Rouge', 'LA', 30.45, -91.19],
+    ['Shreveport', 'LA', 32.53, -93.75], ['Lafayette', 'LA', 30.22, -92.02],
+    // Maine / Maryland / Massachusetts
+    ['Portland', 'ME', 43.66, -70.26], ['Bangor', 'ME', 44.80, -68.77],
+    ['Baltimore', 'MD', 39.29, -76.61], ['Annapolis', 'MD', 38.98, -76.49],
+    ['Bethesda', 'MD', 38.98, -77.10], ['Rockville', 'MD', 39.08, -77.15],
+    ['Boston', 'MA', 42.36, -71.06], ['Worcester', 'MA', 42.26, -71.80],
+    ['Springfield', 'MA', 42.10, -72.59], ['Cambridge', 'MA', 42.37, -71.11],
+    // Michigan / Minnesota / Mississippi
+    ['Detroit', 'MI', 42.33, -83.05], ['Grand Rapids', 'MI', 42.96, -85.67], ['Lansing', 'MI', 42.73, -84.56],
+    ['Ann Arbor', 'MI', 42.28, -83.74], ['Troy', 'MI', 42.61, -83.15],
+    ['Minneapolis', 'MN', 44.98, -93.27], ['Saint Paul', 'MN', 44.95, -93.09],
+    ['Rochester', 'MN', 44.02, -92.47], ['Duluth', 'MN', 46.79, -92.10],
+    ['Jackson', 'MS', 32.30, -90.18], ['Gulfport', 'MS', 30.37, -89.09],
+    // Missouri / Montana / Nebraska / Nevada
+    ['Kansas City', 'MO', 39.10, -94.58], ['St. Louis', 'MO', 38.63, -90.20],
+    ['Springfield', 'MO', 37.21, -93.29], ['Columbia', 'MO', 38.95, -92.33],
+    ['Billings', 'MT', 45.78, -108.50], ['Missoula', 'MT', 46.87, -113.99],
+    ['Bozeman', 'MT', 45.68, -111.04], ['Helena', 'MT', 46.59, -112.04],
+    ['Omaha', 'NE', 41.26, -95.93], ['Lincoln', 'NE', 40.81, -96.70],
+    ['Las Vegas', 'NV', 36.17, -115.14], ['Reno', 'NV', 39.53, -119.81], ['Henderson', 'NV', 36.04, -114.98],
+    // New Hampshire / New Jersey / New Mexico
+    ['Manchester', 'NH', 42.99, -71.46], ['Nashua', 'NH', 42.77, -71.47], ['Concord', 'NH', 43.21, -71.54],
+    ['Newark', 'NJ', 40.74, -74.17], ['Jersey City', 'NJ', 40.73, -74.08], ['Princeton', 'NJ', 40.36, -74.67],
+    ['Trenton', 'NJ', 40.22, -74.76], ['Hoboken', 'NJ', 40.74, -74.03],
+    ['Albuquerque', 'NM', 35.08, -106.65], ['Santa Fe', 'NM', 35.69, -105.94], ['Las Cruces', 'NM', 32.32, -106.76],
+    // New York
+    ['New York', 'NY', 40.71, -74.01], ['Brooklyn', 'NY', 40.68, -73.94], ['Buffalo', 'NY', 42.89, -78.88],
+    ['Rochester', 'NY', 43.16, -77.61], ['Albany', 'NY', 42.65, -73.76], ['Syracuse', 'NY', 43.05, -76.15],
+    ['White Plains', 'NY', 41.03, -73.76],
+    // North Carolina / North Dakota
+    ['Charlotte', 'NC', 35.23, -80.84], ['Raleigh', 'NC', 35.78, -78.64], ['Greensboro', 'NC', 36.07, -79.79],
+    ['Durham', 'NC', 35.99, -78.90], ['Winston-Salem', 'NC', 36.10, -80.24], ['Asheville', 'NC', 35.60, -82.55],
+    ['Wilmington', 'NC', 34.23, -77.94],
+    ['Fargo', 'ND', 46.88, -96.79], ['Bismarck', 'ND', 46.81, -100.78],
+    // Ohio / Oklahoma / Oregon
+    ['Columbus', 'OH', 39.96, -83.00], ['Cleveland', 'OH', 41.50, -81.69], ['Cincinnati', 'OH', 39.10, -84.51],
+    ['Toledo', 'OH', 41.65, -83.54], ['Akron', 'OH', 41.08, -81.52], ['Dayton', 'OH', 39.76, -84.19],
+    ['Oklahoma City', 'OK', 35.47, -97.52], ['Tulsa', 'OK', 36.15, -95.99],
+    ['Portland', 'OR', 45.52, -122.68], ['Eugene', 'OR', 44.05, -123.09], ['Salem', 'OR', 44.94, -123.04],
+    ['Bend', 'OR', 44.06, -121.31],
+    // Pennsylvania / Rhode Island / South Carolina / South Dakota
+    ['Philadelphia', 'PA', 39.95, -75.17], ['Pittsburgh', 'PA', 40.44, -80.00], ['Harrisburg', 'PA', 40.27, -76.88],
+    ['Allentown', 'PA', 40.61, -75.49], ['Erie', 'PA', 42.13, -80.09],
+    ['Providence', 'RI', 41.82, -71.41],
+    ['Charleston', 'SC', 32.78, -79.93], ['Columbia', 'SC', 34.00, -81.03], ['Greenville', 'SC', 34.85, -82.40],
+    ['Myrtle Beach', 'SC', 33.69, -78.89],
+    ['Sioux Falls', 'SD', 43.54, -96.73], ['Rapid City', 'SD', 44.08, -103.23, 'America/Denver'],
+    // Tennessee
+    ['Nashville', 'TN', 36.16, -86.78], ['Memphis', 'TN', 35.15, -90.05], ['Franklin', 'TN', 35.93, -86.87],
+    ['Knoxville', 'TN', 35.96, -83.92, 'America/New_York'], ['Chattanooga', 'TN', 35.05, -85.31, 'America/New_York'],
+    // Texas
+    ['Houston', 'TX', 29.76, -95.37], ['San Antonio', 'TX', 29.42, -98.49], ['Dallas', 'TX', 32.78, -96.80],
+    ['Austin', 'TX', 30.27, -97.74], ['Fort Worth', 'TX', 32.76, -97.33], ['Arlington', 'TX', 32.74, -97.11],
+    ['Plano', 'TX', 33.02, -96.70], ['Corpus Christi', 'TX', 27.80, -97.40], ['Lubbock', 'TX', 33.58, -101.86],
+    ['Irving', 'TX', 32.81, -96.95], ['Frisco', 'TX', 33.15, -96.82], ['McKinney', 'TX', 33.20, -96.64],
+    ['The Woodlands', 'TX', 30.17, -95.46], ['Amarillo', 'TX', 35.22, -101.83], ['Midland', 'TX', 32.00, -102.08],
+    ['El Paso', 'TX', 31.76, -106.49, 'America/Denver'],
+    // Utah / Vermont / Virginia
+    ['Salt Lake City', 'UT', 40.76, -111.89], ['Provo', 'UT', 40.23, -111.66], ['Ogden', 'UT', 41.22, -111.97],
+    ['Lehi', 'UT', 40.39, -111.85],
+    ['Burlington', 'VT', 44.48, -73.21],
+    ['Virginia Beach', 'VA', 36.85, -75.98], ['Richmond', 'VA', 37.54, -77.44], ['Norfolk', 'VA', 36.85, -76.29],
+    ['Arlington', 'VA', 38.88, -77.10], ['Alexandria', 'VA', 38.80, -77.05], ['Reston', 'VA', 38.96, -77.36],
+    ['McLean', 'VA', 38.93, -77.18],
+    // Washington / West Virginia / Wisconsin / Wyoming / Puerto Rico
+    ['Seattle', 'WA', 47.61, -122.33], ['Spokane', 'WA', 47.66, -117.43], ['Tacoma', 'WA', 47.25, -122.44],
+    ['Bellevue', 'WA', 47.61, -122.20], ['Redmond', 'WA', 47.67, -122.12], ['Vancouver', 'WA', 45.64, -122.66],
+    ['Charleston', 'WV', 38.35, -81.63],
+    ['Milwaukee', 'WI', 43.04, -87.91], ['Madison', 'WI', 43.07, -89.40], ['Green Bay', 'WI', 44.51, -88.01],
+    ['Cheyenne', 'WY', 41.14, -104.82], ['Casper', 'WY', 42.87, -106.31],
+    ['San Juan', 'PR', 18.47, -66.11],
+
+    // Canada
+    ['Toronto', 'ON', 43.65, -79.38], ['Ottawa', 'ON', 45.42, -75.70], ['Mississauga', 'ON', 43.59, -79.64],
+    ['Hamilton', 'ON', 43.26, -79.87], ['London', 'ON', 42.98, -81.25], ['Kitchener', 'ON', 43.45, -80.49],
+    ['Montreal', 'QC', 45.50, -73.57], ['Quebec City', 'QC', 46.81, -71.21],
+    ['Vancouver', 'BC', 49.28, -123.12], ['Victoria', 'BC', 48.43, -123.37],
+    ['Calgary', 'AB', 51.05, -114.07], ['Edmonton', 'AB', 53.55, -113.49],
+    ['Winnipeg', 'MB', 49.90, -97.14], ['Regina', 'SK', 50.45, -104.61], ['Saskatoon', 'SK', 52.13, -106.67],
+    ['Halifax', 'NS', 44.65, -63.58], ['St. John\'s', 'NL', 47.56, -52.71], ['Fredericton', 'NB', 45.96, -66.64],
+    ['Moncton', 'NB', 46.09, -64.78], ['Charlottetown', 'PE', 46.24, -63.13]
+];
+
+/**
+ * City aliases: alias -> canonical city name (matched after normalization)
+ */
+const CITY_ALIASES = {
+    'nyc': 'New York',
+    'new york city': 'New York',
+    'manhattan': 'New York',
+    'sf': 'San Francisco',
+    'saint louis': 'St. Louis',
+    'st louis': 'St. Louis',
+    'saint petersburg': 'St. Petersburg',
+    'st petersburg': 'St. Petersburg',
+    'st paul': 'Saint Paul',
+    'washington dc': 'Washington',
+    'washington d.c.': 'Washington',
+    'montréal': 'Montreal',
+    'québec': 'Quebec City',
+    'quebec': 'Quebec City',
+    'philly': 'Philadelphia'
+};
+
+/**
+ * Area codes: region -> codes (timezone from the region unless overridden below)
+ */
+const AREA_CODES = {
+    AL: [205, 251, 256, 334, 659, 938],
+    AK: [907],
+    AZ: [480, 520, 602, 623, 928],
+    AR: [479, 501, 870],
+    CA: [209, 213, 279, 310, 323, 341, 350, 408, 415, 424, 442, 510, 530, 559, 562, 619, 626, 628, 650, 657, 661,
+        669, 707, 714, 747, 760, 805, 818, 820, 831, 840, 858, 909, 916, 925, 949, 951],
+    CO: [303, 719, 720, 970],
+    CT: [203, 475, 860, 959],
+    DE: [302],
+    DC: [202, 771],
+    FL: [239, 305, 321, 352, 386, 407, 448, 561, 656, 689, 727, 754, 772, 786, 813, 850, 863, 904, 941, 954],
+    GA: [229, 404, 470, 478, 678, 706, 762, 770, 912, 943],
+    HI: [808],
+    ID: [208, 986],
+    IL: [217, 224, 309, 312, 331, 447, 464, 618, 630, 708, 730, 773, 779, 815, 847, 872],
+    IN: [219, 260, 317, 463, 574, 765, 812, 930],
+    IA: [319, 515, 563, 641, 712],
+    KS: [316, 620, 785, 913],
+    KY: [270, 364, 502, 606, 859],
+    LA: [225, 318, 337, 504, 985],
+    ME: [207],
+    MD: [227, 240, 301, 410, 443, 667],
+    MA: [339, 351, 413, 508, 617, 774, 781, 857, 978],
+    MI: [231, 248, 269, 313, 517, 586, 616, 679, 734, 810, 906, 947, 989],
+    MN: [218, 320, 507, 612, 651, 763, 952],
+    MS: [228, 601, 662, 769],
+    MO: [314, 417, 557, 573, 636, 660, 816],
+    MT: [406],
+    NE: [308, 402, 531],
+    NV: [702, 725, 775],
+    NH: [603],
+    NJ: [201, 551, 609, 640, 732, 848, 856, 862, 908, 973],
+    NM: [505, 575],
+    NY: [212, 315, 332, 347, 516, 518, 585, 607, 631, 646, 680, 716, 718, 838, 845, 914, 917, 929, 934],
+    NC: [252, 336, 704, 743, 828, 910, 919, 980, 984],
+    ND: [701],
+    OH: [216, 220, 234, 283, 326, 330, 380, 419, 436, 440, 513, 567, 614, 740, 937],
+    OK: [405, 539, 572, 580, 918],
+    OR: [458, 503, 541, 971],
+    PA: [215, 223, 267, 272, 412, 445, 484, 570, 610, 717, 724, 814, 835, 878],
+    RI: [401],
+    SC: [803, 821, 839, 843, 854, 864],
+    SD: [605],
+    TN: [423, 615, 629, 731, 865, 901, 931],
+    TX: [210, 214, 254, 281, 325, 346, 361, 409, 430, 432, 469, 512, 682, 713, 726, 737, 806, 817, 830, 832, 903,
+        915, 936, 940, 945, 956, 972, 979],
+    UT: [385, 435, 801],
+    VT: [802],
+    VA: [276, 434, 540, 571, 703, 757, 804, 826, 948],
+    WA: [206, 253, 360, 425, 509, 564],
+    WV: [304, 681],
+    WI: [262, 414, 534, 608, 715, 920],
+    WY: [307],
+    PR: [787, 939],
+    AB: [368, 403, 587, 780, 825],
+    BC: [236, 250, 604, 672, 778],
+    MB: [204, 431],
+    NB: [506],
+    NL: [709],
+    NS: [782, 902], // Shared with Prince Edward Island (same timezone)
+    NT: [867], // Shared by the three territories
+    ON: [226, 249, 289, 343, 365, 416, 437, 519, 548, 613, 647, 705, 807, 905],
+    QC: [367, 418, 438, 450, 514, 579, 581, 819, 873],
+    SK: [306, 639]
+};
+
+/**
+ * Area codes whose territory sits in a different timezone than most of their region
+ */
+const AREA_CODE_TIMEZONES = {
+    915: 'America/Denver', // El Paso
+    219: 'America/Chicago', // Northwest Indiana (Gary)
+    270: 'America/Chicago', // Western Kentucky
+    364: 'America/Chicago',
+    502: 'America/Kentucky/Louisville',
+    423: 'America/New_York', // East Tennessee (Chattanooga)
+    865: 'America/New_York' // Knoxville
+};
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    REGIONS,
+    COUNTRIES,
+    CITIES,
+    CITY_ALIASES,
+    AREA_CODES,
+    AREA_CODE_TIMEZONES
+};
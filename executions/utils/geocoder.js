@@ -0,0 +1,514 @@
+/**
+ * Offline Geocoder Utility
+ *
+ * Resolves free-form lead locations ("Austin, TX", "100 Congress Ave, Austin, Texas 78701",
+ * "Toronto, ON, Canada") to structured city, state, country, coordinates and IANA timezone
+ * using the bundled gazetteer. No network calls. When the location is missing or only
+ * names a state that spans two timezones, the phone's area code fills in.
+ *
+ * Also converts send windows ("09:00-11:00" on weekdays) to the next matching instant in
+ * the recipient's timezone, so schedulers can send at the lead's real local time.
+ *
+ * @version 1.0.0
+ * @requires ./gazetteer
+ * @requires ./phone-numbers
+ */
+
+const {
+    REGIONS,
+    COUNTRIES,
+    CITIES,
+    CITY_ALIASES,
+    AREA_CODES,
+    AREA_CODE_TIMEZONES
+} = require('./gazetteer');
+const { parsePhoneNumber } = require('./phone-numbers');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DEFAULT_SEND_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+
+/**
+ * Geocode precision, best first
+ */
+const GEO_PRECISION = {
+    CITY: 'city', // City found in the gazetteer
+    REGION: 'region', // State/province only (coordinates are its centroid)
+    AREA_CODE: 'area-code', // No usable location; region from the phone's area code
+    COUNTRY: 'country' // Country only (no coordinates or timezone)
+};
+
+// Lookup indexes built once from the gazetteer
+const cityIndex = new Map(); // normalized name -> [city]
+const regionIndex = new Map(); // normalized name or code -> region code
+const countryIndex = new Map(); // normalized alias -> country code
+const areaCodeIndex = new Map(); // area code -> region code
+const cityAliases = new Map(Object.entries(CITY_ALIASES).map(([alias, name]) => [normalizePlaceName(alias), name]));
+
+for (const [name, region, latitude, longitude, timezone] of CITIES) {
+    const key = normalizePlaceName(name);
+    if (!cityIndex.has(key)) cityIndex.set(key, []);
+    cityIndex.get(key).push({ name, region, latitude, longitude, timezone: timezone || REGIONS[region][4] });
+}
+for (const [code, [name]] of Object.entries(REGIONS)) {
+    regionIndex.set(code.toLowerCase(), code);
+    regionIndex.set(normalizePlaceName(name), code);
+}
+for (const [code, [, aliases]] of Object.entries(COUNTRIES)) {
+    aliases.forEach(alias => countryIndex.set(normalizePlaceName(alias), code));
+}
+for (const [region, codes] of Object.entries(AREA_CODES)) {
+    codes.forEach(code => areaCodeIndex.set(code, region));
+}
+
+// ============================================================================
+// GEOCODING
+// ============================================================================
+
+/**
+ * Geocode a free-form location string
+ *
+ * @param {string} text - Location or address
+ * @returns {Object|null} { city, state, stateName, country, postalCode, latitude, longitude, timezone, precision },
+ *   or null if nothing was recognized
+ */
+function geocodeLocation(text) {
+    if (!text || typeof text !== 'string') return null;
+
+    const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) return null;
+
+    // Trailing country ("USA", "Canada"; "CA" only after a Canadian province)
+    let country = countryIndex.get(normalizePlaceName(parts[parts.length - 1])) || null;
+    if (!country && parts.length >= 2 && parts[parts.length - 1] === 'CA' &&
+        REGIONS[findRegion(stripPostalCode(parts[parts.length - 2]).rest)]?.[1] === 'CA') {
+        country = 'CA';
+    }
+    if (country) parts.pop();
+
+    // Region (and postal code), scanning from the end: "TX 78701", "Texas", "Austin TX"
+    let region = null;
+    let postalCode = null;
+    let cityText = null;
+    for (let i = parts.length - 1; i >= 0 && !region; i--) {
+        const { rest, postalCode: postal } = stripPostalCode(parts[i]);
+
+        const whole = findRegion(rest);
+        if (whole) {
+            region = whole;
+            postalCode = postal;
+            cityText = i > 0 ? parts[i - 1] : null;
+            break;
+        }
+
+        const trailing = findTrailingRegion(rest);
+        if (trailing) {
+            region = trailing.region;
+            postalCode = postal;
+            cityText = trailing.rest || (i > 0 ? parts[i - 1] : null);
+        }
+    }
+
+    // A trailing part that is neither a region nor a country ("London, UK") puts the
+    // place outside the gazetteer, so a same-named US/Canadian city would be a wrong guess
+    if (!region && !country && parts.length > 1) return null;
+
+    // City without a region ("Chicago") resolves only if the name is unique in the gazetteer
+    const city = findCity(cityText || (!region ? parts[0] : null), region);
+    if (city) {
+        region = city.region;
+    }
+
+    if (!region) {
+        return country ? buildResult({ country, precision: GEO_PRECISION.COUNTRY }) : null;
+    }
+
+    const [stateName, regionCountry, latitude, longitude, timezone] = REGIONS[region];
+    return buildResult({
+        city: city ? city.name : cleanCityText(cityText),
+        state: region,
+        stateName,
+        country: regionCountry,
+        postalCode,
+        latitude: city ? city.latitude : latitude,
+        longitude: city ? city.longitude : longitude,
+        timezone: city ? city.timezone : timezone,
+        precision: city ? GEO_PRECISION.CITY : GEO_PRECISION.REGION
+    });
+}
+
+/**
+ * Region, country and timezone for a North American phone number's area code
+ *
+ * @param {string} phone - Phone number in any format
+ * @returns {Object|null} { areaCode, state, country, timezone }, or null if not a known NANP number
+ */
+function lookupAreaCode(phone) {
+    if (!phone) return null;
+
+    const parsed = parsePhoneNumber(phone);
+    if (!parsed || parsed.callingCode !== '1' || !parsed.isValid) return null; // Outside North America
+
+    const areaCode = Number(parsed.nationalNumber.slice(0, 3));
+    const region = areaCodeIndex.get(areaCode);
+    if (!region) return null;
+
+    return {
+        areaCode: String(areaCode),
+        state: region,
+        country: REGIONS[region][1],
+        timezone: AREA_CODE_TIMEZONES[areaCode] || REGIONS[region][4]
+    };
+}
+
+/**
+ * Geocode a lead from its location fields, with the phone's area code as fallback
+ *
+ * Tries city/state columns, then standardizedLocation, location and address; the first
+ * city-level match wins, else the first region-level one. A region-level match takes the
+ * area code's timezone when both agree on the region (splits like El Paso or western Kentucky).
+ *
+ * @param {Object} lead - Lead with location fields and/or phone
+ * @returns {Object|null} geocodeLocation result plus { source: 'gazetteer'|'area-code', from: [lead fields used] }
+ */
+function geocodeLead(lead) {
+    if (!lead) return null;
+
+    const candidates = [];
+    if (lead.city || lead.state) {
+        candidates.push({
+            from: ['city', 'state'].filter(field => lead[field]),
+            text: [lead.city, [lead.state, lead.postalCode].filter(Boolean).join(' '), lead.country].filter(Boolean).join(', ')
+        });
+    }
+    for (const field of ['standardizedLocation', 'location', 'address']) {
+        if (lead[field]) candidates.push({ from: [field], text: lead[field] });
+    }
+
+    let best = null;
+    for (const candidate of candidates) {
+        const result = geocodeLocation(candidate.text);
+        if (!result || (best && rankPrecision(result.precision) >= rankPrecision(best.precision))) continue;
+        best = { ...result, source: 'gazetteer', from: candidate.from };
+        if (result.precision === GEO_PRECISION.CITY) break;
+    }
+
+    const areaCode = lookupAreaCode(lead.phone);
+    if (!areaCode) return best;
+
+    if (!best || best.precision === GEO_PRECISION.COUNTRY) {
+        if (best && best.country !== areaCode.country) return best;
+
+        const [stateName, country, latitude, longitude] = REGIONS[areaCode.state];
+        return {
+            ...buildResult({
+                state: areaCode.state,
+                stateName,
+                country,
+                latitude,
+                longitude,
+                timezone: areaCode.timezone,
+                precision: GEO_PRECISION.AREA_CODE
+            }),
+            source: 'area-code',
+            from: ['phone']
+        };
+    }
+
+    if (best.precision === GEO_PRECISION.REGION && best.state === areaCode.state && best.timezone !== areaCode.timezone) {
+        return { ...best, timezone: areaCode.timezone, from: [...best.from, 'phone'] };
+    }
+
+    return best;
+}
+
+/**
+ * Best-known IANA timezone for a lead or contact
+ *
+ * @param {Object} record - Lead or CRM contact (timezone, city/state, location, address, phone)
+ * @returns {string|null} Timezone, or null if it can't be inferred
+ */
+function inferTimezone(record) {
+    if (!record) return null;
+    if (record.timezone && isValidTimezone(record.timezone)) return record.timezone;
+
+    const geo = geocodeLead(record);
+    return geo ? geo.timezone : null;
+}
+
+// ============================================================================
+// LOCAL TIME
+// ============================================================================
+
+/**
+ * Check an IANA timezone name
+ *
+ * @param {string} timezone - e.g. 'America/Chicago'
+ * @returns {boolean} True if the runtime knows the timezone
+ */
+function isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock time in a timezone
+ *
+ * @param {string} timezone - IANA timezone
+ * @param {Date} date - Instant (default: now)
+ * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:MM', hour, minute, weekday: 'monday' }
+ */
+function getLocalTime(timezone, date = new Date()) {
+    if (!isValidTimezone(timezone)) {
+        throw new Error(`Unknown timezone: ${timezone}`);
+    }
+
+    const parts = getZonedParts(timezone, date);
+    const pad = value => String(value).padStart(2, '0');
+
+    return {
+        date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+        time: `${pad(parts.hour)}:${pad(parts.minute)}`,
+        hour: parts.hour,
+        minute: parts.minute,
+        weekday: WEEKDAYS[new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()]
+    };
+}
+
+/**
+ * Next instant inside a send window, in the recipient's timezone
+ *
+ * @param {Object} schedule - Send window
+ * @param {string} schedule.timezone - Recipient's IANA timezone
+ * @param {string} schedule.timeWindow - Local window, e.g. '09:00-11:00'
+ * @param {Array<string>} schedule.days - Allowed weekdays (default: Monday-Friday)
+ * @param {Date} from - Earliest send time (default: now)
+ * @returns {Date} from itself if it's inside the window, else the start of the next window
+ */
+function getNextSendTime(schedule, from = new Date()) {
+    const { timezone, timeWindow, days = DEFAULT_SEND_DAYS } = schedule;
+    const [start, end] = parseTimeWindow(timeWindow);
+    const local = getLocalTime(timezone, from);
+    const nowMinutes = local.hour * 60 + local.minute;
+    const [year, month, day] = local.date.split('-').map(Number);
+
+    // Walk calendar days in the recipient's timezone (DST-safe)
+    for (let offset = 0; offset <= 7; offset++) {
+        const calendarDay = new Date(Date.UTC(year, month - 1, day + offset));
+        if (!days.includes(WEEKDAYS[calendarDay.getUTCDay()])) continue;
+
+        if (offset === 0) {
+            if (nowMinutes >= start && nowMinutes < end) return from;
+            if (nowMinutes >= end) continue;
+        }
+
+        return zonedTimeToDate(timezone, calendarDay.getUTCFullYear(), calendarDay.getUTCMonth() + 1, calendarDay.getUTCDate(), start);
+    }
+
+    throw new Error(`No send day in schedule: ${days.join(', ')}`);
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Lowercase, strip accents and periods, collapse whitespace
+ */
+function normalizePlaceName(name) {
+    return String(name)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\./g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Region code for a whole string ("TX", "tx", "Texas")
+ */
+function findRegion(text) {
+    return text ? regionIndex.get(normalizePlaceName(text)) || null : null;
+}
+
+/**
+ * Region at the end of a string ("Austin TX", "Salt Lake City Utah")
+ * Two-letter codes must be uppercase here so words like "in" or "or" don't match.
+ */
+function findTrailingRegion(text) {
+    const words = text.split(/\s+/);
+
+    for (let count = Math.min(3, words.length - 1); count >= 1; count--) {
+        const tail = words.slice(-count).join(' ');
+        if (count === 1 && tail.length === 2 && tail !== tail.toUpperCase()) continue;
+
+        const region = findRegion(tail);
+        if (region) {
+            return { region, rest: words.slice(0, -count).join(' ') };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Split off a trailing US ZIP or Canadian postal code
+ */
+function stripPostalCode(text) {
+    const zip = text.match(/^(.*?)\s*\b(\d{5})(?:-\d{4})?$/);
+    if (zip) return { rest: zip[1].trim(), postalCode: zip[2] };
+
+    const canadian = text.match(/^(.*?)\s*\b([A-Za-z]\d[A-Za-z])\s?(\d[A-Za-z]\d)$/);
+    if (canadian) return { rest: canadian[1].trim(), postalCode: `${canadian[2]} ${canadian[3]}`.toUpperCase() };
+
+    return { rest: text, postalCode: null };
+}
+
+/**
+ * Gazetteer city by name, within a region if known
+ */
+function findCity(text, region) {
+    if (!text) return null;
+
+    const key = normalizePlaceName(text);
+    const alias = cityAliases.get(key);
+    const matches = cityIndex.get(alias ? normalizePlaceName(alias) : key) || [];
+
+    if (region) {
+        return matches.find(city => city.region === region) || null;
+    }
+    return matches.length === 1 ? matches[0] : null; // "Portland" alone is ambiguous
+}
+
+/**
+ * Keep an unrecognized city name unless it looks like a street address
+ */
+function cleanCityText(text) {
+    if (!text || /\d/.test(text)) return null;
+    return text.trim();
+}
+
+/**
+ * Result with every field present
+ */
+function buildResult(fields) {
+    return {
+        city: null,
+        state: null,
+        stateName: null,
+        country: null,
+        postalCode: null,
+        latitude: null,
+        longitude: null,
+        timezone: null,
+        ...fields
+    };
+}
+
+/**
+ * Lower is better
+ */
+function rankPrecision(precision) {
+    return Object.values(GEO_PRECISION).indexOf(precision);
+}
+
+/**
+ * '09:00-11:00' -> [540, 660] (minutes after midnight)
+ */
+function parseTimeWindow(timeWindow) {
+    const match = String(timeWindow || '').match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+    if (!match) {
+        throw new Error(`Invalid time window: ${timeWindow}. Expected 'HH:MM-HH:MM'`);
+    }
+
+    const start = Number(match[1]) * 60 + Number(match[2]);
+    const end = Number(match[3]) * 60 + Number(match[4]);
+    if (end <= start) {
+        throw new Error(`Invalid time window: ${timeWindow}. End must be after start`);
+    }
+
+    return [start, end];
+}
+
+/**
+ * Calendar fields of an instant in a timezone
+ */
+function getZonedParts(timezone, date) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date);
+
+    return Object.fromEntries(parts
+        .filter(part => part.type !== 'literal')
+        .map(part => [part.type, Number(part.value)]));
+}
+
+/**
+ * Instant of a wall-clock time in a timezone
+ */
+function zonedTimeToDate(timezone, year, month, day, minutesAfterMidnight) {
+    const wallClock = Date.UTC(year, month - 1, day, Math.floor(minutesAfterMidnight / 60), minutesAfterMidnight % 60);
+    const offsetAt = instant => {
+        const parts = getZonedParts(timezone, new Date(instant));
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+    };
+
+    // Second pass corrects the offset when the first guess lands across a DST change
+    const firstGuess = wallClock - offsetAt(wallClock);
+    return new Date(wallClock - offsetAt(firstGuess));
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    geocodeLocation,
+    geocodeLead,
+    lookupAreaCode,
+    inferTimezone,
+    isValidTimezone,
+    getLocalTime,
+    getNextSendTime,
+    GEO_PRECISION
+};
+
+// ============================================================================
+// USAGE EXAMPLES
+// ============================================================================
+
+/**
+ * Example 1: Geocode a location string
+ *
+ * const { geocodeLocation } = require('./geocoder');
+ *
+ * geocodeLocation('100 Congress Ave, Austin, Texas 78701');
+ * // { city: 'Austin', state: 'TX', stateName: 'Texas', country: 'US', postalCode: '78701',
+ * //   latitude: 30.27, longitude: -97.74, timezone: 'America/Chicago', precision: 'city' }
+ *
+ * Example 2: No location, only a phone number
+ *
+ * const { geocodeLead } = require('./geocoder');
+ *
+ * geocodeLead({ companyName: 'Sun City Realty', phone: '(915) 555-0100' });
+ * // { state: 'TX', country: 'US', timezone: 'America/Denver', precision: 'area-code', source: 'area-code', ... }
+ *
+ * Example 3: Schedule a send for 9-11 AM the recipient's time
+ *
+ * const { getNextSendTime } = require('./geocoder');
+ *
+ * const sendAt = getNextSendTime({ timezone: lead.timezone, timeWindow: '09:00-11:00' });
+ * // Friday 4 PM in Chicago -> Monday 09:00 America/Chicago (14:00 or 15:00 UTC depending on DST)
+ */
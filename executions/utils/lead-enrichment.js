@@ -2,18 +2,58 @@
  * Lead Enrichment Utility
  *
  * Enriches, validates, deduplicates, and formats leads for cold outreach platforms.
- * Handles data from LinkedIn and Google Maps scrapers.
+ * Handles data from LinkedIn and Google Maps scrapers, and from imported lead files.
  *
  * @version 1.0.0
  * @requires apify
  * @requires dns (Node.js built-in)
  * @requires validator
+ * @requires ./website-crawler
+ * @requires ./lead-import
+ * @requires ./entity-resolution
+ * @requires ./email-verifier
+ * @requires ./email-patterns
+ * @requires ./lead-scoring
+ * @requires ./predictive-scoring
+ * @requires ./suppression-list
+ * @requires ./enrichment-pipeline
+ * @requires ./provenance
+ * @requires ./export-profiles
+ * @requires ./geocoder
+ * @requires ./phone-numbers
  */
 
 const Apify = require('apify');
 const dns = require('dns').promises;
 const validator = require('validator');
 const crypto = require('crypto');
+const { crawlWebsite, mergeWebsiteData } = require('./website-crawler');
+const { loadLeadFiles } = require('./lead-import');
+const { findBestMatch, indexCandidates } = require('./entity-resolution');
+const { EmailVerifier, EmailVerificationCache, VERIFICATION_STATUS } = require('./email-verifier');
+const { EmailPatternStore, rankEmailCandidates } = require('./email-patterns');
+const { scoreLead, getScoringProfileForLead, resolveScoringProfile } = require('./lead-scoring');
+const { predictOutcome, loadModel } = require('./predictive-scoring');
+const { SuppressionList, getSharedSuppressionList } = require('./suppression-list');
+const {
+    EnrichmentPipeline,
+    EnrichmentCheckpoint,
+    dropLead,
+    buildRunId,
+    attachProgressLogger
+} = require('./enrichment-pipeline');
+const {
+    recordProvenance,
+    seedProvenance,
+    recordTransform,
+    recordDerivation,
+    annotateProvenance,
+    pickPreferredValue,
+    PROVENANCE_SOURCES
+} = require('./provenance');
+const { exportLeads, formatLeads, resolveExportProfile } = require('./export-profiles');
+const { geocodeLead } = require('./geocoder');
+const { parsePhoneNumber, toE164, DEFAULT_PHONE_COUNTRY } = require('./phone-numbers');
 
 /**
  * Main enrichment function
@@ -23,16 +63,44 @@ async function enrichLeads(options = {}) {
     const {
         linkedinDatasetId = null,
         googleMapsDatasetId = null,
-        minQualityScore = 50,
-        exportFormat = 'instantly', // 'instantly', 'smartlead', or 'both'
+        files = [], // Lead files: paths or { path, columnMapping, defaults, leadSource, ... } (see lead-import.js)
+        minQualityScore = 50, // Used unless the lead's scoring profile sets its own minQualityScore
+        scoringProfile = null, // Profile for every lead: registered name, .json path or object (see lead-scoring.js)
+        verticalScoringProfiles = {}, // Vertical -> profile, overriding the vertical definition's scoringProfile
+        predictiveModel = null, // Outcome model (file path or object) scored next to the rule-based score (see predictive-scoring.js)
+        minPredictedScore = null, // Also require this predicted score (0-100) when a model is given
+        exportFormat = 'instantly', // 'both' (Instantly + SmartLead), or export profile(s): registered name, .json path or object (see export-profiles.js)
         deduplicateBy = ['email', 'domain'], // Array of fields to deduplicate by
-        enrichmentLevel = 'standard' // 'basic', 'standard', or 'advanced'
+        enrichmentLevel = 'standard', // 'basic', 'standard', or 'advanced'
+        crawlOptions = {}, // Advanced level: website crawl options (see website-crawler.js)
+        matchThreshold = 0.5, // Merge LinkedIn/file and Google Maps records at or above this match score
+        reviewThreshold = 0.35, // Audit possible matches at or above this score without merging
+        matchWeights = {}, // Field weights for matching (see entity-resolution.js)
+        blockedMergeIds = [], // Merge IDs rejected in review (from merge_audit.json); never merged again
+        sourceTrust = {}, // Source -> confidence (0-1) for field provenance and conflicts, e.g. { file: 0.95 } (see provenance.js)
+        verifyMailboxes = false, // SMTP RCPT probe + catch-all detection (needs outbound port 25)
+        verificationOptions = {}, // heloHost, fromAddress, port, timeout, cacheStoreName, TTLs (see email-verifier.js)
+        patternStoreName = 'email-patterns', // Key-value store holding learned per-domain email patterns
+        suppressionListName = null, // Do-not-contact list store (default: the shared suppression list)
+        concurrency = {}, // Max leads in flight per stage: { enrich, suppress, validate, verify } (see enrichment-pipeline.js)
+        pipeline = null, // EnrichmentPipeline to subscribe to progress events on; its own concurrency applies (default: console progress log)
+        runId = null, // Checkpoint run ID (default: derived from the inputs, so a rerun resumes)
+        resume = true, // false = discard this run's checkpoint and start over
+        checkpointStoreName = 'enrichment-checkpoints' // Key-value store holding per-lead checkpoints
     } = options;
 
     console.log('Starting lead enrichment process...');
-    console.log(`Export format: ${exportFormat}`);
+    const exportProfiles = (exportFormat === 'both' ? ['instantly', 'smartlead'] : [].concat(exportFormat))
+        .map(resolveExportProfile); // Resolve up front so a bad profile fails before any enrichment work
+
+    console.log(`Export format: ${exportProfiles.map(profile => profile.name).join(', ')}`);
     console.log(`Minimum quality score: ${minQualityScore}`);
 
+    const activePipeline = pipeline || new EnrichmentPipeline({ concurrency });
+    if (!pipeline) {
+        attachProgressLogger(activePipeline);
+    }
+
     // Load scraped data from datasets
     const linkedinLeads = linkedinDatasetId
         ? await loadDataset(linkedinDatasetId)
@@ -42,65 +110,193 @@ async function enrichLeads(options = {}) {
         ? await loadDataset(googleMapsDatasetId)
         : [];
 
+    // Load imported lead files (CSV, XLSX, NDJSON)
+    const fileLeads = loadLeadFiles(files);
+
     console.log(`Loaded ${linkedinLeads.length} LinkedIn leads`);
     console.log(`Loaded ${googleMapsLeads.length} Google Maps leads`);
-
-    // Merge and match leads from both sources
-    const mergedLeads = await mergeLeads(linkedinLeads, googleMapsLeads);
+    console.log(`Loaded ${fileLeads.length} file leads`);
+
+    // Merge and match leads from all sources
+    const mergeAudit = [];
+    const mergedLeads = await mergeLeads(linkedinLeads, googleMapsLeads, fileLeads, {
+        matchThreshold,
+        reviewThreshold,
+        weights: matchWeights,
+        blockedMergeIds,
+        sourceTrust,
+        mergeAudit
+    });
     console.log(`Merged into ${mergedLeads.length} unique leads`);
+    const mergeDecisions = countByField(mergeAudit, 'decision');
+    console.log(`Merge audit: ${mergeDecisions.merged || 0} merged, ${mergeDecisions.review || 0} for review, ${mergeDecisions.blocked || 0} blocked`);
+    activePipeline.phase('merge', { leads: mergedLeads.length, ...mergeDecisions });
+
+    // Learn each domain's email format from the real emails in this batch
+    const patternStore = await EmailPatternStore.open(patternStoreName);
+    const learnedEmails = patternStore.learnFromLeads(mergedLeads);
+    console.log(`Learned email patterns from ${learnedEmails} known emails`);
+
+    const suppressionList = suppressionListName
+        ? await SuppressionList.open(suppressionListName)
+        : await getSharedSuppressionList();
+
+    let verificationCache = null;
+    let verifier = null;
+    if (verifyMailboxes) {
+        const { cacheStoreName = 'email-verification-cache', ...verifierOptions } = verificationOptions;
+        verificationCache = await EmailVerificationCache.open(cacheStoreName, verifierOptions);
+        verifier = new EmailVerifier({ ...verifierOptions, cache: verificationCache });
+    }
 
-    // Enrich leads with additional data
-    const enrichedLeads = [];
-    for (const lead of mergedLeads) {
-        const enriched = await enrichSingleLead(lead, enrichmentLevel);
-        if (enriched) {
-            enrichedLeads.push(enriched);
+    // Stream leads through enrichment, suppression, validation and mailbox verification
+    const checkpointRunId = runId || buildRunId({
+        linkedinDatasetId,
+        googleMapsDatasetId,
+        files,
+        enrichmentLevel,
+        crawlOptions,
+        verifyMailboxes,
+        sourceTrust
+    });
+    const checkpoint = await EnrichmentCheckpoint.open(checkpointRunId, checkpointStoreName);
+    if (!resume) {
+        await checkpoint.clear();
+    }
+
+    const stages = [
+        {
+            name: 'enrich',
+            run: lead => enrichSingleLead(lead, enrichmentLevel, { crawlOptions, patternStore, sourceTrust })
+        },
+        {
+            // Drop suppressed contacts before spending validation and SMTP probes on them
+            name: 'suppress',
+            checkpoint: false, // Rechecked on resume: the list may have grown since
+            run: async lead => {
+                const { blocked } = suppressionList.filterLeads([lead], { channel: 'enrichment' });
+                return blocked.length > 0 ? dropLead('suppressed', blocked[0].match) : lead;
+            }
+        },
+        {
+            name: 'validate',
+            checkpoint: false,
+            run: async lead => validateLead(lead) ? lead : dropLead('invalid', { errors: lead.validationErrors })
         }
+    ];
+    if (verifier) {
+        stages.push({
+            // Drops addresses the mail server rejects
+            name: 'verify',
+            run: async lead => await verifyLeadMailbox(lead, verifier) ? lead : dropLead('mailbox_invalid', lead.emailVerification)
+        });
     }
 
-    console.log(`Successfully enriched ${enrichedLeads.length} leads`);
+    let pipelineResult;
+    try {
+        pipelineResult = await activePipeline.run(mergedLeads, stages, { checkpoint });
+    } finally {
+        checkpoint.close();
+    }
 
-    // Validate email addresses
-    const validatedLeads = await validateLeads(enrichedLeads);
-    console.log(`${validatedLeads.length} leads passed validation`);
+    const validatedLeads = pipelineResult.leads;
+    const suppressedLeads = pipelineResult.dropped.filter(({ reason }) => reason === 'suppressed');
+    console.log(`${suppressedLeads.length} leads removed by the suppression list`);
+    console.log(`${validatedLeads.length} leads passed validation${verifier ? ' and mailbox verification' : ''}`);
+    const failedLeads = pipelineResult.failed.filter(({ listener }) => !listener);
+    if (failedLeads.length > 0) {
+        console.log(`${failedLeads.length} leads failed and will be retried on the next run`);
+    }
+    pipelineResult.failed.filter(({ listener }) => listener).forEach(({ stage, error }) => {
+        console.error(`Pipeline event listener failed at stage ${stage}: ${error}`);
+    });
 
-    // Calculate quality scores
-    const scoredLeads = validatedLeads.map(lead => ({
-        ...lead,
-        qualityScore: calculateQualityScore(lead)
-    }));
+    await suppressionList.persist();
+    if (verifier) {
+        await verificationCache.persist();
+        console.log(`Mailbox verification: ${verifier.stats.probes} SMTP probes, ${verificationCache.stats.hits} cache hits`);
 
-    // Filter by minimum quality score
+        // Inferred addresses the mail server confirmed are now known patterns
+        patternStore.learnFromLeads(validatedLeads);
+    }
+    await patternStore.persist();
+
+    // Calculate quality scores with each lead's scoring profile
+    const profileOptions = {
+        profile: scoringProfile ? resolveScoringProfile(scoringProfile) : null,
+        verticalProfiles: verticalScoringProfiles
+    };
+    const scoredLeads = validatedLeads.map(lead => {
+        const scoring = scoreLead(lead, getScoringProfileForLead(lead, profileOptions));
+        return {
+            ...lead,
+            qualityScore: scoring.score,
+            qualityBreakdown: scoring.breakdown,
+            qualityThreshold: scoring.minQualityScore ?? minQualityScore,
+            scoringProfile: scoring.profile
+        };
+    });
+
+    // Score with the outcome model alongside the rules
+    const model = typeof predictiveModel === 'string' ? loadModel(predictiveModel) : predictiveModel;
+    if (model) {
+        scoredLeads.forEach(lead => {
+            const prediction = predictOutcome(lead, model);
+            lead.predictedScore = prediction.score;
+            lead.predictedProbability = prediction.probability;
+            lead.predictionTarget = prediction.target;
+            lead.predictionModel = prediction.modelVersion;
+            lead.predictionFactors = prediction.topFactors;
+        });
+        console.log(`Scored leads with outcome model ${model.version} (target: ${model.target})`);
+    }
+
+    // Filter by minimum quality score (and predicted score when required)
     const qualifiedLeads = scoredLeads.filter(
-        lead => lead.qualityScore >= minQualityScore
+        lead => lead.qualityScore >= lead.qualityThreshold &&
+            (!model || minPredictedScore === null || lead.predictedScore >= minPredictedScore)
     );
     console.log(`${qualifiedLeads.length} leads meet quality threshold`);
 
     // Deduplicate leads
     const uniqueLeads = deduplicateLeads(qualifiedLeads, deduplicateBy);
     console.log(`${uniqueLeads.length} leads after deduplication`);
-
-    // Format for export platforms
-    const formattedLeads = {
-        instantly: exportFormat === 'instantly' || exportFormat === 'both'
-            ? formatForInstantly(uniqueLeads)
-            : null,
-        smartlead: exportFormat === 'smartlead' || exportFormat === 'both'
-            ? formatForSmartlead(uniqueLeads)
-            : null
-    };
+    activePipeline.phase('score', { qualified: qualifiedLeads.length, unique: uniqueLeads.length });
+
+    // Format for export platforms (keyed by profile name)
+    const exports = exportProfiles.map(profile => exportLeads(uniqueLeads, profile));
+    const formattedLeads = { instantly: null, smartlead: null };
+    for (const result of exports) {
+        formattedLeads[result.profile] = result.rows;
+        if (result.skipped.length > 0) {
+            console.log(`${result.skipped.length} leads left out of the ${result.profile} export (missing required columns)`);
+        }
+    }
 
     // Save to key-value store
-    await saveResults(formattedLeads, uniqueLeads);
+    await saveResults(exports, uniqueLeads, mergeAudit);
+
+    // Results are saved; the next run with these inputs starts fresh
+    await checkpoint.clear();
 
     // Generate summary report
-    const report = generateReport(linkedinLeads, googleMapsLeads, uniqueLeads);
+    const report = generateReport(linkedinLeads, googleMapsLeads, uniqueLeads, fileLeads);
+    report.suppression = {
+        removed: suppressedLeads.length,
+        byReason: countByField(suppressedLeads.map(({ details }) => details), 'reason')
+    };
+    report.pipeline = pipelineResult.summary;
+    report.exports = Object.fromEntries(exports.map(result => [
+        result.profile,
+        { format: result.format, rows: result.rows.length, skipped: result.skipped.length }
+    ]));
     console.log('\n=== ENRICHMENT REPORT ===');
     console.log(JSON.stringify(report, null, 2));
 
     return {
         leads: uniqueLeads,
         formatted: formattedLeads,
+        mergeAudit,
         report
     };
 }
@@ -120,93 +316,245 @@ async function loadDataset(datasetId) {
 }
 
 /**
- * Merge leads from LinkedIn and Google Maps sources
- * Match by company name, domain, or phone number
+ * Merge leads from LinkedIn, Google Maps and imported file sources
+ * Match with the weighted entity resolver (name, domain, phone, address, city)
+ *
+ * File leads are handled like LinkedIn leads: each stays its own lead and picks up
+ * business data from a matching Google Maps record. Their leadSource names the file.
+ * Every merge, possible match below the threshold, and blocked pair is recorded in
+ * options.mergeAudit with its score and the fields that drove it (see unmergeLead).
+ * Each field's source is recorded in lead.provenance; where both records have a phone
+ * or address, the more trusted source wins (Google Maps by default).
+ *
+ * @param {Array<Object>} linkedinLeads - LinkedIn records
+ * @param {Array<Object>} googleMapsLeads - Google Maps records
+ * @param {Array<Object>} fileLeads - Imported file records
+ * @param {Object} options - Matching options
+ * @param {number} options.matchThreshold - Merge at or above this score (default: 0.5)
+ * @param {number} options.reviewThreshold - Audit possible matches at or above this score (default: 0.35)
+ * @param {Object} options.weights - Field weights (see entity-resolution.js)
+ * @param {Array<string>} options.blockedMergeIds - Merge IDs rejected in review; never merged again
+ * @param {Object} options.sourceTrust - Source -> confidence overrides (see provenance.js)
+ * @param {Array<Object>} options.mergeAudit - Array that receives audit entries
+ * @returns {Promise<Array<Object>>} Merged leads
  */
-async function mergeLeads(linkedinLeads, googleMapsLeads) {
+async function mergeLeads(linkedinLeads, googleMapsLeads, fileLeads = [], options = {}) {
+    const { mergeAudit = [], sourceTrust = {}, ...matchOptions } = options;
     const merged = [];
-    const processedDomains = new Set();
-
-    // Process LinkedIn leads first (usually have better decision maker info)
-    for (const linkedinLead of linkedinLeads) {
-        const domain = extractDomain(linkedinLead.website || linkedinLead.companyUrl);
-
-        // Try to find matching Google Maps entry
-        let matchingGoogleLead = null;
-        if (domain) {
-            matchingGoogleLead = googleMapsLeads.find(gmLead => {
-                const gmDomain = extractDomain(gmLead.website);
-                return gmDomain === domain;
-            });
-        }
+    const matchedGoogleIndexes = new Set();
+    const googleCandidates = indexCandidates(googleMapsLeads); // Match fields extracted once for every lead
 
-        // If no domain match, try fuzzy name match
-        if (!matchingGoogleLead && linkedinLead.companyName) {
-            matchingGoogleLead = googleMapsLeads.find(gmLead =>
-                fuzzyMatch(linkedinLead.companyName, gmLead.name)
-            );
+    // Process LinkedIn and file leads first (usually have better decision maker info)
+    for (const linkedinLead of [...linkedinLeads, ...fileLeads]) {
+        const baseSource = linkedinLead.leadSource || 'LinkedIn';
+
+        // Find the best-scoring Google Maps entry
+        const match = findBestMatch(linkedinLead, googleCandidates, matchOptions);
+        const matchingGoogleLead = match && match.decision === 'merged' ? match.candidate : null;
+
+        if (match) {
+            mergeAudit.push(createMergeAuditEntry(linkedinLead, baseSource, match));
         }
 
-        // Merge data from both sources
+        // Merge data from both sources, keeping the more trusted phone and address
+        const baseProvenance = getRecordProvenance(linkedinLead);
+        const googleProvenance = matchingGoogleLead ? getRecordProvenance(matchingGoogleLead, PROVENANCE_SOURCES.GOOGLE_MAPS) : null;
+        const phone = pickPreferredValue([
+            matchingGoogleLead && { value: matchingGoogleLead.phone, ...googleProvenance },
+            { value: linkedinLead.phone, ...baseProvenance }
+        ], sourceTrust);
+        const address = pickPreferredValue([
+            matchingGoogleLead && { value: matchingGoogleLead.address, ...googleProvenance },
+            { value: linkedinLead.location, ...baseProvenance }
+        ], sourceTrust);
+
         const mergedLead = {
             ...linkedinLead,
-            phone: matchingGoogleLead?.phone || linkedinLead.phone,
-            address: matchingGoogleLead?.address || linkedinLead.location,
+            phone: phone ? phone.value : linkedinLead.phone,
+            address: address ? address.value : linkedinLead.location,
             googleRating: matchingGoogleLead?.rating,
             reviewCount: matchingGoogleLead?.reviewCount,
             googleMapsUrl: matchingGoogleLead?.googleMapsUrl,
-            leadSource: matchingGoogleLead ? 'LinkedIn + Google Maps' : 'LinkedIn',
+            leadSource: matchingGoogleLead ? `${baseSource} + Google Maps` : baseSource,
             enrichmentDate: new Date().toISOString()
         };
 
+        for (const [field, winner] of [['phone', phone], ['address', address]]) {
+            if (winner) {
+                const { value, ...provenance } = winner;
+                recordProvenance(mergedLead, field, provenance, sourceTrust);
+            }
+        }
+
+        if (matchingGoogleLead) {
+            mergedLead.mergeId = match.mergeId;
+            mergedLead.mergeScore = match.score;
+            matchedGoogleIndexes.add(match.index);
+            seedProvenance(mergedLead, googleProvenance.source, {
+                ...googleProvenance,
+                fields: ['googleRating', 'reviewCount', 'googleMapsUrl'],
+                sourceTrust
+            });
+        }
+
+        seedProvenance(mergedLead, baseProvenance.source, { ...baseProvenance, sourceTrust });
         merged.push(mergedLead);
-        if (domain) processedDomains.add(domain);
     }
 
     // Add remaining Google Maps leads that weren't matched
-    for (const googleLead of googleMapsLeads) {
-        const domain = extractDomain(googleLead.website);
-        if (!domain || !processedDomains.has(domain)) {
-            merged.push({
-                ...googleLead,
-                companyName: googleLead.name,
-                leadSource: 'Google Maps',
-                enrichmentDate: new Date().toISOString()
-            });
+    googleMapsLeads.forEach((googleLead, index) => {
+        if (!matchedGoogleIndexes.has(index)) {
+            merged.push(formatGoogleMapsLead(googleLead, sourceTrust));
         }
-    }
+    });
 
     return merged;
 }
 
+/**
+ * Shape an unmatched Google Maps record as a lead
+ */
+function formatGoogleMapsLead(googleLead, sourceTrust = {}) {
+    const lead = {
+        ...googleLead,
+        companyName: googleLead.name,
+        leadSource: 'Google Maps',
+        enrichmentDate: new Date().toISOString()
+    };
+
+    const provenance = getRecordProvenance(googleLead, PROVENANCE_SOURCES.GOOGLE_MAPS);
+    return seedProvenance(lead, provenance.source, { ...provenance, sourceTrust });
+}
+
+/**
+ * Provenance source of a raw record: its lead file, else the given scraper source
+ *
+ * @param {Object} record - LinkedIn, Google Maps or imported file record
+ * @param {string} scraperSource - Source for scraped records (default: LinkedIn)
+ * @returns {Object} { source, detail, retrievedAt }
+ */
+function getRecordProvenance(record, scraperSource = PROVENANCE_SOURCES.LINKEDIN) {
+    if (record.importFile) {
+        return { source: PROVENANCE_SOURCES.FILE, detail: record.leadSource || null, retrievedAt: record.importDate || null };
+    }
+    return { source: scraperSource, retrievedAt: record.scrapeDate || null };
+}
+
+/**
+ * Build a merge audit entry (keeps both source records so the merge can be undone)
+ */
+function createMergeAuditEntry(primaryLead, primarySource, match) {
+    return {
+        mergeId: match.mergeId,
+        decision: match.decision, // 'merged', 'review' (below threshold) or 'blocked'
+        score: match.score,
+        matchedOn: match.matchedOn,
+        conflicts: match.conflicts,
+        signals: match.signals,
+        primary: {
+            source: primarySource,
+            companyName: primaryLead.companyName || primaryLead.name || null,
+            record: primaryLead
+        },
+        secondary: {
+            source: 'Google Maps',
+            companyName: match.candidate.name || null,
+            record: match.candidate
+        },
+        decidedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Undo a merge, returning the two source records as separate unmerged leads
+ * To stop the pair from merging again, pass its mergeId in enrichLeads' blockedMergeIds.
+ *
+ * @param {Object} lead - Merged lead (has mergeId)
+ * @param {Array<Object>} mergeAudit - Audit entries from mergeLeads / enrichLeads
+ * @returns {Array<Object>} [primary lead, Google Maps lead]
+ * @throws {Error} If the lead was not merged or its audit entry is missing
+ */
+function unmergeLead(lead, mergeAudit) {
+    if (!lead || !lead.mergeId) {
+        throw new Error('Lead was not merged (no mergeId)');
+    }
+
+    const entry = mergeAudit.find(item => item.mergeId === lead.mergeId && item.decision === 'merged');
+    if (!entry) {
+        throw new Error(`No merge audit entry found for mergeId: ${lead.mergeId}`);
+    }
+
+    const primary = {
+        ...entry.primary.record,
+        leadSource: entry.primary.source,
+        enrichmentDate: new Date().toISOString()
+    };
+    const provenance = getRecordProvenance(entry.primary.record);
+
+    return [
+        seedProvenance(primary, provenance.source, provenance),
+        formatGoogleMapsLead(entry.secondary.record)
+    ];
+}
+
 /**
  * Enrich single lead with additional data
+ *
+ * @param {Object} lead - Lead to enrich
+ * @param {string} enrichmentLevel - 'basic', 'standard', or 'advanced'
+ * @param {Object} options - Enrichment options
+ * @param {Object} options.crawlOptions - Advanced level: website crawl options
+ * @param {EmailPatternStore} options.patternStore - Learned email patterns for email inference
+ * @param {Object} options.sourceTrust - Source -> confidence overrides (see provenance.js)
  */
-async function enrichSingleLead(lead, enrichmentLevel) {
+async function enrichSingleLead(lead, enrichmentLevel, options = {}) {
+    const { crawlOptions = {}, patternStore = null, sourceTrust = {} } = options;
+
     try {
         const enriched = { ...lead };
 
         // Extract domain from website
         const domain = extractDomain(lead.website);
         enriched.domain = domain;
+        recordDerivation(enriched, 'domain', ['website'], 'extract_domain');
 
         // Basic enrichment - always performed
         if (enrichmentLevel === 'basic' || enrichmentLevel === 'standard' || enrichmentLevel === 'advanced') {
-            // Infer email if not present
-            if (!enriched.email && enriched.firstName && enriched.lastName && domain) {
-                enriched.email = inferEmail(enriched.firstName, enriched.lastName, domain);
-                enriched.emailInferred = true;
-            }
-
-            // Parse company size
-            enriched.companySizeRange = parseCompanySize(enriched.companySize || enriched.employeeCount);
-
             // Extract first and last name if only full name available
             if (!enriched.firstName && enriched.fullName) {
                 const nameParts = enriched.fullName.split(' ');
                 enriched.firstName = nameParts[0];
                 enriched.lastName = nameParts.slice(1).join(' ');
+                recordDerivation(enriched, 'firstName', ['fullName'], 'split_full_name');
+                recordDerivation(enriched, 'lastName', ['fullName'], 'split_full_name');
             }
+
+            // Infer email if not present, using the domain's learned pattern when known
+            if (!enriched.email && enriched.firstName && enriched.lastName && domain) {
+                const candidates = rankEmailCandidates(enriched.firstName, enriched.lastName, domain, {
+                    patternStore,
+                    vertical: enriched.vertical
+                });
+
+                if (candidates.length > 0) {
+                    enriched.email = candidates[0].email;
+                    enriched.emailInferred = true;
+                    enriched.emailPattern = candidates[0].pattern;
+                    enriched.emailConfidence = candidates[0].confidence;
+                    enriched.emailPatternSource = candidates[0].source;
+                    enriched.emailCandidates = candidates.slice(0, 3);
+                    recordProvenance(enriched, 'email', {
+                        source: PROVENANCE_SOURCES.INFERENCE,
+                        detail: candidates[0].pattern,
+                        basis: candidates[0].source, // Pattern learned from this domain, its vertical or base rates
+                        confidence: candidates[0].confidence
+                    });
+                }
+            }
+
+            // Parse company size
+            enriched.companySizeRange = parseCompanySize(enriched.companySize || enriched.employeeCount);
+            recordDerivation(enriched, 'companySizeRange', [enriched.companySize ? 'companySize' : 'employeeCount'], 'parse_company_size');
         }
 
         // Standard enrichment - includes validation
@@ -214,25 +562,44 @@ async function enrichSingleLead(lead, enrichmentLevel) {
             // Validate domain has MX records
             if (domain) {
                 enriched.domainHasMX = await checkMXRecords(domain);
+                recordProvenance(enriched, 'domainHasMX', { source: PROVENANCE_SOURCES.DNS, detail: domain }, sourceTrust);
             }
 
-            // Clean and standardize phone number
-            if (enriched.phone) {
-                enriched.phone = standardizePhoneNumber(enriched.phone);
-            }
+            // Resolve city, state, country, coordinates and timezone (offline gazetteer, area code fallback)
+            const geo = geocodeLead(enriched);
 
             // Standardize location
             if (enriched.location || enriched.address) {
-                enriched.standardizedLocation = standardizeLocation(
-                    enriched.location || enriched.address
-                );
+                enriched.standardizedLocation = geo && geo.city && geo.state
+                    ? `${geo.city}, ${geo.state}`
+                    : standardizeLocation(enriched.location || enriched.address);
+                recordDerivation(enriched, 'standardizedLocation', [enriched.location ? 'location' : 'address'], 'standardize_location');
+            }
+
+            if (geo) {
+                applyGeocode(enriched, geo);
+            }
+
+            // Clean and standardize phone number (E.164 plus country, type and validity),
+            // once the lead's country is known
+            if (enriched.phone) {
+                standardizeLeadPhone(enriched);
             }
         }
 
-        // Advanced enrichment - additional data lookups
-        if (enrichmentLevel === 'advanced') {
-            // Could add: social profile lookups, company data APIs, etc.
-            // This is a placeholder for future enhancements
+        // Advanced enrichment - crawl the lead's own website
+        if (enrichmentLevel === 'advanced' && enriched.website) {
+            try {
+                const crawlResult = await crawlWebsite(enriched.website, crawlOptions);
+                const withWebsiteData = mergeWebsiteData(enriched, crawlResult, sourceTrust);
+
+                if (withWebsiteData.phone) {
+                    standardizeLeadPhone(withWebsiteData);
+                }
+                return withWebsiteData;
+            } catch (error) {
+                console.error(`Error crawling website ${enriched.website}: ${error.message}`);
+            }
         }
 
         return enriched;
@@ -247,93 +614,120 @@ async function enrichSingleLead(lead, enrichmentLevel) {
  * Validate leads (email format, domain, etc.)
  */
 async function validateLeads(leads) {
-    const validated = [];
+    return leads.filter(validateLead);
+}
 
-    for (const lead of leads) {
-        let isValid = true;
-        const validationErrors = [];
+/**
+ * Validate one lead
+ * Sets lead.validationStatus and lead.validationErrors (kept for debugging on invalid leads).
+ *
+ * @param {Object} lead - Enriched lead
+ * @returns {boolean} True if the lead is valid
+ */
+function validateLead(lead) {
+    let isValid = true;
+    const validationErrors = [];
+
+    // Check if email exists
+    if (!lead.email) {
+        validationErrors.push('missing_email');
+        isValid = false;
+    }
 
-        // Check if email exists
-        if (!lead.email) {
-            validationErrors.push('missing_email');
-            isValid = false;
-        }
+    // Validate email format
+    if (lead.email && !validator.isEmail(lead.email)) {
+        validationErrors.push('invalid_email_format');
+        isValid = false;
+    }
 
-        // Validate email format
-        if (lead.email && !validator.isEmail(lead.email)) {
-            validationErrors.push('invalid_email_format');
-            isValid = false;
-        }
+    // Check for disposable email domains
+    if (lead.email && isDisposableEmail(lead.email)) {
+        validationErrors.push('disposable_email');
+        isValid = false;
+    }
 
-        // Check for disposable email domains
-        if (lead.email && isDisposableEmail(lead.email)) {
-            validationErrors.push('disposable_email');
-            isValid = false;
-        }
+    // Check for role-based emails
+    if (lead.email && isRoleBasedEmail(lead.email)) {
+        validationErrors.push('role_based_email');
+        // Don't mark as invalid, but flag it
+    }
 
-        // Check for role-based emails
-        if (lead.email && isRoleBasedEmail(lead.email)) {
-            validationErrors.push('role_based_email');
-            // Don't mark as invalid, but flag it
-        }
+    // Validate required fields
+    if (!lead.companyName && !lead.name) {
+        validationErrors.push('missing_company_name');
+        isValid = false;
+    }
 
-        // Validate required fields
-        if (!lead.companyName && !lead.name) {
-            validationErrors.push('missing_company_name');
-            isValid = false;
-        }
+    if (!lead.firstName || !lead.lastName) {
+        validationErrors.push('missing_name');
+    }
 
-        if (!lead.firstName || !lead.lastName) {
-            validationErrors.push('missing_name');
-        }
+    // Add validation results to lead
+    lead.validationStatus = isValid ? 'valid' : 'invalid';
+    lead.validationErrors = validationErrors;
 
-        // Add validation results to lead
-        lead.validationStatus = isValid ? 'valid' : 'invalid';
-        lead.validationErrors = validationErrors;
+    return isValid;
+}
+
+/**
+ * Verify lead mailboxes over SMTP
+ * Adds lead.emailVerification and drops leads whose mailbox the server rejects.
+ *
+ * @param {Array<Object>} leads - Validated leads
+ * @param {EmailVerifier} verifier - Configured verifier
+ * @returns {Promise<Array<Object>>} Leads with deliverable, catch-all or unknown mailboxes
+ */
+async function verifyLeadMailboxes(leads, verifier) {
+    const verified = [];
 
-        // Only include valid leads (but keep validation errors for debugging)
-        if (isValid) {
-            validated.push(lead);
+    for (const lead of leads) {
+        if (await verifyLeadMailbox(lead, verifier)) {
+            verified.push(lead);
         }
     }
 
-    return validated;
+    return verified;
 }
 
 /**
- * Calculate quality score for lead (0-100)
+ * Verify one lead's mailbox over SMTP
+ * Adds lead.emailVerification; a rejected mailbox marks the lead invalid.
+ *
+ * @param {Object} lead - Validated lead
+ * @param {EmailVerifier} verifier - Configured verifier
+ * @returns {Promise<boolean>} False if the mail server rejected the mailbox
  */
-function calculateQualityScore(lead) {
-    let score = 0;
+async function verifyLeadMailbox(lead, verifier) {
+    const result = await verifier.verify(lead.email);
+
+    lead.emailVerification = {
+        status: result.status,
+        reason: result.reason,
+        smtpCode: result.smtpCode,
+        checkedAt: result.checkedAt
+    };
+    annotateProvenance(lead, 'email', { verification: result.status, verifiedAt: result.checkedAt });
 
-    // Email presence and validation (40 points)
-    if (lead.email && lead.validationStatus === 'valid') {
-        score += 40;
-        if (!lead.emailInferred) score += 10; // Bonus for actual email
-        if (!lead.validationErrors.includes('role_based_email')) score += 5;
+    if (result.status === VERIFICATION_STATUS.INVALID) {
+        lead.validationStatus = 'invalid';
+        lead.validationErrors.push('mailbox_invalid');
+        console.log(`Mailbox rejected: ${lead.email} (${result.reason})`);
+        return false;
     }
 
-    // Company information (20 points)
-    if (lead.companyName || lead.name) score += 10;
-    if (lead.website || lead.domain) score += 10;
-
-    // Contact information (15 points)
-    if (lead.phone) score += 10;
-    if (lead.firstName && lead.lastName) score += 5;
-
-    // Engagement signals (15 points)
-    if (lead.googleRating && lead.googleRating >= 4.0) score += 8;
-    if (lead.reviewCount && lead.reviewCount >= 10) score += 7;
-
-    // LinkedIn signals (10 points)
-    if (lead.linkedinProfile) score += 5;
-    if (lead.recentActivity && lead.recentActivity.length > 0) score += 5;
-
-    // Data quality (extra points)
-    if (lead.leadSource === 'LinkedIn + Google Maps') score += 5; // Bonus for merged data
-    if (lead.domainHasMX) score += 5; // Domain has valid MX records
+    return true;
+}
 
-    return Math.min(Math.round(score), 100); // Cap at 100
+/**
+ * Calculate quality score for lead (0-100)
+ * Use scoreLead (lead-scoring.js) for the itemized breakdown
+ *
+ * @param {Object} lead - Enriched lead
+ * @param {Object|string} profile - Scoring profile (default: the lead's vertical profile, else 'default')
+ * @returns {number} Quality score
+ */
+function calculateQualityScore(lead, profile = null) {
+    return scoreLead(lead, getScoringProfileForLead(lead, { profile })).score;
 }
 
 /**
@@ -377,85 +771,60 @@ function deduplicateLeads(leads, deduplicateBy) {
  * Format leads for Instantly.ai
  */
 function formatForInstantly(leads) {
-    return leads.map(lead => ({
-        email: lead.email,
-        firstName: lead.firstName || '',
-        lastName: lead.lastName || '',
-        companyName: lead.companyName || lead.name || '',
-        customField1: lead.jobTitle || '',
-        customField2: lead.companySizeRange || '',
-        customField3: lead.standardizedLocation || lead.location || '',
-        customField4: lead.industry || lead.vertical || '',
-        customField5: lead.phone || '',
-        customField6: lead.website || '',
-        tags: [
-            lead.vertical,
-            lead.leadSource,
-            `score:${lead.qualityScore}`
-        ].filter(Boolean).join(',')
-    }));
+    return formatLeads(leads, 'instantly');
 }
 
 /**
  * Format leads for SmartLead
  */
 function formatForSmartlead(leads) {
-    return leads.map(lead => ({
-        Email: lead.email,
-        'First Name': lead.firstName || '',
-        'Last Name': lead.lastName || '',
-        Company: lead.companyName || lead.name || '',
-        Industry: lead.industry || lead.vertical || '',
-        Location: lead.standardizedLocation || lead.location || '',
-        Phone: lead.phone || '',
-        Website: lead.website || '',
-        'Job Title': lead.jobTitle || '',
-        'Company Size': lead.companySizeRange || '',
-        'Lead Source': lead.leadSource,
-        'Quality Score': lead.qualityScore,
-        'LinkedIn Profile': lead.linkedinProfile || '',
-        'Google Rating': lead.googleRating || ''
-    }));
+    return formatLeads(leads, 'smartlead');
 }
 
 /**
  * Save results to Apify Key-Value Store
+ *
+ * @param {Array<Object>} exports - exportLeads results, saved as {profile}_export.json + .csv/.ndjson
  */
-async function saveResults(formattedLeads, rawLeads) {
+async function saveResults(exports, rawLeads, mergeAudit = []) {
     const kvStore = await Apify.openKeyValueStore();
 
     // Save formatted leads
-    if (formattedLeads.instantly) {
-        await kvStore.setValue('instantly_export.json', formattedLeads.instantly);
-        await kvStore.setValue('instantly_export.csv', convertToCSV(formattedLeads.instantly));
-    }
-
-    if (formattedLeads.smartlead) {
-        await kvStore.setValue('smartlead_export.json', formattedLeads.smartlead);
-        await kvStore.setValue('smartlead_export.csv', convertToCSV(formattedLeads.smartlead));
+    for (const { profile, rows, content, extension, contentType } of exports) {
+        await kvStore.setValue(`${profile}_export.json`, rows);
+        if (extension !== 'json') {
+            await kvStore.setValue(`${profile}_export.${extension}`, content, { contentType });
+        }
     }
 
     // Save raw enriched leads
     await kvStore.setValue('enriched_leads.json', rawLeads);
 
+    // Save merge decisions for review (merged, possible and blocked pairs)
+    await kvStore.setValue('merge_audit.json', mergeAudit);
+
     console.log('Results saved to Key-Value Store');
 }
 
 /**
  * Generate enrichment report
  */
-function generateReport(linkedinLeads, googleMapsLeads, finalLeads) {
+function generateReport(linkedinLeads, googleMapsLeads, finalLeads, fileLeads = []) {
+    const totalInput = linkedinLeads.length + googleMapsLeads.length + fileLeads.length;
+
     const report = {
         summary: {
             linkedinLeadsInput: linkedinLeads.length,
             googleMapsLeadsInput: googleMapsLeads.length,
+            fileLeadsInput: fileLeads.length,
             finalLeadsOutput: finalLeads.length,
-            deduplicationRate: `${(((linkedinLeads.length + googleMapsLeads.length - finalLeads.length) / (linkedinLeads.length + googleMapsLeads.length)) * 100).toFixed(1)}%`
+            deduplicationRate: `${(((totalInput - finalLeads.length) / totalInput) * 100).toFixed(1)}%`
         },
         validation: {
             totalValidated: finalLeads.length,
             emailValidationPassRate: `${((finalLeads.filter(l => l.email && l.validationStatus === 'valid').length / finalLeads.length) * 100).toFixed(1)}%`,
             inferredEmails: finalLeads.filter(l => l.emailInferred).length,
+            mailboxStatus: countByField(finalLeads.filter(l => l.emailVerification).map(l => l.emailVerification), 'status'),
             roleBasedEmails: finalLeads.filter(l => l.validationErrors?.includes('role_based_email')).length
         },
         quality: {
@@ -464,12 +833,17 @@ function generateReport(linkedinLeads, googleMapsLeads, finalLeads) {
             ),
             highQuality: finalLeads.filter(l => l.qualityScore >= 80).length,
             mediumQuality: finalLeads.filter(l => l.qualityScore >= 50 && l.qualityScore < 80).length,
-            lowQuality: finalLeads.filter(l => l.qualityScore < 50).length
+            lowQuality: finalLeads.filter(l => l.qualityScore < 50).length,
+            scoringProfiles: countByField(finalLeads, 'scoringProfile'),
+            averagePredictedScore: finalLeads.some(l => l.predictedScore !== undefined)
+                ? Math.round(finalLeads.reduce((sum, l) => sum + (l.predictedScore || 0), 0) / finalLeads.length)
+                : null
         },
         sources: {
             linkedinOnly: finalLeads.filter(l => l.leadSource === 'LinkedIn').length,
             googleMapsOnly: finalLeads.filter(l => l.leadSource === 'Google Maps').length,
-            merged: finalLeads.filter(l => l.leadSource === 'LinkedIn + Google Maps').length
+            files: finalLeads.filter(l => l.importFile).length,
+            merged: finalLeads.filter(l => isMergedSource(l.leadSource)).length
         },
         verticals: countByField(finalLeads, 'vertical'),
         timestamp: new Date().toISOString()
@@ -504,22 +878,19 @@ function extractDomain(urlOrEmail) {
 
 /**
  * Infer email address from name and domain
+ * Uses the domain's learned pattern when a pattern store is given, else first.last
+ *
+ * @param {string} firstName - First name
+ * @param {string} lastName - Last name
+ * @param {string} domain - Company email domain
+ * @param {Object} options - { patternStore, vertical } (see email-patterns.js)
+ * @returns {string|null} Most likely address
  */
-function inferEmail(firstName, lastName, domain) {
+function inferEmail(firstName, lastName, domain, options = {}) {
     if (!firstName || !lastName || !domain) return null;
 
-    const cleanFirst = firstName.toLowerCase().replace(/[^a-z]/g, '');
-    const cleanLast = lastName.toLowerCase().replace(/[^a-z]/g, '');
-
-    // Try common patterns (firstname.lastname is most common in B2B)
-    const patterns = [
-        `${cleanFirst}.${cleanLast}@${domain}`,
-        `${cleanFirst}${cleanLast}@${domain}`,
-        `${cleanFirst[0]}${cleanLast}@${domain}`,
-        `${cleanFirst}_${cleanLast}@${domain}`
-    ];
-
-    return patterns[0]; // Return most common pattern
+    const [best] = rankEmailCandidates(firstName, lastName, domain, { ...options, limit: 1 });
+    return best ? best.email : null;
 }
 
 /**
@@ -585,20 +956,27 @@ function parseCompanySize(sizeStr) {
 }
 
 /**
- * Standardize phone number to E.164 format
+ * Standardize lead.phone to E.164 and record its country, type and validity
+ * Numbers without a country code are read in the lead's own country (US if unknown);
+ * a number that can't be parsed is kept as-is with phoneValid false.
  */
-function standardizePhoneNumber(phone) {
-    if (!phone) return null;
-
-    const digits = phone.replace(/\D/g, '');
-
-    if (digits.length === 10) {
-        return `+1${digits}`;
-    } else if (digits.length === 11 && digits[0] === '1') {
-        return `+${digits}`;
+function standardizeLeadPhone(lead) {
+    const rawPhone = lead.phone;
+    const options = { defaultCountry: lead.country || DEFAULT_PHONE_COUNTRY };
+    const parsed = parsePhoneNumber(rawPhone, options);
+    const e164 = toE164(rawPhone, options);
+
+    lead.phone = e164 || rawPhone;
+    recordTransform(lead, 'phone', 'standardize_phone', rawPhone);
+
+    lead.phoneValid = Boolean(e164);
+    lead.phoneCountry = e164 ? parsed.country : null;
+    lead.phoneType = e164 ? parsed.type : null;
+    for (const field of ['phoneValid', 'phoneCountry', 'phoneType']) {
+        recordDerivation(lead, field, ['phone'], 'parse_phone');
     }
 
-    return phone;
+    return lead;
 }
 
 /**
@@ -617,79 +995,29 @@ function standardizeLocation(location) {
 }
 
 /**
- * Fuzzy match two strings (for company name matching)
+ * Fill the lead's geo fields from a geocodeLead result
+ * Values already on the lead (file columns, Google Maps coordinates) are kept.
  */
-function fuzzyMatch(str1, str2, threshold = 0.8) {
-    if (!str1 || !str2) return false;
-
-    const s1 = str1.toLowerCase().replace(/[^a-z0-9]/g, '');
-    const s2 = str2.toLowerCase().replace(/[^a-z0-9]/g, '');
+function applyGeocode(lead, geo) {
+    const transform = geo.source === 'area-code' ? 'area_code_lookup' : 'geocode';
+    const fields = ['city', 'state', 'country', 'postalCode', 'latitude', 'longitude', 'timezone'];
 
-    // Simple Levenshtein distance-based similarity
-    const distance = levenshteinDistance(s1, s2);
-    const maxLength = Math.max(s1.length, s2.length);
-    const similarity = 1 - distance / maxLength;
-
-    return similarity >= threshold;
-}
-
-/**
- * Calculate Levenshtein distance between two strings
- */
-function levenshteinDistance(str1, str2) {
-    const matrix = [];
+    for (const field of fields) {
+        if (geo[field] === null || (lead[field] !== undefined && lead[field] !== null && lead[field] !== '')) continue;
 
-    for (let i = 0; i <= str2.length; i++) {
-        matrix[i] = [i];
+        lead[field] = geo[field];
+        recordDerivation(lead, field, geo.from, transform);
     }
 
-    for (let j = 0; j <= str1.length; j++) {
-        matrix[0][j] = j;
-    }
-
-    for (let i = 1; i <= str2.length; i++) {
-        for (let j = 1; j <= str1.length; j++) {
-            if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-                matrix[i][j] = matrix[i - 1][j - 1];
-            } else {
-                matrix[i][j] = Math.min(
-                    matrix[i - 1][j - 1] + 1,
-                    matrix[i][j - 1] + 1,
-                    matrix[i - 1][j] + 1
-                );
-            }
-        }
-    }
-
-    return matrix[str2.length][str1.length];
+    lead.geoPrecision = geo.precision;
+    return lead;
 }
 
 /**
- * Convert array of objects to CSV string
+ * Check if a lead source combines several sources ('LinkedIn + Google Maps', 'expo.csv + Google Maps')
  */
-function convertToCSV(data) {
-    if (!data || data.length === 0) return '';
-
-    const headers = Object.keys(data[0]);
-    const csvRows = [];
-
-    // Add headers
-    csvRows.push(headers.join(','));
-
-    // Add data rows
-    for (const row of data) {
-        const values = headers.map(header => {
-            const value = row[header];
-            // Escape values with commas or quotes
-            if (typeof value === 'string' && (value.includes(',') || value.includes('"'))) {
-                return `"${value.replace(/"/g, '""')}"`;
-            }
-            return value;
-        });
-        csvRows.push(values.join(','));
-    }
-
-    return csvRows.join('\n');
+function isMergedSource(leadSource) {
+    return typeof leadSource === 'string' && leadSource.includes(' + ');
 }
 
 /**
@@ -710,8 +1038,13 @@ function countByField(items, field) {
 
 module.exports = {
     enrichLeads,
+    mergeLeads,
+    unmergeLead,
     enrichSingleLead,
     validateLeads,
+    validateLead,
+    verifyLeadMailboxes,
+    verifyLeadMailbox,
     calculateQualityScore,
     deduplicateLeads,
     formatForInstantly,
@@ -0,0 +1,455 @@
+/**
+ * Lead Import Utility
+ *
+ * Source adapters for lead lists that don't come from the scrapers: client spreadsheets,
+ * trade show exports and purchased lists. Reads CSV, XLSX and NDJSON files through a
+ * column-mapping config and normalizes each row into the lead shape the scrapers
+ * produce, so file leads flow through the same merge, validation, scoring and dedupe
+ * stages in lead-enrichment.js.
+ *
+ * @version 1.0.0
+ * @requires fs (Node.js built-in)
+ * @requires path (Node.js built-in)
+ * @requires xlsx (SheetJS 0.20.3 from the SheetJS CDN, not npm; loaded on first XLSX import)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SUPPORTED_FORMATS = ['csv', 'xlsx', 'ndjson'];
+
+/**
+ * Default header aliases per lead field (matched case- and punctuation-insensitively).
+ * A columnMapping passed to loadLeadFile overrides these field by field.
+ */
+const DEFAULT_COLUMN_MAPPING = {
+    email: ['email', 'email address', 'e-mail', 'work email', 'business email'],
+    firstName: ['first name', 'firstname', 'first', 'given name'],
+    lastName: ['last name', 'lastname', 'last', 'surname', 'family name'],
+    fullName: ['full name', 'fullname', 'contact name', 'contact'],
+    jobTitle: ['title', 'job title', 'position', 'role'],
+    companyName: ['company', 'company name', 'organization', 'organisation', 'business name', 'account name'],
+    website: ['website', 'url', 'web site', 'company website', 'domain'],
+    phone: ['phone', 'phone number', 'telephone', 'work phone', 'office phone', 'mobile', 'direct phone'],
+    address: ['address', 'street address', 'street', 'address 1', 'address line 1'],
+    location: ['location', 'city state', 'city, state'],
+    city: ['city', 'town'],
+    state: ['state', 'province', 'region'],
+    industry: ['industry', 'sector'],
+    companySize: ['company size', 'employees', 'employee count', 'headcount', '# employees'],
+    linkedinProfile: ['linkedin', 'linkedin url', 'linkedin profile', 'person linkedin url'],
+    linkedinCompany: ['company linkedin', 'company linkedin url', 'linkedin company'],
+    googleRating: ['rating', 'google rating'],
+    reviewCount: ['reviews', 'review count', 'google reviews'],
+    vertical: ['vertical']
+};
+
+const NUMERIC_FIELDS = ['googleRating', 'reviewCount'];
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Load and normalize leads from a file
+ *
+ * @param {string} filePath - Path to a .csv, .xlsx or .ndjson/.jsonl file
+ * @param {Object} options - Import options
+ * @param {string} options.format - 'csv', 'xlsx' or 'ndjson' (default: from file extension)
+ * @param {Object} options.columnMapping - Lead field -> source column name(s), e.g. { email: 'E-mail Address' }
+ * @param {Object} options.defaults - Values applied to every lead (e.g. { vertical: 'insurance' })
+ * @param {string} options.leadSource - Lead source tag (default: the file name)
+ * @param {string} options.sheet - XLSX sheet name (default: first sheet)
+ * @param {string} options.delimiter - CSV delimiter (default: auto-detect comma, semicolon or tab)
+ * @returns {Object} { leads, skipped, columns, unmappedColumns }
+ * @throws {Error} If the file is missing or the format is unsupported
+ */
+function loadLeadFile(filePath, options = {}) {
+    const {
+        format = detectFormat(filePath),
+        columnMapping = {},
+        defaults = {},
+        leadSource = path.basename(filePath),
+        sheet = null,
+        delimiter = null
+    } = options;
+
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Lead file not found: ${filePath}`);
+    }
+
+    if (!SUPPORTED_FORMATS.includes(format)) {
+        throw new Error(`Unsupported lead file format: ${format}. Must be one of: ${SUPPORTED_FORMATS.join(', ')}`);
+    }
+
+    const { rows, skipped } = format === 'xlsx'
+        ? readXlsxRows(filePath, sheet)
+        : format === 'ndjson'
+            ? readNdjsonRows(filePath)
+            : readCsvRows(filePath, delimiter);
+
+    const columns = collectColumns(rows);
+    const resolvedMapping = resolveColumnMapping(columns, columnMapping);
+    const mappedColumns = new Set(Object.values(resolvedMapping));
+
+    const leads = [];
+    const importDate = new Date().toISOString();
+
+    rows.forEach((row, index) => {
+        // Blank spreadsheet rows are not worth reporting
+        if (Object.values(row).every(value => value === null || String(value).trim() === '')) return;
+
+        const lead = normalizeRow(row, resolvedMapping, defaults);
+
+        // Skip rows without anything to identify a lead by
+        if (!lead.email && !lead.companyName && !lead.fullName && !lead.website && !lead.phone) {
+            skipped.push({ row: index + 1, reason: 'no email, name, company, website or phone' });
+            return;
+        }
+
+        leads.push({
+            ...lead,
+            leadSource,
+            importFile: filePath,
+            importRow: index + 1,
+            importDate
+        });
+    });
+
+    return {
+        leads,
+        skipped,
+        columns,
+        unmappedColumns: columns.filter(column => !mappedColumns.has(column))
+    };
+}
+
+/**
+ * Load several files and concatenate their leads
+ *
+ * @param {Array<string|Object>} files - Paths, or { path, ...loadLeadFile options }
+ * @returns {Array<Object>} Normalized leads from every file
+ */
+function loadLeadFiles(files = []) {
+    const leads = [];
+
+    for (const entry of files) {
+        const { path: filePath, ...options } = typeof entry === 'string' ? { path: entry } : entry;
+        const result = loadLeadFile(filePath, options);
+
+        console.log(`Imported ${result.leads.length} leads from ${filePath} (${result.skipped.length} rows skipped)`);
+        if (result.unmappedColumns.length > 0) {
+            console.log(`  Unmapped columns: ${result.unmappedColumns.join(', ')}`);
+        }
+
+        leads.push(...result.leads);
+    }
+
+    return leads;
+}
+
+// ============================================================================
+// FORMAT ADAPTERS
+// ============================================================================
+
+/**
+ * Read CSV rows as objects keyed by header
+ */
+function readCsvRows(filePath, delimiter = null) {
+    const content = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+    const records = parseCsv(content, delimiter || detectDelimiter(content));
+
+    const [headers = [], ...dataRows] = records;
+    const rows = dataRows.map(values => {
+        const row = {};
+        headers.forEach((header, i) => {
+            if (header.trim()) row[header.trim()] = values[i] !== undefined ? values[i] : '';
+        });
+        return row;
+    });
+
+    return { rows, skipped: [] };
+}
+
+/**
+ * Read rows from one XLSX sheet
+ */
+function readXlsxRows(filePath, sheetName = null) {
+    // Loaded here so CSV and NDJSON imports (and lead-enrichment.js) don't need it
+    const XLSX = require('xlsx');
+    const workbook = XLSX.readFile(filePath, { cellDates: true });
+    const name = sheetName || workbook.SheetNames[0];
+    const worksheet = workbook.Sheets[name];
+
+    if (!worksheet) {
+        throw new Error(`Sheet '${name}' not found in ${filePath}. Sheets: ${workbook.SheetNames.join(', ')}`);
+    }
+
+    const rows = XLSX.utils.sheet_to_json(worksheet, { defval: '', raw: false });
+    return { rows, skipped: [] };
+}
+
+/**
+ * Read NDJSON rows (one JSON object per line), skipping malformed lines
+ */
+function readNdjsonRows(filePath) {
+    const rows = [];
+    const skipped = [];
+
+    fs.readFileSync(filePath, 'utf8').split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) return;
+
+        try {
+            const value = JSON.parse(line);
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                rows.push(value);
+            } else {
+                skipped.push({ line: index + 1, reason: 'not a JSON object' });
+            }
+        } catch (error) {
+            skipped.push({ line: index + 1, reason: `invalid JSON: ${error.message}` });
+        }
+    });
+
+    return { rows, skipped };
+}
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+/**
+ * Resolve lead field -> source column for the columns present in a file
+ *
+ * @param {Array<string>} columns - Column names found in the file
+ * @param {Object} columnMapping - Explicit mapping (overrides defaults per field)
+ * @returns {Object} Lead field -> exact column name
+ * @throws {Error} If an explicitly mapped column does not exist
+ */
+function resolveColumnMapping(columns, columnMapping = {}) {
+    const byKey = new Map(columns.map(column => [normalizeHeader(column), column]));
+    const resolved = {};
+    const claimed = new Set();
+
+    // Explicit mappings first - they must exist
+    for (const [field, source] of Object.entries(columnMapping)) {
+        if (!source) continue;
+        const candidates = Array.isArray(source) ? source : [source];
+        const column = candidates.map(candidate => byKey.get(normalizeHeader(candidate))).find(Boolean);
+
+        if (!column) {
+            throw new Error(`Column mapping for '${field}' matched no column (tried: ${candidates.join(', ')}). File columns: ${columns.join(', ')}`);
+        }
+
+        resolved[field] = column;
+        claimed.add(column);
+    }
+
+    // Default aliases for everything else
+    for (const [field, aliases] of Object.entries(DEFAULT_COLUMN_MAPPING)) {
+        if (resolved[field]) continue;
+        const column = aliases.map(alias => byKey.get(normalizeHeader(alias))).find(column => column && !claimed.has(column));
+        if (column) {
+            resolved[field] = column;
+            claimed.add(column);
+        }
+    }
+
+    return resolved;
+}
+
+/**
+ * Normalize one row into the scraper lead shape
+ */
+function normalizeRow(row, resolvedMapping, defaults = {}) {
+    const lead = { ...defaults };
+
+    for (const [field, column] of Object.entries(resolvedMapping)) {
+        const raw = row[column];
+        if (raw === undefined || raw === null) continue;
+
+        const value = typeof raw === 'string' ? raw.trim() : raw;
+        if (value === '') continue;
+
+        lead[field] = value;
+    }
+
+    for (const field of NUMERIC_FIELDS) {
+        if (lead[field] !== undefined) {
+            const number = parseFloat(String(lead[field]).replace(/,/g, ''));
+            lead[field] = Number.isFinite(number) ? number : undefined;
+        }
+    }
+
+    if (lead.email) lead.email = String(lead.email).toLowerCase();
+
+    // Names: split full name, or build it from parts
+    if (lead.fullName && !lead.firstName && !lead.lastName) {
+        const nameParts = String(lead.fullName).split(/\s+/);
+        lead.firstName = nameParts[0];
+        lead.lastName = nameParts.slice(1).join(' ') || undefined;
+    } else if (!lead.fullName && lead.firstName && lead.lastName) {
+        lead.fullName = `${lead.firstName} ${lead.lastName}`;
+    }
+
+    // Location: "City, ST" from separate columns
+    if (!lead.location && (lead.city || lead.state)) {
+        lead.location = [lead.city, lead.state].filter(Boolean).join(', ');
+    }
+
+    // Website: bare domains are fine, but make them URLs like the scrapers produce
+    if (lead.website && !/^https?:\/\//i.test(lead.website)) {
+        lead.website = `https://${lead.website}`;
+    }
+
+    // Google Maps records carry the business name as `name`
+    if (lead.companyName) lead.name = lead.companyName;
+
+    for (const key of Object.keys(lead)) {
+        if (lead[key] === undefined) delete lead[key];
+    }
+
+    return lead;
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Parse CSV content (RFC 4180: quoted fields, escaped quotes, newlines in quotes)
+ *
+ * @returns {Array<Array<string>>} Records
+ */
+function parseCsv(content, delimiter = ',') {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    return records;
+}
+
+/**
+ * Pick the delimiter that appears most in the header line
+ */
+function detectDelimiter(content) {
+    const headerLine = content.split(/\r?\n/)[0] || '';
+    const counts = [',', ';', '\t'].map(delimiter => ({
+        delimiter,
+        count: headerLine.split(delimiter).length - 1
+    }));
+    counts.sort((a, b) => b.count - a.count);
+    return counts[0].count > 0 ? counts[0].delimiter : ',';
+}
+
+/**
+ * Detect format from file extension
+ */
+function detectFormat(filePath) {
+    const extension = path.extname(filePath || '').toLowerCase().replace('.', '');
+    if (extension === 'jsonl') return 'ndjson';
+    if (extension === 'xls') return 'xlsx';
+    if (extension === 'tsv') return 'csv';
+    return extension;
+}
+
+/**
+ * Collect every column name across rows (NDJSON rows may differ)
+ */
+function collectColumns(rows) {
+    const columns = new Set();
+    for (const row of rows) {
+        Object.keys(row).forEach(column => columns.add(column));
+    }
+    return Array.from(columns);
+}
+
+/**
+ * Normalize a header for matching ('E-mail Address' -> 'emailaddress')
+ */
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9#]/g, '');
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    loadLeadFile,
+    loadLeadFiles,
+    resolveColumnMapping,
+    normalizeRow,
+    parseCsv,
+    DEFAULT_COLUMN_MAPPING,
+    SUPPORTED_FORMATS
+};
+
+// ============================================================================
+// USAGE EXAMPLES
+// ============================================================================
+
+/**
+ * Example 1: Import a trade show export with custom headers
+ *
+ * const { loadLeadFile } = require('./lead-import');
+ *
+ * const { leads, skipped, unmappedColumns } = loadLeadFile('./imports/iba-expo-2026.csv', {
+ *     columnMapping: {
+ *         email: 'Attendee E-mail',
+ *         companyName: ['Company', 'Firm'],
+ *         jobTitle: 'Badge Title'
+ *     },
+ *     defaults: { vertical: 'insurance' }
+ * });
+ * // leads[0].leadSource -> 'iba-expo-2026.csv'
+ */
+
+/**
+ * Example 2: Run files through the full enrichment pipeline
+ *
+ * const { enrichLeads } = require('./lead-enrichment');
+ *
+ * await enrichLeads({
+ *     googleMapsDatasetId: 'abc123',
+ *     files: [
+ *         './imports/client-book.xlsx',
+ *         { path: './imports/purchased-list.ndjson', leadSource: 'Purchased list (Q3)' }
+ *     ],
+ *     enrichmentLevel: 'standard'
+ * });
+ */
@@ -3,13 +3,26 @@
  *
  * Maps lead data from Apify/Instantly/SmartLead format to GoHighLevel CRM format.
  * Handles sentiment-based pipeline stage mapping, custom field transformations,
- * and data validation for CRM sync.
+ * and data validation for CRM sync. Replies are classified by intent
+ * (../ai/reply-classifier) so routing doesn't depend on platform sentiment.
  *
  * @version 1.0.0
  * @requires validator
+ * @requires ../verticals (vertical registry)
+ * @requires ./lead-scoring
+ * @requires ./suppression-list
+ * @requires ./provenance
+ * @requires ./phone-numbers
+ * @requires ../ai/reply-classifier
  */
 
 const validator = require('validator');
+const { findVertical, listVerticals } = require('../verticals');
+const { formatScoreBreakdown } = require('./lead-scoring');
+const { getWebhookSuppression } = require('./suppression-list');
+const { formatProvenance } = require('./provenance');
+const { toE164, DEFAULT_PHONE_COUNTRY } = require('./phone-numbers');
+const { classifyReplyWithRules } = require('../ai/reply-classifier');
 
 /**
  * Pipeline stage mapping configuration
@@ -24,6 +37,15 @@ const PIPELINE_STAGES = {
     CLOSED_LOST: 'closed_lost'
 };
 
+/**
+ * SmartLead event names -> standardized event types
+ */
+const SMARTLEAD_EVENT_TYPES = {
+    email_reply: 'reply',
+    email_bounce: 'bounce',
+    lead_unsubscribed: 'unsubscribe'
+};
+
 /**
  * Sentiment to stage mapping
  */
@@ -35,13 +57,20 @@ const SENTIMENT_STAGE_MAP = {
 };
 
 /**
- * Default opportunity values by vertical
+ * Deal value for verticals not in the registry
+ */
+const DEFAULT_DEAL_VALUE = 250000; // $2,500 in cents
+
+/**
+ * Default opportunity values by vertical and alias (snapshot of the vertical registry at load
+ * time), so the old 'commercial-insurance' / 'commercial-real-estate' keys still resolve.
+ * Use getVerticalDealValue() for lookups so later registrations resolve too.
  */
 const VERTICAL_DEAL_VALUES = {
-    'commercial-insurance': 500000, // $5,000 in cents
-    'commercial-real-estate': 300000, // $3,000 in cents
-    'recruitment': 400000, // $4,000 in cents
-    'default': 250000 // $2,500 in cents
+    ...Object.fromEntries(listVerticals().flatMap(vertical =>
+        [vertical.key, ...(vertical.aliases || [])].map(key => [key, vertical.dealValue])
+    )),
+    'default': DEFAULT_DEAL_VALUE
 };
 
 /**
@@ -79,6 +108,22 @@ function mapLeadToGHLContact(leadData, source = 'Cold Email Campaign') {
             enrichment_date: leadData.enrichmentDate || new Date().toISOString()
         };
 
+        // Explain the quality score (which scoring rules fired)
+        if (leadData.qualityBreakdown) {
+            customFields.quality_score_reasons = formatScoreBreakdown(leadData.qualityBreakdown);
+        }
+
+        // Where each field came from (enriched lead or its Instantly/SmartLead export)
+        const dataProvenance = getProvenanceSummary(leadData);
+        if (dataProvenance) {
+            customFields.data_provenance = dataProvenance;
+        }
+
+        // Mobile vs landline (SMS workflows skip numbers that can't be texted)
+        if (leadData.phoneType) {
+            customFields.phone_type = leadData.phoneType;
+        }
+
         // Add sentiment if present
         if (leadData.sentiment) {
             customFields.sentiment = leadData.sentiment;
@@ -110,15 +155,17 @@ function mapLeadToGHLContact(leadData, source = 'Cold Email Campaign') {
             firstName: firstName,
             lastName: lastName,
             email: email,
-            phone: phone ? standardizePhone(phone) : null,
+            phone: phone ? standardizePhone(phone, leadData.country || undefined) : null,
             companyName: companyName,
             source: source,
             customFields: customFields,
             tags: tags,
             address: location.address,
-            city: location.city,
-            state: location.state,
-            postalCode: location.postalCode,
+            city: leadData.city || location.city,
+            state: leadData.state || location.state,
+            postalCode: leadData.postalCode || location.postalCode,
+            country: leadData.country || null,
+            timezone: leadData.timezone || null, // Resolved during enrichment (geocoder.js)
             website: leadData.website || leadData.Website || leadData.customField6 || null
         };
 
@@ -154,7 +201,7 @@ function mapReplyToGHLOpportunity(webhookData, contactId, pipelineId) {
         const pipelineStage = SENTIMENT_STAGE_MAP[sentiment.toLowerCase()] || PIPELINE_STAGES.REPLIED;
 
         // Get deal value based on vertical
-        const monetaryValue = VERTICAL_DEAL_VALUES[vertical.toLowerCase()] || VERTICAL_DEAL_VALUES.default;
+        const monetaryValue = getVerticalDealValue(vertical);
 
         // Determine lead temperature
         const leadTemperature = getLeadTemperature(sentiment, webhookData.qualityScore);
@@ -191,11 +238,22 @@ function mapReplyToGHLOpportunity(webhookData, contactId, pipelineId) {
 
 /**
  * Map Instantly webhook to standardized format
+ * Replies get an `intent` and `classification` (see reply-classifier.js): the
+ * rules classifier runs unless options.classification carries a result from
+ * classifyReply (e.g. the LLM's). The platform's sentiment is kept when it
+ * sends one; otherwise the classification's is used.
+ * Negative or opt-out replies, hard bounces and unsubscribes come back with a
+ * `suppression` entry, added to options.suppressionList when one is given
+ * (the caller persists the list). To save it to the shared list instead, pass
+ * the result to recordWebhookSuppression (suppression-list.js).
  *
  * @param {Object} instantlyWebhook - Raw webhook from Instantly
+ * @param {Object} options - Options
+ * @param {SuppressionList} options.suppressionList - List to add suppressions to
+ * @param {Object} options.classification - classifyReply result for the reply
  * @returns {Object} Standardized webhook data
  */
-function mapInstantlyWebhook(instantlyWebhook) {
+function mapInstantlyWebhook(instantlyWebhook, options = {}) {
     try {
         const {
             event_type,
@@ -218,8 +276,14 @@ function mapInstantlyWebhook(instantlyWebhook) {
         if (event_type === 'reply') {
             standardized.replyBody = data.reply_body;
             standardized.replySubject = data.reply_subject;
-            standardized.sentiment = data.sentiment || 'neutral';
+            standardized.sentiment = data.sentiment;
             standardized.threadId = data.thread_id;
+            applyReplyClassification(standardized, options.classification);
+        }
+
+        if (event_type === 'bounce') {
+            standardized.bounceType = data?.bounce_type; // hard, soft
+            standardized.bounceReason = data?.bounce_reason;
         }
 
         // Parse name into first/last
@@ -229,6 +293,8 @@ function mapInstantlyWebhook(instantlyWebhook) {
             standardized.lastName = nameParts.slice(1).join(' ') || nameParts[0];
         }
 
+        applyWebhookSuppression(standardized, 'instantly-webhook', options.suppressionList);
+
         return standardized;
 
     } catch (error) {
@@ -239,11 +305,15 @@ function mapInstantlyWebhook(instantlyWebhook) {
 
 /**
  * Map SmartLead webhook to standardized format
+ * Reply classification and suppressions are handled as in mapInstantlyWebhook.
  *
  * @param {Object} smartleadWebhook - Raw webhook from SmartLead
+ * @param {Object} options - Options
+ * @param {SuppressionList} options.suppressionList - List to add suppressions to
+ * @param {Object} options.classification - classifyReply result for the reply
  * @returns {Object} Standardized webhook data
  */
-function mapSmartLeadWebhook(smartleadWebhook) {
+function mapSmartLeadWebhook(smartleadWebhook, options = {}) {
     try {
         const {
             event,
@@ -252,11 +322,12 @@ function mapSmartLeadWebhook(smartleadWebhook) {
             full_name,
             timestamp,
             message_body,
-            sentiment
+            sentiment,
+            bounce_type
         } = smartleadWebhook;
 
         const standardized = {
-            eventType: event === 'email_reply' ? 'reply' : event,
+            eventType: SMARTLEAD_EVENT_TYPES[event] || event,
             campaignId: campaign_id,
             leadEmail: email,
             leadName: full_name,
@@ -265,6 +336,15 @@ function mapSmartLeadWebhook(smartleadWebhook) {
             sentiment: sentiment || 'neutral'
         };
 
+        if (standardized.eventType === 'reply') {
+            standardized.sentiment = sentiment;
+            applyReplyClassification(standardized, options.classification);
+        }
+
+        if (standardized.eventType === 'bounce') {
+            standardized.bounceType = bounce_type || 'hard';
+        }
+
         // Parse name into first/last
         if (full_name) {
             const nameParts = full_name.split(' ');
@@ -272,6 +352,8 @@ function mapSmartLeadWebhook(smartleadWebhook) {
             standardized.lastName = nameParts.slice(1).join(' ') || nameParts[0];
         }
 
+        applyWebhookSuppression(standardized, 'smartlead-webhook', options.suppressionList);
+
         return standardized;
 
     } catch (error) {
@@ -308,9 +390,9 @@ function validateLeadData(leadData) {
         errors.push('Invalid email format');
     }
 
-    // Phone validation (E.164 format)
-    if (leadData.phone && !isValidE164Phone(leadData.phone)) {
-        warnings.push('Phone number may not be in E.164 format (+1XXXXXXXXXX)');
+    // Phone validation (any country; standardized to E.164 on mapping)
+    if (leadData.phone && !toE164(leadData.phone, { defaultCountry: leadData.country || DEFAULT_PHONE_COUNTRY })) {
+        warnings.push(`Phone number is not a valid phone number: ${leadData.phone}`);
     }
 
     // Field length validation
@@ -341,6 +423,8 @@ function mapCustomFields(enrichedLead) {
     // Map standard custom fields
     const fieldMapping = {
         'quality_score': enrichedLead.qualityScore || enrichedLead.quality_score || 0,
+        'quality_score_reasons': enrichedLead.qualityBreakdown ? formatScoreBreakdown(enrichedLead.qualityBreakdown) : null,
+        'scoring_profile': enrichedLead.scoringProfile || null,
         'lead_source': enrichedLead.leadSource || enrichedLead.lead_source || 'Unknown',
         'campaign_name': enrichedLead.campaignName || enrichedLead.campaign_name || null,
         'vertical': enrichedLead.vertical || enrichedLead.industry || null,
@@ -348,6 +432,8 @@ function mapCustomFields(enrichedLead) {
         'job_title': enrichedLead.jobTitle || enrichedLead.customField1 || null,
         'linkedin_profile': enrichedLead.linkedinProfile || null,
         'google_rating': enrichedLead.googleRating || null,
+        'phone_type': enrichedLead.phoneType || null,
+        'data_provenance': getProvenanceSummary(enrichedLead),
         'enrichment_date': enrichedLead.enrichmentDate || new Date().toISOString()
     };
 
@@ -365,6 +451,17 @@ function mapCustomFields(enrichedLead) {
 // HELPER FUNCTIONS
 // ============================================================================
 
+/**
+ * Provenance summary from an enriched lead (lead.provenance) or an exported row
+ * (Instantly customField7, SmartLead 'Data Provenance')
+ */
+function getProvenanceSummary(leadData) {
+    if (leadData.provenance) {
+        return formatProvenance(leadData) || null;
+    }
+    return leadData.dataProvenance || leadData['Data Provenance'] || leadData.customField7 || null;
+}
+
 /**
  * Extract first name from full name
  */
@@ -384,33 +481,22 @@ function extractLastName(fullName) {
 }
 
 /**
- * Standardize phone number to E.164 format
+ * Standardize phone number to E.164 format (see phone-numbers.js)
+ *
+ * @param {string} phone - Phone number in any common format
+ * @param {string} country - Country for numbers without a country code (default: US)
  */
-function standardizePhone(phone) {
+function standardizePhone(phone, country = DEFAULT_PHONE_COUNTRY) {
     if (!phone) return null;
-
-    // Remove all non-digit characters
-    const digits = phone.replace(/\D/g, '');
-
-    // Handle US numbers
-    if (digits.length === 10) {
-        return `+1${digits}`;
-    } else if (digits.length === 11 && digits[0] === '1') {
-        return `+${digits}`;
-    } else if (digits.startsWith('+')) {
-        return digits;
-    }
-
-    return phone; // Return as-is if can't standardize
+    return toE164(phone, { defaultCountry: country }) || phone; // Return as-is if can't standardize
 }
 
 /**
- * Validate E.164 phone format
+ * Validate E.164 phone format and the number itself
  */
 function isValidE164Phone(phone) {
-    if (!phone) return false;
-    const e164Regex = /^\+[1-9]\d{1,14}$/;
-    return e164Regex.test(phone);
+    if (!phone || !/^\+[1-9]\d{1,14}$/.test(phone)) return false;
+    return toE164(phone) === phone;
 }
 
 /**
@@ -446,6 +532,14 @@ function parseLocation(locationStr) {
     };
 }
 
+/**
+ * Get opportunity value (in cents) for a vertical key or alias
+ */
+function getVerticalDealValue(vertical) {
+    const verticalDef = findVertical(vertical);
+    return verticalDef ? verticalDef.dealValue : DEFAULT_DEAL_VALUE;
+}
+
 /**
  * Determine lead temperature based on sentiment and quality score
  */
@@ -489,6 +583,11 @@ function generateAINotes(webhookData) {
     // Sentiment analysis
     notes.push(`Sentiment: ${capitalize(sentiment)}`);
 
+    // Reply intent
+    if (webhookData.intent) {
+        notes.push(`Intent: ${webhookData.intent}`);
+    }
+
     // Quality score
     if (qualityScore) {
         notes.push(`Lead Quality Score: ${qualityScore}/100`);
@@ -506,6 +605,31 @@ function generateAINotes(webhookData) {
     return notes.join(' | ');
 }
 
+/**
+ * Attach a reply's intent classification, filling sentiment when the platform sent none
+ */
+function applyReplyClassification(standardized, classification) {
+    standardized.classification = classification || classifyReplyWithRules({
+        body: standardized.replyBody,
+        subject: standardized.replySubject,
+        email: standardized.leadEmail
+    });
+    standardized.intent = standardized.classification.intent;
+    standardized.sentiment = standardized.sentiment || standardized.classification.sentiment;
+}
+
+/**
+ * Attach the suppression a webhook implies, adding it to the list when given
+ */
+function applyWebhookSuppression(standardized, source, suppressionList) {
+    standardized.suppression = getWebhookSuppression(standardized, source);
+
+    if (standardized.suppression && suppressionList) {
+        suppressionList.add(standardized.suppression);
+        console.log(`Added ${standardized.leadEmail} to suppression list (${standardized.suppression.reason})`);
+    }
+}
+
 /**
  * Capitalize first letter of string
  */
@@ -552,6 +676,7 @@ module.exports = {
     parseLocation,
     getLeadTemperature,
     getNextAction,
+    getVerticalDealValue,
     PIPELINE_STAGES,
     SENTIMENT_STAGE_MAP,
     VERTICAL_DEAL_VALUES
@@ -575,13 +700,22 @@ module.exports = {
  *   lead_name: 'John Smith',
  *   data: {
  *     reply_body: 'Yes, I am interested in learning more.',
- *     reply_subject: 'Re: Insurance optimization',
- *     sentiment: 'positive'
+ *     reply_subject: 'Re: Insurance optimization'
  *   }
  * };
  *
- * // Standardize webhook
+ * // Standardize webhook (classified with the rules)
  * const standardizedData = mapInstantlyWebhook(instantlyWebhook);
+ * // standardizedData.intent: 'interested', standardizedData.sentiment: 'positive'
+ *
+ * // Or classify with the LLM first (falls back to the rules when it isn't configured)
+ * const { classifyReply } = require('../ai/reply-classifier');
+ * const classification = await classifyReply({ body: instantlyWebhook.data.reply_body, email: instantlyWebhook.lead_email });
+ * const classifiedData = mapInstantlyWebhook(instantlyWebhook, { classification });
+ *
+ * // Save an unsubscribe, bounce or opt-out reply to the shared suppression list
+ * const { recordWebhookSuppression } = require('./suppression-list');
+ * await recordWebhookSuppression(classifiedData);
  *
  * // Add enriched lead data
  * const enrichedLead = {
@@ -621,6 +755,6 @@ module.exports = {
  *
  * // Add note with reply
  * await api.addNote(contactId, {
- *   body: `Reply received: "${enrichedLead.replyBody}"\nSentiment: ${enrichedLead.sentiment}`
+ *   body: `Reply received: "${enrichedLead.replyBody}"\nSentiment: ${enrichedLead.sentiment}\nIntent: ${enrichedLead.intent}`
  * });
  */
@@ -6,6 +6,7 @@
  * - Cold Outreach (Instantly, Smartlead)
  * - CRM Integration (GoHighLevel)
  * - Booking System (Calendar, Voice Agent)
+ * - AI Costs (LLM cost ledger: tokens, spend, budgets)
  *
  * Provides aggregated data for monitoring, alerting, and reporting.
  *
@@ -21,6 +22,7 @@ const InstantlyAPI = require('../integrations/instantly-api');
 const SmartleadAPI = require('../integrations/smartlead-api');
 const CalendarAPI = require('../integrations/calendar-api');
 const VoiceAgentAPI = require('../integrations/voice-agent-api');
+const { getSharedCostLedger } = require('../ai/cost-ledger');
 
 /**
  * Metrics Collector Class
@@ -509,6 +511,73 @@ class MetricsCollector {
         };
     }
 
+    // ========================================================================
+    // AI COST METRICS
+    // ========================================================================
+
+    /**
+     * Get AI token and cost metrics from the LLM cost ledger
+     *
+     * @param {Object} options - Query options
+     * @param {Date} options.startDate - Start date (default: 24h ago)
+     * @param {Date} options.endDate - End date (default: now)
+     * @param {CostLedger} [options.ledger] - Ledger to read (default: the shared ledger used by llm-client)
+     * @returns {Promise<Object>} AI cost metrics
+     */
+    async getAICostMetrics(options = {}) {
+        const startDate = options.startDate || new Date(Date.now() - 24 * 60 * 60 * 1000);
+        const endDate = options.endDate || new Date();
+        const cacheKey = `aiCosts:${startDate.getTime()}`; // Weekly reports query two windows
+        if (this._isCacheValid(cacheKey)) {
+            return this.cache[cacheKey].data;
+        }
+
+        try {
+            const ledger = options.ledger || getSharedCostLedger();
+            const summary = ledger.summarize({ startDate, endDate });
+
+            const metrics = {
+                aiCalls: summary.calls,
+                inputTokens: summary.inputTokens,
+                outputTokens: summary.outputTokens,
+                totalTokens: summary.totalTokens,
+                totalCost: summary.cost,
+                unpricedCalls: summary.unpricedCalls,
+                costByTask: summary.byTask,
+                costByModel: summary.byModel,
+                costByCampaign: summary.byCampaign,
+                costByClient: summary.byClient,
+                budgets: summary.budgets
+            };
+
+            this._setCache(cacheKey, metrics);
+            return metrics;
+        } catch (error) {
+            console.error('[MetricsCollector] Failed to get AI cost metrics:', error.message);
+            return this._getDefaultAICostMetrics();
+        }
+    }
+
+    /**
+     * Default AI cost metrics (fallback)
+     * @private
+     */
+    _getDefaultAICostMetrics() {
+        return {
+            aiCalls: 0,
+            inputTokens: 0,
+            outputTokens: 0,
+            totalTokens: 0,
+            totalCost: 0,
+            unpricedCalls: 0,
+            costByTask: {},
+            costByModel: {},
+            costByCampaign: {},
+            costByClient: {},
+            budgets: []
+        };
+    }
+
     // ========================================================================
     // AGGREGATED REPORTS
     // ========================================================================
@@ -521,11 +590,12 @@ class MetricsCollector {
     async generateDailyReport() {
         console.log('[MetricsCollector] Generating daily report...');
 
-        const [leadGen, outreach, crm, booking] = await Promise.all([
+        const [leadGen, outreach, crm, booking, aiCosts] = await Promise.all([
             this.getLeadGenMetrics(),
             this.getOutreachMetrics(),
             this.getCRMMetrics(),
-            this.getBookingMetrics()
+            this.getBookingMetrics(),
+            this.getAICostMetrics()
         ]);
 
         const report = {
@@ -539,8 +609,9 @@ class MetricsCollector {
             outreach,
             crm,
             booking,
+            aiCosts,
             uptime: '99.9%', // TODO: Get from monitoring service
-            summary: this._generateSummary({ leadGen, outreach, crm, booking })
+            summary: this._generateSummary({ leadGen, outreach, crm, booking, aiCosts })
         };
 
         console.log('[MetricsCollector] Daily report generated successfully');
@@ -586,14 +657,15 @@ class MetricsCollector {
      * @private
      */
     async _getAllMetrics(options) {
-        const [leadGen, outreach, crm, booking] = await Promise.all([
+        const [leadGen, outreach, crm, booking, aiCosts] = await Promise.all([
             this.getLeadGenMetrics(options),
             this.getOutreachMetrics(options),
             this.getCRMMetrics(options),
-            this.getBookingMetrics(options)
+            this.getBookingMetrics(options),
+            this.getAICostMetrics(options)
         ]);
 
-        return { leadGen, outreach, crm, booking };
+        return { leadGen, outreach, crm, booking, aiCosts };
     }
 
     /**
@@ -623,6 +695,10 @@ class MetricsCollector {
             revenueChange: calculateChange(
                 current.crm.wonValue,
                 previous.crm.wonValue
+            ),
+            aiCostChange: calculateChange(
+                current.aiCosts.totalCost,
+                previous.aiCosts.totalCost
             )
         };
     }
@@ -672,6 +748,15 @@ class MetricsCollector {
             items.push('High no-show rate - implement reminder sequences');
         }
 
+        // AI budgets running out
+        for (const budget of current.aiCosts.budgets) {
+            if (budget.status === 'exceeded') {
+                items.push(`AI budget exhausted for ${budget.scope} ${budget.id} - generation is paused until it is raised`);
+            } else if (budget.status === 'warning') {
+                items.push(`AI budget for ${budget.scope} ${budget.id} is ${Math.round(budget.used * 100)}% used`);
+            }
+        }
+
         return items;
     }
 
@@ -688,6 +773,7 @@ class MetricsCollector {
             totalLeads,
             totalEmails,
             totalBookings,
+            totalAICost: metrics.aiCosts ? metrics.aiCosts.totalCost : 0,
             avgConversionRate: totalLeads > 0
                 ? Math.round((totalBookings / totalLeads) * 100)
                 : 0
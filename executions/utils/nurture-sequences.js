@@ -5,7 +5,9 @@
  * Includes timing recommendations, personalization helpers, and sequence builders.
  *
  * @version 1.0.0
- * @requires none (standalone utility)
+ * @requires ../verticals (vertical registry)
+ * @requires ./geocoder
+ * @requires ./phone-numbers
  *
  * Pipeline Stages Covered:
  * - Replied but Not Qualified
@@ -14,6 +16,10 @@
  * - Closed Lost (Long-term Nurture)
  */
 
+const { findVertical, listVerticals } = require('../verticals');
+const { inferTimezone, getNextSendTime } = require('./geocoder');
+const { parsePhoneNumber, canReceiveSms, NON_SMS_TYPES } = require('./phone-numbers');
+
 // ============================================================================
 // SEQUENCE TEMPLATES BY STAGE
 // ============================================================================
@@ -115,11 +121,9 @@ Best,
         "No response after 14 days → Move to long-term nurture"
     ],
 
-    dynamicContentByVertical: {
-        "commercial-insurance": "5-point insurance cost reduction checklist",
-        "commercial-real-estate": "Tenant screening best practices guide",
-        "recruitment": "Candidate sourcing ROI calculator"
-    }
+    dynamicContentByVertical: Object.fromEntries(
+        listVerticals().map(vertical => [vertical.key, vertical.nurture.resourceTitle])
+    )
 };
 
 /**
@@ -438,13 +442,8 @@ Best,
  * @returns {string} Resource description for email
  */
 function getDynamicResource(vertical) {
-    const resources = {
-        "commercial-insurance": "5-point insurance cost reduction checklist that helped similar companies save 15-30% on premiums",
-        "commercial-real-estate": "Tenant screening best practices guide that reduced vacancy time by 30-40% for CRE firms",
-        "recruitment": "Candidate sourcing ROI calculator showing how automation can save 15+ hours per week per recruiter"
-    };
-
-    return resources[vertical] || "resource guide for your industry";
+    const verticalDef = findVertical(vertical);
+    return verticalDef ? verticalDef.nurture.resource : "resource guide for your industry";
 }
 
 /**
@@ -455,31 +454,12 @@ function getDynamicResource(vertical) {
  * @returns {Object} Similar company case study details
  */
 function getSimilarCompanyExample(vertical, companySize) {
-    const examples = {
-        "commercial-insurance": {
-            company: "a mid-size insurance broker",
-            painPoint: "high premium costs and policy overlap",
-            metric1: "Cut premiums by 22% (same coverage)",
-            metric2: "Eliminated $45K in duplicate coverage",
-            metric3: "Reduced policy management time by 8 hours/month"
-        },
-        "commercial-real-estate": {
-            company: "a commercial property management firm",
-            painPoint: "long vacancy times and unqualified tenant leads",
-            metric1: "Reduced average vacancy from 67 to 41 days",
-            metric2: "Automated 80% of initial tenant screening",
-            metric3: "Filled 15 units in 30 days vs. usual 90-day average"
-        },
-        "recruitment": {
-            company: "a specialized recruiting firm",
-            painPoint: "manual candidate sourcing taking 15+ hours per week",
-            metric1: "Automated LinkedIn scraping (500+ candidates/week)",
-            metric2: "Multi-channel sequences (email + SMS + InMail)",
-            metric3: "Reduced sourcing time by 12 hours/week per recruiter"
-        }
-    };
+    const verticalDef = findVertical(vertical);
+    if (verticalDef) {
+        return verticalDef.nurture.similarCompany;
+    }
 
-    return examples[vertical] || {
+    return {
         company: "a similar company",
         painPoint: "operational inefficiencies",
         metric1: "Improved efficiency by 30%",
@@ -495,13 +475,8 @@ function getSimilarCompanyExample(vertical, companySize) {
  * @returns {string} Pain point description
  */
 function getPainPoint(vertical) {
-    const painPoints = {
-        "commercial-insurance": "insurance cost optimization",
-        "commercial-real-estate": "tenant screening and vacancy reduction",
-        "recruitment": "candidate sourcing and placement speed"
-    };
-
-    return painPoints[vertical] || "operational improvement";
+    const verticalDef = findVertical(vertical);
+    return verticalDef ? verticalDef.nurture.painPoint : "operational improvement";
 }
 
 // ============================================================================
@@ -677,36 +652,59 @@ function validateSMS(message) {
 /**
  * Get optimal sending time for SMS
  *
- * @param {Object} contact - Contact data with timezone
- * @returns {Object} Recommended sending window
+ * @param {Object} contact - Contact data (timezone, else inferred from city/state or phone area code)
+ * @param {Date} from - Earliest send time for nextSendAt (default: now)
+ * @returns {Object} Recommended sending window with nextSendAt (ISO) in the recipient's timezone
  */
-function getOptimalSMSTime(contact) {
+function getOptimalSMSTime(contact, from = new Date()) {
+    const inferredTimezone = inferTimezone(contact);
+
     // Default: 10 AM - 7 PM weekdays (recipient's timezone)
     const defaultWindow = {
         days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
         timeStart: '10:00',
         timeEnd: '19:00',
-        timezone: contact.timezone || 'America/New_York',
+        timezone: inferredTimezone || 'America/New_York',
+        timezoneKnown: Boolean(inferredTimezone), // false = fallback timezone; the recipient's is unknown
         avoidWeekends: true,
         avoidHolidays: true
     };
 
-    // Industry-specific optimizations
-    const vertical = contact.customFields?.vertical;
-
-    if (vertical === 'commercial-real-estate') {
-        // Real estate professionals check messages later in morning
-        defaultWindow.timeStart = '11:00';
+    // Vertical-specific start time from the registry
+    const verticalDef = findVertical(contact.customFields?.vertical);
+    if (verticalDef && verticalDef.sendWindows && verticalDef.sendWindows.smsStart) {
+        defaultWindow.timeStart = verticalDef.sendWindows.smsStart;
     }
 
-    if (vertical === 'recruitment') {
-        // Recruiters active early morning
-        defaultWindow.timeStart = '09:00';
-    }
+    defaultWindow.nextSendAt = getNextSendTime({
+        timezone: defaultWindow.timezone,
+        days: defaultWindow.days,
+        timeWindow: `${defaultWindow.timeStart}-${defaultWindow.timeEnd}`
+    }, from).toISOString();
 
     return defaultWindow;
 }
 
+/**
+ * Why a contact's phone can't get SMS steps, if it can't
+ *
+ * Uses the enrichment's phoneType when present, else parses the number. Contacts
+ * without a phone, or with a number that may be a mobile (US/Canada), pass.
+ *
+ * @param {Object} contact - Contact data (phone, optional phoneType and country)
+ * @returns {string|null} Phone type ('landline', 'toll-free', ...) or 'invalid'; null if SMS is fine
+ */
+function getSmsExclusion(contact) {
+    if (!contact.phone) return null;
+    if (contact.phoneType) return NON_SMS_TYPES.includes(contact.phoneType) ? contact.phoneType : null;
+
+    const options = contact.country ? { defaultCountry: contact.country } : {};
+    if (canReceiveSms(contact.phone, options)) return null;
+
+    const parsed = parsePhoneNumber(contact.phone, options);
+    return parsed && parsed.isValid ? parsed.type : 'invalid';
+}
+
 // ============================================================================
 // EMAIL UTILITIES
 // ============================================================================
@@ -841,6 +839,11 @@ function getRecommendedSequence(contact) {
         recommendations.channels = ['email']; // No SMS for long-term nurture
     }
 
+    // No SMS to landlines or toll-free numbers
+    if (recommendations.channels.includes('sms') && getSmsExclusion(contact)) {
+        recommendations.channels = ['email'];
+    }
+
     return recommendations;
 }
 
@@ -850,18 +853,46 @@ function getRecommendedSequence(contact) {
 
 /**
  * Generate nurture sequences for multiple contacts
+ * Suppressed contacts (see suppression-list.js) get status 'suppressed' and no sequence.
+ * Contacts whose phone can't receive SMS (landline, toll-free, invalid) get the sequence
+ * without its SMS steps, and smsExcluded says why.
  *
  * @param {string} stage - Pipeline stage
  * @param {Array<Object>} contacts - Array of contact objects
  * @param {Object} user - User data
+ * @param {Object} options - Options
+ * @param {SuppressionList} options.suppressionList - Do-not-contact list (e.g. await getSharedSuppressionList())
+ * @param {boolean} options.smsMobileOnly - Drop SMS steps for numbers that can't be texted (default: true)
  * @returns {Array<Object>} Array of contact-sequence pairs
  */
-function generateBulkNurtureSequences(stage, contacts, user = {}) {
+function generateBulkNurtureSequences(stage, contacts, user = {}, options = {}) {
+    const { suppressionList = null, smsMobileOnly = true } = options;
     const results = [];
 
     for (const contact of contacts) {
+        const { suppressed, match } = suppressionList ? suppressionList.check(contact) : { suppressed: false };
+        if (suppressed) {
+            suppressionList.logBlocked({
+                channel: 'nurture',
+                target: contact.email || contact.phone,
+                match,
+                context: { stage, contactId: contact.contactId || contact.id }
+            });
+            results.push({
+                contactId: contact.contactId || contact.id,
+                contactEmail: contact.email,
+                contactName: `${contact.firstName} ${contact.lastName}`.trim(),
+                sequence: null,
+                status: 'suppressed',
+                suppression: { rule: `${match.type}:${match.value}`, reason: match.reason }
+            });
+            continue;
+        }
+
         try {
-            const sequence = getNurtureSequence(stage, contact, user);
+            const smsExcluded = smsMobileOnly ? getSmsExclusion(contact) : null;
+            const sequence = getNurtureSequence(stage, contact, user)
+                .filter(message => !(smsExcluded && message.channel === 'sms'));
             const validation = {
                 email: sequence.filter(m => m.channel === 'email').map(m => validateEmail(m)),
                 sms: sequence.filter(m => m.channel === 'sms').map(m => validateSMS(m.body))
@@ -873,6 +904,7 @@ function generateBulkNurtureSequences(stage, contacts, user = {}) {
                 contactName: `${contact.firstName} ${contact.lastName}`.trim(),
                 sequence: sequence,
                 validation: validation,
+                smsExcluded: smsExcluded,
                 status: 'ready'
             });
         } catch (error) {
@@ -917,6 +949,7 @@ module.exports = {
     // Validation
     validateEmail,
     validateSMS,
+    getSmsExclusion,
 
     // Timing utilities
     calculateNextSendDate,
@@ -986,7 +1019,9 @@ module.exports = {
  * const { generateBulkNurtureSequences } = require('./nurture-sequences');
  *
  * const contacts = [...]; // Array of 50 contact objects
- * const results = generateBulkNurtureSequences('replied', contacts, user);
+ * const suppressionList = await getSharedSuppressionList(); // from ./suppression-list
+ * const results = generateBulkNurtureSequences('replied', contacts, user, { suppressionList });
+ * await suppressionList.persist(); // Saves the blocked-send log
  *
  * const successCount = results.filter(r => r.status === 'ready').length;
  * console.log(`Generated ${successCount} sequences successfully`);
@@ -0,0 +1,439 @@
+/**
+ * Bundled Phone Number Metadata
+ *
+ * Per-country numbering plans for parsing and validating phone numbers offline:
+ * calling code, trunk (national) prefix, national number length range, number type
+ * patterns and display groupings. Patterns match the national significant number
+ * (no calling code, no trunk prefix) and are tried in order, so the specific ranges
+ * (toll-free, premium) come before the broad ones.
+ *
+ * Covers North America (NANP) and the main markets leads come from. Where a plan does
+ * not tell mobiles from landlines (US, Canada, Mexico, Denmark, parts of India) the
+ * type is 'fixed-or-mobile'. Calling codes not listed here still parse to E.164 but
+ * cannot be validated or typed.
+ *
+ * @version 1.0.0
+ * @requires none (data only)
+ */
+
+/**
+ * North American Numbering Plan, shared by every +1 country
+ */
+const NANP = {
+    callingCode: '1',
+    nationalPrefix: '1',
+    lengths: [10, 10],
+    types: {
+        tollFree: /^8(?:00|33|44|55|66|77|88)[2-9]\d{6}$/,
+        premiumRate: /^900[2-9]\d{6}$/,
+        fixedOrMobile: /^[2-9]\d{2}[2-9]\d{6}$/
+    },
+    formats: [
+        { pattern: /^(\d{3})(\d{3})(\d{4})$/, format: '$1-$2-$3', national: '($1) $2-$3' }
+    ]
+};
+
+/**
+ * Countries: ISO 3166 alpha-2 code -> numbering plan
+ *
+ * format is the international grouping; national overrides the domestic display
+ * (default: trunk prefix + format).
+ */
+const PHONE_COUNTRIES = {
+    US: { name: 'United States', ...NANP },
+    CA: { name: 'Canada', ...NANP },
+    PR: { name: 'Puerto Rico', ...NANP },
+    GB: {
+        name: 'United Kingdom',
+        callingCode: '44',
+        nationalPrefix: '0',
+        lengths: [9, 10],
+        types: {
+            tollFree: /^80(?:0\d{6,7}|8\d{7})$/,
+            premiumRate: /^9[018]\d{8}$/,
+            sharedCost: /^8(?:4[2-5]|7[0-3])\d{7}$/,
+            mobile: /^7(?:[1-57-9]\d{2}|624)\d{6}$/,
+            voip: /^56\d{8}$/,
+            landline: /^(?:1\d{8,9}|[23]\d{9})$/
+        },
+        formats: [
+            { pattern: /^(2\d)(\d{4})(\d{4})$/, format: '$1 $2 $3' },
+            { pattern: /^(1\d1)(\d{3})(\d{4})$/, format: '$1 $2 $3' },
+            { pattern: /^(1\d{3})(\d{5,6})$/, format: '$1 $2' },
+            { pattern: /^(7\d{3})(\d{6})$/, format: '$1 $2' },
+            { pattern: /^(\d{3})(\d{3})(\d{3,4})$/, format: '$1 $2 $3' }
+        ]
+    },
+    IE: {
+        name: 'Ireland',
+        callingCode: '353',
+        nationalPrefix: '0',
+        lengths: [7, 10],
+        types: {
+            tollFree: /^1800\d{6}$/,
+            premiumRate: /^15\d{8}$/,
+            mobile: /^8[35-9]\d{7}$/,
+            landline: /^(?:1\d{7}|[2-9]\d{6,8})$/
+        },
+        formats: [
+            { pattern: /^(1800)(\d{3})(\d{3})$/, format: '$1 $2 $3', national: '$1 $2 $3' },
+            { pattern: /^(8\d)(\d{3})(\d{4})$/, format: '$1 $2 $3' },
+            { pattern: /^(1)(\d{3})(\d{4})$/, format: '$1 $2 $3' },
+            { pattern: /^(\d{2})(\d{3})(\d{4})$/, format: '$1 $2 $3' }
+        ]
+    },
+    AU: {
+        name: 'Australia',
+        callingCode: '61',
+        nationalPrefix: '0',
+        lengths: [6, 10],
+        types: {
+            tollFree: /^180(?:0\d{6}|\d{4})$/,
+            sharedCost: /^13(?:00\d{6}|\d{4})$/,
+            premiumRate: /^190\d{7}$/,
+            mobile: /^4\d{8}$/,
+            landline: /^[2378]\d{8}$/
+        },
+        formats: [
+            { pattern: /^(1[38]00)(\d{3})(\d{3})$/, format: '$1 $2 $3', national: '$1 $2 $3' },
+            { pattern: /^(4\d{2})(\d{3})(\d{3})$/, format: '$1 $2 $3' },
+            { pattern: /^([2378])(\d{4})(\d{4})$/, format: '$1 $2 $3' }
+        ]
+    },
+    NZ: {
+        name: 'New Zealand',
+        callingCode: '64',
+        nationalPrefix: '0',
+        lengths: [8, 10],
+        types: {
+            tollFree: /^(?:508\d{6}|800\d{6,7})$/,
+            mobile: /^2\d{7,9}$/,
+            landline: /^[34679]\d{7}$/
+        },
+        formats: [
+            { pattern: /^(508|800)(\d{3})(\d{3,4})$/, format: '$1 $2 $3' },
+            { pattern: /^(2\d)(\d{3})(\d{3,5})$/, format: '$1 $2 $3' },
+            { pattern: /^(\d)(\d{3})(\d{4})$/, format: '$1 $2 $3' }
+        ]
+    },
+    DE: {
+        name: 'Germany',
+        callingCode: '49',
+        nationalPrefix: '0',
+        lengths: [6, 12],
+        types: {
+            tollFree: /^800\d{7,9}$/,
+            premiumRate: /^900\d{7,8}$/,
+            mobile: /^1(?:5\d{9}|[67]\d{8,9})$/,
+            landline: /^[2-9]\d{5,10}$/
+        },
+        formats: [
+            { pattern: /^(1[5-7]\d)(\d{7,8})$/, format: '$1 $2' },
+            { pattern: /^(30|40|69|89)(\d{6,8})$/, format: '$1 $2' },
+            { pattern: /^(800|900)(\d{7,9})$/, format: '$1 $2' },
+            { pattern: /^([2-9]\d{2,3})(\d{4,7})$/, format: '$1 $2' }
+        ]
+    },
+    FR: {
+        name: 'France',
+        callingCode: '33',
+        nationalPrefix: '0',
+        lengths: [9, 9],
+        types: {
+            tollFree: /^80\d{7}$/,
+            premiumRate: /^8[1-9]\d{7}$/,
+            mobile: /^[67]\d{8}$/,
+            voip: /^9\d{8}$/,
+            landline: /^[1-5]\d{8}$/
+        },
+        formats: [
+            { pattern: /^(\d)(\d{2})(\d{2})(\d{2})(\d{2})$/, format: '$1 $2 $3 $4 $5' }
+        ]
+    },
+    ES: {
+        name: 'Spain',
+        callingCode: '34',
+        nationalPrefix: null,
+        lengths: [9, 9],
+        types: {
+            tollFree: /^(?:800|900)\d{6}$/,
+            premiumRate: /^(?:80|90)[3-7]\d{6}$/,
+            mobile: /^(?:6\d|7[1-9])\d{7}$/,
+            landline: /^[89][1-8]\d{7}$/
+        },
+        formats: [
+            { pattern: /^(\d{3})(\d{3})(\d{3})$/, format: '$1 $2 $3' }
+        ]
+    },
+    PT: {
+        name: 'Portugal',
+        callingCode: '351',
+        nationalPrefix: null,
+        lengths: [9, 9],
+        types: {
+            tollFree: /^800\d{6}$/,
+            premiumRate: /^7[06]\d{7}$/,
+            mobile: /^9[1236]\d{7}$/,
+            landline: /^2\d{8}$/
+        },
+        formats: [
+            { pattern: /^(\d{3})(\d{3})(\d{3})$/, format: '$1 $2 $3' }
+        ]
+    },
+    IT: {
+        name: 'Italy',
+        callingCode: '39',
+        nationalPrefix: null, // The leading 0 of landlines is part of the number
+        lengths: [6, 11],
+        types: {
+            tollFree: /^80[03]\d{3,6}$/,
+            premiumRate: /^89\d{4,7}$/,
+            mobile: /^3\d{8,9}$/,
+            landline: /^0\d{5,10}$/
+        },
+        formats: [
+            { pattern: /^(3\d{2})(\d{3})(\d{3,4})$/, format: '$1 $2 $3' },
+            { pattern: /^(0[26])(\d{4})(\d{2,4})$/, format: '$1 $2 $3' },
+            { pattern: /^(0\d{2,3})(\d{3,4})(\d{3,4})$/, format: '$1 $2 $3' }
+        ]
+    },
+    NL: {
+        name: 'Netherlands',
+        callingCode: '31',
+        nationalPrefix: '0',
+        lengths: [7, 10],
+        types: {
+            tollFree: /^800\d{4,7}$/,
+            premiumRate: /^90[069]\d{4,7}$/,
+            mobile: /^6[1-58]\d{7}$/,
+            voip: /^85\d{7}$/,
+            landline: /^[1-57]\d{8}$/
+        },
+        formats: [
+            { pattern: /^(6)(\d{8})$/, format: '$1 $2' },
+            { pattern: /^(\d{2})(\d{7})$/, format: '$1 $2' }
+        ]
+    },
+    BE: {
+        name: 'Belgium',
+        callingCode: '32',
+        nationalPrefix: '0',
+        lengths: [8, 9],
+        types: {
+            tollFree: /^800\d{5}$/,
+            premiumRate: /^90\d{6}$/,
+            mobile: /^4[5-9]\d{7}$/,
+            landline: /^[1-9]\d{7}$/
+        },
+        formats: [
+            { pattern: /^(4\d{2})(\d{2})(\d{2})(\d{2})$/, format: '$1 $2 $3 $4' },
+            { pattern: /^([2349])(\d{3})(\d{2})(\d{2})$/, format: '$1 $2 $3 $4' },
+            { pattern: /^(\d{2})(\d{2})(\d{2})(\d{2})$/, format: '$1 $2 $3 $4' }
+        ]
+    },
+    CH: {
+        name: 'Switzerland',
+        callingCode: '41',
+        nationalPrefix: '0',
+        lengths: [9, 9],
+        types: {
+            tollFree: /^800\d{6}$/,
+            premiumRate: /^90[016]\d{6}$/,
+            sharedCost: /^84[0248]\d{6}$/,
+            mobile: /^7[5-9]\d{7}$/,
+            landline: /^(?:[2-6]\d|[89]1)\d{7}$/
+        },
+        formats: [
+            { pattern: /^(\d{2})(\d{3})(\d{2})(\d{2})$/, format: '$1 $2 $3 $4' }
+        ]
+    },
+    SE: {
+        name: 'Sweden',
+        callingCode: '46',
+        nationalPrefix: '0',
+        lengths: [7, 9],
+        types: {
+            tollFree: /^20\d{5,7}$/,
+            mobile: /^7[02369]\d{7}$/,
+            landline: /^[1-68]\d{6,8}$/
+        },
+        formats: [
+            { pattern: /^(7\d)(\d{3})(\d{2})(\d{2})$/, format: '$1 $2 $3 $4' },
+            { pattern: /^(8)(\d{3})(\d{2})(\d{2,3})$/, format: '$1 $2 $3 $4' },
+            { pattern: /^(\d{2,3})(\d{3})(\d{2})(\d{2})$/, format: '$1 $2 $3 $4' }
+        ]
+    },
+    NO: {
+        name: 'Norway',
+        callingCode: '47',
+        nationalPrefix: null,
+        lengths: [8, 8],
+        types: {
+            tollFree: /^80[01]\d{5}$/,
+            mobile: /^[49]\d{7}$/,
+            landline: /^[235-7]\d{7}$/
+        },
+        formats: [
+            { pattern: /^(\d{3})(\d{2})(\d{3})$/, format: '$1 $2 $3' }
+        ]
+    },
+    DK: {
+        name: 'Denmark',
+        callingCode: '45',
+        nationalPrefix: null,
+        lengths: [8, 8],
+        types: {
+            tollFree: /^80\d{6}$/,
+            premiumRate: /^90\d{6}$/,
+            fixedOrMobile: /^[2-9]\d{7}$/
+        },
+        formats: [
+            { pattern: /^(\d{2})(\d{2})(\d{2})(\d{2})$/, format: '$1 $2 $3 $4' }
+        ]
+    },
+    PL: {
+        name: 'Poland',
+        callingCode: '48',
+        nationalPrefix: null,
+        lengths: [9, 9],
+        types: {
+            tollFree: /^800\d{6}$/,
+            premiumRate: /^70\d{7}$/,
+            mobile: /^(?:45|5[0137]|6[069]|7[2389]|88)\d{7}$/,
+            landline: /^[1-9]\d{8}$/
+        },
+        formats: [
+            { pattern: /^(\d{3})(\d{3})(\d{3})$/, format: '$1 $2 $3' }
+        ]
+    },
+    MX: {
+        name: 'Mexico',
+        callingCode: '52',
+        nationalPrefix: null,
+        lengths: [10, 10],
+        types: {
+            tollFree: /^800\d{7}$/,
+            premiumRate: /^900\d{7}$/,
+            fixedOrMobile: /^[1-9]\d{9}$/
+        },
+        formats: [
+            { pattern: /^(33|55|81)(\d{4})(\d{4})$/, format: '$1 $2 $3' },
+            { pattern: /^(\d{3})(\d{3})(\d{4})$/, format: '$1 $2 $3' }
+        ]
+    },
+    BR: {
+        name: 'Brazil',
+        callingCode: '55',
+        nationalPrefix: '0',
+        lengths: [9, 11],
+        types: {
+            tollFree: /^800\d{6,7}$/,
+            mobile: /^[1-9]{2}9\d{8}$/,
+            landline: /^[1-9]{2}[2-5]\d{7}$/
+        },
+        formats: [
+            { pattern: /^(800)(\d{3})(\d{3,4})$/, format: '$1 $2 $3', national: '0$1 $2 $3' },
+            { pattern: /^(\d{2})(\d{4,5})(\d{4})$/, format: '$1 $2-$3', national: '($1) $2-$3' }
+        ]
+    },
+    IN: {
+        name: 'India',
+        callingCode: '91',
+        nationalPrefix: '0',
+        lengths: [10, 11],
+        types: {
+            tollFree: /^1800\d{6,7}$/,
+            fixedOrMobile: /^[6-9]\d{9}$/,
+            landline: /^[1-5]\d{9}$/
+        },
+        formats: [
+            { pattern: /^(1800)(\d{3})(\d{3,4})$/, format: '$1 $2 $3', national: '$1 $2 $3' },
+            { pattern: /^([6-9]\d{4})(\d{5})$/, format: '$1 $2' },
+            { pattern: /^(\d{2,4})(\d{6,8})$/, format: '$1 $2' }
+        ]
+    },
+    SG: {
+        name: 'Singapore',
+        callingCode: '65',
+        nationalPrefix: null,
+        lengths: [8, 11],
+        types: {
+            tollFree: /^1800\d{7}$/,
+            mobile: /^[89]\d{7}$/,
+            landline: /^6\d{7}$/,
+            voip: /^3\d{7}$/
+        },
+        formats: [
+            { pattern: /^(1800)(\d{3})(\d{4})$/, format: '$1 $2 $3' },
+            { pattern: /^(\d{4})(\d{4})$/, format: '$1 $2' }
+        ]
+    },
+    ZA: {
+        name: 'South Africa',
+        callingCode: '27',
+        nationalPrefix: '0',
+        lengths: [9, 9],
+        types: {
+            tollFree: /^80\d{7}$/,
+            sharedCost: /^86\d{7}$/,
+            mobile: /^(?:6\d|7[1-46-9]|8[1-4])\d{7}$/,
+            landline: /^[1-5]\d{8}$/
+        },
+        formats: [
+            { pattern: /^(\d{2})(\d{3})(\d{4})$/, format: '$1 $2 $3' }
+        ]
+    },
+    AE: {
+        name: 'United Arab Emirates',
+        callingCode: '971',
+        nationalPrefix: '0',
+        lengths: [5, 12],
+        types: {
+            tollFree: /^800\d{2,9}$/,
+            mobile: /^5[024-68]\d{7}$/,
+            landline: /^[2-4679]\d{7}$/
+        },
+        formats: [
+            { pattern: /^(5\d)(\d{3})(\d{4})$/, format: '$1 $2 $3' },
+            { pattern: /^([2-4679])(\d{3})(\d{4})$/, format: '$1 $2 $3' }
+        ]
+    }
+};
+
+/**
+ * NANP area codes outside the US mainland and Canada -> country
+ * (US and Canadian area codes come from the gazetteer)
+ */
+const NANP_AREA_CODE_COUNTRIES = {
+    242: 'BS', 246: 'BB', 264: 'AI', 268: 'AG', 284: 'VG', 340: 'VI',
+    345: 'KY', 441: 'BM', 473: 'GD', 649: 'TC', 658: 'JM', 664: 'MS',
+    670: 'MP', 671: 'GU', 684: 'AS', 721: 'SX', 758: 'LC', 767: 'DM',
+    784: 'VC', 787: 'PR', 809: 'DO', 829: 'DO', 849: 'DO', 868: 'TT',
+    869: 'KN', 876: 'JM', 939: 'PR'
+};
+
+/**
+ * Country names and common spellings -> ISO code (ISO codes themselves always work)
+ */
+const PHONE_COUNTRY_ALIASES = {
+    'USA': 'US',
+    'UNITED STATES OF AMERICA': 'US',
+    'UK': 'GB',
+    'GREAT BRITAIN': 'GB',
+    'ENGLAND': 'GB',
+    'SCOTLAND': 'GB',
+    'WALES': 'GB',
+    'NORTHERN IRELAND': 'GB',
+    'UAE': 'AE',
+    'HOLLAND': 'NL'
+};
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    PHONE_COUNTRIES,
+    NANP_AREA_CODE_COUNTRIES,
+    PHONE_COUNTRY_ALIASES
+};
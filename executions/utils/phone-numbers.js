@@ -0,0 +1,376 @@
+/**
+ * Phone Number Utility
+ *
+ * Parses phone numbers from any supported country using the bundled numbering-plan
+ * metadata (phone-metadata.js): E.164, national and international display formats,
+ * country, number type (mobile, landline, toll-free, ...) and validity. No network
+ * calls. Every module that stores, validates, texts or dials a phone number goes
+ * through here, so the same input always gives the same answer.
+ *
+ * Numbers without a country code ("(512) 555-0100", "020 7946 0958") are read as
+ * national numbers of the default country (US unless told otherwise).
+ *
+ * @version 1.0.0
+ * @requires ./phone-metadata
+ * @requires ./gazetteer
+ */
+
+const { PHONE_COUNTRIES, NANP_AREA_CODE_COUNTRIES, PHONE_COUNTRY_ALIASES } = require('./phone-metadata');
+const { REGIONS, AREA_CODES } = require('./gazetteer');
+
+const DEFAULT_PHONE_COUNTRY = 'US';
+
+/**
+ * Number types
+ */
+const PHONE_TYPES = {
+    MOBILE: 'mobile',
+    LANDLINE: 'landline',
+    FIXED_OR_MOBILE: 'fixed-or-mobile', // Plan doesn't separate them (US, Canada, Mexico, ...)
+    TOLL_FREE: 'toll-free',
+    PREMIUM_RATE: 'premium-rate',
+    SHARED_COST: 'shared-cost',
+    VOIP: 'voip'
+};
+
+// Metadata type keys -> PHONE_TYPES
+const TYPE_KEYS = {
+    mobile: PHONE_TYPES.MOBILE,
+    landline: PHONE_TYPES.LANDLINE,
+    fixedOrMobile: PHONE_TYPES.FIXED_OR_MOBILE,
+    tollFree: PHONE_TYPES.TOLL_FREE,
+    premiumRate: PHONE_TYPES.PREMIUM_RATE,
+    sharedCost: PHONE_TYPES.SHARED_COST,
+    voip: PHONE_TYPES.VOIP
+};
+
+// Types that cannot receive text messages
+const NON_SMS_TYPES = [PHONE_TYPES.LANDLINE, PHONE_TYPES.TOLL_FREE, PHONE_TYPES.PREMIUM_RATE, PHONE_TYPES.SHARED_COST];
+
+// Trailing extension: "x204", "ext. 12", "extension 7", "#3"
+const EXTENSION_PATTERN = /\s*(?:ext(?:ension)?\.?|x|#)\s*(\d{1,6})\s*$/i;
+
+// E.164 allows at most 15 digits; shorter than 8 is never a full international number
+const E164_LENGTHS = [8, 15];
+
+// Lookup indexes built once from the metadata
+const callingCodeIndex = new Map(); // calling code -> country code
+const nanpAreaCodeIndex = new Map(); // area code -> country code
+
+for (const [country, plan] of Object.entries(PHONE_COUNTRIES)) {
+    if (!callingCodeIndex.has(plan.callingCode)) {
+        callingCodeIndex.set(plan.callingCode, country);
+    }
+}
+for (const [region, codes] of Object.entries(AREA_CODES)) {
+    codes.forEach(code => nanpAreaCodeIndex.set(code, REGIONS[region][1]));
+}
+for (const [code, country] of Object.entries(NANP_AREA_CODE_COUNTRIES)) {
+    nanpAreaCodeIndex.set(Number(code), country);
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Resolve a country code or name to the ISO code used by the phone metadata
+ *
+ * @param {string} country - 'US', 'gb', 'United Kingdom', 'UK', ...
+ * @returns {string|null} ISO 3166 alpha-2 code, or null if the country has no bundled plan
+ */
+function resolvePhoneCountry(country) {
+    if (!country) return null;
+
+    const key = String(country).toUpperCase().replace(/\./g, '').replace(/\s+/g, ' ').trim();
+    if (PHONE_COUNTRIES[key]) return key;
+    if (PHONE_COUNTRY_ALIASES[key]) return PHONE_COUNTRY_ALIASES[key];
+
+    const byName = Object.keys(PHONE_COUNTRIES).find(code => PHONE_COUNTRIES[code].name.toUpperCase() === key);
+    return byName || null;
+}
+
+/**
+ * Parse a phone number
+ *
+ * Accepts "+44 20 7946 0958", "0044 20 7946 0958", "011 44 ..." (from NANP), national
+ * formats of the default country, a "(0)" trunk prefix after the country code, and a
+ * trailing extension.
+ *
+ * @param {string} phone - Phone number in any common format
+ * @param {Object} options - Options
+ * @param {string} options.defaultCountry - Country for numbers without a country code (default: 'US')
+ * @returns {Object|null} {
+ *   input, e164, callingCode, country, nationalNumber, extension,
+ *   nationalFormat, internationalFormat, type, isPossible, isValid, hasMetadata
+ * } - null when there are no digits at all
+ */
+function parsePhoneNumber(phone, options = {}) {
+    if (phone === null || phone === undefined) return null;
+
+    const { defaultCountry = DEFAULT_PHONE_COUNTRY } = options;
+    const input = String(phone).trim();
+
+    const extensionMatch = input.match(EXTENSION_PATTERN);
+    const extension = extensionMatch ? extensionMatch[1] : null;
+    const text = extensionMatch ? input.slice(0, extensionMatch.index) : input;
+
+    let digits = text.replace(/\D/g, '');
+    if (!digits) return null;
+
+    const home = resolvePhoneCountry(defaultCountry);
+    let international = text.startsWith('+');
+    if (!international && digits.startsWith('00')) {
+        digits = digits.slice(2);
+        international = true;
+    } else if (!international && home && PHONE_COUNTRIES[home].callingCode === '1' && digits.startsWith('011')) {
+        digits = digits.slice(3);
+        international = true;
+    }
+
+    if (!international) {
+        if (!home) {
+            return buildResult({ input, extension, callingCode: null, country: null, nationalNumber: digits });
+        }
+        const plan = PHONE_COUNTRIES[home];
+        const nationalNumber = stripNationalPrefix(digits, plan);
+        return buildResult({
+            input,
+            extension,
+            callingCode: plan.callingCode,
+            country: plan.callingCode === '1' ? getNanpCountry(nationalNumber, home) : home,
+            nationalNumber
+        });
+    }
+
+    const callingCode = [1, 2, 3].map(length => digits.slice(0, length)).find(code => callingCodeIndex.has(code));
+    if (!callingCode) {
+        // Country without a bundled plan: keep the digits as E.164, unvalidated
+        return buildResult({ input, extension, callingCode: null, country: null, nationalNumber: null, digits });
+    }
+
+    const plan = PHONE_COUNTRIES[callingCodeIndex.get(callingCode)];
+    const nationalNumber = stripNationalPrefix(digits.slice(callingCode.length), plan);
+    return buildResult({
+        input,
+        extension,
+        callingCode,
+        country: callingCode === '1' ? getNanpCountry(nationalNumber, home) : callingCodeIndex.get(callingCode),
+        nationalNumber
+    });
+}
+
+/**
+ * Drop the trunk prefix ("0" in most countries, "1" in NANP) when the rest is a number
+ */
+function stripNationalPrefix(digits, plan) {
+    const prefix = plan.nationalPrefix;
+    if (!prefix || !digits.startsWith(prefix)) return digits;
+
+    const rest = digits.slice(prefix.length);
+    if (getNumberType(rest, plan)) return rest;
+    if (getNumberType(digits, plan)) return digits;
+    return digits.length > plan.lengths[1] ? rest : digits;
+}
+
+/**
+ * Country of a +1 number from its area code (toll-free and unknown codes stay home)
+ */
+function getNanpCountry(nationalNumber, home) {
+    const country = nanpAreaCodeIndex.get(Number(nationalNumber.slice(0, 3)));
+    if (country) return country;
+    return home && PHONE_COUNTRIES[home].callingCode === '1' ? home : DEFAULT_PHONE_COUNTRY;
+}
+
+/**
+ * First type pattern the national number matches, or null
+ */
+function getNumberType(nationalNumber, plan) {
+    for (const [key, pattern] of Object.entries(plan.types)) {
+        if (pattern.test(nationalNumber)) return TYPE_KEYS[key];
+    }
+    return null;
+}
+
+/**
+ * Assemble the parse result for a national number (or raw digits when the plan is unknown)
+ */
+function buildResult({ input, extension, callingCode, country, nationalNumber, digits = null }) {
+    const plan = country && (PHONE_COUNTRIES[country] || (callingCode === '1' ? PHONE_COUNTRIES.US : null));
+
+    if (!plan) {
+        const isPossible = Boolean(digits) && digits.length >= E164_LENGTHS[0] && digits.length <= E164_LENGTHS[1];
+        return {
+            input,
+            e164: isPossible ? `+${digits}` : null,
+            callingCode,
+            country,
+            nationalNumber,
+            extension,
+            nationalFormat: null,
+            internationalFormat: isPossible ? `+${digits}` : null,
+            type: null,
+            isPossible,
+            isValid: false,
+            hasMetadata: false
+        };
+    }
+
+    const [minLength, maxLength] = plan.lengths;
+    const isPossible = nationalNumber.length >= minLength && nationalNumber.length <= maxLength;
+    const type = getNumberType(nationalNumber, plan);
+    const display = isPossible ? formatNationalNumber(nationalNumber, plan) : null;
+
+    return {
+        input,
+        e164: isPossible ? `+${callingCode}${nationalNumber}` : null,
+        callingCode,
+        country,
+        nationalNumber,
+        extension,
+        nationalFormat: display ? display.national : null,
+        internationalFormat: display ? `+${callingCode} ${display.international}` : null,
+        type,
+        isPossible,
+        isValid: isPossible && Boolean(type),
+        hasMetadata: true
+    };
+}
+
+/**
+ * Group a national number for display using the plan's first matching format
+ */
+function formatNationalNumber(nationalNumber, plan) {
+    const rule = plan.formats.find(format => format.pattern.test(nationalNumber));
+    if (!rule) {
+        return { international: nationalNumber, national: `${plan.nationalPrefix || ''}${nationalNumber}` };
+    }
+
+    const international = nationalNumber.replace(rule.pattern, rule.format);
+    return {
+        international,
+        national: rule.national
+            ? nationalNumber.replace(rule.pattern, rule.national)
+            : `${plan.nationalPrefix || ''}${international}`
+    };
+}
+
+// ============================================================================
+// CONVENIENCE HELPERS
+// ============================================================================
+
+/**
+ * Convert a phone number to E.164
+ *
+ * Numbers in countries without a bundled plan are accepted when their length is
+ * possible, since they can't be checked any further.
+ *
+ * @param {string} phone - Phone number in any common format
+ * @param {Object} options - parsePhoneNumber options
+ * @returns {string|null} E.164 number (e.g. '+15125550100'), or null if invalid
+ */
+function toE164(phone, options = {}) {
+    const parsed = parsePhoneNumber(phone, options);
+    if (!parsed) return null;
+    if (parsed.isValid || (!parsed.hasMetadata && parsed.isPossible)) return parsed.e164;
+    return null;
+}
+
+/**
+ * Format a phone number for display
+ *
+ * @param {string} phone - Phone number in any common format
+ * @param {string} style - 'e164' | 'national' | 'international' (default)
+ * @param {Object} options - parsePhoneNumber options
+ * @returns {string|null} Formatted number, or null if it can't be parsed
+ */
+function formatPhoneNumber(phone, style = 'international', options = {}) {
+    const parsed = parsePhoneNumber(phone, options);
+    if (!parsed || !parsed.isPossible) return null;
+
+    switch (style) {
+        case 'e164':
+            return parsed.e164;
+        case 'national':
+            return parsed.nationalFormat || parsed.internationalFormat;
+        case 'international':
+            return parsed.internationalFormat;
+        default:
+            throw new Error(`Unknown phone format '${style}'. Use 'e164', 'national' or 'international'.`);
+    }
+}
+
+/**
+ * Check a phone number against its country's numbering plan
+ *
+ * @param {string} phone - Phone number in any common format
+ * @param {Object} options - parsePhoneNumber options
+ * @returns {boolean} True if the number is valid (false for countries without a bundled plan)
+ */
+function isValidPhoneNumber(phone, options = {}) {
+    const parsed = parsePhoneNumber(phone, options);
+    return Boolean(parsed && parsed.isValid);
+}
+
+/**
+ * Check whether a phone number can receive text messages
+ *
+ * Only rules out what the metadata knows: landline, toll-free, premium and shared-cost
+ * numbers, and numbers that aren't valid. 'fixed-or-mobile' numbers (US, Canada) pass.
+ *
+ * @param {string} phone - Phone number in any common format
+ * @param {Object} options - parsePhoneNumber options
+ * @returns {boolean} False if the number cannot be texted
+ */
+function canReceiveSms(phone, options = {}) {
+    const parsed = parsePhoneNumber(phone, options);
+    if (!parsed || !toE164(phone, options)) return false;
+    return !NON_SMS_TYPES.includes(parsed.type);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    parsePhoneNumber,
+    toE164,
+    formatPhoneNumber,
+    isValidPhoneNumber,
+    canReceiveSms,
+    resolvePhoneCountry,
+    PHONE_TYPES,
+    NON_SMS_TYPES,
+    DEFAULT_PHONE_COUNTRY
+};
+
+// ============================================================================
+// USAGE EXAMPLES
+// ============================================================================
+
+/**
+ * Example 1: Parse a US number in national format
+ *
+ * const { parsePhoneNumber } = require('./phone-numbers');
+ *
+ * parsePhoneNumber('(512) 555-0100 x204');
+ * // { e164: '+15125550100', country: 'US', callingCode: '1', nationalNumber: '5125550100',
+ * //   extension: '204', nationalFormat: '(512) 555-0100', internationalFormat: '+1 512-555-0100',
+ * //   type: 'fixed-or-mobile', isPossible: true, isValid: true, hasMetadata: true, ... }
+ *
+ * Example 2: UK numbers, international or national
+ *
+ * const { toE164, formatPhoneNumber } = require('./phone-numbers');
+ *
+ * toE164('+44 (0)7911 123456');                               // '+447911123456'
+ * toE164('020 7946 0958', { defaultCountry: 'GB' });          // '+442079460958'
+ * formatPhoneNumber('+442079460958', 'national');             // '020 7946 0958'
+ *
+ * Example 3: Keep SMS off numbers that can't receive it
+ *
+ * const { canReceiveSms } = require('./phone-numbers');
+ *
+ * canReceiveSms('+447911123456');  // true  (UK mobile)
+ * canReceiveSms('+442079460958');  // false (London landline)
+ * canReceiveSms('1-800-555-0199'); // false (toll-free)
+ */
@@ -0,0 +1,590 @@
+/**
+ * Predictive Lead Scoring Utility
+ *
+ * Learns which lead attributes actually predict replies, bookings and closed-won deals,
+ * using outcomes recorded through the GHL pipeline stages (PIPELINE_STAGES in
+ * lead-to-ghl-mapper.js). Trains a logistic regression in pure JS on features built from
+ * enriched lead fields, exports a versioned JSON model file, and scores new leads next to
+ * the rule-based calculateQualityScore. Every trained model carries an evaluation report
+ * (AUC, calibration, Brier score) against a holdout set, with the rule-based score's AUC
+ * on the same leads as the baseline, so the switch-over can be decided on numbers.
+ *
+ * @version 1.0.0
+ * @requires fs (Node.js built-in)
+ * @requires crypto (Node.js built-in)
+ * @requires ./lead-scoring
+ * @requires ./lead-to-ghl-mapper
+ * @requires ../verticals (vertical registry)
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { scoreLead } = require('./lead-scoring');
+const { PIPELINE_STAGES } = require('./lead-to-ghl-mapper');
+const { findVertical } = require('../verticals');
+
+const MODEL_FORMAT = 'lead-outcome-model';
+const MODEL_FORMAT_VERSION = 1;
+
+/**
+ * How far down the pipeline each stage is. A lost deal was closed after a reply
+ * (negative sentiment or sales disqualified it), so it counts as replied only;
+ * pass highestStage on the outcome when a deal was lost after booking.
+ */
+const STAGE_RANK = {
+    [PIPELINE_STAGES.LEAD]: 0,
+    [PIPELINE_STAGES.CONTACTED]: 1,
+    [PIPELINE_STAGES.REPLIED]: 2,
+    [PIPELINE_STAGES.CLOSED_LOST]: 2,
+    [PIPELINE_STAGES.QUALIFIED]: 3,
+    [PIPELINE_STAGES.BOOKED]: 4,
+    [PIPELINE_STAGES.CLOSED_WON]: 5
+};
+
+/**
+ * Outcomes a model can predict (the stage a lead must reach to count as positive)
+ */
+const OUTCOME_TARGETS = {
+    replied: PIPELINE_STAGES.REPLIED,
+    booked: PIPELINE_STAGES.BOOKED,
+    closed_won: PIPELINE_STAGES.CLOSED_WON
+};
+
+const BINARY_FEATURES = {
+    email_found: lead => Boolean(lead.email && !lead.emailInferred),
+    email_verified: lead => getMailboxStatus(lead) === 'valid',
+    email_catch_all: lead => getMailboxStatus(lead) === 'catch-all',
+    role_based_email: lead => Boolean(lead.validationErrors && lead.validationErrors.includes('role_based_email')),
+    has_phone: lead => Boolean(lead.phone),
+    has_website: lead => Boolean(lead.website || lead.domain),
+    has_linkedin_profile: lead => Boolean(lead.linkedinProfile),
+    recent_activity: lead => Boolean(lead.recentActivity && lead.recentActivity.length > 0),
+    merged_sources: lead => Boolean(lead.leadSource && lead.leadSource.includes(' + ')),
+    domain_mx: lead => lead.domainHasMX === true,
+    has_google_rating: lead => Number(lead.googleRating) > 0,
+    decision_maker_title: lead => isDecisionMaker(lead)
+};
+
+const NUMERIC_FEATURES = {
+    google_rating: lead => (Number(lead.googleRating) || 0) / 5,
+    log_review_count: lead => Math.log1p(Number(lead.reviewCount) || 0),
+    email_confidence: lead => (lead.email ? (lead.emailInferred ? (lead.emailConfidence || 0) : 1) : 0),
+    rule_score: lead => getRuleScore(lead) / 100
+};
+
+// One-hot encoded; values are learned from the training leads
+const CATEGORICAL_FEATURES = {
+    vertical: lead => (lead.vertical ? String(lead.vertical).toLowerCase() : null),
+    company_size: lead => lead.companySizeRange || null,
+    lead_source: lead => (lead.leadSource ? lead.leadSource.split(' + ')[0] : null)
+};
+
+const GENERIC_DECISION_MAKER = /\b(owner|founder|ceo|president|principal|partner|managing director|director)\b/i;
+
+// ============================================================================
+// TRAINING
+// ============================================================================
+
+/**
+ * Train an outcome model from enriched leads and their pipeline outcomes
+ *
+ * @param {Object} options - Training options
+ * @param {Array<Object>} options.leads - Enriched leads (e.g. enriched_leads.json)
+ * @param {Array<Object>} options.outcomes - [{ email, stage, highestStage }] (see outcomesFromOpportunities)
+ * @param {string} options.target - 'replied', 'booked' or 'closed_won' (default: 'replied')
+ * @param {number} options.testFraction - Share of leads held out for evaluation (default: 0.25)
+ * @param {number} options.iterations - Gradient descent iterations (default: 1000)
+ * @param {number} options.learningRate - Learning rate (default: 0.1)
+ * @param {number} options.l2 - L2 regularization strength (default: 0.01)
+ * @param {number} options.minCategoryCount - Minimum leads per category value to get a feature (default: 5)
+ * @param {string} options.version - Model version (default: '<target>-<timestamp>')
+ * @returns {Object} Model (save with saveModel), including its evaluation report
+ * @throws {Error} If the target is unknown or the outcomes don't contain both classes
+ */
+function trainOutcomeModel(options = {}) {
+    const {
+        leads = [],
+        outcomes = [],
+        target = 'replied',
+        testFraction = 0.25,
+        iterations = 1000,
+        learningRate = 0.1,
+        l2 = 0.01,
+        minCategoryCount = 5,
+        version = null
+    } = options;
+
+    if (!OUTCOME_TARGETS[target]) {
+        throw new Error(`Unknown outcome target: ${target}. Must be one of: ${Object.keys(OUTCOME_TARGETS).join(', ')}`);
+    }
+
+    const examples = buildExamples(leads, outcomes, target);
+    const positives = examples.filter(example => example.label === 1).length;
+    if (positives === 0 || positives === examples.length) {
+        throw new Error(`Need both positive and negative '${target}' outcomes to train (got ${examples.length} contacted leads, ${positives} positive)`);
+    }
+
+    const trainSet = examples.filter(example => !isHoldout(example.key, testFraction));
+    const testSet = examples.filter(example => isHoldout(example.key, testFraction));
+    const trainPositives = trainSet.filter(example => example.label === 1).length;
+    if (trainPositives === 0 || trainPositives === trainSet.length) {
+        throw new Error(`Training split has only one '${target}' class (${trainSet.length} leads, ${trainPositives} positive); add outcomes or lower testFraction`);
+    }
+
+    // Feature spec comes from the training split only
+    const featureSpec = buildFeatureSpec(trainSet.map(example => example.lead), minCategoryCount);
+    const rows = trainSet.map(example => vectorize(example.lead, featureSpec));
+    const { means, stds } = computeScaling(rows);
+    const scaled = rows.map(row => row.map((value, i) => (value - means[i]) / stds[i]));
+
+    const { weights, bias } = fitLogisticRegression(scaled, trainSet.map(example => example.label), {
+        iterations,
+        learningRate,
+        l2
+    });
+
+    const createdAt = new Date().toISOString();
+    const model = {
+        format: MODEL_FORMAT,
+        formatVersion: MODEL_FORMAT_VERSION,
+        version: version || `${target}-${createdAt.replace(/[-:T]/g, '').slice(0, 14)}`,
+        target,
+        algorithm: 'logistic-regression',
+        createdAt,
+        hyperparameters: { iterations, learningRate, l2, testFraction, minCategoryCount },
+        features: {
+            names: featureSpec.names,
+            categories: featureSpec.categories,
+            means,
+            stds
+        },
+        weights: Object.fromEntries(featureSpec.names.map((name, i) => [name, weights[i]])),
+        bias,
+        training: {
+            examples: trainSet.length,
+            positives: trainPositives,
+            baseRate: round(trainPositives / trainSet.length)
+        }
+    };
+
+    model.evaluation = evaluateModel(model, testSet);
+    return model;
+}
+
+/**
+ * Evaluate a model on labeled examples (the holdout at training time, or fresh outcomes later)
+ *
+ * @param {Object} model - Trained model
+ * @param {Array<Object>} examples - [{ lead, label }] or { leads, outcomes } to build them from
+ * @returns {Object} { examples, positives, auc, baselineAuc, brierScore, logLoss, calibration, expectedCalibrationError, outperformsBaseline }
+ */
+function evaluateModel(model, examples) {
+    const labeled = Array.isArray(examples)
+        ? examples
+        : buildExamples(examples.leads || [], examples.outcomes || [], model.target);
+
+    const labels = labeled.map(example => example.label);
+    const predictions = labeled.map(example => predictProbability(example.lead, model));
+    const baseline = labeled.map(example => getRuleScore(example.lead));
+    const positives = labels.filter(label => label === 1).length;
+
+    if (labeled.length === 0 || positives === 0 || positives === labeled.length) {
+        return {
+            examples: labeled.length,
+            positives,
+            auc: null,
+            baselineAuc: null,
+            note: 'Evaluation needs both positive and negative outcomes in the holdout set'
+        };
+    }
+
+    const calibration = buildCalibration(predictions, labels, 10);
+    const auc = computeAuc(predictions, labels);
+    const baselineAuc = computeAuc(baseline, labels);
+
+    return {
+        examples: labeled.length,
+        positives,
+        baseRate: round(positives / labeled.length),
+        auc: round(auc),
+        baselineAuc: round(baselineAuc),
+        outperformsBaseline: auc > baselineAuc,
+        brierScore: round(predictions.reduce((sum, p, i) => sum + (p - labels[i]) ** 2, 0) / labeled.length),
+        logLoss: round(predictions.reduce((sum, p, i) => {
+            const clipped = Math.min(Math.max(p, 1e-12), 1 - 1e-12);
+            return sum - (labels[i] * Math.log(clipped) + (1 - labels[i]) * Math.log(1 - clipped));
+        }, 0) / labeled.length),
+        expectedCalibrationError: round(calibration.reduce((sum, bin) =>
+            sum + (bin.count / labeled.length) * Math.abs(bin.meanPredicted - bin.observedRate), 0)),
+        calibration
+    };
+}
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+/**
+ * Score a lead with a trained model
+ *
+ * @param {Object} lead - Enriched lead
+ * @param {Object} model - Trained model
+ * @param {Object} options - Options
+ * @param {number} options.topFactors - Number of strongest contributions to return (default: 3)
+ * @returns {Object} { probability, score (0-100), target, modelVersion, topFactors: [{ feature, contribution }] }
+ */
+function predictOutcome(lead, model, options = {}) {
+    const { topFactors = 3 } = options;
+    const contributions = computeContributions(lead, model);
+    const logit = model.bias + contributions.reduce((sum, item) => sum + item.contribution, 0);
+    const probability = sigmoid(logit);
+
+    return {
+        probability: round(probability),
+        score: Math.round(probability * 100),
+        target: model.target,
+        modelVersion: model.version,
+        topFactors: contributions
+            .filter(item => item.contribution !== 0)
+            .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+            .slice(0, topFactors)
+            .map(item => ({ feature: item.feature, contribution: round(item.contribution) }))
+    };
+}
+
+/**
+ * Probability of the model's target outcome for a lead
+ *
+ * @param {Object} lead - Enriched lead
+ * @param {Object} model - Trained model
+ * @returns {number} Probability 0-1
+ */
+function predictProbability(lead, model) {
+    const contributions = computeContributions(lead, model);
+    return sigmoid(model.bias + contributions.reduce((sum, item) => sum + item.contribution, 0));
+}
+
+// ============================================================================
+// OUTCOMES & MODEL FILES
+// ============================================================================
+
+/**
+ * Turn GHL opportunities into outcome records
+ * Stage comes from pipelineStage (the mapper's stage names) or pipelineStageId via stageIdMap;
+ * won/lost status overrides the stage.
+ *
+ * @param {Array<Object>} opportunities - GHL opportunities (e.g. from GoHighLevelAPI.getOpportunities)
+ * @param {Object} stageIdMap - GHL stage ID -> PIPELINE_STAGES value
+ * @returns {Array<Object>} [{ email, stage }]
+ */
+function outcomesFromOpportunities(opportunities, stageIdMap = {}) {
+    return opportunities
+        .map(opportunity => {
+            const email = opportunity.contact?.email || opportunity.email || null;
+            let stage = opportunity.pipelineStage || stageIdMap[opportunity.pipelineStageId] || null;
+
+            if (opportunity.status === 'won') stage = PIPELINE_STAGES.CLOSED_WON;
+            if (opportunity.status === 'lost' && STAGE_RANK[stage] === undefined) stage = PIPELINE_STAGES.CLOSED_LOST;
+
+            return { email, stage, highestStage: opportunity.highestStage || null };
+        })
+        .filter(outcome => outcome.email && STAGE_RANK[outcome.stage] !== undefined);
+}
+
+/**
+ * Write a model to a JSON file
+ *
+ * @param {Object} model - Trained model
+ * @param {string} filePath - Destination path
+ */
+function saveModel(model, filePath) {
+    fs.writeFileSync(filePath, JSON.stringify(model, null, 2));
+}
+
+/**
+ * Read a model from a JSON file
+ *
+ * @param {string} filePath - Model file path
+ * @returns {Object} Model
+ * @throws {Error} If the file is missing or isn't a supported model
+ */
+function loadModel(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Model file not found: ${filePath}`);
+    }
+
+    const model = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (model.format !== MODEL_FORMAT) {
+        throw new Error(`${filePath} is not a lead outcome model (format: ${model.format})`);
+    }
+    if (model.formatVersion > MODEL_FORMAT_VERSION) {
+        throw new Error(`Model ${model.version} uses format version ${model.formatVersion}; this code reads up to ${MODEL_FORMAT_VERSION}`);
+    }
+
+    return model;
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Join leads to outcomes by email and label them for a target
+ * Leads never contacted carry no signal and are left out.
+ */
+function buildExamples(leads, outcomes, target) {
+    const targetRank = STAGE_RANK[OUTCOME_TARGETS[target]];
+    const outcomeByEmail = new Map();
+
+    for (const outcome of outcomes) {
+        if (!outcome.email) continue;
+        const email = outcome.email.toLowerCase();
+        const rank = Math.max(STAGE_RANK[outcome.stage] ?? -1, STAGE_RANK[outcome.highestStage] ?? -1);
+
+        // Keep the furthest stage when a contact has several opportunities
+        if (rank > (outcomeByEmail.get(email) ?? -1)) outcomeByEmail.set(email, rank);
+    }
+
+    const examples = [];
+    for (const lead of leads) {
+        if (!lead.email) continue;
+        const key = lead.email.toLowerCase();
+        const rank = outcomeByEmail.get(key);
+        if (rank === undefined || rank < STAGE_RANK[PIPELINE_STAGES.CONTACTED]) continue;
+
+        examples.push({ key, lead, label: rank >= targetRank ? 1 : 0 });
+    }
+
+    return examples;
+}
+
+/**
+ * Feature names plus the category values seen often enough in training
+ */
+function buildFeatureSpec(leads, minCategoryCount) {
+    const categories = {};
+
+    for (const [feature, extract] of Object.entries(CATEGORICAL_FEATURES)) {
+        const counts = {};
+        leads.forEach(lead => {
+            const value = extract(lead);
+            if (value) counts[value] = (counts[value] || 0) + 1;
+        });
+        categories[feature] = Object.keys(counts).filter(value => counts[value] >= minCategoryCount).sort();
+    }
+
+    const names = [
+        ...Object.keys(BINARY_FEATURES),
+        ...Object.keys(NUMERIC_FEATURES),
+        ...Object.entries(categories).flatMap(([feature, values]) => values.map(value => `${feature}=${value}`))
+    ];
+
+    return { names, categories };
+}
+
+/**
+ * Feature values for a lead, in spec order
+ */
+function vectorize(lead, featureSpec) {
+    const values = {};
+
+    for (const [feature, extract] of Object.entries(BINARY_FEATURES)) values[feature] = extract(lead) ? 1 : 0;
+    for (const [feature, extract] of Object.entries(NUMERIC_FEATURES)) values[feature] = extract(lead);
+    for (const feature of Object.keys(featureSpec.categories)) {
+        const value = CATEGORICAL_FEATURES[feature](lead);
+        if (value) values[`${feature}=${value}`] = 1;
+    }
+
+    return featureSpec.names.map(name => values[name] || 0);
+}
+
+/**
+ * Per-feature contribution to the logit (weight x standardized value)
+ */
+function computeContributions(lead, model) {
+    const { names, means, stds } = model.features;
+    const row = vectorize(lead, model.features);
+
+    return names.map((feature, i) => ({
+        feature,
+        contribution: model.weights[feature] * ((row[i] - means[i]) / stds[i])
+    }));
+}
+
+function computeScaling(rows) {
+    const width = rows[0] ? rows[0].length : 0;
+    const means = new Array(width).fill(0);
+    const stds = new Array(width).fill(0);
+
+    rows.forEach(row => row.forEach((value, i) => { means[i] += value / rows.length; }));
+    rows.forEach(row => row.forEach((value, i) => { stds[i] += (value - means[i]) ** 2 / rows.length; }));
+
+    return { means, stds: stds.map(variance => Math.sqrt(variance) || 1) };
+}
+
+/**
+ * Batch gradient descent on the L2-regularized log loss
+ */
+function fitLogisticRegression(rows, labels, { iterations, learningRate, l2 }) {
+    const width = rows[0].length;
+    const weights = new Array(width).fill(0);
+    const baseRate = labels.reduce((sum, label) => sum + label, 0) / labels.length;
+    let bias = Math.log(baseRate / (1 - baseRate)); // Start at the base rate
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        const gradient = new Array(width).fill(0);
+        let biasGradient = 0;
+
+        for (let r = 0; r < rows.length; r++) {
+            const row = rows[r];
+            let logit = bias;
+            for (let i = 0; i < width; i++) logit += weights[i] * row[i];
+
+            const error = sigmoid(logit) - labels[r];
+            for (let i = 0; i < width; i++) gradient[i] += error * row[i];
+            biasGradient += error;
+        }
+
+        for (let i = 0; i < width; i++) {
+            weights[i] -= learningRate * (gradient[i] / rows.length + l2 * weights[i]);
+        }
+        bias -= learningRate * (biasGradient / rows.length);
+    }
+
+    return { weights, bias };
+}
+
+/**
+ * Area under the ROC curve (rank statistic; ties count half)
+ */
+function computeAuc(scores, labels) {
+    const ranked = scores
+        .map((score, i) => ({ score, label: labels[i] }))
+        .sort((a, b) => a.score - b.score);
+
+    // Average ranks across ties
+    let rankSum = 0;
+    for (let i = 0; i < ranked.length;) {
+        let j = i;
+        while (j < ranked.length && ranked[j].score === ranked[i].score) j++;
+        const averageRank = (i + 1 + j) / 2;
+        for (let k = i; k < j; k++) {
+            if (ranked[k].label === 1) rankSum += averageRank;
+        }
+        i = j;
+    }
+
+    const positives = labels.filter(label => label === 1).length;
+    const negatives = labels.length - positives;
+    return (rankSum - (positives * (positives + 1)) / 2) / (positives * negatives);
+}
+
+/**
+ * Reliability table: predicted vs observed rate in equal-width probability bins
+ */
+function buildCalibration(predictions, labels, binCount) {
+    const bins = Array.from({ length: binCount }, (_, i) => ({
+        range: `${(i / binCount).toFixed(1)}-${((i + 1) / binCount).toFixed(1)}`,
+        count: 0,
+        predictedSum: 0,
+        positives: 0
+    }));
+
+    predictions.forEach((p, i) => {
+        const bin = bins[Math.min(Math.floor(p * binCount), binCount - 1)];
+        bin.count++;
+        bin.predictedSum += p;
+        bin.positives += labels[i];
+    });
+
+    return bins
+        .filter(bin => bin.count > 0)
+        .map(bin => ({
+            range: bin.range,
+            count: bin.count,
+            meanPredicted: round(bin.predictedSum / bin.count),
+            observedRate: round(bin.positives / bin.count)
+        }));
+}
+
+/**
+ * Stable holdout assignment by lead key, so retraining keeps the same split
+ */
+function isHoldout(key, testFraction) {
+    const hash = crypto.createHash('sha1').update(key).digest();
+    return hash.readUInt32BE(0) / 0xffffffff < testFraction;
+}
+
+function isDecisionMaker(lead) {
+    const title = lead.jobTitle || lead.title;
+    if (!title) return false;
+
+    const vertical = findVertical(lead.vertical);
+    if (vertical && vertical.decisionMakerTitles.some(t => title.toLowerCase().includes(t.toLowerCase()))) {
+        return true;
+    }
+    return GENERIC_DECISION_MAKER.test(title);
+}
+
+function getMailboxStatus(lead) {
+    return lead.emailVerification ? lead.emailVerification.status : null;
+}
+
+/**
+ * Rule-based quality score (stored on enriched leads; recomputed for older exports)
+ */
+function getRuleScore(lead) {
+    return typeof lead.qualityScore === 'number' ? lead.qualityScore : scoreLead(lead).score;
+}
+
+function sigmoid(x) {
+    return 1 / (1 + Math.exp(-x));
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    trainOutcomeModel,
+    evaluateModel,
+    predictOutcome,
+    predictProbability,
+    outcomesFromOpportunities,
+    saveModel,
+    loadModel,
+    OUTCOME_TARGETS,
+    STAGE_RANK
+};
+
+// ============================================================================
+// USAGE EXAMPLES
+// ============================================================================
+
+/**
+ * Example: Train a booking model from GHL outcomes and score new leads with it
+ *
+ * const { trainOutcomeModel, outcomesFromOpportunities, saveModel, loadModel, predictOutcome } = require('./predictive-scoring');
+ * const GoHighLevelAPI = require('../integrations/gohighlevel-api');
+ *
+ * const ghl = new GoHighLevelAPI();
+ * const { opportunities } = await ghl.getOpportunities({ pipelineId: 'pipeline_123', limit: 1000 });
+ * const outcomes = outcomesFromOpportunities(opportunities, { stage_booked_id: 'booked', stage_replied_id: 'replied' });
+ *
+ * const model = trainOutcomeModel({ leads: enrichedLeads, outcomes, target: 'booked' });
+ * console.log(model.evaluation);
+ * // { examples: 412, positives: 38, auc: 0.74, baselineAuc: 0.61, outperformsBaseline: true,
+ * //   brierScore: 0.071, expectedCalibrationError: 0.02, calibration: [{ range: '0.0-0.1', count: 301, ... }] }
+ * saveModel(model, `models/lead-outcome-${model.version}.json`);
+ *
+ * // Score next to the rule-based quality score
+ * predictOutcome(lead, loadModel('models/lead-outcome-booked-20261019120000.json'));
+ * // { probability: 0.23, score: 23, target: 'booked', modelVersion: 'booked-20261019120000',
+ * //   topFactors: [{ feature: 'email_verified', contribution: 0.41 }, ...] }
+ *
+ * // Or pass predictiveModel (and optionally minPredictedScore) to enrichLeads
+ */
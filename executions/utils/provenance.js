@@ -0,0 +1,326 @@
+/**
+ * Field Provenance Utility
+ *
+ * Per-field lineage on leads: where each value came from (LinkedIn, Google Maps, a
+ * lead file, the company website, inference), when it was obtained, which
+ * transformations were applied (standardize_phone, split_full_name, ...) and how
+ * much it can be trusted. Lives on lead.provenance as { field: entry }.
+ *
+ * When two sources disagree, pickPreferredValue keeps the higher-trust one.
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * Provenance sources
+ */
+const PROVENANCE_SOURCES = {
+    LINKEDIN: 'linkedin',
+    GOOGLE_MAPS: 'google-maps',
+    FILE: 'file',
+    WEBSITE: 'website',
+    INFERENCE: 'inference',
+    DNS: 'dns',
+    DERIVED: 'derived' // Computed from other fields; takes their lowest confidence
+};
+
+/**
+ * Default confidence (0-1) per source, overridable per run (enrichLeads sourceTrust)
+ */
+const DEFAULT_SOURCE_TRUST = {
+    [PROVENANCE_SOURCES.DNS]: 0.95,
+    [PROVENANCE_SOURCES.GOOGLE_MAPS]: 0.9,
+    [PROVENANCE_SOURCES.WEBSITE]: 0.85,
+    [PROVENANCE_SOURCES.LINKEDIN]: 0.8,
+    [PROVENANCE_SOURCES.FILE]: 0.7,
+    [PROVENANCE_SOURCES.INFERENCE]: 0.5
+};
+
+const UNKNOWN_SOURCE_TRUST = 0.5;
+
+/**
+ * Lead fields seeded from the source record (see seedProvenance)
+ */
+const PROVENANCE_FIELDS = [
+    'email', 'phone', 'firstName', 'lastName', 'fullName', 'jobTitle',
+    'companyName', 'name', 'website', 'address', 'location', 'industry',
+    'companySize', 'employeeCount', 'linkedinProfile', 'linkedinCompany',
+    'googleRating', 'reviewCount', 'googleMapsUrl'
+];
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+/**
+ * Record where a field's value came from (replaces any earlier entry)
+ * lead.provenance is copied, not mutated, so leads spread from one another don't share it.
+ *
+ * @param {Object} lead - Lead to update
+ * @param {string} field - Lead field
+ * @param {Object} entry - Provenance entry
+ * @param {string} entry.source - PROVENANCE_SOURCES value
+ * @param {string} entry.retrievedAt - When the value was obtained (default: now)
+ * @param {Array<string>} entry.transforms - Transformations applied so far (default: none)
+ * @param {number} entry.confidence - 0-1 (default: the source's trust)
+ * @param {string} entry.detail - Source detail (file name, email pattern, ...)
+ * @param {string} entry.url - Page the value was found on
+ * @param {Object} sourceTrust - Source -> confidence overrides
+ * @returns {Object} The recorded entry
+ */
+function recordProvenance(lead, field, entry, sourceTrust = {}) {
+    if (!entry || !entry.source) {
+        throw new Error(`Provenance for '${field}' needs a source`);
+    }
+
+    const { source, retrievedAt = null, transforms = [], confidence = null, ...rest } = entry;
+    const recorded = {
+        source,
+        retrievedAt: retrievedAt || new Date().toISOString(),
+        transforms: [...transforms],
+        confidence: roundConfidence(confidence ?? getSourceTrust(source, sourceTrust)),
+        ...omitEmpty(rest)
+    };
+
+    lead.provenance = { ...(lead.provenance || {}), [field]: recorded };
+    return recorded;
+}
+
+/**
+ * Record provenance for every populated field that has none yet
+ *
+ * @param {Object} lead - Source record (LinkedIn, Google Maps or file lead)
+ * @param {string} source - PROVENANCE_SOURCES value
+ * @param {Object} options - Options
+ * @param {string} options.retrievedAt - When the record was scraped or imported
+ * @param {string} options.detail - Source detail (e.g. the file name)
+ * @param {Array<string>} options.fields - Fields to seed (default: PROVENANCE_FIELDS)
+ * @param {Object} options.sourceTrust - Source -> confidence overrides
+ * @returns {Object} The lead
+ */
+function seedProvenance(lead, source, options = {}) {
+    const { retrievedAt = null, detail = null, fields = PROVENANCE_FIELDS, sourceTrust = {} } = options;
+    const existing = lead.provenance || {};
+
+    for (const field of fields) {
+        if (isEmpty(lead[field]) || existing[field]) continue;
+        recordProvenance(lead, field, { source, retrievedAt, detail }, sourceTrust);
+    }
+
+    return lead;
+}
+
+/**
+ * Record a transformation of a field's value (standardize_phone, ...)
+ * Keeps the original source and the first raw value; no-op if the value didn't change.
+ *
+ * @param {Object} lead - Lead (already holding the new value)
+ * @param {string} field - Lead field
+ * @param {string} transform - Transformation name
+ * @param {*} previousValue - Value before the transformation
+ * @returns {Object|null} Updated entry, or null if nothing changed
+ */
+function recordTransform(lead, field, transform, previousValue) {
+    if (lead[field] === previousValue) return null;
+
+    const existing = (lead.provenance || {})[field] || {
+        source: PROVENANCE_SOURCES.DERIVED,
+        retrievedAt: new Date().toISOString(),
+        transforms: [],
+        confidence: UNKNOWN_SOURCE_TRUST
+    };
+
+    const updated = {
+        ...existing,
+        transforms: [...(existing.transforms || []), transform],
+        originalValue: existing.originalValue !== undefined ? existing.originalValue : previousValue
+    };
+
+    lead.provenance = { ...(lead.provenance || {}), [field]: updated };
+    return updated;
+}
+
+/**
+ * Record a field computed from other fields (domain from website, firstName from fullName, ...)
+ * Confidence is the lowest of the input fields' confidences.
+ *
+ * @param {Object} lead - Lead
+ * @param {string} field - Computed field
+ * @param {Array<string>} fromFields - Input fields
+ * @param {string} transform - Transformation name
+ * @returns {Object|null} Recorded entry, or null if the field is empty
+ */
+function recordDerivation(lead, field, fromFields, transform) {
+    if (isEmpty(lead[field])) return null;
+
+    const inputs = fromFields.filter(from => !isEmpty(lead[from]));
+    const confidences = inputs
+        .map(from => (lead.provenance || {})[from])
+        .filter(Boolean)
+        .map(entry => entry.confidence);
+
+    return recordProvenance(lead, field, {
+        source: PROVENANCE_SOURCES.DERIVED,
+        from: inputs,
+        transforms: [transform],
+        confidence: confidences.length > 0 ? Math.min(...confidences) : UNKNOWN_SOURCE_TRUST
+    });
+}
+
+/**
+ * Add details to a field's entry (e.g. mailbox verification result)
+ *
+ * @param {Object} lead - Lead
+ * @param {string} field - Lead field
+ * @param {Object} details - Properties to merge into the entry
+ * @returns {Object|null} Updated entry, or null if the field has no provenance
+ */
+function annotateProvenance(lead, field, details) {
+    const existing = (lead.provenance || {})[field];
+    if (!existing) return null;
+
+    const updated = { ...existing, ...details };
+    if (details.confidence !== undefined) {
+        updated.confidence = roundConfidence(details.confidence);
+    }
+
+    lead.provenance = { ...lead.provenance, [field]: updated };
+    return updated;
+}
+
+// ============================================================================
+// CONFLICTS AND EXPORT
+// ============================================================================
+
+/**
+ * Pick the most trusted non-empty value among conflicting sources
+ * Ties go to the earlier candidate.
+ *
+ * @param {Array<Object>} candidates - [{ value, source, confidence?, ...provenance }]
+ * @param {Object} sourceTrust - Source -> confidence overrides
+ * @returns {Object|null} Winning candidate (with its confidence), or null if all are empty
+ */
+function pickPreferredValue(candidates, sourceTrust = {}) {
+    let best = null;
+
+    for (const candidate of candidates) {
+        if (!candidate || isEmpty(candidate.value)) continue;
+
+        const confidence = candidate.confidence ?? getSourceTrust(candidate.source, sourceTrust);
+        if (!best || confidence > best.confidence) {
+            best = { ...candidate, confidence };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Confidence for a source
+ *
+ * @param {string} source - PROVENANCE_SOURCES value
+ * @param {Object} sourceTrust - Source -> confidence overrides
+ * @returns {number} 0-1
+ */
+function getSourceTrust(source, sourceTrust = {}) {
+    if (sourceTrust[source] !== undefined) return sourceTrust[source];
+    if (DEFAULT_SOURCE_TRUST[source] !== undefined) return DEFAULT_SOURCE_TRUST[source];
+    return UNKNOWN_SOURCE_TRUST;
+}
+
+/**
+ * One-line provenance summary for exports and CRM fields
+ * e.g. "email: inference/first.last (0.62); phone: google-maps > standardize_phone (0.9)"
+ *
+ * @param {Object} lead - Lead with lead.provenance
+ * @param {Array<string>} fields - Fields to include (default: all recorded, PROVENANCE_FIELDS first)
+ * @returns {string} Summary ('' if there is no provenance)
+ */
+function formatProvenance(lead, fields = null) {
+    const provenance = (lead && lead.provenance) || {};
+
+    const recorded = Object.keys(provenance);
+    const ordered = fields || [
+        ...PROVENANCE_FIELDS.filter(field => recorded.includes(field)),
+        ...recorded.filter(field => !PROVENANCE_FIELDS.includes(field))
+    ];
+
+    return ordered
+        .filter(field => provenance[field])
+        .map(field => {
+            const entry = provenance[field];
+            const source = entry.detail ? `${entry.source}/${entry.detail}` : entry.source;
+            const transforms = (entry.transforms || []).map(transform => ` > ${transform}`).join('');
+            return `${field}: ${source}${transforms} (${entry.confidence})`;
+        })
+        .join('; ');
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Empty values carry no provenance
+ */
+function isEmpty(value) {
+    return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Drop null/undefined properties
+ */
+function omitEmpty(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null && value !== undefined));
+}
+
+/**
+ * Clamp to 0-1, two decimals
+ */
+function roundConfidence(confidence) {
+    return Math.round(Math.min(1, Math.max(0, confidence)) * 100) / 100;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    recordProvenance,
+    seedProvenance,
+    recordTransform,
+    recordDerivation,
+    annotateProvenance,
+    pickPreferredValue,
+    getSourceTrust,
+    formatProvenance,
+    PROVENANCE_SOURCES,
+    PROVENANCE_FIELDS,
+    DEFAULT_SOURCE_TRUST
+};
+
+// ============================================================================
+// USAGE EXAMPLES
+// ============================================================================
+
+/**
+ * Example 1: Where did this lead's phone come from?
+ *
+ * const { enrichLeads } = require('./lead-enrichment');
+ * const { leads } = await enrichLeads({ linkedinDatasetId: 'abc', googleMapsDatasetId: 'def' });
+ *
+ * console.log(leads[0].provenance.phone);
+ * // { source: 'google-maps', retrievedAt: '2026-03-02T14:10:00.000Z',
+ * //   transforms: ['standardize_phone'], confidence: 0.9, originalValue: '(512) 555-0100' }
+ *
+ * Example 2: Trust a client's CRM export over scraped data
+ *
+ * await enrichLeads({ files: ['./imports/client-crm.csv'], googleMapsDatasetId: 'def', sourceTrust: { file: 0.95 } });
+ * // Where the file and Google Maps disagree on phone or address, the file's value wins
+ *
+ * Example 3: Summary for a client report or CRM field
+ *
+ * const { formatProvenance } = require('./provenance');
+ * formatProvenance(lead);
+ * // 'email: inference/first.last (0.62); phone: google-maps > standardize_phone (0.9); ...'
+ */
@@ -0,0 +1,437 @@
+/**
+ * Suppression List Utility
+ *
+ * Global do-not-contact list shared by every outbound path: lead enrichment, Instantly and
+ * SmartLead uploads, GHL SMS, outbound voice calls and nurture sequences. Entries are keyed
+ * by email, domain or phone, and each records why (unsubscribed, bounced, opt-out reply,
+ * current client, ...) and where it came from. Every blocked send is logged with the rule
+ * that matched.
+ *
+ * @version 1.0.0
+ * @requires apify
+ * @requires ./entity-resolution
+ */
+
+const Apify = require('apify');
+const { normalizeDomain, normalizePhone } = require('./entity-resolution');
+
+const STATE_KEY = 'SUPPRESSIONS';
+const DEFAULT_STORE_NAME = process.env.SUPPRESSION_STORE_NAME || 'suppression-list';
+const MAX_BLOCKED_LOG = 5000;
+
+/**
+ * Why an entry is on the list
+ */
+const SUPPRESSION_REASONS = {
+    UNSUBSCRIBED: 'unsubscribed',
+    BOUNCED: 'bounced',
+    NEGATIVE_REPLY: 'negative_reply',
+    OPT_OUT_REQUEST: 'opt_out_request',
+    CURRENT_CLIENT: 'current_client',
+    COMPLAINT: 'complaint',
+    MANUAL: 'manual'
+};
+
+const SUPPRESSION_TYPES = ['email', 'domain', 'phone'];
+
+/**
+ * Reply text asking not to be contacted again
+ */
+const OPT_OUT_PATTERNS = [
+    /\bremove me\b/i,
+    /\bunsubscribe\b/i,
+    /\btake me off\b/i,
+    /\bopt(?:[- ])?out\b/i,
+    /\bstop (?:emailing|contacting|calling|texting)\b/i,
+    /\bdo not (?:email|contact|call|text)\b/i,
+    /\bdon'?t (?:email|contact|call|text) me\b/i,
+    /^\s*(?:stop(?: all)?|unsubscribe|remove)\s*[.!]*\s*$/i // Opt-out keyword as the whole reply ("STOP")
+];
+
+// Shared list for the process (opened on first use)
+let sharedListPromise = null;
+
+// ============================================================================
+// SUPPRESSION LIST
+// ============================================================================
+
+/**
+ * Suppression List Class
+ */
+class SuppressionList {
+    /**
+     * Open (or create) a list persisted in a named Apify key-value store
+     *
+     * @param {string} storeName - Key-value store name (default: SUPPRESSION_STORE_NAME or 'suppression-list')
+     * @returns {Promise<SuppressionList>} Loaded list
+     */
+    static async open(storeName = DEFAULT_STORE_NAME) {
+        const kvStore = await Apify.openKeyValueStore(storeName);
+        const state = await kvStore.getValue(STATE_KEY);
+        return new SuppressionList(kvStore, state || {});
+    }
+
+    /**
+     * @param {Object|null} kvStore - Key-value store for persistence (null = in-memory only)
+     * @param {Object} state - Saved state { entries, blocked }
+     */
+    constructor(kvStore = null, state = {}) {
+        this.kvStore = kvStore;
+        this.entries = state.entries || {}; // "type:value" -> entry
+        this.blocked = state.blocked || [];
+    }
+
+    /**
+     * Add an entry (re-adding updates the reason and source)
+     *
+     * @param {Object} entry - Entry
+     * @param {string} entry.email - Email to suppress
+     * @param {string} entry.domain - Company domain to suppress (every address and website on it)
+     * @param {string} entry.phone - Phone number to suppress (keyed by its E.164 form)
+     * @param {string} entry.country - Country for a phone without a country code (ISO code, default: US)
+     * @param {string} entry.reason - One of SUPPRESSION_REASONS
+     * @param {string} entry.source - Where it came from (e.g. 'instantly-webhook', 'crm-import', 'manual')
+     * @param {string} entry.note - Optional detail (reply excerpt, bounce message, ...)
+     * @param {string} entry.expiresAt - Optional ISO date after which the entry no longer applies
+     * @returns {Array<Object>} Stored entries (one per key given)
+     * @throws {Error} If no usable key or an unknown reason is given
+     */
+    add({ email = null, domain = null, phone = null, country = null, reason, source = 'manual', note = null, expiresAt = null }) {
+        if (!Object.values(SUPPRESSION_REASONS).includes(reason)) {
+            throw new Error(`Unknown suppression reason: ${reason}. Must be one of: ${Object.values(SUPPRESSION_REASONS).join(', ')}`);
+        }
+
+        const keys = [];
+        if (email) keys.push(['email', normalizeEmail(email)]);
+        if (domain) {
+            const normalized = normalizeDomain(domain);
+            if (!normalized) {
+                throw new Error(`Cannot suppress shared or invalid domain: ${domain}. Suppress the email address instead.`);
+            }
+            keys.push(['domain', normalized]);
+        }
+        if (phone) keys.push(['phone', normalizePhone(phone, country)]);
+
+        const usable = keys.filter(([, value]) => value);
+        if (usable.length === 0) {
+            throw new Error('Suppression entry needs a valid email, domain or phone');
+        }
+
+        const addedAt = new Date().toISOString();
+        return usable.map(([type, value]) => {
+            const existing = this.entries[`${type}:${value}`];
+            const stored = {
+                type,
+                value,
+                reason,
+                source,
+                note,
+                expiresAt,
+                addedAt: existing ? existing.addedAt : addedAt,
+                updatedAt: addedAt
+            };
+            this.entries[`${type}:${value}`] = stored;
+            return stored;
+        });
+    }
+
+    /**
+     * Remove an entry (e.g. a former client we may contact again)
+     *
+     * @param {string} type - 'email', 'domain' or 'phone'
+     * @param {string} value - Value as given when added
+     * @param {string} country - Country for a phone without a country code (as given when added)
+     * @returns {boolean} True if an entry was removed
+     */
+    remove(type, value, country = null) {
+        const key = `${type}:${normalizeValue(type, value, country)}`;
+        if (!this.entries[key]) return false;
+        delete this.entries[key];
+        return true;
+    }
+
+    /**
+     * Check a lead or contact against the list
+     *
+     * @param {Object} target - Anything with email/Email, phone/Phone, website/Website/domain fields
+     * @returns {Object} { suppressed, match } - match is the first entry hit (email, then phone, then domain)
+     */
+    check(target) {
+        const now = Date.now();
+
+        for (const [type, value] of getContactKeys(target)) {
+            const entry = this.entries[`${type}:${value}`];
+            if (!entry) continue;
+            if (entry.expiresAt && new Date(entry.expiresAt).getTime() <= now) continue;
+
+            return { suppressed: true, match: entry };
+        }
+
+        return { suppressed: false, match: null };
+    }
+
+    /**
+     * Check a single send (SMS, call, email), logging and saving the block if suppressed
+     *
+     * @param {Object} target - Contact fields (email, phone, website)
+     * @param {Object} options - Options
+     * @param {string} options.channel - Outbound path (e.g. 'ghl-sms', 'vapi-call')
+     * @param {Object} options.context - Extra detail for the log (contactId, ...)
+     * @returns {Promise<Object>} { suppressed, match }
+     */
+    async checkSend(target, options = {}) {
+        const { channel = 'unknown', context = {} } = options;
+        const result = this.check(target);
+
+        if (result.suppressed) {
+            this.logBlocked({ channel, target: describeTarget(target), match: result.match, context });
+            await this.persist();
+        }
+
+        return result;
+    }
+
+    /**
+     * Split leads into allowed and blocked, logging every blocked lead
+     *
+     * @param {Array<Object>} leads - Leads or contacts
+     * @param {Object} options - Options
+     * @param {string} options.channel - Outbound path (e.g. 'instantly', 'enrichment')
+     * @param {Object} options.context - Extra detail for the log (campaignId, ...)
+     * @returns {Object} { allowed, blocked: [{ lead, match }] }
+     */
+    filterLeads(leads, options = {}) {
+        const { channel = 'unknown', context = {} } = options;
+        const allowed = [];
+        const blocked = [];
+
+        for (const lead of leads) {
+            const { suppressed, match } = this.check(lead);
+            if (!suppressed) {
+                allowed.push(lead);
+                continue;
+            }
+
+            blocked.push({ lead, match });
+            this.logBlocked({ channel, target: describeTarget(lead), match, context });
+        }
+
+        return { allowed, blocked };
+    }
+
+    /**
+     * Record a blocked send
+     *
+     * @param {Object} event - { channel, target, match, context }
+     * @returns {Object} Log entry
+     */
+    logBlocked({ channel, target, match, context = {} }) {
+        const logEntry = {
+            channel,
+            target,
+            rule: `${match.type}:${match.value}`,
+            reason: match.reason,
+            source: match.source,
+            context,
+            blockedAt: new Date().toISOString()
+        };
+
+        console.log(`Suppressed ${channel} send to ${target}: ${logEntry.rule} (${match.reason}, source: ${match.source})`);
+
+        this.blocked.push(logEntry);
+        if (this.blocked.length > MAX_BLOCKED_LOG) {
+            this.blocked.splice(0, this.blocked.length - MAX_BLOCKED_LOG);
+        }
+
+        return logEntry;
+    }
+
+    /**
+     * Save to the key-value store (no-op in memory)
+     *
+     * @returns {Promise<void>}
+     */
+    async persist() {
+        if (this.kvStore) {
+            await this.kvStore.setValue(STATE_KEY, {
+                entries: this.entries,
+                blocked: this.blocked,
+                updatedAt: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * List counts by type and reason
+     *
+     * @returns {Object} { total, byType, byReason, blockedSends }
+     */
+    getStats() {
+        const entries = Object.values(this.entries);
+        const countBy = field => entries.reduce((counts, entry) => {
+            counts[entry[field]] = (counts[entry[field]] || 0) + 1;
+            return counts;
+        }, {});
+
+        return {
+            total: entries.length,
+            byType: countBy('type'),
+            byReason: countBy('reason'),
+            blockedSends: this.blocked.length
+        };
+    }
+}
+
+// ============================================================================
+// SHARED LIST & WEBHOOKS
+// ============================================================================
+
+/**
+ * The process-wide list used by integrations that weren't given one
+ *
+ * @returns {Promise<SuppressionList>} Shared list
+ */
+function getSharedSuppressionList() {
+    if (!sharedListPromise) {
+        sharedListPromise = SuppressionList.open().catch(error => {
+            sharedListPromise = null; // Let the next send retry
+            throw error;
+        });
+    }
+    return sharedListPromise;
+}
+
+/**
+ * Suppression entry implied by a standardized reply/bounce/unsubscribe webhook (or null)
+ *
+ * @param {Object} standardized - Output of mapInstantlyWebhook / mapSmartLeadWebhook
+ * @param {string} source - Entry source (e.g. 'instantly-webhook')
+ * @returns {Object|null} Entry for SuppressionList.add
+ */
+function getWebhookSuppression(standardized, source) {
+    const { eventType, leadEmail, sentiment, intent, replyBody, bounceType } = standardized;
+    if (!leadEmail) return null;
+
+    let reason = null;
+    if (eventType === 'unsubscribe') reason = SUPPRESSION_REASONS.UNSUBSCRIBED;
+    if (eventType === 'bounce' && bounceType !== 'soft') reason = SUPPRESSION_REASONS.BOUNCED;
+    if (eventType === 'reply' && (isOptOutRequest(replyBody) || intent === 'unsubscribe')) reason = SUPPRESSION_REASONS.OPT_OUT_REQUEST;
+    else if (eventType === 'reply' && sentiment && sentiment.toLowerCase() === 'negative') reason = SUPPRESSION_REASONS.NEGATIVE_REPLY;
+
+    if (!reason) return null;
+
+    return {
+        email: leadEmail,
+        reason,
+        source,
+        note: replyBody ? replyBody.substring(0, 200) : null
+    };
+}
+
+/**
+ * Save a mapped webhook's suppression (mapInstantlyWebhook / mapSmartLeadWebhook) and persist the list
+ *
+ * @param {Object} standardized - Mapper output (its suppression field, if any, is stored)
+ * @param {SuppressionList} suppressionList - List to save to (default: getSharedSuppressionList())
+ * @returns {Promise<Array<Object>>} Stored entries (empty when the webhook implies no suppression)
+ */
+async function recordWebhookSuppression(standardized, suppressionList = null) {
+    if (!standardized || !standardized.suppression) return [];
+
+    const list = suppressionList || await getSharedSuppressionList();
+    const stored = list.add(standardized.suppression);
+    await list.persist();
+    console.log(`Added ${standardized.leadEmail} to suppression list (${standardized.suppression.reason})`);
+    return stored;
+}
+
+/**
+ * Does reply text ask not to be contacted again?
+ *
+ * @param {string} text - Reply body
+ * @returns {boolean} True for "remove me", "unsubscribe", "stop emailing", ...
+ */
+function isOptOutRequest(text) {
+    if (!text) return false;
+    return OPT_OUT_PATTERNS.some(pattern => pattern.test(text));
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+function normalizeEmail(email) {
+    const value = String(email).trim().toLowerCase();
+    return value.includes('@') ? value : null;
+}
+
+function normalizeValue(type, value, country = null) {
+    if (type === 'email') return normalizeEmail(value);
+    if (type === 'domain') return normalizeDomain(value);
+    if (type === 'phone') return normalizePhone(value, country);
+    throw new Error(`Unknown suppression type: ${type}. Must be one of: ${SUPPRESSION_TYPES.join(', ')}`);
+}
+
+/**
+ * Lookup keys for a lead, contact or formatted export row, in match priority order
+ */
+function getContactKeys(target) {
+    const keys = [];
+    const email = target.email || target.Email || target.leadEmail || null;
+    const phone = target.phone || target.Phone || target.phoneNumber || null;
+    const country = target.country || target.Country || null;
+    const website = target.website || target.Website || target.domain || null;
+
+    const normalizedEmail = email ? normalizeEmail(email) : null;
+    if (normalizedEmail) keys.push(['email', normalizedEmail]);
+
+    const normalizedPhone = normalizePhone(phone, country);
+    if (normalizedPhone) keys.push(['phone', normalizedPhone]);
+
+    const domains = new Set([
+        normalizedEmail ? normalizeDomain(normalizedEmail.split('@')[1]) : null,
+        normalizeDomain(website)
+    ].filter(Boolean));
+    domains.forEach(domain => keys.push(['domain', domain]));
+
+    return keys;
+}
+
+function describeTarget(target) {
+    return target.email || target.Email || target.leadEmail || target.phone || target.Phone ||
+        target.phoneNumber || target.companyName || target.Company || 'unknown';
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    SuppressionList,
+    getSharedSuppressionList,
+    getWebhookSuppression,
+    recordWebhookSuppression,
+    isOptOutRequest,
+    SUPPRESSION_REASONS
+};
+
+// ============================================================================
+// USAGE EXAMPLES
+// ============================================================================
+
+/**
+ * Example: Suppress a client's domain and an unsubscribed contact, then filter an upload
+ *
+ * const { SuppressionList, SUPPRESSION_REASONS } = require('./suppression-list');
+ *
+ * const suppressionList = await SuppressionList.open();
+ * suppressionList.add({ domain: 'acme-insurance.com', reason: SUPPRESSION_REASONS.CURRENT_CLIENT, source: 'crm' });
+ * suppressionList.add({ email: 'john@company.com', reason: SUPPRESSION_REASONS.UNSUBSCRIBED, source: 'manual' });
+ *
+ * const { allowed, blocked } = suppressionList.filterLeads(leads, { channel: 'instantly', context: { campaignId } });
+ * // Logs: Suppressed instantly send to jane@acme-insurance.com: domain:acme-insurance.com (current_client, source: crm)
+ * await suppressionList.persist();
+ *
+ * // Integrations use the shared list unless given one:
+ * instantly.setSuppressionList(suppressionList);
+ */
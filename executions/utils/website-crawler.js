@@ -0,0 +1,603 @@
+/**
+ * Website Crawler Utility
+ *
+ * Crawls a lead's own website (homepage plus contact, about and team pages) and extracts
+ * real email addresses, phone numbers, social profile links, staff names with titles,
+ * and the detected CMS / tech stack. Used by the "advanced" enrichment level in
+ * lead-enrichment.js so found emails replace inferred guesses.
+ *
+ * @version 1.0.0
+ * @requires axios
+ * @requires cheerio
+ * @requires ./provenance
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { recordProvenance, PROVENANCE_SOURCES } = require('./provenance');
+
+/**
+ * Page types worth visiting, matched against link paths and link text
+ */
+const PAGE_PATTERNS = {
+    contact: /contact|get-in-touch|reach-us|locations?\b/i,
+    about: /about|who-we-are|our-story|company/i,
+    team: /team|staff|people|leadership|our-agents|agents|brokers|attorneys|meet-/i
+};
+
+/**
+ * Social networks recognized in outbound links
+ */
+const SOCIAL_PATTERNS = {
+    linkedin: /^https?:\/\/([a-z]{2,3}\.)?linkedin\.com\/(company|in|school)\/[^/?#]+/i,
+    facebook: /^https?:\/\/(www\.)?facebook\.com\/(?!sharer|share|dialog|plugins)[^/?#]+/i,
+    twitter: /^https?:\/\/(www\.)?(twitter|x)\.com\/(?!intent|share|home)[^/?#]+/i,
+    instagram: /^https?:\/\/(www\.)?instagram\.com\/[^/?#]+/i,
+    youtube: /^https?:\/\/(www\.)?youtube\.com\/(c\/|channel\/|user\/|@)[^/?#]+/i
+};
+
+/**
+ * CMS and tech signatures matched against raw HTML
+ */
+const TECH_SIGNATURES = [
+    { name: 'WordPress', pattern: /wp-content|wp-includes/i },
+    { name: 'Shopify', pattern: /cdn\.shopify\.com|Shopify\.theme/i },
+    { name: 'Wix', pattern: /static\.wixstatic\.com|wix-code/i },
+    { name: 'Squarespace', pattern: /static1?\.squarespace\.com/i },
+    { name: 'Webflow', pattern: /webflow\.(js|com)|data-wf-page/i },
+    { name: 'Drupal', pattern: /\/sites\/default\/files|Drupal\.settings/i },
+    { name: 'Joomla', pattern: /\/media\/jui\/|Joomla!/i },
+    { name: 'GoHighLevel', pattern: /leadconnectorhq\.com|msgsndr\.com/i },
+    { name: 'HubSpot', pattern: /js\.hs-scripts\.com|js\.hsforms\.net/i },
+    { name: 'Google Analytics', pattern: /googletagmanager\.com\/gtag|google-analytics\.com/i },
+    { name: 'Google Tag Manager', pattern: /googletagmanager\.com\/gtm\.js/i },
+    { name: 'Facebook Pixel', pattern: /connect\.facebook\.net\/[^"']*\/fbevents\.js/i },
+    { name: 'Hotjar', pattern: /static\.hotjar\.com/i },
+    { name: 'Intercom', pattern: /widget\.intercom\.io/i },
+    { name: 'Calendly', pattern: /assets\.calendly\.com|calendly\.com\//i },
+    { name: 'Next.js', pattern: /__NEXT_DATA__/ },
+    { name: 'React', pattern: /data-reactroot|react-dom/i }
+];
+
+/**
+ * Words that mark a short line of text as a job title
+ */
+const TITLE_KEYWORDS = /\b(ceo|cfo|coo|cto|founder|co-founder|owner|president|principal|partner|director|manager|vp|vice president|head of|chief|agent|broker|producer|recruiter|consultant|advisor|associate|officer|executive|attorney|realtor)\b/i;
+
+const EMAIL_REGEX = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+const PHONE_REGEX = /(?:\+?1[\s.-]?)?\(?\b([2-9]\d{2})\)?[\s.-]?(\d{3})[\s.-]?(\d{4})\b/g;
+const ASSET_EXTENSIONS = /\.(png|jpe?g|gif|svg|webp|css|js)$/i;
+
+// ============================================================================
+// CRAWLING
+// ============================================================================
+
+/**
+ * Crawl a website and extract contact and company data
+ *
+ * @param {string} websiteUrl - Website URL (protocol optional)
+ * @param {Object} options - Crawl options
+ * @param {number} options.maxPages - Maximum pages to fetch, including the homepage (default: 6)
+ * @param {number} options.timeout - Per-request timeout in ms (default: 10000)
+ * @param {number} options.maxPageBytes - Largest page fetched, in bytes (default: 5 MB; bigger pages are skipped as errors)
+ * @param {string} options.userAgent - User-Agent header
+ * @param {boolean} options.captureText - Keep each page's visible text in pagesCrawled[].text, for grounded AI research (default: false)
+ * @param {number} options.maxTextChars - Visible text kept per page when captureText is on (default: 5000)
+ * @returns {Promise<Object>} Crawl result with emails, phones, socialProfiles, staff, techStack
+ * @throws {Error} If the URL is invalid
+ */
+async function crawlWebsite(websiteUrl, options = {}) {
+    const {
+        maxPages = 6,
+        timeout = 10000,
+        maxPageBytes = 5 * 1024 * 1024,
+        userAgent = 'Mozilla/5.0 (compatible; LeadEnrichmentBot/1.0)',
+        captureText = false,
+        maxTextChars = 5000
+    } = options;
+
+    const startUrl = normalizeStartUrl(websiteUrl);
+    if (!startUrl) {
+        throw new Error(`Invalid website URL: ${websiteUrl}`);
+    }
+
+    const result = {
+        website: startUrl,
+        pagesCrawled: [],
+        emails: [],
+        phones: [],
+        socialProfiles: {},
+        staff: [],
+        techStack: [],
+        errors: [],
+        crawledAt: new Date().toISOString()
+    };
+
+    const queue = [{ url: startUrl, pageType: 'home' }];
+    const visited = new Set();
+    let siteHost = new URL(startUrl).hostname.replace(/^www\./, '');
+
+    while (queue.length > 0 && result.pagesCrawled.length < maxPages) {
+        const { url, pageType } = queue.shift();
+        if (visited.has(url)) continue;
+        visited.add(url);
+
+        let html;
+        try {
+            const response = await axios.get(url, {
+                timeout,
+                maxRedirects: 5,
+                maxContentLength: maxPageBytes,
+                responseType: 'text',
+                headers: { 'User-Agent': userAgent, Accept: 'text/html' }
+            });
+            html = typeof response.data === 'string' ? response.data : '';
+
+            // Follow the host the homepage redirected to (e.g. bare domain -> www)
+            if (pageType === 'home' && response.request && response.request.res && response.request.res.responseUrl) {
+                siteHost = new URL(response.request.res.responseUrl).hostname.replace(/^www\./, '');
+            }
+        } catch (error) {
+            result.errors.push({ url, error: error.message });
+            continue;
+        }
+
+        const page = { url, pageType };
+        result.pagesCrawled.push(page);
+        const text = extractFromPage(html, url, pageType, siteHost, result);
+        if (captureText) {
+            page.text = text.replace(/\s+/g, ' ').trim().slice(0, maxTextChars);
+        }
+
+        // Queue contact/about/team pages linked from the homepage
+        if (pageType === 'home') {
+            for (const link of findSubpageLinks(html, url, siteHost)) {
+                queue.push(link);
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Extract all supported data from one page into the crawl result
+ * @returns {string} The page's visible text
+ */
+function extractFromPage(html, pageUrl, pageType, siteHost, result) {
+    const $ = cheerio.load(html);
+
+    // Tech stack (from raw HTML, before scripts are stripped)
+    for (const name of detectTechStack(html, $)) {
+        if (!result.techStack.includes(name)) result.techStack.push(name);
+    }
+
+    // Links: mailto, tel, social
+    $('a[href]').each((index, element) => {
+        const href = ($(element).attr('href') || '').trim();
+
+        if (/^mailto:/i.test(href)) {
+            const email = href.replace(/^mailto:/i, '').split('?')[0];
+            addEmail(result, safeDecodeURIComponent(email), pageUrl, siteHost);
+        } else if (/^tel:/i.test(href)) {
+            addPhone(result, href.replace(/^tel:/i, ''), pageUrl);
+        } else {
+            for (const [network, pattern] of Object.entries(SOCIAL_PATTERNS)) {
+                const match = href.match(pattern);
+                if (match && !result.socialProfiles[network]) {
+                    result.socialProfiles[network] = match[0];
+                }
+            }
+        }
+    });
+
+    // Visible text: emails (including "name [at] domain [dot] com") and phones
+    $('script, style, noscript').remove();
+    const text = deobfuscateEmails($('body').text() || $.root().text());
+
+    for (const email of text.match(EMAIL_REGEX) || []) {
+        addEmail(result, email, pageUrl, siteHost);
+    }
+
+    for (const match of text.matchAll(PHONE_REGEX)) {
+        addPhone(result, match[0], pageUrl);
+    }
+
+    // Staff names and titles
+    for (const person of extractStaff($, html)) {
+        const existing = result.staff.find(staff => staff.name.toLowerCase() === person.name.toLowerCase());
+        if (existing) {
+            existing.title = existing.title || person.title;
+            existing.email = existing.email || person.email;
+        } else {
+            result.staff.push({ ...person, sourceUrl: pageUrl });
+        }
+    }
+
+    return text;
+}
+
+/**
+ * Find contact/about/team links on the homepage (same site only)
+ */
+function findSubpageLinks(html, baseUrl, siteHost) {
+    const $ = cheerio.load(html);
+    const links = [];
+    const seen = new Set();
+
+    $('a[href]').each((index, element) => {
+        const href = $(element).attr('href');
+        const text = $(element).text().trim();
+
+        let absolute;
+        try {
+            absolute = new URL(href, baseUrl);
+        } catch (error) {
+            return;
+        }
+
+        if (!/^https?:$/.test(absolute.protocol)) return;
+        if (absolute.hostname.replace(/^www\./, '') !== siteHost) return;
+
+        absolute.hash = '';
+        const url = absolute.toString();
+        if (seen.has(url) || url === baseUrl) return;
+
+        for (const [pageType, pattern] of Object.entries(PAGE_PATTERNS)) {
+            if (pattern.test(absolute.pathname) || pattern.test(text)) {
+                seen.add(url);
+                links.push({ url, pageType });
+                break;
+            }
+        }
+    });
+
+    // Team pages first - they carry the decision makers
+    const priority = { team: 0, contact: 1, about: 2 };
+    return links.sort((a, b) => priority[a.pageType] - priority[b.pageType]);
+}
+
+// ============================================================================
+// EXTRACTION
+// ============================================================================
+
+/**
+ * Extract staff members with titles
+ * Checks JSON-LD and schema.org microdata first, then common team-card markup.
+ *
+ * @returns {Array<Object>} { name, title, email? }
+ */
+function extractStaff($, html) {
+    const staff = [];
+
+    // JSON-LD Person entries
+    $('script[type="application/ld+json"]').each((index, element) => {
+        try {
+            const data = JSON.parse($(element).contents().text());
+            for (const node of flattenJsonLd(data)) {
+                if (node['@type'] === 'Person' && node.name) {
+                    staff.push(cleanPerson({ name: node.name, title: node.jobTitle, email: node.email }));
+                }
+            }
+        } catch (error) {
+            // Ignore malformed JSON-LD
+        }
+    });
+
+    // Microdata Person entries
+    $('[itemtype*="schema.org/Person"]').each((index, element) => {
+        const name = $(element).find('[itemprop="name"]').first().text();
+        const title = $(element).find('[itemprop="jobTitle"]').first().text();
+        const email = $(element).find('[itemprop="email"]').first().text();
+        if (name) staff.push(cleanPerson({ name, title, email }));
+    });
+
+    // Team cards: a heading with a person-like name followed by a title line
+    $('h2, h3, h4, h5, strong, .name, [class*="name"]').each((index, element) => {
+        const name = $(element).text().trim();
+        if (!looksLikePersonName(name)) return;
+
+        const card = $(element).parent();
+        const candidates = card.find('p, span, div, em, h5, h6, .title, [class*="title"], [class*="position"], [class*="role"]')
+            .map((i, el) => $(el).text().trim())
+            .get()
+            .filter(text => text && text !== name && text.length <= 80);
+
+        const title = candidates.find(text => TITLE_KEYWORDS.test(text));
+        if (!title) return;
+
+        const mailto = card.find('a[href^="mailto:"]').first().attr('href');
+        staff.push(cleanPerson({
+            name,
+            title,
+            email: mailto ? mailto.replace(/^mailto:/i, '').split('?')[0] : undefined
+        }));
+    });
+
+    // Dedupe by name
+    const unique = new Map();
+    for (const person of staff) {
+        if (!person.name) continue;
+        const key = person.name.toLowerCase();
+        const existing = unique.get(key);
+        unique.set(key, existing
+            ? { ...existing, title: existing.title || person.title, email: existing.email || person.email }
+            : person);
+    }
+
+    return Array.from(unique.values());
+}
+
+/**
+ * Detect CMS and tech stack from HTML and meta generator
+ *
+ * @returns {Array<string>} Technology names
+ */
+function detectTechStack(html, $) {
+    const found = [];
+
+    const generator = $('meta[name="generator"]').attr('content');
+    if (generator) {
+        const name = generator.split(/\s\d/)[0].trim();
+        if (name) found.push(name);
+    }
+
+    for (const { name, pattern } of TECH_SIGNATURES) {
+        if (pattern.test(html) && !found.some(existing => existing.toLowerCase() === name.toLowerCase())) {
+            found.push(name);
+        }
+    }
+
+    return found;
+}
+
+// ============================================================================
+// LEAD MERGING
+// ============================================================================
+
+/**
+ * Merge crawl results into a lead
+ * Real emails replace inferred ones; every field set here is recorded in lead.provenance.
+ *
+ * @param {Object} lead - Lead to update (not mutated)
+ * @param {Object} crawlResult - Result from crawlWebsite()
+ * @param {Object} sourceTrust - Source -> confidence overrides (see provenance.js)
+ * @returns {Object} Updated lead
+ */
+function mergeWebsiteData(lead, crawlResult, sourceTrust = {}) {
+    const merged = { ...lead, provenance: { ...(lead.provenance || {}) } };
+    const retrievedAt = crawlResult.crawledAt;
+
+    const setField = (field, value, sourceUrl) => {
+        merged[field] = value;
+        recordProvenance(merged, field, { source: PROVENANCE_SOURCES.WEBSITE, url: sourceUrl, retrievedAt }, sourceTrust);
+    };
+
+    // Email: the lead's own address; leads without a named contact fall back to
+    // any personal address, then a role address
+    const email = pickBestEmail(merged, crawlResult);
+    if (email && (!merged.email || merged.emailInferred)) {
+        if (merged.emailInferred) merged.inferredEmailGuess = merged.email;
+        setField('email', email.value, email.sourceUrl);
+        merged.emailInferred = false;
+    }
+
+    // Phone
+    if (!merged.phone && crawlResult.phones.length > 0) {
+        setField('phone', crawlResult.phones[0].value, crawlResult.phones[0].sourceUrl);
+    }
+
+    // Job title for the lead's own staff entry
+    const self = findStaffMatch(merged, crawlResult.staff);
+    if (self && self.title && !merged.jobTitle) {
+        setField('jobTitle', self.title, self.sourceUrl);
+    }
+
+    // Social profiles
+    const social = crawlResult.socialProfiles;
+    if (social.linkedin && /\/company\//i.test(social.linkedin) && !merged.linkedinCompany) {
+        setField('linkedinCompany', social.linkedin, crawlResult.website);
+    }
+    if (Object.keys(social).length > 0) {
+        setField('socialProfiles', { ...social, ...(merged.socialProfiles || {}) }, crawlResult.website);
+    }
+
+    // Staff and tech stack
+    if (crawlResult.staff.length > 0) {
+        setField('websiteStaff', crawlResult.staff, crawlResult.staff[0].sourceUrl);
+    }
+    if (crawlResult.techStack.length > 0) {
+        setField('techStack', crawlResult.techStack, crawlResult.website);
+    }
+
+    // Page text (crawled with captureText), the evidence for grounded research
+    const pages = crawlResult.pagesCrawled.filter(page => page.text);
+    if (pages.length > 0) {
+        setField('websitePages', pages, crawlResult.website);
+    }
+
+    merged.websiteEmails = crawlResult.emails.map(entry => entry.value);
+    merged.websiteCrawledAt = retrievedAt;
+
+    return merged;
+}
+
+/**
+ * Pick the best email for a lead from crawl results
+ * A lead with a named person only gets an address that belongs to them, never
+ * a generic inbox like info@.
+ *
+ * @returns {Object|null} { value, sourceUrl }
+ */
+function pickBestEmail(lead, crawlResult) {
+    const self = findStaffMatch(lead, crawlResult.staff);
+    if (self && self.email) {
+        return { value: self.email.toLowerCase(), sourceUrl: self.sourceUrl };
+    }
+
+    const onSite = crawlResult.emails.filter(entry => entry.onSiteDomain);
+    const pool = onSite.length > 0 ? onSite : crawlResult.emails;
+
+    // Address that contains the lead's own name
+    if (lead.firstName) {
+        const first = lead.firstName.toLowerCase();
+        const last = (lead.lastName || '').toLowerCase();
+        const named = pool.find(entry => {
+            const localPart = entry.value.split('@')[0];
+            return localPart.includes(first) || (last && localPart.includes(last));
+        });
+        if (named) return named;
+    }
+
+    if (lead.firstName) return null;
+
+    // Leads without a named contact take any personal address, then a role address
+    return pool.find(entry => !entry.isRoleBased) || pool[0] || null;
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Add an email to the crawl result, skipping asset filenames and duplicates
+ */
+function addEmail(result, rawEmail, sourceUrl, siteHost) {
+    const email = String(rawEmail).trim().toLowerCase().replace(/^[._-]+|[._-]+$/g, '');
+    if (!/^[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}$/.test(email)) return;
+    if (ASSET_EXTENSIONS.test(email)) return; // e.g. logo@2x.png
+    if (/^(example|sentry|noreply|no-reply|wixpress)/.test(email.split('@')[1]) || email.startsWith('noreply@') || email.startsWith('no-reply@')) return;
+    if (result.emails.some(entry => entry.value === email)) return;
+
+    const domain = email.split('@')[1];
+    result.emails.push({
+        value: email,
+        sourceUrl,
+        onSiteDomain: domain === siteHost || domain.endsWith(`.${siteHost}`),
+        isRoleBased: /^(info|contact|sales|support|admin|hello|help|service|team|office|general|inquiries|enquiries|mail)@/.test(email)
+    });
+}
+
+/**
+ * Add a phone number to the crawl result (US/Canada numbers normalized to E.164)
+ */
+function addPhone(result, rawPhone, sourceUrl) {
+    const digits = String(rawPhone).replace(/\D/g, '');
+    let value;
+
+    if (digits.length === 10) {
+        value = `+1${digits}`;
+    } else if (digits.length === 11 && digits[0] === '1') {
+        value = `+${digits}`;
+    } else if (String(rawPhone).trim().startsWith('+') && digits.length >= 8 && digits.length <= 15) {
+        value = `+${digits}`;
+    } else {
+        return;
+    }
+
+    if (!result.phones.some(entry => entry.value === value)) {
+        result.phones.push({ value, sourceUrl });
+    }
+}
+
+/**
+ * Find the staff entry matching the lead's name
+ */
+function findStaffMatch(lead, staff) {
+    if (!lead.firstName || !lead.lastName) return null;
+    const fullName = `${lead.firstName} ${lead.lastName}`.toLowerCase();
+    return staff.find(person => person.name.toLowerCase() === fullName) || null;
+}
+
+/**
+ * Rewrite "jane [at] acme [dot] com" style addresses to plain form
+ */
+function deobfuscateEmails(text) {
+    return text
+        .replace(/\s*[[(]\s*at\s*[\])]\s*/gi, '@')
+        .replace(/\s*[[(]\s*dot\s*[\])]\s*/gi, '.');
+}
+
+/**
+ * decodeURIComponent that keeps the raw value when it isn't valid percent-encoding ("sales%ZZ@...")
+ */
+function safeDecodeURIComponent(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Heuristic: 2-4 capitalized words, no digits
+ */
+function looksLikePersonName(text) {
+    if (!text || text.length > 40 || /\d/.test(text)) return false;
+    const words = text.split(/\s+/);
+    return words.length >= 2 && words.length <= 4 &&
+        words.every(word => /^[A-Z][a-zA-Z'.-]*$/.test(word)) &&
+        !TITLE_KEYWORDS.test(text);
+}
+
+function cleanPerson({ name, title, email }) {
+    return {
+        name: String(name).replace(/\s+/g, ' ').trim(),
+        title: title ? String(title).replace(/\s+/g, ' ').trim() : null,
+        email: email ? String(email).replace(/^mailto:/i, '').trim().toLowerCase() : null
+    };
+}
+
+function flattenJsonLd(data) {
+    if (Array.isArray(data)) return data.flatMap(flattenJsonLd);
+    if (!data || typeof data !== 'object') return [];
+
+    const nodes = [data];
+    if (data['@graph']) nodes.push(...flattenJsonLd(data['@graph']));
+    for (const key of ['employee', 'employees', 'founder', 'member']) {
+        if (data[key]) nodes.push(...flattenJsonLd(data[key]));
+    }
+    return nodes;
+}
+
+function normalizeStartUrl(websiteUrl) {
+    if (!websiteUrl) return null;
+    try {
+        const url = new URL(/^https?:\/\//i.test(websiteUrl) ? websiteUrl : `https://${websiteUrl}`);
+        url.hash = '';
+        return url.toString();
+    } catch (error) {
+        return null;
+    }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    crawlWebsite,
+    mergeWebsiteData,
+    extractStaff,
+    detectTechStack,
+    PAGE_PATTERNS,
+    TECH_SIGNATURES
+};
+
+// ============================================================================
+// USAGE EXAMPLES
+// ============================================================================
+
+/**
+ * Example: Crawl a website and merge the results into a lead
+ *
+ * const { crawlWebsite, mergeWebsiteData } = require('./website-crawler');
+ *
+ * const crawl = await crawlWebsite('https://acmeinsurance.com', { maxPages: 5 });
+ * // crawl.emails       -> [{ value: 'jane.doe@acmeinsurance.com', sourceUrl, onSiteDomain, isRoleBased }]
+ * // crawl.staff        -> [{ name: 'Jane Doe', title: 'Agency Owner', email, sourceUrl }]
+ * // crawl.techStack    -> ['WordPress', 'Google Analytics']
+ *
+ * const lead = mergeWebsiteData({ firstName: 'Jane', lastName: 'Doe', email: 'jane.doe@acme.com', emailInferred: true }, crawl);
+ * // lead.email -> 'jane.doe@acmeinsurance.com', lead.provenance.email -> { source: 'website', url, retrievedAt }
+ */
@@ -0,0 +1,316 @@
+/**
+ * Vertical Registry
+ *
+ * Single source of truth for every target vertical. The scrapers, email templates,
+ * call scripts, nurture sequences and GHL mapper all read their per-vertical data
+ * from here, so adding a vertical (dental, legal, HVAC, ...) means writing one
+ * definition file and registering it.
+ *
+ * @version 1.0.0
+ * @requires none (standalone utility)
+ *
+ * Built-in verticals: insurance, real-estate, recruitment
+ */
+
+// ============================================================================
+// CONSUMER REQUIREMENTS
+// ============================================================================
+
+/**
+ * Fields each consumer module reads from a vertical definition.
+ * A vertical is only accepted when every consumer finds what it needs.
+ */
+const REQUIRED_FIELDS = {
+    'google-maps-scraper': ['googleMapsCategories'],
+    'linkedin-company-scraper': ['linkedinQueries', 'decisionMakerTitles'],
+    'lead-to-ghl-mapper': ['dealValue'],
+    'email-templates': [
+        'emailTemplates.subjectLines',
+        'emailTemplates.email1',
+        'emailTemplates.email2',
+        'emailTemplates.email3',
+        'emailTemplates.email4_nurture'
+    ],
+    'call-scripts': [
+        'callScripts.inbound',
+        'callScripts.outbound',
+        'callScripts.objections',
+        'callScripts.booking',
+        'callScripts.voicemail',
+        'qualificationFlow'
+    ],
+    'nurture-sequences': [
+        'nurture.resourceTitle',
+        'nurture.resource',
+        'nurture.painPoint',
+        'nurture.similarCompany'
+    ]
+};
+
+const SIMILAR_COMPANY_FIELDS = ['company', 'painPoint', 'metric1', 'metric2', 'metric3'];
+
+// Registered definitions by canonical key, plus alias -> key lookup
+const verticals = new Map();
+const aliases = new Map();
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate a vertical definition against every consumer's requirements
+ *
+ * @param {Object} definition - Vertical definition
+ * @returns {Object} Validation result with errors grouped by consumer
+ */
+function validateVertical(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object') {
+        return { isValid: false, errors: ['Vertical definition must be an object'] };
+    }
+
+    if (!definition.key || typeof definition.key !== 'string') {
+        errors.push('key is required and must be a string');
+    }
+
+    if (!definition.name || typeof definition.name !== 'string') {
+        errors.push('name is required and must be a string');
+    }
+
+    // Presence checks per consumer
+    for (const [consumer, fields] of Object.entries(REQUIRED_FIELDS)) {
+        for (const field of fields) {
+            const value = getPath(definition, field);
+            const isEmpty = value === undefined || value === null ||
+                (Array.isArray(value) && value.length === 0) ||
+                (typeof value === 'string' && value.trim().length === 0);
+
+            if (isEmpty) {
+                errors.push(`${consumer}: missing ${field}`);
+            }
+        }
+    }
+
+    // Shape checks
+    if (definition.dealValue !== undefined && (!Number.isInteger(definition.dealValue) || definition.dealValue <= 0)) {
+        errors.push('lead-to-ghl-mapper: dealValue must be a positive integer (cents)');
+    }
+
+    for (const step of ['email1', 'email2', 'email3', 'email4_nurture']) {
+        const email = getPath(definition, `emailTemplates.${step}`);
+        if (email && (typeof email.subject !== 'string' || typeof email.body !== 'string')) {
+            errors.push(`email-templates: emailTemplates.${step} must have string subject and body`);
+        }
+    }
+
+    const inboundScripts = getPath(definition, 'callScripts.inbound') || {};
+    for (const step of definition.qualificationFlow || []) {
+        if (!inboundScripts[step.script]) {
+            errors.push(`call-scripts: qualificationFlow step ${step.step} references missing inbound script '${step.script}'`);
+        }
+    }
+
+    // Optional: lead scoring profile (registered name or profile object, see utils/lead-scoring.js)
+    if (definition.scoringProfile !== undefined &&
+        typeof definition.scoringProfile !== 'string' &&
+        (typeof definition.scoringProfile !== 'object' || !definition.scoringProfile.name)) {
+        errors.push('lead-scoring: scoringProfile must be a profile name or a profile object with a name');
+    }
+
+    // Optional: AI outreach email approaches (registered names or approach objects, see ai/email-approaches.js)
+    if (definition.emailApproaches !== undefined &&
+        (!Array.isArray(definition.emailApproaches) || definition.emailApproaches.length === 0 ||
+            definition.emailApproaches.some(approach => typeof approach !== 'string' && (!approach || !approach.name)))) {
+        errors.push('email-approaches: emailApproaches must be a non-empty array of approach names or approach objects with a name');
+    }
+
+    const similarCompany = getPath(definition, 'nurture.similarCompany');
+    if (similarCompany) {
+        for (const field of SIMILAR_COMPANY_FIELDS) {
+            if (!similarCompany[field]) {
+                errors.push(`nurture-sequences: missing nurture.similarCompany.${field}`);
+            }
+        }
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors: errors
+    };
+}
+
+// ============================================================================
+// REGISTRATION & LOOKUP
+// ============================================================================
+
+/**
+ * Register a vertical definition
+ *
+ * @param {Object} definition - Vertical definition (see ./insurance.js for the full shape)
+ * @param {Object} options - Registration options
+ * @param {boolean} options.replace - Allow overwriting an existing vertical (default: false)
+ * @returns {Object} The registered definition
+ * @throws {Error} If the definition is incomplete or the key/alias is already taken
+ */
+function registerVertical(definition, options = {}) {
+    const { replace = false } = options;
+
+    const validation = validateVertical(definition);
+    if (!validation.isValid) {
+        const label = definition && definition.key ? definition.key : 'unnamed';
+        throw new Error(`Vertical '${label}' is incomplete:\n  - ${validation.errors.join('\n  - ')}`);
+    }
+
+    const key = normalizeVerticalName(definition.key);
+    const names = [key, ...(definition.aliases || []).map(normalizeVerticalName)];
+
+    for (const name of names) {
+        const owner = aliases.get(name);
+        if (owner && owner !== key) {
+            throw new Error(`Vertical name '${name}' is already registered to '${owner}'`);
+        }
+    }
+
+    if (verticals.has(key)) {
+        if (!replace) {
+            throw new Error(`Vertical '${key}' is already registered. Pass { replace: true } to overwrite it.`);
+        }
+        unregisterVertical(key);
+    }
+
+    const registered = { ...definition, key };
+    verticals.set(key, registered);
+    names.forEach(name => aliases.set(name, key));
+
+    return registered;
+}
+
+/**
+ * Remove a vertical and its aliases from the registry
+ *
+ * @param {string} name - Vertical key or alias
+ * @returns {boolean} True if a vertical was removed
+ */
+function unregisterVertical(name) {
+    const key = resolveVerticalKey(name);
+    if (!key) return false;
+
+    for (const [alias, owner] of aliases.entries()) {
+        if (owner === key) aliases.delete(alias);
+    }
+
+    return verticals.delete(key);
+}
+
+/**
+ * Resolve a vertical key or alias to its canonical key
+ *
+ * @param {string} name - Vertical key, alias, or label (e.g. 'real_estate', 'Commercial Insurance')
+ * @returns {string|null} Canonical key, or null if not registered
+ */
+function resolveVerticalKey(name) {
+    if (!name || typeof name !== 'string') return null;
+    return aliases.get(normalizeVerticalName(name)) || null;
+}
+
+/**
+ * Get a vertical definition, failing loudly if it is not registered
+ *
+ * @param {string} name - Vertical key or alias
+ * @returns {Object} Vertical definition
+ * @throws {Error} If the vertical is unknown
+ */
+function getVertical(name) {
+    const vertical = findVertical(name);
+
+    if (!vertical) {
+        throw new Error(`Unknown vertical: ${name}. Registered verticals: ${Array.from(verticals.keys()).join(', ')}`);
+    }
+
+    return vertical;
+}
+
+/**
+ * Find a vertical definition without throwing (for optional lookups)
+ *
+ * @param {string} name - Vertical key or alias
+ * @returns {Object|null} Vertical definition or null
+ */
+function findVertical(name) {
+    const key = resolveVerticalKey(name);
+    return key ? verticals.get(key) : null;
+}
+
+/**
+ * List all registered vertical definitions
+ *
+ * @returns {Array<Object>} Vertical definitions
+ */
+function listVerticals() {
+    return Array.from(verticals.values());
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Normalize a vertical name for lookup ('Real_Estate' -> 'real-estate')
+ */
+function normalizeVerticalName(name) {
+    return String(name).trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+/**
+ * Read a dotted path from an object
+ */
+function getPath(obj, path) {
+    return path.split('.').reduce((value, part) => (value == null ? undefined : value[part]), obj);
+}
+
+// ============================================================================
+// BUILT-IN VERTICALS
+// ============================================================================
+
+registerVertical(require('./insurance'));
+registerVertical(require('./real-estate'));
+registerVertical(require('./recruitment'));
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    registerVertical,
+    unregisterVertical,
+    validateVertical,
+    getVertical,
+    findVertical,
+    resolveVerticalKey,
+    listVerticals,
+    normalizeVerticalName,
+    REQUIRED_FIELDS
+};
+
+// ============================================================================
+// USAGE EXAMPLES
+// ============================================================================
+
+/**
+ * Example: Add a dental vertical
+ *
+ * // executions/verticals/dental.js exports a definition shaped like ./insurance.js:
+ * // key, name, aliases, googleMapsCategories, linkedinQueries, decisionMakerTitles,
+ * // dealValue, emailTemplates, callScripts, qualificationFlow, nurture, sendWindows,
+ * // and optionally scoringProfile (lead-scoring profile name or object) and
+ * // emailApproaches (AI outreach email approaches, see ai/email-approaches.js)
+ *
+ * const { registerVertical } = require('./executions/verticals');
+ * registerVertical(require('./executions/verticals/dental'));
+ *
+ * // Scrapers, templates, scripts, nurture and the GHL mapper now accept 'dental'.
+ * // An incomplete definition throws, listing every missing field by consumer:
+ * //   Vertical 'dental' is incomplete:
+ * //     - call-scripts: missing qualificationFlow
+ */
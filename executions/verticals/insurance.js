@@ -0,0 +1,248 @@
+/**
+ * Commercial Insurance Vertical Definition
+ *
+ * Everything the pipeline needs to prospect, email, call and nurture
+ * commercial insurance agencies and brokers.
+ * Registered with the vertical registry in ./index.js.
+ *
+ * @version 1.0.0
+ * @requires none (standalone definition)
+ */
+
+// ============================================================================
+// EMAIL TEMPLATES
+// ============================================================================
+
+const emailTemplates = {
+    subjectLines: [
+        "Quick question about {{companyName}}'s insurance strategy",
+        "Risk assessment for {{companyName}}",
+        "{{firstName}}, thought of you",
+        "Reducing insurance costs at {{companyName}}",
+        "{{companyName}} - commercial policy review"
+    ],
+
+    email1: {
+        subject: "Quick question about {{companyName}}'s insurance strategy",
+        body: `Hi {{firstName}},
+
+I noticed {{companyName}} is in {{industry}} — I'm reaching out because we help companies like yours reduce insurance costs by 15-30% while improving coverage.
+
+We recently worked with a similar company to streamline their commercial policy and they saved $87K annually.
+
+Would you be open to a quick 15-minute call to see if we could do something similar for {{companyName}}?
+
+Best,
+[Your Name]
+
+P.S. No pressure if now isn't the right time. Happy to send over a quick audit checklist you can use internally.`
+    },
+
+    email2: {
+        subject: "Re: {{companyName}}'s insurance strategy",
+        body: `{{firstName}},
+
+Following up on my last note about insurance optimization for {{companyName}}.
+
+Quick case study: We helped a {{companySize}} {{industry}} company renegotiate their GL policy and cut premiums by 22% — same coverage, better pricing.
+
+Want to explore what's possible? [Book 15 mins here]
+
+Thanks,
+[Your Name]`
+    },
+
+    email3: {
+        subject: "Re: {{companyName}}'s insurance strategy",
+        body: `{{firstName}},
+
+I know you're busy, so I'll make this quick.
+
+Should I close {{companyName}}'s file, or is insurance cost optimization still on your radar for 2026?
+
+Just let me know and I'll follow up accordingly.
+
+Best,
+[Your Name]`
+    },
+
+    email4_nurture: {
+        subject: "Insurance cost reduction checklist",
+        body: `{{firstName}},
+
+I know we haven't connected yet, but I wanted to share a quick resource that might be helpful for {{companyName}}.
+
+Here's a 5-point checklist we use with {{industry}} companies to identify potential insurance savings:
+
+1. Policy overlap analysis (are you double-covered anywhere?)
+2. Claims history review (are you in the right risk tier?)
+3. Coverage gap assessment (any exposures you're missing?)
+4. Premium benchmark comparison (are you overpaying vs. peers?)
+5. Multi-year rate lock opportunities (2026 rates may increase)
+
+No strings attached — just thought it might be useful. If you want to discuss your specific situation, I'm happy to jump on a quick call.
+
+Best,
+[Your Name]`
+    }
+};
+
+// ============================================================================
+// CALL SCRIPTS
+// ============================================================================
+
+const callScripts = {
+    // INBOUND CALL SCRIPTS
+    inbound: {
+        greeting: `Hi, thanks for calling {{companyNameFull}}. This is {{agentName}}, your virtual assistant. I'm here to help you explore your insurance options or connect you with one of our brokers. Can I start by getting your name?`,
+
+        greeting_afterHours: `Hi, thanks for calling {{companyNameFull}}. Our office is currently closed, but I'm {{agentName}}, your 24/7 virtual assistant. I can still help you get scheduled or answer basic questions. Can I start by getting your name?`,
+
+        nameCapture: `Great, nice to meet you, {{firstName}}. And what's the name of your company?`,
+
+        qualifyBusiness: `Thanks, {{firstName}}. So I can connect you with the right specialist, can you tell me what type of business {{companyName}} is in?`,
+
+        qualifySize: `Got it. How many employees does {{companyName}} have currently?`,
+
+        qualifyCurrentInsurance: `Are you currently working with an insurance broker, or are you self-managing your policies?`,
+
+        qualifyPainPoint: `What's prompting you to look at insurance options right now? Is it an upcoming renewal, a coverage gap, or something else?`,
+
+        qualifyTimeline: `When are you looking to have a new policy in place? Is there a specific deadline?`,
+
+        qualifyDecisionMaker: `Perfect. Are you the one who makes the final decisions about insurance for {{companyName}}, or is there someone else I should also include in our conversation?`,
+
+        transitionToBooking: `Based on what you've shared, I think one of our commercial insurance specialists would be a great fit for your needs. They can walk you through options specific to {{industry}} companies and put together a quote. Would you be open to a 15-minute consultation call?`
+    },
+
+    // OUTBOUND CALL SCRIPTS
+    outbound: {
+        greeting: `Hi {{firstName}}, this is {{agentName}} calling from {{companyNameFull}}. We spoke {{timeReference}} about commercial insurance options for {{companyName}}. Is now still a good time to chat for a few minutes?`,
+
+        greeting_noAnswer: `Hi {{firstName}}, this is {{agentName}} from {{companyNameFull}}. I wanted to follow up on our conversation about insurance for {{companyName}}. I'll try you again later, but if you'd like to connect sooner, you can book time directly at [calendar link]. Talk soon!`,
+
+        reasonForCall: `Great. I'm following up because you mentioned you were looking to reduce your insurance costs and improve coverage. I wanted to see if we could get you on the calendar with one of our specialists to explore some options.`,
+
+        valueProposition: `Just to give you context, we recently helped a similar {{industry}} company save $87,000 annually by restructuring their commercial policy. No pressure, but I thought it might be worth a quick conversation to see if we could do something similar for {{companyName}}.`,
+
+        qualifyInterestLevel: `Does that sound like something you'd be interested in exploring?`,
+
+        handleTimingObjection: `I totally understand you're busy. That's actually why we keep these calls to just 15 minutes — it's enough time to see if there's a fit without taking up your whole day. Would {{day}} at {{time}} work?`
+    },
+
+    // OBJECTION HANDLING
+    objections: {
+        notInterested: `I totally understand, {{firstName}}. Just so I don't waste your time in the future, can I ask — is it that insurance cost reduction isn't a priority right now, or is there something specific about our approach that's not a fit?`,
+
+        alreadyHaveBroker: `That's great that you're working with someone. Most of our clients were already working with a broker when we met. The reason they switched is we specialize in {{industry}} companies and typically find 15-30% in savings that general brokers miss. Would it make sense to at least get a second opinion, or are you locked into a long-term contract?`,
+
+        sendInformation: `Absolutely, I can send you some information. But it'll make a lot more sense if we jump on a quick 15-minute call first so I can tailor it to {{companyName}}'s specific situation. Does {{day}} at {{time}} work, or is {{alternativeDay}} at {{alternativeTime}} better?`,
+
+        talkToPartner: `That makes total sense, {{firstName}}. Would it be helpful if I schedule a call for both you and your partner together? That way we can answer questions in real-time and see if it's a fit. What's their availability like this week?`,
+
+        howMuchCost: `Great question. Our pricing depends on your industry, coverage needs, and current policy structure. The best way to get an accurate quote is to spend 15 minutes understanding your situation. I have {{day}} at {{time}} open — does that work?`,
+
+        tooBusy: `I completely get it, {{firstName}}. That's actually why I'm calling — we help {{industry}} companies cut down on the time they spend managing insurance by an average of 40%. Even just 15 minutes now could save you hours down the road. How about we do a super quick call on {{day}} at {{time}}?`
+    },
+
+    // BOOKING SCRIPTS
+    booking: {
+        proposeTime: `Perfect, let me get you on the calendar. I have {{day}}, {{date}} at {{time}} {{timezone}}. Does that work for you?`,
+
+        confirmBooking: `Great. You'll receive a calendar invite at {{email}} with a Zoom link. We'll cover your current coverage, identify any gaps or overlaps, and explore potential savings. Sound good?`,
+
+        captureEmail: `Perfect. What's the best email address to send the calendar invite to?`,
+
+        capturePhone: `And just to confirm, is {{phone}} still the best number to reach you?`,
+
+        alternativeTime: `No problem. What's your availability like {{alternativeDay}} or {{alternativeDay2}}?`,
+
+        confirmationClose: `You're all set for {{day}}, {{date}} at {{time}}. You'll get a calendar invite and a reminder text 30 minutes before. If anything changes, just reply to that text and we'll reschedule. Is there anything else I can help with today?`
+    },
+
+    // VOICEMAIL SCRIPTS
+    voicemail: {
+        initial: `Hi {{firstName}}, this is {{agentName}} from {{companyNameFull}}. I'm reaching out because we help {{industry}} companies reduce insurance costs by 15-30% while improving coverage. We recently saved a company similar to {{companyName}} about $87,000 annually. If you're interested in exploring what's possible, give me a call back at {{phone}} or book a time directly at [calendar link]. Thanks!`,
+
+        followUp: `Hi {{firstName}}, {{agentName}} from {{companyNameFull}} again. I left a message {{timeReference}} about insurance cost optimization for {{companyName}}. I know you're busy, so I'll make this quick. If you're interested in a 15-minute call to see if we can save you money, just book time at [calendar link]. If now's not the right time, no worries. Thanks!`,
+
+        breakup: `Hi {{firstName}}, this is {{agentName}} from {{companyNameFull}}. I've tried reaching you a few times about insurance options for {{companyName}}. I don't want to be a pest, so this will be my last attempt. If you're interested, you can book time at [calendar link]. Otherwise, I'll close your file. Thanks for your time!`
+    }
+};
+
+/**
+ * Inbound qualification question flow (script names refer to callScripts.inbound)
+ */
+const qualificationFlow = [
+    { step: 1, script: 'greeting', category: 'opening' },
+    { step: 2, script: 'nameCapture', category: 'identification' },
+    { step: 3, script: 'qualifyBusiness', category: 'business_context' },
+    { step: 4, script: 'qualifySize', category: 'business_context' },
+    { step: 5, script: 'qualifyCurrentInsurance', category: 'pain_discovery' },
+    { step: 6, script: 'qualifyPainPoint', category: 'pain_discovery' },
+    { step: 7, script: 'qualifyTimeline', category: 'urgency' },
+    { step: 8, script: 'qualifyDecisionMaker', category: 'authority' },
+    { step: 9, script: 'transitionToBooking', category: 'transition' }
+];
+
+// ============================================================================
+// NURTURE CONTENT
+// ============================================================================
+
+const nurtureContent = {
+    resourceTitle: "5-point insurance cost reduction checklist",
+    resource: "5-point insurance cost reduction checklist that helped similar companies save 15-30% on premiums",
+    painPoint: "insurance cost optimization",
+    similarCompany: {
+        company: "a mid-size insurance broker",
+        painPoint: "high premium costs and policy overlap",
+        metric1: "Cut premiums by 22% (same coverage)",
+        metric2: "Eliminated $45K in duplicate coverage",
+        metric3: "Reduced policy management time by 8 hours/month"
+    }
+};
+
+/**
+ * Preferred sending windows (recipient's local time).
+ * Default 9-11 AM email window and 10 AM SMS start.
+ */
+const sendWindows = {
+    email: '09:00-11:00',
+    smsStart: '10:00'
+};
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    key: 'insurance',
+    name: 'Commercial Insurance',
+    aliases: ['commercial-insurance'],
+
+    // Lead generation
+    googleMapsCategories: [
+        'insurance agency',
+        'insurance broker',
+        'commercial insurance',
+        'business insurance agency'
+    ],
+    linkedinQueries: [
+        'insurance agency owner',
+        'insurance broker',
+        'commercial insurance agent',
+        'property casualty insurance'
+    ],
+    decisionMakerTitles: ['CEO', 'President', 'Agency Owner', 'Managing Partner', 'Principal Agent'],
+
+    // CRM
+    dealValue: 500000, // $5,000 in cents
+
+    // Content
+    emailTemplates,
+    emailApproaches: ['compliance-safe', 'problem-solution', 'question'], // AI emails: no unverifiable savings or results claims
+    callScripts,
+    qualificationFlow,
+    nurture: nurtureContent,
+    sendWindows
+};
@@ -0,0 +1,255 @@
+/**
+ * Commercial Real Estate Vertical Definition
+ *
+ * Everything the pipeline needs to prospect, email, call and nurture
+ * commercial real estate brokers, investors and property managers.
+ * Registered with the vertical registry in ./index.js.
+ *
+ * @version 1.0.0
+ * @requires none (standalone definition)
+ */
+
+// ============================================================================
+// EMAIL TEMPLATES
+// ============================================================================
+
+const emailTemplates = {
+    subjectLines: [
+        "Tenant screening automation for {{companyName}}",
+        "{{firstName}} — reducing vacancy time by 40%",
+        "Property management question",
+        "Filling units faster at {{companyName}}",
+        "{{companyName}} - tenant qualification system"
+    ],
+
+    email1: {
+        subject: "Tenant screening automation for {{companyName}}",
+        body: `Hi {{firstName}},
+
+I saw {{companyName}} manages properties in {{location}} — we help CRE firms like yours cut vacancy time by 30-40% using AI-powered tenant screening and lead routing.
+
+One of our clients (similar portfolio size to yours) filled 12 units in 3 weeks using our system vs. their usual 8-week average.
+
+Would you be interested in seeing how this could work for {{companyName}}?
+
+Best,
+[Your Name]
+
+P.S. No sales pitch — I can walk you through the system in 15 minutes and you can decide if it's a fit.`
+    },
+
+    email2: {
+        subject: "Re: Tenant screening for {{companyName}}",
+        body: `{{firstName}},
+
+Quick follow-up on tenant screening automation for {{companyName}}.
+
+Here's what our CRE clients love:
+- Auto-qualify leads from Zillow, Apartments.com, etc.
+- AI screening calls (so you don't waste time on unqualified renters)
+- Instant application routing to your system
+
+Want a 15-min demo? [Calendar link]
+
+Thanks,
+[Your Name]`
+    },
+
+    email3: {
+        subject: "Re: Tenant screening for {{companyName}}",
+        body: `{{firstName}},
+
+Last note from me — just want to make sure this didn't get buried.
+
+Is tenant screening/vacancy reduction still something {{companyName}} is looking to improve this quarter?
+
+If not, no worries. If yes, let's find 15 minutes to chat.
+
+Best,
+[Your Name]`
+    },
+
+    email4_nurture: {
+        subject: "2026 tenant screening best practices",
+        body: `{{firstName}},
+
+I wanted to share something we've been seeing across CRE firms in {{location}} this year.
+
+The average vacancy time for mid-tier properties has increased from 45 to 67 days in 2025 — largely due to slower tenant qualification processes.
+
+Here's what the fastest-filling properties are doing differently:
+
+1. Auto-response to inquiries (within 2 minutes, not 2 hours)
+2. Pre-screening via SMS/chat before showing (saves site visit time)
+3. Digital applications with instant credit/background checks
+4. AI-powered phone qualification (handles 80% of initial questions)
+
+We've helped {{companySize}} property managers implement this exact stack and saw vacancy time drop by an average of 38%.
+
+If you're interested in learning more about how this could work for {{companyName}}, let me know and we can set up a quick call.
+
+No pressure — just thought this might be timely given market conditions.
+
+Best,
+[Your Name]`
+    }
+};
+
+// ============================================================================
+// CALL SCRIPTS
+// ============================================================================
+
+const callScripts = {
+    // INBOUND CALL SCRIPTS
+    inbound: {
+        greeting: `Hi, thanks for calling {{companyNameFull}}. This is {{agentName}}, your virtual assistant. I'm here to help you learn about our property management solutions or get you scheduled with our team. Can I start by getting your name?`,
+
+        greeting_afterHours: `Hi, thanks for calling {{companyNameFull}}. Our office is currently closed, but I'm {{agentName}}, your 24/7 virtual assistant. I can help you schedule a demo or answer questions about our platform. Can I start by getting your name?`,
+
+        nameCapture: `Awesome, nice to meet you, {{firstName}}. Are you calling about a specific property, or are you exploring solutions for your portfolio?`,
+
+        qualifyPropertyType: `Great. What type of properties are you managing? Office, retail, industrial, multifamily, or a mix?`,
+
+        qualifyUnitCount: `How many units or properties are we talking about?`,
+
+        qualifyRole: `Are you the property owner, or do you manage properties for others?`,
+
+        qualifyPainPoint: `What's the biggest challenge you're facing with property management or leasing right now?`,
+
+        qualifyVacancy: `Do you have any vacancies right now that you're trying to fill?`,
+
+        qualifyTimeline: `When would you ideally like to have a solution in place?`,
+
+        transitionToBooking: `Based on what you're describing, I think our platform could be a really good fit. We help property managers like you reduce vacancy time by 30-40% using AI-powered tenant screening and automated lead routing. Would you be interested in seeing a 15-minute demo?`
+    },
+
+    // OUTBOUND CALL SCRIPTS
+    outbound: {
+        greeting: `Hi {{firstName}}, this is {{agentName}} calling from {{companyNameFull}}. We spoke {{timeReference}} about tenant screening automation for {{companyName}}. Is now a good time to chat for a few minutes?`,
+
+        greeting_noAnswer: `Hi {{firstName}}, this is {{agentName}} from {{companyNameFull}}. I wanted to follow up about reducing vacancy time at {{companyName}}. I'll try you again later, but if you'd like to see a quick demo, you can book time at [calendar link]. Talk soon!`,
+
+        reasonForCall: `Great. I'm following up because you mentioned you were looking to fill vacancies faster and reduce the time spent on tenant screening. I wanted to see if we could show you how our system works.`,
+
+        valueProposition: `Just to give you context, we recently worked with a property manager in {{location}} who went from an average 8-week vacancy time down to 3 weeks using our platform. They're filling units 60% faster now. I thought it might be worth showing you how it works.`,
+
+        qualifyInterestLevel: `Does that sound like something you'd be interested in seeing?`,
+
+        handleTimingObjection: `I totally get it. These demos are only 15 minutes, so it won't take up much of your day. Would {{day}} at {{time}} work?`
+    },
+
+    // OBJECTION HANDLING
+    objections: {
+        notInterested: `No problem, {{firstName}}. Just so I know for the future, is it that vacancy time isn't a concern right now, or is there something about our platform that's not a fit?`,
+
+        alreadyHaveSystem: `That's great that you have a system in place. Most of our clients were using other tools when we met. The reason they switched is we integrate everything — lead capture, screening calls, credit checks, and application routing — into one automated flow. Would it make sense to at least see how we compare?`,
+
+        sendInformation: `Absolutely. I can send you a video walkthrough, but it'll make more sense if I show you the platform live so you can ask questions. It's only 15 minutes. Does {{day}} at {{time}} work?`,
+
+        noVacancies: `That's great that you're fully leased right now. But since vacancy is inevitable, would it make sense to see how our system works so you're ready when the next unit opens up? It could save you weeks of lost rent.`,
+
+        tooExpensive: `I totally understand budget is a factor. Here's how most property managers think about it: if our platform saves you even one week of vacancy per year on a $2,000/month unit, that's $2,000 saved. Our pricing is way less than that. Would it make sense to see the numbers?`,
+
+        tooBusy: `I get it, {{firstName}}. That's exactly why we built this — to save property managers time. Our clients tell us they spend 50% less time on tenant screening. Even 15 minutes now could save you hours every month. How about {{day}} at {{time}}?`
+    },
+
+    // BOOKING SCRIPTS
+    booking: {
+        proposeTime: `Perfect, let me get you on the calendar for a demo. I have {{day}}, {{date}} at {{time}} {{timezone}}. Does that work?`,
+
+        confirmBooking: `Awesome. You'll receive a calendar invite at {{email}} with a Zoom link. We'll walk through the platform, show you how the automation works, and answer any questions. Sound good?`,
+
+        captureEmail: `Great. What's the best email to send the calendar invite to?`,
+
+        capturePhone: `And just to confirm, is {{phone}} the best number to reach you?`,
+
+        alternativeTime: `No worries. What does your schedule look like {{alternativeDay}} or {{alternativeDay2}}?`,
+
+        confirmationClose: `You're all set for {{day}}, {{date}} at {{time}}. You'll get a calendar invite and a reminder text 30 minutes before. If anything changes, just reply to that text. Is there anything else I can help with?`
+    },
+
+    // VOICEMAIL SCRIPTS
+    voicemail: {
+        initial: `Hi {{firstName}}, this is {{agentName}} from {{companyNameFull}}. I'm reaching out because we help property managers reduce vacancy time by 30-40% using AI-powered tenant screening. One of our clients in {{location}} went from 8 weeks to 3 weeks on average. If you're interested in seeing how it works, give me a call at {{phone}} or book a demo at [calendar link]. Thanks!`,
+
+        followUp: `Hi {{firstName}}, {{agentName}} from {{companyNameFull}} again. I left a message {{timeReference}} about reducing vacancy time at {{companyName}}. If you'd like to see a quick 15-minute demo of our platform, just book time at [calendar link]. If now's not the right time, no problem. Thanks!`,
+
+        breakup: `Hi {{firstName}}, this is {{agentName}} from {{companyNameFull}}. I've tried reaching you a few times about our tenant screening platform. I don't want to be a pest, so this will be my last message. If you're interested, you can book a demo at [calendar link]. Otherwise, I'll close your file. Thanks!`
+    }
+};
+
+/**
+ * Inbound qualification question flow (script names refer to callScripts.inbound)
+ */
+const qualificationFlow = [
+    { step: 1, script: 'greeting', category: 'opening' },
+    { step: 2, script: 'nameCapture', category: 'identification' },
+    { step: 3, script: 'qualifyPropertyType', category: 'business_context' },
+    { step: 4, script: 'qualifyUnitCount', category: 'business_context' },
+    { step: 5, script: 'qualifyRole', category: 'authority' },
+    { step: 6, script: 'qualifyPainPoint', category: 'pain_discovery' },
+    { step: 7, script: 'qualifyVacancy', category: 'urgency' },
+    { step: 8, script: 'qualifyTimeline', category: 'urgency' },
+    { step: 9, script: 'transitionToBooking', category: 'transition' }
+];
+
+// ============================================================================
+// NURTURE CONTENT
+// ============================================================================
+
+const nurtureContent = {
+    resourceTitle: "Tenant screening best practices guide",
+    resource: "Tenant screening best practices guide that reduced vacancy time by 30-40% for CRE firms",
+    painPoint: "tenant screening and vacancy reduction",
+    similarCompany: {
+        company: "a commercial property management firm",
+        painPoint: "long vacancy times and unqualified tenant leads",
+        metric1: "Reduced average vacancy from 67 to 41 days",
+        metric2: "Automated 80% of initial tenant screening",
+        metric3: "Filled 15 units in 30 days vs. usual 90-day average"
+    }
+};
+
+/**
+ * Preferred sending windows (recipient's local time).
+ * Real estate professionals check email and messages later in the morning.
+ */
+const sendWindows = {
+    email: '10:00-12:00',
+    smsStart: '11:00'
+};
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    key: 'real-estate',
+    name: 'Commercial Real Estate',
+    aliases: ['commercial-real-estate', 'cre'],
+
+    // Lead generation
+    googleMapsCategories: [
+        'commercial real estate agency',
+        'commercial real estate broker',
+        'commercial property management',
+        'real estate investment company'
+    ],
+    linkedinQueries: [
+        'commercial real estate broker',
+        'CRE investment',
+        'commercial property management',
+        'commercial real estate firm'
+    ],
+    decisionMakerTitles: ['Principal', 'Managing Broker', 'Investment Director', 'CEO', 'Founder'],
+
+    // CRM
+    dealValue: 300000, // $3,000 in cents
+
+    // Content
+    emailTemplates,
+    callScripts,
+    qualificationFlow,
+    nurture: nurtureContent,
+    sendWindows
+};
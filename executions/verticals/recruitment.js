@@ -0,0 +1,265 @@
+/**
+ * Recruitment Firms Vertical Definition
+ *
+ * Everything the pipeline needs to prospect, email, call and nurture
+ * staffing agencies, recruitment firms and executive search firms.
+ * Registered with the vertical registry in ./index.js.
+ *
+ * @version 1.0.0
+ * @requires none (standalone definition)
+ */
+
+// ============================================================================
+// EMAIL TEMPLATES
+// ============================================================================
+
+const emailTemplates = {
+    subjectLines: [
+        "Candidate sourcing automation for {{companyName}}",
+        "{{firstName}} — filling reqs 50% faster",
+        "Quick question about your recruiting stack",
+        "Scaling placements at {{companyName}}",
+        "{{companyName}} - recruiting automation"
+    ],
+
+    email1: {
+        subject: "Candidate sourcing automation for {{companyName}}",
+        body: `Hi {{firstName}},
+
+I noticed {{companyName}} specializes in {{industry}} recruiting — we help firms like yours fill reqs 40-50% faster by automating candidate sourcing and initial screening.
+
+One recruiter we work with went from 15 hours/week on manual LinkedIn outreach to fully automated multi-channel sequences (LinkedIn + email + SMS).
+
+Would you be open to seeing how this could scale {{companyName}}'s placements?
+
+Best,
+[Your Name]
+
+P.S. We integrate with any ATS (Bullhorn, Jobvite, Greenhouse, etc.) so there's no tech disruption.`
+    },
+
+    email2: {
+        subject: "Re: Recruiting automation for {{companyName}}",
+        body: `{{firstName}},
+
+Following up about candidate sourcing automation for {{companyName}}.
+
+What our recruiting clients get:
+- Auto-scrape LinkedIn for ideal candidates
+- Multi-touch sequences (email + SMS + InMail)
+- Pre-screening AI calls to qualify interest
+- CRM sync so everything flows to your ATS
+
+Interested in a quick walkthrough? [Book here]
+
+Thanks,
+[Your Name]`
+    },
+
+    email3: {
+        subject: "Re: Recruiting automation for {{companyName}}",
+        body: `{{firstName}},
+
+I'll keep this short — is recruiting automation still on {{companyName}}'s roadmap for Q1?
+
+If yes, let's connect for 15 mins. If not, I'll stop bothering you. 😊
+
+Either way, appreciate your time.
+
+Best,
+[Your Name]`
+    },
+
+    email4_nurture: {
+        subject: "Recruiting automation ROI calculator",
+        body: `{{firstName}},
+
+Quick thought experiment for {{companyName}}:
+
+If one of your recruiters spends 15 hours/week on candidate sourcing, that's ~60 hours/month.
+
+At a $75K salary (conservative), that sourcing time costs roughly $2,700/month in labor.
+
+Now imagine automating 80% of that sourcing work:
+- LinkedIn scraping runs overnight
+- Multi-channel outreach sequences run automatically
+- AI pre-screens candidates before they hit your desk
+- Only qualified, interested candidates make it to your recruiters
+
+Time saved: ~48 hours/month
+Cost saved: ~$2,160/month
+Actual value: Recruiters focus on closing placements (not sourcing)
+
+We've helped {{companySize}} recruiting firms implement this exact system. Average time-to-fill drops by 42%, and placement volume increases by 30%+ in the first quarter.
+
+If you'd like to see how the numbers would work for {{companyName}}, I'm happy to build you a custom ROI model. No commitment required.
+
+Interested?
+
+Best,
+[Your Name]`
+    }
+};
+
+// ============================================================================
+// CALL SCRIPTS
+// ============================================================================
+
+const callScripts = {
+    // INBOUND CALL SCRIPTS
+    inbound: {
+        greeting: `Hi, thanks for calling {{companyNameFull}}. This is {{agentName}}, your virtual assistant. I'm here to help you learn about our recruiting automation platform or connect you with our team. Can I start by getting your name?`,
+
+        greeting_afterHours: `Hi, thanks for calling {{companyNameFull}}. Our office is currently closed, but I'm {{agentName}}, available 24/7. I can help you schedule a demo or answer questions about our platform. Can I start by getting your name?`,
+
+        nameCapture: `Great, nice to meet you, {{firstName}}. What's the name of your recruiting firm?`,
+
+        qualifyIndustry: `Perfect. What industries do you recruit for primarily?`,
+
+        qualifyTeamSize: `How many recruiters are on your team?`,
+
+        qualifyATS: `Do you use an ATS system currently? Which one?`,
+
+        qualifyPainPoint: `What's the biggest bottleneck in your recruiting process right now?`,
+
+        qualifyReqVolume: `How many requisitions are you typically working on at once?`,
+
+        qualifySourceTime: `How much time does your team spend on initial candidate sourcing each week?`,
+
+        qualifyDecisionMaker: `Are you the one who evaluates new recruiting technology, or is there someone else involved in that decision?`,
+
+        transitionToBooking: `Based on what you've shared, I think our platform could really help {{companyName}}. We automate candidate sourcing and pre-screening, which typically saves recruiting teams 40-50% of their sourcing time. Would you be interested in a 15-minute demo?`
+    },
+
+    // OUTBOUND CALL SCRIPTS
+    outbound: {
+        greeting: `Hi {{firstName}}, this is {{agentName}} calling from {{companyNameFull}}. We spoke {{timeReference}} about recruiting automation for {{companyName}}. Is now a good time to chat briefly?`,
+
+        greeting_noAnswer: `Hi {{firstName}}, this is {{agentName}} from {{companyNameFull}}. I wanted to follow up about automating candidate sourcing at {{companyName}}. I'll try you again, but if you'd like to see a demo, you can book time at [calendar link]. Talk soon!`,
+
+        reasonForCall: `Great. I'm following up because you mentioned you were looking to scale placements without adding more recruiters. I wanted to show you how our automation platform works.`,
+
+        valueProposition: `Just to give you context, one of our recruiting clients went from 15 hours per week on manual LinkedIn outreach to fully automated multi-channel sequences. They increased placements by 30% in the first quarter without hiring anyone new. I thought it might be worth showing you how.`,
+
+        qualifyInterestLevel: `Does that sound like something you'd want to see?`,
+
+        handleTimingObjection: `I totally understand you're slammed. That's exactly why we built this — to free up your recruiters' time. The demo is only 15 minutes. Would {{day}} at {{time}} work?`
+    },
+
+    // OBJECTION HANDLING
+    objections: {
+        notInterested: `No problem, {{firstName}}. Just so I know, is it that recruiting automation isn't a priority right now, or is there something about our platform that's not a fit?`,
+
+        alreadyHaveTools: `That's great that you have tools in place. Most of our clients were using other platforms when we met. The reason they added us is we handle the full sourcing workflow — LinkedIn scraping, email sequences, SMS follow-up, and AI pre-screening — all in one system. Would it make sense to see how we compare?`,
+
+        sendInformation: `Absolutely. I can send you a video, but it's way easier to understand if I show you the platform live. It's only 15 minutes and you can ask questions. Does {{day}} at {{time}} work?`,
+
+        talkToPartner: `That makes sense. Would it be easier if I schedule a demo for both of you together? That way everyone's on the same page. What's their availability this week?`,
+
+        tooExpensive: `I get it, budget is always a factor. Here's how our clients think about ROI: if your recruiters spend 15 hours a week on sourcing and we cut that by 80%, that's 12 hours saved. At a $75K salary, that's roughly $2,000 a month in labor cost saved. Our pricing is a fraction of that. Want to see the math?`,
+
+        tooBusy: `I completely understand, {{firstName}}. That's exactly why we built this platform — to save recruiters time. Our clients tell us they spend 60% less time on sourcing and focus that time on closing placements. Even 15 minutes now could save you hours every week. How about {{day}} at {{time}}?`
+    },
+
+    // BOOKING SCRIPTS
+    booking: {
+        proposeTime: `Perfect, let me get you scheduled for a demo. I have {{day}}, {{date}} at {{time}} {{timezone}}. Does that work?`,
+
+        confirmBooking: `Great. You'll receive a calendar invite at {{email}} with a Zoom link. We'll walk through the platform, show you how the automation works, and discuss integration with your ATS. Sound good?`,
+
+        captureEmail: `Perfect. What's the best email for the calendar invite?`,
+
+        capturePhone: `And just to confirm, is {{phone}} the best number to reach you?`,
+
+        alternativeTime: `No problem. What's your availability like {{alternativeDay}} or {{alternativeDay2}}?`,
+
+        confirmationClose: `You're all set for {{day}}, {{date}} at {{time}}. You'll get a calendar invite and a reminder text 30 minutes before. If anything changes, just reply to that text. Is there anything else I can help with?`
+    },
+
+    // VOICEMAIL SCRIPTS
+    voicemail: {
+        initial: `Hi {{firstName}}, this is {{agentName}} from {{companyNameFull}}. I'm reaching out because we help recruiting firms scale placements by automating candidate sourcing and pre-screening. One of our clients increased placements by 30% in Q1 without adding headcount. If you're interested in seeing how it works, call me at {{phone}} or book a demo at [calendar link]. Thanks!`,
+
+        followUp: `Hi {{firstName}}, {{agentName}} from {{companyNameFull}} again. I left a message {{timeReference}} about recruiting automation for {{companyName}}. If you'd like to see a 15-minute demo, just book time at [calendar link]. If now's not the right time, no worries. Thanks!`,
+
+        breakup: `Hi {{firstName}}, this is {{agentName}} from {{companyNameFull}}. I've tried reaching you a few times about our recruiting automation platform. I don't want to be a pest, so this will be my last attempt. If you're interested, book a demo at [calendar link]. Otherwise, I'll close your file. Thanks!`
+    }
+};
+
+/**
+ * Inbound qualification question flow (script names refer to callScripts.inbound)
+ */
+const qualificationFlow = [
+    { step: 1, script: 'greeting', category: 'opening' },
+    { step: 2, script: 'nameCapture', category: 'identification' },
+    { step: 3, script: 'qualifyIndustry', category: 'business_context' },
+    { step: 4, script: 'qualifyTeamSize', category: 'business_context' },
+    { step: 5, script: 'qualifyATS', category: 'technical' },
+    { step: 6, script: 'qualifyPainPoint', category: 'pain_discovery' },
+    { step: 7, script: 'qualifyReqVolume', category: 'pain_discovery' },
+    { step: 8, script: 'qualifySourceTime', category: 'pain_discovery' },
+    { step: 9, script: 'qualifyDecisionMaker', category: 'authority' },
+    { step: 10, script: 'transitionToBooking', category: 'transition' }
+];
+
+// ============================================================================
+// NURTURE CONTENT
+// ============================================================================
+
+const nurtureContent = {
+    resourceTitle: "Candidate sourcing ROI calculator",
+    resource: "Candidate sourcing ROI calculator showing how automation can save 15+ hours per week per recruiter",
+    painPoint: "candidate sourcing and placement speed",
+    similarCompany: {
+        company: "a specialized recruiting firm",
+        painPoint: "manual candidate sourcing taking 15+ hours per week",
+        metric1: "Automated LinkedIn scraping (500+ candidates/week)",
+        metric2: "Multi-channel sequences (email + SMS + InMail)",
+        metric3: "Reduced sourcing time by 12 hours/week per recruiter"
+    }
+};
+
+/**
+ * Preferred sending windows (recipient's local time).
+ * Recruiters are most active early in the morning.
+ */
+const sendWindows = {
+    email: '08:00-10:00',
+    smsStart: '09:00'
+};
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    key: 'recruitment',
+    name: 'Recruitment Firms',
+    aliases: ['recruitment-firms', 'staffing'],
+
+    // Lead generation
+    googleMapsCategories: [
+        'recruiter',
+        'employment agency',
+        'staffing service',
+        'executive search firm',
+        'talent acquisition agency'
+    ],
+    linkedinQueries: [
+        'staffing agency owner',
+        'recruitment firm',
+        'executive search firm',
+        'talent acquisition agency'
+    ],
+    decisionMakerTitles: ['CEO', 'Founder', 'Director of Recruiting', 'Managing Director', 'President'],
+
+    // CRM
+    dealValue: 400000, // $4,000 in cents
+
+    // Content
+    emailTemplates,
+    callScripts,
+    qualificationFlow,
+    nurture: nurtureContent,
+    sendWindows
+};
@@ -0,0 +1,385 @@
+/**
+ * Test Script for the LLM Cost Ledger
+ *
+ * Runs offline: calls go to the mock provider or to a stand-in priced provider
+ * registered by the test, and the ledger lives in a temp directory.
+ *
+ * Tests the following components:
+ * 1. Pricing: price table lookup, free local providers, unknown models
+ * 2. Ledger: per-call entries with campaign/client/lead, persistence, running totals, summaries
+ * 3. Budgets: warning, hard stop, research and email generation halted
+ * 4. Unpriced models: refused under a budget, or counted at the fallback price
+ * 5. MetricsCollector AI cost totals
+ *
+ * Usage: node tests/test-cost-ledger.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CostLedger, setSharedCostLedger, calculateCost, getModelPrice } = require('../executions/ai/cost-ledger');
+const { complete, configureLLM, resetLLMClient, registerLLMProvider, getProvider } = require('../executions/ai/llm-client');
+const { generateCompanyResearch } = require('../executions/ai/company-research');
+const { generateOutreachEmails } = require('../executions/ai/email-generation');
+const MetricsCollector = require('../executions/utils/metrics-collector');
+
+const NO_DELAY = { retry: { maxAttempts: 2, baseDelay: 0, maxDelay: 0 } };
+
+const CONTACT = {
+    firstName: 'John',
+    lastName: 'Doe',
+    jobTitle: 'CEO',
+    email: 'john@abcinsurance.com',
+    companyName: 'ABC Insurance Agency',
+    industry: 'Commercial Insurance'
+};
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+/**
+ * Stand-in for a paid provider: every call uses 1M input and 100k output tokens of gpt-4o
+ */
+function registerPricedProvider() {
+    registerLLMProvider('priced', () => {
+        const mock = getProvider('mock');
+        return {
+            async complete(request) {
+                const response = await mock.complete(request);
+                return {
+                    ...response,
+                    model: 'gpt-4o-2024-08-06',
+                    usage: { inputTokens: 1000000, outputTokens: 100000, totalTokens: 1100000 }
+                };
+            }
+        };
+    }, { replace: true });
+}
+
+/**
+ * Test pricing
+ */
+function testPricing() {
+    console.log('\n========================================');
+    console.log('Testing Pricing');
+    console.log('========================================\n');
+
+    const results = [
+        check('Dated model names match the longest prefix', getModelPrice('gpt-4o-mini-2024-07-18').input === 0.15 &&
+            getModelPrice('gpt-4o-2024-08-06').input === 2.5),
+        check('Cost from input and output tokens', calculateCost({
+            provider: 'openai', model: 'gpt-4-turbo-preview', inputTokens: 1000, outputTokens: 500
+        }) === 0.025),
+        check('Local and mock providers are free', calculateCost({ provider: 'ollama', model: 'llama3.1', inputTokens: 5000 }) === 0),
+        check('Unknown models are unpriced', calculateCost({ provider: 'openai', model: 'o9-preview', inputTokens: 10 }) === null),
+        check('Custom prices', calculateCost({ provider: 'gateway', model: 'house-model', inputTokens: 2000000 },
+            { 'house-model': { input: 1, output: 2 } }) === 2)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test the ledger through llm-client
+ */
+async function testLedger(dir) {
+    console.log('\n========================================');
+    console.log('Testing Ledger');
+    console.log('========================================\n');
+
+    const filePath = path.join(dir, 'ledger.jsonl');
+    const ledger = new CostLedger({ filePath });
+    setSharedCostLedger(ledger);
+    resetLLMClient();
+    configureLLM({ ...NO_DELAY, provider: 'priced' });
+
+    const context = { campaignId: 'spring-outreach', clientId: 'acme' };
+    const call = await complete({ task: 'reply-classification', prompt: 'Thanks, not interested', context });
+    await generateCompanyResearch({ companyName: 'ABC Insurance Agency', website: 'https://abcinsurance.com' },
+        { cache: false, context: { ...context, leadId: 'lead-1' } });
+    await generateOutreachEmails(CONTACT, 'ABC Insurance Agency is a commercial insurance broker.', { context });
+
+    let rejectedCalls = 0;
+    await complete({
+        task: 'reply-classification',
+        prompt: 'retry me',
+        context,
+        parse: content => {
+            if (rejectedCalls++ === 0) throw new Error('Rejected');
+            return content;
+        }
+    });
+
+    const reopened = new CostLedger({ filePath });
+    const summary = reopened.summarize({ campaignId: 'spring-outreach' });
+    const entry = reopened.getEntries({ task: 'email-generation' })[0];
+
+    // Running totals: opening trusts the saved totals and reads only newer lines
+    const totalsPath = path.join(dir, 'ledger.totals.json');
+    const totals = JSON.parse(fs.readFileSync(totalsPath, 'utf8'));
+    const totalsCoverFile = totals.offset === fs.statSync(filePath).size && totals.spend['campaign:spring-outreach'] === 24.5;
+    fs.writeFileSync(totalsPath, JSON.stringify({ ...totals, spend: { ...totals.spend, 'campaign:spring-outreach': 1 } }));
+    const fromTotals = new CostLedger({ filePath, budgets: { campaign: { 'spring-outreach': 100 } } });
+    const spentFromTotals = fromTotals.getBudgetStatus('campaign', 'spring-outreach').spent;
+    reopened.record({ task: 'reply-classification', provider: 'openai', model: 'gpt-4o', usage: { inputTokens: 1000000 }, context });
+    fromTotals.assertWithinBudget(context);
+    const spentAfterOtherWriter = fromTotals.getBudgetStatus('campaign', 'spring-outreach').spent;
+
+    const results = [
+        check('complete() returns the call cost', call.cost === 3.5),
+        check('Entries carry model, tokens, cost and context', entry.model === 'gpt-4o-2024-08-06' &&
+            entry.inputTokens === 1000000 && entry.outputTokens === 100000 && entry.cost === 3.5 &&
+            entry.campaignId === 'spring-outreach' && entry.clientId === 'acme' && entry.leadId === 'john@abcinsurance.com'),
+        check('Research records its lead', reopened.getEntries({ leadId: 'lead-1' })[0].task === 'company-research'),
+        check('Rejected responses are billed', reopened.getEntries().filter(item => item.rejected).length === 1),
+        check('Ledger persisted and reloaded', summary.calls === 7 && summary.cost === 24.5 &&
+            summary.totalTokens === 7700000),
+        check('Breakdowns by task, model, campaign and client', summary.byTask['email-generation'].calls === 3 &&
+            summary.byModel['gpt-4o-2024-08-06'].cost === 24.5 && summary.byClient.acme.calls === 7),
+        check('Running totals saved with the file offset', totalsCoverFile),
+        check('Reopening reads the totals, not the whole history', spentFromTotals === 1),
+        check('Entries appended by another ledger are counted', spentAfterOtherWriter === 3.5)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test budgets
+ */
+async function testBudgets() {
+    console.log('\n========================================');
+    console.log('Testing Budgets');
+    console.log('========================================\n');
+
+    const warnings = [];
+    const ledger = new CostLedger({
+        filePath: null,
+        budgets: { campaign: { 'q3-push': { limit: 10, warnAt: 0.5 } } },
+        onBudgetWarning: status => warnings.push(status)
+    });
+    ledger.setBudget('client', 'acme', 100);
+    setSharedCostLedger(ledger);
+    resetLLMClient();
+    configureLLM({ ...NO_DELAY, provider: 'priced' });
+
+    const context = { campaignId: 'q3-push', clientId: 'acme' };
+    await complete({ task: 'reply-classification', prompt: 'one', context });
+    const afterOne = ledger.getBudgetStatus('campaign', 'q3-push');
+    await complete({ task: 'reply-classification', prompt: 'two', context });
+    await complete({ task: 'reply-classification', prompt: 'three', context });
+    const afterThree = ledger.getBudgetStatus('campaign', 'q3-push');
+
+    let stopped = null;
+    try {
+        await complete({ task: 'reply-classification', prompt: 'four', context });
+    } catch (error) {
+        stopped = error;
+    }
+    const entriesAfterStop = ledger.getEntries().length;
+
+    let researchStopped = null;
+    try {
+        await generateCompanyResearch({ companyName: 'ABC Insurance Agency', website: 'https://abcinsurance.com' },
+            { cache: false, context });
+    } catch (error) {
+        researchStopped = error;
+    }
+
+    let emailStopped = null;
+    try {
+        await generateOutreachEmails(CONTACT, 'ABC Insurance Agency is a commercial insurance broker.', { context });
+    } catch (error) {
+        emailStopped = error;
+    }
+
+    const otherCampaign = await complete({ task: 'reply-classification', prompt: 'five', context: { campaignId: 'other' } });
+
+    let scopeError = null;
+    try {
+        ledger.setBudget('region', 'west', 5);
+    } catch (error) {
+        scopeError = error.message;
+    }
+
+    const results = [
+        check('Warns once when crossing the threshold', afterOne.status === 'ok' && warnings.length === 1 &&
+            warnings[0].id === 'q3-push' && warnings[0].status === 'warning'),
+        check('Exceeded once spend reaches the limit', afterThree.status === 'exceeded' && afterThree.spent === 10.5 &&
+            afterThree.remaining === 0),
+        check('Further calls hard-stopped', stopped && stopped.code === 'LLM_BUDGET_EXCEEDED' &&
+            /campaign q3-push/.test(stopped.message) && entriesAfterStop === 3),
+        check('Research stops instead of falling back', researchStopped && researchStopped.code === 'LLM_BUDGET_EXCEEDED'),
+        check('Email generation stops instead of using templates', emailStopped && emailStopped.code === 'LLM_BUDGET_EXCEEDED'),
+        check('Other campaigns unaffected', otherCampaign.cost === 3.5),
+        check('Client budget tracked alongside', ledger.getBudgetStatus('client', 'acme').spent === 10.5),
+        check('Unknown budget scope rejected', /Unknown budget scope 'region'/.test(scopeError || ''))
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test calls to models without a price
+ */
+async function testUnpriced() {
+    console.log('\n========================================');
+    console.log('Testing Unpriced Models');
+    console.log('========================================\n');
+
+    // Answers with whatever model was asked for
+    registerLLMProvider('gateway', () => ({
+        async complete(request) {
+            return { content: 'ok', model: request.model, usage: { inputTokens: 1000000, outputTokens: 0, totalTokens: 1000000 } };
+        }
+    }), { replace: true });
+    resetLLMClient();
+    configureLLM({ ...NO_DELAY, provider: 'gateway' });
+
+    const context = { campaignId: 'q4-push' };
+    const refusing = new CostLedger({ filePath: null, budgets: { campaign: { 'q4-push': 10 } } });
+    setSharedCostLedger(refusing);
+    let refused = null;
+    try {
+        await complete({ task: 'reply-classification', prompt: 'one', model: 'house-model', context });
+    } catch (error) {
+        refused = error;
+    }
+    const unbudgeted = await complete({ task: 'reply-classification', prompt: 'two', model: 'house-model', context: { campaignId: 'other' } });
+    const recordedCalls = refusing.getEntries().length;
+
+    // Provider default model: known to be unpriced once it has answered
+    registerLLMProvider('house', () => ({
+        async complete() {
+            return { content: 'ok', model: 'house-default', usage: { inputTokens: 1000, outputTokens: 0, totalTokens: 1000 } };
+        }
+    }), { replace: true });
+    configureLLM({ ...NO_DELAY, provider: 'house' });
+    await complete({ task: 'reply-classification', prompt: 'two', context: { campaignId: 'other' } });
+    let refusedDefault = null;
+    try {
+        await complete({ task: 'reply-classification', prompt: 'two', context });
+    } catch (error) {
+        refusedDefault = error;
+    }
+    configureLLM({ ...NO_DELAY, provider: 'gateway' });
+
+    const estimating = new CostLedger({
+        filePath: null,
+        fallbackPrice: { input: 4, output: 8 },
+        budgets: { campaign: { 'q4-push': 10 } }
+    });
+    setSharedCostLedger(estimating);
+    const estimated = await complete({ task: 'reply-classification', prompt: 'three', model: 'house-model', context });
+    await complete({ task: 'reply-classification', prompt: 'four', model: 'house-model', context });
+    await complete({ task: 'reply-classification', prompt: 'five', model: 'house-model', context });
+    let stopped = null;
+    try {
+        await complete({ task: 'reply-classification', prompt: 'six', model: 'house-model', context });
+    } catch (error) {
+        stopped = error;
+    }
+
+    const results = [
+        check('Unpriced model refused under a budget', refused && refused.code === 'LLM_BUDGET_EXCEEDED' &&
+            /No price for model house-model/.test(refused.message) && recordedCalls === 1),
+        check('Unpriced model allowed without a budget', unbudgeted.cost === null),
+        check('Unpriced default model refused once seen', refusedDefault && refusedDefault.code === 'LLM_BUDGET_EXCEEDED'),
+        check('Fallback price counts toward the budget', estimated.cost === 4 &&
+            estimating.getEntries()[0].estimatedCost === true && estimating.summarize().estimatedCalls === 3),
+        check('Budget stops estimated calls too', stopped && stopped.code === 'LLM_BUDGET_EXCEEDED' &&
+            estimating.getBudgetStatus('campaign', 'q4-push').spent === 12)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test MetricsCollector totals
+ */
+async function testMetrics() {
+    console.log('\n========================================');
+    console.log('Testing MetricsCollector AI Costs');
+    console.log('========================================\n');
+
+    const ledger = new CostLedger({ filePath: null });
+    ledger.setBudget('campaign', 'q3-push', 4);
+    ledger.record({
+        task: 'email-generation',
+        provider: 'openai',
+        model: 'gpt-4-turbo-preview',
+        usage: { inputTokens: 200000, outputTokens: 50000 },
+        context: { campaignId: 'q3-push' }
+    });
+    setSharedCostLedger(ledger);
+
+    const collector = new MetricsCollector();
+    const metrics = await collector.getAICostMetrics();
+    const lastWeek = await collector.getAICostMetrics({
+        startDate: new Date(Date.now() - 14 * 24 * 60 * 60 * 1000),
+        endDate: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
+    });
+    const report = await collector.generateDailyReport();
+    const actionItems = collector._generateActionItems(
+        { outreach: report.outreach, booking: report.booking, aiCosts: metrics },
+        report
+    );
+
+    const results = [
+        check('AI cost metrics from the ledger', metrics.aiCalls === 1 && metrics.totalTokens === 250000 &&
+            metrics.totalCost === 3.5 && metrics.costByCampaign['q3-push'].cost === 3.5),
+        check('Date range respected', lastWeek.aiCalls === 0),
+        check('Daily report includes AI costs', report.aiCosts.totalCost === 3.5 && report.summary.totalAICost === 3.5),
+        check('Budget warnings become action items', actionItems.some(item => /AI budget for campaign q3-push is 88% used/.test(item)))
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   COST LEDGER TEST SUITE               ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    registerPricedProvider();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cost-ledger-'));
+    let testResults;
+    try {
+        testResults = {
+            pricing: testPricing(),
+            ledger: await testLedger(dir),
+            budgets: await testBudgets(),
+            unpriced: await testUnpriced(),
+            metrics: await testMetrics()
+        };
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+        resetLLMClient();
+    }
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`Pricing:       ${testResults.pricing ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Ledger:        ${testResults.ledger ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Budgets:       ${testResults.budgets ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Unpriced:      ${testResults.unpriced ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Metrics:       ${testResults.metrics ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = Object.values(testResults).every(Boolean);
+    console.log(`\nOverall Status: ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests().catch(error => {
+    console.error('\n❌ Fatal error running tests:', error);
+    process.exit(1);
+});
@@ -0,0 +1,238 @@
+/**
+ * Test Script for the Email Approach Library
+ *
+ * Runs offline against the mock LLM provider, with per-test mock responses for
+ * emails that break an approach's rules.
+ *
+ * Tests the following components:
+ * 1. Registry: built-ins, extends, versions, validation, JSON files
+ * 2. Selection: explicit, client, vertical and default approaches, count
+ * 3. generateOutreachEmails: approach definitions stored on emails, rules enforced, fallbacks
+ *
+ * Usage: node tests/test-email-approaches.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    registerEmailApproach,
+    resolveEmailApproach,
+    validateEmailApproach,
+    listEmailApproaches,
+    getApproachesForContact,
+    DEFAULT_APPROACHES
+} = require('../executions/ai/email-approaches');
+const { generateOutreachEmails } = require('../executions/ai/email-generation');
+const { validateVertical, getVertical } = require('../executions/verticals');
+const { configureLLM, resetLLMClient, getProvider } = require('../executions/ai/llm-client');
+const { CostLedger, setSharedCostLedger } = require('../executions/ai/cost-ledger');
+
+// Keep the ledger in memory so test calls don't land in .cache/
+setSharedCostLedger(new CostLedger({ filePath: null }));
+
+const NO_DELAY = { retry: { maxAttempts: 2, baseDelay: 0, maxDelay: 0 } };
+
+const CONTACT = {
+    firstName: 'John',
+    lastName: 'Doe',
+    jobTitle: 'CEO',
+    companyName: 'ABC Insurance Agency',
+    industry: 'Commercial Insurance',
+    location: 'Austin, TX'
+};
+
+const RESEARCH = 'ABC Insurance Agency is a commercial insurance broker serving contractors in central Texas.';
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+function errorMessage(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error.message;
+    }
+    return '';
+}
+
+/**
+ * Test the registry
+ */
+function testRegistry(dir) {
+    console.log('\n========================================');
+    console.log('Testing Approach Registry');
+    console.log('========================================\n');
+
+    const extended = registerEmailApproach({
+        name: 'test-acme-compliance',
+        extends: 'compliance-safe',
+        version: 3,
+        validation: { requiredPhrases: ['Acme Insurance Services'] }
+    });
+
+    const filePath = path.join(dir, 'short-question.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+        name: 'test-short-question',
+        extends: 'question',
+        version: 2,
+        length: { minWords: 40, maxWords: 60 }
+    }));
+    const fromFile = resolveEmailApproach(filePath);
+
+    const invalid = validateEmailApproach({ name: 'bad name', version: 0, length: { minWords: 90, maxWords: 50 } });
+
+    const results = [
+        check('Built-ins registered, original three by default', ['problem-solution', 'social-proof', 'question', 'compliance-safe']
+            .every(name => listEmailApproaches().includes(name)) && DEFAULT_APPROACHES.join(',') === 'problem-solution,social-proof,question'),
+        check('Built-ins are versioned with derived limits', resolveEmailApproach('question').version === 1 &&
+            resolveEmailApproach('question').validation.minWords === 80 && resolveEmailApproach('question').validation.maxWords === 180),
+        check('Extends inherits, own version, rules merged', extended.version === 3 && extended.extends === 'compliance-safe' &&
+            extended.tone === resolveEmailApproach('compliance-safe').tone && extended.validation.bannedPhrases.includes('guarantee') &&
+            extended.validation.requiredPhrases[0] === 'Acme Insurance Services'),
+        check('JSON file approach with its own length', fromFile.name === 'test-short-question' && fromFile.version === 2 &&
+            fromFile.validation.minWords === 32 && fromFile.validation.maxWords === 72 && fromFile.instructions.includes('question/curiosity')),
+        check('Invalid definitions list every problem', !invalid.isValid && invalid.errors.length === 6 &&
+            invalid.errors.includes('version must be a positive integer') &&
+            invalid.errors.includes('fallback must have string subject and body templates')),
+        check('Duplicate names rejected', /already registered/.test(errorMessage(() => registerEmailApproach({ name: 'question', extends: 'question' })))),
+        check('Unknown base rejected', /extends unknown approach 'nope'/.test(errorMessage(() => registerEmailApproach({ name: 'test-orphan', extends: 'nope' })))),
+        check('Unknown approach lists registered ones', /Unknown email approach: nope\. Registered approaches: problem-solution/.test(
+            errorMessage(() => resolveEmailApproach('nope'))))
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test approach selection
+ */
+function testSelection() {
+    console.log('\n========================================');
+    console.log('Testing Approach Selection');
+    console.log('========================================\n');
+
+    const names = (contact, options) => getApproachesForContact(contact, options).map(approach => approach.name).join(',');
+    const insurance = { ...CONTACT, vertical: 'insurance' };
+    const clientApproaches = { acme: ['test-acme-compliance', 'question'] };
+
+    const results = [
+        check('Default approaches', names(CONTACT) === 'problem-solution,social-proof,question'),
+        check('Vertical definition approaches', names(insurance) === 'compliance-safe,problem-solution,question' &&
+            getVertical('insurance').emailApproaches[0] === 'compliance-safe'),
+        check('Vertical override option', names(insurance, { verticalApproaches: { insurance: ['question'] } }) === 'question'),
+        check('Client approaches win over the vertical', names(insurance, { clientId: 'acme', clientApproaches }) === 'test-acme-compliance,question' &&
+            names(insurance, { clientId: 'other', clientApproaches }) === 'compliance-safe,problem-solution,question'),
+        check('Explicit approaches win over everything', names(insurance, { approaches: ['social-proof'], clientId: 'acme', clientApproaches }) === 'social-proof'),
+        check('Count takes the first approaches', names(CONTACT, { count: 2 }) === 'problem-solution,social-proof'),
+        check('Count beyond the list rejected', /Email count must be an integer from 1 to 3/.test(errorMessage(() => getApproachesForContact(CONTACT, { count: 5 })))),
+        check('Approach listed twice rejected', /'question' is listed more than once/.test(
+            errorMessage(() => getApproachesForContact(CONTACT, { approaches: ['question', 'question'] })))),
+        check('Verticals validate emailApproaches', validateVertical({ ...getVertical('insurance'), emailApproaches: [] }).errors
+            .some(error => /^email-approaches: emailApproaches must be a non-empty array/.test(error)))
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test email generation with approaches
+ */
+async function testGeneration() {
+    console.log('\n========================================');
+    console.log('Testing Generation With Approaches');
+    console.log('========================================\n');
+
+    resetLLMClient();
+    configureLLM({ ...NO_DELAY, provider: 'mock' });
+
+    const defaults = await generateOutreachEmails(CONTACT, RESEARCH);
+    const insurance = await generateOutreachEmails({ ...CONTACT, vertical: 'insurance' }, RESEARCH, { count: 1 });
+    const compliancePrompt = getProvider('mock').calls[3].messages[0].content;
+
+    // Every answer quotes a percentage: compliance-safe rejects it and falls back, question accepts it
+    const body = ['Hi John,', ...Array(7).fill('We helped a similar agency grow 40% in a year with a simple outreach process.')].join(' ');
+    resetLLMClient();
+    configureLLM({
+        ...NO_DELAY,
+        provider: 'mock',
+        providers: { mock: { responses: { 'email-generation': JSON.stringify({ subject: 'A quick idea for ABC', body }) } } }
+    });
+    const mixed = await generateOutreachEmails(CONTACT, RESEARCH, {
+        context: { clientId: 'acme' },
+        clientApproaches: { acme: ['test-acme-compliance', 'question'] }
+    });
+    const emailCalls = getProvider('mock').calls.length;
+
+    let unknownError = null;
+    try {
+        await generateOutreachEmails(CONTACT, RESEARCH, { approaches: ['nope'] });
+    } catch (error) {
+        unknownError = error.message;
+    }
+
+    const [complianceEmail, questionEmail] = mixed.emails;
+
+    const results = [
+        check('Default three variants', defaults.emails.map(email => email.approach).join(',') === 'problem-solution,social-proof,question' &&
+            defaults.emails.every(email => email.fallback === false)),
+        check('Approach version and definition stored on each email', defaults.emails[2].approachVersion === 1 &&
+            defaults.emails[2].approachDefinition.name === 'question' && defaults.emails[2].approachDefinition.validation.maxWords === 180 &&
+            defaults.metadata.approachVersions.question === 1),
+        check('Count and vertical respected', insurance.emails.length === 1 && insurance.emails[0].approach === 'compliance-safe'),
+        check('Prompt built from the approach', /- Length: 80-130 words/.test(compliancePrompt) &&
+            /- Tone: Professional, measured and factual/.test(compliancePrompt) && /- Never use: "guarantee", "%"/.test(compliancePrompt)),
+        check('Rule-breaking emails retried, then replaced by the fallback', emailCalls === 3 && complianceEmail.fallback === true &&
+            complianceEmail.subject === 'A question for ABC Insurance Agency' && !complianceEmail.body.includes('%') &&
+            complianceEmail.body.startsWith('Hi John,')),
+        check('Client approach recorded with its version', complianceEmail.approach === 'test-acme-compliance' &&
+            complianceEmail.approachVersion === 3 && complianceEmail.approachDefinition.extends === 'compliance-safe'),
+        check('Other approaches keep the LLM email', questionEmail.fallback === false && questionEmail.body === body),
+        check('Unknown approaches fail the call', /Unknown email approach: nope/.test(unknownError || ''))
+    ];
+
+    resetLLMClient();
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   EMAIL APPROACHES TEST SUITE          ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-approaches-'));
+    let testResults;
+    try {
+        testResults = {
+            registry: testRegistry(dir),
+            selection: testSelection(),
+            generation: await testGeneration()
+        };
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`Registry:    ${testResults.registry ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Selection:   ${testResults.selection ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Generation:  ${testResults.generation ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = Object.values(testResults).every(Boolean);
+    console.log(`\nOverall Status: ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests().catch(error => {
+    console.error('\n❌ Fatal error running tests:', error);
+    process.exit(1);
+});
@@ -0,0 +1,219 @@
+/**
+ * Test Script for Email Pattern Learning
+ *
+ * Runs offline: the pattern store is in memory, or persisted to an in-memory
+ * stand-in for Apify's key-value store.
+ *
+ * Tests the following components:
+ * 1. Pattern detection from known addresses
+ * 2. Learning: which leads are learned from, verified weight, example cap
+ * 3. Ranked candidates and confidences: domain, vertical and default sources
+ * 4. Persistence and email inference in lead-enrichment
+ *
+ * Usage: node tests/test-email-patterns.js
+ */
+
+const Apify = require('apify');
+const { EmailPatternStore, rankEmailCandidates, detectPatterns, EMAIL_PATTERNS } = require('../executions/utils/email-patterns');
+const { inferEmail } = require('../executions/utils/lead-enrichment');
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+function near(a, b) {
+    return Math.abs(a - b) < 1e-9;
+}
+
+/**
+ * Store that learned acme.com uses flast (one verified example, one unverified)
+ */
+function buildAcmeStore() {
+    const store = new EmailPatternStore();
+    store.learn({ email: 'jsmith@acme.com', firstName: 'John', lastName: 'Smith', vertical: 'insurance', verified: true });
+    store.learn({ email: 'MJones@Acme.com', firstName: 'Mary', lastName: 'Jones', vertical: 'insurance' });
+    return store;
+}
+
+/**
+ * Test pattern detection
+ */
+function testDetection() {
+    console.log('\n========================================');
+    console.log('Testing Pattern Detection');
+    console.log('========================================\n');
+
+    const baseRateTotal = Object.values(EMAIL_PATTERNS).reduce((sum, { baseRate }) => sum + baseRate, 0);
+
+    const results = [
+        check('Each supported pattern detected', detectPatterns('john.smith', 'John', 'Smith').join(',') === 'first.last' &&
+            detectPatterns('jsmith', 'John', 'Smith').join(',') === 'flast' && detectPatterns('smithj', 'John', 'Smith').join(',') === 'lastf' &&
+            detectPatterns('smith.john', 'John', 'Smith').join(',') === 'last.first'),
+        check('Accents, spaces and case normalized', detectPatterns('jose.delacruz', 'José', 'De la Cruz').join(',') === 'first.last' &&
+            detectPatterns('J.Smith', 'JOHN', 'smith').join(',') === 'f.last'),
+        check('Ambiguous addresses match every fitting pattern', detectPatterns('jdoe', 'J', 'Doe').join(',') === 'flast,firstlast'),
+        check('Unrelated addresses and missing names match nothing', detectPatterns('sales', 'John', 'Smith').length === 0 &&
+            detectPatterns('john', 'John', '').length === 0),
+        check('Base rates sum to 1', near(baseRateTotal, 1))
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test learning from known addresses and leads
+ */
+function testLearning() {
+    console.log('\n========================================');
+    console.log('Testing Learning');
+    console.log('========================================\n');
+
+    const store = buildAcmeStore();
+    const examples = store.domains['acme.com'].examples;
+
+    const leadStore = new EmailPatternStore();
+    const learned = leadStore.learnFromLeads([
+        { email: 'ann.lee@coastal.test', firstName: 'Ann', lastName: 'Lee', vertical: 'real-estate' },
+        { email: 'tom.reyes@coastal.test', firstName: 'Tom', lastName: 'Reyes', emailInferred: true },
+        { email: 'bo.kim@coastal.test', firstName: 'Bo', lastName: 'Kim', emailInferred: true, emailVerification: { status: 'valid' } },
+        { email: 'al.wu@catchall.test', firstName: 'Al', lastName: 'Wu', emailVerification: { status: 'catch-all' } },
+        { email: 'jo.park@coastal.test', firstName: 'Jo', lastName: 'Park', emailVerification: { status: 'invalid' } },
+        { email: 'info@coastal.test', firstName: 'Ann', lastName: 'Lee' },
+        { companyName: 'No Email Co' }
+    ]);
+    const coastal = leadStore.domains['coastal.test'];
+
+    const capped = new EmailPatternStore();
+    for (let i = 0; i < 55; i++) {
+        const lastName = 'a'.repeat(i + 1);
+        capped.learn({ email: `pat.${lastName}@big.test`, firstName: 'Pat', lastName });
+    }
+
+    const results = [
+        check('Addresses stored lowercased with their patterns', Object.keys(examples).join(',') === 'jsmith@acme.com,mjones@acme.com' &&
+            examples['mjones@acme.com'].patterns.join(',') === 'flast'),
+        check('Verified examples count double', examples['jsmith@acme.com'].weight === 1 && examples['mjones@acme.com'].weight === 0.5),
+        check('Domain keeps its vertical', store.domains['acme.com'].vertical === 'insurance'),
+        check('Learns from real and SMTP-confirmed emails only', learned === 2 &&
+            Object.keys(coastal.examples).join(',') === 'ann.lee@coastal.test,bo.kim@coastal.test' && !leadStore.domains['catchall.test']),
+        check('Role and malformed addresses not learned', store.learn({ email: 'not-an-email', firstName: 'A', lastName: 'B' }).length === 0 &&
+            !('info@coastal.test' in coastal.examples)),
+        check('Examples capped per domain', Object.keys(capped.domains['big.test'].examples).length === 50)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test ranked candidates and their confidences
+ */
+function testRanking() {
+    console.log('\n========================================');
+    console.log('Testing Ranked Candidates');
+    console.log('========================================\n');
+
+    const store = buildAcmeStore();
+
+    // acme.com: 1.5 weighted flast examples against a prior of 1 pseudo-example
+    const domain = rankEmailCandidates('Jane', 'Doe', 'Acme.com', { patternStore: store });
+    const { confidences, examples, source } = store.getPatternConfidence('acme.com');
+    const confidenceTotal = Object.values(confidences).reduce((sum, value) => sum + value, 0);
+
+    // newco.com has no examples: borrow from other insurance domains, else base rates
+    const vertical = rankEmailCandidates('Jane', 'Doe', 'newco.com', { patternStore: store, vertical: 'insurance' });
+    const fallback = rankEmailCandidates('Jane', 'Doe', 'newco.com', { patternStore: store });
+    const noStore = rankEmailCandidates('José', 'De la Cruz', 'acme.com', { limit: 3 });
+    const duplicates = rankEmailCandidates('J', 'Doe', 'acme.com', { limit: 20 });
+
+    const results = [
+        check('Learned pattern ranked first with high confidence', domain[0].email === 'jdoe@acme.com' &&
+            domain[0].pattern === 'flast' && domain[0].confidence === 0.72 && domain[0].source === 'domain'),
+        check('Other patterns ranked by the smoothed prior', domain.map(candidate => candidate.pattern).join(',') ===
+            'flast,first.last,first,firstlast,f.last' && domain[1].confidence === 0.12 && domain[2].confidence === 0.07),
+        check('Confidences sum to 1 per domain', near(confidenceTotal, 1) && examples === 2 && source === 'domain'),
+        check('Vertical prior used for unseen domains', vertical[0].source === 'vertical' && vertical[0].confidence === 0.29 &&
+            vertical.find(candidate => candidate.pattern === 'flast').confidence === 0.29),
+        check('Base rates without a vertical', fallback.map(candidate => `${candidate.pattern}:${candidate.confidence}`).join(',') ===
+            'first.last:0.35,first:0.2,flast:0.15,firstlast:0.1,f.last:0.06' && fallback[0].source === 'default'),
+        check('Names normalized in candidates, limit applied', noStore.map(candidate => candidate.email).join(',') ===
+            'jose.delacruz@acme.com,jose@acme.com,jdelacruz@acme.com'),
+        check('Duplicate addresses listed once', duplicates.filter(candidate => candidate.email === 'jdoe@acme.com').length === 1 &&
+            duplicates.length < Object.keys(EMAIL_PATTERNS).length),
+        check('No candidates without both names and a domain', rankEmailCandidates('Jane', '', 'acme.com').length === 0 &&
+            rankEmailCandidates('Jane', 'Doe', null).length === 0)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test persistence and use in lead enrichment
+ */
+async function testPersistence() {
+    console.log('\n========================================');
+    console.log('Testing Persistence and Inference');
+    console.log('========================================\n');
+
+    // In-memory stand-in for Apify's key-value stores (the API is exposed as getters)
+    const values = {};
+    Object.defineProperty(Apify, 'openKeyValueStore', {
+        value: async () => ({
+            getValue: async key => (key in values ? JSON.parse(values[key]) : null),
+            setValue: async (key, value) => { values[key] = JSON.stringify(value); }
+        }),
+        configurable: true
+    });
+
+    const first = await EmailPatternStore.open('email-patterns');
+    const emptyOnOpen = Object.keys(first.domains).length === 0;
+    first.learn({ email: 'jsmith@acme.com', firstName: 'John', lastName: 'Smith', verified: true });
+    await first.persist();
+    const reopened = await EmailPatternStore.open('email-patterns');
+
+    const results = [
+        check('Learned patterns persist between runs', emptyOnOpen && Object.keys(values).join(',') === 'PATTERNS' &&
+            reopened.getPatternConfidence('acme.com').source === 'domain'),
+        check('In-memory store persists nothing', await new EmailPatternStore().persist() === undefined),
+        check('inferEmail uses the learned pattern', inferEmail('Jane', 'Doe', 'acme.com', { patternStore: reopened }) === 'jdoe@acme.com' &&
+            inferEmail('Jane', 'Doe', 'acme.com') === 'jane.doe@acme.com')
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   EMAIL PATTERNS TEST SUITE            ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    const testResults = {
+        detection: testDetection(),
+        learning: testLearning(),
+        ranking: testRanking(),
+        persistence: await testPersistence()
+    };
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`Detection:    ${testResults.detection ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Learning:     ${testResults.learning ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Ranking:      ${testResults.ranking ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Persistence:  ${testResults.persistence ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = Object.values(testResults).every(Boolean);
+    console.log(`\nOverall Status: ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests().catch(error => {
+    console.error('\n❌ Fatal error running tests:', error);
+    process.exit(1);
+});
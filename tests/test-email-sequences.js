@@ -0,0 +1,282 @@
+/**
+ * Test Script for AI Multi-Touch Sequences
+ *
+ * Runs offline against the mock LLM provider; campaign uploads go to stand-in
+ * HTTP clients.
+ *
+ * Tests the following components:
+ * 1. generateOutreachSequence: step layouts, delays, threading, hook and validation checks
+ * 2. prepareSequenceUpload: campaign steps, per-lead variables, rejected sequences
+ * 3. Instantly and SmartLead: setCampaignSequence and custom variables on upload
+ *
+ * Usage: node tests/test-email-sequences.js
+ */
+
+const { generateOutreachSequence, prepareSequenceUpload } = require('../executions/ai/email-generation');
+const { getEmailSequence, SEQUENCE_DELAYS } = require('../executions/utils/email-templates');
+const { configureLLM, resetLLMClient, getProvider } = require('../executions/ai/llm-client');
+const { CostLedger, setSharedCostLedger } = require('../executions/ai/cost-ledger');
+const { SuppressionList } = require('../executions/utils/suppression-list');
+const InstantlyAPI = require('../executions/integrations/instantly-api');
+const SmartLeadAPI = require('../executions/integrations/smartlead-api');
+
+// Keep the ledger in memory so test calls don't land in .cache/
+setSharedCostLedger(new CostLedger({ filePath: null }));
+
+const NO_DELAY = { retry: { maxAttempts: 2, baseDelay: 0, maxDelay: 0 } };
+
+const CONTACT = {
+    firstName: 'John',
+    lastName: 'Doe',
+    jobTitle: 'CEO',
+    companyName: 'ABC Insurance Agency',
+    industry: 'Commercial Insurance',
+    location: 'Austin, TX',
+    email: 'john@abcinsurance.com'
+};
+
+const RESEARCH = 'ABC Insurance Agency is a commercial insurance broker serving contractors in central Texas.';
+
+const OPENER = {
+    subject: 'Contractor accounts at ABC',
+    body: [
+        'Hi John,',
+        'I noticed ABC Insurance Agency works almost entirely with contractors around Austin.',
+        'We help brokers with a focused niche reach more of the right owners each month, with research and personal outreach done for them.',
+        'Would a short call next week be useful?',
+        'Best regards'
+    ].join('\n\n')
+};
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+function useMock(responses = {}) {
+    resetLLMClient();
+    configureLLM({ ...NO_DELAY, provider: 'mock', providers: { mock: { responses } } });
+}
+
+/**
+ * Test sequence generation
+ */
+async function testGeneration() {
+    console.log('\n========================================');
+    console.log('Testing Sequence Generation');
+    console.log('========================================\n');
+
+    useMock();
+    const three = await generateOutreachSequence(CONTACT, RESEARCH, { steps: 3, opener: OPENER });
+    const four = await generateOutreachSequence(CONTACT, RESEARCH, { opener: OPENER });
+    const valueAddPrompt = getProvider('mock').calls[3].messages[0].content;
+
+    // Written opener, compliance-safe for insurance: its banned phrases carry over to the follow-ups
+    useMock();
+    const five = await generateOutreachSequence({ ...CONTACT, vertical: 'insurance' }, RESEARCH, { steps: 5 });
+    const bumpPrompt = getProvider('mock').calls[1].messages[0].content;
+
+    const templateDelays = getEmailSequence('insurance', CONTACT, { includeNurture: true }).map(step => step.delay);
+    const layout = sequence => sequence.steps.map(step => `${step.role}@${step.delay}`).join(',');
+
+    let stepsError = null;
+    try {
+        await generateOutreachSequence(CONTACT, RESEARCH, { steps: 6 });
+    } catch (error) {
+        stepsError = error.message;
+    }
+
+    let openerError = null;
+    try {
+        await generateOutreachSequence(CONTACT, RESEARCH, { opener: { ...OPENER, body: `${OPENER.body}\n\nThe first month is free.` } });
+    } catch (error) {
+        openerError = error.message;
+    }
+
+    const results = [
+        check('Delays follow getEmailSequence timing', templateDelays.join(',') ===
+            [SEQUENCE_DELAYS.email1, SEQUENCE_DELAYS.email2, SEQUENCE_DELAYS.email3, SEQUENCE_DELAYS.email4_nurture].join(',')),
+        check('3-step layout', layout(three) === 'opener@0,value-add@3,breakup@7'),
+        check('4-step layout (default)', layout(four) === 'opener@0,bump@3,value-add@7,breakup@14'),
+        check('5-step layout', layout(five) === 'opener@0,bump@3,value-add@7,bump@10,breakup@14'),
+        check('Given opener kept as step 1', four.steps[0].subject === OPENER.subject && four.steps[0].body === OPENER.body &&
+            four.metadata.hook === 'I noticed ABC Insurance Agency works almost entirely with contractors around Austin.'),
+        check('Follow-ups from the follow-up approaches, threaded', four.steps[1].approach === 'follow-up-bump' &&
+            four.steps[1].approachVersion === 1 && four.steps[1].subject === 'Re: Contractor accounts at ABC' &&
+            four.steps[3].approach === 'follow-up-breakup'),
+        check('Later prompts see earlier emails and the hook to avoid', /Email 1 \(opener, Day 0\)\nSubject: Contractor accounts at ABC/.test(valueAddPrompt) &&
+            /Email 2 \(bump, Day 3\)/.test(valueAddPrompt) && /- Step: value-add \(email 3 of 4, Day 7\)/.test(valueAddPrompt) &&
+            valueAddPrompt.includes('Do not repeat the opener\'s hook ("I noticed ABC Insurance Agency works almost entirely with contractors around Austin.")')),
+        check('Opener written with the vertical approach', five.steps[0].approach === 'compliance-safe' && five.steps[0].fallback === false),
+        check('Opener banned phrases carried to follow-ups', /- Never use: "guarantee", "%"/.test(bumpPrompt) &&
+            five.steps[1].approachDefinition.validation.bannedPhrases.includes('risk-free')),
+        check('Every step passes template validation', [three, four, five].every(sequence => sequence.metadata.allStepsValid &&
+            sequence.steps.every(step => step.validation.isValid && step.validation.issues.length === 0))),
+        check('Unsupported step count rejected', /Sequence steps must be one of 3, 4, 5 \(got 6\)/.test(stepsError || '')),
+        check('Opener failing template validation rejected', /Opener fails template validation: Potential spam words detected: free/.test(openerError || ''))
+    ];
+
+    resetLLMClient();
+    return results.every(Boolean);
+}
+
+/**
+ * Test hook repeats and template failures in follow-ups
+ */
+async function testStepChecks() {
+    console.log('\n========================================');
+    console.log('Testing Follow-Up Checks');
+    console.log('========================================\n');
+
+    // The value-add echoes the opener's hook; the breakup promises a free audit
+    const echo = request => {
+        const breakup = /- Step: breakup/.test(request.messages[0].content);
+        const body = [
+            'Hi John,',
+            'Just following up on my email from the other day.',
+            breakup
+                ? 'If it helps, we can run a free audit of your outreach and share what we find with your team this month.'
+                : 'I noticed ABC Insurance Agency works almost entirely with contractors around Austin.',
+            'Happy to walk through how we research each prospect and write to them personally, so you can judge whether it would suit the way your team works.',
+            'Best regards'
+        ].join('\n\n');
+        return JSON.stringify({ subject: 'Re: Contractor accounts at ABC', body });
+    };
+    useMock({ 'email-sequence': echo });
+    const sequence = await generateOutreachSequence(CONTACT, RESEARCH, { steps: 3, opener: OPENER });
+    const calls = getProvider('mock').calls.length;
+
+    const [, valueAdd, breakup] = sequence.steps;
+
+    const results = [
+        check('Rejected follow-ups retried', calls === 4),
+        check('Hook repeat replaced by the fallback', valueAdd.fallback === true && valueAdd.subject === 'Re: Contractor accounts at ABC' &&
+            !valueAdd.body.includes('works almost entirely with contractors')),
+        check('Spam words replaced by the fallback', breakup.fallback === true && breakup.subject === 'Closing the loop, John' &&
+            breakup.body.includes('ABC Insurance Agency')),
+        check('Fallback steps still pass template validation', sequence.metadata.allStepsValid)
+    ];
+
+    resetLLMClient();
+    return results.every(Boolean);
+}
+
+/**
+ * Test campaign upload preparation and the platform clients
+ */
+async function testUpload() {
+    console.log('\n========================================');
+    console.log('Testing Campaign Upload');
+    console.log('========================================\n');
+
+    useMock();
+    const john = await generateOutreachSequence(CONTACT, RESEARCH, { opener: OPENER });
+    const jane = await generateOutreachSequence({ ...CONTACT, firstName: 'Jane', email: 'jane@abcinsurance.com' }, RESEARCH, { opener: OPENER });
+    const short = await generateOutreachSequence(CONTACT, RESEARCH, { steps: 3, opener: OPENER });
+    resetLLMClient();
+
+    const { steps, leads } = prepareSequenceUpload([
+        { lead: { email: CONTACT.email, firstName: 'John' }, sequence: john },
+        { lead: { email: 'jane@abcinsurance.com', firstName: 'Jane', customVariables: { source: 'maps' } }, sequence: jane }
+    ]);
+
+    const errorMessage = fn => {
+        try {
+            fn();
+        } catch (error) {
+            return error.message;
+        }
+        return '';
+    };
+    const broken = { ...john, steps: john.steps.map(step => (step.step === 2 ? { ...step, validation: { isValid: false, issues: ['Subject line is all caps (spam filter risk)'] } } : step)) };
+
+    // Stand-in HTTP clients and an empty suppression list
+    const posts = [];
+    const standInClient = {
+        post: async (url, payload) => {
+            posts.push({ method: 'post', url, payload });
+            return { data: { uploaded: payload.leads ? payload.leads.length : 0 } };
+        },
+        patch: async (url, payload) => {
+            posts.push({ method: 'patch', url, payload });
+            return { data: { id: url.split('/').pop() } };
+        }
+    };
+    let missingV2KeyError = null;
+    try {
+        await new InstantlyAPI('test-key', null).setCampaignSequence('camp_1', steps);
+    } catch (error) {
+        missingV2KeyError = error.message;
+    }
+    const instantly = new InstantlyAPI('test-key', 'test-v2-key');
+    instantly.client = standInClient;
+    instantly.v2Client = standInClient;
+    instantly.setSuppressionList(new SuppressionList());
+    const smartlead = new SmartLeadAPI('test-key');
+    smartlead.client = standInClient;
+    smartlead.setSuppressionList(new SuppressionList());
+
+    const instantlySequence = await instantly.setCampaignSequence('camp_1', steps);
+    await instantly.uploadLeads('camp_1', leads);
+    await smartlead.setCampaignSequence('camp_2', steps);
+    await smartlead.uploadLeads('camp_2', leads);
+
+    const [instantlySteps, instantlyLeads, smartleadSteps, smartleadLeads] = posts;
+
+    const results = [
+        check('Campaign steps are merge-tag shells', steps.length === 4 && steps[0].subject === '{{step1_subject}}' && steps[3].body === '{{step4_body}}'),
+        check('Delays converted to days after the previous step', steps.map(step => step.delay).join(',') === '0,3,4,7'),
+        check('Each lead carries its own sequence text', leads[0].customVariables.step1_subject === OPENER.subject &&
+            leads[1].customVariables.step2_body.startsWith('Hi Jane,') && leads[1].customVariables.source === 'maps'),
+        check('Mismatched step layouts rejected', /has steps opener@0, value-add@3, breakup@7; the campaign's steps are opener@0, bump@3/.test(
+            errorMessage(() => prepareSequenceUpload([{ lead: { email: 'a@x.com' }, sequence: john }, { lead: { email: 'b@x.com' }, sequence: short }])))),
+        check('Steps failing validation rejected', /Sequence for a@x\.com step 2 fails template validation: Subject line is all caps/.test(
+            errorMessage(() => prepareSequenceUpload([{ lead: { email: 'a@x.com' }, sequence: broken }])))),
+        check('Instantly sequence set through API v2', instantlySequence.steps === 4 && instantlySteps.method === 'patch' &&
+            instantlySteps.url === '/campaigns/camp_1' && instantlySteps.payload.sequences[0].steps[2].variants[0].subject === '{{step3_subject}}'),
+        check('Instantly delays count to the next step', instantlySteps.payload.sequences[0].steps.map(step => step.delay).join(',') === '3,4,7,0'),
+        check('Instantly sequence needs the v2 key', /INSTANTLY_V2_API_KEY is required/.test(missingV2KeyError || '')),
+        check('Instantly leads get custom_variables', instantlyLeads.payload.leads[0].custom_variables.step1_subject === OPENER.subject &&
+            instantlyLeads.payload.leads[0].customVariables === undefined),
+        check('SmartLead sequence payload', smartleadSteps.url === '/campaigns/camp_2/sequences' &&
+            smartleadSteps.payload.sequences[3].seq_number === 4 && smartleadSteps.payload.sequences[3].seq_delay_details.delay_in_days === 7),
+        check('SmartLead leads get custom fields', smartleadLeads.payload.leads[1].custom_fields.step4_body.startsWith('Hi Jane,') &&
+            smartleadLeads.payload.leads[1].custom_fields.source === 'maps')
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   EMAIL SEQUENCES TEST SUITE           ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    const testResults = {
+        generation: await testGeneration(),
+        stepChecks: await testStepChecks(),
+        upload: await testUpload()
+    };
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`Generation:   ${testResults.generation ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Step checks:  ${testResults.stepChecks ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Upload:       ${testResults.upload ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = Object.values(testResults).every(Boolean);
+    console.log(`\nOverall Status: ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests().catch(error => {
+    console.error('\n❌ Fatal error running tests:', error);
+    process.exit(1);
+});
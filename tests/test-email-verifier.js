@@ -0,0 +1,251 @@
+/**
+ * Test Script for Email Mailbox Verification
+ *
+ * Runs the SMTP verifier against a local SMTP stand-in (no network or port 25 needed).
+ *
+ * The stand-in serves these domains:
+ * - acme.test:      only jane.doe@ exists, everything else is rejected (550)
+ * - catchall.test:  accepts every recipient
+ * - greylist.test:  answers 450 (try again later)
+ * - blocked.test:   refuses the probing IP (550 5.7.1, blocklisted)
+ * - nomx.test:      has no MX records
+ *
+ * Tests the following components:
+ * 1. Status classification (valid, invalid, catch-all, unknown)
+ * 2. Result caching per address and per domain, with TTL expiry
+ * 3. Mailbox status in calculateQualityScore
+ *
+ * Usage: node tests/test-email-verifier.js
+ */
+
+const net = require('net');
+
+const { EmailVerifier, EmailVerificationCache } = require('../executions/utils/email-verifier');
+const { calculateQualityScore } = require('../executions/utils/lead-enrichment');
+
+const MAILBOXES = ['jane.doe@acme.test'];
+
+/**
+ * Start a minimal SMTP server on a random local port
+ */
+function startSmtpStandIn() {
+    const stats = { connections: 0, rcptCommands: 0 };
+
+    const server = net.createServer(socket => {
+        stats.connections++;
+        socket.write('220 standin.test ESMTP ready\r\n');
+
+        let buffer = '';
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+
+            let newlineIndex;
+            while ((newlineIndex = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, newlineIndex);
+                buffer = buffer.slice(newlineIndex + 2);
+                const command = line.toUpperCase();
+
+                if (command.startsWith('EHLO')) {
+                    socket.write('250-standin.test\r\n250-SIZE 10240000\r\n250 8BITMIME\r\n');
+                } else if (command.startsWith('MAIL FROM')) {
+                    socket.write('250 2.1.0 OK\r\n');
+                } else if (command.startsWith('RCPT TO')) {
+                    stats.rcptCommands++;
+                    const address = line.slice(line.indexOf('<') + 1, line.indexOf('>')).toLowerCase();
+                    const domain = address.split('@')[1];
+
+                    if (domain === 'catchall.test' || MAILBOXES.includes(address)) {
+                        socket.write('250 2.1.5 OK\r\n');
+                    } else if (domain === 'greylist.test') {
+                        socket.write('450 4.2.0 Greylisted, try again later\r\n');
+                    } else if (domain === 'blocked.test') {
+                        socket.write('550 5.7.1 Service unavailable; client host blocked using Spamhaus\r\n');
+                    } else {
+                        socket.write('550 5.1.1 User unknown\r\n');
+                    }
+                } else if (command.startsWith('QUIT')) {
+                    socket.end('221 2.0.0 Bye\r\n');
+                } else {
+                    socket.write('502 5.5.2 Command not recognized\r\n');
+                }
+            }
+        });
+
+        socket.on('error', () => {});
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, stats }));
+    });
+}
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+function createVerifier(port, cache) {
+    return new EmailVerifier({
+        cache,
+        port,
+        timeout: 3000,
+        heloHost: 'test.local',
+        resolveMx: async domain => (domain === 'nomx.test' ? [] : [{ exchange: '127.0.0.1', priority: 10 }])
+    });
+}
+
+/**
+ * Test status classification
+ */
+async function testClassification(port) {
+    console.log('\n========================================');
+    console.log('Testing Mailbox Classification');
+    console.log('========================================\n');
+
+    const verifier = createVerifier(port, new EmailVerificationCache());
+
+    const valid = await verifier.verify('Jane.Doe@acme.test');
+    const invalid = await verifier.verify('nobody@acme.test');
+    const catchAll = await verifier.verify('anyone@catchall.test');
+    const greylisted = await verifier.verify('someone@greylist.test');
+    const blocked = await verifier.verify('someone@blocked.test');
+    const noMx = await verifier.verify('someone@nomx.test');
+    const badSyntax = await verifier.verify('not-an-email');
+
+    const results = [
+        check('Existing mailbox is valid', valid.status === 'valid' && valid.smtpCode === 250),
+        check('Rejected mailbox is invalid', invalid.status === 'invalid' && invalid.smtpCode === 550),
+        check('Catch-all domain detected', catchAll.status === 'catch-all'),
+        check('Greylisting is unknown', greylisted.status === 'unknown' && greylisted.smtpCode === 450),
+        check('Policy refusal of the probing IP is unknown', blocked.status === 'unknown' &&
+            blocked.reason === 'rejected_by_policy' && blocked.smtpCode === 550),
+        check('Domain without MX is invalid', noMx.status === 'invalid' && noMx.reason === 'no_mx_records'),
+        check('Bad syntax is invalid without probing', badSyntax.status === 'invalid' && badSyntax.reason === 'invalid_syntax')
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test caching and TTLs
+ */
+async function testCaching(port, smtpStats) {
+    console.log('\n========================================');
+    console.log('Testing Verification Cache');
+    console.log('========================================\n');
+
+    const cache = new EmailVerificationCache();
+    const verifier = createVerifier(port, cache);
+
+    // Each step records how many new SMTP connections it opened
+    const countConnections = async step => {
+        const before = smtpStats.connections;
+        const result = await step();
+        return { result, connections: smtpStats.connections - before };
+    };
+
+    await verifier.verify('jane.doe@acme.test');
+    const repeat = await countConnections(() => verifier.verify('jane.doe@acme.test'));
+
+    // Catch-all status is cached per domain: a new address on the domain needs no probe
+    await verifier.verify('first@catchall.test');
+    const otherCatchAll = await countConnections(() => verifier.verify('second@catchall.test'));
+
+    // Saved state reloads into a new cache
+    await cache.persist();
+    const reloaded = new EmailVerificationCache(null, { addresses: cache.addresses, domains: cache.domains });
+    const fromReload = await countConnections(() => createVerifier(port, reloaded).verify('jane.doe@acme.test'));
+
+    // Zero TTL: every verification probes again
+    const expiringVerifier = createVerifier(port, new EmailVerificationCache(null, {}, { addressTtlHours: 0, domainTtlHours: 0 }));
+    await expiringVerifier.verify('jane.doe@acme.test');
+    const expired = await countConnections(() => expiringVerifier.verify('jane.doe@acme.test'));
+
+    const results = [
+        check('Repeat address served from cache', repeat.result.cached === true && repeat.connections === 0),
+        check('Catch-all domain served from domain cache', otherCatchAll.result.status === 'catch-all' &&
+            otherCatchAll.connections === 0),
+        check('Reloaded cache avoids re-probing', fromReload.result.cached === true && fromReload.connections === 0),
+        check('Expired entries are re-probed', expired.result.cached === false && expired.connections === 1)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test mailbox status in quality scoring
+ */
+function testQualityScore() {
+    console.log('\n========================================');
+    console.log('Testing Quality Score Integration');
+    console.log('========================================\n');
+
+    const baseLead = {
+        email: 'jane.doe@acme.test',
+        companyName: 'Acme Insurance',
+        firstName: 'Jane',
+        lastName: 'Doe',
+        validationStatus: 'valid',
+        validationErrors: []
+    };
+
+    const unverified = calculateQualityScore(baseLead);
+    const valid = calculateQualityScore({ ...baseLead, emailVerification: { status: 'valid' } });
+    const catchAll = calculateQualityScore({ ...baseLead, emailVerification: { status: 'catch-all' } });
+    const unknown = calculateQualityScore({ ...baseLead, emailVerification: { status: 'unknown' } });
+    const invalid = calculateQualityScore({ ...baseLead, emailVerification: { status: 'invalid' } });
+
+    const results = [
+        check(`Verified mailbox scores higher (${valid} > ${unverified})`, valid > unverified),
+        check(`Catch-all scores lower (${catchAll} < ${unverified})`, catchAll < unverified),
+        check(`Unknown scores like unverified (${unknown} = ${unverified})`, unknown === unverified),
+        check(`Invalid mailbox gets no email points (${invalid})`, invalid < catchAll)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   EMAIL VERIFIER TEST SUITE            ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    const { server, stats } = await startSmtpStandIn();
+    const { port } = server.address();
+
+    const testResults = {
+        classification: false,
+        caching: false,
+        scoring: false
+    };
+
+    try {
+        testResults.classification = await testClassification(port);
+        testResults.caching = await testCaching(port, stats);
+        testResults.scoring = testQualityScore();
+    } finally {
+        server.close();
+    }
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`Classification: ${testResults.classification ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Caching:        ${testResults.caching ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Quality Score:  ${testResults.scoring ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = Object.values(testResults).every(Boolean);
+    console.log(`\nOverall Status: ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests().catch(error => {
+    console.error('\n❌ Fatal error running tests:', error);
+    process.exit(1);
+});
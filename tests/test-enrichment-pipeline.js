@@ -0,0 +1,365 @@
+/**
+ * Test Script for the Enrichment Pipeline
+ *
+ * Runs offline with stand-in stages and an in-memory checkpoint.
+ *
+ * Tests the following components:
+ * 1. Per-stage concurrency limits, streaming between stages and input order
+ * 2. Drops, failures and progress events (counts, ETA, stage completion)
+ * 3. Checkpoint resume: finished work is skipped, failed leads are retried, suppression is rechecked
+ * 4. Listener errors: throwing event listeners and failed persistState saves don't stall or crash a run
+ *
+ * Usage: node tests/test-enrichment-pipeline.js
+ */
+
+const Apify = require('apify');
+const {
+    EnrichmentPipeline,
+    EnrichmentCheckpoint,
+    dropLead,
+    buildLeadKey,
+    buildRunId
+} = require('../executions/utils/enrichment-pipeline');
+const { SuppressionList, SUPPRESSION_REASONS } = require('../executions/utils/suppression-list');
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function buildLeads(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        companyName: `Company ${i}`,
+        email: `owner${i}@company${i}.test`,
+        enrichmentDate: new Date().toISOString()
+    }));
+}
+
+/**
+ * Stand-in stages that record calls and peak concurrency
+ */
+function buildStages(stats, options = {}) {
+    const { failEnrichFor = [] } = options;
+    const track = async (name, ms) => {
+        stats.inFlight[name] = (stats.inFlight[name] || 0) + 1;
+        stats.peak[name] = Math.max(stats.peak[name] || 0, stats.inFlight[name]);
+        await wait(ms);
+        stats.inFlight[name]--;
+        stats.calls[name] = (stats.calls[name] || 0) + 1;
+    };
+
+    return [
+        {
+            name: 'enrich',
+            run: async lead => {
+                await track('enrich', 10);
+                if (failEnrichFor.includes(lead.companyName)) {
+                    throw new Error('DNS timeout');
+                }
+                return { ...lead, enriched: true };
+            }
+        },
+        {
+            name: 'validate',
+            checkpoint: false,
+            run: async lead => {
+                await track('validate', 1);
+                return lead.companyName.endsWith('3') ? dropLead('invalid', { errors: ['missing_name'] }) : lead;
+            }
+        },
+        {
+            name: 'verify',
+            run: async lead => {
+                await track('verify', 5);
+                if (stats.sawEnrichedBeforeBatchDone === undefined && (stats.calls.enrich || 0) < stats.total) {
+                    stats.sawEnrichedBeforeBatchDone = true;
+                }
+                return { ...lead, verified: true };
+            }
+        }
+    ];
+}
+
+/**
+ * Test concurrency, ordering and events
+ */
+async function testRun() {
+    console.log('\n========================================');
+    console.log('Testing Concurrent Run & Events');
+    console.log('========================================\n');
+
+    const leads = buildLeads(20);
+    const stats = { inFlight: {}, peak: {}, calls: {}, total: leads.length };
+    const pipeline = new EnrichmentPipeline({ concurrency: { enrich: 4, verify: 2 } });
+
+    const progress = [];
+    const stageComplete = [];
+    const failures = [];
+    let started = null;
+    pipeline.on('start', event => { started = event; });
+    pipeline.on('progress', event => progress.push(event));
+    pipeline.on('stage:complete', event => stageComplete.push(event.stage));
+    pipeline.on('lead:failed', event => failures.push(event));
+
+    const result = await pipeline.run(leads, buildStages(stats, { failEnrichFor: ['Company 5'] }));
+    const last = progress[progress.length - 1];
+    const withEta = progress.find(event => event.etaSeconds !== null && event.processed < event.total);
+
+    const results = [
+        check(`Enrich ran 4 at a time (peak ${stats.peak.enrich})`, stats.peak.enrich === 4),
+        check(`Verify ran 2 at a time (peak ${stats.peak.verify})`, stats.peak.verify === 2),
+        check('Unlisted stage defaults applied', pipeline.concurrency.validate === 50),
+        check('Leads stream to later stages before enrichment finishes', stats.sawEnrichedBeforeBatchDone === true),
+        check(`Completed leads keep input order (${result.leads.length})`, result.leads.length === 17 &&
+            result.leads.every((lead, i, all) => i === 0 || Number(lead.companyName.split(' ')[1]) > Number(all[i - 1].companyName.split(' ')[1]))),
+        check('Drops carry stage and reason', result.dropped.length === 2 &&
+            result.dropped.every(drop => drop.stage === 'validate' && drop.reason === 'invalid' && drop.details.errors[0] === 'missing_name')),
+        check('Failure reported with its stage', result.failed.length === 1 && result.failed[0].stage === 'enrich' &&
+            failures.length === 1 && failures[0].error.message === 'DNS timeout'),
+        check('Start event lists stages', started.total === 20 && started.stages.join(',') === 'enrich,validate,verify'),
+        check('Progress ends at 100%', last.percent === 100 && last.processed === 20 && last.failed === 1 && last.dropped === 2),
+        check('Progress carries an ETA mid-run', Boolean(withEta) && withEta.etaSeconds >= 0),
+        check('Progress carries per-stage counts', last.stages.enrich.processed === 20 && last.stages.enrich.failed === 1),
+        check('Every stage reports completion in order', stageComplete.join(',') === 'enrich,validate,verify'),
+        check('Summary matches', result.summary.completed === 17 && result.summary.dropped === 2 && result.summary.failed === 1)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test checkpoint resume
+ */
+async function testResume() {
+    console.log('\n========================================');
+    console.log('Testing Checkpoint Resume');
+    console.log('========================================\n');
+
+    const leads = buildLeads(12);
+    const saved = {};
+    const kvStore = {
+        setValue: async (key, value) => { saved[key] = value === null ? null : JSON.parse(JSON.stringify(value)); },
+        getValue: async key => saved[key] || null
+    };
+
+    // First run: two leads fail enrichment (e.g. the process died mid-crawl)
+    const runId = buildRunId({ linkedinDatasetId: 'abc', enrichmentLevel: 'advanced' });
+    const firstCheckpoint = new EnrichmentCheckpoint(runId, kvStore, {}, { persistEvery: 5 });
+    const firstStats = { inFlight: {}, peak: {}, calls: {}, total: leads.length };
+    await new EnrichmentPipeline().run(leads, buildStages(firstStats, { failEnrichFor: ['Company 1', 'Company 7'] }), {
+        checkpoint: firstCheckpoint
+    });
+    const savedAfterFirstRun = Object.keys(saved[`RUN-${runId}`].leads).length;
+
+    // Rerun: the same leads come back with a fresh enrichmentDate
+    const rerunLeads = leads.map(lead => ({ ...lead, enrichmentDate: new Date(Date.now() + 60000).toISOString() }));
+    const secondCheckpoint = new EnrichmentCheckpoint(runId, kvStore, saved[`RUN-${runId}`]);
+    const secondStats = { inFlight: {}, peak: {}, calls: {}, total: leads.length };
+    let startEvent = null;
+    const pipeline = new EnrichmentPipeline();
+    pipeline.on('start', event => { startEvent = event; });
+    const second = await pipeline.run(rerunLeads, buildStages(secondStats), { checkpoint: secondCheckpoint });
+
+    const results = [
+        check('Lead key ignores enrichmentDate', buildLeadKey(leads[0]) === buildLeadKey(rerunLeads[0])),
+        check('Run ID is stable for the same inputs', runId === buildRunId({ linkedinDatasetId: 'abc', enrichmentLevel: 'advanced' })),
+        check(`Checkpoint persisted all but the failed leads (${savedAfterFirstRun})`, savedAfterFirstRun === 10),
+        check(`Only failed leads re-enriched (${secondStats.calls.enrich})`, secondStats.calls.enrich === 2),
+        check('Finished leads not re-verified', secondStats.calls.verify === 2),
+        check('Resumed count reported', startEvent.resumed === 10 && second.summary.resumed === 10),
+        check(`Rerun returns the full result (${second.leads.length} leads)`, second.leads.length === 11 &&
+            second.leads.every(lead => lead.enriched && lead.verified)),
+        check('Non-checkpointed stage rerun for every lead', second.dropped.length === 1 && !second.dropped[0].resumed &&
+            secondStats.calls.validate === 12)
+    ];
+
+    await secondCheckpoint.clear();
+    results.push(check('Clear deletes the checkpoint', saved[`RUN-${runId}`] === null && secondCheckpoint.size() === 0));
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test resuming leads checkpointed after the final stage
+ */
+async function testResumeSuppression() {
+    console.log('\n========================================');
+    console.log('Testing Resume After the Final Stage');
+    console.log('========================================\n');
+
+    const leads = buildLeads(4);
+    const saved = {};
+    const kvStore = {
+        setValue: async (key, value) => { saved[key] = value === null ? null : JSON.parse(JSON.stringify(value)); },
+        getValue: async key => saved[key] || null
+    };
+    const suppressionList = new SuppressionList();
+    const calls = { enrich: 0, suppress: 0, verify: 0 };
+
+    // The stage order lead-enrichment uses when mailbox verification is on
+    const stages = [
+        { name: 'enrich', run: async lead => { calls.enrich++; return { ...lead, enriched: true }; } },
+        {
+            name: 'suppress',
+            checkpoint: false,
+            run: async lead => {
+                calls.suppress++;
+                const { blocked } = suppressionList.filterLeads([lead], { channel: 'enrichment' });
+                return blocked.length > 0 ? dropLead('suppressed', blocked[0].match) : lead;
+            }
+        },
+        { name: 'verify', run: async lead => { calls.verify++; return { ...lead, verified: true }; } }
+    ];
+
+    const runId = buildRunId({ leadFiles: ['expo.csv'], verifyMailboxes: true });
+    const first = await new EnrichmentPipeline().run(leads, stages, { checkpoint: new EnrichmentCheckpoint(runId, kvStore) });
+
+    // Between runs the second lead unsubscribes
+    suppressionList.add({ email: leads[1].email, reason: SUPPRESSION_REASONS.UNSUBSCRIBED, source: 'instantly-webhook' });
+    Object.keys(calls).forEach(name => { calls[name] = 0; });
+
+    const checkpoint = new EnrichmentCheckpoint(runId, kvStore, saved[`RUN-${runId}`]);
+    const second = await new EnrichmentPipeline().run(leads, stages, { checkpoint });
+
+    const results = [
+        check('First run checkpointed every lead after the final stage', first.leads.length === 4 &&
+            Object.values(saved[`RUN-${runId}`].leads).every(entry => entry.stage === 'verify')),
+        check('Finished leads not re-enriched or re-verified', calls.enrich === 0 && calls.verify === 0),
+        check('Suppression rechecked for every finished lead', calls.suppress === 4),
+        check('Newly suppressed lead dropped', second.dropped.length === 1 && second.dropped[0].reason === 'suppressed' &&
+            second.dropped[0].lead.email === leads[1].email && second.dropped[0].details.reason === 'unsubscribed'),
+        check('Other leads returned from the checkpoint', second.leads.length === 3 &&
+            second.leads.every(lead => lead.verified && lead.email !== leads[1].email) && second.summary.resumed === 4),
+        check('Suppression drop not checkpointed', checkpoint.get(buildLeadKey(leads[1])).stage === 'verify')
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test throwing listeners and the checkpoint's persistState listener
+ */
+async function testListeners() {
+    console.log('\n========================================');
+    console.log('Testing Listener Errors');
+    console.log('========================================\n');
+
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+
+    // Progress and stage:complete listeners that throw
+    const leads = buildLeads(6);
+    const stats = { inFlight: {}, peak: {}, calls: {}, total: leads.length };
+    const pipeline = new EnrichmentPipeline({ concurrency: { enrich: 2 } });
+    let progressEvents = 0;
+    pipeline.on('progress', () => {
+        progressEvents++;
+        if (progressEvents <= 2) throw new Error('dashboard offline');
+    });
+    pipeline.on('stage:complete', event => {
+        if (event.stage === 'enrich') throw new Error('slack webhook failed');
+    });
+    const timeout = new Promise(resolve => setTimeout(() => resolve('timeout'), 5000));
+    const result = await Promise.race([pipeline.run(leads, buildStages(stats)), timeout]);
+    const listenerErrors = result === 'timeout' ? [] : result.failed.filter(entry => entry.listener);
+
+    // Checkpoint opened through Apify: one persistState listener until close(), save errors logged
+    const failingStore = {
+        getValue: async () => null,
+        setValue: async () => { throw new Error('store unavailable'); }
+    };
+    Object.defineProperty(Apify, 'openKeyValueStore', { value: async () => failingStore, configurable: true });
+    const listenersBefore = Apify.events.listenerCount('persistState');
+    const checkpoint = await EnrichmentCheckpoint.open('run-listeners');
+    const listenersOpen = Apify.events.listenerCount('persistState');
+    checkpoint.record('lead-1', { stage: 'enrich', status: 'passed', lead: {} });
+    Apify.events.emit('persistState', { isMigrating: false });
+    await new Promise(resolve => setImmediate(resolve));
+    checkpoint.close();
+    const listenersClosed = Apify.events.listenerCount('persistState');
+    process.off('unhandledRejection', onUnhandled);
+
+    const results = [
+        check('Run finishes despite throwing listeners', result !== 'timeout' && result.leads.length === 5 &&
+            result.summary.completed === 5 && result.summary.failed === 0),
+        check('Listener errors reported in failed', listenerErrors.length === 3 &&
+            listenerErrors.filter(entry => entry.error === 'dashboard offline').length === 2 &&
+            listenerErrors.some(entry => entry.error === 'slack webhook failed')),
+        check('Checkpoint listener removed on close', listenersOpen === listenersBefore + 1 && listenersClosed === listenersBefore),
+        check('Failed persistState save handled', unhandled.length === 0)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test input validation
+ */
+async function testValidation() {
+    console.log('\n========================================');
+    console.log('Testing Stage Validation');
+    console.log('========================================\n');
+
+    const pipeline = new EnrichmentPipeline();
+    const errors = [];
+    for (const stages of [[], [{ name: 'enrich' }]]) {
+        try {
+            await pipeline.run(buildLeads(1), stages);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+
+    const empty = await pipeline.run([], [{ name: 'enrich', run: async lead => lead }]);
+
+    const results = [
+        check('Empty stage list rejected', /At least one pipeline stage/.test(errors[0] || '')),
+        check('Stage without run rejected', /needs a name and a run function/.test(errors[1] || '')),
+        check('Empty input completes', empty.leads.length === 0 && empty.summary.total === 0)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   ENRICHMENT PIPELINE TEST SUITE       ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    const testResults = {
+        run: await testRun(),
+        resume: await testResume(),
+        resumeSuppression: await testResumeSuppression(),
+        listeners: await testListeners(),
+        validation: await testValidation()
+    };
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`Concurrent Run:     ${testResults.run ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Resume:             ${testResults.resume ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Final-Stage Resume: ${testResults.resumeSuppression ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Listener Errors:    ${testResults.listeners ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Validation:         ${testResults.validation ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = Object.values(testResults).every(Boolean);
+    console.log(`\nOverall Status: ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests().catch(error => {
+    console.error('\n❌ Fatal error running tests:', error);
+    process.exit(1);
+});
@@ -0,0 +1,287 @@
+/**
+ * Test Script for Entity Resolution
+ *
+ * Tests the following components:
+ * 1. Scoring: weighted evidence, conflicts, normalization of names, domains and addresses
+ * 2. Thresholds: merge, review and no-match decisions, custom thresholds, blocked pairs
+ * 3. Non-matches: shared email/site domains and generic business names carry no evidence,
+ *    phones with the same digits in different countries
+ * 4. Merge audit: entries written by mergeLeads, and unmergeLead
+ *
+ * Usage: node tests/test-entity-resolution.js
+ */
+
+const {
+    scoreMatch,
+    findBestMatch,
+    indexCandidates,
+    buildMergeId,
+    normalizeCompanyName,
+    normalizeDomain,
+    normalizePhone,
+    extractCity
+} = require('../executions/utils/entity-resolution');
+const { mergeLeads, unmergeLead } = require('../executions/utils/lead-enrichment');
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+function errorMessage(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error.message;
+    }
+    return '';
+}
+
+const LINKEDIN_LEAD = {
+    companyName: 'Lone Star Insurance',
+    fullName: 'Maria Gonzalez',
+    website: 'lonestar.com',
+    phone: '512-555-0100',
+    location: 'Greater Austin Area',
+    linkedinProfile: 'https://www.linkedin.com/in/maria-gonzalez'
+};
+
+const MAPS_MATCH = {
+    name: 'Lone Star Insurance Agency, LLC',
+    website: 'https://www.lonestar.com/contact',
+    phone: '(512) 555-0100',
+    address: '1200 Congress Avenue, Austin, TX 78701',
+    rating: 4.8,
+    reviewCount: 120,
+    googleMapsUrl: 'https://www.google.com/maps/place/lone-star'
+};
+
+/**
+ * Test scoring and normalization
+ */
+function testScoring() {
+    console.log('\n========================================');
+    console.log('Testing Match Scoring');
+    console.log('========================================\n');
+
+    const strong = scoreMatch(LINKEDIN_LEAD, MAPS_MATCH);
+    const address = scoreMatch(
+        { companyName: 'Acme', address: '1200 Congress Ave Suite 400, Austin, TX' },
+        { name: 'Acme Co', address: '1200 Congress Avenue, Austin, TX' }
+    );
+    const otherCity = scoreMatch({ companyName: 'Lone Star Insurance', location: 'Dallas, TX' }, { name: 'Lone Star Insurance', address: '1 Main St, Austin, TX 78701' });
+    const otherDomain = scoreMatch({ companyName: 'Lone Star Insurance', website: 'lonestar.com' }, { name: 'Lone Star Insurance', website: 'lonestarins.com' });
+    const weighted = scoreMatch({ companyName: 'Lone Star Insurance' }, { name: 'Lonestar Insurance Agency' }, { weights: { name: 0.6 } });
+
+    const results = [
+        check('Names normalized without legal suffixes', normalizeCompanyName('A.B.C. Insurance Agency, LLC') === 'abc insurance agency' &&
+            normalizeCompanyName('Smith & Sons Co., Inc.') === 'smith and sons'),
+        check('Domains normalized from URLs and emails', normalizeDomain('https://www.LoneStar.com/contact') === 'lonestar.com' &&
+            normalizeDomain('lonestar.com') === 'lonestar.com'),
+        check('Cities from addresses and LinkedIn areas', extractCity('1200 Congress Ave, Austin, TX 78701') === 'austin' &&
+            extractCity('Greater Austin Area') === 'austin'),
+        check('Domain, phone, name and city agree', strong.score === 1 && strong.matchedOn.join(',') === 'domain,phone,name,city' &&
+            strong.conflicts.length === 0),
+        check('Signals carry values and contributions', strong.signals.domain.contribution === 0.45 &&
+            strong.signals.domain.values.join('|') === 'lonestar.com|lonestar.com' && strong.signals.address.contribution === 0),
+        check('Street abbreviations and suites ignored', address.score === 0.75 && address.matchedOn.join(',') === 'name,address,city'),
+        check('Different city is a conflict', otherCity.score === 0.05 && otherCity.conflicts.join(',') === 'city' &&
+            otherCity.signals.city.contribution === -0.3),
+        check('Different own domain is a conflict', otherDomain.score === 0.1 && otherDomain.conflicts.join(',') === 'domain'),
+        check('Weights can be overridden', weighted.score === 0.6)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test match thresholds
+ */
+function testThresholds() {
+    console.log('\n========================================');
+    console.log('Testing Match Thresholds');
+    console.log('========================================\n');
+
+    // Name and city only: exactly the default merge threshold
+    const atThreshold = findBestMatch({ companyName: 'ABC Insurance Agency LLC', location: 'Austin, TX' },
+        [{ name: 'A.B.C. Insurance', address: '1200 Congress Ave, Austin, TX 78701' }]);
+    // Name only: a possible match for review
+    const nameOnly = { companyName: 'Lone Star Insurance' };
+    const similar = [{ name: 'Rio Grande Insurance' }, { name: 'Lonestar Insurance Agency' }];
+    const review = findBestMatch(nameOnly, similar);
+    const strictReview = findBestMatch(nameOnly, similar, { reviewThreshold: 0.4, matchThreshold: 0.6 });
+    const looseMerge = findBestMatch(nameOnly, similar, { matchThreshold: 0.35 });
+
+    // Best candidate wins; a pair rejected in review is never merged again
+    const candidates = [{ name: 'Lone Star Insurance Agency', address: '1 Main St, Austin, TX 78701' }, MAPS_MATCH];
+    const best = findBestMatch(LINKEDIN_LEAD, candidates);
+    const blockedId = buildMergeId(LINKEDIN_LEAD, MAPS_MATCH);
+    const fallback = findBestMatch(LINKEDIN_LEAD, candidates, { blockedMergeIds: [blockedId] });
+    const onlyBlocked = findBestMatch(LINKEDIN_LEAD, [MAPS_MATCH], { blockedMergeIds: new Set([blockedId]) });
+
+    // Indexed candidates: fields extracted once, other cities never scored
+    let nameReads = 0;
+    const counted = { address: '900 Lamar Blvd, Dallas, TX 75201', get name() { nameReads++; return 'Lone Star Insurance'; } };
+    const indexed = indexCandidates([counted, ...candidates, { name: 'Lone Star Insurance Agency' }]);
+    const indexedBest = findBestMatch(LINKEDIN_LEAD, indexed);
+    const noCity = findBestMatch({ companyName: 'Lone Star Insurance', location: 'Houston, TX' }, indexed);
+
+    const results = [
+        check('Score at the match threshold merges', atThreshold.decision === 'merged' && atThreshold.score === 0.5),
+        check('Score between the thresholds goes to review', review.decision === 'review' && review.score === 0.35 && review.index === 1),
+        check('Score below the review threshold is no match', strictReview === null),
+        check('Custom match threshold', looseMerge.decision === 'merged'),
+        check('Review threshold above match threshold rejected', /reviewThreshold \(0\.6\) must not exceed matchThreshold \(0\.5\)/.test(
+            errorMessage(() => findBestMatch(nameOnly, similar, { reviewThreshold: 0.6 })))),
+        check('Highest-scoring candidate chosen', best.index === 1 && best.score === 1 && best.mergeId === blockedId),
+        check('Merge IDs are stable per pair', buildMergeId(LINKEDIN_LEAD, MAPS_MATCH) === blockedId && blockedId.length === 16 &&
+            buildMergeId(MAPS_MATCH, LINKEDIN_LEAD) !== blockedId),
+        check('Blocked pair skipped for the next candidate', fallback.index === 0 && fallback.decision === 'merged'),
+        check('Blocked pair alone reported as blocked', onlyBlocked.decision === 'blocked' && onlyBlocked.score === 1),
+        check('Indexed candidates give the same best match', indexedBest.index === 2 && indexedBest.score === best.score &&
+            indexedBest.mergeId === best.mergeId),
+        check('Candidates without a city still considered', noCity.index === 3 && noCity.decision === 'review'),
+        check('Indexed candidate fields extracted once', nameReads === 1)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test non-matches on shared domains and generic names
+ */
+function testNonMatches() {
+    console.log('\n========================================');
+    console.log('Testing Non-Matches');
+    console.log('========================================\n');
+
+    // Two agencies in one city whose only "shared" evidence is a webmail or site-builder domain
+    const webmail = scoreMatch(
+        { companyName: 'Lone Star Insurance Agency', email: 'maria@gmail.com', location: 'Austin, TX' },
+        { name: 'Hill Country Insurance Agency', email: 'office@gmail.com', address: '400 Main St, Austin, TX 78701' }
+    );
+    const siteBuilder = scoreMatch(
+        { companyName: 'Pinnacle Realty', website: 'https://sites.google.com/view/pinnacle' },
+        { name: 'Summit Realty', website: 'https://sites.google.com/view/summit' }
+    );
+    const social = findBestMatch(
+        { companyName: 'Apex Staffing', website: 'https://www.facebook.com/apexstaffing', location: 'Dallas, TX' },
+        [{ name: 'Summit Staffing', website: 'https://facebook.com/summitstaffing', address: '9 Elm St, Dallas, TX 75201' }]
+    );
+    const generic = scoreMatch(
+        { companyName: 'Insurance Agency', location: 'Austin, TX' },
+        { name: 'The Insurance Agency Group', address: '1 Main St, Austin, TX 78701' }
+    );
+
+    // Same last ten digits, different countries
+    const otherCountry = scoreMatch(
+        { companyName: 'Thames Brokers', phone: '+44 20 7946 0958' },
+        { name: 'Kennebec Insurance', phone: '+1 207 946 0958' }
+    );
+    const nationalFormat = scoreMatch(
+        { companyName: 'Thames Brokers', phone: '020 7946 0958', country: 'GB' },
+        { name: 'Thames Brokers Ltd', phone: '+44 20 7946 0958' }
+    );
+
+    const results = [
+        check('Webmail domains are not evidence', webmail.signals.domain.comparable === false && !webmail.matchedOn.includes('domain') &&
+            webmail.score === 0.15),
+        check('Site-builder and social domains are not evidence', normalizeDomain('sites.google.com') === null &&
+            siteBuilder.signals.domain.comparable === false && siteBuilder.score === 0),
+        check('Same city and a social page do not match', social === null),
+        check('Generic business names are not evidence', generic.signals.name.comparable === false && generic.score === 0.15),
+        check('Phones compared in E.164', normalizePhone('(512) 555-0100') === '+15125550100' && normalizePhone('555-0100') === null &&
+            normalizePhone('020 7946 0958', 'GB') === '+442079460958' && normalizePhone('123-456-7890') === null),
+        check('Same digits in another country are a conflict', otherCountry.conflicts.join(',') === 'phone' && otherCountry.score === 0 &&
+            otherCountry.signals.phone.values.join(',') === '+442079460958,+12079460958'),
+        check('National numbers read in the lead country', nationalFormat.matchedOn.join(',') === 'phone,name')
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test the merge audit written by mergeLeads
+ */
+async function testMergeAudit() {
+    console.log('\n========================================');
+    console.log('Testing Merge Audit');
+    console.log('========================================\n');
+
+    const fileLead = {
+        companyName: 'Hill Country Insurance',
+        email: 'sam@hillcountry.test',
+        location: 'Austin, TX',
+        leadSource: 'iba-expo.csv',
+        importFile: 'iba-expo.csv',
+        importRow: 3
+    };
+    const mapsLeads = [MAPS_MATCH, { name: 'Hill Country Insurance Group', rating: 4.1 }];
+
+    const mergeAudit = [];
+    const leads = await mergeLeads([LINKEDIN_LEAD], mapsLeads, [fileLead], { mergeAudit });
+    const [mergedLead, fileResult, unmatchedMaps] = leads;
+    const [mergedEntry, reviewEntry] = mergeAudit;
+    const [primary, secondary] = unmergeLead(mergedLead, mergeAudit);
+
+    const blockedAudit = [];
+    const blockedLeads = await mergeLeads([LINKEDIN_LEAD], mapsLeads, [], { mergeAudit: blockedAudit, blockedMergeIds: [mergedEntry.mergeId] });
+
+    const results = [
+        check('Merged lead carries its merge ID and score', leads.length === 3 && mergedLead.mergeId === mergedEntry.mergeId &&
+            mergedLead.mergeScore === 1 && mergedLead.leadSource === 'LinkedIn + Google Maps' && mergedLead.googleRating === 4.8),
+        check('Audit records decision, score and the fields that drove it', mergeAudit.length === 2 &&
+            mergedEntry.decision === 'merged' && mergedEntry.score === 1 && mergedEntry.matchedOn.join(',') === 'domain,phone,name,city' &&
+            mergedEntry.conflicts.length === 0 && mergedEntry.signals.phone.values[0] === '+15125550100' && !isNaN(Date.parse(mergedEntry.decidedAt))),
+        check('Audit keeps both source records', mergedEntry.primary.source === 'LinkedIn' &&
+            mergedEntry.primary.companyName === 'Lone Star Insurance' && mergedEntry.primary.record === LINKEDIN_LEAD &&
+            mergedEntry.secondary.source === 'Google Maps' && mergedEntry.secondary.record === MAPS_MATCH),
+        check('Possible match below the threshold audited, not merged', reviewEntry.decision === 'review' &&
+            reviewEntry.score === 0.35 && reviewEntry.primary.source === 'iba-expo.csv' && reviewEntry.matchedOn.join(',') === 'name' &&
+            !fileResult.mergeId && fileResult.leadSource === 'iba-expo.csv' && unmatchedMaps.leadSource === 'Google Maps'),
+        check('Unmerge returns both source records', primary.linkedinProfile === LINKEDIN_LEAD.linkedinProfile &&
+            !primary.mergeId && primary.leadSource === 'LinkedIn' && secondary.companyName === MAPS_MATCH.name && secondary.leadSource === 'Google Maps'),
+        check('Unmerge needs a merged lead with an audit entry', /no mergeId/.test(errorMessage(() => unmergeLead(fileResult, mergeAudit))) &&
+            /No merge audit entry found/.test(errorMessage(() => unmergeLead(mergedLead, [reviewEntry])))),
+        check('Blocked merge IDs audited and left unmerged', blockedAudit[0].decision === 'blocked' &&
+            blockedLeads.length === 3 && !blockedLeads[0].mergeId)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   ENTITY RESOLUTION TEST SUITE         ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    const testResults = {
+        scoring: testScoring(),
+        thresholds: testThresholds(),
+        nonMatches: testNonMatches(),
+        mergeAudit: await testMergeAudit()
+    };
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`Scoring:      ${testResults.scoring ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Thresholds:   ${testResults.thresholds ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Non-Matches:  ${testResults.nonMatches ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Merge Audit:  ${testResults.mergeAudit ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = Object.values(testResults).every(Boolean);
+    console.log(`\nOverall Status: ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests().catch(error => {
+    console.error('\n❌ Fatal error running tests:', error);
+    process.exit(1);
+});
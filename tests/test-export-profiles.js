@@ -0,0 +1,224 @@
+/**
+ * Test Script for Export Profiles
+ *
+ * Tests the following components:
+ * 1. Built-in profiles (Instantly/SmartLead unchanged, HubSpot, GoHighLevel, Lemlist)
+ * 2. Custom profiles: JSON files, extends, transforms, required columns
+ * 3. Serialization (CSV escaping, NDJSON) and validation errors
+ *
+ * Usage: node tests/test-export-profiles.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    exportLeads,
+    formatLeads,
+    serializeRows,
+    registerExportProfile,
+    registerExportTransform,
+    resolveExportProfile,
+    listExportProfiles
+} = require('../executions/utils/export-profiles');
+const { formatForInstantly, formatForSmartlead } = require('../executions/utils/lead-enrichment');
+
+const LEAD = {
+    email: 'Jane.Doe@LoneStarIns.test',
+    firstName: 'Jane',
+    lastName: 'Doe',
+    jobTitle: 'Agency Owner',
+    companyName: 'Lone Star Insurance, LLC',
+    website: 'https://www.lonestarins.test/about',
+    phone: '(512) 555-0100',
+    location: 'Austin, TX',
+    vertical: 'commercial-insurance',
+    leadSource: 'LinkedIn + Google Maps',
+    qualityScore: 78,
+    qualityBreakdown: [{ id: 'has_email', label: 'Has email', points: 20 }],
+    linkedinProfile: 'https://linkedin.com/in/janedoe',
+    emailVerification: { status: 'valid' },
+    provenance: {
+        phone: { source: 'google-maps', retrievedAt: '2026-03-02T09:00:00.000Z', transforms: [], confidence: 0.9 }
+    }
+};
+
+const NO_EMAIL_LEAD = { companyName: 'Hill Country Realty', phone: '512-555-0142', vertical: 'commercial-real-estate' };
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+/**
+ * Test built-in profiles
+ */
+function testBuiltIns() {
+    console.log('\n========================================');
+    console.log('Testing Built-in Profiles');
+    console.log('========================================\n');
+
+    const [instantly] = formatForInstantly([LEAD]);
+    const [smartlead] = formatForSmartlead([LEAD]);
+    const [hubspot] = formatLeads([LEAD], 'hubspot');
+    const [ghl] = formatLeads([LEAD], 'gohighlevel');
+    const lemlist = exportLeads([LEAD, NO_EMAIL_LEAD], 'lemlist');
+
+    const results = [
+        check('All built-ins registered', ['instantly', 'smartlead', 'hubspot', 'gohighlevel', 'lemlist', 'csv']
+            .every(name => listExportProfiles().includes(name))),
+        check('Instantly columns unchanged', Object.keys(instantly).join(',') ===
+            'email,firstName,lastName,companyName,customField1,customField2,customField3,customField4,customField5,customField6,customField7,tags'),
+        check('Instantly values unchanged', instantly.customField1 === 'Agency Owner' && instantly.customField3 === 'Austin, TX' &&
+            instantly.tags === 'commercial-insurance,LinkedIn + Google Maps,score:78' && instantly.customField7.startsWith('phone: google-maps')),
+        check('SmartLead values unchanged', smartlead.Company === LEAD.companyName && smartlead['Quality Score'] === 78 &&
+            smartlead['Google Rating'] === '' && smartlead['Lead Source'] === LEAD.leadSource),
+        check('HubSpot uses import headers and E.164 phone', hubspot['Phone Number'] === '+15125550100' &&
+            hubspot['State/Region'] === 'TX' && hubspot.City === 'Austin' && hubspot['Lifecycle Stage'] === 'lead'),
+        check('HubSpot gets score reasons', hubspot['Quality Score Reasons'] === '+20 Has email'),
+        check('GoHighLevel tags and custom fields', ghl.Tags === 'commercial-insurance,cold-outreach,LinkedIn + Google Maps' &&
+            ghl.quality_score === 78 && ghl.Email === 'jane.doe@lonestarins.test'),
+        check('Lemlist derives company domain', lemlist.rows[0].companyDomain === 'lonestarins.test'),
+        check('Lemlist skips leads without email', lemlist.rows.length === 1 &&
+            lemlist.skipped.length === 1 && lemlist.skipped[0].missing[0] === 'email')
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test custom profiles
+ */
+function testCustomProfiles() {
+    console.log('\n========================================');
+    console.log('Testing Custom Profiles');
+    console.log('========================================\n');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-profiles-'));
+    const profilePath = path.join(dir, 'acme-crm.json');
+    fs.writeFileSync(profilePath, JSON.stringify({
+        name: 'acme-crm',
+        format: 'ndjson',
+        fields: [
+            { column: 'contact_email', from: 'email', transform: ['trim', 'lowercase'], required: true },
+            { column: 'full_name', template: '{firstName} {lastName}' },
+            { column: 'phone', from: ['mobilePhone', 'phone'], transform: 'phone_e164' },
+            { column: 'segment', value: 'outbound-2026' },
+            { column: 'verified', from: 'emailVerification.status', default: 'unknown' }
+        ]
+    }));
+
+    const fromFile = exportLeads([LEAD, { ...NO_EMAIL_LEAD, email: 'info@hcrealty.test' }], profilePath);
+    const lines = fromFile.content.split('\n').map(line => JSON.parse(line));
+
+    registerExportTransform('initial', value => value ? `${String(value)[0]}.` : value);
+    registerExportProfile({
+        name: 'hubspot-acme',
+        extends: 'hubspot',
+        fields: [
+            { column: 'Lead Status', value: 'OPEN' },
+            { column: 'Data Provenance', enabled: false },
+            { column: 'Last Initial', from: 'lastName', transform: 'initial' }
+        ]
+    });
+    const extended = resolveExportProfile('hubspot-acme');
+    const [extendedRow] = formatLeads([LEAD], 'hubspot-acme');
+    const columns = extended.fields.map(field => field.column);
+    const baseColumns = resolveExportProfile('hubspot').fields.map(field => field.column);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    const results = [
+        check('Profile loaded from JSON', fromFile.profile === 'acme-crm' && fromFile.extension === 'ndjson'),
+        check('Transforms chain in order', lines[0].contact_email === 'jane.doe@lonestarins.test'),
+        check('Template fills placeholders', lines[0].full_name === 'Jane Doe'),
+        check('Template with a missing field is empty', lines[1].full_name === null),
+        check('Fallback fields tried in order', lines[1].phone === '+15125550142'),
+        check('Nested path and default', lines[0].verified === 'valid' && lines[1].verified === 'unknown'),
+        check('Constant value', lines.every(line => line.segment === 'outbound-2026')),
+        check('Override keeps the column position', columns.indexOf('Lead Status') === baseColumns.indexOf('Lead Status') &&
+            extendedRow['Lead Status'] === 'OPEN'),
+        check('Disabled column removed', !columns.includes('Data Provenance')),
+        check('Added column appended with custom transform', columns[columns.length - 1] === 'Last Initial' &&
+            extendedRow['Last Initial'] === 'D.'),
+        check('Base profile unaffected', formatLeads([LEAD], 'hubspot')[0]['Lead Status'] === 'NEW')
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test serialization and validation
+ */
+function testSerializationAndValidation() {
+    console.log('\n========================================');
+    console.log('Testing Serialization & Validation');
+    console.log('========================================\n');
+
+    const csv = serializeRows([
+        { name: 'Acme, "The" Agency', notes: 'line one\nline two', score: 0, missing: null }
+    ], 'csv');
+    const tsv = serializeRows([{ a: 'x,y', b: 'z' }], 'csv', { delimiter: '\t' });
+
+    const errors = {};
+    const attempt = (label, fn) => {
+        try {
+            fn();
+        } catch (error) {
+            errors[label] = error.message;
+        }
+    };
+    attempt('invalid', () => registerExportProfile({ name: 'bad', format: 'xml', fields: [{ column: 'a' }] }));
+    attempt('duplicate', () => registerExportProfile({ name: 'hubspot', format: 'csv', fields: [{ column: 'a', from: 'email' }] }));
+    attempt('transform', () => registerExportProfile({ name: 'typo', format: 'csv', fields: [{ column: 'a', from: 'email', transform: 'e164' }] }));
+    attempt('unknown', () => resolveExportProfile('pipedrive'));
+    attempt('circular', () => {
+        registerExportProfile({ name: 'loop-a', extends: 'hubspot', fields: [] });
+        registerExportProfile({ name: 'loop-a', extends: 'loop-a', fields: [] }, { replace: true });
+    });
+
+    const results = [
+        check('CSV quotes commas, quotes and newlines', csv.split('\n')[1] === '"Acme, ""The"" Agency","line one' &&
+            csv.endsWith('line two",0,')),
+        check('Custom delimiter only quotes when needed', tsv === 'a\tb\nx,y\tz'),
+        check('Invalid profile lists its errors', /needs exactly one of/.test(errors.invalid || '') &&
+            /format must be one of/.test(errors.invalid || '')),
+        check('Duplicate name rejected', /already registered/.test(errors.duplicate || '')),
+        check('Unknown transform rejected', /unknown transform 'e164'/.test(errors.transform || '')),
+        check('Unknown profile lists registered ones', /Registered profiles: instantly/.test(errors.unknown || '')),
+        check('Circular extends rejected', /circular extends/.test(errors.circular || ''))
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   EXPORT PROFILES TEST SUITE           ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    const testResults = {
+        builtIns: testBuiltIns(),
+        custom: testCustomProfiles(),
+        serialization: testSerializationAndValidation()
+    };
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`Built-in Profiles:   ${testResults.builtIns ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Custom Profiles:     ${testResults.custom ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Serialization:       ${testResults.serialization ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = Object.values(testResults).every(Boolean);
+    console.log(`\nOverall Status: ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests();
@@ -0,0 +1,210 @@
+/**
+ * Test Script for Geo-Grid Tiling
+ *
+ * Tests the following components:
+ * 1. Grid building: tile count, spacing and overlap, bounds and coverage of the search circle
+ * 2. Tile searches: zoom per tile size, search URLs, option validation and the tile cap
+ * 3. Yield tracking: place keys and per-tile saturation
+ *
+ * Usage: node tests/test-geo-grid.js
+ */
+
+const {
+    buildGeoGrid,
+    buildTileSearchUrl,
+    zoomForTileSize,
+    parseCoordinatesFromUrl,
+    extractPlaceKey,
+    createTileReport,
+    recordTileSearch,
+    recordTileListing,
+    recordTileScrape,
+    summarizeTileReport
+} = require('../executions/scrapers/geo-grid');
+
+// Downtown Dallas
+const CENTER = { latitude: 32.7767, longitude: -96.797 };
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+function errorMessage(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error.message;
+    }
+    return '';
+}
+
+/**
+ * North/east offset of a tile from the center, in miles
+ */
+function offsetMiles(tile) {
+    return {
+        north: (tile.latitude - CENTER.latitude) * 69.0,
+        east: (tile.longitude - CENTER.longitude) * 69.172 * Math.cos((CENTER.latitude * Math.PI) / 180)
+    };
+}
+
+function near(a, b, tolerance = 0.01) {
+    return Math.abs(a - b) <= tolerance;
+}
+
+/**
+ * True if every point on a circle of this radius falls inside some tile
+ */
+function coversCircle(tiles, radiusMiles, tileSizeMiles) {
+    const half = tileSizeMiles / 2 + 0.001;
+    const offsets = tiles.map(offsetMiles);
+
+    for (let degrees = 0; degrees < 360; degrees += 5) {
+        const angle = (degrees * Math.PI) / 180;
+        const north = radiusMiles * Math.cos(angle);
+        const east = radiusMiles * Math.sin(angle);
+        if (!offsets.some(offset => Math.abs(offset.north - north) <= half && Math.abs(offset.east - east) <= half)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Test grid building
+ */
+function testGrid() {
+    console.log('\n========================================');
+    console.log('Testing Grid Building');
+    console.log('========================================\n');
+
+    // 10-mile radius, 5-mile tiles: a 5x5 grid without the four corners
+    const grid = buildGeoGrid({ ...CENTER, radiusMiles: 10, tileSizeMiles: 5 });
+    const dense = buildGeoGrid({ ...CENTER, radiusMiles: 10, tileSizeMiles: 5, density: 2 });
+    const byId = Object.fromEntries(grid.map(tile => [tile.id, tile]));
+    const denseById = Object.fromEntries(dense.map(tile => [tile.id, tile]));
+
+    const center = offsetMiles(byId.r0c0);
+    const north = offsetMiles(byId.r1c0);
+    const east = offsetMiles(byId.r0c1);
+    const denseNorth = offsetMiles(denseById.r1c0);
+    const denseEast = offsetMiles(denseById.r0c1);
+
+    const latitudes = grid.map(tile => tile.latitude);
+    const longitudes = grid.map(tile => tile.longitude);
+
+    const results = [
+        check('Tile count for the sample area', grid.length === 21 && dense.length === 69),
+        check('Tile IDs are unique', new Set(grid.map(tile => tile.id)).size === grid.length),
+        check('Corner tiles outside the circle dropped', !byId['r2c2'] && !byId['r-2c-2'] && byId['r2c1'] && byId['r2c1'].distanceMiles === 11.2),
+        check('Center tile sits on the search center', near(center.north, 0) && near(center.east, 0) && byId.r0c0.distanceMiles === 0),
+        check('Density 1: tiles one tile-width apart, edges touch', near(north.north, 5) && near(east.east, 5) && near(north.east, 0)),
+        check('Density 2: tiles half a tile apart, overlap by half', near(denseNorth.north, 2.5) && near(denseEast.east, 2.5)),
+        check('Bounding box spans the radius', near((Math.max(...latitudes) - CENTER.latitude) * 69.0, 10) &&
+            near((CENTER.latitude - Math.min(...latitudes)) * 69.0, 10) &&
+            near(offsetMiles({ latitude: CENTER.latitude, longitude: Math.max(...longitudes) }).east, 10)),
+        check('No tile center beyond radius + half a step', grid.every(tile => tile.distanceMiles <= 12.5) &&
+            dense.every(tile => tile.distanceMiles <= 11.25)),
+        check('Tiles cover the whole search circle', coversCircle(grid, 10, 5) && coversCircle(grid, 7.5, 5) && coversCircle(dense, 10, 5))
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test tile search settings and validation
+ */
+function testTileSearch() {
+    console.log('\n========================================');
+    console.log('Testing Tile Searches');
+    console.log('========================================\n');
+
+    const [tile] = buildGeoGrid({ ...CENTER, radiusMiles: 1, tileSizeMiles: 5 });
+    const url = buildTileSearchUrl('insurance agency', tile);
+
+    const results = [
+        check('Zoom fits one tile in the viewport', tile.zoom === 14 && zoomForTileSize(5, CENTER.latitude) === 14 &&
+            zoomForTileSize(2.5, CENTER.latitude) === 15),
+        check('Zoom clamped to 10-18', zoomForTileSize(0.1, 0) === 18 && zoomForTileSize(500, 0) === 10),
+        check('Search URL scoped to the tile', url === 'https://www.google.com/maps/search/insurance%20agency/@32.7767,-96.797,14z'),
+        check('Coordinates parsed back from the URL', JSON.stringify(parseCoordinatesFromUrl(url)) === '{"latitude":32.7767,"longitude":-96.797}' &&
+            parseCoordinatesFromUrl('https://www.google.com/maps') === null),
+        check('Center and radius required', /latitude and longitude are required/.test(errorMessage(() => buildGeoGrid({ radiusMiles: 5 }))) &&
+            /radiusMiles must be a positive number/.test(errorMessage(() => buildGeoGrid({ ...CENTER, radiusMiles: 0 })))),
+        check('Density below 1 rejected', /density must be a number >= 1/.test(errorMessage(() => buildGeoGrid({ ...CENTER, radiusMiles: 5, density: 0.5 })))),
+        check('Oversized grids refused', /Geo grid has 31757 tiles \(max 500\)/.test(errorMessage(() =>
+            buildGeoGrid({ ...CENTER, radiusMiles: 100, tileSizeMiles: 1 }))))
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test per-tile yield tracking
+ */
+function testYieldReport() {
+    console.log('\n========================================');
+    console.log('Testing Yield Tracking');
+    console.log('========================================\n');
+
+    const tiles = buildGeoGrid({ ...CENTER, radiusMiles: 5, tileSizeMiles: 5 });
+    const report = createTileReport(tiles);
+
+    recordTileSearch(report, 'r0c0');
+    recordTileListing(report, 'r0c0', false);
+    recordTileListing(report, 'r0c0', false);
+    recordTileScrape(report, 'r0c0');
+    recordTileSearch(report, 'r1c0');
+    for (let i = 0; i < 4; i++) recordTileListing(report, 'r1c0', true);
+    recordTileListing(report, 'r1c0', false);
+    recordTileListing(report, 'unknown', false);
+
+    const summary = summarizeTileReport(report);
+
+    const results = [
+        check('Place keys from feature ID, place ID or path',
+            extractPlaceKey('/maps/place/ABC/data=!4m7!3m6!1s0x864C19F77B45974B:0x1B2C!8m2') === '0x864c19f77b45974b:0x1b2c' &&
+            extractPlaceKey('https://www.google.com/maps/place/x/data=!19sChIJabc-123') === 'ChIJabc-123' &&
+            extractPlaceKey('https://www.google.com/maps/place/ABC+Insurance/@32.7,-96.8,15z') === 'abc+insurance' &&
+            extractPlaceKey(null) === null),
+        check('Totals across tiles', summary.tileCount === tiles.length && summary.listingsFound === 7 &&
+            summary.newPlaces === 3 && summary.duplicatePlaces === 4 && summary.businessesScraped === 1),
+        check('Saturation per tile', summary.tiles.find(tile => tile.tileId === 'r1c0').saturation === 0.8 &&
+            summary.tiles.find(tile => tile.tileId === 'r0c0').saturation === 0 && summary.saturatedTiles === 1),
+        check('Empty tiles counted, best tiles first', summary.emptyTiles === tiles.length - 2 && summary.tiles[0].tileId === 'r0c0')
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   GEO-GRID TEST SUITE                  ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    const testResults = {
+        grid: testGrid(),
+        tileSearch: testTileSearch(),
+        yieldReport: testYieldReport()
+    };
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`Grid Building:  ${testResults.grid ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Tile Searches:  ${testResults.tileSearch ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Yield Tracking: ${testResults.yieldReport ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = Object.values(testResults).every(Boolean);
+    console.log(`\nOverall Status: ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests();
@@ -0,0 +1,187 @@
+/**
+ * Test Script for Offline Geocoding and Timezones
+ *
+ * Tests the following components:
+ * 1. Location parsing against the bundled gazetteer (addresses, provinces, ambiguity)
+ * 2. Area code fallback and split-timezone states, enrichment fields and provenance
+ * 3. Send windows in the recipient's local time (DST) and downstream schedulers
+ *
+ * Usage: node tests/test-geocoder.js
+ */
+
+const {
+    geocodeLocation,
+    geocodeLead,
+    lookupAreaCode,
+    getLocalTime,
+    getNextSendTime
+} = require('../executions/utils/geocoder');
+const { enrichSingleLead } = require('../executions/utils/lead-enrichment');
+const { mapLeadToGHLContact } = require('../executions/utils/lead-to-ghl-mapper');
+const { getOptimalSendingTime } = require('../executions/utils/email-templates');
+const { getOptimalSMSTime } = require('../executions/utils/nurture-sequences');
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+/**
+ * Test location parsing
+ */
+function testGeocoding() {
+    console.log('\n========================================');
+    console.log('Testing Location Geocoding');
+    console.log('========================================\n');
+
+    const address = geocodeLocation('100 Congress Ave, Suite 200, Austin, Texas 78701, USA');
+    const noComma = geocodeLocation('Salt Lake City UT');
+    const canadian = geocodeLocation('Montréal, QC H2X 1Y4, CA');
+    const unlisted = geocodeLocation('Round Rock, TX');
+    const elPaso = geocodeLocation('El Paso, TX');
+
+    const results = [
+        check('Street address resolves to the city', address.city === 'Austin' && address.state === 'TX' &&
+            address.postalCode === '78701' && address.timezone === 'America/Chicago' && address.precision === 'city'),
+        check('Coordinates come from the gazetteer', address.latitude === 30.27 && address.longitude === -97.74),
+        check('Region without a comma', noComma.city === 'Salt Lake City' && noComma.timezone === 'America/Denver'),
+        check('Canadian province, accents and postal code', canadian.city === 'Montreal' && canadian.country === 'CA' &&
+            canadian.postalCode === 'H2X 1Y4' && canadian.timezone === 'America/Toronto'),
+        check('Unlisted city keeps its name at region precision', unlisted.city === 'Round Rock' &&
+            unlisted.precision === 'region' && unlisted.latitude === 31.5),
+        check('City in a split state has its own timezone', elPaso.timezone === 'America/Denver'),
+        check('Unique city name resolves without a state', geocodeLocation('Chicago').state === 'IL'),
+        check('Ambiguous city name without a state is not guessed', geocodeLocation('Portland') === null),
+        check('Country only has no timezone', geocodeLocation('United States').precision === 'country' &&
+            geocodeLocation('United States').timezone === null),
+        check('Unrecognized text returns null', geocodeLocation('Remote') === null),
+        check('City with an unrecognized country is not matched', geocodeLocation('London, UK') === null &&
+            geocodeLocation('Manchester, UK') === null && geocodeLocation('Paris, France') === null)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test area code fallback and enrichment
+ */
+async function testLeadGeocoding() {
+    console.log('\n========================================');
+    console.log('Testing Area Codes & Enrichment');
+    console.log('========================================\n');
+
+    const fromPhone = geocodeLead({ companyName: 'Sun City Realty', phone: '(915) 555-0100' });
+    const stateOnly = geocodeLead({ location: 'Kentucky', phone: '270-555-0100' });
+    const cityWins = geocodeLead({ location: 'Lexington, KY', phone: '270-555-0100' });
+
+    const enriched = await enrichSingleLead({
+        companyName: 'Lone Star Insurance',
+        fullName: 'Jane Doe',
+        location: 'Austin, Texas',
+        phone: '512-555-0199'
+    }, 'standard');
+    const british = await enrichSingleLead({ companyName: 'Thames Brokers', location: 'London, UK', phone: '020 7946 0958' }, 'standard');
+    const phoneOnly = await enrichSingleLead({ companyName: 'Mile High Staffing', phone: '303 555 0100' }, 'standard');
+    const keepsExisting = await enrichSingleLead({
+        companyName: 'Bay Realty',
+        location: 'San Francisco, CA',
+        latitude: 37.7936,
+        longitude: -122.3965
+    }, 'standard');
+
+    const results = [
+        check('Area code gives state and timezone', fromPhone.state === 'TX' && fromPhone.timezone === 'America/Denver' &&
+            fromPhone.precision === 'area-code' && fromPhone.from[0] === 'phone'),
+        check('Area code settles a split state', stateOnly.timezone === 'America/Chicago' && stateOnly.from.includes('phone')),
+        check('City match beats the area code', cityWins.timezone === 'America/New_York'),
+        check('International numbers are not NANP', lookupAreaCode('+44 20 7946 0958') === null &&
+            lookupAreaCode('+1 (416) 555-0100').state === 'ON'),
+        check('Enrichment stores structured location', enriched.city === 'Austin' && enriched.state === 'TX' &&
+            enriched.country === 'US' && enriched.timezone === 'America/Chicago' && enriched.geoPrecision === 'city'),
+        check('Standardized location uses the state code', enriched.standardizedLocation === 'Austin, TX'),
+        check('Geo fields carry provenance', enriched.provenance.timezone.transforms[0] === 'geocode' &&
+            enriched.provenance.timezone.from[0] === 'location'),
+        check('Phone-only lead gets an area-code timezone', phoneOnly.timezone === 'America/Denver' &&
+            phoneOnly.provenance.timezone.transforms[0] === 'area_code_lookup' && phoneOnly.geoPrecision === 'area-code'),
+        check('UK location not geocoded as Canada', !british.country && !british.timezone &&
+            british.phoneCountry !== 'CA'),
+        check('Existing coordinates kept', keepsExisting.latitude === 37.7936 && keepsExisting.timezone === 'America/Los_Angeles')
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test local-time scheduling
+ */
+function testScheduling() {
+    console.log('\n========================================');
+    console.log('Testing Local Send Times');
+    console.log('========================================\n');
+
+    // Friday 2026-03-06 16:00 in Chicago (CST, UTC-6); DST starts Sunday 2026-03-08
+    const fridayAfternoon = new Date('2026-03-06T22:00:00Z');
+    const nextMonday = getNextSendTime({ timezone: 'America/Chicago', timeWindow: '09:00-11:00' }, fridayAfternoon);
+    const inWindow = new Date('2026-03-06T15:30:00Z'); // 09:30 CST
+    const denverLead = { email: 'owner@sunrealty.test', phone: '(915) 555-0100', vertical: 'real-estate' };
+
+    const emailSchedule = getOptimalSendingTime({ ...denverLead, timezone: 'America/Denver' }, fridayAfternoon);
+    const unknownSchedule = getOptimalSendingTime({ email: 'x@unknown.test' }, fridayAfternoon);
+    const fridayEvening = new Date('2026-03-07T03:00:00Z'); // 20:00 in Denver, after the SMS window
+    const smsWindow = getOptimalSMSTime({ phone: '+19155550100', customFields: { vertical: 'real-estate' } }, fridayEvening);
+    const ghlContact = mapLeadToGHLContact({
+        firstName: 'Ana', lastName: 'Ruiz', email: 'ana@sunrealty.test',
+        city: 'El Paso', state: 'TX', country: 'US', timezone: 'America/Denver'
+    });
+
+    const results = [
+        check('Local time and weekday', getLocalTime('America/Chicago', fridayAfternoon).time === '16:00' &&
+            getLocalTime('America/Chicago', fridayAfternoon).weekday === 'friday'),
+        check('After hours moves to the next weekday, across DST', nextMonday.toISOString() === '2026-03-09T14:00:00.000Z'),
+        check('Inside the window sends now', getNextSendTime({ timezone: 'America/Chicago', timeWindow: '09:00-11:00' }, inWindow) === inWindow),
+        check('Email schedule uses the lead timezone and vertical window', emailSchedule.timezone === 'America/Denver' &&
+            emailSchedule.timeWindow === '10:00-12:00' && emailSchedule.nextSendAt === '2026-03-09T16:00:00.000Z'),
+        check('Unknown timezone leaves it to the platform', unknownSchedule.timezone === 'recipient' && unknownSchedule.nextSendAt === null),
+        check('SMS window infers timezone from the phone', smsWindow.timezone === 'America/Denver' && smsWindow.timezoneKnown &&
+            smsWindow.nextSendAt === '2026-03-09T17:00:00.000Z'),
+        check('SMS fallback flagged when unknown', getOptimalSMSTime({}, fridayAfternoon).timezoneKnown === false),
+        check('GHL contact carries structured location and timezone', ghlContact.timezone === 'America/Denver' &&
+            ghlContact.city === 'El Paso' && ghlContact.country === 'US')
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   GEOCODER & TIMEZONE TEST SUITE       ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    const testResults = {
+        geocoding: testGeocoding(),
+        leads: await testLeadGeocoding(),
+        scheduling: testScheduling()
+    };
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`Geocoding:   ${testResults.geocoding ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Lead Fields: ${testResults.leads ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Scheduling:  ${testResults.scheduling ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = Object.values(testResults).every(Boolean);
+    console.log(`\nOverall Status: ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests().catch(error => {
+    console.error('\n❌ Fatal error running tests:', error);
+    process.exit(1);
+});
@@ -0,0 +1,302 @@
+/**
+ * Test Script for Grounded Company Research
+ *
+ * Runs offline against the mock LLM provider (which cites the first snippet it
+ * is given and leaves some claims unsupported), with per-test mock responses
+ * for invalid citations.
+ *
+ * Tests the following components:
+ * 1. Source snippets: collection, chunking, boilerplate removal, ranking, ids
+ * 2. Grounded generation: prompt, citations, unsupported claims, repair, fallback
+ * 3. Email prompt and research cache with grounded research
+ *
+ * Usage: node tests/test-grounded-research.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    prepareResearchSources,
+    collectResearchSources,
+    chunkText
+} = require('../executions/ai/research-sources');
+const {
+    generateCompanyResearch,
+    validateResearch,
+    researchToText,
+    UNSUPPORTED_CONFIDENCE
+} = require('../executions/ai/company-research');
+const { generateOutreachEmails } = require('../executions/ai/email-generation');
+const { ResearchCache } = require('../executions/ai/research-cache');
+const { configureLLM, resetLLMClient, getProvider } = require('../executions/ai/llm-client');
+const { CostLedger, setSharedCostLedger } = require('../executions/ai/cost-ledger');
+
+// Keep the ledger in memory so test calls don't land in .cache/
+setSharedCostLedger(new CostLedger({ filePath: null }));
+
+const NO_DELAY = { retry: { maxAttempts: 2, baseDelay: 0, maxDelay: 0 } };
+
+const COMPANY = {
+    companyName: 'ABC Insurance Agency',
+    website: 'https://abcinsurance.com',
+    industry: 'Commercial Insurance',
+    location: 'Austin, TX'
+};
+
+// Text as captured by the website crawler (captureText), Google Maps and LinkedIn scrapers
+const SOURCES = {
+    website: {
+        pagesCrawled: [
+            {
+                url: 'https://abcinsurance.com/',
+                pageType: 'home',
+                text: 'Skip to content. Welcome to ABC Insurance Agency. We provide commercial insurance programs for ' +
+                    'contractors and restaurants across central Texas. Our team serves over 400 business clients. ' +
+                    '© 2024 ABC Insurance Agency. All rights reserved. Privacy Policy.'
+            },
+            {
+                url: 'https://abcinsurance.com/careers/',
+                pageType: 'about',
+                text: 'We are hiring two commercial lines producers as we expand into San Antonio with a new office opening this spring.'
+            },
+            { url: 'https://abcinsurance.com/contact/', pageType: 'contact', text: 'Call us. Email us.' }
+        ]
+    },
+    reviews: [
+        { author: 'Sam R.', rating: 4, text: 'They found us better workers comp coverage, but renewals took weeks and I had to chase them for certificates.' },
+        'Great!'
+    ],
+    linkedin: {
+        description: 'ABC Insurance Agency is an independent agency specializing in contractor insurance.',
+        recentActivity: [{ text: 'Proud to be recognized with a Top Agency award for 2024!', timestamp: '2w' }],
+        linkedinUrl: 'https://www.linkedin.com/company/abc-insurance'
+    }
+};
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+/**
+ * Grounded research answer citing the given ids
+ */
+function citedResearch(serviceSources) {
+    const item = (text, confidence, sources) => ({ text, confidence, sources });
+    return {
+        summary: 'ABC Insurance Agency is an independent commercial insurance agency in central Texas.',
+        targetMarket: 'Contractors and restaurants',
+        summarySources: ['W1', 'L1'],
+        targetMarketSources: ['W1'],
+        servicesOffered: [item('Commercial insurance programs for contractors', 0.9, serviceSources)],
+        painPoints: [item('Slow renewals and certificate requests', 0.8, ['R1']), item('Price competition', 0.7, [])],
+        growthSignals: [item('Opening a San Antonio office', 0.9, ['W2'])],
+        decisionMakerHints: [],
+        newsHooks: [item('Top Agency award for 2024', 0.9, ['L2'])],
+        personalizationAngles: [item('Contractor specialization', 0.8, ['L1'])]
+    };
+}
+
+/**
+ * Point the mock provider at custom research responses
+ */
+function useResearchResponses(respond) {
+    resetLLMClient();
+    configureLLM({ ...NO_DELAY, provider: 'mock', providers: { mock: { responses: { 'company-research': respond } } } });
+}
+
+/**
+ * Test snippet collection and ranking
+ */
+function testSnippets() {
+    console.log('\n========================================');
+    console.log('Testing Source Snippets');
+    console.log('========================================\n');
+
+    const snippets = prepareResearchSources(SOURCES, COMPANY);
+    const byId = Object.fromEntries(snippets.map(snippet => [snippet.id, snippet]));
+    const longText = 'Our agents review every policy each year. '.repeat(40);
+    const chunks = chunkText(longText, 200);
+    const limited = prepareResearchSources(SOURCES, COMPANY, { maxSnippets: 2 });
+
+    const lead = {
+        websitePages: SOURCES.website.pagesCrawled,
+        reviews: SOURCES.reviews,
+        description: SOURCES.linkedin.description,
+        linkedinUrl: SOURCES.linkedin.linkedinUrl
+    };
+    const fromLead = prepareResearchSources(collectResearchSources(lead), COMPANY);
+
+    const results = [
+        check('Ids numbered per source type', snippets.map(snippet => snippet.id).join(',') === 'W1,W2,R1,L1,L2'),
+        check('Boilerplate sentences dropped', !/Skip to content|All rights reserved|Privacy Policy/.test(byId.W1.text) &&
+            byId.W1.text.startsWith('Welcome to ABC Insurance Agency')),
+        check('Snippets keep url and label', byId.W2.url === 'https://abcinsurance.com/careers/' && byId.R1.label === '4-star review' &&
+            byId.L2.label === 'post, 2w'),
+        check('Low-value text left out', !snippets.some(snippet => /Call us|^Great!$/.test(snippet.text))),
+        check('Chunks split on sentences within the limit', chunks.length > 1 &&
+            chunks.every(chunk => chunk.length <= 200 && chunk.endsWith('year.'))),
+        check('Best snippets kept under a limit', limited.length === 2 && limited.every(snippet => snippet.score >= 4)),
+        check('Sources collected from a scraped lead', fromLead.map(snippet => snippet.id).join(',') === 'W1,W2,R1,L1'),
+        check('No sources, no snippets', prepareResearchSources({}, COMPANY).length === 0)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test grounded generation
+ */
+async function testGeneration() {
+    console.log('\n========================================');
+    console.log('Testing Grounded Generation');
+    console.log('========================================\n');
+
+    resetLLMClient();
+    configureLLM({ ...NO_DELAY, provider: 'mock' });
+    const research = await generateCompanyResearch(COMPANY, { format: 'structured', cache: false, sources: SOURCES });
+    const prompt = getProvider('mock').calls[0].messages[0].content;
+    const text = await generateCompanyResearch(COMPANY, { cache: false, sources: SOURCES });
+    const unsupported = research.painPoints.find(item => !item.supported);
+
+    // First answer cites a snippet that wasn't offered, the repair cites a real one
+    useResearchResponses(request => JSON.stringify(citedResearch(request.messages.length === 3 ? ['W1'] : ['W9'])));
+    const repaired = await generateCompanyResearch(COMPANY, { format: 'structured', cache: false, sources: SOURCES });
+    const repairRequest = getProvider('mock').calls[1];
+
+    // Nothing captured: every claim is unsupported
+    resetLLMClient();
+    configureLLM({ ...NO_DELAY, provider: 'mock' });
+    const noEvidence = await generateCompanyResearch(COMPANY, { format: 'structured', cache: false, sources: {} });
+    const noEvidencePrompt = getProvider('mock').calls[0].messages[0].content;
+
+    configureLLM({ provider: 'unreachable-provider' });
+    const fallback = await generateCompanyResearch(COMPANY, { format: 'structured', cache: false, sources: SOURCES });
+
+    const results = [
+        check('Prompt lists snippets with ids and asks for citations', /^\[W1\] \(website, home page, https:\/\/abcinsurance\.com\/\) Welcome/m.test(prompt) &&
+            /^\[R1\] \(review, 4-star review\) They found us/m.test(prompt) && /"sources": \["W1"\]/.test(prompt)),
+        check('Claims cite their snippets', research.grounded === true && research.servicesOffered[0].sources[0] === 'W1' &&
+            research.servicesOffered[0].supported === true && research.summarySources[0] === 'W1'),
+        check('Cited snippets included', Object.keys(research.sources).join(',') === 'W1' &&
+            research.sources.W1.url === 'https://abcinsurance.com/'),
+        check('Unsupported claims flagged and capped', unsupported && unsupported.confidence === UNSUPPORTED_CONFIDENCE &&
+            research.unsupportedClaims === 3 && validateResearch(research).length === 0),
+        check('Text shows citations and unverified claims', /clients \[W1\]\./.test(text) &&
+            /Competing with larger national players on price \(unverified\)/.test(text) &&
+            /Sources:\n\[W1\] website, home page, https:\/\/abcinsurance\.com\//.test(text)),
+        check('Unknown citations repaired', /servicesOffered\[0\]\.sources cites unknown sources: W9/.test(repairRequest.messages[2].content) &&
+            repaired.servicesOffered[0].sources[0] === 'W1'),
+        check('Citations of several source types', repaired.unsupportedClaims === 1 &&
+            Object.keys(repaired.sources).join(',') === 'L1,L2,R1,W1,W2'),
+        check('No evidence: everything unsupported', /^Sources:\n\(none found\)$/m.test(noEvidencePrompt) &&
+            noEvidence.unsupportedClaims === 7 && noEvidence.servicesOffered.every(item => item.confidence <= UNSUPPORTED_CONFIDENCE)),
+        check('Fallback research is grounded with nothing supported', fallback.fallback === true && fallback.grounded === true &&
+            Object.keys(fallback.sources).length === 0)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test the email prompt and the cache with grounded research
+ */
+async function testConsumers() {
+    console.log('\n========================================');
+    console.log('Testing Emails & Cache');
+    console.log('========================================\n');
+
+    resetLLMClient();
+    configureLLM({ ...NO_DELAY, provider: 'mock' });
+
+    const research = await generateCompanyResearch(COMPANY, { format: 'structured', cache: false, sources: SOURCES });
+    const contact = {
+        firstName: 'John',
+        lastName: 'Doe',
+        jobTitle: 'CEO',
+        companyName: 'ABC Insurance Agency',
+        industry: 'Commercial Insurance'
+    };
+    const result = await generateOutreachEmails(contact, research);
+    const emailPrompt = getProvider('mock').calls.find(call => call.task === 'email-generation').messages[0].content;
+    const painSection = emailPrompt.split('Likely pain points:')[1].split('\n\n')[0];
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'grounded-research-'));
+    let researchCalls;
+    try {
+        const cache = new ResearchCache({ filePath: path.join(dir, 'research.json') });
+        const mock = getProvider('mock');
+        const count = () => mock.calls.filter(call => call.task === 'company-research').length;
+        const before = count();
+
+        await generateCompanyResearch(COMPANY, { cache });
+        const groundedAfterUngrounded = await generateCompanyResearch(COMPANY, { cache, sources: SOURCES, format: 'structured' });
+        const ungroundedAfterGrounded = await generateCompanyResearch(COMPANY, { cache, format: 'structured' });
+        researchCalls = {
+            calls: count() - before,
+            grounded: groundedAfterUngrounded.grounded === true && ungroundedAfterGrounded.grounded === true
+        };
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    // Fallback emails (LLM answers aren't valid JSON) from a summary without sources
+    resetLLMClient();
+    configureLLM({ ...NO_DELAY, provider: 'mock', providers: { mock: { responses: { 'email-generation': 'not json' } } } });
+    const unsupported = { ...research, summary: 'ABC Insurance Agency writes commercial auto for fleets.', summarySources: [] };
+    const fallbacks = await generateOutreachEmails(contact, unsupported);
+    const textFallbacks = await generateOutreachEmails(contact, researchToText(unsupported));
+    const citedFallbacks = await generateOutreachEmails(contact, researchToText({ ...research, summarySources: ['W1'] }));
+    const fallbackBodies = [...fallbacks.emails, ...textFallbacks.emails].map(email => email.body).join('\n');
+
+    const results = [
+        check('Emails generated from grounded research', result.emails.length === 3),
+        check('Fallback emails leave out unsupported claims and markers', fallbacks.emails.every(email => email.fallback === true) &&
+            !fallbackBodies.includes('commercial auto') && !fallbackBodies.includes('(unverified)') && !/\[[A-Z]+\d+/.test(fallbackBodies)),
+        check('Fallback emails use supported claims without citations', citedFallbacks.emails[0].body.includes(research.summary.replace(/\.$/, '')) &&
+            !/\[[A-Z]+\d+/.test(citedFallbacks.emails.map(email => email.body).join('\n'))),
+        check('Unsupported claims not given as fact', !painSection.includes('Competing with larger national players') &&
+            /Unverified \(no source supports these; do not state them as fact\):\n- Likely pain points: Competing with larger national players on price/.test(emailPrompt)),
+        check('Unsupported target market marked', /Target market \(unverified\): /.test(emailPrompt) &&
+            /^Summary: ABC Insurance Agency/m.test(emailPrompt)),
+        check('Ungrounded cache entries regenerated for grounded requests', researchCalls.calls === 2 && researchCalls.grounded)
+    ];
+
+    resetLLMClient();
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   GROUNDED RESEARCH TEST SUITE         ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    const testResults = {
+        snippets: testSnippets(),
+        generation: await testGeneration(),
+        consumers: await testConsumers()
+    };
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`Source Snippets: ${testResults.snippets ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Generation:      ${testResults.generation ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Emails & Cache:  ${testResults.consumers ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = Object.values(testResults).every(Boolean);
+    console.log(`\nOverall Status: ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests().catch(error => {
+    console.error('\n❌ Fatal error running tests:', error);
+    process.exit(1);
+});
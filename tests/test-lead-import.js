@@ -0,0 +1,217 @@
+/**
+ * Test Script for Lead File Import
+ *
+ * Writes small CSV, XLSX and NDJSON lead files to a temp directory and imports them.
+ *
+ * Tests the following components:
+ * 1. CSV: default header aliases, quoted fields, delimiters, skipped rows
+ * 2. XLSX: explicit column mapping, sheet selection, numeric cells
+ * 3. NDJSON: per-row columns, malformed lines, loadLeadFiles across formats
+ * 4. Errors: missing files, unsupported formats, mappings that match no column
+ *
+ * Usage: node tests/test-lead-import.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const { loadLeadFile, loadLeadFiles, resolveColumnMapping } = require('../executions/utils/lead-import');
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+function errorMessage(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error.message;
+    }
+    return '';
+}
+
+/**
+ * Test CSV import
+ */
+function testCsv(dir) {
+    console.log('\n========================================');
+    console.log('Testing CSV Import');
+    console.log('========================================\n');
+
+    const csvPath = path.join(dir, 'iba-expo.csv');
+    fs.writeFileSync(csvPath, [
+        '\uFEFFFull Name,E-mail Address,Company,Job Title,Website,City,State,Rating,Booth Notes',
+        'Maria Gonzalez,Maria@LoneStarIns.test,"Lone Star Commercial Insurance, LLC",Agency Owner,lonestarins.test,Austin,TX,"4.8",Asked about "renewals"',
+        'David Chen,dchen@bayrealty.test,Bay Realty,Broker,https://bayrealty.test,,,n/a,"Two-line',
+        'note"',
+        ',,,,,,,,',
+        ',,,Intern,,,,,walked by'
+    ].join('\r\n'));
+
+    const semicolonPath = path.join(dir, 'client-book.csv');
+    fs.writeFileSync(semicolonPath, 'First Name;Last Name;Email;Phone\nSam;Lee;sam@lee.test;(512) 555-0142\n');
+
+    const { leads, skipped, columns, unmappedColumns } = loadLeadFile(csvPath, { defaults: { vertical: 'insurance' } });
+    const [maria, david] = leads;
+    const semicolon = loadLeadFile(semicolonPath, { leadSource: 'Client book' });
+
+    const results = [
+        check('Rows with a lead imported, blank rows ignored', leads.length === 2 && skipped.length === 1 &&
+            skipped[0].row === 4 && /no email, name, company/.test(skipped[0].reason)),
+        check('Default aliases map the headers', maria.email === 'maria@lonestarins.test' && maria.jobTitle === 'Agency Owner' &&
+            maria.companyName === 'Lone Star Commercial Insurance, LLC' && maria.name === maria.companyName),
+        check('Full name split, location built, website made a URL', maria.firstName === 'Maria' && maria.lastName === 'Gonzalez' &&
+            maria.location === 'Austin, TX' && maria.website === 'https://lonestarins.test'),
+        check('Numeric fields parsed, bad numbers dropped', maria.googleRating === 4.8 && david.googleRating === undefined),
+        check('Quoted newlines stay in the row', leads.length === 2 && david.website === 'https://bayrealty.test' && !david.location),
+        check('Defaults and import metadata on every lead', leads.every(lead => lead.vertical === 'insurance' &&
+            lead.leadSource === 'iba-expo.csv' && lead.importFile === csvPath) && maria.importRow === 1 && david.importRow === 2),
+        check('BOM stripped, unmapped columns reported', columns[0] === 'Full Name' && unmappedColumns.join(',') === 'Booth Notes'),
+        check('Semicolon delimiter detected, name parts joined', semicolon.leads.length === 1 &&
+            semicolon.leads[0].fullName === 'Sam Lee' && semicolon.leads[0].phone === '(512) 555-0142' &&
+            semicolon.leads[0].leadSource === 'Client book')
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test XLSX import
+ */
+function testXlsx(dir) {
+    console.log('\n========================================');
+    console.log('Testing XLSX Import');
+    console.log('========================================\n');
+
+    const xlsxPath = path.join(dir, 'purchased-list.xlsx');
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Notes'], ['Exported 2026-10-01']]), 'Cover');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+        ['Contact', 'Work E-mail', 'Firm', 'Headcount', 'Google Reviews', 'Email'],
+        ['Priya Patel', 'PRIYA@apexstaffing.test', 'Apex Staffing', '51-200', 1234, 'info@apexstaffing.test'],
+        ['', '', 'Summit Recruiting', '11-50', '', '']
+    ]), 'Leads');
+    XLSX.writeFile(workbook, xlsxPath);
+
+    const { leads, unmappedColumns } = loadLeadFile(xlsxPath, {
+        sheet: 'Leads',
+        columnMapping: { email: 'Work E-mail', companyName: ['Company', 'Firm'] }
+    });
+    const [priya, summit] = leads;
+    const firstSheet = loadLeadFile(xlsxPath);
+
+    const results = [
+        check('Named sheet read', leads.length === 2 && firstSheet.leads.length === 0 && firstSheet.skipped.length === 1),
+        check('Explicit mapping beats the default alias', priya.email === 'priya@apexstaffing.test' && unmappedColumns.join(',') === 'Email'),
+        check('Alias lists pick the first present column', priya.companyName === 'Apex Staffing' && summit.companyName === 'Summit Recruiting'),
+        check('Cells mapped through the defaults', priya.fullName === 'Priya Patel' && priya.firstName === 'Priya' &&
+            priya.companySize === '51-200' && priya.reviewCount === 1234),
+        check('Empty cells left off the lead', !('email' in summit) && !('reviewCount' in summit)),
+        check('Missing sheet reported with the sheet list', /Sheet 'Contacts' not found in .*Sheets: Cover, Leads/.test(
+            errorMessage(() => loadLeadFile(xlsxPath, { sheet: 'Contacts' }))))
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test NDJSON import
+ */
+function testNdjson(dir) {
+    console.log('\n========================================');
+    console.log('Testing NDJSON Import');
+    console.log('========================================\n');
+
+    const ndjsonPath = path.join(dir, 'crm-export.jsonl');
+    fs.writeFileSync(ndjsonPath, [
+        JSON.stringify({ email: 'ann@coastal.test', company_name: 'Coastal Realty', linkedin_url: 'https://linkedin.com/in/ann' }),
+        '{"email": "broken"',
+        '',
+        JSON.stringify(['not', 'an', 'object']),
+        JSON.stringify({ contact_name: 'Tom Reyes', phone_number: '214-555-0100', reviews: '1,024' })
+    ].join('\n'));
+
+    const { leads, skipped, columns } = loadLeadFile(ndjsonPath);
+    const [ann, tom] = leads;
+
+    const csvPath = path.join(dir, 'extra.csv');
+    fs.writeFileSync(csvPath, 'Email,Company\nlee@north.test,North Agency\n');
+    const combined = loadLeadFiles([csvPath, { path: ndjsonPath, leadSource: 'CRM export' }]);
+
+    const results = [
+        check('Columns collected across rows', columns.length === 6 && columns.includes('phone_number')),
+        check('Snake-case keys match the default aliases', ann.companyName === 'Coastal Realty' &&
+            ann.linkedinProfile === 'https://linkedin.com/in/ann' && tom.fullName === 'Tom Reyes' && tom.phone === '214-555-0100'),
+        check('Thousands separators parsed', tom.reviewCount === 1024),
+        check('Malformed and non-object lines skipped with line numbers', skipped.length === 2 &&
+            skipped[0].line === 2 && /invalid JSON/.test(skipped[0].reason) && skipped[1].line === 4 && skipped[1].reason === 'not a JSON object'),
+        check('loadLeadFiles concatenates formats with per-file options', combined.length === 3 &&
+            combined[0].leadSource === 'extra.csv' && combined[2].leadSource === 'CRM export')
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test import errors
+ */
+function testErrors(dir) {
+    console.log('\n========================================');
+    console.log('Testing Import Errors');
+    console.log('========================================\n');
+
+    const pdfPath = path.join(dir, 'list.pdf');
+    fs.writeFileSync(pdfPath, '%PDF');
+
+    const results = [
+        check('Missing file', /Lead file not found: .*nope\.csv/.test(errorMessage(() => loadLeadFile(path.join(dir, 'nope.csv'))))),
+        check('Unsupported format', errorMessage(() => loadLeadFile(pdfPath)) === 'Unsupported lead file format: pdf. Must be one of: csv, xlsx, ndjson'),
+        check('Explicit mapping must match a column', /Column mapping for 'email' matched no column \(tried: Attendee Email\)\. File columns: Email, Company/.test(
+            errorMessage(() => resolveColumnMapping(['Email', 'Company'], { email: 'Attendee Email' })))),
+        check('A column maps to one field only', JSON.stringify(resolveColumnMapping(['Company', 'Contact'], { fullName: 'Company' })) ===
+            '{"fullName":"Company"}')
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   LEAD IMPORT TEST SUITE               ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-import-'));
+    let testResults;
+    try {
+        testResults = {
+            csv: testCsv(dir),
+            xlsx: testXlsx(dir),
+            ndjson: testNdjson(dir),
+            errors: testErrors(dir)
+        };
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`CSV:     ${testResults.csv ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`XLSX:    ${testResults.xlsx ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`NDJSON:  ${testResults.ndjson ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Errors:  ${testResults.errors ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = Object.values(testResults).every(Boolean);
+    console.log(`\nOverall Status: ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests();
@@ -0,0 +1,240 @@
+/**
+ * Test Script for Lead Scoring Profiles
+ *
+ * Tests the following components:
+ * 1. Default profile (same scores as the original hardcoded weights)
+ * 2. Custom profiles: ranges, penalties, group caps, extends and rule overrides
+ * 3. Profile selection per lead and loading from JSON config
+ * 4. Profile validation errors
+ *
+ * Usage: node tests/test-lead-scoring.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    scoreLead,
+    getScoringProfileForLead,
+    formatScoreBreakdown,
+    registerScoringProfile,
+    validateScoringProfile
+} = require('../executions/utils/lead-scoring');
+
+const FULL_LEAD = {
+    email: 'jane.doe@acme.test',
+    validationStatus: 'valid',
+    validationErrors: [],
+    emailVerification: { status: 'valid' },
+    companyName: 'Acme Insurance',
+    website: 'https://acme.test',
+    phone: '+1 555 0100',
+    firstName: 'Jane',
+    lastName: 'Doe',
+    googleRating: 4.6,
+    reviewCount: 42,
+    linkedinProfile: 'https://linkedin.com/in/janedoe',
+    recentActivity: ['post'],
+    leadSource: 'LinkedIn + Google Maps',
+    domainHasMX: true,
+    jobTitle: 'Agency Owner',
+    employeeCount: 25,
+    vertical: 'insurance'
+};
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+/**
+ * Test the default profile
+ */
+function testDefaultProfile() {
+    console.log('\n========================================');
+    console.log('Testing Default Profile');
+    console.log('========================================\n');
+
+    const full = scoreLead(FULL_LEAD);
+    const inferredRoleEmail = scoreLead({
+        email: 'info@acme.test',
+        emailInferred: true,
+        validationStatus: 'valid',
+        validationErrors: ['role_based_email'],
+        emailVerification: { status: 'catch-all' },
+        name: 'Acme Insurance',
+        googleRating: 3.9,
+        reviewCount: 9
+    });
+    const invalidMailbox = scoreLead({ ...FULL_LEAD, emailVerification: { status: 'invalid' } });
+
+    const results = [
+        check(`Full lead capped at 100 (raw ${full.rawScore})`, full.score === 100 && full.rawScore === 135),
+        check(`Weak lead scores 40 (${inferredRoleEmail.score})`, inferredRoleEmail.score === 40),
+        check('Catch-all penalty itemized', inferredRoleEmail.breakdown.some(item => item.rule === 'mailbox_catch_all' && item.points === -10)),
+        check('Ratings below the range do not fire', !inferredRoleEmail.breakdown.some(item => item.rule === 'google_rating')),
+        check('Email bonuses need a valid email', !invalidMailbox.breakdown.some(item => item.group === 'email')),
+        check('Breakdown formats as one line', formatScoreBreakdown(inferredRoleEmail) === '+40 Valid email, -10 Catch-all domain (mailbox unconfirmable), +10 Company name')
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test custom profiles
+ */
+function testCustomProfiles() {
+    console.log('\n========================================');
+    console.log('Testing Custom Profiles');
+    console.log('========================================\n');
+
+    registerScoringProfile({
+        name: 'test-icp',
+        extends: 'default',
+        minQualityScore: 70,
+        maxScore: 200,
+        groupCaps: { engagement: 10 },
+        rules: [
+            { id: 'decision_maker', label: 'Decision-maker title', group: 'fit', points: 15, when: { field: 'jobTitle', matches: 'owner|principal' } },
+            {
+                id: 'company_size',
+                label: 'Company size',
+                group: 'fit',
+                field: 'employeeCount',
+                ranges: [{ min: 10, max: 50, points: 10, label: '10-49' }, { min: 50, points: 5, label: '50+' }]
+            },
+            { id: 'no_phone', label: 'No phone', points: -20, when: { field: 'phone', exists: false } },
+            { id: 'phone', points: 20 },
+            { id: 'linkedin_profile', enabled: false }
+        ]
+    });
+
+    const full = scoreLead(FULL_LEAD, 'test-icp');
+    const noPhone = scoreLead({ ...FULL_LEAD, phone: null, employeeCount: 80 }, 'test-icp');
+    const rules = full.breakdown.map(item => item.rule);
+
+    const results = [
+        check(`Custom score (${full.score})`, full.score === 160),
+        check('Profile threshold carried on the result', full.minQualityScore === 70 && full.profile === 'test-icp'),
+        check('Range rule labels its band', full.breakdown.some(item => item.label === 'Company size 10-49' && item.points === 10)),
+        check('Group cap limits engagement to 10', full.capped.length === 1 && full.capped[0].group === 'engagement' && full.capped[0].lost === 5),
+        check('Override keeps the base label', full.breakdown.some(item => item.rule === 'phone' && item.points === 20 && item.label === 'Phone number')),
+        check('Disabled rule removed', !rules.includes('linkedin_profile')),
+        check(`Penalty and second band apply (${noPhone.score})`, noPhone.score === 115 &&
+            noPhone.breakdown.some(item => item.rule === 'no_phone' && item.points === -20))
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test profile selection and JSON config
+ */
+function testProfileSelection() {
+    console.log('\n========================================');
+    console.log('Testing Profile Selection');
+    console.log('========================================\n');
+
+    const configPath = path.join(os.tmpdir(), `scoring-profile-${process.pid}.json`);
+    fs.writeFileSync(configPath, JSON.stringify({
+        name: 'json-client',
+        rules: [{ id: 'has_email', label: 'Has email', points: 50, when: { field: 'email', exists: true } }]
+    }));
+
+    try {
+        const fromJson = scoreLead(FULL_LEAD, configPath);
+        const byVertical = getScoringProfileForLead(FULL_LEAD, { verticalProfiles: { insurance: 'test-icp' } });
+        const byAlias = getScoringProfileForLead({ vertical: 'commercial-insurance' }, { verticalProfiles: { insurance: 'test-icp' } });
+        const fallback = getScoringProfileForLead({ vertical: 'unknown-vertical' });
+        const explicit = getScoringProfileForLead(FULL_LEAD, { profile: configPath, verticalProfiles: { insurance: 'test-icp' } });
+
+        const results = [
+            check(`JSON profile scores (${fromJson.score})`, fromJson.score === 50 && fromJson.profile === 'json-client'),
+            check('Vertical override selected', byVertical.name === 'test-icp'),
+            check('Vertical alias resolves to its profile', byAlias.name === 'test-icp'),
+            check('Unknown vertical falls back to default', fallback.name === 'default'),
+            check('Explicit profile wins over vertical', explicit.name === 'json-client')
+        ];
+
+        return results.every(Boolean);
+    } finally {
+        fs.unlinkSync(configPath);
+    }
+}
+
+/**
+ * Test validation
+ */
+function testValidation() {
+    console.log('\n========================================');
+    console.log('Testing Profile Validation');
+    console.log('========================================\n');
+
+    const invalid = validateScoringProfile({
+        name: 'broken',
+        rules: [
+            { id: 'a', points: 'ten' },
+            { id: 'a', points: 5, when: { field: 'email', startsWith: 'x' } },
+            { id: 'b', ranges: [{ min: 1, points: 5 }] }
+        ]
+    });
+
+    let duplicateError = null;
+    try {
+        registerScoringProfile({ name: 'test-icp', rules: [] });
+    } catch (error) {
+        duplicateError = error.message;
+    }
+
+    let badOverrideError = null;
+    try {
+        registerScoringProfile({ name: 'bad-override', extends: 'default', rules: [{ id: 'new_rule', label: 'No points' }] });
+    } catch (error) {
+        badOverrideError = error.message;
+    }
+
+    const results = [
+        check('Bad points reported', invalid.errors.includes('a: points must be a number')),
+        check('Duplicate id reported', invalid.errors.includes('a: duplicate rule id')),
+        check('Unknown operator reported', invalid.errors.includes("a.when: unknown operator 'startsWith'")),
+        check('Range without field reported', invalid.errors.includes('b: ranges need a field')),
+        check('Duplicate registration rejected', /already registered/.test(duplicateError || '')),
+        check('Incomplete rule caught after extends', /new_rule: points must be a number/.test(badOverrideError || ''))
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   LEAD SCORING TEST SUITE              ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    const testResults = {
+        defaultProfile: testDefaultProfile(),
+        customProfiles: testCustomProfiles(),
+        selection: testProfileSelection(),
+        validation: testValidation()
+    };
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`Default Profile:  ${testResults.defaultProfile ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Custom Profiles:  ${testResults.customProfiles ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Selection:        ${testResults.selection ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Validation:       ${testResults.validation ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = Object.values(testResults).every(Boolean);
+    console.log(`\nOverall Status: ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests();
@@ -0,0 +1,254 @@
+/**
+ * Test Script for the LLM Client
+ *
+ * Runs offline: every request goes to the mock provider or to stand-in providers
+ * registered by the test, so no API keys are needed.
+ *
+ * Tests the following components:
+ * 1. Config: per-task provider and model, env overrides, config files
+ * 2. Retry and backoff: retryable vs fatal errors, rejected responses
+ * 3. Company research and email generation through the mock provider
+ *
+ * Usage: node tests/test-llm-client.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    complete,
+    configureLLM,
+    resetLLMClient,
+    resolveTaskConfig,
+    registerLLMProvider,
+    listLLMProviders,
+    getProvider
+} = require('../executions/ai/llm-client');
+const { CostLedger, setSharedCostLedger } = require('../executions/ai/cost-ledger');
+const { generateCompanyResearch } = require('../executions/ai/company-research');
+const { generateOutreachEmails } = require('../executions/ai/email-generation');
+
+// Keep the ledger in memory so test calls don't land in .cache/
+setSharedCostLedger(new CostLedger({ filePath: null }));
+
+const NO_DELAY = { retry: { maxAttempts: 3, baseDelay: 0, maxDelay: 0 } };
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+/**
+ * Test configuration
+ */
+function testConfig() {
+    console.log('\n========================================');
+    console.log('Testing Configuration');
+    console.log('========================================\n');
+
+    resetLLMClient();
+    const defaults = resolveTaskConfig('company-research');
+    const emailDefaults = resolveTaskConfig('email-generation');
+
+    configureLLM({ tasks: { 'email-generation': { provider: 'anthropic' } } });
+    const perTask = resolveTaskConfig('email-generation');
+    const untouched = resolveTaskConfig('company-research');
+
+    process.env.LLM_PROVIDER = 'ollama';
+    process.env.LLM_MODEL = 'qwen2.5';
+    resetLLMClient();
+    const fromEnv = resolveTaskConfig('company-research');
+    delete process.env.LLM_PROVIDER;
+    delete process.env.LLM_MODEL;
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-config-'));
+    const configPath = path.join(dir, 'llm.json');
+    fs.writeFileSync(configPath, JSON.stringify({ provider: 'mock', tasks: { 'company-research': { maxTokens: 300 } } }));
+    resetLLMClient();
+    configureLLM(configPath);
+    const fromFile = resolveTaskConfig('company-research');
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    let unknownError = null;
+    try {
+        getProvider('gemini');
+    } catch (error) {
+        unknownError = error.message;
+    }
+
+    const results = [
+        check('Defaults keep the previous model and settings', defaults.provider === 'openai' &&
+            defaults.model === 'gpt-4-turbo-preview' && defaults.temperature === 0.7 && defaults.maxTokens === 1000 &&
+            emailDefaults.temperature === 0.8 && emailDefaults.maxTokens === 400),
+        check('Task can switch vendor alone', perTask.provider === 'anthropic' && perTask.model === 'claude-3-5-sonnet-latest' &&
+            perTask.temperature === 0.8 && untouched.provider === 'openai'),
+        check('LLM_PROVIDER and LLM_MODEL env vars', fromEnv.provider === 'ollama' && fromEnv.model === 'qwen2.5'),
+        check('Config file merged over defaults', fromFile.provider === 'mock' && fromFile.maxTokens === 300 &&
+            fromFile.temperature === 0.7),
+        check('Built-in providers registered', ['openai', 'anthropic', 'ollama', 'mock'].every(name => listLLMProviders().includes(name))),
+        check('Unknown provider lists registered ones', /Registered providers: openai/.test(unknownError || ''))
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test retry and backoff
+ */
+async function testRetry() {
+    console.log('\n========================================');
+    console.log('Testing Retry & Backoff');
+    console.log('========================================\n');
+
+    let calls = 0;
+    registerLLMProvider('flaky', () => ({
+        async complete({ model }) {
+            calls++;
+            if (calls < 3) {
+                const error = new Error('Service unavailable');
+                error.status = 503;
+                throw error;
+            }
+            return { content: 'ok', model, usage: { inputTokens: 1, outputTokens: 1, totalTokens: 2 } };
+        }
+    }), { replace: true });
+    registerLLMProvider('unauthorized', () => ({
+        async complete() {
+            calls++;
+            const error = new Error('Invalid API key');
+            error.status = 401;
+            throw error;
+        }
+    }), { replace: true });
+
+    resetLLMClient();
+    configureLLM({ ...NO_DELAY, provider: 'flaky', model: 'flaky-1' });
+    const recovered = await complete({ task: 'test', prompt: 'hello' });
+
+    calls = 0;
+    let fatalError = null;
+    try {
+        await complete({ task: 'test', prompt: 'hello', provider: 'unauthorized' });
+    } catch (error) {
+        fatalError = error;
+    }
+    const fatalCalls = calls;
+
+    let parseAttempts = 0;
+    configureLLM({ provider: 'mock' });
+    const parsed = await complete({
+        task: 'test',
+        prompt: 'hello',
+        parse: content => {
+            parseAttempts++;
+            if (parseAttempts < 2) throw new Error('Rejected');
+            return content.toUpperCase();
+        }
+    });
+
+    configureLLM({ providers: { openai: { apiKeyEnv: 'LLM_TEST_MISSING_KEY' } } });
+    let keyError = null;
+    try {
+        await complete({ task: 'test', prompt: 'hello', provider: 'openai' });
+    } catch (error) {
+        keyError = error.message;
+    }
+
+    let duplicateError = null;
+    try {
+        registerLLMProvider('mock', () => ({}));
+    } catch (error) {
+        duplicateError = error.message;
+    }
+
+    const results = [
+        check('Server errors retried until success', recovered.content === 'ok' && recovered.attempts === 3 &&
+            recovered.provider === 'flaky' && recovered.model === 'flaky-1'),
+        check('Auth errors fail without retry', fatalError && fatalError.status === 401 && fatalCalls === 1),
+        check('Rejected responses retried', parsed.attempts === 2 && parsed.value === 'MOCK RESPONSE FOR TEST.'),
+        check('Missing API key names the env var', /LLM_TEST_MISSING_KEY environment variable is required/.test(keyError || '')),
+        check('Duplicate provider rejected', /already registered/.test(duplicateError || ''))
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test the AI modules through the mock provider
+ */
+async function testModules() {
+    console.log('\n========================================');
+    console.log('Testing Research & Email Generation');
+    console.log('========================================\n');
+
+    resetLLMClient();
+    configureLLM({ ...NO_DELAY, provider: 'mock' });
+
+    const company = {
+        companyName: 'ABC Insurance Agency',
+        website: 'https://abcinsurance.com',
+        industry: 'Commercial Insurance',
+        location: 'Austin, TX'
+    };
+    const research = await generateCompanyResearch(company, { cache: false });
+    const again = await generateCompanyResearch(company, { cache: false });
+
+    const result = await generateOutreachEmails({
+        firstName: 'John',
+        lastName: 'Doe',
+        jobTitle: 'CEO',
+        companyName: 'ABC Insurance Agency',
+        industry: 'Commercial Insurance',
+        location: 'Austin, TX'
+    }, research);
+    const mock = getProvider('mock');
+    const emailCalls = mock.calls.filter(call => call.task === 'email-generation');
+
+    const results = [
+        check('Research comes from the provider, not the fallback', research.startsWith('ABC Insurance Agency operates in Commercial Insurance') &&
+            !research.includes('Further research recommended')),
+        check('Mock is deterministic', research === again),
+        check('Three emails generated, none from the fallback', result.emails.length === 3 &&
+            result.emails.every(email => email.subject === 'A quick idea for ABC Insurance Agency' && email.body.startsWith('Hi John,'))),
+        check('Task settings reach the provider', emailCalls.length === 3 && emailCalls.every(call =>
+            call.json === true && call.temperature === 0.8 && call.maxTokens === 400 && call.model === 'mock-1')),
+        check('System prompt passed through', /B2B sales copywriter/.test(emailCalls[0].system))
+    ];
+
+    resetLLMClient();
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   LLM CLIENT TEST SUITE                ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    const testResults = {
+        config: testConfig(),
+        retry: await testRetry(),
+        modules: await testModules()
+    };
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`Configuration:  ${testResults.config ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Retry:          ${testResults.retry ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`AI Modules:     ${testResults.modules ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = Object.values(testResults).every(Boolean);
+    console.log(`\nOverall Status: ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests().catch(error => {
+    console.error('\n❌ Fatal error running tests:', error);
+    process.exit(1);
+});
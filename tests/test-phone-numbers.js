@@ -0,0 +1,210 @@
+/**
+ * Test Script for Phone Number Parsing
+ *
+ * Runs offline: the API clients get an in-memory suppression list and a stand-in
+ * HTTP client, so no requests leave the machine.
+ *
+ * Tests the following components:
+ * 1. Parsing and formatting across countries (types, trunk prefixes, extensions)
+ * 2. One answer everywhere: enrichment, GHL mapper, exports and area-code lookup
+ * 3. SMS and dialing: no texts to landlines or toll-free numbers, dialers get E.164
+ *
+ * Usage: node tests/test-phone-numbers.js
+ */
+
+const {
+    parsePhoneNumber,
+    toE164,
+    formatPhoneNumber,
+    isValidPhoneNumber,
+    canReceiveSms
+} = require('../executions/utils/phone-numbers');
+const { enrichSingleLead } = require('../executions/utils/lead-enrichment');
+const { mapLeadToGHLContact, standardizePhone, validateLeadData } = require('../executions/utils/lead-to-ghl-mapper');
+const { formatLeads } = require('../executions/utils/export-profiles');
+const { lookupAreaCode } = require('../executions/utils/geocoder');
+const { generateBulkNurtureSequences, getRecommendedSequence } = require('../executions/utils/nurture-sequences');
+const { SuppressionList } = require('../executions/utils/suppression-list');
+const GoHighLevelAPI = require('../executions/integrations/gohighlevel-api');
+const VapiAPI = require('../executions/integrations/vapi-api');
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+/**
+ * Test parsing and formatting
+ */
+function testParsing() {
+    console.log('\n========================================');
+    console.log('Testing Parsing & Formatting');
+    console.log('========================================\n');
+
+    const us = parsePhoneNumber('(512) 555-0100 ext. 204');
+    const ukMobile = parsePhoneNumber('+44 (0)7911 123456');
+    const london = parsePhoneNumber('020 7946 0958', { defaultCountry: 'GB' });
+    const tollFree = parsePhoneNumber('1-800-555-0199');
+    const unsupported = parsePhoneNumber('+81 3-1234-5678');
+
+    const results = [
+        check('US national number', us.e164 === '+15125550100' && us.country === 'US' &&
+            us.type === 'fixed-or-mobile' && us.isValid && us.extension === '204'),
+        check('US display formats', us.nationalFormat === '(512) 555-0100' && us.internationalFormat === '+1 512-555-0100'),
+        check('Canadian area code', parsePhoneNumber('+1 416 555 0100').country === 'CA'),
+        check('Caribbean NANP country', parsePhoneNumber('876-555-0100').country === 'JM'),
+        check('UK mobile with (0) trunk prefix', ukMobile.e164 === '+447911123456' && ukMobile.type === 'mobile' &&
+            ukMobile.nationalFormat === '07911 123456'),
+        check('UK national landline', london.e164 === '+442079460958' && london.type === 'landline' &&
+            london.internationalFormat === '+44 20 7946 0958'),
+        check('00 and 011 international prefixes', toE164('0044 20 7946 0958') === '+442079460958' &&
+            toE164('011 44 20 7946 0958') === '+442079460958'),
+        check('Toll-free detected', tollFree.type === 'toll-free' && tollFree.isValid),
+        check('Other countries typed', parsePhoneNumber('+33 6 12 34 56 78').type === 'mobile' &&
+            parsePhoneNumber('+61 2 9374 4000').type === 'landline' &&
+            parsePhoneNumber('+55 11 91234-5678').nationalFormat === '(11) 91234-5678'),
+        check('Country names accepted as default', toE164('07911 123456', { defaultCountry: 'United Kingdom' }) === '+447911123456'),
+        check('Invalid numbers rejected', !isValidPhoneNumber('(123) 456-7890') && toE164('555-0100') === null &&
+            !isValidPhoneNumber('+44 7911 12')),
+        check('Country without metadata kept as E.164, unvalidated', unsupported.e164 === '+81312345678' &&
+            !unsupported.isValid && !unsupported.hasMetadata && toE164('+81 3-1234-5678') === '+81312345678'),
+        check('Format styles', formatPhoneNumber('+442079460958', 'national') === '020 7946 0958' &&
+            formatPhoneNumber('512.555.0100', 'e164') === '+15125550100'),
+        check('No digits returns null', parsePhoneNumber('n/a') === null)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test that every module agrees
+ */
+async function testSharedUse() {
+    console.log('\n========================================');
+    console.log('Testing Enrichment, Mapper & Exports');
+    console.log('========================================\n');
+
+    const enriched = await enrichSingleLead({ companyName: 'Thames Brokers', phone: '07911 123456', country: 'GB' }, 'standard');
+    const invalid = await enrichSingleLead({ companyName: 'Typo Realty', phone: '555-0100' }, 'standard');
+    const usLead = await enrichSingleLead({ companyName: 'Lone Star Insurance', phone: '512.555.0100' }, 'standard');
+    const geocodedLead = await enrichSingleLead({ companyName: 'Maple Leaf Insurance', location: 'Toronto, ON', phone: '1-800-555-0199' }, 'standard');
+    const ghl = mapLeadToGHLContact({ firstName: 'Ian', lastName: 'Hale', phone: '020 7946 0958', country: 'GB', phoneType: 'landline' });
+    const [csvRow] = formatLeads([enriched], 'csv');
+    const [hubspotRow] = formatLeads([{ email: 'ian@thames.test', phone: '020 7946 0958', country: 'GB' }], 'hubspot');
+
+    const results = [
+        check('Enrichment parses in the lead country', enriched.phone === '+447911123456' && enriched.phoneCountry === 'GB' &&
+            enriched.phoneType === 'mobile' && enriched.phoneValid === true),
+        check('Phone fields carry provenance', enriched.provenance.phone.transforms[0] === 'standardize_phone' &&
+            enriched.provenance.phoneType.transforms[0] === 'parse_phone'),
+        check('Invalid number kept and flagged', invalid.phone === '555-0100' && invalid.phoneValid === false &&
+            invalid.phoneType === null),
+        check('Phone parsed in the geocoded country', geocodedLead.country === 'CA' && geocodedLead.phoneCountry === 'CA' &&
+            geocodedLead.phoneType === 'toll-free'),
+        check('Enrichment and mapper agree', usLead.phone === standardizePhone('512.555.0100') && usLead.phone === '+15125550100'),
+        check('GHL contact gets E.164 and phone type', ghl.phone === '+442079460958' && ghl.customFields.phone_type === 'landline'),
+        check('Validation warns only on invalid numbers', validateLeadData({ firstName: 'A', lastName: 'B', phone: '(512) 555-0100' }).warnings.length === 0 &&
+            validateLeadData({ firstName: 'A', lastName: 'B', phone: '555-0100' }).warnings.some(w => /not a valid phone/.test(w))),
+        check('Exports use the same parser', csvRow.phone_type === 'mobile' && hubspotRow['Phone Number'] === '+442079460958'),
+        check('Area code lookup only for NANP', lookupAreaCode('1 (303) 555-0100').state === 'CO' &&
+            lookupAreaCode('+44 20 7946 0958') === null)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test SMS and dialing paths
+ */
+async function testSmsAndCalls() {
+    console.log('\n========================================');
+    console.log('Testing SMS & Dialing');
+    console.log('========================================\n');
+
+    const posts = [];
+    const standInClient = {
+        post: async (url, payload) => {
+            posts.push({ url, payload });
+            return { data: { id: 'call_1', messageId: 'msg_1' } };
+        }
+    };
+
+    const ghl = new GoHighLevelAPI('test-key', 'test-location');
+    ghl.client = standInClient;
+    ghl.setSuppressionList(new SuppressionList());
+    ghl.getContact = async () => ({ contact: { phone: '+18005550199' } });
+    const tollFreeSms = await ghl.sendSMS('contact_1', 'Quick follow-up');
+    ghl.getContact = async () => ({ contact: { phone: '+447911123456' } });
+    const mobileSms = await ghl.sendSMS('contact_2', 'Quick follow-up');
+
+    const vapi = new VapiAPI('test-key');
+    vapi.client = standInClient;
+    vapi.setSuppressionList(new SuppressionList());
+    const call = await vapi.makeOutboundCall({ assistantId: 'asst_1', phoneNumber: '(312) 555-0100' });
+    let callError = null;
+    try {
+        await vapi.makeOutboundCall({ assistantId: 'asst_1', phoneNumber: '+44 7911 12' });
+    } catch (error) {
+        callError = error.message;
+    }
+
+    const nurture = generateBulkNurtureSequences('replied', [
+        { contactId: 'c1', firstName: 'Ann', lastName: 'Lee', phone: '+442079460958' },
+        { contactId: 'c2', firstName: 'Bo', lastName: 'Kim', phone: '(512) 555-0100' },
+        { contactId: 'c3', firstName: 'Cy', lastName: 'Ng', phone: '+15125550100', phoneType: 'landline' }
+    ]);
+    const channels = result => result.sequence.map(message => message.channel);
+
+    const results = [
+        check('SMS capability by type', canReceiveSms('+447911123456') && canReceiveSms('(512) 555-0100') &&
+            !canReceiveSms('+442079460958') && !canReceiveSms('1-800-555-0199') && !canReceiveSms('555-0100')),
+        check('GHL does not text toll-free numbers', tollFreeSms.success === false && tollFreeSms.smsCapable === false &&
+            tollFreeSms.phoneType === 'toll-free'),
+        check('GHL texts mobiles', mobileSms.success === true && posts[0].url === '/conversations/messages'),
+        check('Dialer accepts national format and sends E.164', call.success === true &&
+            posts[1].payload.customer.number === '+13125550100'),
+        check('Dialer rejects invalid numbers', /Invalid phone number/.test(callError || '') && posts.length === 2),
+        check('Nurture drops SMS for a landline', !channels(nurture[0]).includes('sms') && nurture[0].smsExcluded === 'landline'),
+        check('Nurture keeps SMS for US numbers', channels(nurture[1]).includes('sms') && nurture[1].smsExcluded === null),
+        check('Nurture trusts the enriched phone type', nurture[2].smsExcluded === 'landline'),
+        check('Recommendations skip SMS for landlines', getRecommendedSequence({
+            sentiment: 'positive', phone: '+442079460958'
+        }).channels.join(',') === 'email')
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   PHONE NUMBER TEST SUITE              ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    const testResults = {
+        parsing: testParsing(),
+        shared: await testSharedUse(),
+        smsAndCalls: await testSmsAndCalls()
+    };
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`Parsing:       ${testResults.parsing ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Shared Use:    ${testResults.shared ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`SMS & Calls:   ${testResults.smsAndCalls ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = Object.values(testResults).every(Boolean);
+    console.log(`\nOverall Status: ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests().catch(error => {
+    console.error('\n❌ Fatal error running tests:', error);
+    process.exit(1);
+});
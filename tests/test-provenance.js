@@ -0,0 +1,211 @@
+/**
+ * Test Script for Field Provenance
+ *
+ * Tests the following components:
+ * 1. Recording, transforms, derivations and source trust
+ * 2. Provenance through mergeLeads (conflicts) and enrichSingleLead
+ * 3. Provenance in Instantly/SmartLead exports and GHL custom fields
+ *
+ * Usage: node tests/test-provenance.js
+ */
+
+const {
+    recordProvenance,
+    recordTransform,
+    recordDerivation,
+    pickPreferredValue,
+    formatProvenance
+} = require('../executions/utils/provenance');
+const {
+    mergeLeads,
+    enrichSingleLead,
+    formatForInstantly,
+    formatForSmartlead
+} = require('../executions/utils/lead-enrichment');
+const { mapLeadToGHLContact, mapCustomFields } = require('../executions/utils/lead-to-ghl-mapper');
+
+const LINKEDIN_LEAD = {
+    fullName: 'Jane Doe',
+    jobTitle: 'Agency Owner',
+    companyName: 'Lone Star Insurance',
+    website: 'https://lonestarins.test',
+    phone: '512-555-0199',
+    location: 'Austin, TX',
+    scrapeDate: '2026-03-01T10:00:00.000Z'
+};
+
+const GOOGLE_LEAD = {
+    name: 'Lone Star Insurance',
+    website: 'https://www.lonestarins.test/',
+    phone: '(512) 555-0100',
+    address: '100 Congress Ave, Austin, TX 78701',
+    rating: 4.7,
+    reviewCount: 88,
+    scrapeDate: '2026-03-02T09:00:00.000Z'
+};
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+/**
+ * Test recording helpers
+ */
+function testRecording() {
+    console.log('\n========================================');
+    console.log('Testing Provenance Recording');
+    console.log('========================================\n');
+
+    const original = { phone: '(512) 555-0100' };
+    recordProvenance(original, 'phone', { source: 'google-maps', retrievedAt: '2026-03-02T09:00:00.000Z' });
+
+    const copy = { ...original, phone: '+15125550100' };
+    recordTransform(copy, 'phone', 'standardize_phone', '(512) 555-0100');
+    const unchanged = recordTransform(copy, 'phone', 'standardize_phone', '+15125550100');
+
+    copy.website = 'https://lonestarins.test';
+    recordProvenance(copy, 'website', { source: 'linkedin' });
+    copy.domain = 'lonestarins.test';
+    recordDerivation(copy, 'domain', ['website'], 'extract_domain');
+
+    let missingSourceError = null;
+    try {
+        recordProvenance(copy, 'email', { confidence: 1 });
+    } catch (error) {
+        missingSourceError = error.message;
+    }
+
+    const preferred = pickPreferredValue([
+        { value: '', source: 'google-maps' },
+        { value: '555-0101', source: 'linkedin' },
+        { value: '555-0102', source: 'file' }
+    ]);
+    const trusted = pickPreferredValue([
+        { value: '555-0100', source: 'google-maps' },
+        { value: '555-0102', source: 'file' }
+    ], { file: 0.95 });
+
+    const results = [
+        check('Source default confidence applied', original.provenance.phone.confidence === 0.9),
+        check('Transform keeps source and raw value', copy.provenance.phone.source === 'google-maps' &&
+            copy.provenance.phone.transforms[0] === 'standardize_phone' && copy.provenance.phone.originalValue === '(512) 555-0100'),
+        check('Copied lead does not change the original', original.provenance.phone.transforms.length === 0),
+        check('Unchanged value records no transform', unchanged === null && copy.provenance.phone.transforms.length === 1),
+        check('Derived field inherits input confidence', copy.provenance.domain.source === 'derived' &&
+            copy.provenance.domain.confidence === 0.8 && copy.provenance.domain.from[0] === 'website'),
+        check('Entry without source rejected', /needs a source/.test(missingSourceError || '')),
+        check('Empty values skipped in conflicts', preferred.value === '555-0101' && preferred.confidence === 0.8),
+        check('Trust overrides change the winner', trusted.value === '555-0102'),
+        check('Summary lists source, transforms and confidence',
+            formatProvenance(copy, ['phone']) === 'phone: google-maps > standardize_phone (0.9)')
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test provenance through merge and enrichment
+ */
+async function testEnrichment() {
+    console.log('\n========================================');
+    console.log('Testing Merge & Enrichment Lineage');
+    console.log('========================================\n');
+
+    const [merged] = await mergeLeads([LINKEDIN_LEAD], [GOOGLE_LEAD]);
+    const [fileTrusted] = await mergeLeads([], [GOOGLE_LEAD], [{
+        ...LINKEDIN_LEAD,
+        leadSource: 'client-crm.csv',
+        importFile: './imports/client-crm.csv',
+        importDate: '2026-02-20T08:00:00.000Z'
+    }], { sourceTrust: { file: 0.95 } });
+
+    // Standard level without a website (no DNS lookup): name split, inferred email skipped, phone standardized
+    const { website, ...noWebsite } = merged;
+    const standard = await enrichSingleLead(noWebsite, 'standard');
+    const basic = await enrichSingleLead(merged, 'basic');
+
+    const results = [
+        check('Merged lead took Google Maps phone (more trusted)', merged.phone === GOOGLE_LEAD.phone &&
+            merged.provenance.phone.source === 'google-maps' && merged.provenance.phone.retrievedAt === GOOGLE_LEAD.scrapeDate),
+        check('Base fields keep LinkedIn as source', merged.provenance.jobTitle.source === 'linkedin' &&
+            merged.provenance.jobTitle.retrievedAt === LINKEDIN_LEAD.scrapeDate),
+        check('Google-only fields tagged', merged.provenance.googleRating.source === 'google-maps'),
+        check('Trusted client file wins the conflict', fileTrusted.phone === LINKEDIN_LEAD.phone &&
+            fileTrusted.provenance.phone.source === 'file' && fileTrusted.provenance.phone.detail === 'client-crm.csv' &&
+            fileTrusted.provenance.phone.confidence === 0.95),
+        check('Name split recorded as derived', basic.provenance.firstName.source === 'derived' &&
+            basic.provenance.firstName.transforms[0] === 'split_full_name'),
+        check('Inferred email tagged with pattern and confidence', basic.provenance.email.source === 'inference' &&
+            basic.provenance.email.confidence === basic.emailConfidence && basic.provenance.email.detail === basic.emailPattern),
+        check('Domain derived from website', basic.provenance.domain.transforms[0] === 'extract_domain'),
+        check('Phone standardization keeps Google Maps as source', standard.phone === '+15125550100' &&
+            standard.provenance.phone.source === 'google-maps' && standard.provenance.phone.originalValue === GOOGLE_LEAD.phone),
+        check('Input lead left untouched', !merged.provenance.phone.transforms.length && !merged.provenance.email)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test provenance in exports
+ */
+async function testExports() {
+    console.log('\n========================================');
+    console.log('Testing Export & CRM Fields');
+    console.log('========================================\n');
+
+    const [merged] = await mergeLeads([LINKEDIN_LEAD], [GOOGLE_LEAD]);
+    const lead = await enrichSingleLead(merged, 'basic');
+    const summary = formatProvenance(lead);
+
+    const [instantlyRow] = formatForInstantly([lead]);
+    const [smartleadRow] = formatForSmartlead([lead]);
+    const ghlContact = mapLeadToGHLContact(lead);
+    const fromExport = mapLeadToGHLContact({ ...instantlyRow, firstName: 'Jane', lastName: 'Doe' });
+
+    const results = [
+        check('Summary starts with the email lineage', summary.startsWith(`email: inference/${lead.emailPattern} (`)),
+        check('Instantly export carries the summary', instantlyRow.customField7 === summary),
+        check('SmartLead export carries the summary', smartleadRow['Data Provenance'] === summary),
+        check('GHL contact gets data_provenance', ghlContact.customFields.data_provenance === summary),
+        check('mapCustomFields includes data_provenance', mapCustomFields(lead).data_provenance === summary),
+        check('Exported row keeps provenance into GHL', fromExport.customFields.data_provenance === summary)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   FIELD PROVENANCE TEST SUITE          ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    const testResults = {
+        recording: testRecording(),
+        enrichment: await testEnrichment(),
+        exports: await testExports()
+    };
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`Recording:  ${testResults.recording ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Enrichment: ${testResults.enrichment ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Exports:    ${testResults.exports ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = Object.values(testResults).every(Boolean);
+    console.log(`\nOverall Status: ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests().catch(error => {
+    console.error('\n❌ Fatal error running tests:', error);
+    process.exit(1);
+});
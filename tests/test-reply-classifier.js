@@ -0,0 +1,230 @@
+/**
+ * Test Script for the Reply Intent Classifier
+ *
+ * Runs offline: the LLM path uses the mock provider, and the fallback tests
+ * point the provider at an API key variable that isn't set.
+ *
+ * Tests the following components:
+ * 1. Rules: one reply per intent, with its entities
+ * 2. classifyReply: LLM results, validation, opt-out override, fallback to the rules
+ * 3. Webhook mappers: intent and sentiment on replies, suppression of unsubscribes
+ *
+ * Usage: node tests/test-reply-classifier.js
+ */
+
+const { classifyReply, classifyReplyWithRules, validateClassification } = require('../executions/ai/reply-classifier');
+const { configureLLM, resetLLMClient, getProvider, isLLMConfigured } = require('../executions/ai/llm-client');
+const { CostLedger, setSharedCostLedger } = require('../executions/ai/cost-ledger');
+const { mapInstantlyWebhook, mapSmartLeadWebhook } = require('../executions/utils/lead-to-ghl-mapper');
+const { SuppressionList, SUPPRESSION_REASONS } = require('../executions/utils/suppression-list');
+
+// Keep the ledger in memory so test calls don't land in .cache/
+setSharedCostLedger(new CostLedger({ filePath: null }));
+
+const NO_DELAY = { retry: { maxAttempts: 2, baseDelay: 0, maxDelay: 0 } };
+
+// Monday, October 19, 2026
+const NOW = new Date(Date.UTC(2026, 9, 19));
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+function classify(body, subject = '') {
+    return classifyReplyWithRules({ body, subject, email: 'jane@abc.com' }, { now: NOW });
+}
+
+/**
+ * Test the rules classifier
+ */
+function testRules() {
+    console.log('\n========================================');
+    console.log('Testing Rules Classifier');
+    console.log('========================================\n');
+
+    const interested = classify('Sounds interesting, tell me more.');
+    const meeting = classify('Happy to set up a call. Are you free next Tuesday at 2pm or Thursday afternoon?');
+    const needsInfo = classify('How much does this cost? And how does onboarding work?');
+    const referral = classify("I'm not the right person. Please reach out to Sarah Chen, our Operations Director, at sarah.chen@abc.com.");
+    const notNow = classify('Not right now, we are heads down on a launch. Circle back after Q1.');
+    const later = classify('Bad time for us, maybe in a couple of months.');
+    const notInterested = classify('No thanks, we already work with an agency.');
+    const unsubscribe = classify('Please remove me from your list.');
+    const keywords = ['STOP', 'stop.', 'Unsubscribe', 'REMOVE!'].map(text => classify(text));
+    const outOfOffice = classify('I am out of the office until March 10 with limited access to email.', 'Automatic reply: A quick idea');
+    const wrongPerson = classify('I no longer work at ABC.');
+    const unclear = classify('Ok.');
+    const quoted = classify('Sounds good, tell me more.\n\nOn Mon, Oct 12, 2026 at 9:00 AM Sam wrote:\n> Not interested? Reply STOP to unsubscribe');
+
+    const results = [
+        check('Interested', interested.intent === 'interested' && interested.sentiment === 'positive' && interested.priority === 'high'),
+        check('Meeting request with proposed times', meeting.intent === 'meeting-request' &&
+            meeting.entities.meetingTimes.join('|') === 'next Tuesday at 2pm|Thursday afternoon'),
+        check('Needs info with questions', needsInfo.intent === 'needs-info' && needsInfo.entities.questions.length === 2),
+        check('Referral with name, email and title', referral.intent === 'referral' && referral.confidence === 0.85 &&
+            referral.entities.referral.name === 'Sarah Chen' && referral.entities.referral.email === 'sarah.chen@abc.com' &&
+            referral.entities.referral.title === 'Operations Director'),
+        check('Not now with timing hint and follow-up date', notNow.intent === 'not-now' &&
+            notNow.entities.timingHint === 'after Q1' && notNow.entities.followUpDate === '2027-04-01'),
+        check('Relative timing resolved', later.intent === 'not-now' && later.entities.followUpDate === '2026-12-19'),
+        check('Not interested', notInterested.intent === 'not-interested' && notInterested.sentiment === 'negative'),
+        check('Unsubscribe', unsubscribe.intent === 'unsubscribe' && unsubscribe.confidence === 0.95),
+        check('Opt-out keyword alone is unsubscribe', keywords.every(result => result.intent === 'unsubscribe')),
+        check('Opt-out keyword inside a sentence is not', classify('Stop by our booth at the expo.').intent !== 'unsubscribe'),
+        check('Out of office with return date', outOfOffice.intent === 'out-of-office' &&
+            outOfOffice.sentiment === 'out-of-office' && outOfOffice.entities.returnDate === '2027-03-10'),
+        check('Wrong person without a referral', wrongPerson.intent === 'wrong-person' && wrongPerson.entities.referral === null),
+        check('Unclear with low confidence', unclear.intent === 'unclear' && unclear.confidence < 0.5 &&
+            unclear.suggestedResponse === 'Manual review required'),
+        check('Quoted original message ignored', quoted.intent === 'interested'),
+        check('Rules results are marked', [interested, referral, unclear].every(result => result.method === 'rules'))
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test classifyReply with and without an LLM
+ */
+async function testClassifyReply() {
+    console.log('\n========================================');
+    console.log('Testing classifyReply');
+    console.log('========================================\n');
+
+    const notNowBody = 'Timing is not great. Check back with me next quarter.';
+    const llmAnswer = JSON.stringify({
+        intent: 'not-now',
+        confidence: 0.9,
+        entities: { timingHint: 'next quarter', followUpDate: '2027-01-04', referral: null, meetingTimes: [], questions: [] },
+        keyPoints: ['Busy this quarter'],
+        suggestedResponse: 'Follow up in January',
+        reasoning: 'Asks to reconnect next quarter'
+    });
+
+    resetLLMClient();
+    configureLLM({ ...NO_DELAY, provider: 'mock', providers: { mock: { responses: { 'reply-classification': llmAnswer } } } });
+    const llm = await classifyReply({ body: notNowBody, email: 'jane@abc.com' }, { now: NOW, context: { campaignId: 'camp_1' } });
+    const prompt = getProvider('mock').calls[0].messages[0].content;
+    const optOut = await classifyReply('Not now. Actually, please remove me from your list.', { now: NOW });
+
+    resetLLMClient();
+    configureLLM({ ...NO_DELAY, provider: 'mock', providers: { mock: { responses: { 'reply-classification': JSON.stringify({ intent: 'maybe', confidence: 2 }) } } } });
+    const invalid = await classifyReply(notNowBody, { now: NOW });
+    const invalidCalls = getProvider('mock').calls.length;
+
+    resetLLMClient();
+    configureLLM({ ...NO_DELAY, provider: 'openai', providers: { openai: { apiKeyEnv: 'REPLY_CLASSIFIER_TEST_UNSET_KEY' } } });
+    const configured = isLLMConfigured('reply-classification');
+    const unconfigured = await classifyReply(notNowBody, { now: NOW });
+    const forced = await classifyReply(notNowBody, { now: NOW, llm: true });
+
+    const validationErrors = validateClassification({ intent: 'interested', confidence: 0.5, entities: { returnDate: 'March 10', meetingTimes: 'Tuesday' } });
+
+    const results = [
+        check('LLM classification used when configured', llm.method === 'llm' && llm.intent === 'not-now' &&
+            llm.confidence === 0.9 && llm.entities.followUpDate === '2027-01-04' && llm.suggestedResponse === 'Follow up in January'),
+        check('Routing fields come from the intent', llm.sentiment === 'neutral' && llm.priority === 'low'),
+        check('Prompt lists the intents and today\'s date', /- wrong-person: /.test(prompt) && /Today's date: 2026-10-19/.test(prompt) &&
+            prompt.includes(notNowBody)),
+        check('Opt-out wording overrides the LLM', optOut.method === 'llm' && optOut.intent === 'unsubscribe' && optOut.sentiment === 'negative'),
+        check('Invalid LLM answers retried, then rules used', invalidCalls === 2 && invalid.method === 'rules' &&
+            invalid.intent === 'not-now' && /does not match the schema/.test(invalid.fallbackReason)),
+        check('Missing API key skips the LLM', configured === false && unconfigured.method === 'rules' &&
+            unconfigured.fallbackReason === undefined && unconfigured.entities.followUpDate === '2027-01-01'),
+        check('Forced LLM without a key falls back', forced.method === 'rules' && /REPLY_CLASSIFIER_TEST_UNSET_KEY/.test(forced.fallbackReason)),
+        check('Classification validation lists entity problems', validationErrors.length === 2 &&
+            validationErrors.includes('entities.returnDate must be YYYY-MM-DD or null'))
+    ];
+
+    resetLLMClient();
+    return results.every(Boolean);
+}
+
+/**
+ * Test the webhook mappers
+ */
+async function testMappers() {
+    console.log('\n========================================');
+    console.log('Testing Webhook Mappers');
+    console.log('========================================\n');
+
+    const list = new SuppressionList();
+
+    const instantly = mapInstantlyWebhook({
+        event_type: 'reply',
+        lead_email: 'john@company.com',
+        lead_name: 'John Smith',
+        data: { reply_body: 'Sounds great. Can we set up a call? Thursday at 10am works.', reply_subject: 'Re: A quick idea' }
+    }, { suppressionList: list });
+
+    const platformSentiment = mapInstantlyWebhook({
+        event_type: 'reply',
+        lead_email: 'mary@company.com',
+        data: { reply_body: 'Sounds great, tell me more.', sentiment: 'neutral' }
+    });
+
+    const smartlead = mapSmartLeadWebhook({ event: 'email_reply', email: 'away@company.com', message_body: 'Out of office, back on Monday.' });
+    const stop = mapInstantlyWebhook({ event_type: 'reply', lead_email: 'texter@company.com', data: { reply_body: 'STOP' } }, { suppressionList: list });
+    const bounce = mapSmartLeadWebhook({ event: 'email_bounce', email: 'gone@company.com' });
+
+    resetLLMClient();
+    configureLLM({
+        ...NO_DELAY,
+        provider: 'mock',
+        providers: { mock: { responses: { 'reply-classification': JSON.stringify({ intent: 'unsubscribe', confidence: 0.9, entities: {} }) } } }
+    });
+    const body = 'We have decided to go another way. Do not follow up.';
+    const classification = await classifyReply({ body, email: 'ceo@company.com' });
+    const llmMapped = mapSmartLeadWebhook({ event: 'email_reply', email: 'ceo@company.com', message_body: body }, { classification, suppressionList: list });
+    resetLLMClient();
+
+    const results = [
+        check('Instantly reply classified, sentiment filled', instantly.intent === 'meeting-request' && instantly.sentiment === 'positive' &&
+            instantly.classification.entities.meetingTimes[0] === 'Thursday at 10am' && instantly.suppression === null),
+        check('Platform sentiment kept', platformSentiment.intent === 'interested' && platformSentiment.sentiment === 'neutral'),
+        check('SmartLead out-of-office reply classified', smartlead.intent === 'out-of-office' && smartlead.sentiment === 'out-of-office' &&
+            smartlead.classification.entities.returnDate !== null),
+        check('STOP reply suppressed', stop.intent === 'unsubscribe' && stop.suppression.reason === SUPPRESSION_REASONS.OPT_OUT_REQUEST &&
+            list.check({ email: 'texter@company.com' }).suppressed),
+        check('Non-reply events not classified', bounce.intent === undefined && bounce.sentiment === 'neutral'),
+        check('Given classification used and unsubscribe suppressed', llmMapped.intent === 'unsubscribe' && llmMapped.sentiment === 'negative' &&
+            llmMapped.suppression.reason === SUPPRESSION_REASONS.OPT_OUT_REQUEST && list.check({ email: 'ceo@company.com' }).suppressed)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   REPLY CLASSIFIER TEST SUITE          ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    const testResults = {
+        rules: testRules(),
+        classifyReply: await testClassifyReply(),
+        mappers: await testMappers()
+    };
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`Rules:          ${testResults.rules ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`classifyReply:  ${testResults.classifyReply ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Mappers:        ${testResults.mappers ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = Object.values(testResults).every(Boolean);
+    console.log(`\nOverall Status: ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests().catch(error => {
+    console.error('\n❌ Fatal error running tests:', error);
+    process.exit(1);
+});
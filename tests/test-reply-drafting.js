@@ -0,0 +1,332 @@
+/**
+ * Test Script for the Reply Drafting Assistant
+ *
+ * Runs offline: drafts come from the mock LLM provider (or the templates), and
+ * GHL and the calendar are stand-ins, so no requests leave the machine.
+ *
+ * Tests the following components:
+ * 1. Drafting: thread, CRM, research and slots in the prompt, concrete times, stored for approval
+ * 2. Checks and fallbacks: invented times rejected, templates without an LLM, skipped intents
+ * 3. Approval and sending: approve/edit/reject, GHL email, suppressed contacts
+ * 4. Auto-send policy: per intent, confidence threshold, never for template fallbacks
+ *
+ * Usage: node tests/test-reply-drafting.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { draftReplyResponses, sendApprovedDraft, evaluateAutoSend, checkDraft } = require('../executions/ai/reply-drafting');
+const { ReplyDraftStore } = require('../executions/ai/reply-draft-store');
+const { ResearchCache, setSharedResearchCache } = require('../executions/ai/research-cache');
+const { configureLLM, resetLLMClient, getProvider } = require('../executions/ai/llm-client');
+const { CostLedger, setSharedCostLedger } = require('../executions/ai/cost-ledger');
+const { SuppressionList, SUPPRESSION_REASONS } = require('../executions/utils/suppression-list');
+const GoHighLevelAPI = require('../executions/integrations/gohighlevel-api');
+
+// Keep the ledger and research cache in memory so test calls don't land in .cache/
+setSharedCostLedger(new CostLedger({ filePath: null }));
+const researchCache = new ResearchCache({ filePath: null });
+setSharedResearchCache(researchCache);
+
+const NO_DELAY = { retry: { maxAttempts: 2, baseDelay: 0, maxDelay: 0 } };
+
+// Monday, October 19, 2026, 7am in Chicago
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+const REPLY = {
+    replyId: 'r2',
+    leadEmail: 'jane@abcinsurance.com',
+    leadName: 'Jane Doe',
+    subject: 'A quick idea for ABC Insurance',
+    body: 'Sounds interesting. Could we set up a call Thursday afternoon?',
+    timestamp: '2026-10-19T11:00:00Z',
+    threadId: 'thread_1'
+};
+
+// Replies as getCampaignReplies returns them: an earlier one in the thread and another lead's
+const THREAD = [
+    REPLY,
+    { replyId: 'r1', leadEmail: 'jane@abcinsurance.com', body: 'Who else do you work with in Texas?', timestamp: '2026-10-15T09:00:00Z', threadId: 'thread_1' },
+    { replyId: 'r3', leadEmail: 'bob@other.com', body: 'Not for us.', timestamp: '2026-10-18T09:00:00Z', threadId: 'thread_9' }
+];
+
+const MEETING_CLASSIFICATION = JSON.stringify({
+    intent: 'meeting-request',
+    confidence: 0.92,
+    entities: { meetingTimes: ['Thursday afternoon'], questions: [] },
+    keyPoints: ['Wants a call on Thursday']
+});
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+async function errorMessage(fn) {
+    try {
+        await fn();
+    } catch (error) {
+        return error.message;
+    }
+    return '';
+}
+
+/**
+ * Stand-in calendar: open slots Tuesday to Friday (times in UTC)
+ */
+function buildCalendar() {
+    const calls = [];
+    return {
+        calls,
+        getAvailability: async params => {
+            calls.push(params);
+            return ['2026-10-20T15:00:00Z', '2026-10-20T16:00:00Z', '2026-10-22T19:00:00Z', '2026-10-22T20:00:00Z', '2026-10-23T14:00:00Z']
+                .map(dateTime => ({ dateTime, timezone: 'America/Chicago', duration: 30, available: true }));
+        }
+    };
+}
+
+/**
+ * GHL client with a stand-in HTTP client and contact lookups
+ */
+function buildGHL(suppressionList = new SuppressionList()) {
+    const posts = [];
+    const ghl = new GoHighLevelAPI('test-key', 'test-location');
+    ghl.client = {
+        post: async (url, payload) => {
+            posts.push({ url, payload });
+            return { data: { messageId: 'msg_1' } };
+        }
+    };
+    ghl.setSuppressionList(suppressionList);
+    ghl.searchContact = async () => ({ found: true, contact: { id: 'contact_1' } });
+    ghl.getContact = async () => ({
+        contact: { id: 'contact_1', firstName: 'Jane', lastName: 'Doe', email: 'jane@abcinsurance.com', companyName: 'ABC Insurance', website: 'https://abcinsurance.com', tags: ['insurance'] }
+    });
+    ghl.getConversations = async () => ({ messages: [{ direction: 'outbound', dateAdded: '2026-10-12T10:00:00Z', body: 'Sent the opener about referral-driven growth.' }] });
+    return { ghl, posts };
+}
+
+/**
+ * Test drafting with the LLM
+ */
+async function testDrafting(dir) {
+    console.log('\n========================================');
+    console.log('Testing Drafting');
+    console.log('========================================\n');
+
+    researchCache.set({ website: 'abcinsurance.com', companyName: 'ABC Insurance' }, 'ABC Insurance is a commercial insurance broker serving contractors in central Texas.');
+
+    resetLLMClient();
+    configureLLM({ ...NO_DELAY, provider: 'mock', providers: { mock: { responses: { 'reply-classification': MEETING_CLASSIFICATION } } } });
+
+    const store = new ReplyDraftStore({ filePath: path.join(dir, 'reply-drafts.json') });
+    const calendar = buildCalendar();
+    const { ghl, posts } = buildGHL();
+    const record = await draftReplyResponses(REPLY, { thread: THREAD, ghl, calendar, store, now: NOW, sender: { name: 'Sam' } });
+    const prompt = getProvider('mock').calls[1].messages[0].content;
+    const reloaded = new ReplyDraftStore({ filePath: path.join(dir, 'reply-drafts.json') });
+
+    const results = [
+        check('Two drafts stored as pending', record.status === 'pending' && record.drafts.length === 2 &&
+            record.drafts.every(draft => draft.fallback === false) && store.list({ status: 'pending' }).length === 1),
+        check('Slots looked up from tomorrow for a week', calendar.calls[0].startDate === '2026-10-20' && calendar.calls[0].endDate === '2026-10-26'),
+        check('Thursday slot offered first-class, one per day', record.slots.map(slot => slot.dateTime).join(',') ===
+            '2026-10-20T15:00:00.000Z,2026-10-22T19:00:00.000Z,2026-10-23T14:00:00.000Z' &&
+            record.slots[1].label === 'Thursday, October 22 at 2:00 PM CDT'),
+        check('Drafts propose concrete open times', record.drafts[0].proposedTimes.length === 2 &&
+            record.drafts[0].body.includes('Tuesday, October 20 at 10:00 AM CDT')),
+        check('Prompt has thread, CRM, research and slots', prompt.includes('Who else do you work with in Texas?') &&
+            !prompt.includes('Not for us.') && prompt.includes('Sent the opener about referral-driven growth.') &&
+            prompt.includes('commercial insurance broker') && prompt.includes('- Slot: Friday, October 23 at 9:00 AM CDT | 2026-10-23T14:00:00.000Z') &&
+            prompt.includes('- Times they proposed: Thursday afternoon')),
+        check('Context and contact recorded', record.contactId === 'contact_1' && record.contextUsed.threadMessages === 1 &&
+            record.contextUsed.research === true && record.contextUsed.conversations === 1 && record.contextErrors.length === 0),
+        check('Nothing sent without approval', posts.length === 0 && record.autoSend.allowed === false),
+        check('Store persists to disk', reloaded.get(record.id) !== null && reloaded.get(record.id).drafts.length === 2)
+    ];
+
+    resetLLMClient();
+    return results.every(Boolean);
+}
+
+/**
+ * Test draft checks and fallbacks
+ */
+async function testFallbacks() {
+    console.log('\n========================================');
+    console.log('Testing Checks and Fallbacks');
+    console.log('========================================\n');
+
+    const store = new ReplyDraftStore({ filePath: null });
+    const invented = JSON.stringify({ drafts: [{ subject: 'Re: A quick idea', body: 'Hi Jane,\n\nHow about Saturday at 6am?\n\nBest regards', proposedTimes: ['2026-10-24T11:00:00.000Z'] }] });
+
+    resetLLMClient();
+    configureLLM({
+        ...NO_DELAY,
+        provider: 'mock',
+        providers: { mock: { responses: { 'reply-classification': MEETING_CLASSIFICATION, 'reply-drafting': invented } } }
+    });
+    const rejected = await draftReplyResponses(REPLY, { calendar: buildCalendar(), store, now: NOW, count: 1 });
+    const draftingCalls = getProvider('mock').calls.filter(call => call.task === 'reply-drafting').length;
+
+    resetLLMClient();
+    configureLLM({ ...NO_DELAY, provider: 'openai', providers: { openai: { apiKeyEnv: 'REPLY_DRAFTING_TEST_UNSET_KEY' } } });
+    const notNow = await draftReplyResponses({ leadEmail: 'tom@acme.com', leadName: 'Tom Reyes', body: 'Not right now. Circle back after Q1.' }, { calendar: buildCalendar(), store, now: NOW });
+    const unsubscribe = await draftReplyResponses({ leadEmail: 'ann@acme.com', body: 'Please remove me from your list.' }, { store, now: NOW });
+    resetLLMClient();
+
+    const issues = checkDraft({ subject: 'Re: Hi', body: `Hi [First Name], {{company}} ${'word '.repeat(150)}`, proposedTimes: ['2026-10-24T11:00:00.000Z'] },
+        [{ dateTime: '2026-10-20T15:00:00.000Z' }]);
+    const slots = [
+        { dateTime: '2026-10-20T15:00:00.000Z', label: 'Tuesday, October 20 at 10:00 AM CDT' },
+        { dateTime: '2026-10-22T19:00:00.000Z', label: 'Thursday, October 22 at 2:00 PM CDT' }
+    ];
+    const bodyIssues = body => checkDraft({ subject: 'Re: Hi', body: `Hi Jane,\n\n${body}\n\nSam`, proposedTimes: [] }, slots);
+
+    const results = [
+        check('Invented times retried, then template drafts', draftingCalls === 2 && rejected.drafts.length === 1 &&
+            rejected.drafts[0].fallback === true && /not open slots: 2026-10-24T11:00:00.000Z/.test(rejected.fallbackReason)),
+        check('Template offers the open slots', rejected.drafts[0].proposedTimes.length === 3 &&
+            rejected.drafts[0].body.includes('- Thursday, October 22 at 2:00 PM CDT')),
+        check('No LLM: rules classification and template drafts', notNow.classification.method === 'rules' &&
+            notNow.classification.intent === 'not-now' && notNow.drafts.length === 2 && notNow.drafts.every(draft => draft.fallback) &&
+            notNow.fallbackReason === 'No LLM configured for reply-drafting'),
+        check('Not-now template uses the timing hint, no slots', notNow.drafts[0].body.includes('check back after Q1') &&
+            notNow.drafts[0].body.startsWith('Hi Tom,') && notNow.slots.length === 0 && notNow.drafts[0].subject === 'Re: our conversation'),
+        check('Unsubscribes get no drafts', unsubscribe.status === 'skipped' && unsubscribe.id === undefined &&
+            store.list().length === 2),
+        check('Draft checks list placeholders, length and invented times', issues.length === 3 &&
+            /placeholders left in: \[First Name\], \{\{company\}\}/.test(issues[0]) && /words \(max 150\)/.test(issues[1])),
+        check('Times written in the body must be open slots', /not open slots: 4pm/.test(bodyIssues('How about Thursday at 4pm?')[0]) &&
+            /not open slots: Friday/.test(bodyIssues('Are you free Friday?')[0]) &&
+            /not open slots: Tuesday at 2pm/.test(bodyIssues('Does Tuesday at 2pm work?')[0])),
+        check('Offered slots in the body pass', bodyIssues('Would Tuesday, October 20 at 10:00 AM CDT or Thursday, October 22 at 2:00 PM CDT work?').length === 0 &&
+            bodyIssues('Does Thursday at 2pm work?').length === 0),
+        check('Draft count limited to 1 or 2', /Draft count must be 1 or 2/.test(await errorMessage(() => draftReplyResponses(REPLY, { count: 3, store }))))
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test approval and sending
+ */
+async function testApproval() {
+    console.log('\n========================================');
+    console.log('Testing Approval and Sending');
+    console.log('========================================\n');
+
+    const store = new ReplyDraftStore({ filePath: null });
+    const suppressionList = new SuppressionList();
+    const { ghl, posts } = buildGHL(suppressionList);
+    const classification = { intent: 'interested', confidence: 0.8, sentiment: 'positive', entities: { meetingTimes: [] }, method: 'rules' };
+
+    const first = await draftReplyResponses(REPLY, { ghl, store, now: NOW, classification, sender: { name: 'Sam' } });
+    const unapprovedError = await errorMessage(() => sendApprovedDraft(first.id, { ghl, store }));
+    const approved = store.approve(first.id, { draftIndex: 1, body: 'Hi Jane,\n\nThanks! Does Thursday at 2pm work?\n\nSam', approvedBy: 'rep@agency.com' });
+    const sent = await sendApprovedDraft(first.id, { ghl, store });
+
+    const second = await draftReplyResponses(REPLY, { ghl, store, now: NOW, classification });
+    const rejected = store.reject(second.id, { reason: 'Handled by phone', rejectedBy: 'rep@agency.com' });
+    const rejectAgainError = await errorMessage(async () => store.approve(second.id));
+
+    suppressionList.add({ email: 'jane@abcinsurance.com', reason: SUPPRESSION_REASONS.OPT_OUT_REQUEST, source: 'manual' });
+    const third = await draftReplyResponses(REPLY, { ghl, store, now: NOW, classification });
+    store.approve(third.id);
+    const blocked = await sendApprovedDraft(third.id, { ghl, store });
+
+    const results = [
+        check('Pending drafts cannot be sent', /Cannot send reply draft .*: it is pending, not approved/.test(unapprovedError)),
+        check('Approval records the edited draft', approved.status === 'approved' && approved.approvedDraft.draftIndex === 1 &&
+            approved.approvedDraft.edited === true && approved.approvedBy === 'rep@agency.com'),
+        check('Approved draft sent as a GHL email', sent.status === 'sent' && sent.sendResult.messageId === 'msg_1' &&
+            posts.length === 1 && posts[0].url === '/conversations/messages' && posts[0].payload.type === 'Email' &&
+            posts[0].payload.subject === 'Re: A quick idea for ABC Insurance' &&
+            posts[0].payload.html === '<p>Hi Jane,</p><p>Thanks! Does Thursday at 2pm work?</p><p>Sam</p>'),
+        check('Rejected drafts stay rejected', rejected.status === 'rejected' && rejected.rejectionReason === 'Handled by phone' &&
+            /it is rejected, not pending/.test(rejectAgainError)),
+        check('Suppressed contacts are not emailed', blocked.status === 'approved' && blocked.sendResult.suppressed === true &&
+            posts.length === 1 && suppressionList.blocked.some(entry => entry.channel === 'ghl-email')),
+        check('Stats by status', store.getStats().sent === 1 && store.getStats().rejected === 1 && store.getStats().approved === 1)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test the auto-send policy
+ */
+async function testAutoSend() {
+    console.log('\n========================================');
+    console.log('Testing Auto-Send Policy');
+    console.log('========================================\n');
+
+    const store = new ReplyDraftStore({ filePath: null });
+    const { ghl, posts } = buildGHL();
+
+    resetLLMClient();
+    configureLLM({ ...NO_DELAY, provider: 'mock', providers: { mock: { responses: { 'reply-classification': MEETING_CLASSIFICATION } } } });
+    const autoSent = await draftReplyResponses(REPLY, { ghl, calendar: buildCalendar(), store, now: NOW, autoSend: { 'meeting-request': { minConfidence: 0.9 } } });
+    const otherIntent = await draftReplyResponses(REPLY, { ghl, calendar: buildCalendar(), store, now: NOW, autoSend: { interested: true } });
+    const tooUnsure = await draftReplyResponses(REPLY, { ghl, calendar: buildCalendar(), store, now: NOW, autoSend: { 'meeting-request': { minConfidence: 0.95 } } });
+    resetLLMClient();
+
+    const fallbackRecord = { classification: { intent: 'meeting-request', confidence: 0.95 }, drafts: [{ fallback: true }] };
+
+    const results = [
+        check('Policy intent auto-approved and sent', autoSent.status === 'sent' && autoSent.approvedBy === 'auto-send policy' &&
+            autoSent.autoSend.allowed === true && posts.length === 1 && posts[0].payload.message === autoSent.drafts[0].body),
+        check('Other intents wait for approval', otherIntent.status === 'pending' && otherIntent.autoSend.reason === 'No auto-send policy for meeting-request'),
+        check('Below the confidence minimum waits', tooUnsure.status === 'pending' && /below the policy minimum 0.95/.test(tooUnsure.autoSend.reason)),
+        check('Template fallbacks never auto-send by default', !evaluateAutoSend(fallbackRecord, { 'meeting-request': true }).allowed &&
+            evaluateAutoSend(fallbackRecord, { 'meeting-request': { allowFallback: true } }).allowed),
+        check('No GHL contact, no auto-send', !evaluateAutoSend({ ...fallbackRecord, drafts: [{ fallback: false }] }, { 'meeting-request': true }, { canSend: false }).allowed),
+        check('Only one email sent in total', posts.length === 1)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   REPLY DRAFTING TEST SUITE            ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reply-drafts-'));
+    let testResults;
+    try {
+        testResults = {
+            drafting: await testDrafting(dir),
+            fallbacks: await testFallbacks(),
+            approval: await testApproval(),
+            autoSend: await testAutoSend()
+        };
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`Drafting:   ${testResults.drafting ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Fallbacks:  ${testResults.fallbacks ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Approval:   ${testResults.approval ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Auto-send:  ${testResults.autoSend ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = Object.values(testResults).every(Boolean);
+    console.log(`\nOverall Status: ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests().catch(error => {
+    console.error('\n❌ Fatal error running tests:', error);
+    process.exit(1);
+});
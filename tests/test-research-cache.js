@@ -0,0 +1,179 @@
+/**
+ * Test Script for the Company Research Cache
+ *
+ * Runs offline against the mock LLM provider, with the cache in a temp directory.
+ *
+ * Tests the following components:
+ * 1. Cache keys: normalized domain, company name fallback
+ * 2. Storage: TTL expiry, persistence across instances, invalidation, statistics
+ * 3. generateCompanyResearch: cache hits, force refresh, fallbacks not cached
+ *
+ * Usage: node tests/test-research-cache.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResearchCache, buildResearchCacheKey } = require('../executions/ai/research-cache');
+const {
+    generateCompanyResearch,
+    invalidateCompanyResearch,
+    getResearchCacheStats
+} = require('../executions/ai/company-research');
+const { configureLLM, resetLLMClient, getProvider } = require('../executions/ai/llm-client');
+const { CostLedger, setSharedCostLedger } = require('../executions/ai/cost-ledger');
+
+// Keep the ledger in memory so test calls don't land in .cache/
+setSharedCostLedger(new CostLedger({ filePath: null }));
+
+const NO_DELAY = { retry: { maxAttempts: 1, baseDelay: 0, maxDelay: 0 } };
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+/**
+ * Test cache keys
+ */
+function testKeys() {
+    console.log('\n========================================');
+    console.log('Testing Cache Keys');
+    console.log('========================================\n');
+
+    const results = [
+        check('Domain normalized from URL', buildResearchCacheKey({ website: 'https://www.ABCInsurance.com/about' }) === 'domain:abcinsurance.com'),
+        check('Bare domain string', buildResearchCacheKey('abcinsurance.com') === 'domain:abcinsurance.com'),
+        check('Shared host falls back to name', buildResearchCacheKey({
+            companyName: 'ABC Insurance Agency, LLC', website: 'https://facebook.com/abcinsurance'
+        }) === buildResearchCacheKey('ABC Insurance Agency')),
+        check('Nothing to key on', buildResearchCacheKey({}) === null)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test storage, TTL and statistics
+ */
+function testStorage(dir) {
+    console.log('\n========================================');
+    console.log('Testing Storage & TTL');
+    console.log('========================================\n');
+
+    const filePath = path.join(dir, 'storage', 'research.json');
+    const company = { companyName: 'ABC Insurance Agency', website: 'https://abcinsurance.com' };
+
+    const cache = new ResearchCache({ filePath, ttlHours: 24 });
+    const missed = cache.get(company);
+    cache.set(company, 'Cached summary', { provider: 'mock', model: 'mock-1' });
+
+    const reopened = new ResearchCache({ filePath, ttlHours: 24 });
+    const hit = reopened.get({ companyName: 'ABC Insurance', website: 'http://www.abcinsurance.com' });
+
+    reopened.entries['domain:abcinsurance.com'].expiresAt = Date.now() - 1;
+    const expired = reopened.get(company);
+    const stats = reopened.getStats();
+
+    cache.set(company, 'Fresh summary');
+    const removed = cache.invalidate('https://abcinsurance.com');
+    const removedAgain = cache.invalidate(company);
+
+    fs.writeFileSync(filePath, '{ not json');
+    const corrupt = new ResearchCache({ filePath });
+
+    const results = [
+        check('Miss, then persisted to disk', missed === null && fs.existsSync(filePath)),
+        check('Other instance reads it by domain', hit && hit.research === 'Cached summary' && hit.model === 'mock-1'),
+        check('Expired entries are misses', expired === null),
+        check('Hit/miss statistics', stats.hits === 1 && stats.misses === 1 && stats.hitRate === 0.5),
+        check('Invalidate by URL', removed === true && removedAgain === false && cache.getStats().entries === 0),
+        check('Unreadable file starts empty', corrupt.getStats().entries === 0)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test generateCompanyResearch with the cache
+ */
+async function testResearch(dir) {
+    console.log('\n========================================');
+    console.log('Testing Research With Cache');
+    console.log('========================================\n');
+
+    resetLLMClient();
+    configureLLM({ ...NO_DELAY, provider: 'mock' });
+    const mock = getProvider('mock');
+    const researchCalls = () => mock.calls.filter(call => call.task === 'company-research').length;
+
+    const cache = new ResearchCache({ filePath: path.join(dir, 'research.json') });
+    const company = {
+        companyName: 'ABC Insurance Agency',
+        website: 'https://abcinsurance.com',
+        industry: 'Commercial Insurance',
+        location: 'Austin, TX'
+    };
+
+    const first = await generateCompanyResearch(company, { cache });
+    const second = await generateCompanyResearch({ ...company, website: 'https://www.abcinsurance.com/' }, { cache });
+    const afterHit = researchCalls();
+    await generateCompanyResearch(company, { cache, forceRefresh: true });
+    const afterRefresh = researchCalls();
+    const stats = getResearchCacheStats({ cache });
+
+    invalidateCompanyResearch('ABCINSURANCE.COM', { cache });
+    configureLLM({ provider: 'unreachable-provider' });
+    const fallback = await generateCompanyResearch(company, { cache });
+
+    const results = [
+        check('Second contact at a company reuses research', first === second && afterHit === 1),
+        check('Force refresh calls the provider again', afterRefresh === 2 && stats.writes === 2),
+        check('Statistics through company-research', stats.hits === 1 && stats.misses === 1 && stats.entries === 1),
+        check('Fallback summaries are not cached', fallback.includes('Further research recommended') &&
+            cache.getStats().entries === 0)
+    ];
+
+    resetLLMClient();
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   RESEARCH CACHE TEST SUITE            ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'research-cache-'));
+    let testResults;
+    try {
+        testResults = {
+            keys: testKeys(),
+            storage: testStorage(dir),
+            research: await testResearch(dir)
+        };
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`Cache Keys:     ${testResults.keys ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Storage & TTL:  ${testResults.storage ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Research:       ${testResults.research ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = Object.values(testResults).every(Boolean);
+    console.log(`\nOverall Status: ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests().catch(error => {
+    console.error('\n❌ Fatal error running tests:', error);
+    process.exit(1);
+});
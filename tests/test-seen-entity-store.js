@@ -0,0 +1,231 @@
+/**
+ * Test Script for the Seen Entity Store
+ *
+ * Runs offline: Apify's key-value stores are replaced by in-memory stand-ins,
+ * so no storage directory is written.
+ *
+ * Tests the following components:
+ * 1. Keys, hashes and diffs
+ * 2. Incremental runs: new/changed/unchanged records, skipping recently seen entities
+ * 3. Resume: state saved periodically and on persistState survives a crashed run
+ *
+ * Usage: node tests/test-seen-entity-store.js
+ */
+
+const Apify = require('apify');
+const { SeenEntityStore, buildEntityKey, computeContentHash, diffSnapshots } = require('../executions/scrapers/seen-entity-store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+async function errorMessage(fn) {
+    try {
+        await fn();
+    } catch (error) {
+        return error.message;
+    }
+    return '';
+}
+
+/**
+ * In-memory key-value stores by name, standing in for Apify.openKeyValueStore.
+ * Values are copied in and out the way Apify serializes them.
+ */
+function useMockKeyValueStores() {
+    const stores = {};
+    const openKeyValueStore = async name => {
+        if (!stores[name]) {
+            const values = {};
+            stores[name] = {
+                values,
+                writes: 0,
+                getValue: async key => (key in values ? JSON.parse(values[key]) : null),
+                setValue: async (key, value) => {
+                    stores[name].writes++;
+                    values[key] = JSON.stringify(value);
+                }
+            };
+        }
+        return stores[name];
+    };
+    // Apify exposes its API as getters, so replace the property rather than assigning it
+    Object.defineProperty(Apify, 'openKeyValueStore', { value: openKeyValueStore, configurable: true });
+    return stores;
+}
+
+function buildPlace(index, extra = {}) {
+    return { name: `Agency ${index}`, category: 'Insurance agency', rating: 4.2, reviewCount: 10 + index, phone: '(214) 555-0100', ...extra };
+}
+
+/**
+ * Test keys, hashes and diffs
+ */
+function testHelpers() {
+    console.log('\n========================================');
+    console.log('Testing Keys, Hashes and Diffs');
+    console.log('========================================\n');
+
+    const diff = diffSnapshots({ rating: 4.2, website: 'abc.com', hours: null }, { rating: 4.5, website: 'abc.com', hours: 'Mon-Fri' });
+
+    const results = [
+        check('LinkedIn URLs normalized into keys', buildEntityKey('company', 'https://www.LinkedIn.com/company/abc-insurance/?trk=x#about') ===
+            'company:linkedin.com/company/abc-insurance' &&
+            buildEntityKey('profile', 'linkedin.com/in/jane-doe/') === 'profile:linkedin.com/in/jane-doe'),
+        check('Place keys lowercased, missing IDs give no key', buildEntityKey('place', '0xABC:0x1') === 'place:0xabc:0x1' &&
+            buildEntityKey('place', null) === null),
+        check('Content hash ignores key order', computeContentHash({ a: 1, b: 'x' }) === computeContentHash({ b: 'x', a: 1 }) &&
+            computeContentHash({ a: 1 }) !== computeContentHash({ a: 2 })),
+        check('Diff lists changed fields with numeric deltas', Object.keys(diff).join(',') === 'rating,hours' &&
+            diff.rating.delta === 0.3 && diff.hours.from === null && diff.hours.to === 'Mon-Fri')
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test incremental runs against a stored previous run
+ */
+async function testIncremental() {
+    console.log('\n========================================');
+    console.log('Testing Incremental Runs');
+    console.log('========================================\n');
+
+    const stores = useMockKeyValueStores();
+
+    // Week 1: three places, all new
+    const week1 = await SeenEntityStore.open('seen-google-maps-insurance');
+    const firstStatuses = [1, 2, 3].map(i => week1.record(buildEntityKey('place', `0x${i}:0x1`), 'place', buildPlace(i)).status);
+    await week1.persist();
+
+    // Week 2, same day: everything was seen recently, so nothing is refetched
+    const sameDay = await SeenEntityStore.open('seen-google-maps-insurance');
+    const skippedRecent = [1, 2, 3].every(i => sameDay.shouldSkip(buildEntityKey('place', `0x${i}:0x1`)));
+    const notSkippedNew = sameDay.shouldSkip(buildEntityKey('place', '0x4:0x1'));
+
+    // Week 2, eight days later: places are refetched and compared
+    const stored = stores['seen-google-maps-insurance'];
+    const state = JSON.parse(stored.values.STATE);
+    for (const entry of Object.values(state.entities)) {
+        entry.lastSeen = new Date(Date.now() - 8 * DAY_MS).toISOString();
+    }
+    stored.values.STATE = JSON.stringify(state);
+
+    const week2 = await SeenEntityStore.open('seen-google-maps-insurance');
+    const skippedStale = week2.shouldSkip(buildEntityKey('place', '0x1:0x1'));
+    const unchanged = week2.record(buildEntityKey('place', '0x1:0x1'), 'place', buildPlace(1, { name: '  Agency 1 ' }));
+    const changed = week2.record(buildEntityKey('place', '0x2:0x1'), 'place', buildPlace(2, { rating: 4.6, reviewCount: 20 }));
+    const added = week2.record(buildEntityKey('place', '0x4:0x1'), 'place', buildPlace(4));
+    const changedEntry = week2.get(buildEntityKey('place', '0x2:0x1'));
+    const unchangedEntry = week2.get(buildEntityKey('place', '0x1:0x1'));
+
+    // skipSeenWithinDays: 0 refetches and diffs everything
+    const always = await SeenEntityStore.open('seen-google-maps-insurance', { skipSeenWithinDays: 0 });
+
+    const results = [
+        check('First run: every entity is new', firstStatuses.join(',') === 'new,new,new' && week1.getStats().new === 3),
+        check('Rerun skips recently seen entities', skippedRecent && !notSkippedNew && sameDay.getStats().skipped === 3),
+        check('Entities past the skip window refetched', skippedStale === false),
+        check('Whitespace-only edits are unchanged', unchanged.status === 'unchanged' && unchanged.changes === null &&
+            unchangedEntry.lastChanged === unchangedEntry.firstSeen),
+        check('Changed entity carries a field diff', changed.status === 'changed' && changed.changes.rating.delta === 0.4 &&
+            changed.changes.reviewCount.from === 12 && changed.previouslySeenAt !== null && changedEntry.lastChanged === changedEntry.lastSeen),
+        check('Unknown entity is new', added.status === 'new' && added.previouslySeenAt === null),
+        check('Run stats', JSON.stringify(week2.getStats()) === '{"new":1,"changed":1,"unchanged":1,"skipped":0,"knownEntities":4}'),
+        check('skipSeenWithinDays 0 never skips', always.shouldSkip(buildEntityKey('place', '0x1:0x1')) === false),
+        check('Unknown entity types rejected', /Unknown entity type: review/.test(await errorMessage(() => week2.record('x', 'review', {})))),
+        check('Store name required', /storeName is required/.test(await errorMessage(() => SeenEntityStore.open(''))))
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test resuming after a crashed run
+ */
+async function testResume() {
+    console.log('\n========================================');
+    console.log('Testing Resume');
+    console.log('========================================\n');
+
+    const stores = useMockKeyValueStores();
+
+    // A run that caches its center, records 60 profiles and crashes before its final persist().
+    // The 50th update (the center plus 49 profiles) triggers a save.
+    const crashed = await SeenEntityStore.open('seen-linkedin-insurance');
+    crashed.setMeta('center:dallas, tx', { latitude: 32.7767, longitude: -96.797 });
+    for (let i = 1; i <= 60; i++) {
+        crashed.record(buildEntityKey('profile', `linkedin.com/in/person-${i}`), 'profile', { fullName: `Person ${i}`, jobTitle: 'Owner' });
+    }
+    await new Promise(resolve => setImmediate(resolve));
+    const periodicWrites = stores['seen-linkedin-insurance'].writes;
+
+    const resumed = await SeenEntityStore.open('seen-linkedin-insurance');
+    const savedBeforeCrash = resumed.size();
+    const skipsSaved = resumed.shouldSkip(buildEntityKey('profile', 'https://www.linkedin.com/in/person-49/'));
+    const refetchesUnsaved = resumed.shouldSkip(buildEntityKey('profile', 'linkedin.com/in/person-50'));
+    const cachedCenter = resumed.getMeta('center:dallas, tx');
+
+    // Apify's persistState event saves everything recorded since
+    resumed.record(buildEntityKey('profile', 'linkedin.com/in/person-50'), 'profile', { fullName: 'Person 50', jobTitle: 'Owner' });
+    Apify.events.emit('persistState', { isMigrating: false });
+    await new Promise(resolve => setImmediate(resolve));
+    const afterEvent = await SeenEntityStore.open('seen-linkedin-insurance');
+
+    // A failed save on persistState is logged, not left as an unhandled rejection
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    stores['seen-linkedin-insurance'].setValue = async () => { throw new Error('store unavailable'); };
+    Apify.events.emit('persistState', { isMigrating: false });
+    await new Promise(resolve => setImmediate(resolve));
+    process.off('unhandledRejection', onUnhandled);
+
+    const results = [
+        check('State saved every 50 updates', periodicWrites === 1 && savedBeforeCrash === 49),
+        check('Resumed run skips entities saved before the crash', skipsSaved === true && refetchesUnsaved === false),
+        check('Metadata survives the crash', cachedCenter && cachedCenter.latitude === 32.7767),
+        check('persistState event saves the store', afterEvent.size() === 50 &&
+            afterEvent.get(buildEntityKey('profile', 'linkedin.com/in/person-50')).snapshot.fullName === 'Person 50'),
+        check('Failed persistState save handled', unhandled.length === 0)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   SEEN ENTITY STORE TEST SUITE         ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    const testResults = {
+        helpers: testHelpers(),
+        incremental: await testIncremental(),
+        resume: await testResume()
+    };
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`Keys and Diffs:  ${testResults.helpers ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Incremental:     ${testResults.incremental ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Resume:          ${testResults.resume ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = Object.values(testResults).every(Boolean);
+    console.log(`\nOverall Status: ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests().catch(error => {
+    console.error('\n❌ Fatal error running tests:', error);
+    process.exit(1);
+});
@@ -0,0 +1,245 @@
+/**
+ * Test Script for Structured Company Research
+ *
+ * Runs offline against the mock LLM provider, with per-test mock responses for
+ * invalid and repaired research.
+ *
+ * Tests the following components:
+ * 1. Schema validation of research objects
+ * 2. Structured and text output, repair retry, schema-shaped fallback
+ * 3. Email generation and the research cache with structured research
+ *
+ * Usage: node tests/test-structured-research.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    generateCompanyResearch,
+    validateResearch,
+    researchToText
+} = require('../executions/ai/company-research');
+const { generateOutreachEmails } = require('../executions/ai/email-generation');
+const { ResearchCache } = require('../executions/ai/research-cache');
+const { configureLLM, resetLLMClient, getProvider } = require('../executions/ai/llm-client');
+const { CostLedger, setSharedCostLedger } = require('../executions/ai/cost-ledger');
+
+// Keep the ledger in memory so test calls don't land in .cache/
+setSharedCostLedger(new CostLedger({ filePath: null }));
+
+const NO_DELAY = { retry: { maxAttempts: 2, baseDelay: 0, maxDelay: 0 } };
+
+const COMPANY = {
+    companyName: 'ABC Insurance Agency',
+    website: 'https://abcinsurance.com',
+    industry: 'Commercial Insurance',
+    location: 'Austin, TX'
+};
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+/**
+ * Valid research object for a company
+ */
+function sampleResearch(overrides = {}) {
+    return {
+        summary: 'ABC Insurance Agency is an independent commercial insurance broker in Austin.',
+        targetMarket: 'Contractors and professional services firms in central Texas',
+        servicesOffered: [{ text: 'General liability and workers comp programs', confidence: 0.9 }],
+        painPoints: [{ text: 'Renewal season workload', confidence: 0.6 }],
+        growthSignals: [{ text: 'Hiring two producers', confidence: 0.4 }],
+        decisionMakerHints: [],
+        newsHooks: [],
+        personalizationAngles: [{ text: 'Construction niche', confidence: 0.8 }],
+        ...overrides
+    };
+}
+
+/**
+ * Point the mock provider at custom research responses
+ */
+function useResearchResponses(respond) {
+    resetLLMClient();
+    configureLLM({ ...NO_DELAY, provider: 'mock', providers: { mock: { responses: { 'company-research': respond } } } });
+}
+
+/**
+ * Test schema validation
+ */
+function testSchema() {
+    console.log('\n========================================');
+    console.log('Testing Schema Validation');
+    console.log('========================================\n');
+
+    const missingField = sampleResearch();
+    delete missingField.painPoints;
+
+    const results = [
+        check('Valid research passes', validateResearch(sampleResearch()).length === 0),
+        check('Missing list reported', validateResearch(missingField).some(error => /^painPoints must be an array/.test(error))),
+        check('Confidence range enforced', validateResearch(sampleResearch({
+            servicesOffered: [{ text: 'Brokerage', confidence: 1.4 }]
+        })).includes('servicesOffered[0].confidence must be a number from 0 to 1')),
+        check('Required lists need items', validateResearch(sampleResearch({ personalizationAngles: [] }))
+            .some(error => /personalizationAngles must have 1-6 items/.test(error))),
+        check('Refusals rejected', validateResearch(sampleResearch({
+            summary: "I cannot research this company without browsing the web."
+        })).some(error => /looks like an error message/.test(error))),
+        check('Not an object', validateResearch('ABC is a broker')[0] === 'research must be an object')
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test generation, repair and fallback
+ */
+async function testGeneration() {
+    console.log('\n========================================');
+    console.log('Testing Structured Generation');
+    console.log('========================================\n');
+
+    resetLLMClient();
+    configureLLM({ ...NO_DELAY, provider: 'mock' });
+    const structured = await generateCompanyResearch(COMPANY, { format: 'structured', cache: false });
+    const text = await generateCompanyResearch(COMPANY, { cache: false });
+    const researchCall = getProvider('mock').calls[0];
+
+    // First answer misses fields, the repair request gets a valid object
+    useResearchResponses(request => (request.messages.length === 3
+        ? JSON.stringify(sampleResearch())
+        : JSON.stringify({ summary: 'ABC Insurance Agency is an independent commercial insurance broker.' })));
+    const repaired = await generateCompanyResearch(COMPANY, { format: 'structured', cache: false });
+    const repairRequest = getProvider('mock').calls[1];
+
+    // Never valid: falls back to template research in the same schema
+    useResearchResponses(() => JSON.stringify({ summary: 'Sorry' }));
+    const fallback = await generateCompanyResearch(COMPANY, { format: 'structured', cache: false });
+    const fallbackText = await generateCompanyResearch(COMPANY, { cache: false });
+
+    let formatError = null;
+    try {
+        await generateCompanyResearch(COMPANY, { format: 'markdown' });
+    } catch (error) {
+        formatError = error.message;
+    }
+
+    const results = [
+        check('Structured research is schema-valid', validateResearch(structured).length === 0 &&
+            structured.fallback === false && structured.painPoints[0].confidence === 0.7),
+        check('JSON requested with the schema in the prompt', researchCall.json === true &&
+            /"personalizationAngles": \[/.test(researchCall.messages[0].content)),
+        check('Text is derived from the structure', text === researchToText(structured) &&
+            text.startsWith('ABC Insurance Agency operates in Commercial Insurance') && /Likely pain points: /.test(text)),
+        check('Repair request lists the errors', repaired.summary === sampleResearch().summary &&
+            repairRequest.messages[1].role === 'assistant' && /painPoints must be an array/.test(repairRequest.messages[2].content)),
+        check('Items sorted by confidence', repaired.servicesOffered[0].confidence === 0.9),
+        check('Fallback follows the schema', fallback.fallback === true && validateResearch(fallback).length === 0 &&
+            fallback.painPoints.every(item => item.confidence <= 0.3)),
+        check('Fallback text still derivable', fallbackText.includes('Further research recommended')),
+        check('Low-confidence items can be left out', !researchToText(repaired, { minConfidence: 0.5 }).includes('Hiring two producers')),
+        check('Unknown format rejected', /Unknown research format 'markdown'/.test(formatError || ''))
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test email generation and caching with structured research
+ */
+async function testConsumers() {
+    console.log('\n========================================');
+    console.log('Testing Emails & Cache');
+    console.log('========================================\n');
+
+    resetLLMClient();
+    configureLLM({ ...NO_DELAY, provider: 'mock' });
+
+    const contact = {
+        firstName: 'John',
+        lastName: 'Doe',
+        jobTitle: 'CEO',
+        companyName: 'ABC Insurance Agency',
+        industry: 'Commercial Insurance',
+        location: 'Austin, TX'
+    };
+    const result = await generateOutreachEmails(contact, sampleResearch());
+    const emailPrompt = getProvider('mock').calls.find(call => call.task === 'email-generation').messages[0].content;
+
+    let schemaError = null;
+    try {
+        await generateOutreachEmails(contact, sampleResearch({ painPoints: 'Renewals' }));
+    } catch (error) {
+        schemaError = error.message;
+    }
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'structured-research-'));
+    const filePath = path.join(dir, 'research.json');
+    let cached;
+    let legacyEntries;
+    try {
+        const cache = new ResearchCache({ filePath });
+        await generateCompanyResearch(COMPANY, { cache });
+        cached = await generateCompanyResearch(COMPANY, { cache, format: 'structured' });
+
+        fs.writeFileSync(filePath, JSON.stringify({
+            version: 1,
+            entries: { 'domain:abcinsurance.com': { research: 'Old text research', expiresAt: Date.now() + 60000 } }
+        }));
+        legacyEntries = new ResearchCache({ filePath }).getStats().entries;
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    const results = [
+        check('Emails generated from structured research', result.emails.length === 3 &&
+            result.emails.every(email => email.body.startsWith('Hi John,'))),
+        check('Prompt lays out fields with confidences', /Personalization angles:\n- Construction niche \(confidence 0.8\)/.test(emailPrompt) &&
+            /Only state items with confidence 0.7 or higher as fact/.test(emailPrompt)),
+        check('Invalid research objects rejected', /does not match the research schema/.test(schemaError || '')),
+        check('Cache stores the structure for both formats', cached && cached.servicesOffered.length === 1 &&
+            validateResearch(cached).length === 0),
+        check('Text-era cache files discarded', legacyEntries === 0)
+    ];
+
+    resetLLMClient();
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   STRUCTURED RESEARCH TEST SUITE       ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    const testResults = {
+        schema: testSchema(),
+        generation: await testGeneration(),
+        consumers: await testConsumers()
+    };
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`Schema:          ${testResults.schema ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Generation:      ${testResults.generation ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Emails & Cache:  ${testResults.consumers ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = Object.values(testResults).every(Boolean);
+    console.log(`\nOverall Status: ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests().catch(error => {
+    console.error('\n❌ Fatal error running tests:', error);
+    process.exit(1);
+});
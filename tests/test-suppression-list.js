@@ -0,0 +1,282 @@
+/**
+ * Test Script for the Suppression List
+ *
+ * Runs offline: the API clients get an in-memory list and a stand-in HTTP client,
+ * so no requests leave the machine. The shared list is backed by an in-memory
+ * stand-in for Apify's key-value store.
+ *
+ * Tests the following components:
+ * 1. Entries by email, domain and phone (normalization, expiry, shared domains)
+ * 2. Automatic suppression from reply, bounce and unsubscribe webhooks
+ * 3. Enforcement in uploads, SMS, outbound calls and nurture sequences
+ * 4. Saving mapped webhooks to the shared list (recordWebhookSuppression)
+ *
+ * Usage: node tests/test-suppression-list.js
+ */
+
+const Apify = require('apify');
+const {
+    SuppressionList,
+    SUPPRESSION_REASONS,
+    isOptOutRequest,
+    getSharedSuppressionList,
+    recordWebhookSuppression
+} = require('../executions/utils/suppression-list');
+const { mapInstantlyWebhook, mapSmartLeadWebhook } = require('../executions/utils/lead-to-ghl-mapper');
+const { generateBulkNurtureSequences } = require('../executions/utils/nurture-sequences');
+const InstantlyAPI = require('../executions/integrations/instantly-api');
+const GoHighLevelAPI = require('../executions/integrations/gohighlevel-api');
+const VapiAPI = require('../executions/integrations/vapi-api');
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+function buildList() {
+    const list = new SuppressionList();
+    list.add({ email: 'Unsubscribed@Example.com', reason: SUPPRESSION_REASONS.UNSUBSCRIBED, source: 'instantly-webhook' });
+    list.add({ domain: 'https://www.client-agency.com/about', reason: SUPPRESSION_REASONS.CURRENT_CLIENT, source: 'crm' });
+    list.add({ phone: '(312) 555-0199', reason: SUPPRESSION_REASONS.OPT_OUT_REQUEST, source: 'sms-reply' });
+    list.add({ email: 'expired@example.com', reason: SUPPRESSION_REASONS.BOUNCED, expiresAt: '2020-01-01T00:00:00.000Z' });
+    return list;
+}
+
+/**
+ * Test entries and matching
+ */
+function testEntries() {
+    console.log('\n========================================');
+    console.log('Testing Entries & Matching');
+    console.log('========================================\n');
+
+    const list = buildList();
+
+    let sharedDomainError = null;
+    try {
+        list.add({ domain: 'gmail.com', reason: SUPPRESSION_REASONS.MANUAL });
+    } catch (error) {
+        sharedDomainError = error.message;
+    }
+
+    const byEmail = list.check({ Email: 'unsubscribed@example.com' });
+    const byDomain = list.check({ email: 'jane@client-agency.com' });
+    const byWebsite = list.check({ website: 'client-agency.com', companyName: 'Client Agency' });
+    const byPhone = list.check({ phone: '+1 312 555 0199' });
+
+    // Same last ten digits, different countries
+    list.add({ phone: '+44 20 7946 0958', reason: SUPPRESSION_REASONS.OPT_OUT_REQUEST, source: 'sms-reply' });
+    const ukPhone = list.check({ phone: '020 7946 0958', country: 'GB' });
+    const usPhone = list.check({ phone: '+1 207 946 0958' });
+    const [ukOptOut] = list.add({ phone: '01632 960 983', country: 'GB', reason: SUPPRESSION_REASONS.OPT_OUT_REQUEST, source: 'sms-reply' });
+    let junkPhoneError = null;
+    try {
+        list.add({ phone: '123-456-7890', reason: SUPPRESSION_REASONS.OPT_OUT_REQUEST, source: 'sms-reply' });
+    } catch (error) {
+        junkPhoneError = error.message;
+    }
+
+    const results = [
+        check('Email matched case-insensitively', byEmail.suppressed && byEmail.match.reason === 'unsubscribed'),
+        check('Domain blocks every address on it', byDomain.suppressed && byDomain.match.type === 'domain'),
+        check('Domain blocks leads by website', byWebsite.suppressed),
+        check('Phone matched across formats', byPhone.suppressed && byPhone.match.value === '+13125550199'),
+        check('Phones keyed by country', ukPhone.suppressed && ukPhone.match.value === '+442079460958' && !usPhone.suppressed),
+        check('National phone added in its own country', ukOptOut.value === '+441632960983' &&
+            list.check({ phone: '+44 1632 960983' }).suppressed && list.remove('phone', '01632 960 983', 'GB')),
+        check('Invalid phone is not a key', /needs a valid email, domain or phone/.test(junkPhoneError || '')),
+        check('Expired entry no longer applies', !list.check({ email: 'expired@example.com' }).suppressed),
+        check('Other contacts pass', !list.check({ email: 'someone@else.com', phone: '+13125550100' }).suppressed),
+        check('Shared email domains rejected', /shared or invalid domain/.test(sharedDomainError || '')),
+        check('Removed entry no longer blocks', list.remove('email', 'UNSUBSCRIBED@example.com') &&
+            !list.check({ email: 'unsubscribed@example.com' }).suppressed)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test webhook auto-suppression
+ */
+function testWebhooks() {
+    console.log('\n========================================');
+    console.log('Testing Webhook Suppression');
+    console.log('========================================\n');
+
+    const list = new SuppressionList();
+
+    const optOut = mapInstantlyWebhook({
+        event_type: 'reply',
+        lead_email: 'optout@prospect.com',
+        lead_name: 'Opt Out',
+        data: { reply_body: 'Please take me off your list.', sentiment: 'neutral' }
+    }, { suppressionList: list });
+
+    mapSmartLeadWebhook({ event: 'email_reply', email: 'negative@prospect.com', message_body: 'Not for us.', sentiment: 'negative' }, { suppressionList: list });
+    mapSmartLeadWebhook({ event: 'lead_unsubscribed', email: 'unsub@prospect.com' }, { suppressionList: list });
+    mapInstantlyWebhook({ event_type: 'bounce', lead_email: 'soft@prospect.com', data: { bounce_type: 'soft' } }, { suppressionList: list });
+    const positive = mapInstantlyWebhook({
+        event_type: 'reply',
+        lead_email: 'yes@prospect.com',
+        data: { reply_body: 'Sounds good, let us talk Tuesday.', sentiment: 'positive' }
+    }, { suppressionList: list });
+
+    const results = [
+        check('Opt-out wording detected', isOptOutRequest('Please remove me') && !isOptOutRequest('Remove the old policy first')),
+        check('Opt-out reply suppressed', optOut.suppression.reason === 'opt_out_request' &&
+            list.check({ email: 'optout@prospect.com' }).match.source === 'instantly-webhook'),
+        check('Negative reply suppressed', list.check({ email: 'negative@prospect.com' }).match.reason === 'negative_reply'),
+        check('Unsubscribe suppressed', list.check({ email: 'unsub@prospect.com' }).match.reason === 'unsubscribed'),
+        check('Soft bounce not suppressed', !list.check({ email: 'soft@prospect.com' }).suppressed),
+        check('Positive reply not suppressed', positive.suppression === null && list.getStats().total === 3)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test enforcement on outbound paths
+ */
+async function testEnforcement() {
+    console.log('\n========================================');
+    console.log('Testing Outbound Enforcement');
+    console.log('========================================\n');
+
+    const list = buildList();
+    const posts = [];
+    const standInClient = {
+        post: async (url, payload) => {
+            posts.push({ url, payload });
+            return { data: { uploaded: payload.leads ? payload.leads.length : 1, id: 'call_1', messageId: 'msg_1' } };
+        }
+    };
+
+    // Instantly upload: blocked leads never reach the API
+    const instantly = new InstantlyAPI('test-key');
+    instantly.client = standInClient;
+    instantly.setSuppressionList(list);
+    const upload = await instantly.uploadLeads('camp_1', [
+        { email: 'unsubscribed@example.com' },
+        { email: 'owner@client-agency.com' },
+        { email: 'new@prospect.com' }
+    ]);
+    const uploadedEmails = posts[0].payload.leads.map(lead => lead.email);
+
+    // GHL SMS to a suppressed phone
+    const ghl = new GoHighLevelAPI('test-key', 'test-location');
+    ghl.client = standInClient;
+    ghl.setSuppressionList(list);
+    ghl.getContact = async () => ({ contact: { phone: '+13125550199', email: 'texter@prospect.com' } });
+    const sms = await ghl.sendSMS('contact_1', 'Quick follow-up');
+
+    // Vapi call to a suppressed client domain (by email)
+    const vapi = new VapiAPI('test-key');
+    vapi.client = standInClient;
+    vapi.setSuppressionList(list);
+    const call = await vapi.makeOutboundCall({
+        assistantId: 'asst_1',
+        phoneNumber: '+13125550100',
+        email: 'ceo@client-agency.com'
+    });
+
+    // Nurture sequences
+    const nurture = generateBulkNurtureSequences('replied', [
+        { contactId: 'c1', firstName: 'Ann', lastName: 'Lee', email: 'ann@client-agency.com' },
+        { contactId: 'c2', firstName: 'Bo', lastName: 'Kim', email: 'bo@prospect.com', customFields: { vertical: 'insurance' } }
+    ], {}, { suppressionList: list });
+
+    const blockedChannels = list.blocked.map(entry => entry.channel);
+
+    const results = [
+        check(`Upload sends only allowed leads (${uploadedEmails.join(', ')})`, uploadedEmails.length === 1 && uploadedEmails[0] === 'new@prospect.com'),
+        check('Upload reports suppressed count', upload.suppressed === 2),
+        check('SMS not sent to suppressed phone', sms.suppressed === true && sms.rule === 'phone:+13125550199' && posts.length === 1),
+        check('Call not placed to client domain', call.suppressed === true && call.reason === 'current_client' && posts.length === 1),
+        check('Nurture skips suppressed contact', nurture[0].status === 'suppressed' && nurture[1].status === 'ready'),
+        check('Every block logged with its rule', list.blocked.length === 5 &&
+            ['instantly', 'ghl-sms', 'vapi-call', 'nurture'].every(channel => blockedChannels.includes(channel)) &&
+            list.blocked.every(entry => entry.rule && entry.reason))
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test saving mapped webhooks to the shared list
+ */
+async function testRecordWebhook() {
+    console.log('\n========================================');
+    console.log('Testing Webhook Recording');
+    console.log('========================================\n');
+
+    // In-memory stand-in for Apify's key-value stores (the API is exposed as getters)
+    const values = {};
+    let opened = 0;
+    Object.defineProperty(Apify, 'openKeyValueStore', {
+        value: async () => {
+            opened++;
+            return {
+                getValue: async key => (key in values ? JSON.parse(values[key]) : null),
+                setValue: async (key, value) => { values[key] = JSON.stringify(value); }
+            };
+        },
+        configurable: true
+    });
+
+    // Mappers stay synchronous and leave the shared list alone
+    const unsubscribe = mapSmartLeadWebhook({ event: 'lead_unsubscribed', email: 'unsub@prospect.com' });
+    const positive = mapInstantlyWebhook({ event_type: 'reply', lead_email: 'yes@prospect.com', data: { reply_body: 'Sounds good.' } });
+    const openedByMappers = opened;
+
+    const stored = await recordWebhookSuppression(unsubscribe);
+    const nothingStored = await recordWebhookSuppression(positive);
+    const saved = JSON.parse(values.SUPPRESSIONS || '{}');
+    const shared = await getSharedSuppressionList();
+
+    const results = [
+        check('Mappers return plain objects without touching the shared list', !(unsubscribe instanceof Promise) &&
+            unsubscribe.suppression.reason === 'unsubscribed' && openedByMappers === 0),
+        check('Suppression saved to the shared list', stored.length === 1 &&
+            shared.check({ email: 'unsub@prospect.com' }).match.source === 'smartlead-webhook'),
+        check('Shared list persisted', saved.entries && 'email:unsub@prospect.com' in saved.entries),
+        check('Webhooks without a suppression store nothing', nothingStored.length === 0 && shared.getStats().total === 1)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   SUPPRESSION LIST TEST SUITE          ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    const testResults = {
+        entries: testEntries(),
+        webhooks: testWebhooks(),
+        enforcement: await testEnforcement(),
+        recording: await testRecordWebhook()
+    };
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`Entries:     ${testResults.entries ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Webhooks:    ${testResults.webhooks ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Enforcement: ${testResults.enforcement ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Recording:   ${testResults.recording ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = Object.values(testResults).every(Boolean);
+    console.log(`\nOverall Status: ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests().catch(error => {
+    console.error('\n❌ Fatal error running tests:', error);
+    process.exit(1);
+});
@@ -0,0 +1,157 @@
+/**
+ * Test Script for the Vertical Registry
+ *
+ * Tests the following components:
+ * 1. Lookup: built-in verticals, aliases and name normalization
+ * 2. Unknown verticals: getVertical fails loudly, consumers fall back to defaults
+ * 3. Registration: validation per consumer, duplicate keys and aliases, replace/unregister
+ *
+ * Usage: node tests/test-verticals.js
+ */
+
+const {
+    registerVertical,
+    unregisterVertical,
+    validateVertical,
+    getVertical,
+    findVertical,
+    resolveVerticalKey,
+    listVerticals,
+    normalizeVerticalName
+} = require('../executions/verticals');
+const { getVerticalDealValue, VERTICAL_DEAL_VALUES } = require('../executions/utils/lead-to-ghl-mapper');
+const { getPainPoint, getSimilarCompanyExample } = require('../executions/utils/nurture-sequences');
+const { getEmailSequence } = require('../executions/utils/email-templates');
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+function errorMessage(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error.message;
+    }
+    return '';
+}
+
+/**
+ * A complete definition built from the insurance vertical under a new key
+ */
+function buildDefinition(key, extra = {}) {
+    const { aliases, ...insurance } = getVertical('insurance');
+    return { ...insurance, key, name: key, dealValue: 150000, ...extra };
+}
+
+/**
+ * Test lookup by key and alias
+ */
+function testLookup() {
+    console.log('\n========================================');
+    console.log('Testing Lookup');
+    console.log('========================================\n');
+
+    const results = [
+        check('Built-in verticals registered', listVerticals().map(vertical => vertical.key).join(',') === 'insurance,real-estate,recruitment'),
+        check('Lookup by key', getVertical('insurance').dealValue === 500000 && getVertical('real-estate').dealValue === 300000),
+        check('Aliases resolve to the canonical key', resolveVerticalKey('cre') === 'real-estate' &&
+            resolveVerticalKey('staffing') === 'recruitment' && getVertical('commercial-insurance').key === 'insurance'),
+        check('Names normalized before lookup', normalizeVerticalName(' Real_Estate ') === 'real-estate' &&
+            findVertical('Commercial Real Estate').key === 'real-estate' && findVertical('RECRUITMENT').key === 'recruitment'),
+        check('Consumers read per-vertical data', getVerticalDealValue('cre') === 300000 &&
+            getPainPoint('staffing') === getVertical('recruitment').nurture.painPoint),
+        check('Deal value map keeps the old vertical keys', VERTICAL_DEAL_VALUES['commercial-insurance'] === 500000 &&
+            VERTICAL_DEAL_VALUES['commercial-real-estate'] === 300000 && VERTICAL_DEAL_VALUES.insurance === 500000)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test unknown verticals
+ */
+function testUnknownVertical() {
+    console.log('\n========================================');
+    console.log('Testing Unknown Verticals');
+    console.log('========================================\n');
+
+    const results = [
+        check('findVertical returns null', findVertical('dental') === null && findVertical(null) === null && resolveVerticalKey('') === null),
+        check('getVertical lists the registered verticals', errorMessage(() => getVertical('dental')) ===
+            'Unknown vertical: dental. Registered verticals: insurance, real-estate, recruitment'),
+        check('Deal value falls back to the default', getVerticalDealValue('dental') === 250000 && getVerticalDealValue(undefined) === 250000),
+        check('Nurture copy falls back to generic text', getPainPoint('dental') === 'operational improvement' &&
+            getSimilarCompanyExample('dental').company === 'a similar company'),
+        check('Templates need a registered vertical', /Unknown vertical: dental/.test(errorMessage(() => getEmailSequence('dental', {}))))
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Test registration and validation
+ */
+function testRegistration() {
+    console.log('\n========================================');
+    console.log('Testing Registration');
+    console.log('========================================\n');
+
+    const incomplete = validateVertical({ key: 'dental', name: 'Dental', dealValue: 12.5 });
+    const registered = registerVertical(buildDefinition('Dental_Practices', { aliases: ['dentists'] }));
+    const lookedUp = getVertical('dentists');
+    const aliasDealValue = getVerticalDealValue('dentists');
+    const duplicateError = errorMessage(() => registerVertical(buildDefinition('dental-practices')));
+    const aliasError = errorMessage(() => registerVertical(buildDefinition('orthodontics', { aliases: ['cre'] })));
+    registerVertical(buildDefinition('dental-practices', { dealValue: 175000 }), { replace: true });
+    const replacedDealValue = getVerticalDealValue('dental-practices');
+    const aliasAfterReplace = findVertical('dentists');
+    const removed = unregisterVertical('dental-practices');
+
+    const results = [
+        check('Missing fields reported per consumer', !incomplete.isValid &&
+            incomplete.errors.includes('google-maps-scraper: missing googleMapsCategories') &&
+            incomplete.errors.includes('lead-to-ghl-mapper: dealValue must be a positive integer (cents)')),
+        check('Incomplete definitions not registered', /Vertical 'dental' is incomplete/.test(errorMessage(() => registerVertical({ key: 'dental', name: 'Dental' })))),
+        check('Registered under its normalized key and alias', registered.key === 'dental-practices' && lookedUp === registered &&
+            aliasDealValue === 150000),
+        check('Duplicate key needs replace', /already registered\. Pass \{ replace: true \}/.test(duplicateError)),
+        check('Alias owned by another vertical rejected', duplicateError !== aliasError && /'cre' is already registered to 'real-estate'/.test(aliasError)),
+        check('Replace swaps the definition and its aliases', replacedDealValue === 175000 && aliasAfterReplace === null),
+        check('Unregister removes the vertical', removed === true && findVertical('dental-practices') === null && listVerticals().length === 3)
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   VERTICAL REGISTRY TEST SUITE         ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    const testResults = {
+        lookup: testLookup(),
+        unknownVertical: testUnknownVertical(),
+        registration: testRegistration()
+    };
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`Lookup:            ${testResults.lookup ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Unknown Vertical:  ${testResults.unknownVertical ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Registration:      ${testResults.registration ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = Object.values(testResults).every(Boolean);
+    console.log(`\nOverall Status: ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests();
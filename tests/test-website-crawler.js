@@ -0,0 +1,208 @@
+/**
+ * Test Script for Website Crawl Enrichment
+ *
+ * Serves the saved HTML fixtures in tests/fixtures/website on a local port and
+ * runs the crawler and lead merge against them. No network access needed.
+ *
+ * Tests the following components:
+ * 1. Website crawler (emails, phones, social links, staff, tech stack)
+ * 2. Merging crawl results into a lead (real emails replace inferred ones, page text kept)
+ *
+ * Usage: node tests/test-website-crawler.js
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const { crawlWebsite, mergeWebsiteData } = require('../executions/utils/website-crawler');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'website');
+
+// URL path -> fixture file (anything else is a 404)
+const ROUTES = {
+    '/': 'index.html',
+    '/about-us/': 'about.html',
+    '/our-team/': 'team.html',
+    '/contact/': 'contact.html'
+};
+
+/**
+ * Start a local server for the fixtures
+ */
+function startFixtureServer() {
+    const server = http.createServer((req, res) => {
+        const file = ROUTES[req.url.split('?')[0]];
+        if (!file) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(fs.readFileSync(path.join(FIXTURES_DIR, file)));
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    return condition;
+}
+
+/**
+ * Test crawler extraction
+ */
+async function testCrawler(baseUrl) {
+    console.log('\n========================================');
+    console.log('Testing Website Crawler');
+    console.log('========================================\n');
+
+    const crawl = await crawlWebsite(baseUrl, { timeout: 5000 });
+    const textCrawl = await crawlWebsite(baseUrl, { timeout: 5000, captureText: true, maxTextChars: 2000 });
+    const tinyPages = await crawlWebsite(baseUrl, { timeout: 5000, maxPageBytes: 200 });
+    const aboutPage = textCrawl.pagesCrawled.find(page => page.pageType === 'about');
+    const emails = crawl.emails.map(entry => entry.value);
+    const staffByName = Object.fromEntries(crawl.staff.map(person => [person.name, person]));
+
+    const results = [
+        check('Crawled homepage, team, contact and about pages', crawl.pagesCrawled.length === 4),
+        check('Team page crawled before contact and about', crawl.pagesCrawled[1].pageType === 'team'),
+        check('No crawl errors', crawl.errors.length === 0),
+        check('Found mailto email', emails.includes('info@lonestarins.test')),
+        check('Malformed mailto encoding kept raw', emails.includes('sales%zz@lonestarins.test')),
+        check('Found obfuscated email', emails.includes('claims@lonestarins.test')),
+        check('Found staff email', emails.includes('maria.gonzalez@lonestarins.test')),
+        check('Skipped asset filename that looks like an email', !emails.some(email => email.includes('logo'))),
+        check('Found phone numbers as E.164', crawl.phones.some(phone => phone.value === '+15125550142') &&
+            crawl.phones.some(phone => phone.value === '+15125550199')),
+        check('Found LinkedIn company page', crawl.socialProfiles.linkedin === 'https://www.linkedin.com/company/lone-star-commercial-insurance'),
+        check('Found Facebook page', crawl.socialProfiles.facebook === 'https://www.facebook.com/LoneStarCommercialIns'),
+        check('Ignored Twitter share intent', !crawl.socialProfiles.twitter),
+        check('Found team card staff with title', staffByName['Maria Gonzalez'] &&
+            staffByName['Maria Gonzalez'].title === 'Agency Owner & Principal'),
+        check('Found second team member', staffByName['David Chen'] &&
+            staffByName['David Chen'].title === 'Commercial Lines Producer'),
+        check('Found microdata staff', staffByName['Priya Patel'] &&
+            staffByName['Priya Patel'].title === 'Director of Operations'),
+        check('Skipped non-person heading', !staffByName['Our Mission']),
+        check('Detected WordPress', crawl.techStack.includes('WordPress')),
+        check('Detected Google Analytics', crawl.techStack.includes('Google Analytics')),
+        check('Detected Calendly', crawl.techStack.includes('Calendly')),
+        check('Pages over the size cap skipped as errors', tinyPages.pagesCrawled.length === 0 &&
+            tinyPages.errors.length === 1 && /maxContentLength/.test(tinyPages.errors[0].error)),
+        check('Page text only kept with captureText', crawl.pagesCrawled.every(page => !page.text) &&
+            aboutPage && aboutPage.text.includes('Independent agency serving contractors')),
+        check('Page text is visible text, capped', textCrawl.pagesCrawled.every(page =>
+            page.text.length <= 2000 && !/<script|gtag\(/.test(page.text)))
+    ];
+
+    return { passed: results.every(Boolean), crawl, textCrawl };
+}
+
+/**
+ * Test merging crawl results into leads
+ */
+function testMerge(crawl, textCrawl) {
+    console.log('\n========================================');
+    console.log('Testing Lead Merge');
+    console.log('========================================\n');
+
+    // Named lead with an inferred guess - replaced by the real staff email
+    const namedLead = mergeWebsiteData({
+        firstName: 'Maria',
+        lastName: 'Gonzalez',
+        companyName: 'Lone Star Commercial Insurance',
+        email: 'maria.gonzalez@lonestar.com',
+        emailInferred: true
+    }, crawl);
+
+    // Google Maps lead without a contact - gets the best available address and phone
+    const mapsLead = mergeWebsiteData({
+        companyName: 'Lone Star Commercial Insurance',
+        leadSource: 'Google Maps'
+    }, crawl);
+
+    // Lead with a known real email - left alone
+    const knownLead = mergeWebsiteData({
+        firstName: 'David',
+        lastName: 'Chen',
+        email: 'dchen@lonestarins.test'
+    }, crawl);
+
+    // Named lead who isn't on the site - keeps the guess instead of a generic inbox
+    const unlistedLead = mergeWebsiteData({
+        firstName: 'Robert',
+        lastName: 'Miller',
+        email: 'robert.miller@lonestarins.test',
+        emailInferred: true
+    }, crawl);
+
+    // Crawled with captureText - pages kept for grounded research
+    const textLead = mergeWebsiteData({ companyName: 'Lone Star Commercial Insurance' }, textCrawl);
+
+    const results = [
+        check('Inferred email replaced by real email', namedLead.email === 'maria.gonzalez@lonestarins.test'),
+        check('emailInferred cleared', namedLead.emailInferred === false),
+        check('Original guess kept for reference', namedLead.inferredEmailGuess === 'maria.gonzalez@lonestar.com'),
+        check('Email provenance points at team page', namedLead.provenance.email.source === 'website' &&
+            namedLead.provenance.email.url.endsWith('/our-team/')),
+        check('Job title filled from team page', namedLead.jobTitle === 'Agency Owner & Principal'),
+        check('LinkedIn company filled', namedLead.linkedinCompany === 'https://www.linkedin.com/company/lone-star-commercial-insurance'),
+        check('Tech stack attached', namedLead.techStack.includes('WordPress')),
+        check('Contactless lead gets an email', mapsLead.email === 'info@lonestarins.test' || mapsLead.email === 'claims@lonestarins.test' ||
+            mapsLead.email === 'maria.gonzalez@lonestarins.test'),
+        check('Contactless lead gets a phone with provenance', mapsLead.phone === '+15125550142' && mapsLead.provenance.phone.source === 'website'),
+        check('Known real email left alone', knownLead.email === 'dchen@lonestarins.test' && !knownLead.provenance.email),
+        check('Named lead never gets a role address', unlistedLead.email === 'robert.miller@lonestarins.test' &&
+            unlistedLead.emailInferred === true && !unlistedLead.provenance.email),
+        check('Page text attached only when captured', !namedLead.websitePages && textLead.websitePages.length === 4 &&
+            textLead.provenance.websitePages.source === 'website')
+    ];
+
+    return results.every(Boolean);
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║   WEBSITE CRAWLER TEST SUITE           ║');
+    console.log('╚════════════════════════════════════════╝');
+
+    const server = await startFixtureServer();
+    const { port } = server.address();
+
+    let crawlerPassed = false;
+    let mergePassed = false;
+
+    try {
+        const { passed, crawl, textCrawl } = await testCrawler(`http://127.0.0.1:${port}/`);
+        crawlerPassed = passed;
+        mergePassed = testMerge(crawl, textCrawl);
+    } finally {
+        server.close();
+    }
+
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║           TEST SUMMARY                 ║');
+    console.log('╚════════════════════════════════════════╝\n');
+
+    console.log(`Website Crawler: ${crawlerPassed ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Lead Merge:      ${mergePassed ? '✅ PASS' : '❌ FAIL'}`);
+
+    const allPassed = crawlerPassed && mergePassed;
+    console.log(`\nOverall Status:  ${allPassed ? '✅ ALL TESTS PASSED' : '⚠️  SOME TESTS FAILED'}\n`);
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+// Run tests
+runAllTests().catch(error => {
+    console.error('\n❌ Fatal error running tests:', error);
+    process.exit(1);
+});